@@ -1,9 +1,38 @@
 /**
- * Vercel Serverless Function - Claude API Proxy v2.0.7
+ * Vercel Serverless Function - Claude API Proxy v2.1.0
  * Handles CORS and proxies requests to Anthropic's Claude API
  * Deploy: ES module with default export
+ *
+ * Usage ledger + team budget (migration 115): every call is written to
+ * claude_usage_ledger (feature, client, prompt version, tokens, cost,
+ * latency, outcome) and refused with 402 when claude_team_budget is set
+ * and the month-to-date spend plus this call's worst case would cross
+ * it. Both are skipped when the Supabase service-role env isn't
+ * configured, so local dev without Supabase still proxies.
+ *
+ * Cancellation: when the browser aborts (claudeAPI AbortController),
+ * the response socket closes; the upstream Anthropic request is aborted
+ * too and the ledger row is written as 'aborted' with the tokens seen
+ * so far.
  */
 
+import { createClient } from '@supabase/supabase-js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+const supabase = SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null;
+
+const DEFAULT_MODEL = 'claude-sonnet-4-5-20250929';
+
+// Price per million tokens, matched against the model id. Mirror of
+// PRICING in src/services/claudeAPI.js (Sonnet row).
+const PRICING = [
+  { match: /opus/i,  input: 15.00, output: 75.00 },
+  { match: /haiku/i, input: 1.00,  output: 5.00 },
+  { match: /./,      input: 3.00,  output: 15.00 },   // Sonnet + unknown
+];
+
 export default async function handler(req, res) {
   // Prevent CDN caching - always hit the serverless function
   res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private, max-age=0');
@@ -16,7 +45,7 @@ export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
   res.setHeader(
     'Access-Control-Allow-Headers',
-    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, X-API-Key'
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, X-API-Key, Authorization'
   );
 
   // Handle preflight OPTIONS request
@@ -30,8 +59,10 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  const startTime = Date.now();
+
   try {
-    const { apiKey, messages, system, maxTokens, stream, model } = req.body;
+    const { apiKey, messages, system, maxTokens, stream, model, feature, clientId, promptVersion } = req.body;
 
     // Validate API key is provided
     if (!apiKey) {
@@ -45,7 +76,7 @@ export default async function handler(req, res) {
 
     // Build request body - use provided model or default to latest Sonnet 4.5
     const requestBody = {
-      model: model || 'claude-sonnet-4-5-20250929',
+      model: model || DEFAULT_MODEL,
       max_tokens: maxTokens || 4096,
       messages: messages,
       stream: stream || false
@@ -56,19 +87,65 @@ export default async function handler(req, res) {
       requestBody.system = system;
     }
 
+    // Ledger context — filled in as the call progresses, written once.
+    const [user, budgetState] = await Promise.all([resolveUser(req), loadBudgetState()]);
+    const entry = {
+      user_id:        user?.id || null,
+      user_email:     user?.email || null,
+      feature:        typeof feature === 'string' && feature ? feature.slice(0, 120) : 'general',
+      client_id:      isUuid(clientId) ? clientId : null,
+      prompt_version: typeof promptVersion === 'string' ? promptVersion.slice(0, 120) : null,
+      model:          requestBody.model,
+      stream:         !!requestBody.stream,
+      max_tokens:     requestBody.max_tokens,
+    };
+
+    // Team budget — worst case is the whole prompt plus max_tokens of output.
+    if (budgetState?.budget != null) {
+      const worstCase = calculateCost(requestBody.model, estimateInputTokens(requestBody), requestBody.max_tokens);
+      if (budgetState.spent + worstCase > budgetState.budget) {
+        const message = `Team monthly Claude budget of $${budgetState.budget.toFixed(2)} reached ($${budgetState.spent.toFixed(2)} spent this month). Ask an admin to raise it in Settings → AI Usage.`;
+        await recordUsage({ ...entry, status: 'budget_blocked', http_status: 402, error_message: message, latency_ms: Date.now() - startTime });
+        return res.status(402).json({
+          error: message,
+          budget: { monthlyBudget: budgetState.budget, spent: budgetState.spent },
+        });
+      }
+    }
+
     console.log('Sending to Claude API:', JSON.stringify(requestBody, null, 2));
 
-    // Make request to Claude API
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify(requestBody)
+    // Abort upstream when the browser goes away before we've finished.
+    const upstream = new AbortController();
+    let clientGone = false;
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        clientGone = true;
+        upstream.abort();
+      }
     });
 
+    // Make request to Claude API
+    let response;
+    try {
+      response = await fetch('https://api.anthropic.com/v1/messages', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify(requestBody),
+        signal: upstream.signal,
+      });
+    } catch (fetchErr) {
+      if (clientGone) {
+        await recordUsage({ ...entry, status: 'aborted', latency_ms: Date.now() - startTime });
+        return;
+      }
+      throw fetchErr;
+    }
+
     // Handle error responses
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
@@ -86,6 +163,10 @@ export default async function handler(req, res) {
         }
       }
 
+      await recordUsage({
+        ...entry, status: 'error', http_status: response.status,
+        error_message: errorMessage.slice(0, 500), latency_ms: Date.now() - startTime,
+      });
       return res.status(response.status).json({
         error: errorMessage,
         details: errorData
@@ -100,6 +181,10 @@ export default async function handler(req, res) {
 
       const reader = response.body.getReader();
       const decoder = new TextDecoder();
+      const usage = { input: 0, output: 0, streamedChars: 0 };
+      let pending = '';
+      let status = 'ok';
+      let errorMessage = null;
 
       try {
         while (true) {
@@ -108,14 +193,39 @@ export default async function handler(req, res) {
 
           const chunk = decoder.decode(value, { stream: true });
           res.write(chunk);
+
+          // Tap the SSE stream for usage; events can straddle chunks.
+          pending += chunk;
+          const lines = pending.split('\n');
+          pending = lines.pop();
+          for (const line of lines) tallyStreamEvent(line, usage);
         }
+      } catch (streamErr) {
+        status = clientGone ? 'aborted' : 'error';
+        errorMessage = clientGone ? null : String(streamErr?.message || streamErr).slice(0, 500);
       } finally {
         reader.releaseLock();
-        res.end();
+        // Aborted before message_delta: estimate output from what streamed.
+        const outputTokens = usage.output || Math.ceil(usage.streamedChars / 4);
+        await recordUsage({
+          ...entry, status, error_message: errorMessage, http_status: 200,
+          input_tokens: usage.input, output_tokens: outputTokens,
+          cost_usd: calculateCost(requestBody.model, usage.input, outputTokens),
+          latency_ms: Date.now() - startTime,
+        });
+        if (!clientGone) res.end();
       }
     } else {
       // Handle regular JSON response
       const data = await response.json();
+      const inputTokens  = data.usage?.input_tokens || 0;
+      const outputTokens = data.usage?.output_tokens || 0;
+      await recordUsage({
+        ...entry, status: 'ok', http_status: 200,
+        input_tokens: inputTokens, output_tokens: outputTokens,
+        cost_usd: calculateCost(requestBody.model, inputTokens, outputTokens),
+        latency_ms: Date.now() - startTime,
+      });
       res.status(200).json(data);
     }
 
@@ -126,3 +236,90 @@ export default async function handler(req, res) {
     });
   }
 }
+
+// ──────────────────────────────────────────────────
+// Ledger + budget
+// ──────────────────────────────────────────────────
+
+async function resolveUser(req) {
+  if (!supabase) return null;
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith('Bearer ')) return null;
+  try {
+    const { data: { user } } = await supabase.auth.getUser(authHeader.slice(7));
+    return user || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * { budget: number|null, spent: number } or null when the ledger isn't
+ * reachable — a Supabase hiccup must not take every AI feature down.
+ */
+async function loadBudgetState() {
+  if (!supabase) return null;
+  try {
+    const [{ data: budgetRow, error: budgetErr }, { data: mtd, error: mtdErr }] = await Promise.all([
+      supabase.from('claude_team_budget').select('monthly_budget_usd').eq('id', true).maybeSingle(),
+      supabase.rpc('claude_usage_month_to_date'),
+    ]);
+    if (budgetErr || mtdErr) {
+      console.warn('[claude-proxy] budget lookup failed:', budgetErr || mtdErr);
+      return null;
+    }
+    const budget = budgetRow?.monthly_budget_usd;
+    return {
+      budget: budget == null ? null : Number(budget),
+      spent:  Number((Array.isArray(mtd) ? mtd[0] : mtd)?.cost_usd || 0),
+    };
+  } catch (err) {
+    console.warn('[claude-proxy] budget lookup failed:', err);
+    return null;
+  }
+}
+
+async function recordUsage(row) {
+  if (!supabase) return;
+  const { error } = await supabase.from('claude_usage_ledger').insert(row);
+  if (error) console.warn('[claude-proxy] ledger insert failed:', error);
+}
+
+function tallyStreamEvent(line, usage) {
+  if (!line.startsWith('data:')) return;
+  const payload = line.slice(5).trim();
+  if (!payload || payload === '[DONE]') return;
+  try {
+    const evt = JSON.parse(payload);
+    if (evt.type === 'message_start') usage.input = evt.message?.usage?.input_tokens || 0;
+    if (evt.type === 'message_delta') usage.output = evt.usage?.output_tokens || usage.output;
+    if (evt.type === 'content_block_delta') usage.streamedChars += (evt.delta?.text || '').length;
+  } catch {
+    // Partial / non-JSON line — ignore.
+  }
+}
+
+function calculateCost(model, inputTokens, outputTokens) {
+  const price = PRICING.find(p => p.match.test(model || ''));
+  return (inputTokens / 1_000_000) * price.input + (outputTokens / 1_000_000) * price.output;
+}
+
+// Rough: 1 token ≈ 4 characters of text; images ≈ 1.5K tokens each.
+function estimateInputTokens(body) {
+  let chars = (body.system || '').length;
+  let images = 0;
+  for (const m of body.messages) {
+    if (typeof m.content === 'string') chars += m.content.length;
+    else if (Array.isArray(m.content)) {
+      for (const block of m.content) {
+        if (block.type === 'text') chars += (block.text || '').length;
+        else if (block.type === 'image') images += 1;
+      }
+    }
+  }
+  return Math.ceil(chars / 4) + images * 1500;
+}
+
+function isUuid(v) {
+  return typeof v === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v);
+}
@@ -0,0 +1,814 @@
+/**
+ * alert-delivery — pushes This Week + Movement alerts to the delivery
+ * targets users set up in Settings → Alert Delivery (migration 117).
+ *
+ * Hourly. Three passes per run:
+ *
+ *   1. Match. Enabled alert_subscriptions are resolved to a client set
+ *      (client_ids, or every client the owner can access — admins see
+ *      all clients, others their user_client_access rows). For the union
+ *      of those clients the run computes:
+ *        - the This Week signals (the same checks thisWeekService
+ *          runs, from src/services/thisWeekRules.js; the types are
+ *          THIS_WEEK_DELIVERY_TYPES in alertSubscriptionService). Global
+ *          invite alerts go to subscriptions covering the invite's
+ *          client, or every client when the invite has none, and
+ *        - competitor_alerts from the last 7 days on any channel in those
+ *          clients' cohorts (client_channels), not dismissed.
+ *      Each subscription keeps the alerts on its clients, types and
+ *      minimum severity. A (client, type) snoozed or dismissed in
+ *      alert_dismissals is dropped, and an invite alert snoozed globally
+ *      (NULL client_id) likewise — a competitor alert shared by several
+ *      clients survives while any in-scope client isn't snoozed.
+ *
+ *   2. Queue. Into notification_outbox:
+ *        webhook      — one alert_instant row per new alert, dedupe_key
+ *                       'alert_webhook:<subscription>:<alert key>'. This
+ *                       Week alert keys carry the signal's timestamp (same
+ *                       id thisWeekService builds), so an ongoing
+ *                       condition posts once and a new episode posts
+ *                       again. Competitor alerts only post when generated
+ *                       after the subscription was created and within the
+ *                       last 48h.
+ *        email_digest — one alert_digest row per subscription per UTC
+ *                       day, on the first run at or after
+ *                       ALERT_DIGEST_HOUR_UTC (default 13), and only when
+ *                       something is new since the last digest: a
+ *                       competitor alert generated after last_digest_at or
+ *                       a This Week alert the last digest didn't list.
+ *
+ *   3. Drain. Queued alert rows are re-checked — subscription deleted /
+ *      disabled, or every alert in the row snoozed since queueing →
+ *      skipped — then sent:
+ *        webhook rows — POSTed to the subscription's webhook_url as Slack
+ *                       incoming-webhook JSON ({ text, blocks }); works
+ *                       with Slack, Discord's /slack endpoint, or a local
+ *                       HTTP stub. https only in production.
+ *        digest rows  — the shared email transports in
+ *                       api/_lib/notifyTransport.js (NOTIFY_TRANSPORT
+ *                       smtp | webhook | log, SMTP_URL, NOTIFY_FROM).
+ *      Same backoff as the invite reminders: failures retry with
+ *      exponential delay and give up after MAX_ATTEMPTS.
+ *
+ * Manual: GET /api/cron/alert-delivery?manual=true[&dryRun=true]
+ * (dryRun queues nothing and sends nothing; returns what it would do).
+ * Test send: POST /api/cron/alert-delivery?manual=true&test=<subscription id>
+ * with the owner's Supabase access token — delivers a sample message
+ * through the subscription immediately.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { resolveTransport, sendViaTransport, postJson } from '../_lib/notifyTransport.js';
+import {
+  SEVERITY_ORDER, clientAlerts, inviteAlerts, compareAlerts, makeDismissKey,
+  groupIntakePending, groupIntakeTokens, remindableTokens, supersededInviteIds, groupCommentSweeps,
+} from '../../src/services/thisWeekRules.js';
+import { EXPIRED_LOOKBACK_DAYS } from '../../src/services/inviteLifecycle.js';
+import {
+  competitorAlertSeverity, competitorAlertLabel, describeCompetitorAlert,
+} from '../../src/services/competitorAlertRules.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+const COMPETITOR_LOOKBACK_MS = 7 * 86_400_000;
+const INSTANT_FRESH_MS       = 48 * 3_600_000;
+const DIGEST_HOUR_UTC        = Number(process.env.ALERT_DIGEST_HOUR_UTC ?? 13);
+const DIGEST_MAX_ITEMS       = 40;
+
+const MAX_SEND_PER_RUN  = 50;
+const MAX_ATTEMPTS      = 5;
+const RETRY_BASE_MS     = 30 * 60_000;
+
+export default async function handler(req, res) {
+  const authHeader = req.headers.authorization;
+  const manualTrigger = req.query?.manual === 'true';
+  if (authHeader !== `Bearer ${process.env.CRON_SECRET}` && !manualTrigger) {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  const proto = req.headers['x-forwarded-proto'] || 'https';
+  const appUrl = (process.env.FRONTEND_URL
+    || process.env.BASE_URL
+    || (process.env.VERCEL_PROJECT_PRODUCTION_URL ? `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}` : null)
+    || `${proto}://${req.headers.host}`).replace(/\/$/, '');
+
+  if (req.query?.test) return handleTestSend(req, res, appUrl);
+
+  const startTime = Date.now();
+  const dryRun = req.query?.dryRun === 'true';
+  console.log(`[Alert Delivery] Starting${dryRun ? ' (dry run)' : ''}...`);
+
+  try {
+    const subscriptions = await loadSubscriptions();
+    const candidates = [];
+    if (subscriptions.length) {
+      const ctx = await buildMatchContext(subscriptions, startTime);
+      for (const sub of subscriptions) {
+        const matched = matchAlerts(sub, ctx);
+        if (sub.delivery === 'webhook') {
+          candidates.push(...collectInstant(sub, matched, startTime, appUrl));
+        } else {
+          const digest = await collectDigest(sub, matched, startTime, appUrl);
+          if (digest) candidates.push(digest);
+        }
+      }
+    }
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true, dryRun: true,
+        subscriptions: subscriptions.length,
+        wouldQueue: candidates.map(c => ({ dedupeKey: c.dedupe_key, subscription: c.alert_subscription_id, subject: c.subject })),
+        duration: Date.now() - startTime,
+      });
+    }
+
+    const queued = await queueDeliveries(candidates);
+    const delivery = await drainOutbox(startTime);
+
+    const duration = Date.now() - startTime;
+    console.log(
+      `[Alert Delivery] Complete in ${duration}ms — ${subscriptions.length} subscriptions, ${queued} queued, ` +
+      `${delivery.sent} sent, ${delivery.retrying} retrying, ${delivery.failed} failed, ${delivery.skipped} skipped`
+    );
+    return res.status(200).json({ success: true, subscriptions: subscriptions.length, queued, delivery, duration });
+  } catch (err) {
+    console.error('[Alert Delivery] Run failed:', err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+// ──────────────────────────────────────────────────
+// 1) Match
+// ──────────────────────────────────────────────────
+
+async function loadSubscriptions() {
+  const { data, error } = await supabase
+    .from('alert_subscriptions')
+    .select('*')
+    .eq('enabled', true);
+  if (error) {
+    console.warn('[Alert Delivery] load subscriptions failed:', error);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Everything matchAlerts needs, loaded once for all subscriptions:
+ * per-subscription client sets, client names, the alerts on the union
+ * of those clients, and the active snooze keys.
+ */
+async function buildMatchContext(subscriptions, now) {
+  const userIds = [...new Set(subscriptions.map(s => s.user_id))];
+  const [{ data: profiles }, { data: access }, { data: clients }] = await Promise.all([
+    supabase.from('user_profiles').select('user_id, role').in('user_id', userIds),
+    supabase.from('user_client_access').select('user_id, client_id').in('user_id', userIds).eq('has_access', true),
+    supabase.from('channels')
+      .select('id, name, youtube_channel_id, lifecycle_stage, last_sync_attempt_at, last_sync_error, is_prelaunch, prelaunch_intended_launch_at, created_at')
+      .eq('is_client', true),
+  ]);
+
+  const clientMeta = {};
+  for (const c of clients || []) clientMeta[c.id] = c;
+  const admins = new Set((profiles || []).filter(p => p.role === 'admin').map(p => p.user_id));
+  const accessByUser = {};
+  for (const a of access || []) (accessByUser[a.user_id] ||= new Set()).add(a.client_id);
+
+  // Subscribed clients the owner can still see. A client dropped from
+  // someone's access stops delivering even if the row still lists it.
+  const clientsBySub = {};
+  const union = new Set();
+  for (const sub of subscriptions) {
+    const visible = admins.has(sub.user_id)
+      ? Object.keys(clientMeta)
+      : [...(accessByUser[sub.user_id] || [])].filter(id => clientMeta[id]);
+    const picked = sub.client_ids?.length ? visible.filter(id => sub.client_ids.includes(id)) : visible;
+    clientsBySub[sub.id] = new Set(picked);
+    for (const id of picked) union.add(id);
+  }
+
+  const clientIds = [...union];
+  const [thisWeek, competitor, dismissKeys] = await Promise.all([
+    computeThisWeekAlerts(clientIds, clientMeta, now),
+    loadCompetitorAlerts(clientIds, clientMeta, now),
+    loadActiveDismissals(clientIds),
+  ]);
+
+  return { clientMeta, clientsBySub, alerts: [...thisWeek, ...competitor], dismissKeys };
+}
+
+/**
+ * Alerts for one subscription, highest severity first. Each carries
+ * the in-scope, un-snoozed client ids it's being delivered for.
+ */
+function matchAlerts(sub, ctx) {
+  const scope = ctx.clientsBySub[sub.id];
+  const minSeverity = SEVERITY_ORDER[sub.min_severity] || SEVERITY_ORDER.medium;
+  const types = sub.alert_types?.length ? new Set(sub.alert_types) : null;
+
+  const matched = [];
+  for (const alert of ctx.alerts) {
+    if (types && !types.has(alert.type)) continue;
+    if (SEVERITY_ORDER[alert.severity] < minSeverity) continue;
+    if (alert.global) {
+      // Invite alerts: snoozed globally, delivered when the invite's
+      // client is in scope — or, for an invite not tied to a client,
+      // to subscriptions that cover every client.
+      if (ctx.dismissKeys.has(makeDismissKey(null, alert.type))) continue;
+      if (alert.clientIds.length ? !alert.clientIds.some(id => scope.has(id)) : sub.client_ids?.length) continue;
+      matched.push(alert);
+      continue;
+    }
+    const clientIds = alert.clientIds.filter(id => scope.has(id) && !ctx.dismissKeys.has(makeDismissKey(id, alert.type)));
+    if (!clientIds.length) continue;
+    matched.push({
+      ...alert,
+      clientIds,
+      clientName: clientIds.map(id => ctx.clientMeta[id]?.name || 'Unknown client').join(', '),
+    });
+  }
+  matched.sort(compareAlerts);
+  return matched;
+}
+
+/**
+ * The This Week feed's alerts (thisWeekRules.clientAlerts /
+ * inviteAlerts) in delivery shape. Rows are loaded in bulk with the
+ * service role, but the checks, labels and ids are the ones
+ * thisWeekService runs, reminder history included.
+ *
+ * Invite alerts are global: snoozes match the NULL client_id, like the
+ * This Week feed, and `clientIds` holds the invite's client when it has
+ * one, so subscriptions scoped to other clients skip it.
+ */
+async function computeThisWeekAlerts(clientIds, clientMeta, now) {
+  const [signals, invites] = await Promise.all([
+    loadThisWeekSignals(clientIds, clientMeta, now),
+    loadRecentInvites(now),
+  ]);
+
+  const alerts = [];
+  for (const clientId of clientIds) {
+    const client = clientMeta[clientId];
+    if (!client) continue;
+    for (const a of clientAlerts(client, signals[clientId], now)) {
+      alerts.push({ ...toDelivery(a), clientIds: [clientId] });
+    }
+  }
+  for (const a of inviteAlerts(invites.list, invites.supersededIds, now)) {
+    alerts.push({ ...toDelivery(a), global: true, clientIds: a.inviteClientId ? [a.inviteClientId] : [], clientName: a.clientName });
+  }
+  return alerts;
+}
+
+function toDelivery(a) {
+  return {
+    key: a.id,
+    source: 'this_week',
+    severity: a.severity, type: a.type, label: a.label, description: a.description,
+    targetTab: a.targetTab, createdAt: a.createdAt,
+  };
+}
+
+/** { [clientId]: signals } for thisWeekRules.clientAlerts. */
+async function loadThisWeekSignals(clientIds, clientMeta, now) {
+  if (!clientIds.length) return {};
+  const ytIds = clientIds.map(id => clientMeta[id]?.youtube_channel_id).filter(Boolean);
+
+  const [audits, calibrations, briefs, conns, peers, intake, intakeTokens, commentSweeps] = await Promise.all([
+    latestByClient('client_repositioning_audits', clientIds),
+    latestByClient('client_calibration_runs', clientIds),
+    latestByClient('client_weekly_briefs', clientIds),
+    ytIds.length
+      ? supabase.from('youtube_oauth_connections')
+        .select('youtube_channel_id, connection_error, last_refreshed_at, updated_at')
+        .in('youtube_channel_id', ytIds)
+        .order('last_refreshed_at', { ascending: false, nullsFirst: false })
+      : { data: [] },
+    supabase.from('client_channels').select('client_id').in('client_id', clientIds).eq('cohort_role', 'peer'),
+    supabase.from('client_install_intake')
+      .select('client_id, source, submitted_at')
+      .in('client_id', clientIds)
+      .in('source', ['client', 'pre_populated'])
+      .is('confirmed_by_strategist_at', null),
+    loadIntakeTokensByClient(clientIds, now),
+    loadCommentSweepsByClient(clientIds),
+  ]);
+
+  const connByYt = {};
+  for (const c of conns.data || []) if (!connByYt[c.youtube_channel_id]) connByYt[c.youtube_channel_id] = c;
+  const peerCount = {};
+  for (const p of peers.data || []) peerCount[p.client_id] = (peerCount[p.client_id] || 0) + 1;
+  const pending = groupIntakePending(intake.data);
+
+  const byClient = {};
+  for (const clientId of clientIds) {
+    const ytId = clientMeta[clientId]?.youtube_channel_id;
+    byClient[clientId] = {
+      audit:            audits[clientId],
+      calibration:      calibrations[clientId],
+      brief:            briefs[clientId],
+      connection:       ytId ? connByYt[ytId] || null : null,
+      peerChannelCount: peerCount[clientId] || 0,
+      intakePending:    pending[clientId],
+      intakeTokens:     intakeTokens[clientId],
+      commentSweep:     commentSweeps[clientId],
+    };
+  }
+  return byClient;
+}
+
+async function latestByClient(table, clientIds) {
+  const { data, error } = await supabase
+    .from(table)
+    .select('client_id, id, created_at')
+    .in('client_id', clientIds)
+    .is('archived_at', null)
+    .order('created_at', { ascending: false });
+  if (error) console.warn(`[Alert Delivery] load ${table} failed:`, error);
+  const map = {};
+  for (const r of data || []) if (!map[r.client_id]) map[r.client_id] = r;
+  return map;
+}
+
+/**
+ * Open invites live or expired within the lookback window, with their
+ * reminder history; redeemed ones only feed supersededInviteIds.
+ */
+async function loadRecentInvites(now) {
+  const { data, error } = await supabase
+    .from('youtube_oauth_invites')
+    .select('id, client_id, client_label, expected_youtube_email, expires_at, created_at, status, redeemed_at, channels:youtube_oauth_invite_channels(status)')
+    .in('status', ['pending', 'expired', 'redeemed'])
+    .gte('expires_at', new Date(now - EXPIRED_LOOKBACK_DAYS * 86_400_000).toISOString());
+  if (error) {
+    console.warn('[Alert Delivery] load invites failed:', error);
+    return { list: [], supersededIds: new Set() };
+  }
+  const rows = data || [];
+  const open = rows.filter(inv => inv.status !== 'redeemed');
+  const reminders = await loadReminders('oauth_invite_id', open.map(inv => inv.id));
+  return {
+    list: open.map(inv => ({ ...inv, reminders: reminders[inv.id] || [] })),
+    supersededIds: supersededInviteIds(rows),
+  };
+}
+
+async function loadIntakeTokensByClient(clientIds, now) {
+  const { data, error } = await supabase
+    .from('install_intake_tokens')
+    .select('id, client_id, created_at, expires_at, first_accessed_at, last_submitted_at, intended_recipient_name, intended_recipient_email')
+    .in('client_id', clientIds)
+    .is('revoked_at', null)
+    .gte('expires_at', new Date(now - EXPIRED_LOOKBACK_DAYS * 86_400_000).toISOString())
+    .order('created_at', { ascending: true });
+  if (error) console.warn('[Alert Delivery] load install_intake_tokens failed:', error);
+
+  const byClient = groupIntakeTokens(data, now);
+  const remindable = remindableTokens(byClient);
+  const reminders = await loadReminders('intake_token_id', remindable.map(t => t.id));
+  for (const t of remindable) t.reminders = reminders[t.id] || [];
+  return byClient;
+}
+
+/** invite-reminders outbox rows per subject, newest first. */
+async function loadReminders(column, ids) {
+  if (!ids.length) return {};
+  const { data, error } = await supabase
+    .from('notification_outbox')
+    .select(`template, recipient_role, recipient_email, status, transport, attempts, last_error, created_at, sent_at, ${column}`)
+    .in(column, ids)
+    .order('created_at', { ascending: false });
+  if (error) {
+    console.warn('[Alert Delivery] load reminders failed:', error);
+    return {};
+  }
+  const out = {};
+  for (const r of data || []) (out[r[column]] ||= []).push(r);
+  return out;
+}
+
+async function loadCommentSweepsByClient(clientIds) {
+  const [{ data: settings }, { data: links }] = await Promise.all([
+    supabase.from('channels').select('id, comment_resweep_cadence_days, last_comment_resweep_error').in('id', clientIds),
+    supabase.from('client_channels').select('client_id, channel_id').in('client_id', clientIds).eq('cohort_role', 'peer'),
+  ]);
+  const peerIds = [...new Set((links || []).map(l => l.channel_id))];
+  if (!peerIds.length) return {};
+
+  const [{ data: peers }, { data: sweeps }] = await Promise.all([
+    supabase.from('channels').select('id, name').in('id', peerIds).eq('is_competitor', true),
+    supabase.from('client_comment_sweeps')
+      .select('client_id, competitor_channel_id, completed_at')
+      .in('client_id', clientIds)
+      .eq('status', 'complete')
+      .order('completed_at', { ascending: false }),
+  ]);
+  return groupCommentSweeps(clientIds, { settings, links, peers, sweeps });
+}
+
+/**
+ * Undismissed competitor_alerts from the lookback window on channels
+ * in any of the clients' cohorts, tagged with those client ids.
+ */
+async function loadCompetitorAlerts(clientIds, clientMeta, now) {
+  if (!clientIds.length) return [];
+  const { data: links, error: linkErr } = await supabase
+    .from('client_channels')
+    .select('client_id, channel_id')
+    .in('client_id', clientIds);
+  if (linkErr) {
+    console.warn('[Alert Delivery] load client_channels failed:', linkErr);
+    return [];
+  }
+  const clientsByChannel = {};
+  for (const l of links || []) {
+    if (!clientMeta[l.client_id]) continue;
+    (clientsByChannel[l.channel_id] ||= new Set()).add(l.client_id);
+  }
+  const channelIds = Object.keys(clientsByChannel);
+  if (!channelIds.length) return [];
+
+  const { data, error } = await supabase
+    .from('competitor_alerts')
+    .select('id, channel_id, video_id, alert_type, payload, generated_at')
+    .in('channel_id', channelIds)
+    .is('dismissed_at', null)
+    .gte('generated_at', new Date(now - COMPETITOR_LOOKBACK_MS).toISOString())
+    .order('generated_at', { ascending: false })
+    .limit(1000);
+  if (error) {
+    console.warn('[Alert Delivery] load competitor_alerts failed:', error);
+    return [];
+  }
+  return (data || []).map(a => ({
+    key: `competitor-${a.id}`,
+    source: 'competitor',
+    clientIds: [...clientsByChannel[a.channel_id]],
+    severity: competitorAlertSeverity(a),
+    type: a.alert_type,
+    label: competitorAlertLabel(a),
+    description: describeCompetitorAlert(a),
+    targetTab: 'research-v2',
+    createdAt: a.generated_at,
+  }));
+}
+
+/**
+ * Set of thisWeekRules.makeDismissKey keys for snoozes still in effect
+ * on these clients, global (NULL client_id) snoozes included — the
+ * service-role twin of alertDismissService.loadActiveDismissals.
+ */
+async function loadActiveDismissals(clientIds) {
+  const keys = new Set();
+  let query = supabase
+    .from('alert_dismissals')
+    .select('client_id, alert_type')
+    .or(`snooze_until.is.null,snooze_until.gt.${new Date().toISOString()}`);
+  query = clientIds.length
+    ? query.or(`client_id.is.null,client_id.in.(${clientIds.join(',')})`)
+    : query.is('client_id', null);
+  const { data, error } = await query;
+  if (error) {
+    console.warn('[Alert Delivery] load dismissals failed:', error);
+    return keys;
+  }
+  for (const r of data || []) keys.add(makeDismissKey(r.client_id, r.alert_type));
+  return keys;
+}
+
+// ──────────────────────────────────────────────────
+// 2) Queue
+// ──────────────────────────────────────────────────
+
+function collectInstant(sub, matched, now, appUrl) {
+  const notBefore = Math.max(new Date(sub.created_at).getTime(), now - INSTANT_FRESH_MS);
+  return matched
+    .filter(a => a.source !== 'competitor' || new Date(a.createdAt).getTime() >= notBefore)
+    .map(a => {
+      const message = renderWebhookMessage(a, appUrl);
+      return {
+        category:              'alert_instant',
+        template:              'alert_webhook',
+        dedupe_key:            `alert_webhook:${sub.id}:${a.key}`,
+        alert_subscription_id: sub.id,
+        client_id:             a.clientIds.length === 1 ? a.clientIds[0] : null,
+        recipient_role:        'subscriber',
+        recipient_email:       null,
+        subject:               message.text,
+        body_text:             `${a.label}\n${a.description}`.trim(),
+        payload:               { alerts: [alertRef(a)], message },
+      };
+    });
+}
+
+async function collectDigest(sub, matched, now, appUrl) {
+  const today = new Date(now).toISOString().slice(0, 10);
+  if (new Date(now).getUTCHours() < DIGEST_HOUR_UTC) return null;
+  if (sub.last_digest_at && sub.last_digest_at.slice(0, 10) === today) return null;
+  if (!matched.length) return null;
+
+  // "New" = competitor alert since the last digest, or a This Week
+  // alert the last digest didn't list.
+  const since = sub.last_digest_at ? new Date(sub.last_digest_at).getTime() : 0;
+  const { data: prev } = await supabase
+    .from('notification_outbox')
+    .select('payload')
+    .eq('alert_subscription_id', sub.id)
+    .eq('category', 'alert_digest')
+    .eq('status', 'sent')
+    .order('created_at', { ascending: false })
+    .limit(1);
+  const previousKeys = new Set((prev?.[0]?.payload?.alerts || []).map(a => a.key));
+  const isNew = (a) => (a.source === 'competitor'
+    ? new Date(a.createdAt).getTime() > since
+    : !previousKeys.has(a.key));
+  const fresh = matched.filter(isNew);
+  if (!fresh.length) return null;
+
+  const items = matched.slice(0, DIGEST_MAX_ITEMS);
+  const { subject, body_text } = renderDigest({ sub, items, total: matched.length, freshKeys: new Set(fresh.map(a => a.key)), appUrl, today });
+  return {
+    category:              'alert_digest',
+    template:              'alert_digest',
+    dedupe_key:            `alert_digest:${sub.id}:${today}`,
+    alert_subscription_id: sub.id,
+    recipient_role:        'subscriber',
+    recipient_email:       sub.email,
+    subject,
+    body_text,
+    payload:               { alerts: items.map(alertRef), new_count: fresh.length, total: matched.length },
+  };
+}
+
+function alertRef(a) {
+  return { key: a.key, type: a.type, severity: a.severity, client_ids: a.clientIds, ...(a.global ? { global: true } : {}) };
+}
+
+async function queueDeliveries(rows) {
+  if (!rows.length) return 0;
+  const { data, error } = await supabase
+    .from('notification_outbox')
+    .upsert(rows, { onConflict: 'dedupe_key', ignoreDuplicates: true })
+    .select('id');
+  if (error) {
+    console.warn('[Alert Delivery] queue failed:', error);
+    return 0;
+  }
+  return (data || []).length;
+}
+
+// ──────────────────────────────────────────────────
+// Templates
+// ──────────────────────────────────────────────────
+
+const SEVERITY_BADGES = { high: ':red_circle: High', medium: ':large_orange_circle: Medium', low: ':large_green_circle: Low' };
+
+/**
+ * Slack incoming-webhook body. `text` is the notification fallback;
+ * blocks carry the formatted message.
+ */
+function renderWebhookMessage(a, appUrl) {
+  const url = `${appUrl}/?tab=${encodeURIComponent(a.targetTab)}`;
+  const title = `${a.clientName} — ${a.label}`;
+  return {
+    text: `[${capitalize(a.severity)}] ${title}`,
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*<${url}|${slackEscape(title)}>*${a.description ? `\n${slackEscape(a.description)}` : ''}` },
+      },
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: `${SEVERITY_BADGES[a.severity] || a.severity} · ${a.source === 'competitor' ? 'Movement' : 'This Week'} · ${formatDate(a.createdAt)}`,
+        }],
+      },
+    ],
+  };
+}
+
+function renderDigest({ sub, items, total, freshKeys, appUrl, today }) {
+  const lines = [
+    `${freshKeys.size} new alert${freshKeys.size === 1 ? '' : 's'} since your last digest, ${total} open in total.`,
+    '',
+  ];
+  for (const severity of ['high', 'medium', 'low']) {
+    const group = items.filter(a => a.severity === severity);
+    if (!group.length) continue;
+    lines.push(`${capitalize(severity).toUpperCase()} (${group.length})`);
+    for (const a of group) {
+      lines.push(`${freshKeys.has(a.key) ? '* NEW ' : '* '}${a.clientName} — ${a.label}`);
+      if (a.description) lines.push(`  ${a.description}`);
+      lines.push(`  ${appUrl}/?tab=${encodeURIComponent(a.targetTab)}`);
+    }
+    lines.push('');
+  }
+  if (total > items.length) lines.push(`…and ${total - items.length} more in Operate → This Week.`, '');
+  lines.push(
+    `You're receiving this because of the "${sub.label || 'Daily digest'}" subscription in Crux.`,
+    'Snoozing an alert in This Week also keeps it out of future digests. Manage delivery in Settings → Alert Delivery.',
+  );
+  return {
+    subject: `Crux alerts ${formatDate(today)}: ${freshKeys.size} new${items.some(a => a.severity === 'high') ? ', high severity open' : ''}`,
+    body_text: lines.join('\n'),
+  };
+}
+
+// ──────────────────────────────────────────────────
+// 3) Drain
+// ──────────────────────────────────────────────────
+
+async function drainOutbox(now) {
+  const counts = { sent: 0, retrying: 0, failed: 0, skipped: 0 };
+  const { data: rows, error } = await supabase
+    .from('notification_outbox')
+    .select('*')
+    .in('category', ['alert_instant', 'alert_digest'])
+    .eq('status', 'queued')
+    .lte('next_attempt_at', new Date(now).toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(MAX_SEND_PER_RUN);
+  if (error) {
+    console.warn('[Alert Delivery] load outbox failed:', error);
+    return counts;
+  }
+  if (!rows?.length) return counts;
+
+  const subIds = [...new Set(rows.map(r => r.alert_subscription_id))];
+  const { data: subs } = await supabase.from('alert_subscriptions').select('*').in('id', subIds);
+  const subsById = Object.fromEntries((subs || []).map(s => [s.id, s]));
+  const clientIds = [...new Set(rows.flatMap(r => (r.payload?.alerts || []).flatMap(a => a.client_ids || [])))];
+  const dismissKeys = await loadActiveDismissals(clientIds);
+
+  for (const row of rows) {
+    const sub = subsById[row.alert_subscription_id];
+    const skipReason = !sub || !sub.enabled
+      ? 'subscription disabled before send'
+      : allSnoozed(row, dismissKeys) ? 'alert snoozed before send' : null;
+    if (skipReason) {
+      await supabase.from('notification_outbox')
+        .update({ status: 'skipped', last_error: skipReason })
+        .eq('id', row.id);
+      counts.skipped++;
+      continue;
+    }
+    const outcome = await deliverRow(row, sub, { retry: true });
+    counts[outcome]++;
+  }
+  return counts;
+}
+
+function allSnoozed(row, dismissKeys) {
+  const alerts = row.payload?.alerts || [];
+  if (!alerts.length) return false;
+  return alerts.every(a => (a.global
+    ? dismissKeys.has(makeDismissKey(null, a.type))
+    : (a.client_ids || []).every(id => dismissKeys.has(makeDismissKey(id, a.type)))));
+}
+
+/**
+ * Send one outbox row and record the outcome on the row and the
+ * subscription. Returns 'sent' | 'retrying' | 'failed'.
+ */
+async function deliverRow(row, sub, { retry }) {
+  const transport = row.category === 'alert_instant' ? 'webhook' : resolveTransport('[Alert Delivery]');
+  const attempts = row.attempts + 1;
+  try {
+    if (row.category === 'alert_instant') await sendToSubscriptionWebhook(row, sub);
+    else await sendViaTransport(transport, row, { logTag: '[Alert Delivery]' });
+
+    const sentAt = new Date().toISOString();
+    await supabase.from('notification_outbox')
+      .update({ status: 'sent', transport, attempts, sent_at: sentAt, last_error: null })
+      .eq('id', row.id);
+    const patch = { last_delivered_at: sentAt, last_error: null };
+    if (row.category === 'alert_digest' && !row.payload?.test) patch.last_digest_at = sentAt;
+    await supabase.from('alert_subscriptions').update(patch).eq('id', sub.id);
+    return 'sent';
+  } catch (err) {
+    const message = String(err?.message || err).slice(0, 500);
+    const giveUp = !retry || attempts >= MAX_ATTEMPTS;
+    await supabase.from('notification_outbox')
+      .update({
+        status:          giveUp ? 'failed' : 'queued',
+        transport,
+        attempts,
+        last_error:      message,
+        next_attempt_at: new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString(),
+      })
+      .eq('id', row.id);
+    await supabase.from('alert_subscriptions').update({ last_error: message }).eq('id', sub.id);
+    console.warn(`[Alert Delivery] ${transport} send failed for ${row.dedupe_key} (attempt ${attempts}):`, err?.message || err);
+    return giveUp ? 'failed' : 'retrying';
+  }
+}
+
+// ──────────────────────────────────────────────────
+// Test send
+// ──────────────────────────────────────────────────
+
+async function handleTestSend(req, res, appUrl) {
+  const user = await resolveUser(req);
+  if (!user) return res.status(401).json({ success: false, error: 'Sign in to send a test' });
+
+  const { data: sub, error } = await supabase
+    .from('alert_subscriptions')
+    .select('*')
+    .eq('id', req.query.test)
+    .maybeSingle();
+  if (error || !sub || sub.user_id !== user.id) {
+    return res.status(404).json({ success: false, error: 'Subscription not found' });
+  }
+
+  const sample = {
+    key: 'test', source: 'this_week', clientIds: [], clientName: 'Crux',
+    severity: 'low', type: 'test', label: 'Test alert',
+    description: `Alert delivery for "${sub.label || (sub.delivery === 'webhook' ? 'webhook' : 'digest')}" is working. Matching alerts will arrive here.`,
+    targetTab: 'this-week', createdAt: new Date().toISOString(),
+  };
+  const base = {
+    dedupe_key:            `alert_test:${sub.id}:${Date.now()}`,
+    alert_subscription_id: sub.id,
+    recipient_role:        'subscriber',
+    payload:               { test: true, alerts: [] },
+  };
+  const row = sub.delivery === 'webhook'
+    ? (() => {
+      const message = renderWebhookMessage(sample, appUrl);
+      return { ...base, category: 'alert_instant', template: 'alert_webhook', subject: message.text, body_text: sample.description, payload: { ...base.payload, message } };
+    })()
+    : { ...base, category: 'alert_digest', template: 'alert_digest', recipient_email: sub.email,
+      subject: 'Crux alerts: test digest', body_text: `${sample.description}\n\nManage delivery in Settings → Alert Delivery.` };
+
+  const { data: inserted, error: insertErr } = await supabase
+    .from('notification_outbox')
+    .insert(row)
+    .select('*')
+    .single();
+  if (insertErr) {
+    console.warn('[Alert Delivery] test queue failed:', insertErr);
+    return res.status(500).json({ success: false, error: insertErr.message });
+  }
+
+  const outcome = await deliverRow(inserted, sub, { retry: false });
+  if (outcome !== 'sent') {
+    const { data: failed } = await supabase.from('notification_outbox').select('last_error').eq('id', inserted.id).maybeSingle();
+    return res.status(502).json({ success: false, error: failed?.last_error || 'Delivery failed' });
+  }
+  return res.status(200).json({
+    success: true,
+    transport: sub.delivery === 'webhook' ? 'webhook' : resolveTransport('[Alert Delivery]'),
+  });
+}
+
+async function resolveUser(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith('Bearer ')) return null;
+  try {
+    const { data: { user } } = await supabase.auth.getUser(authHeader.slice(7));
+    return user || null;
+  } catch {
+    return null;
+  }
+}
+
+// ──────────────────────────────────────────────────
+// Transports
+// ──────────────────────────────────────────────────
+
+async function sendToSubscriptionWebhook(row, sub) {
+  let url;
+  try { url = new URL(sub.webhook_url || ''); } catch { throw new Error('subscription has no valid webhook URL'); }
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && process.env.NODE_ENV !== 'production')) {
+    throw new Error('webhook URL must be https');
+  }
+  const message = row.payload?.message || { text: row.subject };
+  await postJson(url.toString(), message, { 'Content-Type': 'application/json' });
+}
+
+// ──────────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────────
+
+// Slack mrkdwn control characters.
+function slackEscape(s) {
+  return String(s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function capitalize(s) {
+  return s ? s[0].toUpperCase() + s.slice(1) : '';
+}
+
+function formatDate(iso) {
+  return iso
+    ? new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })
+    : '';
+}
@@ -0,0 +1,240 @@
+/**
+ * category-norms — weekly category benchmark snapshots (migration 120).
+ *
+ * Research v2's inline norms (researchV2Service.computeCategoryNorms)
+ * are computed on read and never kept. Once a week this freezes them:
+ * for every priority / tracked competitor it derives the same 30-day
+ * metrics fetchLandscapeChannels does — median views per video,
+ * engagement rate, view velocity, uploads per week, Shorts share —
+ * groups channels by direct category and upserts one
+ * category_norm_snapshots row per (category, week_start).
+ *
+ * Runs Mondays after the daily sync so the week's row reflects fresh
+ * counts. Re-running in the same week overwrites that week's rows.
+ *
+ * Manual: GET /api/cron/category-norms?manual=true[&dryRun=true]
+ * (dryRun writes nothing and returns the rows it would upsert).
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+// Mirror of src/services/researchV2Service.js — keep in sync.
+const SHORTS_DURATION_THRESHOLD = 180; // seconds
+const WINDOW_DAYS = 30;
+const TIERS = ['priority', 'tracked'];
+
+const NORM_METRICS = [
+  { key: 'medianViews',    column: 'median_views',     positiveOnly: true },
+  { key: 'engagementRate', column: 'engagement_rate',  positiveOnly: true },
+  { key: 'viewVelocity',   column: 'view_velocity',    positiveOnly: true },
+  { key: 'uploadsPerWeek', column: 'uploads_per_week', positiveOnly: false },
+  { key: 'shortsShare',    column: 'shorts_share',     positiveOnly: false },
+];
+
+// Mirror of statsHelpers CONFIDENCE.categoryNorm
+const NORM_CONFIDENCE = { hide: 5, statistical: 20 };
+
+const ID_CHUNK = 200;
+const PAGE = 1000;
+
+export default async function handler(req, res) {
+  const authHeader = req.headers.authorization;
+  const manualTrigger = req.query?.manual === 'true';
+  if (authHeader !== `Bearer ${process.env.CRON_SECRET}` && !manualTrigger) {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  const startTime = Date.now();
+  const dryRun = req.query?.dryRun === 'true';
+  console.log(`[Category Norms] Starting${dryRun ? ' (dry run)' : ''}...`);
+
+  try {
+    const now = new Date();
+    const weekStart = weekStartOf(now);
+    const channels = await loadChannelMetrics(now);
+    const rows = buildNormRows(channels, weekStart, now);
+
+    if (!dryRun && rows.length) {
+      const { error } = await supabase
+        .from('category_norm_snapshots')
+        .upsert(rows, { onConflict: 'category_id,week_start' });
+      if (error) throw error;
+    }
+
+    const duration = Date.now() - startTime;
+    console.log(`[Category Norms] ${rows.length} categories, ${channels.length} channels, week ${weekStart} (${duration}ms)`);
+    return res.status(200).json({
+      success: true,
+      dryRun,
+      weekStart,
+      channels: channels.length,
+      categories: rows.length,
+      ...(dryRun ? { rows } : {}),
+      duration,
+    });
+  } catch (err) {
+    console.error('[Category Norms] Run failed:', err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+// ──────────────────────────────────────────────────
+// Per-channel metrics — mirror of fetchLandscapeChannels
+// ──────────────────────────────────────────────────
+
+async function loadChannelMetrics(now) {
+  const { data: channels, error } = await supabase
+    .from('channels')
+    .select('id, subscriber_count, total_view_count')
+    .eq('is_competitor', true)
+    .in('tier', TIERS);
+  if (error) throw error;
+  if (!channels?.length) return [];
+
+  const windowStart = new Date(now.getTime() - WINDOW_DAYS * 86400000).toISOString();
+  const dateStart = windowStart.split('T')[0];
+  const ids = channels.map(c => c.id);
+
+  const catsByChannel = {};
+  const videosByChannel = {};
+  const oldestSnapByChannel = {};
+  const earliestByChannel = {};
+
+  for (let i = 0; i < ids.length; i += ID_CHUNK) {
+    const chunk = ids.slice(i, i + ID_CHUNK);
+
+    const catRows = await pageAll(() => supabase
+      .from('channel_categories')
+      .select('channel_id, category_id')
+      .in('channel_id', chunk)
+      .order('channel_id', { ascending: true }));
+    for (const r of catRows) (catsByChannel[r.channel_id] ||= []).push(r.category_id);
+
+    const videos = await pageAll(() => supabase
+      .from('videos')
+      .select('id, channel_id, view_count, like_count, comment_count, duration_seconds, published_at')
+      .in('channel_id', chunk)
+      .gte('published_at', windowStart)
+      .lte('published_at', now.toISOString())
+      .order('id', { ascending: true }));
+    for (const v of videos) (videosByChannel[v.channel_id] ||= []).push(v);
+
+    const snaps = await pageAll(() => supabase
+      .from('channel_snapshots')
+      .select('channel_id, snapshot_date, total_view_count')
+      .in('channel_id', chunk)
+      .gte('snapshot_date', dateStart)
+      .order('snapshot_date', { ascending: true }));
+    for (const s of snaps) {
+      if (!oldestSnapByChannel[s.channel_id]) oldestSnapByChannel[s.channel_id] = s;
+    }
+
+    const { data: earliestRows } = await supabase
+      .rpc('channel_earliest_video', { ids: chunk });
+    for (const r of (earliestRows || [])) {
+      if (r.earliest) earliestByChannel[r.channel_id] = new Date(r.earliest).getTime();
+    }
+  }
+
+  return channels
+    .filter(ch => catsByChannel[ch.id]?.length)
+    .map(ch => {
+      const vids = videosByChannel[ch.id] || [];
+      const views = vids.map(v => v.view_count || 0).filter(n => n > 0);
+      const totalEng = vids.reduce((s, v) => {
+        if (!v.view_count) return s;
+        return s + ((v.like_count || 0) + (v.comment_count || 0));
+      }, 0);
+      const totalVw = vids.reduce((s, v) => s + (v.view_count || 0), 0);
+
+      let viewVelocity = null;
+      const oldest = oldestSnapByChannel[ch.id];
+      if (oldest?.total_view_count != null && ch.total_view_count != null) {
+        const daysBetween = Math.max(1, (now.getTime() - new Date(oldest.snapshot_date).getTime()) / 86400000);
+        viewVelocity = (ch.total_view_count - oldest.total_view_count) / daysBetween;
+      }
+
+      const shortCount = vids.filter(v => (v.duration_seconds || 0) <= SHORTS_DURATION_THRESHOLD).length;
+      const earliestMs = earliestByChannel[ch.id];
+      const channelAgeDays = earliestMs != null ? (now.getTime() - earliestMs) / 86400000 : WINDOW_DAYS;
+      const effectiveWindowDays = Math.max(7, Math.min(WINDOW_DAYS, channelAgeDays));
+
+      return {
+        id: ch.id,
+        categoryIds: catsByChannel[ch.id],
+        medianViews: views.length > 0 ? median(views) : null,
+        engagementRate: totalVw > 0 ? totalEng / totalVw : null,
+        viewVelocity,
+        uploadsPerWeek: vids.length > 0 ? vids.length / (effectiveWindowDays / 7) : 0,
+        shortsShare: vids.length > 0 ? shortCount / vids.length : null,
+      };
+    });
+}
+
+// ──────────────────────────────────────────────────
+// Norms — mirror of computeCategoryNorms, without the n<5 cut
+// ──────────────────────────────────────────────────
+
+function buildNormRows(channels, weekStart, now) {
+  const byCategory = {};
+  for (const ch of channels) {
+    for (const catId of ch.categoryIds) (byCategory[catId] ||= []).push(ch);
+  }
+
+  return Object.entries(byCategory).map(([categoryId, members]) => {
+    const row = {
+      category_id: categoryId,
+      week_start: weekStart,
+      computed_at: now.toISOString(),
+      window_days: WINDOW_DAYS,
+      n: members.length,
+      confidence: labelConfidence(members.length),
+    };
+    for (const m of NORM_METRICS) {
+      const values = members
+        .map(c => c[m.key])
+        .filter(v => v != null && (m.positiveOnly ? v > 0 : v >= 0));
+      row[m.column] = median(values);
+      row[`${m.column}_n`] = values.length;
+    }
+    return row;
+  });
+}
+
+function labelConfidence(n) {
+  if (n < NORM_CONFIDENCE.hide) return 'insufficient';
+  if (n < NORM_CONFIDENCE.statistical) return 'directional';
+  return 'statistical';
+}
+
+// ----- helpers -----
+
+function weekStartOf(date) {
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().split('T')[0];
+}
+
+async function pageAll(build) {
+  const out = [];
+  for (let page = 0; ; page++) {
+    const { data, error } = await build().range(page * PAGE, page * PAGE + PAGE - 1);
+    if (error) throw error;
+    out.push(...(data || []));
+    if (!data || data.length < PAGE) return out;
+  }
+}
+
+function median(nums) {
+  if (!nums?.length) return null;
+  const sorted = [...nums].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
@@ -0,0 +1,329 @@
+/**
+ * comment-resweep — scheduled competitor-comment re-sweeps (migration 112).
+ *
+ * Opt-in per client: channels.comment_resweep_cadence_days (set from
+ * Strategy → Audience → Competitor comment sweep). Runs daily; a client
+ * is due when its cadence has elapsed since last_comment_resweep_at
+ * (or it never ran). For each due client, every peer-tagged competitor
+ * in client_channels is swept through the same /api/youtube-comment-sweep
+ * endpoint the on-demand sweep uses, one channel at a time.
+ *
+ * A scheduled sweep persists ONLY signals whose comment_youtube_id no
+ * earlier sweep of that client × competitor surfaced — starred, merged
+ * and dismissed comments never come back into the review queue. The
+ * sweep row still records new_signals_count / repeat_signals_skipped
+ * and previous_sweep_id so the UI can say "N new since last sweep".
+ *
+ * No theme clustering here: that path needs the embeddings proxy and an
+ * LLM pass with a user token. Strategists run "Sweep all peers" when
+ * they want themes; the cron only keeps the raw signal stream current.
+ *
+ * Budget: ~12 quota units per peer at default size. Clients are taken
+ * oldest-run first and capped per invocation so one run stays well
+ * inside the 300s function budget; the rest are picked up tomorrow.
+ *
+ * Manual: GET /api/cron/comment-resweep?manual=true[&clientId=<uuid>]
+ * (clientId forces that client regardless of cadence).
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+const MAX_CLIENTS_PER_RUN  = 8;
+const PER_SWEEP_TIMEOUT_MS = 60_000;
+const RUN_BUDGET_MS        = 240_000;
+const MAX_VIDEOS             = 10;
+const MAX_COMMENTS_PER_VIDEO = 50;
+
+export default async function handler(req, res) {
+  const authHeader = req.headers.authorization;
+  const manualTrigger = req.query?.manual === 'true';
+  if (authHeader !== `Bearer ${process.env.CRON_SECRET}` && !manualTrigger) {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  const startTime = Date.now();
+  const onlyClientId = req.query?.clientId || null;
+  console.log('[Comment Resweep] Starting...');
+
+  // Same base-URL resolution as sync-fanout: the production alias is
+  // exempt from deployment protection, the per-deployment host isn't.
+  const proto = req.headers['x-forwarded-proto'] || 'https';
+  const baseUrl = process.env.BASE_URL
+    || (process.env.VERCEL_PROJECT_PRODUCTION_URL ? `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}` : null)
+    || `${proto}://${req.headers.host}`;
+
+  // 1) Due clients
+  let q = supabase
+    .from('channels')
+    .select('id, name, comment_resweep_cadence_days, last_comment_resweep_at');
+  q = onlyClientId
+    ? q.eq('id', onlyClientId)
+    : q.not('comment_resweep_cadence_days', 'is', null);
+  const { data: clients, error: loadErr } = await q
+    .order('last_comment_resweep_at', { ascending: true, nullsFirst: true });
+
+  if (loadErr) {
+    console.error('[Comment Resweep] Failed to load clients:', loadErr);
+    return res.status(500).json({ success: false, error: loadErr.message });
+  }
+
+  const due = (clients || [])
+    .filter(c => onlyClientId || isDue(c, startTime))
+    .slice(0, MAX_CLIENTS_PER_RUN);
+
+  if (!due.length) {
+    console.log('[Comment Resweep] No clients due');
+    return res.status(200).json({ success: true, message: 'No clients due', clients: 0, duration: Date.now() - startTime });
+  }
+
+  // 2) Sweep each due client's peers, sequentially.
+  const results = [];
+  for (const client of due) {
+    if (Date.now() - startTime > RUN_BUDGET_MS) {
+      results.push({ clientId: client.id, clientName: client.name, skipped: 'run budget exhausted — picked up next run' });
+      continue;
+    }
+    results.push(await resweepClient(client, baseUrl, startTime));
+  }
+
+  const duration = Date.now() - startTime;
+  const swept = results.filter(r => !r.skipped);
+  console.log(
+    `[Comment Resweep] Complete in ${duration}ms — ${swept.length}/${due.length} clients, ` +
+    `${swept.reduce((s, r) => s + (r.newSignals || 0), 0)} new signals`
+  );
+
+  return res.status(200).json({ success: true, clients: due.length, duration, results });
+}
+
+function isDue(client, now) {
+  if (!client.comment_resweep_cadence_days) return false;
+  if (!client.last_comment_resweep_at) return true;
+  const ageMs = now - new Date(client.last_comment_resweep_at).getTime();
+  // Half-day slack so a daily cron with a 7-day cadence doesn't drift
+  // to 8 days when yesterday's run finished a few minutes late.
+  return ageMs >= (client.comment_resweep_cadence_days - 0.5) * 86_400_000;
+}
+
+// ──────────────────────────────────────────────────
+// Per-client re-sweep
+// ──────────────────────────────────────────────────
+
+async function resweepClient(client, baseUrl, runStart) {
+  const { data: links } = await supabase
+    .from('client_channels')
+    .select('channel_id')
+    .eq('client_id', client.id)
+    .eq('cohort_role', 'peer');
+  const linkedIds = (links || []).map(l => l.channel_id);
+
+  const { data: peers } = linkedIds.length
+    ? await supabase
+      .from('channels')
+      .select('id, name, youtube_channel_id')
+      .in('id', linkedIds)
+      .eq('is_competitor', true)
+      .not('youtube_channel_id', 'is', null)
+    : { data: [] };
+
+  const channelResults = [];
+  for (const peer of (peers || [])) {
+    if (Date.now() - runStart > RUN_BUDGET_MS) {
+      channelResults.push({ channelId: peer.id, name: peer.name, ok: false, error: 'run budget exhausted' });
+      continue;
+    }
+    channelResults.push(await resweepChannel(client.id, peer, baseUrl));
+  }
+
+  const failed = channelResults.filter(r => !r.ok);
+  const anyOk  = channelResults.some(r => r.ok);
+  const error  = !peers?.length
+    ? 'No peer-tagged competitor channels to re-sweep'
+    : failed.length
+      ? `${failed.length}/${channelResults.length} peer sweeps failed: ${failed.map(f => `${f.name}: ${f.error}`).join('; ')}`.slice(0, 500)
+      : null;
+
+  // No peers is a settled outcome, not a failure to retry: advance the
+  // clock so the client waits a full cadence (the note still shows in
+  // the UI) instead of taking a slot in every daily run.
+  const patch = { last_comment_resweep_error: error };
+  if (anyOk || !peers?.length) patch.last_comment_resweep_at = new Date().toISOString();
+  await supabase.from('channels').update(patch).eq('id', client.id);
+
+  return {
+    clientId:   client.id,
+    clientName: client.name,
+    peers:      channelResults.length,
+    failed:     failed.length,
+    newSignals: channelResults.reduce((s, r) => s + (r.newSignals || 0), 0),
+    error,
+    channels:   channelResults,
+  };
+}
+
+async function resweepChannel(clientId, peer, baseUrl) {
+  const { data: sweep, error: createErr } = await supabase
+    .from('client_comment_sweeps')
+    .insert({
+      client_id:              clientId,
+      competitor_channel_id:  peer.id,
+      competitor_youtube_id:  peer.youtube_channel_id,
+      competitor_name:        peer.name || null,
+      status:                 'fetching',
+      trigger:                'scheduled',
+      created_by:             'cron:comment-resweep',
+      max_videos:             MAX_VIDEOS,
+      max_comments_per_video: MAX_COMMENTS_PER_VIDEO,
+    })
+    .select('id')
+    .single();
+  if (createErr || !sweep) {
+    return { channelId: peer.id, name: peer.name, ok: false, error: createErr?.message || 'could not create sweep row' };
+  }
+
+  try {
+    const fetched = await fetchComments(baseUrl, peer.youtube_channel_id);
+    if (!fetched.ok) throw new Error(fetched.error || 'fetch failed');
+
+    const comments = fetched.comments || [];
+    const classified = comments.map(c => ({ ...c, signalType: classifySingle(c.text || '') }));
+    const actionable = classified.filter(c => c.signalType !== 'general');
+
+    const prior = await loadPriorSweepState(clientId, peer.id, sweep.id);
+    const fresh = actionable.filter(c => !c.commentId || !prior.seenCommentIds.has(c.commentId));
+
+    if (fresh.length) {
+      const { error: insErr } = await supabase
+        .from('client_comment_signals')
+        .insert(fresh.map(c => ({
+          sweep_id:                  sweep.id,
+          client_id:                 clientId,
+          signal_type:               c.signalType,
+          comment_text:              c.text,
+          comment_youtube_id:        c.commentId || null,
+          author:                    c.author || null,
+          like_count:                c.likeCount || 0,
+          comment_published_at:      c.publishedAt || null,
+          source_video_youtube_id:   c.videoId,
+          source_video_title:        c.videoTitle || null,
+          source_video_published_at: c.videoPublishedAt || null,
+        })));
+      if (insErr) throw new Error(`signal insert failed: ${insErr.message}`);
+    }
+
+    await supabase
+      .from('client_comment_sweeps')
+      .update({
+        status:                 'complete',
+        status_message:         null,
+        videos_sampled:         fetched.videosSampled || 0,
+        comments_fetched:       fetched.commentsFetched || 0,
+        signals_extracted:      fresh.length,
+        questions_count:        classified.filter(c => c.signalType === 'question').length,
+        content_requests_count: classified.filter(c => c.signalType === 'content_request').length,
+        previous_sweep_id:      prior.previousSweepId,
+        new_signals_count:      fresh.length,
+        repeat_signals_skipped: actionable.length - fresh.length,
+        completed_at:           new Date().toISOString(),
+      })
+      .eq('id', sweep.id);
+
+    return { channelId: peer.id, name: peer.name, ok: true, sweepId: sweep.id, newSignals: fresh.length, repeats: actionable.length - fresh.length };
+  } catch (err) {
+    console.warn(`[Comment Resweep] ${peer.name} failed:`, err?.message);
+    await supabase
+      .from('client_comment_sweeps')
+      .update({
+        status:         'error',
+        status_message: (err?.message || 'unknown error').slice(0, 500),
+        completed_at:   new Date().toISOString(),
+      })
+      .eq('id', sweep.id);
+    return { channelId: peer.id, name: peer.name, ok: false, sweepId: sweep.id, error: err?.message || 'unknown error' };
+  }
+}
+
+async function fetchComments(baseUrl, youtubeChannelId) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PER_SWEEP_TIMEOUT_MS);
+  try {
+    const resp = await fetch(`${baseUrl}/api/youtube-comment-sweep`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({
+        channelId:           youtubeChannelId,
+        maxVideos:           MAX_VIDEOS,
+        maxCommentsPerVideo: MAX_COMMENTS_PER_VIDEO,
+      }),
+      signal: controller.signal,
+    });
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok) return { ok: false, error: json?.error || `HTTP ${resp.status}` };
+    return json;
+  } catch (err) {
+    return { ok: false, error: err?.name === 'AbortError' ? `timed out after ${PER_SWEEP_TIMEOUT_MS}ms` : err?.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** Mirror of commentSweepService.loadPriorSweepState. */
+async function loadPriorSweepState(clientId, competitorChannelId, excludeSweepId) {
+  const { data: sweeps } = await supabase
+    .from('client_comment_sweeps')
+    .select('id')
+    .eq('client_id', clientId)
+    .eq('competitor_channel_id', competitorChannelId)
+    .eq('status', 'complete')
+    .neq('id', excludeSweepId)
+    .order('completed_at', { ascending: false });
+  const ids = (sweeps || []).map(s => s.id);
+  if (!ids.length) return { previousSweepId: null, seenCommentIds: new Set() };
+
+  const { data: seen } = await supabase
+    .from('client_comment_signals')
+    .select('comment_youtube_id')
+    .in('sweep_id', ids)
+    .not('comment_youtube_id', 'is', null);
+  return {
+    previousSweepId: ids[0],
+    seenCommentIds:  new Set((seen || []).map(r => r.comment_youtube_id)),
+  };
+}
+
+// ──────────────────────────────────────────────────
+// Classification — mirror of commentSweepService.classifySingle.
+// Keep the two pattern lists identical.
+// ──────────────────────────────────────────────────
+
+function classifySingle(text) {
+  const t = text.trim().toLowerCase();
+  if (!t) return 'general';
+  if (REQUEST_PATTERNS.some(rx => rx.test(t))) return 'content_request';
+  if (QUESTION_PATTERNS.some(rx => rx.test(t))) return 'question';
+  if (t.endsWith('?')) return 'question';
+  return 'general';
+}
+
+const REQUEST_PATTERNS = [
+  /\b(can|could|would) you (make|do|cover|talk about|explain|create|film|record)\b/,
+  /\b(please|plz|pls) (make|do|cover|talk about|explain)\b/,
+  /\bwould love (to see|a video|more)\b/,
+  /\b(video|content) (idea|suggestion|request):/,
+  /\b(more|deeper) (videos? )?(on|about)\b/,
+  /\bnext (video|episode) (should|could|please)\b/,
+  /\b(do|make) (a |an )?(video|episode|series) (on|about|covering)\b/,
+];
+
+const QUESTION_PATTERNS = [
+  /^(how|what|why|when|where|which|who)\b/,
+  /^(can|could|would|should|will|do|does|did|is|are|was|were|has|have|had)\b/,
+  /^(anyone|any one) (know|tried|have|has)\b/,
+];
@@ -94,12 +94,21 @@ export default async function handler(req, res) {
           evidence: diagnostics.constraintEvidence,
         } : null;
 
+        // Title-structure findings arrive already FDR-filtered
+        // (patternSignificance via useDiagnostics); their corrected
+        // flags travel with the pattern so the brief UI can show them.
         const topPatterns = (diagnostics?.patterns || []).slice(0, 5).map(p => ({
           type: p.type,
           finding: p.finding,
           recommendation: p.recommendation,
           opportunity: p.opportunity,
           effort: p.effort,
+          ...(p.significance ? {
+            significance: p.significance,
+            pValue: p.pValue,
+            qValue: p.qValue,
+            liftCI: p.liftCI,
+          } : {}),
         }));
 
         // Generate executive narrative via Claude proxy
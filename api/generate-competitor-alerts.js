@@ -3,13 +3,25 @@
  *
  * Scans recent competitor data and writes one row per detected event to
  * the `competitor_alerts` table. Idempotent: won't duplicate a (channel,
- * type) within the last 24h, or duplicate a breakout for the same video.
+ * type) within the last 24h, or duplicate a breakout for the same video
+ * inside its 60-day curve window.
+ * The 116 types key their idempotency on a payload field as well (the
+ * pattern adopted, the last upload before a silence).
  *
  * Alert types:
- *   - breakout      → video.views_at_48h >= 2× channel's median (n>=5)
+ *   - breakout      → video's views at its current age sit >= 2 robust
+ *                     SDs (log space) above the channel's other uploads
+ *                     at the same age, from video_snapshots curves
+ *                     (>=5 reference uploads, expected views >= 100)
  *   - format_shift  → dominant length bucket flipped last 14d vs prior 75d
  *   - rank_change   → channel's 14d view velocity changed >=50% vs prior 14d
  *   - new_entrant   → channel added in last 7 days
+ *   - title_pattern_adoption → >=2 of the last 21d's titles use a title
+ *                     pattern with zero uses in the prior 90d (n>=10)
+ *   - cadence_break → no upload for > 2× the channel's median upload gap
+ *                     (>=6 uploads in 180d, gap floor 3 days)
+ *   - shorts_pivot  → Shorts share of uploads up >=25 pts, last 28d vs
+ *                     prior 90d, and now >=40% of uploads
  *
  * Trigger:
  *   - Manually via UI Refresh button (chained after sync)
@@ -36,6 +48,25 @@ const LENGTH_BUCKETS = [
   { id: 'doc_25p',  min: 1501, max: Infinity },
 ];
 
+// Mirror of TITLE_PATTERNS in src/services/patternsService.js — keep the
+// ids in sync; MovementLens resolves labels from the payload.
+const TITLE_PATTERNS = [
+  { id: 'question', label: 'Contains question mark',     test: (t) => /\?/.test(t) },
+  { id: 'number',   label: 'Contains numbers',           test: (t) => /\d/.test(t) },
+  { id: 'list',     label: 'Numbered list (top N…)',     test: (t) => /\b(top|best)\s+\d+\b/i.test(t) || /\b\d+\s+(ways|reasons|things|tips|secrets|rules)\b/i.test(t) },
+  { id: 'how',      label: 'Starts with "How…"',         test: (t) => /^how\b/i.test(t.trim()) },
+  { id: 'why',      label: 'Starts with "Why…"',         test: (t) => /^why\b/i.test(t.trim()) },
+  { id: 'what',     label: 'Starts with "What…"',        test: (t) => /^what\b/i.test(t.trim()) },
+  { id: 'allcaps',  label: 'ALL CAPS emphasis word',     test: (t) => /\b[A-Z]{4,}\b/.test(t) },
+  { id: 'emoji',    label: 'Contains emoji',             test: (t) => /[\u{1F300}-\u{1FAFF}\u{2600}-\u{27BF}]/u.test(t) },
+  { id: 'colon',    label: 'Contains colon',             test: (t) => /:/.test(t) },
+  { id: 'pipe',     label: 'Contains pipe character',    test: (t) => /\|/.test(t) },
+  { id: 'paren',    label: 'Has parenthetical',          test: (t) => /\([^)]+\)/.test(t) },
+  { id: 'vs',       label: 'Contains "vs" / "versus"',   test: (t) => /\bvs\.?\b|\bversus\b/i.test(t) },
+  { id: 'short',    label: 'Title under 35 chars',       test: (t) => t.trim().length < 35 },
+  { id: 'long',     label: 'Title over 70 chars',        test: (t) => t.trim().length > 70 },
+];
+
 function bucketFor(durationSeconds) {
   const d = durationSeconds || 0;
   return LENGTH_BUCKETS.find(b => d >= b.min && d <= b.max)?.id || 'unknown';
@@ -48,7 +79,9 @@ function median(nums) {
   return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
 }
 
-async function recentAlertExists({ channel_id, alert_type, video_id, hours = 24 }) {
+// payloadMatch narrows the check to alerts whose payload contains the
+// given keys (JSONB @>), e.g. one adoption alert per pattern.
+async function recentAlertExists({ channel_id, alert_type, video_id, payloadMatch, hours = 24 }) {
   const cutoff = new Date(Date.now() - hours * 3600000).toISOString();
   let q = supabase
     .from('competitor_alerts')
@@ -58,13 +91,184 @@ async function recentAlertExists({ channel_id, alert_type, video_id, hours = 24
     .gte('generated_at', cutoff)
     .limit(1);
   if (video_id) q = q.eq('video_id', video_id);
+  if (payloadMatch) q = q.contains('payload', payloadMatch);
   const { data } = await q;
   return (data?.length || 0) > 0;
 }
 
 // ──────────────────────────────────────────────────
-// Breakouts
+// Breakouts — velocity curves
 // ──────────────────────────────────────────────────
+//
+// Mirror of the pure curve functions in src/services/velocityCurveService.js
+// (and CONFIDENCE.velocityCurve in statsHelpers) — keep in sync. A
+// video's cumulative views by age are compared with the channel's other
+// uploads at the same age; z = (log views − median log views) / robust
+// spread. See the service header for the reasoning.
+
+const CURVE_AGES = [1, 2, 3, 5, 7, 10, 14, 21, 30, 45, 60];
+const MAX_CURVE_AGE = 60;
+const BREAKOUT_Z = 2;
+const SPREAD_FLOOR = 0.25;
+const MIN_EXPECTED_VIEWS = 100;
+const REFERENCE_WINDOW_DAYS = 240;
+const REFERENCE_LIMIT = 40;
+const VELOCITY_CONFIDENCE = { hide: 5, statistical: 20 };
+const MAD_TO_SD = 1.4826;
+const AGE_TOLERANCE = 0.5;
+const SNAPSHOT_TIME_UTC = '06:00:00';
+// Only alert on a score read from a point this recent — an upload whose
+// snapshots stopped weeks ago is old news.
+const BREAKOUT_STALE_DAYS = 14;
+
+function velocityConfidence(n) {
+  if (n < VELOCITY_CONFIDENCE.hide) return 'insufficient';
+  if (n < VELOCITY_CONFIDENCE.statistical) return 'directional';
+  return 'statistical';
+}
+
+function buildVideoCurve(video, snapshots = []) {
+  const published = Date.parse(video?.published_at);
+  if (!Number.isFinite(published)) return [];
+  const points = [];
+  for (const s of snapshots) {
+    if (s.view_count == null) continue;
+    const age = (Date.parse(`${s.snapshot_date}T${SNAPSHOT_TIME_UTC}Z`) - published) / 86400000;
+    if (age <= 0 || age > MAX_CURVE_AGE + AGE_TOLERANCE) continue;
+    points.push({ age, views: Number(s.view_count) || 0 });
+  }
+  if (video.views_at_48h != null && !points.some(p => Math.abs(p.age - 2) < AGE_TOLERANCE)) {
+    points.push({ age: 2, views: Number(video.views_at_48h) || 0 });
+  }
+  points.sort((a, b) => a.age - b.age);
+  let peak = 0;
+  return points.map(p => {
+    peak = Math.max(peak, p.views);
+    return { age: p.age, views: peak };
+  });
+}
+
+function viewsAtAge(curve, age) {
+  if (!curve?.length) return null;
+  const first = curve[0];
+  const last = curve[curve.length - 1];
+  if (age < first.age - AGE_TOLERANCE || age > last.age + AGE_TOLERANCE) return null;
+  if (age <= first.age) return first.views;
+  if (age >= last.age) return last.views;
+  for (let i = 1; i < curve.length; i++) {
+    const b = curve[i];
+    if (b.age < age) continue;
+    const a = curve[i - 1];
+    if (b.age - a.age > Math.max(3, age * 0.5)) return null;
+    const t = (age - a.age) / (b.age - a.age);
+    return Math.expm1(Math.log1p(a.views) + t * (Math.log1p(b.views) - Math.log1p(a.views)));
+  }
+  return last.views;
+}
+
+function pickReferenceCurves(target, pool) {
+  const isShort = (v) => v?.duration_seconds != null && v.duration_seconds <= SHORTS_MAX;
+  const others = pool.filter(p => p.video.id !== target.id && p.curve.length);
+  const sameFormat = others.filter(p => isShort(p.video) === isShort(target));
+  const chosen = velocityConfidence(sameFormat.length) === 'insufficient' ? others : sameFormat;
+  return chosen.map(p => p.curve);
+}
+
+function bandViews(center, spread) {
+  return { expected: Math.expm1(center), low: Math.max(0, Math.expm1(center - spread)), high: Math.expm1(center + spread) };
+}
+
+function buildExpectedBand(referenceCurves) {
+  return CURVE_AGES.map(age => {
+    const logs = [];
+    for (const curve of referenceCurves) {
+      const v = viewsAtAge(curve, age);
+      if (v != null) logs.push(Math.log1p(v));
+    }
+    if (!logs.length) return { age, n: 0 };
+    const center = median(logs);
+    const mad = median(logs.map(x => Math.abs(x - center)));
+    const spread = Math.max(mad * MAD_TO_SD, SPREAD_FLOOR);
+    return { age, n: logs.length, center, spread, ...bandViews(center, spread) };
+  });
+}
+
+function bandAtAge(band, age) {
+  const usable = band.filter(b => b.n > 0);
+  if (!usable.length || age < usable[0].age - AGE_TOLERANCE || age > usable[usable.length - 1].age + AGE_TOLERANCE) return null;
+  let lo = usable[0];
+  let hi = usable[usable.length - 1];
+  for (const b of usable) {
+    if (b.age <= age) lo = b;
+    if (b.age >= age) { hi = b; break; }
+  }
+  if (age <= lo.age || lo === hi) return lo;
+  if (age >= hi.age) return hi;
+  const t = (age - lo.age) / (hi.age - lo.age);
+  const center = lo.center + t * (hi.center - lo.center);
+  const spread = lo.spread + t * (hi.spread - lo.spread);
+  return { age, n: Math.min(lo.n, hi.n), center, spread, ...bandViews(center, spread) };
+}
+
+function scoreAgainstBand(curve, band, age = curve?.[curve.length - 1]?.age) {
+  if (!curve?.length || age == null || age < CURVE_AGES[0] - AGE_TOLERANCE) return null;
+  const at = Math.min(age, MAX_CURVE_AGE);
+  const views = viewsAtAge(curve, at);
+  const ref = bandAtAge(band, at);
+  if (views == null || !ref) return null;
+  return {
+    age: at,
+    views,
+    expected: ref.expected,
+    low: ref.low,
+    high: ref.high,
+    z: (Math.log1p(views) - ref.center) / ref.spread,
+    n: ref.n,
+    confidence: velocityConfidence(ref.n),
+    multiplier: ref.expected > 0 ? views / ref.expected : null,
+  };
+}
+
+function scoreVideoVelocity(curve, referenceCurves) {
+  const band = buildExpectedBand(referenceCurves);
+  const score = scoreAgainstBand(curve, band);
+  if (!score) return { score: null, early: null, breakout: false, shape: null };
+  const early = score.age > 2 + AGE_TOLERANCE ? scoreAgainstBand(curve, band, 2) : score;
+  const breakout = score.z >= BREAKOUT_Z
+    && score.confidence !== 'insufficient'
+    && score.expected >= MIN_EXPECTED_VIEWS;
+  let shape = null;
+  if (breakout && early) shape = early.z >= BREAKOUT_Z ? 'fast_start' : 'slow_burn';
+  return { score, early, breakout, shape };
+}
+
+// video_snapshots for the given videos' first MAX_CURVE_AGE days.
+// Chunked and paged past PostgREST's 1000-row cap.
+async function loadCurveSnapshots(videos) {
+  const rows = [];
+  const sorted = [...videos].sort((a, b) => (a.published_at < b.published_at ? -1 : 1));
+  for (let i = 0; i < sorted.length; i += 10) {
+    const chunk = sorted.slice(i, i + 10);
+    const from = chunk[0].published_at.slice(0, 10);
+    const to = new Date(Date.parse(chunk[chunk.length - 1].published_at) + (MAX_CURVE_AGE + 1) * 86400000)
+      .toISOString().slice(0, 10);
+    for (let page = 0; ; page++) {
+      const { data, error } = await supabase
+        .from('video_snapshots')
+        .select('video_id, snapshot_date, view_count')
+        .in('video_id', chunk.map(v => v.id))
+        .gte('snapshot_date', from)
+        .lte('snapshot_date', to)
+        .order('snapshot_date', { ascending: true })
+        .range(page * 1000, page * 1000 + 999);
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < 1000) break;
+    }
+  }
+  return rows;
+}
+
 async function detectBreakouts() {
   const created = [];
 
@@ -77,55 +281,69 @@ async function detectBreakouts() {
 
   if (!channels?.length) return created;
 
-  // Cutoff for "new" breakouts — only consider videos published in last 14 days
-  const recentCutoff = new Date(Date.now() - 14 * 86400000).toISOString();
+  const now = Date.now();
+  const windowStart = new Date(now - REFERENCE_WINDOW_DAYS * 86400000).toISOString();
 
   for (const ch of channels) {
-    // History pool: prior videos with views_at_48h, last 90 days
-    const { data: history } = await supabase
+    // Reference pool doubles as the candidate list — each upload is
+    // scored against the band built from the others.
+    const { data: videos } = await supabase
       .from('videos')
-      .select('id, views_at_48h, published_at')
+      .select('id, title, youtube_video_id, thumbnail_url, views_at_48h, view_count, published_at, duration_seconds')
       .eq('channel_id', ch.id)
-      .not('views_at_48h', 'is', null)
-      .gte('published_at', new Date(Date.now() - 90 * 86400000).toISOString())
+      .gte('published_at', windowStart)
       .order('published_at', { ascending: false })
-      .limit(30);
+      .limit(REFERENCE_LIMIT);
 
-    if (!history || history.length < 5) continue;
+    if (!videos || videos.length <= VELOCITY_CONFIDENCE.hide) continue;
 
-    const med = median(history.map(v => Number(v.views_at_48h) || 0));
-    if (!med || med < 100) continue;
+    let snapshots;
+    try {
+      snapshots = await loadCurveSnapshots(videos.filter(v => v.published_at));
+    } catch (err) {
+      console.warn(`[generate-competitor-alerts] snapshots for ${ch.id} failed:`, err.message);
+      continue;
+    }
+    const byVideo = {};
+    for (const s of snapshots) (byVideo[s.video_id] ||= []).push(s);
+    const pool = videos.map(video => ({ video, curve: buildVideoCurve(video, byVideo[video.id]) }));
 
-    const { data: candidates } = await supabase
-      .from('videos')
-      .select('id, title, youtube_video_id, thumbnail_url, views_at_48h, view_count, published_at')
-      .eq('channel_id', ch.id)
-      .not('views_at_48h', 'is', null)
-      .gte('published_at', recentCutoff)
-      .order('published_at', { ascending: false })
-      .limit(10);
+    for (const { video: v, curve } of pool) {
+      const ageNow = (now - Date.parse(v.published_at)) / 86400000;
+      if (!(ageNow <= MAX_CURVE_AGE)) continue;
 
-    for (const v of (candidates || [])) {
-      const v48 = Number(v.views_at_48h) || 0;
-      if (v48 < med * 2) continue;
-      if (await recentAlertExists({ channel_id: ch.id, alert_type: 'breakout', video_id: v.id, hours: 24 * 14 })) continue;
+      const { score, early, breakout, shape } = scoreVideoVelocity(curve, pickReferenceCurves(v, pool));
+      if (!breakout) continue;
+      if (ageNow - score.age > BREAKOUT_STALE_DAYS) continue;
+      // One breakout per video for its whole curve window: a fast start
+      // that keeps climbing doesn't re-alert as a slow burn.
+      if (await recentAlertExists({ channel_id: ch.id, alert_type: 'breakout', video_id: v.id, hours: 24 * MAX_CURVE_AGE })) continue;
 
-      const multiplier = +(v48 / med).toFixed(2);
       const payload = {
         channel_name: ch.name,
         channel_id: ch.id,
         channel_tier: ch.tier,
         channel_thumbnail_url: ch.thumbnail_url,
-      channel_youtube_id: ch.youtube_channel_id,
         channel_youtube_id: ch.youtube_channel_id,
         video_id: v.id,
         youtube_video_id: v.youtube_video_id,
         video_title: v.title,
         video_thumbnail_url: v.thumbnail_url,
-        views_at_48h: v48,
-        channel_median: Math.round(med),
-        multiplier,
         published_at: v.published_at,
+        method: 'velocity_curve',
+        age_days: +score.age.toFixed(1),
+        views: Math.round(score.views),
+        expected_views: Math.round(score.expected),
+        expected_low: Math.round(score.low),
+        expected_high: Math.round(score.high),
+        z_score: +score.z.toFixed(2),
+        z_at_48h: early ? +early.z.toFixed(2) : null,
+        confidence: score.confidence,
+        reference_count: score.n,
+        shape,
+        multiplier: +score.multiplier.toFixed(2),
+        views_at_48h: v.views_at_48h != null ? Number(v.views_at_48h) : null,
+        channel_median: Math.round(score.expected),
       };
 
       const { data: inserted } = await supabase
@@ -371,6 +589,219 @@ async function detectNewEntrants() {
   return created;
 }
 
+// ──────────────────────────────────────────────────
+// Title-pattern adoption
+// ──────────────────────────────────────────────────
+async function detectTitlePatternAdoptions() {
+  const created = [];
+
+  const { data: channels } = await supabase
+    .from('channels')
+    .select('id, name, tier, thumbnail_url, youtube_channel_id')
+    .neq('tier', 'archive')
+    .eq('is_client', false)
+    .limit(500);
+
+  if (!channels?.length) return created;
+
+  const now = Date.now();
+  const recentStart = new Date(now - 21 * 86400000).toISOString();
+  const priorStart  = new Date(now - 111 * 86400000).toISOString();
+
+  for (const ch of channels) {
+    const { data: vids } = await supabase
+      .from('videos')
+      .select('id, title, youtube_video_id, published_at')
+      .eq('channel_id', ch.id)
+      .gte('published_at', priorStart)
+      .order('published_at', { ascending: false })
+      .limit(500);
+
+    if (!vids || vids.length < 12) continue;
+
+    const recent = vids.filter(v => v.published_at >= recentStart);
+    const prior  = vids.filter(v => v.published_at < recentStart);
+    // "Never used before" needs a real baseline — 10 prior titles with
+    // zero matches, not 2.
+    if (recent.length < 2 || prior.length < 10) continue;
+
+    for (const pattern of TITLE_PATTERNS) {
+      if (prior.some(v => pattern.test(v.title || ''))) continue;
+      const matched = recent.filter(v => pattern.test(v.title || ''));
+      if (matched.length < 2 || matched.length / recent.length < 0.25) continue;
+      if (await recentAlertExists({
+        channel_id: ch.id, alert_type: 'title_pattern_adoption',
+        payloadMatch: { pattern_id: pattern.id }, hours: 24 * 30,
+      })) continue;
+
+      const payload = {
+        channel_name: ch.name,
+        channel_id: ch.id,
+        channel_tier: ch.tier,
+        channel_thumbnail_url: ch.thumbnail_url,
+        channel_youtube_id: ch.youtube_channel_id,
+        pattern_id: pattern.id,
+        pattern_label: pattern.label,
+        matched_count: matched.length,
+        recent_count: recent.length,
+        prior_count: prior.length,
+        example_titles: matched.slice(0, 3).map(v => v.title),
+        example_youtube_video_id: matched[0].youtube_video_id,
+      };
+
+      const { data: inserted } = await supabase
+        .from('competitor_alerts')
+        .insert({ channel_id: ch.id, video_id: matched[0].id, alert_type: 'title_pattern_adoption', payload })
+        .select()
+        .single();
+      if (inserted) created.push(inserted);
+    }
+  }
+
+  return created;
+}
+
+// ──────────────────────────────────────────────────
+// Cadence breaks — silent past 2× the usual upload gap
+// ──────────────────────────────────────────────────
+async function detectCadenceBreaks() {
+  const created = [];
+
+  const { data: channels } = await supabase
+    .from('channels')
+    .select('id, name, tier, thumbnail_url, youtube_channel_id')
+    .neq('tier', 'archive')
+    .eq('is_client', false)
+    .limit(500);
+
+  if (!channels?.length) return created;
+
+  const now = Date.now();
+  const historyStart = new Date(now - 180 * 86400000).toISOString();
+
+  for (const ch of channels) {
+    if (await recentAlertExists({ channel_id: ch.id, alert_type: 'cadence_break', hours: 24 })) continue;
+
+    const { data: vids } = await supabase
+      .from('videos')
+      .select('id, title, published_at')
+      .eq('channel_id', ch.id)
+      .gte('published_at', historyStart)
+      .order('published_at', { ascending: false })
+      .limit(300);
+
+    if (!vids || vids.length < 6) continue;
+
+    const times = vids.map(v => new Date(v.published_at).getTime()).sort((a, b) => b - a);
+    const gaps = [];
+    for (let i = 0; i < times.length - 1; i++) gaps.push((times[i] - times[i + 1]) / 86400000);
+    const medianGap = median(gaps);
+    if (!medianGap) continue;
+
+    // Daily uploaders missing two days isn't news — floor the threshold.
+    const threshold = Math.max(2 * medianGap, 3);
+    const silentDays = (now - times[0]) / 86400000;
+    if (silentDays <= threshold) continue;
+
+    // One alert per silence episode — keyed on the last upload.
+    const last = vids[0];
+    if (await recentAlertExists({
+      channel_id: ch.id, alert_type: 'cadence_break',
+      payloadMatch: { last_video_id: last.id }, hours: 24 * 180,
+    })) continue;
+
+    const payload = {
+      channel_name: ch.name,
+      channel_id: ch.id,
+      channel_tier: ch.tier,
+      channel_thumbnail_url: ch.thumbnail_url,
+      channel_youtube_id: ch.youtube_channel_id,
+      last_video_id: last.id,
+      last_video_title: last.title,
+      last_published_at: last.published_at,
+      days_silent: +silentDays.toFixed(1),
+      median_gap_days: +medianGap.toFixed(1),
+      gap_multiple: +(silentDays / medianGap).toFixed(1),
+      history_count: vids.length,
+    };
+
+    const { data: inserted } = await supabase
+      .from('competitor_alerts')
+      .insert({ channel_id: ch.id, alert_type: 'cadence_break', payload })
+      .select()
+      .single();
+    if (inserted) created.push(inserted);
+  }
+
+  return created;
+}
+
+// ──────────────────────────────────────────────────
+// Shorts pivots — Shorts share of uploads jumps
+// ──────────────────────────────────────────────────
+async function detectShortsPivots() {
+  const created = [];
+
+  const { data: channels } = await supabase
+    .from('channels')
+    .select('id, name, tier, thumbnail_url, youtube_channel_id')
+    .neq('tier', 'archive')
+    .eq('is_client', false)
+    .limit(500);
+
+  if (!channels?.length) return created;
+
+  const now = Date.now();
+  const recentStart = new Date(now - 28 * 86400000).toISOString();
+  const priorStart  = new Date(now - 118 * 86400000).toISOString();
+
+  for (const ch of channels) {
+    if (await recentAlertExists({ channel_id: ch.id, alert_type: 'shorts_pivot', hours: 24 * 14 })) continue;
+
+    const { data: vids } = await supabase
+      .from('videos')
+      .select('duration_seconds, published_at')
+      .eq('channel_id', ch.id)
+      .gte('published_at', priorStart)
+      .not('duration_seconds', 'is', null)
+      .limit(500);
+
+    if (!vids || vids.length < 12) continue;
+
+    const recent = vids.filter(v => v.published_at >= recentStart);
+    const prior  = vids.filter(v => v.published_at < recentStart);
+    if (recent.length < 4 || prior.length < 8) continue;
+
+    const shortsShare = list => list.filter(v => (v.duration_seconds || 0) <= SHORTS_MAX).length / list.length;
+    const recentShare = shortsShare(recent);
+    const priorShare  = shortsShare(prior);
+    const deltaPts = (recentShare - priorShare) * 100;
+    if (deltaPts < 25 || recentShare < 0.4) continue;
+
+    const payload = {
+      channel_name: ch.name,
+      channel_id: ch.id,
+      channel_tier: ch.tier,
+      channel_thumbnail_url: ch.thumbnail_url,
+      channel_youtube_id: ch.youtube_channel_id,
+      prev_shorts_pct: +(priorShare * 100).toFixed(1),
+      curr_shorts_pct: +(recentShare * 100).toFixed(1),
+      delta_pts: +deltaPts.toFixed(1),
+      recent_count: recent.length,
+      prior_count: prior.length,
+    };
+
+    const { data: inserted } = await supabase
+      .from('competitor_alerts')
+      .insert({ channel_id: ch.id, alert_type: 'shorts_pivot', payload })
+      .select()
+      .single();
+    if (inserted) created.push(inserted);
+  }
+
+  return created;
+}
+
 // ──────────────────────────────────────────────────
 // Handler
 // ──────────────────────────────────────────────────
@@ -384,16 +815,23 @@ export default async function handler(req, res) {
   }
 
   const startTime = Date.now();
-  const summary = { breakouts: 0, format_shifts: 0, rank_changes: 0, new_entrants: 0, errors: [] };
+  const summary = {
+    breakouts: 0, format_shifts: 0, rank_changes: 0, new_entrants: 0,
+    pattern_adoptions: 0, cadence_breaks: 0, shorts_pivots: 0, errors: [],
+  };
 
   try {
-    const types = (req.query?.types || 'breakout,format_shift,rank_change,new_entrant').split(',');
+    const types = (req.query?.types || 'breakout,format_shift,rank_change,new_entrant,title_pattern_adoption,cadence_break,shorts_pivot').split(',');
     if (types.includes('breakout'))     summary.breakouts     = (await detectBreakouts()).length;
     if (types.includes('format_shift')) summary.format_shifts = (await detectFormatShifts()).length;
     if (types.includes('rank_change'))  summary.rank_changes  = (await detectRankChanges()).length;
     if (types.includes('new_entrant'))  summary.new_entrants  = (await detectNewEntrants()).length;
+    if (types.includes('title_pattern_adoption')) summary.pattern_adoptions = (await detectTitlePatternAdoptions()).length;
+    if (types.includes('cadence_break'))          summary.cadence_breaks    = (await detectCadenceBreaks()).length;
+    if (types.includes('shorts_pivot'))           summary.shorts_pivots     = (await detectShortsPivots()).length;
 
-    summary.total = summary.breakouts + summary.format_shifts + summary.rank_changes + summary.new_entrants;
+    summary.total = summary.breakouts + summary.format_shifts + summary.rank_changes + summary.new_entrants
+      + summary.pattern_adoptions + summary.cadence_breaks + summary.shorts_pivots;
     summary.duration_ms = Date.now() - startTime;
 
     return res.status(200).json({ success: true, ...summary });
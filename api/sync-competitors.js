@@ -3,6 +3,11 @@
  * Full View Analytics - Crux Media
  *
  * Runs daily at 6:00 AM UTC to sync all tracked competitors
+ * Single-channel mode: ?manual=true&channelId=<channels.id> syncs just
+ * that channel, ignoring the freshness window and failure backoff. The
+ * pre-launch → live upgrade flow uses it to pull a newly launched
+ * client's first videos without waiting for the daily run.
+ *
  * Configure in vercel.json with:
  * {
  *   "crons": [{
@@ -466,10 +471,12 @@ export default async function handler(req, res) {
     return res.status(500).json({ error: 'YouTube API key not configured' });
   }
 
+  const onlyChannelId = req.query?.channelId || null;
+
   // Create sync log
   const { data: syncLog, error: syncLogError } = await supabase
     .from('sync_log')
-    .insert({ sync_type: 'scheduled' })
+    .insert({ sync_type: onlyChannelId ? 'initial' : 'scheduled' })
     .select()
     .single();
 
@@ -500,10 +507,12 @@ export default async function handler(req, res) {
 
   try {
     // Order least-recently-synced first so each invocation makes progress
-    const { data: channels, error: channelsError } = await supabase
+    let channelsQuery = supabase
       .from('channels')
       .select('*')
-      .eq('sync_enabled', true)
+      .eq('sync_enabled', true);
+    if (onlyChannelId) channelsQuery = channelsQuery.eq('id', onlyChannelId);
+    const { data: channels, error: channelsError } = await channelsQuery
       .order('last_synced_at', { ascending: true, nullsFirst: true });
 
     if (channelsError) throw channelsError;
@@ -520,6 +529,10 @@ export default async function handler(req, res) {
         results.handles_skipped++;
         continue;
       }
+      if (onlyChannelId) {
+        eligible.push(ch);
+        continue;
+      }
       if (ch.last_synced_at && new Date(ch.last_synced_at).getTime() > skipIfSyncedCutoff) {
         results.channels_skipped_fresh++;
         continue;
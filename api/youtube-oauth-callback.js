@@ -97,6 +97,89 @@ async function fetchYouTubeChannelInfo(accessToken) {
   };
 }
 
+// ──────────────────────────────────────────────────
+// Multi-channel invites (migration 113)
+// ──────────────────────────────────────────────────
+
+async function loadMultiInvite(inviteId) {
+  const { data } = await supabase
+    .from('youtube_oauth_invites')
+    .select('id, token, status, is_multi_channel, created_by')
+    .eq('id', inviteId)
+    .maybeSingle();
+  return data?.is_multi_channel ? data : null;
+}
+
+/**
+ * Tick the matching checklist row off. Match order: a row expecting
+ * this exact channel id → the row the guest clicked Connect on (if it
+ * doesn't expect a different channel) → a pending row whose label is
+ * the channel title. No match = the guest connected something not on
+ * the list; record it as an extra row so the strategist sees it.
+ */
+async function recordInviteChannelConnected({ invite, stateRecord, channelInfo, connectionId }) {
+  const { data: rows } = await supabase
+    .from('youtube_oauth_invite_channels')
+    .select('id, position, status, expected_channel_label, expected_youtube_channel_id, connected_youtube_channel_id')
+    .eq('invite_id', invite.id)
+    .order('position');
+  const list = rows || [];
+  const norm = (t) => String(t || '').trim().toLowerCase();
+
+  const target =
+    list.find(r => r.expected_youtube_channel_id === channelInfo.channelId)
+    || list.find(r => r.connected_youtube_channel_id === channelInfo.channelId)
+    || list.find(r => r.id === stateRecord.invite_channel_id && r.status !== 'connected' && !r.expected_youtube_channel_id)
+    || list.find(r => r.status === 'pending' && !r.expected_youtube_channel_id && norm(r.expected_channel_label) === norm(channelInfo.title))
+    || null;
+
+  const connected = {
+    status:                          'connected',
+    connected_at:                    new Date().toISOString(),
+    connected_youtube_channel_id:    channelInfo.channelId,
+    connected_youtube_channel_title: channelInfo.title,
+    connected_youtube_email:         channelInfo.email,
+    connection_id:                   connectionId,
+    skipped_at:                      null,
+    skip_reason:                     null,
+  };
+
+  if (target) {
+    await supabase.from('youtube_oauth_invite_channels').update(connected).eq('id', target.id);
+  } else {
+    await supabase.from('youtube_oauth_invite_channels').insert({
+      ...connected,
+      invite_id:                   invite.id,
+      position:                    list.length ? Math.max(...list.map(r => r.position)) + 1 : 0,
+      expected_channel_label:      channelInfo.title || channelInfo.channelId,
+      expected_youtube_channel_id: channelInfo.channelId,
+      is_extra:                    true,
+    });
+  }
+
+  await logAuditEvent(stateRecord.user_id, 'oauth_invite_channel_connected', {
+    ip_address: stateRecord.ip_address,
+    youtube_channel_id: channelInfo.channelId,
+    metadata: { invite_id: invite.id, invite_channel_id: target?.id || null, extra: !target, channel_title: channelInfo.title },
+  });
+
+  // Close the invite once nothing requested is still pending.
+  const { count } = await supabase
+    .from('youtube_oauth_invite_channels')
+    .select('id', { count: 'exact', head: true })
+    .eq('invite_id', invite.id)
+    .eq('status', 'pending');
+  if (!count) {
+    const now = new Date().toISOString();
+    await supabase
+      .from('youtube_oauth_invites')
+      .update({ status: 'redeemed', redeemed_at: now, finished_at: now })
+      .eq('id', invite.id)
+      .eq('status', 'pending');
+    await logAuditEvent(stateRecord.user_id, 'oauth_invite_finished', { metadata: { invite_id: invite.id, auto: true } });
+  }
+}
+
 export default async function handler(req, res) {
   // This endpoint receives GET requests from Google OAuth redirect
   const { code, state, error: oauthError, error_description } = req.query;
@@ -255,14 +338,30 @@ export default async function handler(req, res) {
       // For invite-backed grants, redirect to a guest-friendly error
       // page instead of the api-keys tab (the guest has no Crux account).
       if (stateRecord.invite_id) {
-        return res.redirect(`${frontendUrl}?tab=guest-oauth&oauth_error=storage_failed`);
+        const multi = await loadMultiInvite(stateRecord.invite_id);
+        const tokenParam = multi ? `&token=${encodeURIComponent(multi.token)}` : '';
+        return res.redirect(`${frontendUrl}?tab=guest-oauth&oauth_error=storage_failed${tokenParam}`);
       }
       return res.redirect(`${frontendUrl}?tab=api-keys&oauth_error=storage_failed`);
     }
 
     // Migration 096: invite-backed grant — mark the invite redeemed so
     // the strategist sees confirmation in their invite list.
-    if (stateRecord.invite_id) {
+    // Migration 113: multi-channel invites tick one checklist row off
+    // instead and stay open until the guest finishes.
+    const multiInvite = stateRecord.invite_id ? await loadMultiInvite(stateRecord.invite_id) : null;
+    if (multiInvite) {
+      try {
+        await recordInviteChannelConnected({
+          invite:       multiInvite,
+          stateRecord,
+          channelInfo,
+          connectionId: upsertedConn?.id || null,
+        });
+      } catch (err) {
+        console.warn('[OAuth] failed to record multi-channel invite progress (non-fatal):', err.message);
+      }
+    } else if (stateRecord.invite_id) {
       try {
         await supabase
           .from('youtube_oauth_invites')
@@ -458,12 +557,11 @@ export default async function handler(req, res) {
     // The guest has no Crux account and can't access api-keys; they
     // should land somewhere that says "access granted, you can close
     // this tab" and nothing else.
+    // Multi-channel guests go back to their checklist instead.
     if (stateRecord.invite_id) {
-      const guestParams = new URLSearchParams({
-        tab:           'guest-oauth',
-        oauth_success: 'true',
-        channel:       channelInfo.title,
-      });
+      const guestParams = multiInvite
+        ? new URLSearchParams({ tab: 'guest-oauth', token: multiInvite.token, connected: channelInfo.title })
+        : new URLSearchParams({ tab: 'guest-oauth', oauth_success: 'true', channel: channelInfo.title });
       return res.redirect(`${frontendUrl}?${guestParams.toString()}`);
     }
 
@@ -6,6 +6,18 @@
  *   GET    /api/youtube-oauth-invite?list=mine         — list invites for current user (auth required)
  *   POST   /api/youtube-oauth-invite?action=init&token=X — start OAuth flow for a valid invite (PUBLIC)
  *   POST   /api/youtube-oauth-invite?action=revoke     — revoke invite (auth required)
+ *   POST   /api/youtube-oauth-invite?action=skip&token=X   — skip one channel of a multi-channel invite (PUBLIC)
+ *   POST   /api/youtube-oauth-invite?action=finish&token=X — close a multi-channel invite (PUBLIC)
+ *
+ * Multi-channel invites (migration 113): POST a `channels` array and
+ * the link stays open until the guest finishes. Each channel is its own
+ * Google consent (one channel per grant is a Google constraint); the
+ * landing page walks the guest through the checklist and the callback
+ * ticks channels off as they come back.
+ *
+ * Expiry reminders (migration 114) are queued and sent by
+ * /api/cron/invite-reminders; ?list=mine embeds each invite's
+ * notification_outbox rows as `reminders` for the history line.
  *
  * The flow makes the channel owner's experience as short as physically
  * possible: click link → see what's being requested → click Grant → land
@@ -56,10 +68,21 @@ async function logAuditEvent(userId, eventType, metadata = {}) {
 // Handlers
 // ──────────────────────────────────────────────────
 
+const MAX_INVITE_CHANNELS = 25;
+
 // POST — create invite (auth required)
 async function handleCreate(user, req, res) {
   const { client_id = null, client_label = null, expected_youtube_email = null, notes = null, expires_in_days = 7 } = req.body || {};
 
+  // Multi-channel invite: [{ client_id?, label? }]. Client entries are
+  // resolved server-side so the checklist label and expected channel id
+  // come from the channels table, not the request.
+  let channelRows = null;
+  if (Array.isArray(req.body?.channels) && req.body.channels.length > 0) {
+    channelRows = await resolveInviteChannels(req.body.channels);
+    if (channelRows.error) return res.status(400).json({ error: channelRows.error });
+  }
+
   const token = crypto.randomBytes(32).toString('base64url');
   const expiresAt = new Date(Date.now() + Math.min(Math.max(Number(expires_in_days) || 7, 1), 30) * 86_400_000);
 
@@ -74,6 +97,7 @@ async function handleCreate(user, req, res) {
       expected_youtube_email,
       notes,
       expires_at:               expiresAt.toISOString(),
+      is_multi_channel:         !!channelRows,
     })
     .select('id, token, expires_at, created_at')
     .single();
@@ -83,8 +107,19 @@ async function handleCreate(user, req, res) {
     return res.status(500).json({ error: 'Failed to create invite' });
   }
 
+  if (channelRows) {
+    const { error: chErr } = await supabase
+      .from('youtube_oauth_invite_channels')
+      .insert(channelRows.rows.map((r, i) => ({ ...r, invite_id: data.id, position: i })));
+    if (chErr) {
+      console.error('create invite channels failed:', chErr);
+      await supabase.from('youtube_oauth_invites').delete().eq('id', data.id);
+      return res.status(500).json({ error: 'Failed to create invite' });
+    }
+  }
+
   await logAuditEvent(user.id, 'oauth_invite_created', {
-    metadata: { invite_id: data.id, client_id, expected_youtube_email },
+    metadata: { invite_id: data.id, client_id, expected_youtube_email, channel_count: channelRows?.rows.length || 1 },
   });
 
   return res.status(200).json({
@@ -92,9 +127,81 @@ async function handleCreate(user, req, res) {
     token:      data.token,
     expiresAt:  data.expires_at,
     createdAt:  data.created_at,
+    channelCount: channelRows?.rows.length || null,
   });
 }
 
+async function resolveInviteChannels(entries) {
+  if (entries.length > MAX_INVITE_CHANNELS) {
+    return { error: `At most ${MAX_INVITE_CHANNELS} channels per invite` };
+  }
+  const clientIds = [...new Set(entries.map(e => e?.client_id).filter(Boolean))];
+  let byId = new Map();
+  if (clientIds.length) {
+    const { data } = await supabase
+      .from('channels')
+      .select('id, name, youtube_channel_id')
+      .in('id', clientIds);
+    byId = new Map((data || []).map(c => [c.id, c]));
+  }
+
+  const rows = [];
+  for (const e of entries) {
+    const client = e?.client_id ? byId.get(e.client_id) : null;
+    if (e?.client_id && !client) return { error: `Unknown client ${e.client_id}` };
+    const label = (e?.label || client?.name || '').trim();
+    if (!label) return { error: 'Each channel needs a client or a label' };
+    rows.push({
+      expected_channel_label:      label.slice(0, 200),
+      expected_youtube_channel_id: client?.youtube_channel_id || null,
+      client_id:                   client?.id || null,
+    });
+  }
+  return { rows };
+}
+
+async function loadInviteChannels(inviteId) {
+  const { data } = await supabase
+    .from('youtube_oauth_invite_channels')
+    .select('id, position, expected_channel_label, client_id, is_extra, status, connected_at, connected_youtube_channel_title, skipped_at, skip_reason')
+    .eq('invite_id', inviteId)
+    .order('position');
+  return data || [];
+}
+
+/** Shape for the public landing page — no ids beyond the row id it needs to act. */
+function publicChannel(row) {
+  return {
+    id:             row.id,
+    label:          row.expected_channel_label,
+    isExtra:        row.is_extra,
+    status:         row.status,
+    connectedTitle: row.connected_youtube_channel_title || null,
+    connectedAt:    row.connected_at || null,
+    skipReason:     row.skip_reason || null,
+  };
+}
+
+/**
+ * Load a multi-channel invite by token for a public action. Returns
+ * { invite } or { status, error } ready to send.
+ */
+async function loadOpenMultiInvite(token) {
+  const { data: invite } = await supabase
+    .from('youtube_oauth_invites')
+    .select('id, status, created_by, expires_at, is_multi_channel')
+    .eq('token', token)
+    .maybeSingle();
+  if (!invite) return { status: 404, error: 'Invite not found' };
+  if (!invite.is_multi_channel) return { status: 400, error: 'Not a multi-channel invite' };
+  if (invite.status !== 'pending') return { status: 410, error: `Invite is ${invite.status}` };
+  if (new Date(invite.expires_at) < new Date()) {
+    await supabase.from('youtube_oauth_invites').update({ status: 'expired' }).eq('id', invite.id);
+    return { status: 410, error: 'Invite expired' };
+  }
+  return { invite };
+}
+
 // GET — validate + describe invite (PUBLIC; used by landing page)
 async function handleValidate(req, res) {
   const { token } = req.query;
@@ -102,12 +209,26 @@ async function handleValidate(req, res) {
 
   const { data: invite, error } = await supabase
     .from('youtube_oauth_invites')
-    .select('id, status, created_by_email, client_label, expected_youtube_email, notes, expires_at, redeemed_at, revoked_at')
+    .select('id, status, created_by_email, client_label, expected_youtube_email, notes, expires_at, redeemed_at, revoked_at, is_multi_channel')
     .eq('token', token)
     .maybeSingle();
 
   if (error || !invite) return res.status(404).json({ error: 'Invite not found' });
 
+  // A finished multi-channel invite still shows its checklist so the
+  // guest who bookmarked the page can see what was granted.
+  if (invite.is_multi_channel && invite.status === 'redeemed') {
+    const channels = await loadInviteChannels(invite.id);
+    return res.status(200).json({
+      requesterEmail:  invite.created_by_email,
+      clientLabel:     invite.client_label,
+      status:          invite.status,
+      isMultiChannel:  true,
+      finished:        true,
+      channels:        channels.map(publicChannel),
+    });
+  }
+
   if (invite.status === 'redeemed') {
     return res.status(410).json({ error: 'This invite has already been used.' });
   }
@@ -120,6 +241,8 @@ async function handleValidate(req, res) {
     return res.status(410).json({ error: 'This invite has expired.' });
   }
 
+  const channels = invite.is_multi_channel ? await loadInviteChannels(invite.id) : null;
+
   return res.status(200).json({
     requesterEmail:    invite.created_by_email,
     clientLabel:       invite.client_label,
@@ -127,6 +250,8 @@ async function handleValidate(req, res) {
     notes:             invite.notes,
     expiresAt:         invite.expires_at,
     status:            invite.status,
+    isMultiChannel:    !!invite.is_multi_channel,
+    channels:          channels ? channels.map(publicChannel) : null,
   });
 }
 
@@ -134,7 +259,17 @@ async function handleValidate(req, res) {
 async function handleList(user, req, res) {
   const { data, error } = await supabase
     .from('youtube_oauth_invites')
-    .select('id, token, client_id, client_label, expected_youtube_email, notes, status, created_at, expires_at, redeemed_at, redeemed_youtube_channel_title, redeemed_youtube_email')
+    .select(`
+      id, token, client_id, client_label, expected_youtube_email, notes, status, created_at, expires_at,
+      redeemed_at, redeemed_youtube_channel_title, redeemed_youtube_email, is_multi_channel, finished_at,
+      channels:youtube_oauth_invite_channels(
+        id, position, expected_channel_label, client_id, is_extra, status,
+        connected_at, connected_youtube_channel_title, connected_youtube_email, skipped_at, skip_reason
+      ),
+      reminders:notification_outbox(
+        id, template, recipient_role, recipient_email, status, transport, attempts, last_error, created_at, sent_at
+      )
+    `)
     .eq('created_by', user.id)
     .order('created_at', { ascending: false })
     .limit(50);
@@ -143,7 +278,12 @@ async function handleList(user, req, res) {
     console.error('list invites failed:', error);
     return res.status(500).json({ error: 'Failed to list invites' });
   }
-  return res.status(200).json({ invites: data || [] });
+  const invites = (data || []).map(inv => ({
+    ...inv,
+    channels: inv.is_multi_channel ? [...(inv.channels || [])].sort((a, b) => a.position - b.position) : [],
+    reminders: [...(inv.reminders || [])].sort((a, b) => new Date(b.created_at) - new Date(a.created_at)),
+  }));
+  return res.status(200).json({ invites });
 }
 
 // POST ?action=init&token=X — start OAuth flow from invite (PUBLIC)
@@ -158,7 +298,7 @@ async function handleInitFromInvite(req, res) {
   // Validate invite first
   const { data: invite } = await supabase
     .from('youtube_oauth_invites')
-    .select('id, status, created_by, expires_at')
+    .select('id, status, created_by, expires_at, is_multi_channel')
     .eq('token', token)
     .maybeSingle();
 
@@ -180,6 +320,19 @@ async function handleInitFromInvite(req, res) {
   const ipAddress = req.headers['x-forwarded-for']?.split(',')[0] || req.headers['x-real-ip'] || null;
   const userAgent = req.headers['user-agent'] || null;
 
+  // Multi-channel: the checklist row the guest clicked. Only honoured
+  // when it belongs to this invite.
+  let inviteChannelId = null;
+  if (invite.is_multi_channel && req.query?.channel) {
+    const { data: row } = await supabase
+      .from('youtube_oauth_invite_channels')
+      .select('id')
+      .eq('id', req.query.channel)
+      .eq('invite_id', invite.id)
+      .maybeSingle();
+    inviteChannelId = row?.id || null;
+  }
+
   const { error: stateError } = await supabase
     .from('youtube_oauth_state')
     .insert({
@@ -188,6 +341,7 @@ async function handleInitFromInvite(req, res) {
       code_verifier:  codeVerifier,
       code_challenge: codeChallenge,
       invite_id:      invite.id,
+      invite_channel_id: inviteChannelId,
       ip_address:     ipAddress,
       user_agent:     userAgent,
     });
@@ -199,7 +353,7 @@ async function handleInitFromInvite(req, res) {
 
   await logAuditEvent(invite.created_by, 'oauth_invite_initiated', {
     ip_address: ipAddress, user_agent: userAgent,
-    metadata: { invite_id: invite.id },
+    metadata: { invite_id: invite.id, invite_channel_id: inviteChannelId },
   });
 
   const baseUrl = process.env.FRONTEND_URL || (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : 'http://localhost:3000');
@@ -209,7 +363,10 @@ async function handleInitFromInvite(req, res) {
     response_type:            'code',
     scope:                    'https://www.googleapis.com/auth/youtube.readonly https://www.googleapis.com/auth/yt-analytics.readonly https://www.googleapis.com/auth/yt-analytics-monetary.readonly https://www.googleapis.com/auth/userinfo.email',
     access_type:              'offline',
-    prompt:                   'consent',
+    // select_account makes Google show the account / Brand Account
+    // picker on every pass, so a multi-channel guest can pick the next
+    // channel instead of silently re-granting the last one.
+    prompt:                   invite.is_multi_channel ? 'consent select_account' : 'consent',
     include_granted_scopes:   'true',
     state,
     code_challenge:           codeChallenge,
@@ -241,6 +398,91 @@ async function handleRevoke(user, req, res) {
   return res.status(200).json({ ok: true });
 }
 
+// POST ?action=skip&token=X — guest skips one channel (PUBLIC)
+async function handleSkipChannel(req, res) {
+  const loaded = await loadOpenMultiInvite(req.query.token);
+  if (!loaded.invite) return res.status(loaded.status).json({ error: loaded.error });
+  const { invite } = loaded;
+
+  const { invite_channel_id, reason = null } = req.body || {};
+  if (!invite_channel_id) return res.status(400).json({ error: 'invite_channel_id required' });
+
+  const { data: row, error } = await supabase
+    .from('youtube_oauth_invite_channels')
+    .update({
+      status:      'skipped',
+      skipped_at:  new Date().toISOString(),
+      skip_reason: reason ? String(reason).slice(0, 300) : null,
+    })
+    .eq('id', invite_channel_id)
+    .eq('invite_id', invite.id)
+    .eq('status', 'pending')
+    .select('id')
+    .maybeSingle();
+  if (error) {
+    console.error('skip invite channel failed:', error);
+    return res.status(500).json({ error: 'Failed to skip channel' });
+  }
+  if (!row) return res.status(409).json({ error: 'Channel is not pending' });
+
+  await logAuditEvent(invite.created_by, 'oauth_invite_channel_skipped', {
+    metadata: { invite_id: invite.id, invite_channel_id, reason },
+  });
+  const finished = await closeMultiInviteIfResolved(invite);
+  const channels = await loadInviteChannels(invite.id);
+  return res.status(200).json({ ok: true, finished, channels: channels.map(publicChannel) });
+}
+
+// POST ?action=finish&token=X — guest is done (PUBLIC)
+async function handleFinish(req, res) {
+  const loaded = await loadOpenMultiInvite(req.query.token);
+  if (!loaded.invite) return res.status(loaded.status).json({ error: loaded.error });
+  const { invite } = loaded;
+  const now = new Date().toISOString();
+
+  await supabase
+    .from('youtube_oauth_invite_channels')
+    .update({ status: 'skipped', skipped_at: now, skip_reason: 'not connected before finishing' })
+    .eq('invite_id', invite.id)
+    .eq('status', 'pending');
+  await supabase
+    .from('youtube_oauth_invites')
+    .update({ status: 'redeemed', redeemed_at: now, finished_at: now })
+    .eq('id', invite.id)
+    .eq('status', 'pending');
+
+  const channels = await loadInviteChannels(invite.id);
+  await logAuditEvent(invite.created_by, 'oauth_invite_finished', {
+    metadata: {
+      invite_id: invite.id,
+      connected: channels.filter(c => c.status === 'connected').length,
+      skipped:   channels.filter(c => c.status === 'skipped').length,
+    },
+  });
+  return res.status(200).json({ ok: true, finished: true, channels: channels.map(publicChannel) });
+}
+
+/**
+ * Flip a multi-channel invite to redeemed once no requested channel is
+ * still pending. Mirrors the callback's check after a connect.
+ */
+async function closeMultiInviteIfResolved(invite) {
+  const { count } = await supabase
+    .from('youtube_oauth_invite_channels')
+    .select('id', { count: 'exact', head: true })
+    .eq('invite_id', invite.id)
+    .eq('status', 'pending');
+  if (count) return false;
+  const now = new Date().toISOString();
+  await supabase
+    .from('youtube_oauth_invites')
+    .update({ status: 'redeemed', redeemed_at: now, finished_at: now })
+    .eq('id', invite.id)
+    .eq('status', 'pending');
+  await logAuditEvent(invite.created_by, 'oauth_invite_finished', { metadata: { invite_id: invite.id, auto: true } });
+  return true;
+}
+
 // ──────────────────────────────────────────────────
 // Router
 // ──────────────────────────────────────────────────
@@ -256,6 +498,12 @@ export default async function handler(req, res) {
     if (req.method === 'POST' && req.query?.action === 'init' && req.query?.token) {
       return await handleInitFromInvite(req, res);
     }
+    if (req.method === 'POST' && req.query?.action === 'skip' && req.query?.token) {
+      return await handleSkipChannel(req, res);
+    }
+    if (req.method === 'POST' && req.query?.action === 'finish' && req.query?.token) {
+      return await handleFinish(req, res);
+    }
 
     // ── Authenticated routes ──
     const user = await authenticateUser(req);
@@ -54,8 +54,10 @@ import BriefsList from "./components/Strategy/BriefsList.jsx";
 import UnifiedStrategy from "./components/Strategy/UnifiedStrategy.jsx";
 import GapDetection from "./components/Research/GapDetection.jsx";
 import UserManagement from "./components/Admin/UserManagement.jsx";
+import ClaudeUsageDashboard from "./components/Admin/ClaudeUsageDashboard.jsx";
 import APISettings from "./components/Settings/APISettings.jsx";
 import SecurityDocs from "./components/Settings/SecurityDocs.jsx";
+import AlertDeliverySettings from "./components/Settings/AlertDeliverySettings.jsx";
 import SavedReports from "./components/Reports/SavedReports.jsx";
 import QuarterlyReport from "./components/Reports/QuarterlyReport.jsx";
 
@@ -405,6 +407,27 @@ export default function App() {
     setActiveClient(client);
   };
 
+  // Pre-launch client linked to their real channel (UpgradePrelaunchClientModal).
+  // Same client id, so only the channel-derived fields change; the Spine,
+  // cohort tags, and calibration history are keyed on the id and carry over.
+  const handleClientUpgraded = (clientId, patch = {}, targetTab = null) => {
+    const apply = (c) => c.id !== clientId ? c : {
+      ...c,
+      name: patch.name || c.name,
+      subscriberCount: patch.subscriberCount ?? c.subscriberCount,
+      youtubeChannelUrl: patch.customUrl || c.youtubeChannelUrl,
+      is_prelaunch: false,
+      prelaunch_intended_launch_at: null,
+    };
+    setClients(prev => (prev || []).map(apply));
+    // Opening a tab for the upgraded client (e.g. Repositioning from
+    // Portfolio) switches to it — it may not be the active one.
+    const upgraded = targetTab ? (clients || []).find(c => c.id === clientId) : null;
+    if (upgraded) setActiveClient(apply(upgraded));
+    else setActiveClient(prev => (prev ? apply(prev) : prev));
+    if (targetTab) setTab(targetTab);
+  };
+
   const handlePeriodChange = async (periodId) => {
     if (!activeClient || !periodId) return;
 
@@ -1396,39 +1419,39 @@ export default function App() {
             )}
 
             {tab === "portfolio" && (
-              <PortfolioView onNavigate={setTab} />
+              <PortfolioView onNavigate={setTab} onClientUpgraded={handleClientUpgraded} />
             )}
 
             {tab === "pre-flight" && (
-              <PreflightWorkspace activeClient={activeClient} />
+              <PreflightWorkspace activeClient={activeClient} onClientUpgraded={handleClientUpgraded} />
             )}
 
             {tab === "repositioning" && (
-              <RepositioningWorkspace activeClient={activeClient} onNavigate={setTab} />
+              <RepositioningWorkspace activeClient={activeClient} onNavigate={setTab} onClientUpgraded={handleClientUpgraded} />
             )}
 
             {tab === "competitor-scan" && (
-              <CompetitorScanWorkspace activeClient={activeClient} onNavigate={setTab} />
+              <CompetitorScanWorkspace activeClient={activeClient} onNavigate={setTab} onClientUpgraded={handleClientUpgraded} />
             )}
 
             {tab === "calibration" && (
-              <CalibrationWorkspace activeClient={activeClient} onNavigate={setTab} />
+              <CalibrationWorkspace activeClient={activeClient} onNavigate={setTab} onClientUpgraded={handleClientUpgraded} />
             )}
 
             {tab === "install" && (
-              <StrategistInstallWorkspace activeClient={activeClient} onNavigate={setTab} />
+              <StrategistInstallWorkspace activeClient={activeClient} onNavigate={setTab} onClientUpgraded={handleClientUpgraded} />
             )}
 
             {tab === "cohort-roles" && (
-              <CohortRolesWorkspace activeClient={activeClient} onNavigate={setTab} />
+              <CohortRolesWorkspace activeClient={activeClient} onNavigate={setTab} onClientUpgraded={handleClientUpgraded} />
             )}
 
             {tab === "audience" && (
-              <AudienceWorkspace activeClient={activeClient} onNavigate={setTab} />
+              <AudienceWorkspace activeClient={activeClient} onNavigate={setTab} onClientUpgraded={handleClientUpgraded} />
             )}
 
             {tab === "weekly-brief" && (
-              <WeeklyBriefWorkspace activeClient={activeClient} onNavigate={setTab} />
+              <WeeklyBriefWorkspace activeClient={activeClient} onNavigate={setTab} onClientUpgraded={handleClientUpgraded} />
             )}
 
             {tab === "gap-detection" && (
@@ -1524,6 +1547,7 @@ export default function App() {
         {tab === "api-keys" && (
           <APISettings
             onNavigateToSecurity={() => setTab("security")}
+            onNavigateToUsage={() => setTab("ai-usage")}
             onClientsUpdate={async (newClientName) => {
               // Refresh clients from Supabase after OAuth adds a new client
               const supabaseClients = await getClientsFromSupabase();
@@ -1551,11 +1575,21 @@ export default function App() {
           <SecurityDocs />
         )}
 
+        {/* Alert Delivery — per-user webhook / digest subscriptions */}
+        {tab === "alert-delivery" && (
+          <AlertDeliverySettings />
+        )}
+
         {/* User Management - Admin Only */}
         {tab === "user-management" && isAdmin && (
           <UserManagement clients={clients} />
         )}
 
+        {/* AI Usage (Claude ledger + team budget) - Admin Only */}
+        {tab === "ai-usage" && isAdmin && (
+          <ClaudeUsageDashboard />
+        )}
+
         {/* Footer */}
         <div style={{ marginTop: "60px", paddingTop: "32px", borderTop: "1px solid #333", position: "relative" }}>
           <div style={{ position: "absolute", top: 0, left: 0, right: 0, height: "3px", background: `linear-gradient(90deg, var(--accent-glow), var(--accent), var(--accent-glow))` }} />
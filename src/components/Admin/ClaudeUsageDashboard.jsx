@@ -0,0 +1,439 @@
+/**
+ * ClaudeUsageDashboard — Settings → AI Usage (admin only).
+ *
+ * Reads the server-side Claude ledger (migration 115): team budget +
+ * month-to-date spend, spend broken down by feature and by client for a
+ * window, and the most recent calls. Admins set the team budget here;
+ * /api/claude-proxy enforces it.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { DollarSign, Activity, AlertCircle, RefreshCw, Check, X } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  loadTeamBudget,
+  saveTeamBudget,
+  loadUsageBreakdown,
+  loadRecentCalls,
+} from '../../services/claudeUsageService';
+
+const WINDOWS = [
+  { id: 'month', label: 'This month' },
+  { id: '7d',    label: 'Last 7 days' },
+  { id: '30d',   label: 'Last 30 days' },
+];
+
+const STATUS_COLORS = {
+  ok:             '#3fa66a',
+  error:          '#ef6b6b',
+  aborted:        '#9E9E9E',
+  budget_blocked: '#E8A82B',
+};
+
+const STATUS_LABELS = {
+  ok:             'OK',
+  error:          'Error',
+  aborted:        'Cancelled',
+  budget_blocked: 'Blocked',
+};
+
+// ──────────────────────────────────────────────────
+// Styles
+// ──────────────────────────────────────────────────
+
+const cardStyle = {
+  background: '#1E1E1E',
+  border: '1px solid #333',
+  borderRadius: '8px',
+  padding: '24px',
+  marginBottom: '16px',
+};
+
+const cardTitleStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '8px',
+  fontSize: '16px',
+  fontWeight: '600',
+  margin: '0 0 16px',
+  color: '#E0E0E0',
+};
+
+const inputStyle = {
+  padding: '8px 12px',
+  background: '#252525',
+  border: '1px solid #444',
+  borderRadius: '8px',
+  color: '#E0E0E0',
+  fontSize: '14px',
+  outline: 'none',
+  width: '110px',
+};
+
+const buttonStyle = {
+  padding: '8px 16px',
+  background: '#2962FF',
+  border: 'none',
+  borderRadius: '8px',
+  color: '#fff',
+  cursor: 'pointer',
+  fontWeight: '600',
+  fontSize: '13px',
+};
+
+const ghostButtonStyle = {
+  padding: '8px 14px',
+  background: '#333',
+  border: '1px solid #444',
+  borderRadius: '8px',
+  color: '#9E9E9E',
+  cursor: 'pointer',
+  fontSize: '13px',
+};
+
+const tableStyle = {
+  width: '100%',
+  borderCollapse: 'collapse',
+  fontSize: '13px',
+};
+
+const thStyle = {
+  textAlign: 'left',
+  padding: '8px 10px',
+  color: '#9E9E9E',
+  fontWeight: '500',
+  fontSize: '12px',
+  borderBottom: '1px solid #333',
+};
+
+const tdStyle = {
+  padding: '8px 10px',
+  borderBottom: '1px solid #2a2a2a',
+  color: '#E0E0E0',
+};
+
+const numTdStyle = { ...tdStyle, textAlign: 'right', fontVariantNumeric: 'tabular-nums' };
+const numThStyle = { ...thStyle, textAlign: 'right' };
+
+// ──────────────────────────────────────────────────
+// Component
+// ──────────────────────────────────────────────────
+
+const ClaudeUsageDashboard = () => {
+  const { isAdmin, user } = useAuth();
+  const [windowId, setWindowId] = useState('month');
+  const [budget, setBudget] = useState(null);
+  const [breakdown, setBreakdown] = useState(null);
+  const [recent, setRecent] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const [budgetInput, setBudgetInput] = useState('');
+  const [warnInput, setWarnInput] = useState('80');
+  const [saving, setSaving] = useState(false);
+  const [savedAt, setSavedAt] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    const [b, bd, rc] = await Promise.all([
+      loadTeamBudget(),
+      loadUsageBreakdown(windowStart(windowId)),
+      loadRecentCalls({ limit: 40 }),
+    ]);
+    if (!b && !bd) setError('Could not load Claude usage. Is migration 115 applied?');
+    setBudget(b);
+    setBreakdown(bd);
+    setRecent(rc);
+    if (b) {
+      setBudgetInput(b.monthlyBudget == null ? '' : String(b.monthlyBudget));
+      setWarnInput(String(b.warnAtPercent));
+    }
+    setLoading(false);
+  }, [windowId]);
+
+  useEffect(() => {
+    if (isAdmin) load();
+  }, [isAdmin, load]);
+
+  const handleSaveBudget = async () => {
+    const trimmed = budgetInput.trim();
+    const monthlyBudget = trimmed === '' ? null : parseFloat(trimmed);
+    const warnAtPercent = Math.min(100, Math.max(1, parseInt(warnInput, 10) || 80));
+    setSaving(true);
+    setError(null);
+    const result = await saveTeamBudget({ monthlyBudget, warnAtPercent, updatedBy: user?.email });
+    setSaving(false);
+    if (!result.ok) {
+      setError(result.error);
+      return;
+    }
+    setSavedAt(Date.now());
+    setTimeout(() => setSavedAt(null), 3000);
+    load();
+  };
+
+  if (!isAdmin) {
+    return (
+      <div style={{ padding: '40px', textAlign: 'center', color: '#9E9E9E' }}>
+        Admin access required.
+      </div>
+    );
+  }
+
+  const usedPercent = budget?.monthlyBudget
+    ? (budget.spent / budget.monthlyBudget) * 100
+    : null;
+
+  return (
+    <div>
+      {/* Header */}
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '24px' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          <DollarSign size={24} style={{ color: '#a78bfa' }} />
+          <div>
+            <h2 style={{ fontSize: '20px', fontWeight: '700', margin: 0 }}>AI Usage</h2>
+            <p style={{ fontSize: '13px', color: '#9E9E9E', margin: '4px 0 0' }}>
+              Every Claude call made through the app, by feature and client
+            </p>
+          </div>
+        </div>
+        <button onClick={load} disabled={loading} style={{ ...ghostButtonStyle, display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <RefreshCw size={14} />
+          {loading ? 'Loading…' : 'Refresh'}
+        </button>
+      </div>
+
+      {error && (
+        <div style={{
+          display: 'flex', alignItems: 'center', gap: '8px',
+          padding: '12px 16px', background: 'rgba(207, 102, 121, 0.15)',
+          border: '1px solid rgba(207, 102, 121, 0.3)', borderRadius: '8px', marginBottom: '16px',
+        }}>
+          <AlertCircle size={18} color="#CF6679" />
+          <span style={{ color: '#CF6679', fontSize: '14px' }}>{error}</span>
+          <button
+            onClick={() => setError(null)}
+            style={{ marginLeft: 'auto', background: 'none', border: 'none', color: '#CF6679', cursor: 'pointer' }}
+          >
+            <X size={16} />
+          </button>
+        </div>
+      )}
+
+      {/* Team budget */}
+      <div style={cardStyle}>
+        <h3 style={cardTitleStyle}><DollarSign size={18} style={{ color: '#22c55e' }} /> Team Monthly Budget</h3>
+
+        <div style={{ display: 'flex', alignItems: 'flex-end', gap: '16px', flexWrap: 'wrap', marginBottom: '16px' }}>
+          <div>
+            <label style={{ display: 'block', fontSize: '12px', color: '#9E9E9E', marginBottom: '6px' }}>Budget (USD)</label>
+            <input
+              type="number"
+              min="0"
+              step="5"
+              placeholder="No limit"
+              value={budgetInput}
+              onChange={e => setBudgetInput(e.target.value)}
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <label style={{ display: 'block', fontSize: '12px', color: '#9E9E9E', marginBottom: '6px' }}>Warn at (%)</label>
+            <input
+              type="number"
+              min="1"
+              max="100"
+              value={warnInput}
+              onChange={e => setWarnInput(e.target.value)}
+              style={{ ...inputStyle, width: '80px' }}
+            />
+          </div>
+          <button onClick={handleSaveBudget} disabled={saving} style={buttonStyle}>
+            {saving ? 'Saving…' : 'Save'}
+          </button>
+          {savedAt && (
+            <span style={{ display: 'flex', alignItems: 'center', gap: '4px', color: '#22c55e', fontSize: '13px' }}>
+              <Check size={14} /> Saved
+            </span>
+          )}
+        </div>
+
+        <p style={{ fontSize: '12px', color: '#666', margin: '0 0 16px' }}>
+          Enforced by the server for everyone: once this month's spend plus a call's worst-case cost would
+          exceed it, the call is refused. Leave empty for no limit. Months are calendar months in UTC.
+          {budget?.updatedBy && ` Last changed by ${budget.updatedBy} on ${new Date(budget.updatedAt).toLocaleDateString()}.`}
+        </p>
+
+        {budget && (
+          <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', marginBottom: '6px' }}>
+              <span style={{ color: '#9E9E9E' }}>
+                {formatCost(budget.spent)} spent this month · {budget.calls} call{budget.calls === 1 ? '' : 's'}
+              </span>
+              <span style={{ fontWeight: '600' }}>
+                {usedPercent != null ? `${usedPercent.toFixed(1)}% of ${formatCost(budget.monthlyBudget)}` : 'No limit set'}
+              </span>
+            </div>
+            {usedPercent != null && (
+              <div style={{ height: '8px', background: '#333', borderRadius: '4px', overflow: 'hidden' }}>
+                <div style={{
+                  height: '100%',
+                  width: `${Math.min(usedPercent, 100)}%`,
+                  background: usedPercent >= 100 ? '#ef4444'
+                    : usedPercent >= budget.warnAtPercent ? '#f59e0b' : '#22c55e',
+                  borderRadius: '4px',
+                }} />
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Window picker + totals */}
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '16px' }}>
+        {WINDOWS.map(w => (
+          <button
+            key={w.id}
+            onClick={() => setWindowId(w.id)}
+            style={{
+              ...ghostButtonStyle,
+              background: windowId === w.id ? 'rgba(41, 98, 255, 0.2)' : '#252525',
+              borderColor: windowId === w.id ? '#2962FF' : '#444',
+              color: windowId === w.id ? '#E0E0E0' : '#9E9E9E',
+            }}
+          >
+            {w.label}
+          </button>
+        ))}
+        {breakdown && (
+          <span style={{ marginLeft: 'auto', fontSize: '13px', color: '#9E9E9E' }}>
+            {formatCost(breakdown.totals.cost)} · {breakdown.totals.calls} calls · {formatTokens(breakdown.totals.inputTokens + breakdown.totals.outputTokens)} tokens
+          </span>
+        )}
+      </div>
+
+      {/* By feature */}
+      <div style={cardStyle}>
+        <h3 style={cardTitleStyle}><Activity size={18} style={{ color: '#60a5fa' }} /> By Feature</h3>
+        <BreakdownTable rows={breakdown?.byFeature || []} total={breakdown?.totals.cost || 0} labelFor={b => b.key} />
+      </div>
+
+      {/* By client */}
+      <div style={cardStyle}>
+        <h3 style={cardTitleStyle}><Activity size={18} style={{ color: '#a78bfa' }} /> By Client</h3>
+        <BreakdownTable
+          rows={breakdown?.byClient || []}
+          total={breakdown?.totals.cost || 0}
+          labelFor={b => b.clientName || <span style={{ color: '#666' }}>Not client-specific</span>}
+        />
+      </div>
+
+      {/* Recent calls */}
+      <div style={cardStyle}>
+        <h3 style={cardTitleStyle}><Activity size={18} style={{ color: '#22c55e' }} /> Recent Calls</h3>
+        {recent.length === 0 ? (
+          <div style={{ fontSize: '13px', color: '#666' }}>No calls recorded yet.</div>
+        ) : (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={tableStyle}>
+              <thead>
+                <tr>
+                  <th style={thStyle}>When</th>
+                  <th style={thStyle}>Feature</th>
+                  <th style={thStyle}>User</th>
+                  <th style={thStyle}>Status</th>
+                  <th style={numThStyle}>Tokens</th>
+                  <th style={numThStyle}>Cost</th>
+                  <th style={numThStyle}>Latency</th>
+                </tr>
+              </thead>
+              <tbody>
+                {recent.map(r => (
+                  <tr key={r.id} title={r.error_message || r.prompt_version || ''}>
+                    <td style={{ ...tdStyle, color: '#9E9E9E', whiteSpace: 'nowrap' }}>{new Date(r.created_at).toLocaleString()}</td>
+                    <td style={tdStyle}>
+                      {r.feature}
+                      {r.prompt_version && <span style={{ color: '#666', marginLeft: '6px', fontSize: '11px' }}>{r.prompt_version}</span>}
+                    </td>
+                    <td style={{ ...tdStyle, color: '#9E9E9E' }}>{r.user_email || '—'}</td>
+                    <td style={{ ...tdStyle, color: STATUS_COLORS[r.status] || '#9E9E9E' }}>{STATUS_LABELS[r.status] || r.status}</td>
+                    <td style={numTdStyle}>{formatTokens((r.input_tokens || 0) + (r.output_tokens || 0))}</td>
+                    <td style={numTdStyle}>{formatCost(Number(r.cost_usd || 0), 3)}</td>
+                    <td style={numTdStyle}>{r.latency_ms != null ? `${(r.latency_ms / 1000).toFixed(1)}s` : '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ──────────────────────────────────────────────────
+// Breakdown table
+// ──────────────────────────────────────────────────
+
+function BreakdownTable({ rows, total, labelFor }) {
+  if (!rows.length) {
+    return <div style={{ fontSize: '13px', color: '#666' }}>No calls in this window.</div>;
+  }
+  return (
+    <div style={{ overflowX: 'auto' }}>
+      <table style={tableStyle}>
+        <thead>
+          <tr>
+            <th style={thStyle}></th>
+            <th style={numThStyle}>Calls</th>
+            <th style={numThStyle}>Failed / cancelled / blocked</th>
+            <th style={numThStyle}>Tokens</th>
+            <th style={numThStyle}>Avg latency</th>
+            <th style={numThStyle}>Cost</th>
+            <th style={numThStyle}>Share</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(b => (
+            <tr key={b.key ?? '__none'}>
+              <td style={tdStyle}>{labelFor(b)}</td>
+              <td style={numTdStyle}>{b.calls}</td>
+              <td style={{ ...numTdStyle, color: b.errors + b.aborted + b.blocked ? '#E8A82B' : '#666' }}>
+                {b.errors} / {b.aborted} / {b.blocked}
+              </td>
+              <td style={numTdStyle}>{formatTokens(b.inputTokens + b.outputTokens)}</td>
+              <td style={numTdStyle}>{b.avgLatencyMs != null ? `${(b.avgLatencyMs / 1000).toFixed(1)}s` : '—'}</td>
+              <td style={numTdStyle}>{formatCost(b.cost)}</td>
+              <td style={numTdStyle}>{total > 0 ? `${((b.cost / total) * 100).toFixed(0)}%` : '—'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// ──────────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────────
+
+function windowStart(windowId) {
+  const now = new Date();
+  if (windowId === '7d')  return new Date(now.getTime() - 7 * 86_400_000);
+  if (windowId === '30d') return new Date(now.getTime() - 30 * 86_400_000);
+  // Matches claude_usage_month_to_date(): calendar month in UTC.
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+function formatCost(cost, digits = 2) {
+  return `$${(cost || 0).toFixed(digits)}`;
+}
+
+function formatTokens(tokens) {
+  if (tokens > 1000000) return `${(tokens / 1000000).toFixed(2)}M`;
+  if (tokens > 1000) return `${(tokens / 1000).toFixed(1)}K`;
+  return String(tokens || 0);
+}
+
+export default ClaudeUsageDashboard;
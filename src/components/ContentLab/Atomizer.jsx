@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useMemo, useEffect } from "react";
+import React, { useState, useCallback, useMemo, useEffect, useRef } from "react";
 import {
   Zap, FileText, Scissors, MessageSquare, Loader,
   ChevronDown, ChevronUp, Check, Plus, Shuffle,
@@ -15,6 +15,7 @@ import {
   getChannelContentType, updateChannelContentType,
   getAntiLibrary,
 } from "../../services/atomizerService";
+import { isAbortError } from "../../services/claudeAPI";
 import { getChannels } from "../../services/competitorDatabase";
 import AtomizerHistory from "./AtomizerHistory";
 import BeatMapPanel, { THREAD_COLORS } from "./BeatMapPanel";
@@ -37,6 +38,10 @@ export default function Atomizer({ activeClient }) {
   const [analyzing, setAnalyzing] = useState(false);
   const [results, setResults] = useState(null);
   const [error, setError] = useState("");
+  const [cancelled, setCancelled] = useState(false);
+  // AbortController for the in-flight generateStrategy — Cancel aborts
+  // whichever stage is running; unmount aborts too.
+  const analyzeAbortRef = useRef(null);
   const [activeTab, setActiveTab] = useState("long_form");
 
   // Save state
@@ -232,14 +237,24 @@ export default function Atomizer({ activeClient }) {
     });
   }, []);
 
+  useEffect(() => () => analyzeAbortRef.current?.abort(), []);
+
+  const handleCancelAnalyze = useCallback(() => {
+    analyzeAbortRef.current?.abort();
+  }, []);
+
   const handleAnalyze = useCallback(async () => {
     if (!transcriptText.trim()) {
       setError("Please paste a transcript to analyze.");
       return;
     }
 
+    const controller = new AbortController();
+    analyzeAbortRef.current = controller;
+
     setAnalyzing(true);
     setError("");
+    setCancelled(false);
     setResults(null);
     setSelections({});
     setExpandedCards(new Set());
@@ -256,7 +271,7 @@ export default function Atomizer({ activeClient }) {
         transcriptText,
         title || "Untitled",
         selectedChannelId || activeClient?.id,
-        { contextInputs, contentTypeOverride: channelContentType },
+        { contextInputs, contentTypeOverride: channelContentType, signal: controller.signal },
       );
       setResults(data);
 
@@ -325,8 +340,13 @@ export default function Atomizer({ activeClient }) {
         console.warn("Failed to save to database:", saveErr);
       }
     } catch (err) {
-      setError(err.message || "Analysis failed. Check your Claude API key in Settings.");
+      if (isAbortError(err)) {
+        setCancelled(true);
+      } else {
+        setError(err.message || "Analysis failed. Check your Claude API key in Settings.");
+      }
     } finally {
+      if (analyzeAbortRef.current === controller) analyzeAbortRef.current = null;
       setAnalyzing(false);
     }
   }, [transcriptText, title, activeClient, contextInputs, selectedChannelId]);
@@ -768,26 +788,50 @@ export default function Atomizer({ activeClient }) {
           <div style={{ fontSize: "11px", color: "#666" }}>
             Est. ~${estimatedCostAnalysis} analysis (3 stages: segment + threads + strategy){selectedCount > 0 ? " + ~$0.06 remix" : ""} (deploy: ~$0.30-0.60, recut: ~$0.15-0.40)
           </div>
-          <button
-            onClick={handleAnalyze}
-            disabled={analyzing || !transcriptText.trim()}
-            style={{
-              background: analyzing ? "#374151" : "#3b82f6",
-              border: "none", borderRadius: "8px", padding: "10px 24px",
-              color: "#fff", fontSize: "14px", fontWeight: "600",
-              cursor: analyzing || !transcriptText.trim() ? "not-allowed" : "pointer",
-              opacity: analyzing || !transcriptText.trim() ? 0.6 : 1,
-              display: "flex", alignItems: "center", gap: "8px",
-            }}
-          >
-            {analyzing ? (
-              <><Loader size={16} style={{ animation: "spin 1s linear infinite" }} /> Analyzing...</>
-            ) : (
-              <><Scissors size={16} /> Atomize Transcript</>
+          <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+            {analyzing && (
+              <button
+                onClick={handleCancelAnalyze}
+                style={{
+                  background: "transparent", border: "1px solid #444", borderRadius: "8px",
+                  padding: "10px 16px", color: "#9E9E9E", fontSize: "14px", fontWeight: "600",
+                  cursor: "pointer", display: "flex", alignItems: "center", gap: "6px",
+                }}
+              >
+                <X size={14} /> Cancel
+              </button>
             )}
-          </button>
+            <button
+              onClick={handleAnalyze}
+              disabled={analyzing || !transcriptText.trim()}
+              style={{
+                background: analyzing ? "#374151" : "#3b82f6",
+                border: "none", borderRadius: "8px", padding: "10px 24px",
+                color: "#fff", fontSize: "14px", fontWeight: "600",
+                cursor: analyzing || !transcriptText.trim() ? "not-allowed" : "pointer",
+                opacity: analyzing || !transcriptText.trim() ? 0.6 : 1,
+                display: "flex", alignItems: "center", gap: "8px",
+              }}
+            >
+              {analyzing ? (
+                <><Loader size={16} style={{ animation: "spin 1s linear infinite" }} /> Analyzing...</>
+              ) : (
+                <><Scissors size={16} /> Atomize Transcript</>
+              )}
+            </button>
+          </div>
         </div>
 
+        {cancelled && !error && (
+          <div style={{
+            background: "#1E1E1E", border: "1px solid #333",
+            borderRadius: "8px", padding: "12px", color: "#9E9E9E",
+            fontSize: "13px", marginTop: "16px"
+          }}>
+            Analysis cancelled. Stages that had already finished are still billed.
+          </div>
+        )}
+
         {error && (
           <div style={{
             background: "#2d1b1b", border: "1px solid #7f1d1d",
@@ -15,6 +15,13 @@
  *      Shown after Google redirects back through the callback. Says
  *      "thanks, access granted, you can close this tab."
  *
+ *   3. MULTI-CHANNEL CHECKLIST — `?tab=guest-oauth&token=X[&connected=Y]`
+ *      (migration 113). Network invites list several channels. The
+ *      guest connects them one Google consent at a time; the callback
+ *      sends them back here with `connected=<title>` (or `oauth_error`)
+ *      and the checklist shows what's connected, skipped, and left.
+ *      Finish closes the invite and shows the summary.
+ *
  * Design principles:
  *   - Looks like a real grant page (channel-owner trust signal), not
  *     like the strategist's analytics dashboard
@@ -32,6 +39,12 @@ export default function GuestOAuthPage() {
   const successFlag = params.get('oauth_success') === 'true';
   const errorFlag = params.get('oauth_error');
   const grantedChannel = params.get('channel');
+  const connectedChannel = params.get('connected');
+
+  // Multi-channel invites come back to the checklist, errors included.
+  if (token && (connectedChannel || errorFlag)) {
+    return <InviteLanding token={token} connectedChannel={connectedChannel} returnError={errorFlag} />;
+  }
 
   // Success / error state — shown after Google redirects back
   if (successFlag || errorFlag) {
@@ -50,7 +63,7 @@ export default function GuestOAuthPage() {
 // Invite landing — validate token, show "Grant access"
 // ──────────────────────────────────────────────────
 
-function InviteLanding({ token }) {
+function InviteLanding({ token, connectedChannel = null, returnError = null }) {
   const [loading, setLoading] = useState(true);
   const [invite, setInvite] = useState(null);
   const [error, setError] = useState(null);
@@ -78,11 +91,12 @@ function InviteLanding({ token }) {
     return () => { cancelled = true; };
   }, [token]);
 
-  const handleGrant = async () => {
+  const handleGrant = async (inviteChannelId = null) => {
     setGranting(true);
     setGrantError(null);
     try {
-      const r = await fetch(`/api/youtube-oauth-invite?action=init&token=${encodeURIComponent(token)}`, {
+      const channelParam = inviteChannelId ? `&channel=${encodeURIComponent(inviteChannelId)}` : '';
+      const r = await fetch(`/api/youtube-oauth-invite?action=init&token=${encodeURIComponent(token)}${channelParam}`, {
         method: 'POST',
       });
       const json = await r.json();
@@ -119,6 +133,21 @@ function InviteLanding({ token }) {
     );
   }
 
+  if (invite.isMultiChannel) {
+    return (
+      <MultiChannelChecklist
+        token={token}
+        invite={invite}
+        onInviteChange={setInvite}
+        connectedChannel={connectedChannel}
+        returnError={returnError}
+        granting={granting}
+        grantError={grantError}
+        onGrant={handleGrant}
+      />
+    );
+  }
+
   return (
     <Shell>
       <div style={kickerStyle}>Full View Analytics</div>
@@ -155,7 +184,7 @@ function InviteLanding({ token }) {
       </div>
 
       <div style={{ marginTop: 24 }}>
-        <button onClick={handleGrant} disabled={granting} style={primaryBtnStyle(granting)}>
+        <button onClick={() => handleGrant()} disabled={granting} style={primaryBtnStyle(granting)}>
           {granting ? 'Opening Google sign-in…' : 'Grant access'}
         </button>
         {grantError && (
@@ -180,6 +209,192 @@ function InviteLanding({ token }) {
   );
 }
 
+// ──────────────────────────────────────────────────
+// Multi-channel checklist (migration 113)
+// ──────────────────────────────────────────────────
+
+const CHANNEL_STATUS_COLORS = {
+  pending:   '#888',
+  connected: '#3fa66a',
+  skipped:   '#E8A82B',
+};
+
+function MultiChannelChecklist({ token, invite, onInviteChange, connectedChannel, returnError, granting, grantError, onGrant }) {
+  const [acting, setActing] = useState(null);       // invite channel id being skipped, or 'finish'
+  const [actionError, setActionError] = useState(null);
+
+  const channels  = invite.channels || [];
+  const requested = channels.filter(c => !c.isExtra);
+  const extras    = channels.filter(c => c.isExtra);
+  const connected = channels.filter(c => c.status === 'connected');
+  const skipped   = requested.filter(c => c.status === 'skipped');
+  const pending   = requested.filter(c => c.status === 'pending');
+
+  const postAction = async (action, body, actingKey) => {
+    setActing(actingKey);
+    setActionError(null);
+    try {
+      const r = await fetch(`/api/youtube-oauth-invite?action=${action}&token=${encodeURIComponent(token)}`, {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body:    JSON.stringify(body || {}),
+      });
+      const json = await r.json();
+      if (!r.ok) { setActionError(json?.error || 'Something went wrong.'); return; }
+      onInviteChange({ ...invite, channels: json.channels || channels, finished: !!json.finished });
+    } catch (err) {
+      setActionError(err?.message || 'Network error.');
+    } finally {
+      setActing(null);
+    }
+  };
+
+  const handleSkip = (row) => {
+    const reason = window.prompt(`Skip "${row.label}"? Optional: tell the sender why (e.g. "I'm not an owner of this channel").`, '');
+    if (reason === null) return;
+    void postAction('skip', { invite_channel_id: row.id, reason: reason.trim() || null }, row.id);
+  };
+
+  const handleFinish = () => {
+    if (pending.length && !window.confirm(`${pending.length} channel${pending.length === 1 ? ' is' : 's are'} still pending and will be marked skipped. Finish anyway?`)) return;
+    void postAction('finish', null, 'finish');
+  };
+
+  if (invite.finished) {
+    return (
+      <Shell>
+        <div style={{ ...kickerStyle, color: '#3fa66a' }}>✓ Done</div>
+        <h1 style={titleStyle}>You're all set</h1>
+        <p style={bodyStyle}>
+          Full View now has read-only analytics access to{' '}
+          <strong style={{ color: '#e8e2d0' }}>{connected.length} channel{connected.length === 1 ? '' : 's'}</strong>
+          {skipped.length > 0 && <> · {skipped.length} skipped</>}. You can close this tab.
+        </p>
+        <ChannelList channels={channels} />
+        <p style={{ ...subBodyStyle, marginTop: 16 }}>
+          To revoke this access later: go to{' '}
+          <a href="https://myaccount.google.com/permissions" target="_blank" rel="noopener noreferrer" style={{ color: '#0A919B' }}>
+            myaccount.google.com/permissions
+          </a>
+          , find Full View Analytics, and remove.
+        </p>
+      </Shell>
+    );
+  }
+
+  return (
+    <Shell>
+      <div style={kickerStyle}>Full View Analytics</div>
+      <h1 style={titleStyle}>YouTube access request · {requested.length} channels</h1>
+
+      <p style={bodyStyle}>
+        <strong style={{ color: '#e8e2d0' }}>{invite.requesterEmail || 'A Full View user'}</strong>
+        {' '}is requesting read-only access to the YouTube analytics of the channels below
+        {invite.clientLabel && (
+          <> for <strong style={{ color: '#e8e2d0' }}>{invite.clientLabel}</strong></>
+        )}.
+      </p>
+
+      {connectedChannel && (
+        <div style={successBoxStyle}>✓ Connected <strong>{connectedChannel}</strong>.{pending.length > 0 && ' Pick the next channel below.'}</div>
+      )}
+      {returnError && (
+        <div style={errorBoxStyle}>The last connection didn't go through ({returnError}). Try that channel again.</div>
+      )}
+
+      {invite.notes && (
+        <div style={notesStyle}>
+          <strong>Note from sender:</strong> {invite.notes}
+        </div>
+      )}
+
+      <div style={checklistStyle}>
+        {requested.map(row => (
+          <div key={row.id} style={checklistRowStyle}>
+            <span style={{ ...statusDotStyle, background: CHANNEL_STATUS_COLORS[row.status] }} />
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div style={{ fontSize: 14, color: '#e8e2d0', fontWeight: 600 }}>{row.label}</div>
+              <div style={{ fontSize: 12, color: CHANNEL_STATUS_COLORS[row.status] }}>
+                {row.status === 'connected' && <>Connected{row.connectedTitle && row.connectedTitle !== row.label ? ` as ${row.connectedTitle}` : ''}</>}
+                {row.status === 'skipped' && <>Skipped{row.skipReason ? ` — ${row.skipReason}` : ''}</>}
+                {row.status === 'pending' && 'Not connected yet'}
+              </div>
+            </div>
+            {row.status === 'pending' && (
+              <>
+                <button onClick={() => onGrant(row.id)} disabled={granting || !!acting} style={connectBtnStyle(granting || !!acting)}>
+                  Connect
+                </button>
+                <button onClick={() => handleSkip(row)} disabled={granting || !!acting} style={skipBtnStyle}>
+                  {acting === row.id ? '…' : 'Skip'}
+                </button>
+              </>
+            )}
+          </div>
+        ))}
+        {extras.length > 0 && (
+          <div style={{ fontSize: 12, color: '#888', paddingTop: 8 }}>
+            Also connected (not on the list): {extras.map(e => e.connectedTitle || e.label).join(', ')}
+          </div>
+        )}
+      </div>
+
+      {(grantError || actionError) && (
+        <div style={errorBoxStyle}>{grantError || actionError}</div>
+      )}
+
+      <div style={scopesBoxStyle}>
+        <div style={scopesHeaderStyle}>For each channel you connect, you'll be granting:</div>
+        <ul style={scopesListStyle}>
+          <li>Read-only access to the channel's data (videos, views, metadata)</li>
+          <li>Read-only access to its YouTube Analytics (traffic sources, audience, retention)</li>
+          <li>Your Google account email (so the connection shows the right channel)</li>
+        </ul>
+        <div style={scopesNoteStyle}>
+          Google grants access one channel at a time. After each <strong>Connect</strong>, Google asks
+          which account or Brand Account to use — pick the channel you're connecting. Full View will
+          NOT be able to post, edit, delete, or change anything.
+        </div>
+      </div>
+
+      <div style={{ marginTop: 20 }}>
+        <button onClick={handleFinish} disabled={granting || !!acting} style={primaryBtnStyle(granting || !!acting)}>
+          {acting === 'finish'
+            ? 'Finishing…'
+            : `Finish — ${connected.length} connected${skipped.length ? `, ${skipped.length} skipped` : ''}${pending.length ? `, ${pending.length} left` : ''}`}
+        </button>
+      </div>
+
+      {invite.expiresAt && (
+        <div style={expiryStyle}>
+          This invite expires {new Date(invite.expiresAt).toLocaleDateString(undefined, {
+            month: 'long', day: 'numeric', year: 'numeric',
+          })}. Channels you've already connected stay connected.
+        </div>
+      )}
+    </Shell>
+  );
+}
+
+function ChannelList({ channels }) {
+  return (
+    <div style={checklistStyle}>
+      {channels.map(row => (
+        <div key={row.id} style={checklistRowStyle}>
+          <span style={{ ...statusDotStyle, background: CHANNEL_STATUS_COLORS[row.status] }} />
+          <div style={{ flex: 1, fontSize: 13, color: '#e8e2d0' }}>
+            {row.connectedTitle || row.label}
+            {row.isExtra && <span style={{ color: '#888' }}> (not on the list)</span>}
+          </div>
+          <span style={{ fontSize: 12, color: CHANNEL_STATUS_COLORS[row.status] }}>
+            {row.status === 'connected' ? 'Connected' : row.status === 'skipped' ? 'Skipped' : 'Pending'}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 // ──────────────────────────────────────────────────
 // Result view — after callback redirects back
 // ──────────────────────────────────────────────────
@@ -325,6 +540,40 @@ const errorBoxStyle = {
   borderRadius: 6, padding: '10px 14px',
   fontSize: 13,
 };
+const successBoxStyle = {
+  background: 'rgba(63,166,106,0.08)',
+  border: '1px solid rgba(63,166,106,0.30)',
+  color: '#3fa66a',
+  borderRadius: 6, padding: '10px 14px',
+  fontSize: 13, marginBottom: 14,
+};
+const checklistStyle = {
+  background: '#1a1a1f',
+  border: '1px solid #2a2a30',
+  borderRadius: 6, padding: '4px 14px',
+  marginBottom: 16,
+};
+const checklistRowStyle = {
+  display: 'flex', alignItems: 'center', gap: 10,
+  padding: '10px 0',
+  borderBottom: '1px dashed #2a2a30',
+};
+const statusDotStyle = {
+  width: 8, height: 8, borderRadius: '50%', flexShrink: 0,
+};
+const connectBtnStyle = (disabled) => ({
+  background: disabled ? '#1a1a1f' : '#0A919B',
+  color: disabled ? '#666' : '#0a0a0e',
+  border: disabled ? '1px solid #2a2a30' : 'none',
+  borderRadius: 5, padding: '6px 14px',
+  fontSize: 12, fontWeight: 700,
+  cursor: disabled ? 'not-allowed' : 'pointer',
+});
+const skipBtnStyle = {
+  background: 'transparent', color: '#888',
+  border: '1px solid #2a2a30', borderRadius: 5,
+  padding: '6px 10px', fontSize: 12, cursor: 'pointer',
+};
 const fineprintStyle = {
   marginTop: 16,
   fontSize: 12, color: '#666', lineHeight: 1.5,
@@ -11,7 +11,7 @@
  * stage transitions) is in place for the hires-coming-soon case.
  */
 import React, { useEffect, useMemo, useState } from 'react';
-import { Loader, AlertTriangle, ChevronDown, ExternalLink, RefreshCw, EyeOff, Eye, Sparkles } from 'lucide-react';
+import { Loader, AlertTriangle, ChevronDown, ExternalLink, RefreshCw, EyeOff, Eye, Sparkles, Rocket } from 'lucide-react';
 import {
   listPortfolio,
   updateClientStage,
@@ -22,8 +22,9 @@ import {
 import ChannelIssuesModal from '../ResearchV2/ChannelIssuesModal.jsx';
 import StrategySpine from './StrategySpine.jsx';
 import AddPrelaunchClientModal from './AddPrelaunchClientModal.jsx';
+import UpgradePrelaunchClientModal from './UpgradePrelaunchClientModal.jsx';
 
-export default function PortfolioView({ onNavigate } = {}) {
+export default function PortfolioView({ onNavigate, onClientUpgraded } = {}) {
   const [clients, setClients] = useState(null);
   const [hiddenCount, setHiddenCount] = useState(0);
   const [includeHidden, setIncludeHidden] = useState(false);
@@ -38,6 +39,8 @@ export default function PortfolioView({ onNavigate } = {}) {
   // Pre-launch client creation modal — onboard clients before they
   // have a YouTube channel to OAuth.
   const [prelaunchOpen, setPrelaunchOpen] = useState(false);
+  // Pre-launch client that just launched — swap in the real channel.
+  const [upgradeClient, setUpgradeClient] = useState(null);
 
   useEffect(() => {
     let cancelled = false;
@@ -103,6 +106,11 @@ export default function PortfolioView({ onNavigate } = {}) {
     setRefreshTick(t => t + 1);
   };
 
+  const handleUpgraded = (clientId, patch, targetTab) => {
+    setRefreshTick(t => t + 1);
+    onClientUpgraded?.(clientId, patch, targetTab);
+  };
+
   if (openSpineClient) {
     return (
       <StrategySpine
@@ -178,6 +186,7 @@ export default function PortfolioView({ onNavigate } = {}) {
           onShow={handleShow}
           onOpenSyncErrors={(c) => setIssuesClient({ id: c.id, name: c.name })}
           onOpenSpine={(c) => setOpenSpineClient(c)}
+          onUpgrade={(c) => setUpgradeClient(c)}
         />
       ))}
 
@@ -196,6 +205,14 @@ export default function PortfolioView({ onNavigate } = {}) {
         onClose={() => setPrelaunchOpen(false)}
         onCreated={() => setRefreshTick(t => t + 1)}
       />
+
+      <UpgradePrelaunchClientModal
+        key={upgradeClient?.id || 'none'}
+        open={!!upgradeClient}
+        client={upgradeClient}
+        onClose={() => setUpgradeClient(null)}
+        onUpgraded={handleUpgraded}
+      />
     </div>
   );
 }
@@ -262,7 +279,7 @@ function Header({ total, totals = [], onRefresh, hiddenCount = 0, includeHidden
   );
 }
 
-function StageSection({ group, onStageChange, onHide, onShow, onOpenSyncErrors, onOpenSpine }) {
+function StageSection({ group, onStageChange, onHide, onShow, onOpenSyncErrors, onOpenSpine, onUpgrade }) {
   return (
     <div style={{ marginBottom: 24 }}>
       <div style={{
@@ -300,7 +317,7 @@ function StageSection({ group, onStageChange, onHide, onShow, onOpenSyncErrors,
           </thead>
           <tbody>
             {group.rows.map(c => (
-              <ClientRow key={c.id} client={c} onStageChange={onStageChange} onHide={onHide} onShow={onShow} onOpenSyncErrors={onOpenSyncErrors} onOpenSpine={onOpenSpine} />
+              <ClientRow key={c.id} client={c} onStageChange={onStageChange} onHide={onHide} onShow={onShow} onOpenSyncErrors={onOpenSyncErrors} onOpenSpine={onOpenSpine} onUpgrade={onUpgrade} />
             ))}
           </tbody>
         </table>
@@ -309,7 +326,7 @@ function StageSection({ group, onStageChange, onHide, onShow, onOpenSyncErrors,
   );
 }
 
-function ClientRow({ client: c, onStageChange, onHide, onShow, onOpenSyncErrors, onOpenSpine }) {
+function ClientRow({ client: c, onStageChange, onHide, onShow, onOpenSyncErrors, onOpenSpine, onUpgrade }) {
   const coveragePct = Math.round(c.coverage * 100);
   const isHidden = c.isPortfolioRoot === false;
   // The next-action chip is clickable only when it surfaces sync errors,
@@ -346,6 +363,15 @@ function ClientRow({ client: c, onStageChange, onHide, onShow, onOpenSyncErrors,
             {c.isStub && (
               <div style={{ fontSize: 10, color: '#a78bfa', marginTop: 2 }}>Label-only (no YouTube)</div>
             )}
+            {c.isPrelaunch && (
+              <button
+                onClick={() => onUpgrade?.(c)}
+                title="The client launched — link their real YouTube channel"
+                style={upgradeLinkStyle}
+              >
+                <Rocket size={10} /> Pre-launch · launched? Upgrade
+              </button>
+            )}
           </div>
         </div>
       </Td>
@@ -398,7 +424,7 @@ function ClientRow({ client: c, onStageChange, onHide, onShow, onOpenSyncErrors,
       </Td>
       <Td>
         <div style={{ display: 'inline-flex', alignItems: 'center', gap: 4 }}>
-          {c.youtubeChannelId && !c.isStub && (
+          {c.youtubeChannelId && !c.isStub && !c.isPrelaunch && (
             <a href={`https://youtube.com/channel/${c.youtubeChannelId}`}
                target="_blank" rel="noreferrer"
                title="Open channel on YouTube"
@@ -524,6 +550,13 @@ const iconLink = {
   cursor: 'pointer', textDecoration: 'none',
 };
 
+const upgradeLinkStyle = {
+  display: 'inline-flex', alignItems: 'center', gap: 4,
+  background: 'transparent', border: 'none', padding: 0, marginTop: 2,
+  cursor: 'pointer', fontFamily: 'inherit',
+  fontSize: 10, color: '#a78bfa', fontWeight: 600,
+};
+
 function formatRelative(iso) {
   const d = Math.floor((Date.now() - new Date(iso).getTime()) / 86400000);
   if (d < 1) return 'Today';
@@ -1428,6 +1428,7 @@ function PillarCard({ pillar, hosts, clientId, startEditing = false, onCreate, o
             <option value="strategist">Strategist synthesis</option>
             <option value="client_idea">Client idea</option>
             <option value="existing_channel_pillar">Existing channel pillar</option>
+            <option value="competitor_comment">Competitor comment</option>
           </select>
 
           <label style={fieldLabel}>Example concept (sample title or in-channel episode idea)</label>
@@ -0,0 +1,358 @@
+/**
+ * UpgradePrelaunchClientModal — the client launched; promote the
+ * pre-launch placeholder to their real YouTube channel.
+ *
+ * Triggered from PortfolioView (row action on pre-launch clients) and
+ * from PrelaunchBadge in Strategy workspace headers. Steps:
+ *   1. Handle / URL / UC… id → resolveLaunchChannel (via /api/youtube-channel)
+ *   2. Preview the resolved channel — name, handle, subs, videos — so a
+ *      wrong match is caught before anything is written
+ *   3. upgradeToRealChannel swaps the youtube_channel_id in place
+ *   4. bootstrapLaunchedChannel runs the first video sync + embeddings
+ *   5. Success view → Repositioning
+ *
+ * The parent is told about the upgrade only when the modal closes
+ * (onUpgraded). Telling it earlier would flip is_prelaunch on the
+ * active client, unmount the PrelaunchBadge that hosts this modal,
+ * and kill the bootstrap mid-run.
+ */
+
+import React, { useState } from 'react';
+import { X as XIcon, Rocket, CheckCircle, AlertTriangle, Loader, ArrowRight } from 'lucide-react';
+import {
+  resolveLaunchChannel, upgradeToRealChannel, bootstrapLaunchedChannel,
+} from '../../services/prelaunchClientService.js';
+
+const STEP_LABELS = {
+  sync:       'First video sync',
+  embeddings: 'Title embeddings backfill',
+};
+
+export default function UpgradePrelaunchClientModal({ open, client, onClose, onUpgraded }) {
+  const [input, setInput]         = useState(client?.customUrl || client?.youtubeChannelUrl || '');
+  const [phase, setPhase]         = useState('input');   // input | preview | upgrading | bootstrap | done
+  const [busy, setBusy]           = useState(false);
+  const [error, setError]         = useState(null);
+  const [resolved, setResolved]   = useState(null);
+  const [steps, setSteps]         = useState({});        // step → { status, detail }
+
+  if (!open || !client) return null;
+
+  const reset = () => {
+    setInput(client?.customUrl || client?.youtubeChannelUrl || '');
+    setPhase('input'); setBusy(false); setError(null); setResolved(null); setSteps({});
+  };
+
+  // Close (or navigate) — report the upgrade only if it happened.
+  const finish = (targetTab = null) => {
+    const upgraded = phase === 'bootstrap' || phase === 'done';
+    if (upgraded && resolved) {
+      onUpgraded?.(client.id, {
+        name:             resolved.name,
+        youtubeChannelId: resolved.youtubeChannelId,
+        customUrl:        resolved.customUrl,
+        thumbnailUrl:     resolved.thumbnailUrl,
+        subscriberCount:  resolved.subscriberCount,
+      }, targetTab);
+    }
+    reset();
+    onClose?.();
+  };
+
+  const handleResolve = async (e) => {
+    e?.preventDefault();
+    setBusy(true);
+    setError(null);
+    const r = await resolveLaunchChannel(input);
+    setBusy(false);
+    if (!r.ok) { setError(r.error); return; }
+    setResolved(r.channel);
+    setPhase('preview');
+  };
+
+  const handleConfirm = async () => {
+    setPhase('upgrading');
+    setError(null);
+    const r = await upgradeToRealChannel({
+      clientId:         client.id,
+      youtubeChannelId: resolved.youtubeChannelId,
+      channelMetadata: {
+        name:             resolved.name,
+        custom_url:       resolved.customUrl,
+        thumbnail_url:    resolved.thumbnailUrl,
+        subscriber_count: resolved.subscriberCount,
+        total_view_count: resolved.viewCount,
+        video_count:      resolved.videoCount,
+      },
+    });
+    if (!r.ok) {
+      setError(r.error || 'Upgrade failed');
+      setPhase('preview');
+      return;
+    }
+
+    setPhase('bootstrap');
+    await bootstrapLaunchedChannel({
+      clientId: client.id,
+      onProgress: ({ step, status, detail }) => setSteps(prev => ({ ...prev, [step]: { status, detail } })),
+    });
+    setPhase('done');
+  };
+
+  const running = phase === 'upgrading' || phase === 'bootstrap';
+
+  return (
+    <div style={overlayStyle} onClick={(e) => { if (e.target === e.currentTarget && !running) finish(); }}>
+      <div style={modalStyle}>
+        <div style={headerStyle}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+            {phase === 'done'
+              ? <CheckCircle size={18} style={{ color: '#3fa66a' }} />
+              : <Rocket size={18} style={{ color: '#a78bfa' }} />}
+            <div>
+              <div style={{ ...kickerStyle, ...(phase === 'done' ? { color: '#3fa66a' } : {}) }}>
+                {phase === 'done' ? 'Launched' : 'Pre-launch → live channel'}
+              </div>
+              <h2 style={titleStyle}>
+                {phase === 'done' ? `${resolved?.name || client.name} is live` : `${client.name} launched`}
+              </h2>
+            </div>
+          </div>
+          <button onClick={() => finish()} style={closeBtnStyle} disabled={running}><XIcon size={16} /></button>
+        </div>
+
+        <div style={bodyStyle}>
+          {phase === 'input' && (
+            <form onSubmit={handleResolve}>
+              <p style={subtitleStyle}>
+                Point this client at their new YouTube channel. The Strategy Spine, business
+                context, cohort role tags, and calibration history all stay attached — only the
+                channel link changes.
+              </p>
+              <label style={labelStyle}>
+                <span style={labelTextStyle}>YouTube handle, URL, or channel ID</span>
+                <input
+                  type="text"
+                  value={input}
+                  onChange={e => setInput(e.target.value)}
+                  placeholder="@acmebrand"
+                  autoFocus
+                  style={inputStyle}
+                />
+              </label>
+              {error && <div style={errorBoxStyle}>{error}</div>}
+              <div style={footerStyle}>
+                <button type="button" onClick={() => finish()} style={ghostBtnStyle} disabled={busy}>Cancel</button>
+                <button type="submit" style={primaryBtnStyle(busy || !input.trim())} disabled={busy || !input.trim()}>
+                  {busy ? 'Looking up…' : 'Look up channel'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {(phase === 'preview' || phase === 'upgrading') && resolved && (
+            <>
+              <p style={subtitleStyle}>Is this the right channel?</p>
+              <ChannelPreview channel={resolved} />
+              {resolved.cached && (
+                <div style={warnBoxStyle}>
+                  <AlertTriangle size={12} style={{ verticalAlign: -2, marginRight: 6 }} />
+                  YouTube quota is exhausted, so this match came from our cached channel list and may
+                  be wrong. Paste the UC… channel ID to be sure.
+                </div>
+              )}
+              {error && <div style={errorBoxStyle}>{error}</div>}
+              <div style={footerStyle}>
+                <button type="button" onClick={() => { setPhase('input'); setError(null); }} style={ghostBtnStyle} disabled={phase === 'upgrading'}>
+                  Back
+                </button>
+                <button onClick={handleConfirm} style={primaryBtnStyle(phase === 'upgrading')} disabled={phase === 'upgrading'}>
+                  {phase === 'upgrading' ? 'Upgrading…' : <><Rocket size={13} /> Upgrade client</>}
+                </button>
+              </div>
+            </>
+          )}
+
+          {(phase === 'bootstrap' || phase === 'done') && (
+            <>
+              <p style={subtitleStyle}>
+                Channel linked. Pulling the first data so Repositioning has a catalog to audit.
+              </p>
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 6, marginBottom: 14 }}>
+                {['sync', 'embeddings'].map(step => (
+                  <StepRow key={step} label={STEP_LABELS[step]} state={steps[step]} />
+                ))}
+              </div>
+              {phase === 'done' && Object.values(steps).some(s => s.status === 'error') && (
+                <div style={warnBoxStyle}>
+                  The upgrade itself succeeded. Retry the failed step from Research (refresh) or the
+                  Pre-flight embeddings panel.
+                </div>
+              )}
+              <div style={footerStyle}>
+                <button onClick={() => finish()} style={ghostBtnStyle} disabled={phase !== 'done'}>Close</button>
+                <button
+                  onClick={() => finish('repositioning')}
+                  style={primaryBtnStyle(phase !== 'done')}
+                  disabled={phase !== 'done'}
+                >
+                  Open Repositioning <ArrowRight size={13} />
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ──────────────────────────────────────────────────
+// Preview + progress rows
+// ──────────────────────────────────────────────────
+
+function ChannelPreview({ channel }) {
+  return (
+    <div style={previewStyle}>
+      {channel.thumbnailUrl
+        ? <img src={channel.thumbnailUrl} alt="" style={previewThumbStyle} />
+        : <div style={previewThumbStyle} />}
+      <div style={{ minWidth: 0 }}>
+        <div style={{ fontSize: 14, fontWeight: 700, color: '#e8e2d0' }}>{channel.name}</div>
+        <div style={{ fontSize: 11, color: '#888', marginTop: 2 }}>
+          {channel.customUrl && <>{channel.customUrl} · </>}
+          <a href={`https://youtube.com/channel/${channel.youtubeChannelId}`} target="_blank" rel="noreferrer" style={{ color: '#888' }}>
+            {channel.youtubeChannelId}
+          </a>
+        </div>
+        <div style={{ fontSize: 12, color: '#cde4d6', marginTop: 6 }}>
+          {formatCount(channel.subscriberCount)} subs · {formatCount(channel.videoCount)} videos · {formatCount(channel.viewCount)} views
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function StepRow({ label, state }) {
+  const status = state?.status || 'pending';
+  const color = { pending: '#666', running: '#0A919B', done: '#3fa66a', error: '#ef6b6b' }[status];
+  return (
+    <div style={stepRowStyle(color)}>
+      {status === 'running' && <Loader size={12} style={{ color, animation: 'spin 1s linear infinite' }} />}
+      {status === 'done' && <CheckCircle size={12} style={{ color }} />}
+      {status === 'error' && <AlertTriangle size={12} style={{ color }} />}
+      {status === 'pending' && <span style={{ width: 12 }} />}
+      <span style={{ fontSize: 12, color: '#e8e2d0', fontWeight: 600 }}>{label}</span>
+      {state?.detail && <span style={{ fontSize: 11, color: status === 'error' ? color : '#888' }}>· {state.detail}</span>}
+    </div>
+  );
+}
+
+function formatCount(n) {
+  if (n == null) return '—';
+  if (n >= 1_000_000) return `${(n / 1_000_000).toFixed(1)}M`;
+  if (n >= 1_000) return `${(n / 1_000).toFixed(1)}K`;
+  return String(n);
+}
+
+// ──────────────────────────────────────────────────
+// Styles — shared look with AddPrelaunchClientModal
+// ──────────────────────────────────────────────────
+
+const overlayStyle = {
+  position: 'fixed', inset: 0,
+  background: 'rgba(0,0,0,0.7)',
+  display: 'flex', alignItems: 'center', justifyContent: 'center',
+  zIndex: 1000, padding: 24,
+};
+const modalStyle = {
+  background: '#0e0e11',
+  border: '1px solid #2a2a30',
+  borderLeft: '2px solid #a78bfa',
+  borderRadius: 8,
+  width: '100%', maxWidth: 520,
+  maxHeight: '90vh', overflowY: 'auto',
+  textAlign: 'left', textTransform: 'none', letterSpacing: 0,
+};
+const headerStyle = {
+  display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start',
+  padding: '18px 22px 12px',
+  borderBottom: '1px solid #2a2a30',
+};
+const kickerStyle = {
+  fontSize: 10, color: '#a78bfa',
+  textTransform: 'uppercase', letterSpacing: 1, fontWeight: 700,
+};
+const titleStyle = {
+  fontSize: 16, fontWeight: 700, color: '#e8e2d0', margin: '2px 0 0', lineHeight: 1.3,
+};
+const closeBtnStyle = {
+  background: 'transparent', color: '#888',
+  border: 'none', cursor: 'pointer', padding: 4,
+};
+const bodyStyle = { padding: '14px 22px 18px' };
+const subtitleStyle = {
+  fontSize: 12, color: '#888', lineHeight: 1.55, marginTop: 0, marginBottom: 16, fontWeight: 400,
+};
+const labelStyle = {
+  display: 'flex', flexDirection: 'column', gap: 4, marginBottom: 14,
+};
+const labelTextStyle = {
+  fontSize: 11, color: '#cde4d6',
+  textTransform: 'uppercase', letterSpacing: 0.6, fontWeight: 600,
+};
+const inputStyle = {
+  background: '#1a1a1f', color: '#e8e2d0',
+  border: '1px solid #2a2a30', borderRadius: 5,
+  padding: '8px 12px', fontSize: 13,
+  fontFamily: 'inherit',
+};
+const previewStyle = {
+  display: 'flex', alignItems: 'center', gap: 12,
+  background: '#1a1a1f',
+  border: '1px solid #2a2a30', borderLeft: '2px solid #a78bfa',
+  borderRadius: 5, padding: 12, marginBottom: 12,
+};
+const previewThumbStyle = {
+  width: 48, height: 48, borderRadius: '50%', objectFit: 'cover',
+  background: '#0a0a0e', flexShrink: 0,
+};
+const stepRowStyle = (color) => ({
+  display: 'flex', alignItems: 'center', gap: 8,
+  background: '#1a1a1f',
+  border: '1px solid #2a2a30', borderLeft: `2px solid ${color}`,
+  borderRadius: 4, padding: '8px 12px',
+});
+const errorBoxStyle = {
+  background: 'rgba(239,107,107,0.08)',
+  border: '1px solid rgba(239,107,107,0.30)',
+  color: '#ef6b6b',
+  borderRadius: 5, padding: '8px 12px',
+  fontSize: 12, marginBottom: 12, fontWeight: 400,
+};
+const warnBoxStyle = {
+  background: 'rgba(232,168,43,0.08)',
+  border: '1px solid rgba(232,168,43,0.30)',
+  color: '#E8A82B',
+  borderRadius: 5, padding: '8px 12px',
+  fontSize: 12, marginBottom: 12, lineHeight: 1.5, fontWeight: 400,
+};
+const footerStyle = {
+  display: 'flex', justifyContent: 'flex-end', gap: 8,
+  marginTop: 16, paddingTop: 14, borderTop: '1px solid #2a2a30',
+};
+const ghostBtnStyle = {
+  background: 'transparent', color: '#888',
+  border: '1px solid #2a2a30', borderRadius: 5,
+  padding: '8px 14px', fontSize: 12, cursor: 'pointer',
+};
+const primaryBtnStyle = (disabled) => ({
+  background: disabled ? '#1a1a1f' : '#a78bfa',
+  color: disabled ? '#666' : '#0a0a0e',
+  border: disabled ? '1px solid #2a2a30' : 'none',
+  borderRadius: 5,
+  padding: '8px 16px',
+  fontSize: 12, fontWeight: 700, letterSpacing: 0.3,
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  display: 'inline-flex', alignItems: 'center', gap: 6,
+});
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
-import { Loader, Zap, Eye, RefreshCw, CheckCircle, Image } from 'lucide-react';
+import { Loader, Zap, Eye, RefreshCw, CheckCircle, Image, Layers } from 'lucide-react';
+import ThumbnailClusters from '../../ResearchV2/ThumbnailClusters.jsx';
 
 const fmtInt = (n) => (!n || isNaN(n)) ? "0" : Math.round(n).toLocaleString();
 
@@ -144,6 +145,16 @@ export default function ThumbnailAnalysisTab({ channelIds, clientId, rows }) {
         )}
       </div>
 
+      {/* Style clusters */}
+      {channelIds.length > 0 && (
+        <div style={{ marginBottom: '16px' }}>
+          <div style={{ fontSize: '13px', fontWeight: '600', color: '#fff', marginBottom: '10px', display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <Layers size={14} color="#3b82f6" /> Style Clusters
+          </div>
+          <ThumbnailClusters channelIds={channelIds} windowDays={90} />
+        </div>
+      )}
+
       {/* Side-by-side comparison */}
       {clientThumbnails.length > 0 && thumbnails.length > 0 && (
         <div style={{ marginBottom: '16px' }}>
@@ -0,0 +1,224 @@
+/**
+ * AuditPacksPanel — stored audit packs and the monthly reminder for the
+ * current scope (auditPackHistoryService, migration 119). Opens from the
+ * Research v2 header next to "Download audit pack".
+ *
+ * Reminders that have come due (any scope) are listed at the top with a
+ * Generate button — packs are only ever built when someone clicks it.
+ */
+import React, { useEffect, useState } from 'react';
+import { History, ChevronDown, Download, Loader, CalendarClock } from 'lucide-react';
+import {
+  listPacks,
+  loadPack,
+  getSchedule,
+  saveSchedule,
+  deleteSchedule,
+  runPackReminder,
+} from '../../services/auditPackHistoryService.js';
+import { downloadMarkdown } from '../../services/auditPackService.js';
+
+export default function AuditPacksPanel({ scope, userId, refreshKey, dueReminders = [], onPackSaved }) {
+  const [open, setOpen] = useState(false);
+  const [packs, setPacks] = useState(null);
+  const [schedule, setSchedule] = useState(null);
+  const [day, setDay] = useState(1);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [downloadingId, setDownloadingId] = useState(null);
+  const [running, setRunning] = useState(null);  // { id, step }
+
+  const scopeDeps = [
+    scope.categoryIds?.join(','), scope.tags?.join(','), scope.tiers?.join(','),
+    scope.search, scope.windowDays, scope.uncategorized, scope.clientId,
+  ];
+
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    setPacks(null);
+    Promise.all([listPacks(scope), getSchedule(scope)]).then(([p, s]) => {
+      if (cancelled) return;
+      setPacks(p);
+      setSchedule(s);
+      if (s) setDay(s.day_of_month);
+    });
+    return () => { cancelled = true; };
+  }, [open, refreshKey, ...scopeDeps]);
+
+  const toggleSchedule = async () => {
+    setBusy(true);
+    setError(null);
+    const r = schedule
+      ? await deleteSchedule(schedule.id)
+      : await saveSchedule({ scope, scopeLabel: describeScope(scope), dayOfMonth: day, userId });
+    setBusy(false);
+    if (!r.ok) return setError(r.error);
+    setSchedule(r.schedule || null);
+  };
+
+  const changeDay = async (value) => {
+    setDay(value);
+    if (!schedule) return;
+    const r = await saveSchedule({ scope, scopeLabel: schedule.scope_label, dayOfMonth: value, userId });
+    if (!r.ok) return setError(r.error);
+    setSchedule(r.schedule);
+  };
+
+  const generateDue = async (reminder) => {
+    if (running) return;
+    setRunning({ id: reminder.id, step: 'Starting' });
+    setError(null);
+    const r = await runPackReminder(reminder, {
+      userId,
+      onProgress: (step) => setRunning({ id: reminder.id, step }),
+    });
+    setRunning(null);
+    if (!r.ok) setError(`${reminder.scope_label || 'Pack'}: ${r.error}`);
+    onPackSaved?.();
+  };
+
+  const download = async (pack) => {
+    setDownloadingId(pack.id);
+    const full = await loadPack(pack.id);
+    setDownloadingId(null);
+    if (!full?.markdown) return setError('Could not load that pack');
+    downloadMarkdown(full.markdown, `audit-pack-${full.generated_at.split('T')[0]}.md`);
+  };
+
+  return (
+    <div style={{ position: 'relative', display: 'inline-block' }}>
+      <button onClick={() => setOpen(v => !v)} style={headerBtn} title="Past audit packs for this scope and the monthly reminder">
+        <History size={13} /> Packs
+        {dueReminders.length > 0 && <span style={dueCountBadge}>{dueReminders.length} due</span>}
+        <ChevronDown size={12} style={{ opacity: 0.7 }} />
+      </button>
+
+      {open && (
+        <>
+          <div onClick={() => setOpen(false)} style={{ position: 'fixed', inset: 0, zIndex: 90 }} />
+          <div style={{
+            position: 'absolute', top: 'calc(100% + 6px)', right: 0, zIndex: 91,
+            background: '#1c1c20', border: '1px solid #2a2a30', borderRadius: 8,
+            padding: 12, width: 380, boxShadow: '0 8px 24px rgba(0,0,0,0.5)',
+          }}>
+            {/* Due reminders */}
+            {dueReminders.length > 0 && (
+              <div style={{ marginBottom: 12 }}>
+                <div style={panelHeader}>Due now</div>
+                {dueReminders.map(r => (
+                  <div key={r.id} style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '6px 0', borderTop: '1px solid #232328', fontSize: 12 }}>
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <div style={{ color: '#e4e4e7', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{r.scope_label || 'Saved scope'}</div>
+                      <div style={{ fontSize: 11, color: running?.id === r.id ? '#a78bfa' : '#777' }}>
+                        {running?.id === r.id
+                          ? `${running.step}…`
+                          : <>Due {formatDate(r.next_run_at)}{r.last_error && <span style={{ color: '#f87171' }}> · last try failed: {r.last_error}</span>}</>}
+                      </div>
+                    </div>
+                    <button onClick={() => generateDue(r)} disabled={!!running} style={{ ...smallBtn, color: '#a78bfa' }}>
+                      {running?.id === r.id ? <Loader size={11} /> : 'Generate'}
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Reminder */}
+            <div style={panelHeader}>Monthly reminder</div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 12, color: '#d4d4d8', marginBottom: 6 }}>
+              <CalendarClock size={13} style={{ color: '#a78bfa' }} />
+              <span>Remind on day</span>
+              <select value={day} onChange={e => changeDay(Number(e.target.value))} style={select}>
+                {Array.from({ length: 28 }, (_, i) => i + 1).map(d => <option key={d} value={d}>{d}</option>)}
+              </select>
+              <span style={{ flex: 1 }} />
+              <button onClick={toggleSchedule} disabled={busy} style={{ ...smallBtn, color: schedule ? '#f87171' : '#34d399' }}>
+                {schedule ? 'Stop' : 'Remind me'}
+              </button>
+            </div>
+            <div style={{ fontSize: 11, color: '#777', lineHeight: 1.45, marginBottom: 12 }}>
+              {schedule
+                ? <>Next reminder {formatDate(schedule.next_run_at)}{schedule.last_run_at && <> · last pack {formatDate(schedule.last_run_at)}</>}. From that date it waits under "Due now" until someone generates it.</>
+                : 'No reminder. Each pack is compared with the previous one for this scope.'}
+            </div>
+
+            {/* History */}
+            <div style={panelHeader}>Packs for this scope</div>
+            {packs == null ? (
+              <div style={{ padding: 12, textAlign: 'center', color: '#666' }}><Loader size={14} /></div>
+            ) : packs.length === 0 ? (
+              <div style={{ fontSize: 11, color: '#555', fontStyle: 'italic', padding: '4px 0' }}>
+                None yet — "Download audit pack" stores one.
+              </div>
+            ) : packs.map(p => (
+              <div key={p.id} style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '7px 0', borderTop: '1px solid #232328', fontSize: 12 }}>
+                <span style={{ color: '#e4e4e7', fontVariantNumeric: 'tabular-nums' }}>{formatDate(p.generated_at)}</span>
+                <span style={{ ...badge, color: p.trigger === 'scheduled' ? '#a78bfa' : '#888' }}>{p.trigger === 'scheduled' ? 'monthly' : p.trigger}</span>
+                <span style={{ color: '#888' }}>
+                  {p.previous_pack_id ? `${p.change_count} change${p.change_count === 1 ? '' : 's'}` : 'first pack'}
+                </span>
+                <span style={{ flex: 1 }} />
+                <button onClick={() => download(p)} disabled={downloadingId === p.id} style={smallBtn}>
+                  {downloadingId === p.id ? <Loader size={11} /> : <Download size={11} />}
+                </button>
+              </div>
+            ))}
+            {error && <div style={{ fontSize: 11, color: '#f87171', marginTop: 8 }}>{error}</div>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function describeScope(scope) {
+  const parts = [];
+  if (scope.clientId) parts.push('client');
+  if (scope.categoryIds?.length) parts.push(`${scope.categoryIds.length} categor${scope.categoryIds.length === 1 ? 'y' : 'ies'}`);
+  if (scope.tags?.length) parts.push(scope.tags.join(', '));
+  if (scope.search) parts.push(`"${scope.search}"`);
+  parts.push(`${scope.windowDays || 30}d`);
+  return parts.join(' · ');
+}
+
+function formatDate(iso) {
+  if (!iso) return '—';
+  return new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+const headerBtn = {
+  display: 'inline-flex', alignItems: 'center', gap: '6px',
+  padding: '7px 14px', borderRadius: '6px',
+  background: '#18181c', border: '1px solid #232328',
+  color: '#d4d4d8', fontSize: '13px', fontWeight: 600,
+  cursor: 'pointer', fontFamily: 'inherit',
+};
+
+const dueCountBadge = {
+  fontSize: 10, fontWeight: 700, color: '#a78bfa',
+  padding: '1px 6px', borderRadius: 99, background: 'rgba(167, 139, 250, 0.12)',
+};
+
+const panelHeader = {
+  fontSize: 10, fontWeight: 700, color: '#666',
+  textTransform: 'uppercase', letterSpacing: '0.6px',
+  marginBottom: 6,
+};
+
+const smallBtn = {
+  display: 'inline-flex', alignItems: 'center', gap: 4,
+  padding: '3px 8px', borderRadius: 4,
+  background: '#15151a', border: '1px solid #2a2a30',
+  color: '#d4d4d8', fontSize: 11, fontWeight: 600, cursor: 'pointer', fontFamily: 'inherit',
+};
+
+const select = {
+  padding: '2px 4px', fontSize: 12, fontFamily: 'inherit',
+  background: '#15151a', border: '1px solid #2a2a30', borderRadius: 4, color: '#e4e4e7',
+};
+
+const badge = {
+  fontSize: 9, fontWeight: 700, letterSpacing: '0.4px', textTransform: 'uppercase',
+  padding: '1px 5px', borderRadius: 3, background: '#15151a', border: '1px solid #232328',
+};
@@ -6,7 +6,9 @@ import React, { useEffect, useMemo, useState } from 'react';
 import { createPortal } from 'react-dom';
 import { X, ExternalLink, Loader, Lock, Unlock, Plus, ChevronDown } from 'lucide-react';
 import { supabase } from '../../services/supabaseClient';
-import { computeNormDelta } from '../../services/researchV2Service.js';
+import { computeNormDelta, fetchCategoryNormHistory } from '../../services/researchV2Service.js';
+import { loadChannelVelocity, CURVE_AGES, BREAKOUT_Z } from '../../services/velocityCurveService.js';
+import { CONFIDENCE } from '../../services/statsHelpers.js';
 
 export default function ChannelDrawer({ channel, norms, onClose }) {
   const [topVideos, setTopVideos] = useState([]);
@@ -43,6 +45,31 @@ export default function ChannelDrawer({ channel, norms, onClose }) {
   const primaryCategory = channel.categories.find(c => norms[c.id]);
   const norm = primaryCategory ? norms[primaryCategory.id] : null;
 
+  // Past norms: weekly snapshots for the category the deltas compare
+  // against. Falls back to the channel's first category when it's too
+  // thin in the current scope to have a live norm.
+  const historyCategory = primaryCategory || channel.categories[0] || null;
+  const [normHistory, setNormHistory] = useState([]);
+  const [normWeek, setNormWeek] = useState('');
+  useEffect(() => {
+    setNormWeek('');
+    setNormHistory([]);
+    if (!historyCategory) return;
+    let cancelled = false;
+    fetchCategoryNormHistory([historyCategory.id]).then(h => {
+      if (!cancelled) setNormHistory((h[historyCategory.id] || []).filter(s => s.confidence !== 'insufficient'));
+    });
+    return () => { cancelled = true; };
+  }, [historyCategory?.id]);
+
+  const normDelta = (metric, value) => {
+    if (normWeek) return computeNormDelta(value, null, { asOf: normWeek, history: normHistory, metric });
+    return norm ? computeNormDelta(value, norm[metric]) : null;
+  };
+  const normLabel = normWeek
+    ? `${historyCategory?.name} (${formatWeekLabel(normWeek)})`
+    : primaryCategory?.name;
+
   return createPortal(
     <div
       onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}
@@ -105,17 +132,39 @@ export default function ChannelDrawer({ channel, norms, onClose }) {
           </div>
 
           {/* Performance metrics with norms */}
-          <SectionTitle>Performance in window</SectionTitle>
-          <MetricRow label="View velocity" value={channel.viewVelocity != null ? `${formatNumber(channel.viewVelocity)} /day` : '—'} delta={norm ? computeNormDelta(channel.viewVelocity, norm.viewVelocity) : null} normName={primaryCategory?.name} />
-          <MetricRow label="Median views" value={channel.medianViews != null ? formatNumber(channel.medianViews) : '—'} delta={norm ? computeNormDelta(channel.medianViews, norm.medianViews) : null} normName={primaryCategory?.name} />
-          <MetricRow label="Engagement rate" value={channel.engagementRate != null ? `${(channel.engagementRate * 100).toFixed(1)}%` : '—'} delta={norm ? computeNormDelta(channel.engagementRate, norm.engagementRate) : null} normName={primaryCategory?.name} />
-          <MetricRow label="Uploads / week" value={channel.uploadsPerWeek > 0 ? channel.uploadsPerWeek.toFixed(1) : '—'} />
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+            <SectionTitle>Performance in window</SectionTitle>
+            {normHistory.length > 0 && (
+              <label style={{ fontSize: '11px', color: '#666', display: 'flex', alignItems: 'center', gap: '6px' }}>
+                Norm
+                <select value={normWeek} onChange={e => setNormWeek(e.target.value)} style={{
+                  padding: '2px 4px', fontSize: '11px', fontFamily: 'inherit',
+                  background: '#15151a', border: '1px solid #2a2a30', borderRadius: '4px', color: '#d4d4d8',
+                }}>
+                  <option value="">{norm ? 'Current scope' : 'None in scope'}</option>
+                  {[...normHistory].reverse().map(s => (
+                    <option key={s.weekStart} value={s.weekStart}>Week of {formatWeekLabel(s.weekStart)} (n={s.n})</option>
+                  ))}
+                </select>
+              </label>
+            )}
+          </div>
+          <MetricRow label="View velocity" value={channel.viewVelocity != null ? `${formatNumber(channel.viewVelocity)} /day` : '—'} delta={normDelta('viewVelocity', channel.viewVelocity)} normName={normLabel} />
+          <MetricRow label="Median views" value={channel.medianViews != null ? formatNumber(channel.medianViews) : '—'} delta={normDelta('medianViews', channel.medianViews)} normName={normLabel} />
+          <MetricRow label="Engagement rate" value={channel.engagementRate != null ? `${(channel.engagementRate * 100).toFixed(1)}%` : '—'} delta={normDelta('engagementRate', channel.engagementRate)} normName={normLabel} />
+          <MetricRow label="Uploads / week" value={channel.uploadsPerWeek > 0 ? channel.uploadsPerWeek.toFixed(1) : '—'} delta={normDelta('uploadsPerWeek', channel.uploadsPerWeek)} normName={normLabel} />
           <MetricRow label="Format mix"
             value={channel.formatMix
               ? `${Math.round(channel.formatMix.long * 100)}% long / ${Math.round(channel.formatMix.short * 100)}% short`
-              : '—'} />
+              : '—'}
+            delta={channel.formatMix ? normDelta('shortsShare', channel.formatMix.short) : null}
+            normName={normLabel ? `${normLabel} Shorts share` : null} />
           <MetricRow label="Last upload" value={formatLastUpload(channel.lastUpload)} />
 
+          {/* View velocity vs the channel's age-adjusted curve */}
+          <SectionTitle style={{ marginTop: '22px' }}>Velocity vs channel curve</SectionTitle>
+          <VelocityCurvePanel channelId={channel.id} />
+
           {/* Top videos by view count */}
           <SectionTitle style={{ marginTop: '22px' }}>Top videos (all time)</SectionTitle>
           {loading ? (
@@ -523,6 +572,144 @@ function VideoRow({ video }) {
   );
 }
 
+// ───────────────────────────────────────────────────────────
+// VelocityCurvePanel — one upload's cumulative views by age
+// against the band the channel's other uploads set at the same
+// ages (median, ±1σ, ±2σ in log space). Same scoring as the
+// breakout alerts.
+// ───────────────────────────────────────────────────────────
+const CURVE_W = 436;
+const CURVE_H = 170;
+const CURVE_PAD = { l: 40, r: 8, t: 8, b: 20 };
+
+function VelocityCurvePanel({ channelId }) {
+  const [entries, setEntries] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setEntries(null);
+    setSelectedId(null);
+    loadChannelVelocity(channelId).then(list => {
+      if (cancelled) return;
+      const scored = list.filter(e => e.score);
+      setEntries(scored);
+      // Default to the newest breakout, else the newest scored upload
+      setSelectedId((scored.find(e => e.breakout) || scored[0])?.video.id || null);
+    });
+    return () => { cancelled = true; };
+  }, [channelId]);
+
+  if (entries == null) {
+    return (
+      <div style={{ padding: '20px', textAlign: 'center', color: '#666' }}>
+        <Loader size={16} />
+      </div>
+    );
+  }
+  if (!entries.length) {
+    return (
+      <div style={{ padding: '14px 0', color: '#666', fontSize: '12px' }}>
+        Not enough snapshot history yet — curves need a few days of daily syncs across 5+ uploads.
+      </div>
+    );
+  }
+
+  const entry = entries.find(e => e.video.id === selectedId) || entries[0];
+  const { score } = entry;
+
+  return (
+    <div>
+      <select
+        value={entry.video.id}
+        onChange={e => setSelectedId(e.target.value)}
+        style={{
+          width: '100%', marginBottom: '10px', padding: '6px 8px',
+          background: '#1a1a1f', border: '1px solid #2a2a30', borderRadius: '6px',
+          color: '#d4d4d8', fontSize: '12px', fontFamily: 'inherit',
+        }}
+      >
+        {entries.slice(0, 15).map(e => (
+          <option key={e.video.id} value={e.video.id}>
+            {e.breakout ? '⚡ ' : ''}{e.video.title} · z {e.score.z.toFixed(1)}
+          </option>
+        ))}
+      </select>
+
+      <VelocityCurveChart curve={entry.curve} band={entry.band} age={score.age} breakout={entry.breakout} />
+
+      <div style={{ marginTop: '8px', fontSize: '12px', color: '#aaa', lineHeight: 1.5 }}>
+        Day {Math.round(score.age)}: <strong style={{ color: '#fff' }}>{formatNumber(score.views)}</strong> views
+        {' '}vs ~{formatNumber(score.expected)} expected
+        {' · '}<strong style={{ color: entry.breakout ? '#34d399' : '#fff' }}>z = {score.z.toFixed(1)}</strong>
+        {' · '}{score.confidence} (n={score.n})
+        {entry.shape === 'slow_burn' && <span style={{ color: '#fbbf24' }}> · slow burn — ordinary at 48h</span>}
+        {entry.shape === 'fast_start' && <span style={{ color: '#34d399' }}> · fast start</span>}
+      </div>
+    </div>
+  );
+}
+
+function VelocityCurveChart({ curve, band, age, breakout }) {
+  const maxAge = CURVE_AGES.find(a => a >= Math.max(age, 7)) || CURVE_AGES[CURVE_AGES.length - 1];
+  const bandPts = band.filter(b => b.n >= CONFIDENCE.velocityCurve.hide && b.age <= maxAge);
+  const videoPts = curve.filter(p => p.age <= maxAge + 0.5 && p.views > 0);
+
+  const values = [
+    ...bandPts.flatMap(b => [b.low2, b.high2]),
+    ...videoPts.map(p => p.views),
+  ].filter(v => v > 0);
+  const yMin = Math.log10(Math.max(1, Math.min(...values)));
+  const yMax = Math.log10(Math.max(...values, 10));
+  const yRange = Math.max(yMax - yMin, 0.5);
+
+  const innerW = CURVE_W - CURVE_PAD.l - CURVE_PAD.r;
+  const innerH = CURVE_H - CURVE_PAD.t - CURVE_PAD.b;
+  // sqrt age axis: the first week is where curves separate
+  const x = (a) => CURVE_PAD.l + Math.sqrt(Math.max(0, a) / maxAge) * innerW;
+  const y = (v) => CURVE_PAD.t + (1 - (Math.log10(Math.max(1, v)) - yMin) / yRange) * innerH;
+
+  const area = (hiKey, loKey) => [
+    ...bandPts.map(b => `${x(b.age)},${y(b[hiKey])}`),
+    ...[...bandPts].reverse().map(b => `${x(b.age)},${y(b[loKey])}`),
+  ].join(' ');
+  const line = (pts, key) => pts.map(p => `${x(p.age)},${y(p[key])}`).join(' ');
+
+  const xTicks = [1, 2, 7, 14, 30, 60].filter(a => a <= maxAge);
+  const yTicks = [0, 0.5, 1].map(t => Math.pow(10, yMin + t * yRange));
+  const videoColor = breakout ? '#34d399' : '#f4f4f5';
+
+  return (
+    <svg width={CURVE_W} height={CURVE_H} style={{ display: 'block', background: '#1a1a1f', border: '1px solid #1f1f24', borderRadius: '8px' }}>
+      {yTicks.map(v => (
+        <g key={v}>
+          <line x1={CURVE_PAD.l} x2={CURVE_W - CURVE_PAD.r} y1={y(v)} y2={y(v)} stroke="#232328" strokeWidth="1" />
+          <text x={CURVE_PAD.l - 6} y={y(v) + 3} textAnchor="end" fontSize="9" fill="#666">{formatNumber(v)}</text>
+        </g>
+      ))}
+      {xTicks.map(a => (
+        <text key={a} x={x(a)} y={CURVE_H - 6} textAnchor="middle" fontSize="9" fill="#666">{a}d</text>
+      ))}
+      {bandPts.length >= 2 && (
+        <>
+          <polygon points={area('high2', 'low2')} fill="rgba(96,165,250,0.08)" />
+          <polygon points={area('high', 'low')} fill="rgba(96,165,250,0.18)" />
+          <polyline points={line(bandPts, 'expected')} fill="none" stroke="#60a5fa" strokeWidth="1.2" strokeDasharray="4 3" />
+        </>
+      )}
+      {videoPts.length >= 2 && (
+        <polyline points={line(videoPts, 'views')} fill="none" stroke={videoColor} strokeWidth="2" />
+      )}
+      {videoPts.map(p => (
+        <circle key={p.age} cx={x(p.age)} cy={y(p.views)} r="2.2" fill={videoColor} />
+      ))}
+      <text x={CURVE_W - CURVE_PAD.r - 4} y={CURVE_PAD.t + 10} textAnchor="end" fontSize="9" fill="#888">
+        band: median · ±1σ · ±2σ · breakout ≥ {BREAKOUT_Z}σ
+      </text>
+    </svg>
+  );
+}
+
 function BigAvatar({ name, thumbnail }) {
   const initials = (name || '?').split(/\s+/).slice(0, 2).map(w => w[0]).join('').toUpperCase();
   const h = hash(name) % 360;
@@ -587,6 +774,10 @@ function formatNumber(n) {
   if (abs >= 1_000) return `${(n / 1_000).toFixed(abs >= 10_000 ? 0 : 1)}K`;
   return Math.round(n).toLocaleString();
 }
+function formatWeekLabel(iso) {
+  return new Date(`${iso}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
 function formatLastUpload(iso) {
   if (!iso) return '—';
   const days = Math.floor((Date.now() - new Date(iso).getTime()) / 86400000);
@@ -14,6 +14,7 @@ import ChannelDrawer from './ChannelDrawer.jsx';
 import LandscapeBulkSheet from './LandscapeBulkSheet.jsx';
 import AddChannelsModal from './AddChannelsModal.jsx';
 import ChannelIssuesModal from './ChannelIssuesModal.jsx';
+import NormHistoryPanel from './NormHistoryPanel.jsx';
 
 const SORTS = {
   name:        { label: 'Channel',       get: c => (c.name || '').toLowerCase() },
@@ -345,6 +346,8 @@ export default function LandscapeLens({ scope, refreshKey = 0 }) {
           )}
         </div>
       </div>
+      <NormHistoryPanel channels={channels} />
+
       {/* Outer keeps the rounded corners; inner is the scroll container
           that anchors position:sticky on the thead cells. Sticky inside a
           dedicated scroll container is bulletproof in every modern browser. */}
@@ -5,7 +5,7 @@
 import React, { useEffect, useState, useMemo } from 'react';
 import {
   Loader, RefreshCw, Sparkles, X, ExternalLink, TrendingUp, TrendingDown,
-  Zap, ArrowLeftRight, UserPlus, BarChart3,
+  Zap, ArrowLeftRight, UserPlus, BarChart3, Type, PauseCircle, Smartphone,
 } from 'lucide-react';
 import {
   loadAlerts, dismissAlert, dismissAllInScope, triggerAlertGeneration,
@@ -18,6 +18,9 @@ const TYPE_OPTIONS = [
   { id: 'rank_change',  label: 'Rank changes' },
   { id: 'format_shift', label: 'Format shifts' },
   { id: 'new_entrant',  label: 'New entrants' },
+  { id: 'title_pattern_adoption', label: 'Title patterns' },
+  { id: 'cadence_break',          label: 'Cadence breaks' },
+  { id: 'shorts_pivot',           label: 'Shorts pivots' },
 ];
 
 const TYPE_ICONS = {
@@ -25,6 +28,9 @@ const TYPE_ICONS = {
   rank_change:  TrendingUp,
   format_shift: ArrowLeftRight,
   new_entrant:  UserPlus,
+  title_pattern_adoption: Type,
+  cadence_break:          PauseCircle,
+  shorts_pivot:           Smartphone,
   trend:        BarChart3,
 };
 
@@ -97,7 +103,7 @@ export default function MovementLens({ scope, refreshKey = 0 }) {
   const grouped = useMemo(() => groupAlertsByDay(filtered), [filtered]);
 
   const counts = useMemo(() => {
-    const c = { all: alerts.length, breakout: 0, rank_change: 0, format_shift: 0, new_entrant: 0 };
+    const c = { all: alerts.length };
     for (const a of alerts) c[a.alert_type] = (c[a.alert_type] || 0) + 1;
     return c;
   }, [alerts]);
@@ -184,7 +190,7 @@ export default function MovementLens({ scope, refreshKey = 0 }) {
               fontWeight: 500,
             }}>
               {genResult.success
-                ? `+${genResult.total || 0} alerts (${genResult.breakouts || 0} breakouts · ${genResult.rank_changes || 0} ranks · ${genResult.format_shifts || 0} formats · ${genResult.new_entrants || 0} new)`
+                ? `+${genResult.total || 0} alerts (${genResult.breakouts || 0} breakouts · ${genResult.rank_changes || 0} ranks · ${genResult.format_shifts || 0} formats · ${genResult.new_entrants || 0} new · ${genResult.pattern_adoptions || 0} patterns · ${genResult.cadence_breaks || 0} cadence · ${genResult.shorts_pivots || 0} Shorts)`
                 : `Scan failed: ${genResult.error}`}
             </span>
           )}
@@ -474,8 +480,21 @@ function AlertBody({ type, payload: p }) {
     return (
       <div style={{ fontSize: 13, color: '#d4d4d8', lineHeight: 1.55 }}>
         <span style={{ fontWeight: 600, color: '#f4f4f5' }}>"{truncate(p.video_title, 90)}"</span>
-        {' '}hit <strong style={{ color: '#10b981' }}>{p.multiplier}×</strong> the channel median
-        {' '}({fmt(p.views_at_48h)} vs {fmt(p.channel_median)} median at 48h).
+        {p.z_score != null ? (
+          <>
+            {' '}is running <strong style={{ color: '#10b981' }}>{p.multiplier}×</strong> the channel's usual curve
+            {' '}({fmt(p.views)} vs ~{fmt(p.expected_views)} expected at day {Math.round(p.age_days)}
+            {p.shape === 'slow_burn' && ' — slow burn, ordinary at 48h'}).
+            <span style={{ marginLeft: 6, fontSize: 11, color: '#a1a1aa', whiteSpace: 'nowrap' }}>
+              z = {p.z_score} · {p.confidence} (n={p.reference_count})
+            </span>
+          </>
+        ) : (
+          <>
+            {' '}hit <strong style={{ color: '#10b981' }}>{p.multiplier}×</strong> the channel median
+            {' '}({fmt(p.views_at_48h)} vs {fmt(p.channel_median)} median at 48h).
+          </>
+        )}
         {p.youtube_video_id && (
           <a
             href={`https://youtube.com/watch?v=${p.youtube_video_id}`}
@@ -521,6 +540,47 @@ function AlertBody({ type, payload: p }) {
       </div>
     );
   }
+  if (type === 'title_pattern_adoption') {
+    return (
+      <div style={{ fontSize: 13, color: '#d4d4d8', lineHeight: 1.55 }}>
+        Started using <strong style={{ color: '#ec4899' }}>{p.pattern_label}</strong> titles —
+        {' '}{p.matched_count} of {p.recent_count} recent uploads, none in the prior {p.prior_count}.
+        {p.example_titles?.[0] && (
+          <div style={{ fontSize: 12, color: '#a1a1aa', marginTop: 2 }}>
+            e.g. "{truncate(p.example_titles[0], 90)}"
+            {p.example_youtube_video_id && (
+              <a
+                href={`https://youtube.com/watch?v=${p.example_youtube_video_id}`}
+                target="_blank"
+                rel="noreferrer"
+                style={{ marginLeft: 6, color: '#60a5fa', display: 'inline-flex', alignItems: 'center', gap: 3 }}
+              >
+                Watch <ExternalLink size={11} />
+              </a>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  }
+  if (type === 'cadence_break') {
+    return (
+      <div style={{ fontSize: 13, color: '#d4d4d8', lineHeight: 1.55 }}>
+        No upload in <strong style={{ color: '#f87171' }}>{Math.round(p.days_silent)} days</strong>
+        {' '}— {p.gap_multiple}× the usual {p.median_gap_days}-day gap.
+        {p.last_video_title && <> Last upload: "{truncate(p.last_video_title, 70)}".</>}
+      </div>
+    );
+  }
+  if (type === 'shorts_pivot') {
+    return (
+      <div style={{ fontSize: 13, color: '#d4d4d8', lineHeight: 1.55 }}>
+        Shorts share of uploads jumped from {p.prev_shorts_pct}% to{' '}
+        <strong style={{ color: '#06b6d4' }}>{p.curr_shorts_pct}%</strong>
+        {' '}(+{p.delta_pts} pts). Based on {p.recent_count} uploads in the last 28 days.
+      </div>
+    );
+  }
   return <div style={{ fontSize: 12, color: '#71717a' }}>{JSON.stringify(p).slice(0, 200)}</div>;
 }
 
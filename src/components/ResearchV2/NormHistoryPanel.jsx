@@ -0,0 +1,196 @@
+/**
+ * NormHistoryPanel — weekly category norm snapshots (migration 120)
+ * charted above the Landscape table. One line per in-scope category,
+ * one metric at a time, with the quarter-over-quarter change per
+ * category as the headline.
+ */
+import React, { useEffect, useMemo, useState } from 'react';
+import { ChevronDown, ChevronRight, Loader } from 'lucide-react';
+import {
+  ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend,
+} from 'recharts';
+import {
+  NORM_METRICS,
+  fetchCategoryNormHistory,
+  summarizeNormChange,
+} from '../../services/researchV2Service.js';
+
+const MAX_LINES = 6;
+const QUARTER_WEEKS = 13;
+const LINE_COLORS = ['#60a5fa', '#f97316', '#34d399', '#a78bfa', '#f472b6', '#facc15'];
+
+export default function NormHistoryPanel({ channels }) {
+  const [open, setOpen] = useState(false);
+  const [metric, setMetric] = useState('medianViews');
+  const [history, setHistory] = useState(null);
+
+  // In-scope categories, most channels first
+  const categories = useMemo(() => {
+    const byId = {};
+    for (const ch of channels) {
+      for (const c of ch.categories) {
+        if (!byId[c.id]) byId[c.id] = { id: c.id, name: c.name, count: 0 };
+        byId[c.id].count++;
+      }
+    }
+    return Object.values(byId).sort((a, b) => b.count - a.count);
+  }, [channels]);
+  const categoryKey = categories.map(c => c.id).join(',');
+
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    setHistory(null);
+    fetchCategoryNormHistory(categories.map(c => c.id))
+      .then(h => { if (!cancelled) setHistory(h); });
+    return () => { cancelled = true; };
+  }, [open, categoryKey]);
+
+  const shown = useMemo(
+    () => categories.filter(c => history?.[c.id]?.some(s => s.confidence !== 'insufficient')).slice(0, MAX_LINES),
+    [categories, history]
+  );
+
+  const metricDef = NORM_METRICS.find(m => m.key === metric);
+
+  // Wide format for recharts: one row per week, one column per category
+  const chartData = useMemo(() => {
+    if (!history) return [];
+    const byWeek = {};
+    for (const c of shown) {
+      for (const s of history[c.id]) {
+        if (s.confidence === 'insufficient' || s[metric] == null) continue;
+        if (!byWeek[s.weekStart]) byWeek[s.weekStart] = { week: s.weekStart };
+        byWeek[s.weekStart][c.id] = s[metric];
+        byWeek[s.weekStart][`${c.id}:n`] = s.n;
+      }
+    }
+    return Object.values(byWeek).sort((a, b) => a.week.localeCompare(b.week));
+  }, [history, shown, metric]);
+
+  const changes = useMemo(
+    () => shown.map(c => ({ category: c, change: summarizeNormChange(history[c.id], metric, QUARTER_WEEKS) })),
+    [history, shown, metric]
+  );
+
+  const names = Object.fromEntries(shown.map(c => [c.id, c.name]));
+
+  return (
+    <div style={panel}>
+      <button onClick={() => setOpen(v => !v)} style={toggleBtn}>
+        {open ? <ChevronDown size={13} /> : <ChevronRight size={13} />}
+        Category norms over time
+        <span style={{ color: '#666', fontWeight: 400 }}>· weekly snapshots, 30-day window</span>
+      </button>
+
+      {open && (
+        <div style={{ padding: '4px 14px 14px' }}>
+          <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap', marginBottom: 10 }}>
+            {NORM_METRICS.map(m => (
+              <button key={m.key} onClick={() => setMetric(m.key)} style={{
+                ...pill,
+                background: m.key === metric ? '#1e3a5f' : '#15151a',
+                borderColor: m.key === metric ? '#3b82f6' : '#2a2a30',
+                color: m.key === metric ? '#fff' : '#a1a1aa',
+              }}>{m.label}</button>
+            ))}
+          </div>
+
+          {history == null ? (
+            <div style={{ padding: 24, textAlign: 'center', color: '#666' }}><Loader size={14} /></div>
+          ) : shown.length === 0 ? (
+            <div style={{ fontSize: 12, color: '#666', fontStyle: 'italic', padding: '8px 0' }}>
+              No norm snapshots yet for these categories. They're written every Monday once a category has 5+ tracked channels.
+            </div>
+          ) : (
+            <>
+              <div style={{ display: 'flex', gap: 14, flexWrap: 'wrap', marginBottom: 8, fontSize: 12 }}>
+                {changes.map(({ category, change }, i) => (
+                  <span key={category.id} style={{ color: '#a1a1aa' }}>
+                    <span style={{ color: LINE_COLORS[i % LINE_COLORS.length], fontWeight: 600 }}>{category.name}</span>{' '}
+                    {change ? (
+                      <span
+                        title={`${formatMetric(change.from, metricDef.format)} (week of ${change.fromWeek}) → ${formatMetric(change.to, metricDef.format)} (week of ${change.toWeek})`}
+                        style={{ color: Math.abs(change.pct) < 3 ? '#888' : change.pct > 0 ? '#34d399' : '#f87171', fontWeight: 600 }}
+                      >
+                        {Math.abs(change.pct) < 3 ? 'flat' : `${change.pct > 0 ? '▲' : '▼'} ${Math.abs(change.pct).toFixed(0)}%`}
+                      </span>
+                    ) : <span style={{ color: '#555' }}>—</span>}
+                  </span>
+                ))}
+                <span style={{ color: '#555' }}>vs ~{QUARTER_WEEKS} weeks ago</span>
+              </div>
+              <ResponsiveContainer width="100%" height={220}>
+                <LineChart data={chartData} margin={{ top: 6, right: 16, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#232328" />
+                  <XAxis dataKey="week" tick={{ fontSize: 11, fill: '#777' }} axisLine={false} tickLine={false} tickFormatter={formatWeek} />
+                  <YAxis tick={{ fontSize: 11, fill: '#777' }} axisLine={false} tickLine={false} width={52}
+                    tickFormatter={v => formatMetric(v, metricDef.format)} />
+                  <Tooltip
+                    contentStyle={tooltipStyle}
+                    labelFormatter={w => `Week of ${formatWeek(w)}`}
+                    formatter={(value, key, item) => [
+                      `${formatMetric(value, metricDef.format)} (n=${item.payload[`${key}:n`]})`,
+                      names[key] || key,
+                    ]}
+                  />
+                  <Legend wrapperStyle={{ fontSize: 11 }} formatter={key => names[key] || key} />
+                  {shown.map((c, i) => (
+                    <Line key={c.id} dataKey={c.id} name={c.id} stroke={LINE_COLORS[i % LINE_COLORS.length]}
+                      strokeWidth={2} dot={chartData.length < 3} connectNulls />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+              {categories.length > shown.length && (
+                <div style={{ fontSize: 11, color: '#555', marginTop: 4 }}>
+                  Showing {shown.length} of {categories.length} categories in scope — the rest have fewer than 5 channels or no snapshots yet.
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function formatMetric(v, format) {
+  if (v == null) return '—';
+  if (format === 'percent') return `${(v * 100).toFixed(v < 0.1 ? 1 : 0)}%`;
+  if (format === 'decimal') return v.toFixed(1);
+  const abs = Math.abs(v);
+  if (abs >= 1_000_000) return `${(v / 1_000_000).toFixed(1)}M`;
+  if (abs >= 1_000) return `${(v / 1_000).toFixed(abs >= 10_000 ? 0 : 1)}K`;
+  return Math.round(v).toLocaleString();
+}
+
+function formatWeek(iso) {
+  return new Date(`${iso}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+const panel = {
+  background: '#131316',
+  border: '1px solid #1f1f24',
+  borderRadius: '10px',
+  marginBottom: '14px',
+};
+
+const toggleBtn = {
+  display: 'flex', alignItems: 'center', gap: 6, width: '100%',
+  padding: '10px 14px', background: 'transparent', border: 'none',
+  color: '#d4d4d8', fontSize: 13, fontWeight: 600, cursor: 'pointer',
+  fontFamily: 'inherit', textAlign: 'left',
+};
+
+const pill = {
+  padding: '3px 10px', borderRadius: 12, border: '1px solid #2a2a30',
+  fontSize: 11, fontWeight: 600, cursor: 'pointer', fontFamily: 'inherit',
+};
+
+const tooltipStyle = {
+  backgroundColor: '#1c1c20',
+  border: '1px solid #2a2a30',
+  borderRadius: '8px',
+  color: '#fff',
+  fontSize: '12px',
+};
@@ -0,0 +1,203 @@
+/**
+ * PatternInteractions — heatmaps over patternsService's interaction
+ * tables. "Pairs" is the lower triangle of pattern × pattern (lift vs
+ * scope median, or synergy vs what the two single lifts predict);
+ * "By length" is pattern × format bucket, each cell against its own
+ * bucket's median.
+ *
+ * Cell color is log-scaled lift; directional cells are faded, cells
+ * below the n gate show their count only, and cells that survive the
+ * FDR correction get an outline.
+ */
+import React, { useMemo, useState } from 'react';
+import { TITLE_PATTERNS, INTERACTION_BUCKETS } from '../../services/patternsService.js';
+import { correctedConfidence } from '../../services/patternSignificance.js';
+
+const MODES = [
+  { id: 'pairs',   label: 'Pairs · lift' },
+  { id: 'synergy', label: 'Pairs · synergy' },
+  { id: 'length',  label: 'By length' },
+];
+
+// Column headers — the full labels are in the row header and tooltip
+const SHORT_LABELS = {
+  question: '?', number: '123', list: 'Top N', how: 'How', why: 'Why', what: 'What',
+  allcaps: 'CAPS', emoji: 'Emoji', colon: ':', pipe: '|', paren: '( )', vs: 'vs',
+  short: '<35', long: '>70',
+};
+
+export default function PatternInteractions({ interactions }) {
+  const [mode, setMode] = useState('pairs');
+
+  const pairById = useMemo(
+    () => Object.fromEntries((interactions?.pairs || []).map(p => [p.id, p])),
+    [interactions]
+  );
+  const lengthById = useMemo(
+    () => Object.fromEntries((interactions?.byLength || []).map(c => [c.id, c])),
+    [interactions]
+  );
+
+  if (!interactions) {
+    return <div style={{ fontSize: 12, color: '#666' }}>No interaction data for this scope.</div>;
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: 4, marginBottom: 10, alignItems: 'center', flexWrap: 'wrap' }}>
+        {MODES.map(m => (
+          <button key={m.id} onClick={() => setMode(m.id)} style={{
+            ...pill,
+            background: m.id === mode ? '#1e3a5f' : '#15151a',
+            borderColor: m.id === mode ? '#3b82f6' : '#2a2a30',
+            color: m.id === mode ? '#fff' : '#a1a1aa',
+          }}>{m.label}</button>
+        ))}
+        <Legend synergy={mode === 'synergy'} />
+      </div>
+
+      <div style={{ overflowX: 'auto' }}>
+        {mode === 'length' ? (
+          <table style={tableStyle}>
+            <thead>
+              <tr>
+                <th style={rowHead} />
+                {INTERACTION_BUCKETS.map(b => <th key={b.id} style={colHead}>{b.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {TITLE_PATTERNS.map(p => (
+                <tr key={p.id}>
+                  <td style={rowHead}>{p.label}</td>
+                  {INTERACTION_BUCKETS.map(b => {
+                    const cell = lengthById[`${p.id}@${b.id}`];
+                    return (
+                      <HeatCell
+                        key={b.id}
+                        cell={cell}
+                        value={cell?.viewsLift}
+                        title={cell && `${p.label} in ${b.label}\n${describe(cell, `${b.label} median`)}`}
+                      />
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <table style={tableStyle}>
+            <thead>
+              <tr>
+                <th style={rowHead} />
+                {TITLE_PATTERNS.slice(0, -1).map(p => (
+                  <th key={p.id} style={colHead} title={p.label}>{SHORT_LABELS[p.id] || p.id}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {TITLE_PATTERNS.slice(1).map((row, ri) => (
+                <tr key={row.id}>
+                  <td style={rowHead}>{row.label}</td>
+                  {TITLE_PATTERNS.slice(0, -1).map((col, ci) => {
+                    if (ci > ri) return <td key={col.id} />;
+                    const cell = pairById[`${col.id}+${row.id}`];
+                    const value = mode === 'synergy' ? cell?.synergy : cell?.viewsLift;
+                    return (
+                      <HeatCell
+                        key={col.id}
+                        cell={cell}
+                        value={value}
+                        title={cell && `${cell.label}\n${describe(cell, 'scope median')}${cell.expectedLift != null
+                          ? `\nSingles predict ${cell.expectedLift.toFixed(2)}×${cell.synergy != null ? ` → synergy ${cell.synergy.toFixed(2)}×` : ''}`
+                          : ''}`}
+                      />
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function HeatCell({ cell, value, title }) {
+  if (!cell) return <td style={cellBase} />;
+  const gated = cell.viewsLift == null;
+  const directional = correctedConfidence(cell) === 'directional';
+  return (
+    <td
+      title={title}
+      style={{
+        ...cellBase,
+        background: gated || value == null ? '#141417' : heatColor(value),
+        opacity: directional ? 0.55 : 1,
+        outline: cell.significant ? '1.5px solid #e4e4e7' : 'none',
+        outlineOffset: -2,
+        color: gated ? '#444' : '#fff',
+      }}
+    >
+      {gated ? (cell.count > 0 ? cell.count : '') : value != null ? `${value.toFixed(1)}×` : '—'}
+    </td>
+  );
+}
+
+function Legend({ synergy }) {
+  return (
+    <span style={{ marginLeft: 'auto', display: 'inline-flex', alignItems: 'center', gap: 6, fontSize: 10, color: '#707070' }}>
+      <span style={{ ...swatch, background: heatColor(0.5) }} />0.5×
+      <span style={{ ...swatch, background: heatColor(1) }} />1×
+      <span style={{ ...swatch, background: heatColor(2) }} />2×
+      <span style={{ marginLeft: 6 }}>{synergy ? 'vs singles combined' : 'vs median'}</span>
+      <span style={{ ...swatch, background: 'transparent', outline: '1.5px solid #e4e4e7', outlineOffset: -2 }} />significant
+      <span style={{ color: '#444' }}>grey number = n below gate</span>
+    </span>
+  );
+}
+
+function describe(cell, against) {
+  const lines = [`n=${cell.count}`];
+  if (cell.viewsLift != null) {
+    lines.push(`${cell.viewsLift.toFixed(2)}× ${against}`);
+    if (cell.liftCI) lines.push(`95% interval ${cell.liftCI[0].toFixed(2)}–${cell.liftCI[1].toFixed(2)}×`);
+    if (cell.qValue != null) lines.push(`q=${cell.qValue < 0.001 ? '<0.001' : cell.qValue.toFixed(3)}`);
+    if (correctedConfidence(cell) === 'directional') lines.push('directional');
+  } else {
+    lines.push('too few videos for a lift');
+  }
+  return lines.join(' · ');
+}
+
+// Diverging scale on log2(lift), clamped to 0.5×–2×
+function heatColor(lift) {
+  const t = Math.max(-1, Math.min(1, Math.log2(lift)));
+  if (Math.abs(t) < 0.07) return '#2a2a30';
+  const alpha = 0.2 + 0.7 * Math.abs(t);
+  return t > 0 ? `rgba(52,211,153,${alpha.toFixed(2)})` : `rgba(248,113,113,${alpha.toFixed(2)})`;
+}
+
+const tableStyle = { borderCollapse: 'separate', borderSpacing: 2, fontSize: 11 };
+
+const rowHead = {
+  textAlign: 'right', paddingRight: 8, color: '#a1a1aa', fontWeight: 500,
+  whiteSpace: 'nowrap', fontSize: 11,
+};
+
+const colHead = {
+  color: '#888', fontWeight: 600, fontSize: 10, padding: '0 2px 4px',
+  textAlign: 'center', whiteSpace: 'nowrap',
+};
+
+const cellBase = {
+  minWidth: 38, height: 24, textAlign: 'center', borderRadius: 3,
+  fontVariantNumeric: 'tabular-nums', fontWeight: 600, fontSize: 10,
+};
+
+const swatch = { display: 'inline-block', width: 10, height: 10, borderRadius: 2 };
+
+const pill = {
+  padding: '3px 10px', borderRadius: 12, border: '1px solid #2a2a30',
+  fontSize: 11, fontWeight: 600, cursor: 'pointer', fontFamily: 'inherit',
+};
@@ -1,10 +1,13 @@
 /**
- * Patterns lens — title patterns, format mix, outliers.
+ * Patterns lens — title patterns, format mix, thumbnail styles, outliers.
  * Cross-scope comparison: "this category vs all channels".
  */
 import React, { useEffect, useMemo, useState } from 'react';
 import { Loader, ExternalLink } from 'lucide-react';
 import { analyzePatterns, resolveScopeToChannelIds } from '../../services/patternsService.js';
+import { correctedConfidence, FDR_Q } from '../../services/patternSignificance.js';
+import ThumbnailClusters from './ThumbnailClusters.jsx';
+import PatternInteractions from './PatternInteractions.jsx';
 
 const COMPARE_MODES = [
   { id: 'platform', label: 'All channels (platform avg)' },
@@ -16,6 +19,7 @@ export default function PatternsLens({ scope, refreshKey = 0 }) {
   const [loading, setLoading] = useState(true);
   const [compareMode, setCompareMode] = useState('platform');
   const [scopeCount, setScopeCount] = useState(0);
+  const [scopeIds, setScopeIds] = useState([]);
   const [baselineCount, setBaselineCount] = useState(0);
 
   useEffect(() => {
@@ -28,6 +32,7 @@ export default function PatternsLens({ scope, refreshKey = 0 }) {
         const scopeIds = await resolveScopeToChannelIds(scope);
         if (cancelled) return;
         setScopeCount(scopeIds.length);
+        setScopeIds(scopeIds);
 
         // Baseline = ALL competitor channels (regardless of scope filters), minus scope itself
         let baselineIds = null;
@@ -44,6 +49,7 @@ export default function PatternsLens({ scope, refreshKey = 0 }) {
           scopeChannelIds: scopeIds,
           baselineChannelIds: baselineIds,
           windowDays: scope.windowDays || 90,
+          includeInteractions: true,
         });
         if (!cancelled) {
           setResult(data);
@@ -104,9 +110,9 @@ export default function PatternsLens({ scope, refreshKey = 0 }) {
       {/* Title patterns */}
       <Panel
         title="◇ Title patterns"
-        subtitle={compareMode === 'platform'
+        subtitle={`${compareMode === 'platform'
           ? 'Lift shown vs platform average. Median views = how the videos with this pattern performed.'
-          : 'Frequency and performance of common title structures.'}
+          : 'Frequency and performance of common title structures.'} Only lifts that survive a ${Math.round(FDR_Q * 100)}% false-discovery correction are marked significant; the range under each lift is its 95% interval.`}
       >
         <TitlePatternsTable
           patterns={result.scope.titlePatterns}
@@ -114,6 +120,15 @@ export default function PatternsLens({ scope, refreshKey = 0 }) {
         />
       </Panel>
 
+      {/* Pattern interactions */}
+      <Panel
+        title="⊞ Pattern interactions"
+        subtitle="Pairs: videos using both patterns vs the scope median; synergy compares that with what the two single lifts predict. By length: each pattern inside one format bucket vs that bucket's median."
+        style={{ marginTop: '16px' }}
+      >
+        <PatternInteractions interactions={result.scope.interactions} />
+      </Panel>
+
       {/* Format breakdown */}
       <Panel title="▥ Format mix" style={{ marginTop: '16px' }}>
         <FormatMix
@@ -122,6 +137,15 @@ export default function PatternsLens({ scope, refreshKey = 0 }) {
         />
       </Panel>
 
+      {/* Thumbnail styles */}
+      <Panel
+        title="▦ Thumbnail styles"
+        subtitle="Long-form thumbnails clustered by color, tone and layout. Lift = the style's trimmed-median view multiplier vs the scope's typical thumbnail."
+        style={{ marginTop: '16px' }}
+      >
+        <ThumbnailClusters channelIds={scopeIds} windowDays={scope.windowDays || 90} />
+      </Panel>
+
       {/* Outliers */}
       <Panel
         title="↗ Outliers"
@@ -166,7 +190,7 @@ function TitlePatternsTable({ patterns, compare }) {
               <Td>{p.label}</Td>
               <Td align="right">{(p.freq * 100).toFixed(0)}%</Td>
               <Td align="right">{p.medianViews != null ? formatNumber(p.medianViews) : '—'}</Td>
-              <Td align="right"><ViewsLiftBadge lift={p.viewsLift} count={p.count} confidence={p.confidence} /></Td>
+              <Td align="right"><ViewsLiftBadge pattern={p} /></Td>
               <Td align="right">
                 {p.avgEngagement != null ? `${(p.avgEngagement * 100).toFixed(1)}%` : '—'}
               </Td>
@@ -183,38 +207,65 @@ function TitlePatternsTable({ patterns, compare }) {
   );
 }
 
-function ViewsLiftBadge({ lift, count, confidence }) {
+function ViewsLiftBadge({ pattern }) {
+  const { viewsLift: lift, count, liftCI, pValue, qValue, significant } = pattern;
   if (lift == null) {
     return <span style={{ fontSize: 10, color: '#555' }} title={`n=${count} — too small for lift signal`}>n/a</span>;
   }
   const pct = Math.round((lift - 1) * 100);
   const positive = pct > 0;
   const flat = Math.abs(pct) < 5;
-  const isDirectional = confidence === 'directional';
+  // Corrected label: n≥40 but not significant after BH reads as directional
+  const isDirectional = correctedConfidence(pattern) === 'directional';
   const baseColor = flat ? '#888' : positive ? '#34d399' : '#f87171';
   // Dim directional badges so they read as "real, but treat with caution"
   const color = isDirectional ? (positive ? '#a78bfa' : '#fbbf24') : baseColor;
   const label = flat ? '— flat' : positive ? `+${pct}%` : `${pct}%`;
-  const tooltip = isDirectional
-    ? `${lift.toFixed(2)}× scope median (n=${count}, directional — small sample)`
-    : `${lift.toFixed(2)}× scope median (n=${count})`;
+  const why = !isDirectional ? ''
+    : pattern.confidence === 'statistical' ? ', directional — not significant after FDR correction'
+    : ', directional — small sample';
+  const stats = [
+    liftCI && `95% interval ${liftCI[0].toFixed(2)}–${liftCI[1].toFixed(2)}×`,
+    pValue != null && `p=${formatP(pValue)}`,
+    qValue != null && `q=${formatP(qValue)}`,
+  ].filter(Boolean).join(' · ');
+  const tooltip = `${lift.toFixed(2)}× scope median (n=${count}${why})${stats ? `\n${stats}` : ''}`;
   return (
-    <span style={{ display: 'inline-flex', alignItems: 'center', gap: 4, fontVariantNumeric: 'tabular-nums' }} title={tooltip}>
-      <span style={{ fontSize: 11, fontWeight: 700, color }}>
-        {!flat && (positive ? '▲ ' : '▼ ')}{label}
+    <span style={{ display: 'inline-flex', flexDirection: 'column', alignItems: 'flex-end', gap: 1 }} title={tooltip}>
+      <span style={{ display: 'inline-flex', alignItems: 'center', gap: 4, fontVariantNumeric: 'tabular-nums' }}>
+        <span style={{ fontSize: 11, fontWeight: 700, color }}>
+          {!flat && (positive ? '▲ ' : '▼ ')}{label}
+        </span>
+        {significant && (
+          <span style={{
+            fontSize: 8, fontWeight: 700, letterSpacing: '0.5px',
+            color: '#34d399', background: 'rgba(52,211,153,0.10)',
+            border: '1px solid rgba(52,211,153,0.30)',
+            padding: '0 4px', borderRadius: 3, textTransform: 'uppercase',
+          }}>sig</span>
+        )}
+        {isDirectional && (
+          <span style={{
+            fontSize: 8, fontWeight: 700, letterSpacing: '0.5px',
+            color: '#a78bfa', background: 'rgba(167,139,250,0.10)',
+            border: '1px solid rgba(167,139,250,0.30)',
+            padding: '0 4px', borderRadius: 3, textTransform: 'uppercase',
+          }}>dir</span>
+        )}
       </span>
-      {isDirectional && (
-        <span style={{
-          fontSize: 8, fontWeight: 700, letterSpacing: '0.5px',
-          color: '#a78bfa', background: 'rgba(167,139,250,0.10)',
-          border: '1px solid rgba(167,139,250,0.30)',
-          padding: '0 4px', borderRadius: 3, textTransform: 'uppercase',
-        }}>dir</span>
+      {liftCI && (
+        <span style={{ fontSize: 9, color: '#666', fontVariantNumeric: 'tabular-nums' }}>
+          {liftCI[0].toFixed(2)}–{liftCI[1].toFixed(2)}×
+        </span>
       )}
     </span>
   );
 }
 
+function formatP(p) {
+  return p < 0.001 ? '<0.001' : p.toFixed(3);
+}
+
 function LiftBadges({ freqLift, engLift }) {
   return (
     <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end', gap: '2px' }}>
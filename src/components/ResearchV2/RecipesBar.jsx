@@ -1,128 +1,319 @@
 /**
- * RecipesBar — pre-built comparison scopes that teach by example.
+ * RecipesBar — saved scopes and comparison recipes.
  *
- * Loads saved_views where config._recipe = true (org-wide demo presets seeded
- * by migration 066). Clicking a recipe sets scope and switches the active lens.
+ * Lists saved_views in three groups (savedScopesService): the viewer's
+ * private scopes, scopes shared with the team, and the curated org
+ * recipes seeded by migration 066. Clicking one sets scope and switches
+ * the active lens. "Save scope" stores the current ScopeBar state +
+ * lens; "Copy link" copies a URL that restores it exactly.
  */
 import React, { useEffect, useState } from 'react';
-import { Sparkles, ChevronDown } from 'lucide-react';
-import { supabase } from '../../services/supabaseClient';
+import { Sparkles, ChevronDown, Bookmark, Link2, Trash2, Users, Lock, RefreshCw } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  SCOPE_VISIBILITY,
+  listSavedScopes,
+  saveScope,
+  setScopeVisibility,
+  deleteScope,
+  buildShareUrl,
+  buildSavedScopeUrl,
+  normalizeScope,
+} from '../../services/savedScopesService.js';
 
-export default function RecipesBar({ onApply }) {
-  const [recipes, setRecipes] = useState([]);
+const GROUPS = [
+  { id: 'personal', label: 'My scopes' },
+  { id: 'team',     label: 'Team' },
+  { id: 'org',      label: 'Org recipes' },
+];
+
+export default function RecipesBar({ scope, lens, onApply }) {
+  const { user, isAdmin } = useAuth();
+  const [groups, setGroups] = useState({ personal: [], team: [], org: [] });
   const [open, setOpen] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
 
   useEffect(() => {
     let cancelled = false;
-    (async () => {
-      if (!supabase) return;
-      const { data } = await supabase
-        .from('saved_views')
-        .select('id, name, lens, config')
-        .eq('surface', 'research')
-        .order('sort_order', { ascending: true });
-      if (cancelled) return;
-      const onlyRecipes = (data || []).filter(v => v.config?._recipe === true);
-      setRecipes(onlyRecipes);
-    })();
+    listSavedScopes(user?.id).then(g => { if (!cancelled) setGroups(g); });
     return () => { cancelled = true; };
-  }, []);
+  }, [user?.id, reloadKey]);
+
+  const flash = (ok, message) => {
+    setStatus({ ok, message });
+    setTimeout(() => setStatus(null), 4000);
+  };
 
-  if (!recipes.length) return null;
+  const copy = async (url, what) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      flash(true, `${what} copied`);
+    } catch {
+      flash(false, 'Clipboard unavailable — copy from the address bar');
+    }
+  };
 
-  const apply = (recipe) => {
+  const apply = (view) => {
     setOpen(false);
-    const cfg = recipe.config || {};
-    onApply({
-      lens: recipe.lens,
-      scope: {
-        categoryIds: cfg.categoryIds || [],
-        tags: cfg.tags || [],
-        tiers: cfg.tiers || ['priority', 'tracked'],
-        search: cfg.search || '',
-        windowDays: cfg.windowDays || 30,
-      },
-    });
+    onApply({ lens: view.lens, scope: normalizeScope(view.config || {}), view });
   };
 
+  const canEdit = (view) => isAdmin || (view.user_id && view.user_id === user?.id);
+
+  const run = async (promise, okMessage) => {
+    const r = await promise;
+    if (!r.ok) return flash(false, r.error);
+    flash(true, okMessage);
+    setReloadKey(k => k + 1);
+  };
+
+  const total = groups.personal.length + groups.team.length + groups.org.length;
+
   return (
-    <div style={{ position: 'relative', display: 'inline-block', marginBottom: 10 }}>
-      <button
-        onClick={() => setOpen(v => !v)}
-        style={{
-          display: 'inline-flex', alignItems: 'center', gap: 6,
-          padding: '6px 12px', fontSize: 12, fontWeight: 600,
-          background: '#15151a',
-          color: '#d4d4d8',
-          border: '1px solid #232328',
-          borderRadius: 6, cursor: 'pointer', fontFamily: 'inherit',
-        }}
-        title="Pre-built comparison scopes that teach the mechanic by doing it"
-      >
-        <Sparkles size={12} style={{ color: '#a78bfa' }} />
-        Comparison recipes
-        <ChevronDown size={12} style={{ opacity: 0.7 }} />
-      </button>
+    <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 10, flexWrap: 'wrap' }}>
+      <div style={{ position: 'relative', display: 'inline-block' }}>
+        <button
+          onClick={() => setOpen(v => !v)}
+          style={barBtn}
+          title="Your saved scopes, scopes teammates shared, and the org's comparison recipes"
+        >
+          <Sparkles size={12} style={{ color: '#a78bfa' }} />
+          Scopes & recipes
+          {total > 0 && <span style={{ color: '#666', fontWeight: 500 }}>{total}</span>}
+          <ChevronDown size={12} style={{ opacity: 0.7 }} />
+        </button>
 
-      {open && (
-        <>
-          <div onClick={() => setOpen(false)} style={{ position: 'fixed', inset: 0, zIndex: 90 }} />
-          <div style={{
-            position: 'absolute', top: 'calc(100% + 6px)', left: 0, zIndex: 91,
-            background: '#1c1c20', border: '1px solid #2a2a30', borderRadius: 8,
-            padding: 4, minWidth: 360, maxWidth: 460,
-            boxShadow: '0 8px 24px rgba(0,0,0,0.5)',
-          }}>
+        {open && (
+          <>
+            <div onClick={() => setOpen(false)} style={{ position: 'fixed', inset: 0, zIndex: 90 }} />
             <div style={{
-              fontSize: 10, fontWeight: 700, color: '#666',
-              textTransform: 'uppercase', letterSpacing: '0.6px',
-              padding: '8px 10px 4px',
-            }}>Click a recipe to load its scope</div>
-            {recipes.map(r => (
-              <button
-                key={r.id}
-                onClick={() => apply(r)}
-                style={{
-                  display: 'block', width: '100%', textAlign: 'left',
-                  background: 'transparent', border: 'none',
-                  padding: '9px 10px', borderRadius: 6,
-                  fontFamily: 'inherit', cursor: 'pointer',
-                  color: '#d4d4d8',
-                }}
-                onMouseEnter={e => { e.currentTarget.style.background = '#252528'; }}
-                onMouseLeave={e => { e.currentTarget.style.background = 'transparent'; }}
-              >
-                <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 3 }}>
-                  <span style={{ fontSize: 13, fontWeight: 600 }}>{r.name}</span>
-                  <span style={{
-                    fontSize: 9, fontWeight: 700, letterSpacing: '0.4px',
-                    color: '#a78bfa', background: 'rgba(167,139,250,0.10)',
-                    border: '1px solid rgba(167,139,250,0.25)',
-                    padding: '1px 6px', borderRadius: 3, textTransform: 'uppercase',
-                  }}>{r.lens || 'landscape'}</span>
-                </div>
-                {r.config?._description && (
-                  <div style={{ fontSize: 11, color: '#888', lineHeight: 1.4 }}>
-                    {r.config._description}
-                  </div>
-                )}
-                <div style={{ display: 'flex', gap: 4, marginTop: 5, flexWrap: 'wrap' }}>
-                  {(r.config?.tags || []).map(t => (
-                    <span key={t} style={{
-                      fontSize: 10, padding: '1px 6px', borderRadius: 3,
-                      background: '#15151a', border: '1px solid #232328', color: '#aaa',
-                    }}>{t}</span>
+              position: 'absolute', top: 'calc(100% + 6px)', left: 0, zIndex: 91,
+              background: '#1c1c20', border: '1px solid #2a2a30', borderRadius: 8,
+              padding: 4, minWidth: 380, maxWidth: 480, maxHeight: 520, overflowY: 'auto',
+              boxShadow: '0 8px 24px rgba(0,0,0,0.5)',
+            }}>
+              {GROUPS.map(g => (
+                <div key={g.id}>
+                  <div style={groupHeader}>{g.label}</div>
+                  {groups[g.id].length === 0 ? (
+                    <div style={{ fontSize: 11, color: '#555', padding: '2px 10px 8px', fontStyle: 'italic' }}>
+                      {g.id === 'personal' ? 'Nothing saved yet — use "Save scope".'
+                        : g.id === 'team' ? 'No shared scopes yet.'
+                        : 'No org recipes.'}
+                    </div>
+                  ) : groups[g.id].map(view => (
+                    <RecipeRow
+                      key={view.id}
+                      view={view}
+                      editable={canEdit(view)}
+                      onApply={() => apply(view)}
+                      onCopyLink={() => copy(buildSavedScopeUrl(view.id), 'Link')}
+                      onToggleShare={() => run(
+                        setScopeVisibility(view.id, view.visibility === 'team' ? 'private' : 'team'),
+                        view.visibility === 'team' ? 'Made private' : 'Shared with team',
+                      )}
+                      onUpdate={() => run(
+                        saveScope({ id: view.id, userId: user?.id, name: view.name, description: view.description, lens, scope, visibility: view.visibility }),
+                        `Updated "${view.name}" to the current scope`,
+                      )}
+                      onDelete={() => {
+                        if (!window.confirm(`Delete "${view.name}"?`)) return;
+                        run(deleteScope(view.id), 'Deleted');
+                      }}
+                    />
                   ))}
-                  <span style={{
-                    fontSize: 10, padding: '1px 6px', borderRadius: 3,
-                    background: '#15151a', border: '1px solid #232328', color: '#666',
-                  }}>{r.config?.windowDays || 30}d</span>
                 </div>
-              </button>
-            ))}
-          </div>
-        </>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+
+      <div style={{ position: 'relative', display: 'inline-block' }}>
+        <button onClick={() => setSaving(v => !v)} style={barBtn} disabled={!user}>
+          <Bookmark size={12} style={{ color: '#60a5fa' }} /> Save scope
+        </button>
+        {saving && (
+          <SaveScopeForm
+            isAdmin={isAdmin}
+            onCancel={() => setSaving(false)}
+            onSave={async ({ name, description, visibility }) => {
+              const r = await saveScope({ userId: user?.id, ownerEmail: user?.email, name, description, lens, scope, visibility });
+              if (!r.ok) return r;
+              setSaving(false);
+              flash(true, `Saved "${r.view.name}"`);
+              setReloadKey(k => k + 1);
+              return r;
+            }}
+          />
+        )}
+      </div>
+
+      <button
+        onClick={() => copy(buildShareUrl(scope, lens), 'Scope link')}
+        style={barBtn}
+        title="Copy a link that opens Research with this exact scope and lens"
+      >
+        <Link2 size={12} style={{ color: '#34d399' }} /> Copy link
+      </button>
+
+      {status && (
+        <span style={{ fontSize: 12, fontWeight: 500, color: status.ok ? '#a78bfa' : '#f87171' }}>
+          {status.ok ? '✓ ' : '✕ '}{status.message}
+        </span>
       )}
     </div>
   );
 }
+
+// ──────────────────────────────────────────────────
+// Subcomponents
+// ──────────────────────────────────────────────────
+
+function RecipeRow({ view, editable, onApply, onCopyLink, onToggleShare, onUpdate, onDelete }) {
+  const cfg = view.config || {};
+  const description = view.description || cfg._description;
+  const owner = view.visibility === 'org' && !view.user_id ? 'Org' : (view.owner_email || 'Unknown owner');
+  return (
+    <div
+      style={{ padding: '9px 10px', borderRadius: 6, color: '#d4d4d8' }}
+      onMouseEnter={e => { e.currentTarget.style.background = '#252528'; }}
+      onMouseLeave={e => { e.currentTarget.style.background = 'transparent'; }}
+    >
+      <button onClick={onApply} style={{ display: 'block', width: '100%', textAlign: 'left', background: 'transparent', border: 'none', padding: 0, cursor: 'pointer', fontFamily: 'inherit', color: 'inherit' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 3 }}>
+          <span style={{ fontSize: 13, fontWeight: 600 }}>{view.name}</span>
+          <span style={lensBadge}>{view.lens || 'landscape'}</span>
+        </div>
+        {description && (
+          <div style={{ fontSize: 11, color: '#888', lineHeight: 1.4 }}>{description}</div>
+        )}
+        <div style={{ display: 'flex', gap: 4, marginTop: 5, flexWrap: 'wrap' }}>
+          {(cfg.tags || []).map(t => <span key={t} style={chip}>{t}</span>)}
+          {cfg.categoryIds?.length > 0 && <span style={chip}>{cfg.categoryIds.length} categor{cfg.categoryIds.length === 1 ? 'y' : 'ies'}</span>}
+          {cfg.clientId && <span style={chip}>client pinned</span>}
+          {cfg.search && <span style={chip}>“{cfg.search}”</span>}
+          <span style={{ ...chip, color: '#666' }}>{cfg.windowDays || 30}d</span>
+        </div>
+      </button>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginTop: 6, fontSize: 10, color: '#666' }}>
+        <span>{owner} · updated {formatAgo(view.updated_at || view.created_at)}</span>
+        <span style={{ flex: 1 }} />
+        <IconAction title="Copy link" onClick={onCopyLink}><Link2 size={11} /></IconAction>
+        {editable && view.visibility !== 'org' && (
+          <IconAction title={view.visibility === 'team' ? 'Make private' : 'Share with team'} onClick={onToggleShare}>
+            {view.visibility === 'team' ? <Lock size={11} /> : <Users size={11} />}
+          </IconAction>
+        )}
+        {editable && (
+          <IconAction title="Overwrite with the current scope and lens" onClick={onUpdate}><RefreshCw size={11} /></IconAction>
+        )}
+        {editable && (
+          <IconAction title="Delete" onClick={onDelete} danger><Trash2 size={11} /></IconAction>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function SaveScopeForm({ isAdmin, onSave, onCancel }) {
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [visibility, setVisibility] = useState('private');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    const r = await onSave({ name, description, visibility });
+    setBusy(false);
+    if (!r.ok) setError(r.error);
+  };
+
+  return (
+    <>
+      <div onClick={onCancel} style={{ position: 'fixed', inset: 0, zIndex: 90 }} />
+      <form onSubmit={submit} style={{
+        position: 'absolute', top: 'calc(100% + 6px)', left: 0, zIndex: 91,
+        background: '#1c1c20', border: '1px solid #2a2a30', borderRadius: 8,
+        padding: 12, width: 320, display: 'flex', flexDirection: 'column', gap: 8,
+        boxShadow: '0 8px 24px rgba(0,0,0,0.5)',
+      }}>
+        <div style={groupHeader}>Save current scope + lens</div>
+        <input autoFocus value={name} onChange={e => setName(e.target.value)} placeholder="Name" style={input} />
+        <input value={description} onChange={e => setDescription(e.target.value)} placeholder="What is this comparison for? (optional)" style={input} />
+        <select value={visibility} onChange={e => setVisibility(e.target.value)} style={input}>
+          {SCOPE_VISIBILITY.filter(v => v.value !== 'org' || isAdmin).map(v => (
+            <option key={v.value} value={v.value}>{v.label}</option>
+          ))}
+        </select>
+        {error && <div style={{ fontSize: 11, color: '#f87171' }}>{error}</div>}
+        <div style={{ display: 'flex', gap: 6, justifyContent: 'flex-end' }}>
+          <button type="button" onClick={onCancel} style={barBtn}>Cancel</button>
+          <button type="submit" disabled={busy || !name.trim()} style={{ ...barBtn, background: '#2563eb', borderColor: '#2563eb', color: '#fff' }}>
+            {busy ? 'Saving…' : 'Save'}
+          </button>
+        </div>
+      </form>
+    </>
+  );
+}
+
+function IconAction({ children, title, onClick, danger }) {
+  return (
+    <button
+      title={title}
+      onClick={onClick}
+      style={{ background: 'transparent', border: 'none', color: '#777', cursor: 'pointer', padding: 2, display: 'inline-flex' }}
+      onMouseEnter={e => { e.currentTarget.style.color = danger ? '#f87171' : '#e4e4e7'; }}
+      onMouseLeave={e => { e.currentTarget.style.color = '#777'; }}
+    >{children}</button>
+  );
+}
+
+function formatAgo(iso) {
+  if (!iso) return '—';
+  const mins = Math.floor((Date.now() - new Date(iso).getTime()) / 60000);
+  if (mins < 1) return 'just now';
+  if (mins < 60) return `${mins}m ago`;
+  if (mins < 1440) return `${Math.floor(mins / 60)}h ago`;
+  const days = Math.floor(mins / 1440);
+  if (days < 30) return `${days}d ago`;
+  return new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+const barBtn = {
+  display: 'inline-flex', alignItems: 'center', gap: 6,
+  padding: '6px 12px', fontSize: 12, fontWeight: 600,
+  background: '#15151a',
+  color: '#d4d4d8',
+  border: '1px solid #232328',
+  borderRadius: 6, cursor: 'pointer', fontFamily: 'inherit',
+};
+
+const groupHeader = {
+  fontSize: 10, fontWeight: 700, color: '#666',
+  textTransform: 'uppercase', letterSpacing: '0.6px',
+  padding: '8px 10px 4px',
+};
+
+const lensBadge = {
+  fontSize: 9, fontWeight: 700, letterSpacing: '0.4px',
+  color: '#a78bfa', background: 'rgba(167,139,250,0.10)',
+  border: '1px solid rgba(167,139,250,0.25)',
+  padding: '1px 6px', borderRadius: 3, textTransform: 'uppercase',
+};
+
+const chip = {
+  fontSize: 10, padding: '1px 6px', borderRadius: 3,
+  background: '#15151a', border: '1px solid #232328', color: '#aaa',
+};
+
+const input = {
+  padding: '6px 8px', fontSize: 12, fontFamily: 'inherit',
+  background: '#15151a', border: '1px solid #2a2a30', borderRadius: 6, color: '#e4e4e7',
+};
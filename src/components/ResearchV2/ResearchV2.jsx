@@ -6,11 +6,14 @@
  */
 import React, { useState, useEffect } from 'react';
 import { Globe, BarChart3, Square, Inbox, RefreshCw, Loader, Download, Image as ImageIcon } from 'lucide-react';
-import { generateAuditPack, downloadMarkdown } from '../../services/auditPackService.js';
+import { downloadMarkdown } from '../../services/auditPackService.js';
+import { generateAndSavePack, listDuePackReminders } from '../../services/auditPackHistoryService.js';
+import { useAuth } from '../../contexts/AuthContext';
 import { refreshCohortProductionSignals } from '../../services/productionSignalService.js';
 import ScopeBar from './ScopeBar.jsx';
 import DataFreshnessBadge from '../Strategy/shared/DataFreshnessBadge.jsx';
 import RecipesBar from './RecipesBar.jsx';
+import AuditPacksPanel from './AuditPacksPanel.jsx';
 import ClientDiagnostic from './ClientDiagnostic.jsx';
 import CompetitivePostureBanner from './CompetitivePostureBanner.jsx';
 import LandscapeLens from './LandscapeLens.jsx';
@@ -18,6 +21,13 @@ import PatternsLens from './PatternsLens.jsx';
 import WhiteSpaceLens from './WhiteSpaceLens.jsx';
 import MovementLens from './MovementLens.jsx';
 import { countActiveAlerts, resolveScopeToChannelIds } from '../../services/movementService.js';
+import {
+  DEFAULT_SCOPE,
+  normalizeScope,
+  scopeFromSearchParams,
+  clearScopeSearchParams,
+  loadSavedScope,
+} from '../../services/savedScopesService.js';
 
 const LENS_TABS = [
   { id: 'landscape', label: 'Landscape', icon: BarChart3, status: 'live' },
@@ -27,15 +37,12 @@ const LENS_TABS = [
 ];
 
 export default function ResearchV2() {
-  const [activeLens, setActiveLens] = useState('landscape');
-  const [scope, setScope] = useState({
-    categoryIds: [],
-    tags: [],
-    tiers: ['priority', 'tracked'],
-    search: '',
-    windowDays: 30,
-    uncategorized: false,
-  });
+  const { user } = useAuth();
+  // Deep link (?lens=…&cats=… or ?view=<id>) — read once on mount
+  const [link] = useState(() => scopeFromSearchParams(new URLSearchParams(window.location.search)));
+  const [activeLens, setActiveLens] = useState(link && !link.viewId ? link.lens : 'landscape');
+  const [scope, setScope] = useState(link && !link.viewId ? link.scope : { ...DEFAULT_SCOPE });
+  const [linkError, setLinkError] = useState(null);
   const [alertCount, setAlertCount] = useState(0);
   const [syncing, setSyncing] = useState(false);
   const [syncResult, setSyncResult] = useState(null);
@@ -43,6 +50,8 @@ export default function ResearchV2() {
   const [exporting, setExporting] = useState(false);
   const [exportStatus, setExportStatus] = useState(null);
   const [productionRefreshing, setProductionRefreshing] = useState(false);
+  const [packsKey, setPacksKey] = useState(0);
+  const [dueReminders, setDueReminders] = useState([]);
   const [productionStatus, setProductionStatus] = useState(null);
 
   const handleExportAudit = async () => {
@@ -50,9 +59,12 @@ export default function ResearchV2() {
     setExporting(true);
     setExportStatus({ ok: true, message: 'Generating…' });
     try {
-      const md = await generateAuditPack(scope, {
+      const r = await generateAndSavePack(scope, {
+        userId: user?.id || null,
         onProgress: (label) => setExportStatus({ ok: true, message: `${label}…` }),
       });
+      if (!r.ok) throw new Error(r.error);
+      const md = r.pack.markdown;
       const datePart = new Date().toISOString().split('T')[0];
       const scopePart = scope.clientId
         ? 'client'
@@ -60,7 +72,13 @@ export default function ResearchV2() {
           ? 'category'
           : 'all';
       downloadMarkdown(md, `audit-pack-${scopePart}-${datePart}.md`);
-      setExportStatus({ ok: true, message: 'Downloaded' });
+      setExportStatus({
+        ok: true,
+        message: r.pack.previous_pack_id
+          ? `Downloaded · ${r.pack.change_count} change${r.pack.change_count === 1 ? '' : 's'} since last pack`
+          : 'Downloaded · first pack for this scope',
+      });
+      setPacksKey(k => k + 1);
     } catch (err) {
       setExportStatus({ ok: false, message: err.message });
     } finally {
@@ -101,6 +119,34 @@ export default function ResearchV2() {
     }
   };
 
+  // Consume the deep link: strip its params, and resolve ?view=<id>
+  useEffect(() => {
+    if (!link) return;
+    clearScopeSearchParams();
+    if (!link.viewId) return;
+    let cancelled = false;
+    loadSavedScope(link.viewId).then(view => {
+      if (cancelled) return;
+      if (!view) {
+        setLinkError('That saved scope was deleted or isn\'t shared with you.');
+        setTimeout(() => setLinkError(null), 8000);
+        return;
+      }
+      setScope(normalizeScope(view.config || {}));
+      if (view.lens) setActiveLens(view.lens);
+    });
+    return () => { cancelled = true; };
+  }, [link]);
+
+  // Monthly pack reminders that have come due — generating one is the
+  // strategist's call (see auditPackHistoryService), Packs lists them
+  useEffect(() => {
+    if (!user?.id) return;
+    let cancelled = false;
+    listDuePackReminders().then(rows => { if (!cancelled) setDueReminders(rows); });
+    return () => { cancelled = true; };
+  }, [user?.id, packsKey]);
+
   // Keep the alert badge in sync with current scope
   useEffect(() => {
     let cancelled = false;
@@ -241,6 +287,13 @@ export default function ResearchV2() {
               ? <><Loader size={13} style={{ animation: 'spin 1s linear infinite' }} /> Refreshing production…</>
               : <><ImageIcon size={13} /> Refresh production signals</>}
           </button>
+          <AuditPacksPanel
+            scope={scope}
+            userId={user?.id || null}
+            refreshKey={packsKey}
+            dueReminders={dueReminders}
+            onPackSaved={() => setPacksKey(k => k + 1)}
+          />
           <button
             onClick={handleExportAudit}
             disabled={exporting}
@@ -282,10 +335,17 @@ export default function ResearchV2() {
         </div>
       </div>
 
-      <RecipesBar onApply={({ lens, scope: newScope }) => {
-        setScope(newScope);
-        if (lens) setActiveLens(lens);
-      }} />
+      <RecipesBar
+        scope={scope}
+        lens={activeLens}
+        onApply={({ lens, scope: newScope }) => {
+          setScope(newScope);
+          if (lens) setActiveLens(lens);
+        }}
+      />
+      {linkError && (
+        <div style={{ fontSize: '12px', color: '#f87171', marginBottom: '8px' }}>✕ {linkError}</div>
+      )}
       <ScopeBar scope={scope} onChange={setScope} />
 
       {/* Data freshness — when a client is pinned via the ScopeBar,
@@ -0,0 +1,160 @@
+/**
+ * ThumbnailClusters — visual style clusters for a set of channels
+ * (thumbnailClusterService). Runs on demand: the first run for a scope
+ * downloads and describes every long-form thumbnail, later runs read
+ * the cached descriptors.
+ *
+ * Used by PatternsLens ("Thumbnail styles") and the Intelligence
+ * panel's thumbnail tab.
+ */
+import React, { useEffect, useState } from 'react';
+import { Loader, Layers, RefreshCw, AlertTriangle } from 'lucide-react';
+import { analyzeThumbnailClusters } from '../../services/thumbnailClusterService.js';
+
+export default function ThumbnailClusters({ channelIds, windowDays = 90 }) {
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState('');
+  const [error, setError] = useState(null);
+
+  const idsKey = (channelIds || []).join(',');
+  useEffect(() => { setResult(null); setError(null); }, [idsKey, windowDays]);
+
+  const run = async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      const r = await analyzeThumbnailClusters({ channelIds, windowDays, onProgress: setProgress });
+      setResult(r);
+    } catch (err) {
+      console.warn('[ThumbnailClusters] analyze failed:', err);
+      setError(err.message || String(err));
+    } finally {
+      setRunning(false);
+      setProgress('');
+    }
+  };
+
+  if (!result) {
+    return (
+      <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
+        <button onClick={run} disabled={running || !channelIds?.length} style={runBtn(running)}>
+          {running
+            ? <><Loader size={12} style={{ animation: 'spin 1s linear infinite' }} /> {progress || 'Working…'}</>
+            : <><Layers size={12} /> Cluster thumbnails</>}
+        </button>
+        <span style={{ fontSize: 11, color: '#707070' }}>
+          Groups long-form thumbnails by color, tone and layout, then compares each style's views against the channel's own median.
+        </span>
+        {error && <span style={{ fontSize: 11, color: '#f87171' }}>{error}</span>}
+      </div>
+    );
+  }
+
+  if (!result.clusters.length) {
+    return (
+      <div style={{ fontSize: 12, color: '#666', padding: '8px 0' }}>
+        {result.describedCount < result.videoCount
+          ? `Only ${result.describedCount} of ${result.videoCount} thumbnails could be described — need at least 20 to cluster.`
+          : `Need at least 20 long-form thumbnails to cluster; this scope has ${result.videoCount}.`}
+        <button onClick={run} disabled={running} style={{ ...linkBtn, marginLeft: 8 }}>Retry</button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 12, fontSize: 11, color: '#707070' }}>
+        <span>
+          {result.clusters.length} styles across {result.describedCount} thumbnails
+          {result.baselineMultiplier != null && <> · scope typical {result.baselineMultiplier.toFixed(2)}× channel median</>}
+        </span>
+        {result.deferred > 0 && (
+          <span style={{ color: '#fbbf24' }}>{result.deferred} not described yet — run again to include them</span>
+        )}
+        <button onClick={run} disabled={running} style={{ ...linkBtn, marginLeft: 'auto' }}>
+          {running ? <Loader size={11} style={{ animation: 'spin 1s linear infinite' }} /> : <RefreshCw size={11} />} Re-run
+        </button>
+      </div>
+      <div style={{ display: 'grid', gap: 10 }}>
+        {result.clusters.map(c => <ClusterCard key={c.id} cluster={c} />)}
+      </div>
+    </div>
+  );
+}
+
+function ClusterCard({ cluster }) {
+  const insufficient = cluster.confidence === 'insufficient';
+  return (
+    <div style={{
+      background: '#15151a', border: '1px solid #232328', borderRadius: 8, padding: '10px 12px',
+      opacity: insufficient ? 0.65 : 1,
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 8 }}>
+        <span style={{ fontSize: 13, fontWeight: 700, color: '#fff' }}>{cluster.label}</span>
+        <span style={{ fontSize: 11, color: '#888' }}>
+          {cluster.size} thumbnails · {cluster.channelCount} channel{cluster.channelCount === 1 ? '' : 's'}
+        </span>
+        <span style={{ marginLeft: 'auto' }}><LiftBadge cluster={cluster} /></span>
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(6, 1fr)', gap: 4 }}>
+        {cluster.exemplars.map(e => (
+          <a
+            key={e.id}
+            href={e.youtubeVideoId ? `https://youtu.be/${e.youtubeVideoId}` : undefined}
+            target="_blank" rel="noopener noreferrer"
+            title={`${e.title}${e.channelName ? ` — ${e.channelName}` : ''}${e.multiplier != null ? ` · ${e.multiplier.toFixed(1)}× channel median` : ''}`}
+          >
+            <img src={e.thumbnailUrl} alt="" loading="lazy"
+              onError={ev => { ev.currentTarget.style.visibility = 'hidden'; }}
+              style={{ width: '100%', aspectRatio: '16 / 9', objectFit: 'cover', borderRadius: 4, border: '1px solid #2a2a30', display: 'block' }} />
+          </a>
+        ))}
+      </div>
+      {cluster.singleChannel && (
+        <div style={{ fontSize: 11, color: '#fbbf24', marginTop: 8, display: 'flex', alignItems: 'center', gap: 5 }}>
+          <AlertTriangle size={11} />
+          {Math.round(cluster.topChannel.share * 100)}% from {cluster.topChannel.name || 'one channel'} — this is mostly one channel's house style.
+        </div>
+      )}
+    </div>
+  );
+}
+
+function LiftBadge({ cluster }) {
+  if (cluster.lift == null) {
+    return <span style={{ fontSize: 10, color: '#555' }} title={`n=${cluster.multiplierN} with a channel baseline — too small for a lift`}>n/a</span>;
+  }
+  const pct = Math.round((cluster.lift - 1) * 100);
+  const flat = Math.abs(pct) < 5;
+  const directional = cluster.confidence === 'directional';
+  const color = flat ? '#888' : directional ? (pct > 0 ? '#a78bfa' : '#fbbf24') : pct > 0 ? '#34d399' : '#f87171';
+  return (
+    <span
+      title={`Trimmed median ${cluster.medianMultiplier.toFixed(2)}× channel median (n=${cluster.multiplierN}${directional ? ', directional' : ''}) vs the scope's typical thumbnail`}
+      style={{ display: 'inline-flex', alignItems: 'center', gap: 4, fontSize: 11, fontWeight: 700, color, fontVariantNumeric: 'tabular-nums' }}
+    >
+      {cluster.medianMultiplier.toFixed(2)}×
+      <span style={{ fontWeight: 600 }}>{flat ? '— flat' : `${pct > 0 ? '▲ +' : '▼ '}${pct}%`}</span>
+      {directional && (
+        <span style={{
+          fontSize: 8, letterSpacing: '0.5px', color: '#a78bfa', background: 'rgba(167,139,250,0.10)',
+          border: '1px solid rgba(167,139,250,0.30)', padding: '0 4px', borderRadius: 3, textTransform: 'uppercase',
+        }}>dir</span>
+      )}
+    </span>
+  );
+}
+
+const runBtn = (running) => ({
+  display: 'inline-flex', alignItems: 'center', gap: 6,
+  padding: '6px 12px', borderRadius: 6, fontSize: 12, fontWeight: 600, fontFamily: 'inherit',
+  background: running ? '#1c1c20' : '#18181c', color: running ? '#888' : '#d4d4d8',
+  border: '1px solid #232328', cursor: running ? 'wait' : 'pointer', whiteSpace: 'nowrap',
+});
+
+const linkBtn = {
+  display: 'inline-flex', alignItems: 'center', gap: 4,
+  background: 'transparent', border: 'none', padding: 0,
+  color: '#60a5fa', fontSize: 11, fontWeight: 600, cursor: 'pointer', fontFamily: 'inherit',
+};
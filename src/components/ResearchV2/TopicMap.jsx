@@ -0,0 +1,252 @@
+/**
+ * TopicMap — embedding-based topic clusters for a scope
+ * (topicMapService). Runs on demand because naming new topics calls the
+ * LLM; names are cached, so re-runs on an unchanged scope are free.
+ *
+ * Topic table: cohort upload share vs view share, view multiplier vs
+ * the scope's typical video, and the client's share when a client is
+ * in scope — topics where the client is absent but the cohort wins are
+ * flagged and listed first. Below it, a channel × topic share grid.
+ */
+import React, { useEffect, useState } from 'react';
+import { Loader, Map as MapIcon, RefreshCw, Target } from 'lucide-react';
+import { analyzeTopicMap } from '../../services/topicMapService.js';
+
+const MAX_GRID_CHANNELS = 12;
+
+export default function TopicMap({ channelIds, clientId = null, windowDays = 90, scopeLabel }) {
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState('');
+  const [error, setError] = useState(null);
+  const [showGrid, setShowGrid] = useState(false);
+
+  const idsKey = (channelIds || []).join(',');
+  useEffect(() => { setResult(null); setError(null); }, [idsKey, clientId, windowDays]);
+
+  const run = async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      const r = await analyzeTopicMap({ channelIds, clientId, windowDays, scopeLabel, onProgress: setProgress });
+      setResult(r);
+    } catch (err) {
+      console.warn('[TopicMap] analyze failed:', err);
+      setError(err.message || String(err));
+    } finally {
+      setRunning(false);
+      setProgress('');
+    }
+  };
+
+  if (!result) {
+    return (
+      <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
+        <button onClick={run} disabled={running || !channelIds?.length} style={runBtn(running)}>
+          {running
+            ? <><Loader size={12} style={{ animation: 'spin 1s linear infinite' }} /> {progress || 'Working…'}</>
+            : <><MapIcon size={12} /> Build topic map</>}
+        </button>
+        <span style={{ fontSize: 11, color: '#707070' }}>
+          Clusters embedded titles into topics and compares each channel's share of a topic with the views the topic earns.
+        </span>
+        {error && <span style={{ fontSize: 11, color: '#f87171' }}>{error}</span>}
+      </div>
+    );
+  }
+
+  if (!result.topics.length) {
+    return (
+      <div style={{ fontSize: 12, color: '#666', padding: '8px 0' }}>
+        Only {result.embeddedCount} embedded titles in this window — need at least 30 to map topics.
+        {result.pendingCount > 0 && ` ${result.pendingCount} videos are still waiting for embeddings.`}
+        <button onClick={run} disabled={running} style={{ ...linkBtn, marginLeft: 8 }}>Retry</button>
+      </div>
+    );
+  }
+
+  const hasClient = !!result.clientChannelId;
+  const opportunities = result.topics.filter(t => t.opportunity);
+  const gridChannels = result.channels.slice(0, MAX_GRID_CHANNELS);
+
+  return (
+    <div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 12, fontSize: 11, color: '#707070', flexWrap: 'wrap' }}>
+        <span>{result.topics.length} topics across {result.embeddedCount} titles</span>
+        {result.pendingCount > 0 && (
+          <span style={{ color: '#fbbf24' }}>{result.pendingCount} videos in the window have no embedding yet</span>
+        )}
+        {hasClient && opportunities.length > 0 && (
+          <span style={{ color: '#34d399', display: 'inline-flex', alignItems: 'center', gap: 4 }}>
+            <Target size={11} /> {opportunities.length} topic{opportunities.length === 1 ? '' : 's'} where the client is absent but the cohort wins
+          </span>
+        )}
+        <button onClick={run} disabled={running} style={{ ...linkBtn, marginLeft: 'auto' }}>
+          {running ? <Loader size={11} style={{ animation: 'spin 1s linear infinite' }} /> : <RefreshCw size={11} />} Re-run
+        </button>
+      </div>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 12 }}>
+        <thead>
+          <tr>
+            <Th>Topic</Th>
+            <Th align="right">Videos</Th>
+            <Th align="right">Channels</Th>
+            <Th align="right" title="Cohort share of uploads vs share of views in the window">Uploads → views</Th>
+            <Th align="right" title="Trimmed-median views over each video's channel median, vs the scope's typical video">Views lift</Th>
+            {hasClient && <Th align="right">Client share</Th>}
+          </tr>
+        </thead>
+        <tbody>
+          {result.topics.map(t => (
+            <tr key={t.id} style={{ borderBottom: '1px solid #1c1c20', background: t.opportunity ? 'rgba(52,211,153,0.05)' : 'transparent' }}>
+              <Td>
+                <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                  <span style={{ color: '#fff', fontWeight: 600 }} title={t.description || undefined}>{t.name}</span>
+                  {t.opportunity && (
+                    <span style={{
+                      fontSize: 8, fontWeight: 700, letterSpacing: '0.5px', color: '#34d399',
+                      background: 'rgba(52,211,153,0.10)', border: '1px solid rgba(52,211,153,0.30)',
+                      padding: '0 4px', borderRadius: 3, textTransform: 'uppercase',
+                    }}>open</span>
+                  )}
+                </div>
+                <div style={{ fontSize: 10, color: '#666', marginTop: 2, maxWidth: 420, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+                  title={t.exemplars.map(e => e.title).join('\n')}>
+                  e.g. {t.exemplars.slice(0, 2).map(e => `"${e.title}"`).join(' · ')}
+                </div>
+              </Td>
+              <Td align="right">{t.cohortCount}{t.clientCount > 0 && <span style={{ color: '#60a5fa' }}> +{t.clientCount}</span>}</Td>
+              <Td align="right">{t.channelCount}</Td>
+              <Td align="right"><ShareShift upload={t.uploadShare} view={t.viewShare} /></Td>
+              <Td align="right"><LiftBadge topic={t} /></Td>
+              {hasClient && (
+                <Td align="right">
+                  <span style={{ color: t.clientShare > 0 ? '#d4d4d8' : '#555', fontVariantNumeric: 'tabular-nums' }}>
+                    {formatShare(t.clientShare)}
+                  </span>
+                </Td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <button onClick={() => setShowGrid(v => !v)} style={{ ...linkBtn, marginTop: 12 }}>
+        {showGrid ? 'Hide' : 'Show'} channel × topic shares
+      </button>
+      {showGrid && (
+        <div style={{ overflowX: 'auto', marginTop: 8 }}>
+          <table style={{ borderCollapse: 'separate', borderSpacing: 2, fontSize: 10 }}>
+            <thead>
+              <tr>
+                <th />
+                {result.topics.map(t => (
+                  <th key={t.id} style={gridHead} title={t.name}>{t.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {gridChannels.map(ch => (
+                <tr key={ch.id}>
+                  <td style={{ textAlign: 'right', paddingRight: 8, whiteSpace: 'nowrap', color: ch.isClient ? '#60a5fa' : '#a1a1aa', fontWeight: ch.isClient ? 700 : 500 }}>
+                    {ch.name || 'Unknown'} <span style={{ color: '#555', fontWeight: 400 }}>({ch.videoCount})</span>
+                  </td>
+                  {result.topics.map(t => {
+                    const share = ch.shares[t.id] || 0;
+                    return (
+                      <td key={t.id} title={`${ch.name}: ${formatShare(share)} of uploads in ${t.name}`} style={{
+                        minWidth: 44, height: 22, textAlign: 'center', borderRadius: 3,
+                        background: share > 0 ? `rgba(96,165,250,${(0.12 + Math.min(1, share * 2.5) * 0.7).toFixed(2)})` : '#141417',
+                        color: share > 0 ? '#fff' : '#444', fontVariantNumeric: 'tabular-nums',
+                      }}>
+                        {share > 0 ? formatShare(share) : '·'}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {result.channels.length > gridChannels.length && (
+            <div style={{ fontSize: 10, color: '#555', marginTop: 4 }}>
+              Top {gridChannels.length} of {result.channels.length} channels by embedded videos.
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ShareShift({ upload, view }) {
+  const gaining = view > upload * 1.1;
+  const losing = view < upload * 0.9;
+  return (
+    <span style={{ fontVariantNumeric: 'tabular-nums', color: '#a1a1aa' }}
+      title={`${formatShare(upload)} of cohort uploads earn ${formatShare(view)} of cohort views`}>
+      {formatShare(upload)} → <span style={{ color: gaining ? '#34d399' : losing ? '#f87171' : '#a1a1aa', fontWeight: 600 }}>{formatShare(view)}</span>
+    </span>
+  );
+}
+
+function LiftBadge({ topic }) {
+  if (topic.lift == null) {
+    return <span style={{ fontSize: 10, color: '#555' }} title={`n=${topic.multiplierN} with a channel baseline — too small for a lift`}>n/a</span>;
+  }
+  const pct = Math.round((topic.lift - 1) * 100);
+  const flat = Math.abs(pct) < 5;
+  const directional = topic.confidence === 'directional';
+  const color = flat ? '#888' : directional ? (pct > 0 ? '#a78bfa' : '#fbbf24') : pct > 0 ? '#34d399' : '#f87171';
+  return (
+    <span
+      title={`Trimmed median ${topic.medianMultiplier.toFixed(2)}× channel median (n=${topic.multiplierN}${directional ? ', directional' : ''}) vs the scope's typical video`}
+      style={{ display: 'inline-flex', alignItems: 'center', gap: 4, fontSize: 11, fontWeight: 700, color, fontVariantNumeric: 'tabular-nums' }}
+    >
+      {flat ? '— flat' : `${pct > 0 ? '▲ +' : '▼ '}${pct}%`}
+      {directional && (
+        <span style={{
+          fontSize: 8, letterSpacing: '0.5px', color: '#a78bfa', background: 'rgba(167,139,250,0.10)',
+          border: '1px solid rgba(167,139,250,0.30)', padding: '0 4px', borderRadius: 3, textTransform: 'uppercase',
+        }}>dir</span>
+      )}
+    </span>
+  );
+}
+
+function formatShare(x) {
+  if (x == null) return '—';
+  if (x === 0) return '0%';
+  return x < 0.01 ? '<1%' : `${Math.round(x * 100)}%`;
+}
+
+function Th({ children, align = 'left', title }) {
+  return (
+    <th title={title} style={{
+      textAlign: align, padding: '6px 8px', fontSize: 10, fontWeight: 600,
+      color: '#707070', textTransform: 'uppercase', letterSpacing: '0.5px', borderBottom: '1px solid #232328',
+    }}>{children}</th>
+  );
+}
+
+function Td({ children, align = 'left' }) {
+  return <td style={{ textAlign: align, padding: '8px', verticalAlign: 'top' }}>{children}</td>;
+}
+
+const gridHead = {
+  color: '#888', fontWeight: 600, fontSize: 10, padding: '0 2px 4px', maxWidth: 80,
+  overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', textAlign: 'center',
+};
+
+const runBtn = (running) => ({
+  display: 'inline-flex', alignItems: 'center', gap: 6,
+  padding: '6px 12px', borderRadius: 6, fontSize: 12, fontWeight: 600, fontFamily: 'inherit',
+  background: running ? '#1c1c20' : '#18181c', color: running ? '#888' : '#d4d4d8',
+  border: '1px solid #232328', cursor: running ? 'wait' : 'pointer', whiteSpace: 'nowrap',
+});
+
+const linkBtn = {
+  display: 'inline-flex', alignItems: 'center', gap: 4,
+  background: 'transparent', border: 'none', padding: 0,
+  color: '#60a5fa', fontSize: 11, fontWeight: 600, cursor: 'pointer', fontFamily: 'inherit',
+};
@@ -5,11 +5,13 @@
 import React, { useEffect, useState } from 'react';
 import { Loader, Sparkles, RefreshCw } from 'lucide-react';
 import { analyzeWhiteSpace, resolveScopeToChannelIds } from '../../services/whiteSpaceService.js';
+import TopicMap from './TopicMap.jsx';
 
 export default function WhiteSpaceLens({ scope, refreshKey = 0 }) {
   const [result, setResult] = useState(null);
   const [loading, setLoading] = useState(true);
   const [scopeLabel, setScopeLabel] = useState('All channels');
+  const [scopeIds, setScopeIds] = useState([]);
 
   useEffect(() => {
     let cancelled = false;
@@ -19,6 +21,7 @@ export default function WhiteSpaceLens({ scope, refreshKey = 0 }) {
       try {
         const scopeIds = await resolveScopeToChannelIds(scope);
         if (cancelled) return;
+        setScopeIds(scopeIds);
 
         // Build a readable scope label for the AI brief
         const label = await buildScopeLabel(scope);
@@ -66,6 +69,22 @@ export default function WhiteSpaceLens({ scope, refreshKey = 0 }) {
         <TopicCoverageList topics={result.topicCoverage} />
       </Panel>
 
+      {/* Topic map — embedding clusters */}
+      <Panel
+        title="🧭 Topic map"
+        subtitle={scope.clientId
+          ? 'Topics clustered from title embeddings. "Open" = the client has under 2% of its uploads there while the cohort earns above-typical views.'
+          : 'Topics clustered from title embeddings, with each channel\'s share and the views each topic earns.'}
+        style={{ marginTop: '16px' }}
+      >
+        <TopicMap
+          channelIds={scopeIds}
+          clientId={scope.clientId || null}
+          windowDays={scope.windowDays || 90}
+          scopeLabel={scopeLabel}
+        />
+      </Panel>
+
       {/* Two-up: Format + Cadence */}
       <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px', marginTop: '16px' }}>
         <Panel title="📐 Format gaps" subtitle="Length buckets with <8% representation are flagged.">
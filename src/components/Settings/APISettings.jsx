@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { Key, DollarSign, Activity, AlertCircle, CheckCircle2, ExternalLink } from 'lucide-react';
 import claudeAPI from '../../services/claudeAPI';
+import { useAuth } from '../../contexts/AuthContext';
 import youtubeAPI from '../../services/youtubeAPI';
 import YouTubeOAuthSettings from './YouTubeOAuthSettings';
 import YouTubeOAuthInvitesSection from './YouTubeOAuthInvitesSection';
@@ -42,10 +43,10 @@ const statBox = {
   textAlign: "center",
 };
 
-export default function APISettings({ onNavigateToSecurity, onClientsUpdate }) {
+export default function APISettings({ onNavigateToSecurity, onNavigateToUsage, onClientsUpdate }) {
+  const { isAdmin } = useAuth();
   const [claudeKey, setClaudeKey] = useState('');
   const [youtubeKey, setYoutubeKey] = useState('');
-  const [monthlyBudget, setMonthlyBudget] = useState(20);
   const [usageStats, setUsageStats] = useState(null);
   const [showClaudeKey, setShowClaudeKey] = useState(false);
   const [showYoutubeKey, setShowYoutubeKey] = useState(false);
@@ -54,22 +55,26 @@ export default function APISettings({ onNavigateToSecurity, onClientsUpdate }) {
   useEffect(() => {
     setClaudeKey(claudeAPI.loadAPIKey());
     setYoutubeKey(youtubeAPI.loadAPIKey());
-    setMonthlyBudget(claudeAPI.loadMonthlyBudget());
     setUsageStats(claudeAPI.getUsageStats());
+    claudeAPI.refreshTeamBudget().then(() => setUsageStats(claudeAPI.getUsageStats()));
   }, []);
 
   const handleSave = () => {
     claudeAPI.saveAPIKey(claudeKey);
     youtubeAPI.saveAPIKey(youtubeKey);
-    claudeAPI.saveMonthlyBudget(monthlyBudget);
     setSaved(true);
     setTimeout(() => setSaved(false), 3000);
   };
 
-  const refreshUsage = () => {
+  // Team spend comes from the server ledger (migration 115); the request
+  // list below is still this browser's local history.
+  const refreshUsage = async () => {
+    await claudeAPI.refreshTeamBudget();
     setUsageStats(claudeAPI.getUsageStats());
   };
 
+  const hasTeamBudget = usageStats?.monthlyBudget != null;
+
   const formatCost = (cost) => `$${cost.toFixed(2)}`;
 
   const formatTokens = (tokens) => {
@@ -135,18 +140,20 @@ export default function APISettings({ onNavigateToSecurity, onClientsUpdate }) {
         </div>
 
         <div>
-          <label style={{ display: "block", fontSize: "13px", color: "#9E9E9E", marginBottom: "8px" }}>Monthly Budget (USD)</label>
+          <label style={{ display: "block", fontSize: "13px", color: "#9E9E9E", marginBottom: "8px" }}>Team Monthly Budget (USD)</label>
           <div style={{ display: "flex", alignItems: "center", gap: "10px" }}>
             <DollarSign size={18} style={{ color: "#666" }} />
-            <input
-              type="number"
-              min="0"
-              step="5"
-              value={monthlyBudget}
-              onChange={(e) => setMonthlyBudget(parseFloat(e.target.value))}
-              style={{ ...inputStyle, flex: "none", width: "100px" }}
-            />
-            <span style={{ fontSize: "12px", color: "#666" }}>API calls will stop if this limit is reached</span>
+            <span style={{ fontSize: "14px", fontWeight: "600" }}>
+              {hasTeamBudget ? formatCost(usageStats.monthlyBudget) : 'Not set'}
+            </span>
+            <span style={{ fontSize: "12px", color: "#666" }}>
+              Shared by the whole team — API calls stop server-side when it's reached.
+            </span>
+            {isAdmin && onNavigateToUsage && (
+              <button onClick={onNavigateToUsage} style={{ ...toggleBtnStyle, marginLeft: "auto" }}>
+                Manage in AI Usage
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -220,27 +227,28 @@ export default function APISettings({ onNavigateToSecurity, onClientsUpdate }) {
 
           <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: "12px", marginBottom: "20px" }}>
             <div style={statBox}>
-              <div style={{ fontSize: "11px", color: "#9E9E9E", marginBottom: "6px" }}>Total Cost</div>
-              <div style={{ fontSize: "20px", fontWeight: "700", fontFamily: "'Barlow Condensed', sans-serif" }}>{formatCost(usageStats.totalCost)}</div>
+              <div style={{ fontSize: "11px", color: "#9E9E9E", marginBottom: "6px" }}>Team Cost</div>
+              <div style={{ fontSize: "20px", fontWeight: "700", fontFamily: "'Barlow Condensed', sans-serif" }}>{usageStats.teamSpent != null ? formatCost(usageStats.teamSpent) : '—'}</div>
             </div>
             <div style={statBox}>
-              <div style={{ fontSize: "11px", color: "#9E9E9E", marginBottom: "6px" }}>Remaining</div>
-              <div style={{ fontSize: "20px", fontWeight: "700", color: "#22c55e", fontFamily: "'Barlow Condensed', sans-serif" }}>{formatCost(usageStats.remainingBudget)}</div>
+              <div style={{ fontSize: "11px", color: "#9E9E9E", marginBottom: "6px" }}>Team Remaining</div>
+              <div style={{ fontSize: "20px", fontWeight: "700", color: "#22c55e", fontFamily: "'Barlow Condensed', sans-serif" }}>{hasTeamBudget ? formatCost(Math.max(0, usageStats.remainingBudget)) : '—'}</div>
             </div>
             <div style={statBox}>
-              <div style={{ fontSize: "11px", color: "#9E9E9E", marginBottom: "6px" }}>Requests</div>
+              <div style={{ fontSize: "11px", color: "#9E9E9E", marginBottom: "6px" }}>Your Requests</div>
               <div style={{ fontSize: "20px", fontWeight: "700", fontFamily: "'Barlow Condensed', sans-serif" }}>{usageStats.requestCount}</div>
             </div>
             <div style={statBox}>
-              <div style={{ fontSize: "11px", color: "#9E9E9E", marginBottom: "6px" }}>Tokens Used</div>
+              <div style={{ fontSize: "11px", color: "#9E9E9E", marginBottom: "6px" }}>Your Tokens</div>
               <div style={{ fontSize: "20px", fontWeight: "700", fontFamily: "'Barlow Condensed', sans-serif" }}>{formatTokens(usageStats.inputTokens + usageStats.outputTokens)}</div>
             </div>
           </div>
 
           {/* Budget bar */}
+          {hasTeamBudget && (
           <div style={{ marginBottom: "20px" }}>
             <div style={{ display: "flex", justifyContent: "space-between", fontSize: "12px", marginBottom: "6px" }}>
-              <span style={{ color: "#9E9E9E" }}>Budget Usage</span>
+              <span style={{ color: "#9E9E9E" }}>Team Budget Usage</span>
               <span style={{ fontWeight: "600" }}>{usageStats.budgetUsedPercent.toFixed(1)}%</span>
             </div>
             <div style={{ height: "8px", background: "#333", borderRadius: "4px", overflow: "hidden" }}>
@@ -248,17 +256,18 @@ export default function APISettings({ onNavigateToSecurity, onClientsUpdate }) {
                 height: "100%",
                 width: `${Math.min(usageStats.budgetUsedPercent, 100)}%`,
                 background: usageStats.budgetUsedPercent > 90 ? "#ef4444"
-                  : usageStats.budgetUsedPercent > 70 ? "#f59e0b" : "#22c55e",
+                  : usageStats.budgetUsedPercent >= usageStats.warnAtPercent ? "#f59e0b" : "#22c55e",
                 borderRadius: "4px",
                 transition: "width 0.3s ease",
               }} />
             </div>
           </div>
+          )}
 
           {/* Recent requests */}
           {usageStats.requests.length > 0 && (
             <div>
-              <h4 style={{ fontSize: "13px", fontWeight: "600", marginBottom: "10px" }}>Recent Requests</h4>
+              <h4 style={{ fontSize: "13px", fontWeight: "600", marginBottom: "10px" }}>Recent Requests (this browser)</h4>
               <div style={{ display: "flex", flexDirection: "column", gap: "6px", maxHeight: "240px", overflowY: "auto" }}>
                 {usageStats.requests.slice().reverse().slice(0, 10).map((request, index) => (
                   <div key={index} style={{
@@ -304,7 +313,7 @@ export default function APISettings({ onNavigateToSecurity, onClientsUpdate }) {
         <ol style={{ margin: 0, paddingLeft: "20px", lineHeight: "2" }}>
           <li>Get your Claude API key from <a href="https://console.anthropic.com/" target="_blank" rel="noopener noreferrer" style={{ color: "#a78bfa", textDecoration: "none" }}>Anthropic Console</a></li>
           <li>Get your YouTube API key from <a href="https://console.cloud.google.com/" target="_blank" rel="noopener noreferrer" style={{ color: "#f87171", textDecoration: "none" }}>Google Cloud Console</a></li>
-          <li>Set your monthly budget (recommended: $5-20 for typical usage)</li>
+          <li>An admin sets the team's monthly budget under Settings → AI Usage</li>
           <li>Claude API is pay-as-you-go — you only pay for what you use</li>
           <li>Usage resets automatically each month</li>
         </ol>
@@ -0,0 +1,509 @@
+/**
+ * AlertDeliverySettings — Settings → Alert Delivery.
+ *
+ * Each user manages their own delivery subscriptions (migration 117):
+ * which clients, which alert types, the minimum severity, and where
+ * matches go — an instant Slack-compatible webhook or a daily email
+ * digest. /api/cron/alert-delivery does the matching and sending
+ * hourly; this page edits the rows, sends a test message through one,
+ * and shows its last few deliveries from notification_outbox.
+ *
+ * Snoozing an alert in This Week also stops it being delivered.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  Bell, Plus, Trash2, Send, RefreshCw, AlertCircle, Check, Pencil, Webhook, Mail, X,
+} from 'lucide-react';
+import { supabase } from '../../services/supabaseClient';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  DELIVERY_MODES, SEVERITY_LEVELS, THIS_WEEK_DELIVERY_TYPES, MOVEMENT_DELIVERY_TYPES,
+  listSubscriptions, saveSubscription, setSubscriptionEnabled, deleteSubscription,
+  loadDeliveryHistory, sendTestDelivery, describeDelivery,
+} from '../../services/alertSubscriptionService';
+import { reminderColor } from '../../services/inviteReminderService';
+
+const TYPE_LABELS = Object.fromEntries(
+  [...THIS_WEEK_DELIVERY_TYPES, ...MOVEMENT_DELIVERY_TYPES].map(t => [t.id, t.label]),
+);
+
+const EMPTY_FORM = {
+  id: null, label: '', delivery: 'webhook', webhookUrl: '', email: '',
+  clientIds: [], alertTypes: [], minSeverity: 'medium', enabled: true,
+};
+
+export default function AlertDeliverySettings() {
+  const { user, canAccessClient } = useAuth();
+  const [loading, setLoading]   = useState(true);
+  const [subs, setSubs]         = useState([]);
+  const [history, setHistory]   = useState({});
+  const [clients, setClients]   = useState([]);
+  const [form, setForm]         = useState(null);
+  const [saving, setSaving]     = useState(false);
+  const [error, setError]       = useState(null);
+  const [testState, setTestState] = useState({});
+
+  useEffect(() => {
+    void refresh();
+    void loadClients();
+  }, [user?.id]);
+
+  const refresh = async () => {
+    if (!user) { setLoading(false); return; }
+    setLoading(true);
+    setError(null);
+    const rows = await listSubscriptions(user.id);
+    setSubs(rows);
+    setHistory(await loadDeliveryHistory(rows.map(r => r.id)));
+    setLoading(false);
+  };
+
+  const loadClients = async () => {
+    try {
+      const { data } = await supabase
+        .from('channels')
+        .select('id, name')
+        .eq('is_client', true)
+        .order('name');
+      setClients((data || []).filter(c => canAccessClient(c.id)));
+    } catch (err) { /* non-fatal */ }
+  };
+
+  const startCreate = () => {
+    setError(null);
+    setForm({ ...EMPTY_FORM, email: user?.email || '' });
+  };
+
+  const startEdit = (sub) => {
+    setError(null);
+    setForm({
+      id:          sub.id,
+      label:       sub.label || '',
+      delivery:    sub.delivery,
+      webhookUrl:  sub.webhook_url || '',
+      email:       sub.email || '',
+      clientIds:   sub.client_ids || [],
+      alertTypes:  sub.alert_types || [],
+      minSeverity: sub.min_severity,
+      enabled:     sub.enabled,
+    });
+  };
+
+  const handleSave = async (e) => {
+    e?.preventDefault();
+    setSaving(true);
+    setError(null);
+    const result = await saveSubscription({ ...form, userId: user?.id, userEmail: user?.email });
+    setSaving(false);
+    if (!result.ok) { setError(result.error); return; }
+    setForm(null);
+    await refresh();
+  };
+
+  const handleToggle = async (sub) => {
+    const result = await setSubscriptionEnabled(sub.id, !sub.enabled);
+    if (!result.ok) { setError(result.error); return; }
+    setSubs(prev => prev.map(s => s.id === sub.id ? { ...s, enabled: !s.enabled } : s));
+  };
+
+  const handleDelete = async (sub) => {
+    if (!window.confirm('Delete this delivery subscription? Queued deliveries for it are dropped.')) return;
+    const result = await deleteSubscription(sub.id);
+    if (!result.ok) { setError(result.error); return; }
+    await refresh();
+  };
+
+  const handleTest = async (sub) => {
+    setTestState(prev => ({ ...prev, [sub.id]: { sending: true } }));
+    const result = await sendTestDelivery(sub.id);
+    setTestState(prev => ({ ...prev, [sub.id]: result }));
+    await refresh();
+  };
+
+  return (
+    <div style={cardStyle}>
+      <div style={headerStyle}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
+          <Bell size={20} style={{ color: '#0A919B' }} />
+          <div>
+            <h3 style={{ fontSize: 16, fontWeight: 600, margin: 0, color: '#E0E0E0' }}>
+              Alert delivery
+            </h3>
+            <p style={{ fontSize: 12, color: '#9E9E9E', margin: '4px 0 0' }}>
+              Get This Week and competitor Movement alerts without opening the app — posted to a
+              Slack channel as they fire, or as one email a day. Snoozed alerts aren't delivered.
+            </p>
+          </div>
+        </div>
+        <div style={{ display: 'flex', gap: 6 }}>
+          <button onClick={refresh} style={refreshBtnStyle} title="Refresh">
+            <RefreshCw size={14} />
+          </button>
+          {!form && (
+            <button onClick={startCreate} style={primaryBtnStyle(false)}>
+              <Plus size={14} /> New subscription
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div style={errorBoxStyle}>
+          <AlertCircle size={14} /> {error}
+        </div>
+      )}
+
+      {form && (
+        <SubscriptionForm
+          form={form}
+          setForm={setForm}
+          clients={clients}
+          saving={saving}
+          onSubmit={handleSave}
+          onCancel={() => setForm(null)}
+        />
+      )}
+
+      <div style={tableHeaderStyle}>
+        {subs.length > 0 ? `${subs.length} subscription${subs.length === 1 ? '' : 's'}` : 'No subscriptions yet'}
+      </div>
+      {loading && <div style={{ fontSize: 12, color: '#888' }}>Loading…</div>}
+      {!loading && subs.length === 0 && !form && (
+        <div style={emptyStateStyle}>
+          Add a Slack incoming-webhook URL for instant alerts, or an email address for a daily digest.
+        </div>
+      )}
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 6, marginTop: 8 }}>
+        {subs.map(sub => (
+          <SubscriptionRow
+            key={sub.id}
+            sub={sub}
+            clients={clients}
+            deliveries={history[sub.id] || []}
+            test={testState[sub.id]}
+            onEdit={() => startEdit(sub)}
+            onToggle={() => handleToggle(sub)}
+            onDelete={() => handleDelete(sub)}
+            onTest={() => handleTest(sub)}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ──────────────────────────────────────────────────
+// Form
+// ──────────────────────────────────────────────────
+
+function SubscriptionForm({ form, setForm, clients, saving, onSubmit, onCancel }) {
+  const set = (patch) => setForm(prev => ({ ...prev, ...patch }));
+  const toggleIn = (key, id) => setForm(prev => ({
+    ...prev,
+    [key]: prev[key].includes(id) ? prev[key].filter(x => x !== id) : [...prev[key], id],
+  }));
+
+  return (
+    <form onSubmit={onSubmit} style={formStyle}>
+      <div style={{ display: 'flex', gap: 6 }}>
+        {DELIVERY_MODES.map(m => (
+          <button key={m.value} type="button" onClick={() => set({ delivery: m.value })} style={modeBtnStyle(form.delivery === m.value)}>
+            {m.label}
+          </button>
+        ))}
+      </div>
+
+      <div style={formRowStyle}>
+        <label style={labelStyle}>
+          <span style={labelTextStyle}>Name (optional)</span>
+          <input
+            type="text"
+            value={form.label}
+            onChange={e => set({ label: e.target.value })}
+            placeholder={form.delivery === 'webhook' ? '#client-alerts' : 'Morning digest'}
+            style={inputStyle}
+          />
+        </label>
+        {form.delivery === 'webhook' ? (
+          <label style={labelStyle}>
+            <span style={labelTextStyle}>Webhook URL</span>
+            <input
+              type="url"
+              value={form.webhookUrl}
+              onChange={e => set({ webhookUrl: e.target.value })}
+              placeholder="https://hooks.slack.com/services/…"
+              style={inputStyle}
+            />
+          </label>
+        ) : (
+          <label style={labelStyle}>
+            <span style={labelTextStyle}>Email</span>
+            <input
+              type="email"
+              value={form.email}
+              onChange={e => set({ email: e.target.value })}
+              placeholder="you@example.com"
+              style={inputStyle}
+            />
+          </label>
+        )}
+        <label style={labelStyle}>
+          <span style={labelTextStyle}>Minimum severity</span>
+          <select value={form.minSeverity} onChange={e => set({ minSeverity: e.target.value })} style={inputStyle}>
+            {SEVERITY_LEVELS.map(s => <option key={s} value={s}>{s[0].toUpperCase() + s.slice(1)}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div style={formRowMultiStyle}>
+        <div style={labelStyle}>
+          <span style={labelTextStyle}>
+            Clients ({form.clientIds.length ? `${form.clientIds.length} picked` : 'all I can access'})
+          </span>
+          <div style={pickerStyle}>
+            {clients.map(c => (
+              <label key={c.id} style={pickRowStyle}>
+                <input type="checkbox" checked={form.clientIds.includes(c.id)} onChange={() => toggleIn('clientIds', c.id)} />
+                {c.name}
+              </label>
+            ))}
+          </div>
+        </div>
+        <div style={labelStyle}>
+          <span style={labelTextStyle}>
+            Alert types ({form.alertTypes.length ? `${form.alertTypes.length} picked` : 'all'})
+          </span>
+          <div style={pickerStyle}>
+            <div style={pickGroupStyle}>This Week</div>
+            {THIS_WEEK_DELIVERY_TYPES.map(t => (
+              <label key={t.id} style={pickRowStyle}>
+                <input type="checkbox" checked={form.alertTypes.includes(t.id)} onChange={() => toggleIn('alertTypes', t.id)} />
+                {t.label}
+              </label>
+            ))}
+            <div style={pickGroupStyle}>Competitor movement</div>
+            {MOVEMENT_DELIVERY_TYPES.map(t => (
+              <label key={t.id} style={pickRowStyle}>
+                <input type="checkbox" checked={form.alertTypes.includes(t.id)} onChange={() => toggleIn('alertTypes', t.id)} />
+                {t.label}
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div style={{ fontSize: 11, color: '#9E9E9E' }}>
+        {form.delivery === 'webhook'
+          ? 'Each new alert is posted once, within the hour. Ongoing This Week items post when they first appear; competitor alerts post for the 48h after they fire. Discord works too — use the webhook URL with /slack on the end.'
+          : 'One email a day, only when something is new since the last digest. Lists every open matching alert, newest marked NEW.'}
+      </div>
+
+      <div style={{ display: 'flex', gap: 6 }}>
+        <button type="submit" disabled={saving} style={primaryBtnStyle(saving)}>
+          {saving ? 'Saving…' : <><Check size={14} /> {form.id ? 'Save changes' : 'Create subscription'}</>}
+        </button>
+        <button type="button" onClick={onCancel} style={smallBtnStyle}>
+          <X size={12} /> Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// ──────────────────────────────────────────────────
+// Subscription row
+// ──────────────────────────────────────────────────
+
+function SubscriptionRow({ sub, clients, deliveries, test, onEdit, onToggle, onDelete, onTest }) {
+  const color = !sub.enabled ? '#666' : sub.last_error ? '#ef6b6b' : '#3fa66a';
+  const clientNames = sub.client_ids?.length
+    ? sub.client_ids.map(id => clients.find(c => c.id === id)?.name).filter(Boolean).join(', ') || `${sub.client_ids.length} clients`
+    : 'All clients';
+  const types = sub.alert_types?.length
+    ? sub.alert_types.map(t => TYPE_LABELS[t] || t).join(', ')
+    : 'All alert types';
+  const Icon = sub.delivery === 'webhook' ? Webhook : Mail;
+
+  return (
+    <div>
+      <div style={rowStyle(color)}>
+        <Icon size={14} style={{ color, flexShrink: 0 }} />
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div style={rowTitleStyle}>
+            {sub.label || (sub.delivery === 'webhook' ? 'Webhook' : 'Daily digest')}
+            <span style={{ color: '#9E9E9E', fontWeight: 400 }}>
+              {' · '}{sub.delivery === 'webhook' ? maskUrl(sub.webhook_url) : sub.email}
+            </span>
+          </div>
+          <div style={rowMetaStyle}>
+            <span style={{ color }}>● {sub.enabled ? 'Active' : 'Paused'}</span>
+            {' · '}{sub.min_severity}+ · {clientNames} · {types}
+          </div>
+          {sub.enabled && sub.last_error && (
+            <div style={{ ...rowMetaStyle, color: '#ef6b6b' }}>Last delivery failed — {sub.last_error}</div>
+          )}
+          {test && !test.sending && (
+            <div style={{ ...rowMetaStyle, color: test.ok ? '#3fa66a' : '#ef6b6b' }}>
+              {test.ok
+                ? `Test sent${test.transport === 'log' ? ' to the server log (no mail transport configured)' : ''}.`
+                : `Test failed — ${test.error}`}
+            </div>
+          )}
+        </div>
+        <button onClick={onTest} disabled={test?.sending} style={smallBtnStyle} title="Send a test message now">
+          <Send size={12} /> {test?.sending ? 'Sending…' : 'Test'}
+        </button>
+        <button onClick={onToggle} style={smallBtnStyle}>
+          {sub.enabled ? 'Pause' : 'Resume'}
+        </button>
+        <button onClick={onEdit} style={smallBtnStyle} title="Edit">
+          <Pencil size={12} />
+        </button>
+        <button onClick={onDelete} style={smallBtnStyle} title="Delete">
+          <Trash2 size={12} />
+        </button>
+      </div>
+      {deliveries.length > 0 && (
+        <div style={historyListStyle}>
+          {deliveries.map(d => (
+            <div key={d.id} style={historyRowStyle}>
+              <span style={{ color: reminderColor(d), flexShrink: 0 }}>●</span>
+              <span style={{ color: reminderColor(d), flexShrink: 0 }}>{describeDelivery(d)}</span>
+              <span style={{ color: '#777', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{d.subject}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ──────────────────────────────────────────────────
+// Helper
+// ──────────────────────────────────────────────────
+
+// Webhook URLs are credentials — show the host and the tail only.
+function maskUrl(url) {
+  try {
+    const u = new URL(url);
+    return `${u.host}/…${u.pathname.slice(-4)}`;
+  } catch {
+    return 'invalid URL';
+  }
+}
+
+// ──────────────────────────────────────────────────
+// Styles
+// ──────────────────────────────────────────────────
+
+const cardStyle = {
+  background: '#1E1E1E',
+  borderRadius: 8,
+  border: '1px solid #333',
+  padding: 24,
+  marginBottom: 16,
+};
+const headerStyle = {
+  display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start',
+  marginBottom: 16,
+};
+const refreshBtnStyle = {
+  background: '#252525', color: '#9E9E9E',
+  border: '1px solid #333', borderRadius: 6,
+  padding: 6, cursor: 'pointer',
+};
+const errorBoxStyle = {
+  display: 'flex', alignItems: 'center', gap: 8,
+  background: 'rgba(239,107,107,0.08)',
+  border: '1px solid rgba(239,107,107,0.30)',
+  color: '#ef6b6b',
+  borderRadius: 6, padding: '8px 12px',
+  fontSize: 12, marginBottom: 12,
+};
+const formStyle = {
+  background: '#252525', borderRadius: 6, padding: 14, marginBottom: 16,
+  display: 'flex', flexDirection: 'column', gap: 10,
+};
+const formRowStyle = {
+  display: 'grid', gridTemplateColumns: '1fr 2fr 140px', gap: 10,
+};
+const formRowMultiStyle = {
+  display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 10,
+};
+const modeBtnStyle = (active) => ({
+  background: active ? 'rgba(10,145,155,0.15)' : '#1a1a1a',
+  color: active ? '#0A919B' : '#9E9E9E',
+  border: `1px solid ${active ? '#0A919B' : '#333'}`,
+  borderRadius: 4, padding: '5px 10px',
+  fontSize: 11, fontWeight: 600, cursor: 'pointer',
+});
+const pickerStyle = {
+  background: '#1a1a1a', border: '1px solid #333', borderRadius: 5,
+  maxHeight: 180, overflowY: 'auto', padding: '4px 8px',
+};
+const pickGroupStyle = {
+  fontSize: 10, color: '#777', textTransform: 'uppercase', letterSpacing: 0.5,
+  fontWeight: 600, padding: '6px 0 2px',
+};
+const pickRowStyle = {
+  display: 'flex', alignItems: 'center', gap: 6,
+  fontSize: 12, color: '#E0E0E0', padding: '3px 0', cursor: 'pointer',
+};
+const labelStyle = {
+  display: 'flex', flexDirection: 'column', gap: 4,
+};
+const labelTextStyle = {
+  fontSize: 11, color: '#9E9E9E',
+  textTransform: 'uppercase', letterSpacing: 0.5, fontWeight: 600,
+};
+const inputStyle = {
+  background: '#1a1a1a', color: '#E0E0E0',
+  border: '1px solid #333', borderRadius: 5,
+  padding: '7px 10px', fontSize: 12,
+};
+const primaryBtnStyle = (busy) => ({
+  alignSelf: 'flex-start',
+  background: busy ? '#252525' : '#0A919B',
+  color: busy ? '#666' : '#0a0a0e',
+  border: busy ? '1px solid #333' : 'none',
+  borderRadius: 5,
+  padding: '8px 14px',
+  fontSize: 13, fontWeight: 700, letterSpacing: 0.3,
+  cursor: busy ? 'not-allowed' : 'pointer',
+  display: 'inline-flex', alignItems: 'center', gap: 6,
+});
+const tableHeaderStyle = {
+  fontSize: 11, color: '#9E9E9E',
+  textTransform: 'uppercase', letterSpacing: 0.6, fontWeight: 600,
+  marginBottom: 6,
+};
+const emptyStateStyle = {
+  fontSize: 12, color: '#666', padding: 16, textAlign: 'center',
+  background: '#252525', borderRadius: 6,
+};
+const rowStyle = (color) => ({
+  display: 'flex', alignItems: 'center', gap: 8,
+  background: '#252525',
+  border: '1px solid #333', borderLeft: `2px solid ${color}`,
+  borderRadius: 5, padding: 10,
+});
+const rowTitleStyle = {
+  fontSize: 13, fontWeight: 600, color: '#E0E0E0',
+};
+const rowMetaStyle = {
+  fontSize: 11, color: '#9E9E9E', marginTop: 2,
+};
+const historyListStyle = {
+  padding: '4px 12px 2px',
+  display: 'flex', flexDirection: 'column', gap: 2,
+};
+const historyRowStyle = {
+  display: 'flex', alignItems: 'center', gap: 6, fontSize: 10, minWidth: 0,
+};
+const smallBtnStyle = {
+  background: '#1a1a1a', color: '#9E9E9E',
+  border: '1px solid #333', borderRadius: 4,
+  padding: '5px 10px', fontSize: 11, cursor: 'pointer',
+  display: 'inline-flex', alignItems: 'center', gap: 4,
+};
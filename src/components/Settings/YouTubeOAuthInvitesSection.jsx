@@ -13,26 +13,33 @@
  *   1. Create form (label, optional client, optional expected email,
  *      optional notes, expiry)
  *   2. Pending + redeemed invites table with copy-link + revoke actions
+ *
+ * Multi-channel mode (migration 113): for network clients with many
+ * channels under one brand account, one link carries a checklist of
+ * channels. The owner connects them one Google consent at a time in the
+ * same session; each row here expands to per-channel status
+ * (connected / skipped / pending, plus any extra channel they connected).
+ *
+ * Expiry reminders (migration 114): the status chip is the derived
+ * lifecycle (expiring soon / expired unused, not just the stored
+ * status), and each row lists the reminders /api/cron/invite-reminders
+ * queued or sent for it.
  */
 
 import React, { useEffect, useState } from 'react';
 import {
   Send, Link as LinkIcon, Copy, Check, Trash2, ExternalLink,
-  Clock, AlertCircle, RefreshCw,
+  Clock, AlertCircle, RefreshCw, ChevronDown, ChevronRight, Mail,
 } from 'lucide-react';
 import { supabase } from '../../services/supabaseClient';
+import {
+  oauthInviteLifecycle, describeReminder, reminderColor, LIFECYCLE_LABELS, LIFECYCLE_COLORS,
+} from '../../services/inviteReminderService';
 
-const STATUS_LABELS = {
-  pending:  'Pending',
-  redeemed: 'Redeemed',
-  expired:  'Expired',
-  revoked:  'Revoked',
-};
-const STATUS_COLORS = {
-  pending:  '#E8A82B',
-  redeemed: '#3fa66a',
-  expired:  '#888',
-  revoked:  '#888',
+const CHANNEL_STATUS_COLORS = {
+  pending:   '#888',
+  connected: '#3fa66a',
+  skipped:   '#E8A82B',
 };
 
 export default function YouTubeOAuthInvitesSection() {
@@ -48,6 +55,9 @@ export default function YouTubeOAuthInvitesSection() {
   const [formExpectedEmail, setFormExpectedEmail]     = useState('');
   const [formNotes, setFormNotes]                     = useState('');
   const [formExpiresInDays, setFormExpiresInDays]     = useState(7);
+  const [formMulti, setFormMulti]                     = useState(false);
+  const [formChannelIds, setFormChannelIds]           = useState([]);
+  const [formExtraLabels, setFormExtraLabels]         = useState('');
 
   useEffect(() => {
     void refresh();
@@ -96,6 +106,19 @@ export default function YouTubeOAuthInvitesSection() {
         ? clients.find(c => c.id === formClientId)?.name || null
         : null;
 
+      // Multi-channel: picked clients first, then free-text labels for
+      // channels Full View doesn't track yet.
+      const channels = formMulti
+        ? [
+          ...formChannelIds.map(id => ({ client_id: id })),
+          ...formExtraLabels.split('\n').map(l => l.trim()).filter(Boolean).map(label => ({ label })),
+        ]
+        : null;
+      if (formMulti && channels.length < 2) {
+        setError('Pick or list at least two channels for a multi-channel invite.');
+        return;
+      }
+
       const r = await fetch('/api/youtube-oauth-invite', {
         method: 'POST',
         headers: {
@@ -108,6 +131,7 @@ export default function YouTubeOAuthInvitesSection() {
           expected_youtube_email:  formExpectedEmail.trim() || null,
           notes:                   formNotes.trim() || null,
           expires_in_days:         Number(formExpiresInDays) || 7,
+          channels,
         }),
       });
       const json = await r.json();
@@ -118,6 +142,8 @@ export default function YouTubeOAuthInvitesSection() {
       setFormExpectedEmail('');
       setFormNotes('');
       setFormExpiresInDays(7);
+      setFormChannelIds([]);
+      setFormExtraLabels('');
       await refresh();
     } catch (err) {
       setError(err?.message || 'network error');
@@ -144,6 +170,10 @@ export default function YouTubeOAuthInvitesSection() {
     }
   };
 
+  const toggleFormChannel = (id) => {
+    setFormChannelIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+  };
+
   const handleCopy = async (invite) => {
     const url = buildInviteUrl(invite.token);
     try {
@@ -164,7 +194,8 @@ export default function YouTubeOAuthInvitesSection() {
             </h3>
             <p style={{ fontSize: 12, color: '#9E9E9E', margin: '4px 0 0' }}>
               Generate a single-use link for a channel owner who isn't a Full View user. They
-              grant access in 60 seconds without creating an account.
+              grant access in 60 seconds without creating an account. Network owners can connect
+              several channels from one multi-channel link.
             </p>
           </div>
         </div>
@@ -180,9 +211,18 @@ export default function YouTubeOAuthInvitesSection() {
       )}
 
       <form onSubmit={handleCreate} style={formStyle}>
+        <div style={{ display: 'flex', gap: 6 }}>
+          <button type="button" onClick={() => setFormMulti(false)} style={modeBtnStyle(!formMulti)}>
+            Single channel
+          </button>
+          <button type="button" onClick={() => setFormMulti(true)} style={modeBtnStyle(formMulti)}>
+            Multiple channels (network)
+          </button>
+        </div>
+
         <div style={formRowStyle}>
           <label style={labelStyle}>
-            <span style={labelTextStyle}>Client (optional)</span>
+            <span style={labelTextStyle}>{formMulti ? 'Network / brand (optional)' : 'Client (optional)'}</span>
             <select
               value={formClientId}
               onChange={e => setFormClientId(e.target.value)}
@@ -222,6 +262,36 @@ export default function YouTubeOAuthInvitesSection() {
           </label>
         </div>
 
+        {formMulti && (
+          <div style={formRowMultiStyle}>
+            <div style={labelStyle}>
+              <span style={labelTextStyle}>Channels to connect ({formChannelIds.length} picked)</span>
+              <div style={channelPickerStyle}>
+                {clients.map(c => (
+                  <label key={c.id} style={channelPickRowStyle}>
+                    <input
+                      type="checkbox"
+                      checked={formChannelIds.includes(c.id)}
+                      onChange={() => toggleFormChannel(c.id)}
+                    />
+                    {c.name}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <label style={labelStyle}>
+              <span style={labelTextStyle}>Other channels (one per line)</span>
+              <textarea
+                value={formExtraLabels}
+                onChange={e => setFormExtraLabels(e.target.value)}
+                placeholder={'Channels not in Full View yet —\nuse the channel name as it appears on YouTube'}
+                rows={6}
+                style={{ ...inputStyle, resize: 'vertical', fontFamily: 'inherit' }}
+              />
+            </label>
+          </div>
+        )}
+
         <label style={labelStyle}>
           <span style={labelTextStyle}>Notes (shown on the grant page)</span>
           <input
@@ -234,7 +304,9 @@ export default function YouTubeOAuthInvitesSection() {
         </label>
 
         <button type="submit" disabled={creating} style={createBtnStyle(creating)}>
-          {creating ? 'Creating…' : <><LinkIcon size={14} /> Create invite link</>}
+          {creating
+            ? 'Creating…'
+            : <><LinkIcon size={14} /> {formMulti ? 'Create multi-channel invite link' : 'Create invite link'}</>}
         </button>
       </form>
 
@@ -270,36 +342,88 @@ export default function YouTubeOAuthInvitesSection() {
 // ──────────────────────────────────────────────────
 
 function InviteRow({ invite, copied, onCopy, onRevoke }) {
-  const color = STATUS_COLORS[invite.status] || '#888';
+  const [expanded, setExpanded] = useState(false);
+  const lifecycle = oauthInviteLifecycle(invite);
+  const isOpen    = lifecycle === 'pending' || lifecycle === 'expiring_soon';
+  const color     = LIFECYCLE_COLORS[lifecycle] || '#888';
+  const reminders = invite.reminders || [];
+  const channels  = invite.channels || [];
+  const requested = channels.filter(c => !c.is_extra);
+  const connected = channels.filter(c => c.status === 'connected').length;
+  const skipped   = requested.filter(c => c.status === 'skipped').length;
   return (
-    <div style={rowStyle(color)}>
-      <div style={{ flex: 1, minWidth: 0 }}>
-        <div style={rowTitleStyle}>
-          {invite.client_label || invite.expected_youtube_email || 'Untitled invite'}
-        </div>
-        <div style={rowMetaStyle}>
-          <span style={{ color }}>● {STATUS_LABELS[invite.status]}</span>
-          {invite.status === 'pending' && (
-            <>
-              {' · '}<Clock size={10} style={{ display: 'inline', verticalAlign: 'middle' }} />
-              {' '}expires {new Date(invite.expires_at).toLocaleDateString()}
-            </>
-          )}
-          {invite.status === 'redeemed' && invite.redeemed_youtube_channel_title && (
-            <>{' · '}granted by <strong style={{ color: '#cde4d6' }}>{invite.redeemed_youtube_email || invite.redeemed_youtube_channel_title}</strong></>
-          )}
-          {invite.notes && <>{' · '}{invite.notes}</>}
+    <div>
+      <div style={rowStyle(color)}>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div style={rowTitleStyle}>
+            {invite.client_label || invite.expected_youtube_email || 'Untitled invite'}
+          </div>
+          <div style={rowMetaStyle}>
+            <span style={{ color }}>● {LIFECYCLE_LABELS[lifecycle]}</span>
+            {isOpen && (
+              <>
+                {' · '}<Clock size={10} style={{ display: 'inline', verticalAlign: 'middle' }} />
+                {' '}expires {new Date(invite.expires_at).toLocaleDateString()}
+              </>
+            )}
+            {invite.status === 'redeemed' && invite.redeemed_youtube_channel_title && (
+              <>{' · '}granted by <strong style={{ color: '#cde4d6' }}>{invite.redeemed_youtube_email || invite.redeemed_youtube_channel_title}</strong></>
+            )}
+            {invite.is_multi_channel && (
+              <>
+                {' · '}<strong style={{ color: '#cde4d6' }}>{connected}/{requested.length}</strong> connected
+                {skipped > 0 && <>, {skipped} skipped</>}
+              </>
+            )}
+            {invite.notes && <>{' · '}{invite.notes}</>}
+          </div>
         </div>
-      </div>
-      {invite.status === 'pending' && (
-        <>
-          <button onClick={onCopy} style={smallBtnStyle} title="Copy invite link">
-            {copied ? <><Check size={12} /> Copied</> : <><Copy size={12} /> Copy link</>}
+        {invite.is_multi_channel && (
+          <button onClick={() => setExpanded(e => !e)} style={smallBtnStyle} title="Per-channel status">
+            {expanded ? <ChevronDown size={12} /> : <ChevronRight size={12} />} Channels
           </button>
-          <button onClick={onRevoke} style={smallBtnStyle} title="Revoke">
-            <Trash2 size={12} />
-          </button>
-        </>
+        )}
+        {isOpen && (
+          <>
+            <button onClick={onCopy} style={smallBtnStyle} title="Copy invite link">
+              {copied ? <><Check size={12} /> Copied</> : <><Copy size={12} /> Copy link</>}
+            </button>
+            <button onClick={onRevoke} style={smallBtnStyle} title="Revoke">
+              <Trash2 size={12} />
+            </button>
+          </>
+        )}
+      </div>
+      {reminders.length > 0 && (
+        <div style={reminderListStyle}>
+          {reminders.map(r => (
+            <div key={r.id} style={reminderRowStyle}>
+              <Mail size={10} style={{ color: reminderColor(r), flexShrink: 0 }} />
+              <span style={{ color: reminderColor(r) }}>{describeReminder(r)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+      {expanded && (
+        <div style={channelStatusListStyle}>
+          {channels.map(c => (
+            <div key={c.id} style={channelStatusRowStyle}>
+              <span style={{ color: CHANNEL_STATUS_COLORS[c.status] || '#888' }}>●</span>
+              <span style={{ color: '#E0E0E0', flex: 1, minWidth: 0 }}>
+                {c.expected_channel_label}
+                {c.is_extra && <span style={{ color: '#9E9E9E' }}> · extra — not on the list</span>}
+              </span>
+              <span style={{ color: CHANNEL_STATUS_COLORS[c.status] || '#888' }}>
+                {c.status === 'connected' && <>
+                  connected{c.connected_youtube_channel_title && c.connected_youtube_channel_title !== c.expected_channel_label ? ` as ${c.connected_youtube_channel_title}` : ''}
+                  {c.connected_youtube_email ? ` · ${c.connected_youtube_email}` : ''}
+                </>}
+                {c.status === 'skipped' && <>skipped{c.skip_reason ? ` — ${c.skip_reason}` : ''}</>}
+                {c.status === 'pending' && 'pending'}
+              </span>
+            </div>
+          ))}
+        </div>
       )}
     </div>
   );
@@ -349,6 +473,24 @@ const formStyle = {
 const formRowStyle = {
   display: 'grid', gridTemplateColumns: '1fr 1fr 110px', gap: 10,
 };
+const formRowMultiStyle = {
+  display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 10,
+};
+const modeBtnStyle = (active) => ({
+  background: active ? 'rgba(10,145,155,0.15)' : '#1a1a1a',
+  color: active ? '#0A919B' : '#9E9E9E',
+  border: `1px solid ${active ? '#0A919B' : '#333'}`,
+  borderRadius: 4, padding: '5px 10px',
+  fontSize: 11, fontWeight: 600, cursor: 'pointer',
+});
+const channelPickerStyle = {
+  background: '#1a1a1a', border: '1px solid #333', borderRadius: 5,
+  maxHeight: 150, overflowY: 'auto', padding: '4px 8px',
+};
+const channelPickRowStyle = {
+  display: 'flex', alignItems: 'center', gap: 6,
+  fontSize: 12, color: '#E0E0E0', padding: '3px 0', cursor: 'pointer',
+};
 const labelStyle = {
   display: 'flex', flexDirection: 'column', gap: 4,
 };
@@ -393,6 +535,21 @@ const rowTitleStyle = {
 const rowMetaStyle = {
   fontSize: 11, color: '#9E9E9E', marginTop: 2,
 };
+const channelStatusListStyle = {
+  background: '#1f1f1f', border: '1px solid #333', borderTop: 'none',
+  borderRadius: '0 0 5px 5px', padding: '6px 12px',
+  display: 'flex', flexDirection: 'column', gap: 4,
+};
+const channelStatusRowStyle = {
+  display: 'flex', alignItems: 'center', gap: 8, fontSize: 11,
+};
+const reminderListStyle = {
+  padding: '4px 12px 2px',
+  display: 'flex', flexDirection: 'column', gap: 2,
+};
+const reminderRowStyle = {
+  display: 'flex', alignItems: 'center', gap: 6, fontSize: 10,
+};
 const smallBtnStyle = {
   background: '#1a1a1a', color: '#9E9E9E',
   border: '1px solid #333', borderRadius: 4,
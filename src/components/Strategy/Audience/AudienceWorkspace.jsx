@@ -43,7 +43,7 @@ const FIELD_META = [
   { key: 'adjacent_interests',  label: 'Adjacent interests',  description: 'What else they engage with — related topics, decision contexts.' },
 ];
 
-export default function AudienceWorkspace({ activeClient, onNavigate }) {
+export default function AudienceWorkspace({ activeClient, onNavigate, onClientUpgraded }) {
   const clientId = activeClient?.id;
   const [persona, setPersona] = useState(null);
   const [meta, setMeta] = useState({ synthesizedAt: null, promptVersion: null });
@@ -54,6 +54,9 @@ export default function AudienceWorkspace({ activeClient, onNavigate }) {
   const [editingField, setEditingField] = useState(null);
   const [editDraft, setEditDraft] = useState('');
   const [expandedEvidence, setExpandedEvidence] = useState({});
+  // Bumped when a competitor comment is merged into a concept seed so
+  // ConceptSeedsSection re-reads its list.
+  const [seedsRefreshKey, setSeedsRefreshKey] = useState(0);
 
   useEffect(() => {
     if (!clientId) { setLoading(false); return undefined; }
@@ -135,7 +138,7 @@ export default function AudienceWorkspace({ activeClient, onNavigate }) {
         <h1 style={titleStyle}>
           {activeClient.name}
           <span style={{ marginLeft: 12, display: 'inline-block', verticalAlign: 'middle' }}>
-            <PrelaunchBadge client={activeClient} />
+            <PrelaunchBadge client={activeClient} onUpgraded={onClientUpgraded} />
           </span>
         </h1>
         <div style={subtitleStyle}>
@@ -197,9 +200,16 @@ export default function AudienceWorkspace({ activeClient, onNavigate }) {
             clientId={clientId}
             hasPersona={!!persona}
             onNavigate={onNavigate}
+            refreshKey={seedsRefreshKey}
           />
 
-          <CompetitorCommentsSection clientId={clientId} />
+          <CompetitorCommentsSection
+            clientId={clientId}
+            onMerged={(r) => {
+              if (r.persona) setPersona(r.persona);
+              if (r.seed) setSeedsRefreshKey(k => k + 1);
+            }}
+          />
 
           <NextStepCard
             setTab={onNavigate}
@@ -16,8 +16,22 @@
  *      pulls top-relevance comments → regex-classifies into questions
  *      and content_requests.
  *   3. Results render grouped by signal type. Each signal can be
- *      starred (keep in mind), merged to Spine (used as input for
- *      persona / pillars / concept seeds), or dismissed (junk).
+ *      starred (keep in mind), merged to Spine, or dismissed (junk).
+ *      Merge asks where the comment belongs — persona question / pain
+ *      point, draft pillar, or concept seed — pre-fills that record,
+ *      and links it back to the comment.
+ *
+ * Batch mode (v1.1, migration 110): "Sweep all peers" runs the same
+ * sweep across every peer-tagged cohort channel, de-dupes near-identical
+ * comments across channels, and groups them into themes ranked by how
+ * many channels they appear on. Each theme carries its source comments
+ * as evidence, with the same star / merge / dismiss actions.
+ *
+ * Re-sweeps (migration 112): every sweep reports how many signals no
+ * earlier sweep of that channel surfaced. The client can opt into a
+ * scheduled peer re-sweep cadence here; those cron sweeps keep only
+ * the new comments and are marked "scheduled" in the history. A manual
+ * re-sweep of a channel swept before can do the same ("New only").
  *
  * Honest framing in the UI: this is competitive-intelligence content-gap
  * detection, not audience research. Each card surfaces the source video
@@ -28,7 +42,7 @@
 import React, { useEffect, useState } from 'react';
 import {
   MessageCircle, Loader, ChevronDown, ChevronRight, Sparkles,
-  HelpCircle, Megaphone, Star, Check, X as XIcon, ExternalLink,
+  HelpCircle, Megaphone, Star, Check, X as XIcon, ExternalLink, Layers, Clock,
 } from 'lucide-react';
 import {
   runSweep,
@@ -36,9 +50,20 @@ import {
   getSweepWithSignals,
   updateSignalStatus,
   listCompetitorCandidates,
+  runBatchSweep,
+  listBatches,
+  getBatchWithThemes,
+  mergeSignalToSpine,
+  buildMergeDraft,
+  defaultMergeTarget,
+  SPINE_MERGE_TARGETS,
+  getResweepSettings,
+  setResweepCadence,
+  RESWEEP_CADENCE_OPTIONS,
   DEFAULT_MAX_VIDEOS,
   DEFAULT_MAX_COMMENTS_PER_VIDEO,
 } from '../../../services/commentSweepService.js';
+import { formatRelativeAge } from '../../../services/dataFreshnessService.js';
 
 const ROLE_LABELS = {
   peer:         'Peer',
@@ -51,32 +76,53 @@ const ROLE_COLORS = {
   reference:    '#0A919B',
 };
 
-export default function CompetitorCommentsSection({ clientId }) {
+export default function CompetitorCommentsSection({ clientId, onMerged }) {
   const [candidates, setCandidates] = useState([]);
   const [selectedId, setSelectedId] = useState('');
   const [maxVideos, setMaxVideos] = useState(DEFAULT_MAX_VIDEOS);
   const [maxComments, setMaxComments] = useState(DEFAULT_MAX_COMMENTS_PER_VIDEO);
   const [running, setRunning] = useState(false);
+  // Re-sweep of a channel swept before: keep only signals no earlier
+  // sweep surfaced (same filter the scheduled re-sweeps use).
+  const [onlyNew, setOnlyNew] = useState(false);
   const [error, setError] = useState(null);
   const [history, setHistory] = useState([]);
   const [activeSweep, setActiveSweep] = useState(null);
   const [loadingSweep, setLoadingSweep] = useState(false);
+  // Batch (all-peers) sweep state. activeBatch and activeSweep are
+  // mutually exclusive — the results pane shows one or the other.
+  const [batches, setBatches] = useState([]);
+  const [activeBatch, setActiveBatch] = useState(null);
+  const [batchProgress, setBatchProgress] = useState(null);
+  const [resweep, setResweep] = useState(null);
+  const [savingCadence, setSavingCadence] = useState(false);
+
+  const peerCount = candidates.filter(c => c.cohort_role === 'peer').length;
+  const busy = running || !!batchProgress;
+  const sweptBefore = history.some(s => s.competitor_channel_id === selectedId && s.status === 'complete');
 
   useEffect(() => {
     if (!clientId) return;
     let cancelled = false;
     (async () => {
-      const [cands, sweeps] = await Promise.all([
+      const [cands, sweeps, batchRows, resweepSettings] = await Promise.all([
         listCompetitorCandidates(clientId),
         listSweeps(clientId, { limit: 10 }),
+        listBatches(clientId, { limit: 5 }),
+        getResweepSettings(clientId),
       ]);
       if (cancelled) return;
       setCandidates(cands || []);
+      setResweep(resweepSettings);
       setHistory(sweeps || []);
+      setBatches(batchRows || []);
       if (cands?.[0]?.id) setSelectedId(cands[0].id);
-      // Auto-load the most recent complete sweep so the section isn't empty.
-      const mostRecent = (sweeps || []).find(s => s.status === 'complete');
-      if (mostRecent) loadSweep(mostRecent.id);
+      // Auto-load the most recent complete result so the section isn't
+      // empty — a batch wins when it's newer than any standalone sweep.
+      const recentBatch = (batchRows || []).find(b => b.status === 'complete');
+      const recentSweep = (sweeps || []).find(s => s.status === 'complete' && !s.batch_id);
+      if (recentBatch && (!recentSweep || recentBatch.created_at >= recentSweep.created_at)) loadBatch(recentBatch.id);
+      else if (recentSweep) loadSweep(recentSweep.id);
     })();
     return () => { cancelled = true; };
   }, [clientId]);
@@ -85,12 +131,47 @@ export default function CompetitorCommentsSection({ clientId }) {
     setLoadingSweep(true);
     try {
       const full = await getSweepWithSignals(sweepId);
+      setActiveBatch(null);
       setActiveSweep(full);
     } finally {
       setLoadingSweep(false);
     }
   };
 
+  const loadBatch = async (batchId) => {
+    setLoadingSweep(true);
+    try {
+      const full = await getBatchWithThemes(batchId);
+      setActiveSweep(null);
+      setActiveBatch(full);
+    } finally {
+      setLoadingSweep(false);
+    }
+  };
+
+  const handleRunBatch = async () => {
+    setBatchProgress({ step: 'sweep', index: 0, total: peerCount });
+    setError(null);
+    try {
+      const r = await runBatchSweep({
+        clientId,
+        maxVideos,
+        maxCommentsPerVideo: maxComments,
+        onProgress: setBatchProgress,
+      });
+      const [sweeps, batchRows] = await Promise.all([
+        listSweeps(clientId, { limit: 10 }),
+        listBatches(clientId, { limit: 5 }),
+      ]);
+      setHistory(sweeps || []);
+      setBatches(batchRows || []);
+      if (!r.ok) setError(r.error || 'batch sweep failed');
+      else await loadBatch(r.batchId);
+    } finally {
+      setBatchProgress(null);
+    }
+  };
+
   const handleRun = async () => {
     if (!selectedId) return;
     setRunning(true);
@@ -101,6 +182,7 @@ export default function CompetitorCommentsSection({ clientId }) {
         competitorChannelId: selectedId,
         maxVideos,
         maxCommentsPerVideo: maxComments,
+        onlyNew: sweptBefore && onlyNew,
       });
       if (!r.ok) {
         setError(r.error || 'sweep failed');
@@ -114,16 +196,40 @@ export default function CompetitorCommentsSection({ clientId }) {
     }
   };
 
+  const handleCadence = async (value) => {
+    const cadenceDays = value === '' ? null : Number(value);
+    setSavingCadence(true);
+    setError(null);
+    try {
+      const r = await setResweepCadence(clientId, cadenceDays);
+      if (r.ok) setResweep(prev => ({ ...(prev || {}), cadenceDays: r.cadenceDays }));
+      else setError(r.error || 'could not save re-sweep cadence');
+    } finally {
+      setSavingCadence(false);
+    }
+  };
+
   const handleStatus = async (signalId, status, reason = null) => {
     const r = await updateSignalStatus(signalId, status, { reason });
-    if (r.ok && activeSweep) {
-      setActiveSweep({
-        ...activeSweep,
-        signals: activeSweep.signals.map(s =>
-          s.id === signalId ? { ...s, status, reviewed_at: new Date().toISOString() } : s
-        ),
-      });
+    if (r.ok) patchLocalSignal(signalId, { status });
+  };
+
+  const handleMerge = async (signal, target, draft) => {
+    const r = await mergeSignalToSpine({ clientId, signal, target, draft });
+    if (r.ok) {
+      patchLocalSignal(signal.id, { status: 'merged_to_spine', merged_target: target, merged_target_id: r.targetId });
+      onMerged?.(r);
     }
+    return r;
+  };
+
+  const patchLocalSignal = (signalId, fields) => {
+    const patchSignal = s => s.id === signalId ? { ...s, ...fields, reviewed_at: new Date().toISOString() } : s;
+    setActiveSweep(prev => prev && { ...prev, signals: prev.signals.map(patchSignal) });
+    setActiveBatch(prev => prev && {
+      ...prev,
+      themes: prev.themes.map(t => ({ ...t, signals: t.signals.map(patchSignal) })),
+    });
   };
 
   return (
@@ -150,7 +256,7 @@ export default function CompetitorCommentsSection({ clientId }) {
           <select
             value={selectedId}
             onChange={e => setSelectedId(e.target.value)}
-            disabled={running}
+            disabled={busy}
             style={selectStyle}
           >
             {candidates.map(c => (
@@ -162,7 +268,7 @@ export default function CompetitorCommentsSection({ clientId }) {
           <select
             value={maxVideos}
             onChange={e => setMaxVideos(Number(e.target.value))}
-            disabled={running}
+            disabled={busy}
             style={selectSmallStyle}
             title="Videos to sample (most recent uploads)"
           >
@@ -174,7 +280,7 @@ export default function CompetitorCommentsSection({ clientId }) {
           <select
             value={maxComments}
             onChange={e => setMaxComments(Number(e.target.value))}
-            disabled={running}
+            disabled={busy}
             style={selectSmallStyle}
             title="Comments per video (top relevance)"
           >
@@ -182,16 +288,52 @@ export default function CompetitorCommentsSection({ clientId }) {
             <option value={50}>50 comments</option>
             <option value={100}>100 comments</option>
           </select>
-          <button onClick={handleRun} disabled={running || !selectedId} style={runBtnStyle(running)}>
+          {sweptBefore && (
+            <label style={onlyNewLabelStyle} title="Persist only signals no earlier sweep of this channel surfaced">
+              <input type="checkbox" checked={onlyNew} onChange={e => setOnlyNew(e.target.checked)} disabled={busy} />
+              New only
+            </label>
+          )}
+          <button onClick={handleRun} disabled={busy || !selectedId} style={runBtnStyle(busy)}>
             {running
               ? <><Loader size={13} style={{ animation: 'spin 1s linear infinite' }} /> Sweeping…</>
               : <><Sparkles size={13} /> Run sweep</>}
           </button>
+          <button
+            onClick={handleRunBatch}
+            disabled={busy || peerCount === 0}
+            style={batchBtnStyle(busy || peerCount === 0)}
+            title={peerCount === 0
+              ? 'Tag peer channels in Cohort Roles to enable'
+              : `Sweep all ${peerCount} peer channels, de-dupe across them, and group recurring themes`}
+          >
+            {batchProgress
+              ? <><Loader size={13} style={{ animation: 'spin 1s linear infinite' }} /> {batchProgressLabel(batchProgress)}</>
+              : <><Layers size={13} /> Sweep all peers ({peerCount})</>}
+          </button>
         </div>
       )}
 
+      {peerCount > 0 && resweep && (
+        <ResweepBar
+          resweep={resweep}
+          peerCount={peerCount}
+          saving={savingCadence}
+          onChange={handleCadence}
+        />
+      )}
+
       {error && <Note tone="error">{error}</Note>}
 
+      {/* Batch history */}
+      {batches.length > 0 && (
+        <BatchHistory
+          batches={batches}
+          activeId={activeBatch?.id}
+          onSelect={loadBatch}
+        />
+      )}
+
       {/* Sweep history */}
       {history.length > 0 && (
         <SweepHistory
@@ -201,11 +343,13 @@ export default function CompetitorCommentsSection({ clientId }) {
         />
       )}
 
-      {/* Active sweep */}
+      {/* Active batch / sweep */}
       {loadingSweep ? (
         <Note tone="info">Loading sweep…</Note>
+      ) : activeBatch ? (
+        <BatchResults batch={activeBatch} onStatus={handleStatus} onMerge={handleMerge} />
       ) : activeSweep ? (
-        <SweepResults sweep={activeSweep} onStatus={handleStatus} />
+        <SweepResults sweep={activeSweep} onStatus={handleStatus} onMerge={handleMerge} />
       ) : !history.length && candidates.length > 0 && (
         <div style={emptyStyle}>
           <MessageCircle size={26} style={{ color: '#0A919B', marginBottom: 10 }} />
@@ -222,6 +366,38 @@ export default function CompetitorCommentsSection({ clientId }) {
   );
 }
 
+// ──────────────────────────────────────────────────
+// Scheduled re-sweep cadence
+// ──────────────────────────────────────────────────
+
+function ResweepBar({ resweep, peerCount, saving, onChange }) {
+  return (
+    <div style={resweepBarStyle}>
+      <Clock size={12} style={{ color: '#0A919B' }} />
+      <span>Auto re-sweep {peerCount} peer{peerCount === 1 ? '' : 's'}:</span>
+      <select
+        value={resweep.cadenceDays ?? ''}
+        onChange={e => onChange(e.target.value)}
+        disabled={saving}
+        style={selectSmallStyle}
+        title="Scheduled sweeps run from a daily cron and keep only comments no earlier sweep surfaced"
+      >
+        {RESWEEP_CADENCE_OPTIONS.map(o => (
+          <option key={o.label} value={o.days ?? ''}>{o.label}</option>
+        ))}
+      </select>
+      {resweep.cadenceDays && (
+        <span style={{ color: '#666' }}>
+          · last scheduled run {resweep.lastRunAt ? formatRelativeAge(resweep.lastRunAt) : 'pending — next daily cron'}
+        </span>
+      )}
+      {resweep.lastError && (
+        <span style={{ color: '#ef6b6b' }} title={resweep.lastError}>· last run had errors</span>
+      )}
+    </div>
+  );
+}
+
 // ──────────────────────────────────────────────────
 // Sweep history
 // ──────────────────────────────────────────────────
@@ -241,14 +417,21 @@ function SweepHistory({ history, activeId, onSelect }) {
               key={s.id}
               onClick={() => onSelect(s.id)}
               style={historyChipStyle(isActive, tone)}
-              title={s.status_message || s.status}
+              title={s.status_message || (s.trigger === 'scheduled' ? 'Scheduled re-sweep — new comments only' : s.status)}
             >
-              <div style={{ fontWeight: 600, color: isActive ? '#cde4d6' : '#aaa' }}>
+              <div style={{ fontWeight: 600, color: isActive ? '#cde4d6' : '#aaa', display: 'flex', alignItems: 'center', gap: 4 }}>
+                {s.trigger === 'scheduled' && <Clock size={10} style={{ color: '#0A919B' }} />}
                 {s.competitor_name || s.competitor_youtube_id?.slice(0, 8)}
               </div>
               <div style={{ fontSize: 9, color: '#666', marginTop: 2 }}>
                 {s.status === 'complete' && (
-                  <>{s.signals_extracted || 0} signals · {new Date(s.created_at).toLocaleDateString()}</>
+                  <>
+                    {s.signals_extracted || 0} signals
+                    {s.previous_sweep_id && s.new_signals_count != null && (
+                      <span style={{ color: s.new_signals_count > 0 ? '#3fa66a' : '#666' }}> · +{s.new_signals_count} new</span>
+                    )}
+                    {' · '}{new Date(s.created_at).toLocaleDateString()}
+                  </>
                 )}
                 {s.status === 'error' && <span style={{ color: '#ef6b6b' }}>error</span>}
                 {s.status !== 'complete' && s.status !== 'error' && s.status}
@@ -261,11 +444,172 @@ function SweepHistory({ history, activeId, onSelect }) {
   );
 }
 
+// ──────────────────────────────────────────────────
+// Batch history + results — cross-channel themes
+// ──────────────────────────────────────────────────
+
+function batchProgressLabel(p) {
+  if (p.step === 'clustering') return 'Grouping themes…';
+  if (!p.index) return 'Starting…';
+  return `Sweeping ${p.index}/${p.total}${p.channelName ? ` · ${p.channelName}` : ''}…`;
+}
+
+function BatchHistory({ batches, activeId, onSelect }) {
+  return (
+    <div style={historyBarStyle}>
+      <div style={{ fontSize: 10, color: '#666', textTransform: 'uppercase', letterSpacing: 0.5, marginBottom: 6 }}>
+        All-peer sweeps
+      </div>
+      <div style={{ display: 'flex', gap: 6, overflowX: 'auto', paddingBottom: 4 }}>
+        {batches.map(b => {
+          const tone = b.status === 'complete' ? '#a78bfa' : b.status === 'error' ? '#ef6b6b' : '#E8A82B';
+          const isActive = b.id === activeId;
+          return (
+            <button
+              key={b.id}
+              onClick={() => onSelect(b.id)}
+              style={historyChipStyle(isActive, tone)}
+              title={b.status_message || b.status}
+            >
+              <div style={{ fontWeight: 600, color: isActive ? '#cde4d6' : '#aaa' }}>
+                {b.channels_swept || 0} channels · {new Date(b.created_at).toLocaleDateString()}
+              </div>
+              <div style={{ fontSize: 9, color: '#666', marginTop: 2 }}>
+                {b.status === 'complete' && <>{b.multi_channel_themes_count || 0} cross-channel themes</>}
+                {b.status === 'error' && <span style={{ color: '#ef6b6b' }}>error</span>}
+                {b.status !== 'complete' && b.status !== 'error' && b.status}
+              </div>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function BatchResults({ batch, onStatus, onMerge }) {
+  const [showSingles, setShowSingles] = useState(false);
+  if (batch.status === 'error') {
+    return <Note tone="error">Batch sweep failed: {batch.status_message || 'unknown'}</Note>;
+  }
+
+  const themes = batch.themes || [];
+  const crossChannel  = themes.filter(t => t.channel_count >= 2);
+  const singleChannel = themes.filter(t => t.channel_count < 2);
+
+  return (
+    <div style={resultsShellStyle}>
+      <div style={resultsHeaderStyle}>
+        <div>
+          <strong style={{ color: '#cde4d6', fontSize: 13 }}>All-peer sweep</strong>
+          <span style={{ fontSize: 11, color: '#666', marginLeft: 8 }}>
+            · {batch.channels_swept} of {batch.channels_targeted} channels · {batch.signals_total} signals
+            · {batch.duplicates_merged} near-duplicates merged · {themes.length} themes
+          </span>
+        </div>
+        <div style={{ fontSize: 11, color: '#666' }}>
+          {batch.theme_method === 'lexical' ? 'grouped by word overlap (embeddings unavailable)' : 'grouped by embeddings'}
+          {' · '}{new Date(batch.created_at).toLocaleString()}
+        </div>
+      </div>
+
+      {batch.channels_failed > 0 && (
+        <Note tone="warn">
+          {batch.channels_failed} channel sweep{batch.channels_failed === 1 ? '' : 's'} failed — themes are built from the rest.
+          {(batch.sweeps || []).filter(s => s.status === 'error').map(s => (
+            <div key={s.id} style={{ fontSize: 11, marginTop: 4 }}>{s.competitor_name}: {s.status_message}</div>
+          ))}
+        </Note>
+      )}
+
+      {crossChannel.length > 0 ? (
+        <div style={{ marginBottom: 10 }}>
+          <div style={{ fontSize: 11, color: '#888', marginBottom: 8, lineHeight: 1.5 }}>
+            Ranked by how many peer channels each theme shows up on. A question asked across the
+            peer set is a category-wide content gap, not one channel's audience quirk.
+          </div>
+          {crossChannel.map(t => <ThemeCard key={t.id} theme={t} onStatus={onStatus} onMerge={onMerge} />)}
+        </div>
+      ) : themes.length > 0 && (
+        <Note tone="info">
+          No theme appears on more than one channel yet. The peer audiences are asking different
+          things — review the single-channel themes below, or widen the sweep.
+        </Note>
+      )}
+
+      {singleChannel.length > 0 && (
+        <div style={groupShellStyle}>
+          <button onClick={() => setShowSingles(v => !v)} style={groupHeaderBtnStyle('#555')}>
+            {showSingles ? <ChevronDown size={13} /> : <ChevronRight size={13} />}
+            <span style={{ fontSize: 12, fontWeight: 700, color: '#888', textTransform: 'uppercase', letterSpacing: 0.5 }}>
+              Single-channel themes
+            </span>
+            <span style={{ fontSize: 11, color: '#666', flex: 1, textAlign: 'left', marginLeft: 4 }}>
+              · {singleChannel.length}
+            </span>
+          </button>
+          {showSingles && (
+            <div style={signalListStyle}>
+              {singleChannel.map(t => <ThemeCard key={t.id} theme={t} onStatus={onStatus} onMerge={onMerge} />)}
+            </div>
+          )}
+        </div>
+      )}
+
+      {themes.length === 0 && batch.signals_total === 0 && (
+        <Note tone="info">
+          0 actionable signals across {batch.channels_swept} channels. Try aspirational channels or a larger sample.
+        </Note>
+      )}
+    </div>
+  );
+}
+
+function ThemeCard({ theme, onStatus, onMerge }) {
+  const [expanded, setExpanded] = useState(false);
+  const accent = theme.signal_types?.includes('content_request') ? '#a78bfa' : '#0A919B';
+
+  return (
+    <div style={themeCardStyle(accent)}>
+      <button onClick={() => setExpanded(v => !v)} style={themeHeaderBtnStyle}>
+        {expanded ? <ChevronDown size={13} /> : <ChevronRight size={13} />}
+        <span style={{ fontSize: 11, color: '#666', fontVariantNumeric: 'tabular-nums' }}>#{theme.rank}</span>
+        <span style={{ flex: 1, minWidth: 0, textAlign: 'left' }}>
+          <span style={{ fontSize: 13, color: '#e8e2d0', fontWeight: 600 }}>{theme.label}</span>
+          <span style={{ display: 'block', fontSize: 11, color: '#888', marginTop: 3 }}>
+            <strong style={{ color: accent }}>{theme.channel_count} channel{theme.channel_count === 1 ? '' : 's'}</strong>
+            {' · '}{theme.unique_question_count} distinct comment{theme.unique_question_count === 1 ? '' : 's'}
+            {theme.signal_count > theme.unique_question_count && <> ({theme.signal_count} incl. duplicates)</>}
+            {theme.total_likes > 0 && <> · {theme.total_likes} likes</>}
+          </span>
+        </span>
+      </button>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, padding: '0 12px 8px 34px' }}>
+        {(theme.channel_names || []).map((n, i) => (
+          <span key={`${n}-${i}`} style={channelChipStyle}>{n || 'unnamed'}</span>
+        ))}
+      </div>
+      {expanded && (
+        <div style={signalListStyle}>
+          {(theme.signals || []).map(s => (
+            <SignalCard
+              key={s.id}
+              signal={s}
+              onStatus={onStatus} onMerge={onMerge}
+              accent={s.signal_type === 'content_request' ? '#a78bfa' : '#0A919B'}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 // ──────────────────────────────────────────────────
 // Sweep results — grouped by signal type
 // ──────────────────────────────────────────────────
 
-function SweepResults({ sweep, onStatus }) {
+function SweepResults({ sweep, onStatus, onMerge }) {
   const signals = sweep.signals || [];
   const questions = signals.filter(s => s.signal_type === 'question');
   const requests  = signals.filter(s => s.signal_type === 'content_request');
@@ -288,6 +632,14 @@ function SweepResults({ sweep, onStatus }) {
         </div>
       </div>
 
+      {sweep.previous_sweep_id && sweep.new_signals_count != null && (
+        <Note tone="info">
+          {sweep.trigger === 'scheduled' || sweep.repeat_signals_skipped > 0
+            ? <>{sweep.trigger === 'scheduled' ? 'Scheduled re-sweep' : 'New-only re-sweep'} — showing only the <strong>{sweep.new_signals_count}</strong> signal{sweep.new_signals_count === 1 ? '' : 's'} no earlier sweep of this channel surfaced ({sweep.repeat_signals_skipped || 0} already seen, skipped).</>
+            : <><strong>{sweep.new_signals_count}</strong> of {sweep.signals_extracted} signal{sweep.signals_extracted === 1 ? '' : 's'} are new since the last sweep of this channel; the rest were surfaced before.</>}
+        </Note>
+      )}
+
       {sweep.comments_fetched === 0 && (
         <Note tone="warn">
           No comments fetched. The channel may have comments disabled, no recent uploads, or be filtering out top-relevance results.
@@ -301,7 +653,7 @@ function SweepResults({ sweep, onStatus }) {
           icon={Megaphone}
           color="#a78bfa"
           signals={requests}
-          onStatus={onStatus}
+          onStatus={onStatus} onMerge={onMerge}
         />
       )}
 
@@ -312,7 +664,7 @@ function SweepResults({ sweep, onStatus }) {
           icon={HelpCircle}
           color="#0A919B"
           signals={questions}
-          onStatus={onStatus}
+          onStatus={onStatus} onMerge={onMerge}
         />
       )}
 
@@ -325,7 +677,7 @@ function SweepResults({ sweep, onStatus }) {
   );
 }
 
-function SignalGroup({ title, subtitle, icon: Icon, color, signals, onStatus }) {
+function SignalGroup({ title, subtitle, icon: Icon, color, signals, onStatus, onMerge }) {
   const [expanded, setExpanded] = useState(true);
 
   return (
@@ -347,7 +699,7 @@ function SignalGroup({ title, subtitle, icon: Icon, color, signals, onStatus })
           </div>
           <div style={signalListStyle}>
             {signals.map(s => (
-              <SignalCard key={s.id} signal={s} onStatus={onStatus} accent={color} />
+              <SignalCard key={s.id} signal={s} onStatus={onStatus} onMerge={onMerge} accent={color} />
             ))}
           </div>
         </>
@@ -356,16 +708,24 @@ function SignalGroup({ title, subtitle, icon: Icon, color, signals, onStatus })
   );
 }
 
-function SignalCard({ signal, onStatus, accent }) {
+function SignalCard({ signal, onStatus, onMerge, accent }) {
   const dismissed = signal.status === 'dismissed';
   const merged    = signal.status === 'merged_to_spine';
   const starred   = signal.status === 'starred';
   const reviewed  = dismissed || merged || starred;
+  const [merging, setMerging] = useState(false);
+  const mergedLabel = SPINE_MERGE_TARGETS.find(t => t.id === signal.merged_target)?.label;
 
   return (
     <div style={signalCardStyle(reviewed, accent)}>
       <div style={signalTextStyle(dismissed)}>"{signal.comment_text}"</div>
       <div style={signalMetaStyle}>
+        {signal.channel_name && (
+          <span style={channelChipStyle}>{signal.channel_name}</span>
+        )}
+        {signal.duplicate_of && (
+          <span style={{ color: '#666', fontStyle: 'italic' }}>near-duplicate ·</span>
+        )}
         <span style={{ color: '#888' }}>{signal.author || 'anonymous'}</span>
         {signal.like_count > 0 && (
           <span style={{ color: '#666' }}>· {signal.like_count} like{signal.like_count === 1 ? '' : 's'}</span>
@@ -385,20 +745,32 @@ function SignalCard({ signal, onStatus, accent }) {
         </span>
         {reviewed && (
           <span style={statusBadgeStyle(signal.status)}>
-            {merged && <><Check size={9} /> Merged to Spine inputs</>}
+            {merged && <><Check size={9} /> {mergedLabel ? `Merged → ${mergedLabel}` : 'Merged to Spine inputs'}</>}
             {starred && <><Star size={9} /> Starred</>}
             {dismissed && <>Dismissed</>}
           </span>
         )}
       </div>
-      {!reviewed && (
+      {merging ? (
+        <MergePanel
+          signal={signal}
+          onCancel={() => setMerging(false)}
+          onMerge={async (target, draft) => {
+            const r = await onMerge(signal, target, draft);
+            if (r?.ok) setMerging(false);
+            return r;
+          }}
+        />
+      ) : !dismissed && !merged && (
         <div style={signalActionsStyle}>
-          <button onClick={() => onStatus(signal.id, 'merged_to_spine')} style={actionBtnStyle('#3fa66a')}>
+          <button onClick={() => setMerging(true)} style={actionBtnStyle('#3fa66a')}>
             <Check size={11} /> Use as Spine input
           </button>
-          <button onClick={() => onStatus(signal.id, 'starred')} style={actionBtnStyle('#E8A82B')}>
-            <Star size={11} /> Star
-          </button>
+          {!starred && (
+            <button onClick={() => onStatus(signal.id, 'starred')} style={actionBtnStyle('#E8A82B')}>
+              <Star size={11} /> Star
+            </button>
+          )}
           <button onClick={() => onStatus(signal.id, 'dismissed')} style={actionBtnGhostStyle}>
             <XIcon size={11} /> Dismiss
           </button>
@@ -408,6 +780,78 @@ function SignalCard({ signal, onStatus, accent }) {
   );
 }
 
+// Where does this comment belong? Pre-fills the target record from the
+// comment; the strategist edits before anything is written.
+function MergePanel({ signal, onCancel, onMerge }) {
+  const [target, setTarget] = useState(() => defaultMergeTarget(signal));
+  const [draft, setDraft] = useState(() => buildMergeDraft(signal, defaultMergeTarget(signal)));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const pickTarget = (t) => {
+    setTarget(t);
+    setDraft(buildMergeDraft(signal, t));
+    setError(null);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    const r = await onMerge(target, draft);
+    setSaving(false);
+    if (!r?.ok) setError(r?.error || 'merge failed');
+  };
+
+  const isPersona = target === 'persona_question' || target === 'persona_pain_point';
+  const canSave = isPersona ? !!draft.text?.trim() : !!draft.title?.trim();
+
+  return (
+    <div style={mergePanelStyle}>
+      <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap', marginBottom: 8 }}>
+        {SPINE_MERGE_TARGETS.map(t => (
+          <button key={t.id} onClick={() => pickTarget(t.id)} style={mergeTargetChipStyle(t.id === target)}>
+            {t.label}
+          </button>
+        ))}
+      </div>
+      {isPersona ? (
+        <textarea
+          value={draft.text || ''}
+          onChange={e => setDraft({ ...draft, text: e.target.value })}
+          rows={2}
+          style={mergeInputStyle}
+        />
+      ) : (
+        <>
+          <input
+            value={draft.title || ''}
+            onChange={e => setDraft({ ...draft, title: e.target.value })}
+            placeholder={target === 'pillar' ? 'Pillar title' : 'Concept title'}
+            style={{ ...mergeInputStyle, marginBottom: 6 }}
+          />
+          <textarea
+            value={(target === 'pillar' ? draft.description : draft.outline) || ''}
+            onChange={e => setDraft({ ...draft, [target === 'pillar' ? 'description' : 'outline']: e.target.value })}
+            rows={3}
+            placeholder={target === 'pillar' ? 'Creative description' : 'Outline'}
+            style={mergeInputStyle}
+          />
+        </>
+      )}
+      <div style={{ fontSize: 10, color: '#666', marginTop: 6 }}>
+        The source comment is linked on the {isPersona ? 'persona evidence' : target === 'pillar' ? 'draft pillar' : 'seed'} so provenance carries into the deliverable.
+      </div>
+      {error && <div style={{ fontSize: 11, color: '#ef6b6b', marginTop: 6 }}>{error}</div>}
+      <div style={{ ...signalActionsStyle, borderTop: 'none', paddingTop: 0 }}>
+        <button onClick={onCancel} disabled={saving} style={actionBtnGhostStyle}>Cancel</button>
+        <button onClick={handleSave} disabled={saving || !canSave} style={actionBtnStyle('#3fa66a')}>
+          {saving ? <Loader size={11} style={{ animation: 'spin 1s linear infinite' }} /> : <Check size={11} />} Merge
+        </button>
+      </div>
+    </div>
+  );
+}
+
 // ──────────────────────────────────────────────────
 // Helpers
 // ──────────────────────────────────────────────────
@@ -445,6 +889,19 @@ const subtitleStyle = { fontSize: 12, color: '#888', maxWidth: 720, lineHeight:
 const runBarStyle = {
   display: 'flex', gap: 6, alignItems: 'center', marginBottom: 12, flexWrap: 'wrap',
 };
+const onlyNewLabelStyle = {
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: 4,
+  fontSize: 12,
+  color: '#aaa',
+  cursor: 'pointer',
+};
+
+const resweepBarStyle = {
+  display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap',
+  fontSize: 11, color: '#888', marginTop: -4, marginBottom: 12,
+};
 const selectStyle = {
   background: '#1a1a1f', color: '#cde4d6',
   border: '1px solid #2a2a30', borderRadius: 5,
@@ -468,6 +925,16 @@ const runBtnStyle = (busy) => ({
   cursor: busy ? 'not-allowed' : 'pointer',
   display: 'inline-flex', alignItems: 'center', gap: 6,
 });
+const batchBtnStyle = (disabled) => ({
+  background: disabled ? '#1a1a1f' : 'rgba(167,139,250,0.15)',
+  color: disabled ? '#666' : '#a78bfa',
+  border: `1px solid ${disabled ? '#2a2a30' : 'rgba(167,139,250,0.45)'}`,
+  borderRadius: 5,
+  padding: '7px 14px',
+  fontSize: 12, fontWeight: 700, letterSpacing: 0.3,
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  display: 'inline-flex', alignItems: 'center', gap: 6,
+});
 
 const historyBarStyle = {
   marginBottom: 12, padding: 10,
@@ -514,6 +981,43 @@ const groupHeaderBtnStyle = (color) => ({
   borderRadius: '6px 6px 0 0',
 });
 
+const themeCardStyle = (accent) => ({
+  background: '#1a1a1f',
+  border: '1px solid #2a2a30',
+  borderLeft: `2px solid ${accent}`,
+  borderRadius: 4,
+  marginBottom: 6,
+});
+const themeHeaderBtnStyle = {
+  background: 'transparent', border: 'none',
+  width: '100%', padding: '10px 12px',
+  display: 'flex', alignItems: 'flex-start', gap: 8,
+  cursor: 'pointer', color: '#888', fontFamily: 'inherit',
+};
+const channelChipStyle = {
+  background: '#0e0e11', color: '#aaa',
+  border: '1px solid #2a2a30', borderRadius: 3,
+  padding: '1px 6px', fontSize: 10, fontWeight: 600,
+};
+
+const mergePanelStyle = {
+  marginTop: 8, paddingTop: 8, borderTop: '1px dashed #2a2a30',
+};
+const mergeTargetChipStyle = (active) => ({
+  background: active ? 'rgba(63,166,106,0.15)' : 'transparent',
+  color: active ? '#3fa66a' : '#888',
+  border: `1px solid ${active ? 'rgba(63,166,106,0.45)' : '#2a2a30'}`,
+  borderRadius: 4, padding: '3px 8px',
+  fontSize: 10, fontWeight: 700, cursor: 'pointer',
+});
+const mergeInputStyle = {
+  width: '100%', boxSizing: 'border-box',
+  background: '#0e0e11', color: '#e8e2d0',
+  border: '1px solid #2a2a30', borderRadius: 4,
+  padding: '6px 8px', fontSize: 12, fontFamily: 'inherit',
+  resize: 'vertical',
+};
+
 const signalListStyle = {
   display: 'flex', flexDirection: 'column', gap: 6,
   padding: '4px 14px 14px',
@@ -27,7 +27,7 @@ const FORMAT_COLORS = {
   either:    '#888',
 };
 
-export default function ConceptSeedsSection({ clientId, hasPersona, onNavigate }) {
+export default function ConceptSeedsSection({ clientId, hasPersona, onNavigate, refreshKey = 0 }) {
   const [seeds, setSeeds] = useState([]);
   const [loading, setLoading] = useState(true);
   const [generating, setGenerating] = useState(false);
@@ -48,7 +48,7 @@ export default function ConceptSeedsSection({ clientId, hasPersona, onNavigate }
       }
     })();
     return () => { cancelled = true; };
-  }, [clientId]);
+  }, [clientId, refreshKey]);
 
   const handleGenerate = async () => {
     setGenerating(true);
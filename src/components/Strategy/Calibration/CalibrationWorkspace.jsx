@@ -7,11 +7,17 @@
  * computes calibration — per-dimension confusion matrices + accuracy
  * + high-traffic mismatches.
  *
- * Phase A baseline strategy: percentile_rank (view-rank quartile inside
- * the channel). Future Phase B will add pluggable pipeline strategies
- * (consultations, demos, donations) for clients with outcome data — the
- * UI's strategy picker already accepts the parameter so adding strategies
- * is a service + option change, not a UI rewrite.
+ * Baseline strategy picker reads calibrationService's registry:
+ * percentile_rank (view-rank quartile, the default), watch-time-per-view,
+ * subscriber-gain-per-view, and client_outcomes (consultations, demos,
+ * donations uploaded by CSV into client_outcomes, migration 108). Two
+ * saved runs on the same audit can be compared side by side — same
+ * predictions, different definitions of "actually outperformed".
+ *
+ * Re-weighting (migration 109): fits per-format composite weights from
+ * the saved runs' confusion matrices (compositeWeightsService), shows
+ * composite accuracy before vs after on the loaded run's audit, and
+ * saves the result as the client's active profile for Pre-flight.
  *
  * Mental model:
  *   Pre-flight         → "should we make this concept?"
@@ -26,10 +32,19 @@
 
 import React, { useEffect, useState, useMemo } from 'react';
 import { supabase } from '../../../services/supabaseClient.js';
-import { computeCalibration, CALIBRATION_TIERS, CALIBRATION_DIMENSION_KEYS } from '../../../services/calibrationService.js';
+import {
+  computeCalibration, listBaselineStrategies, CALIBRATION_TIERS, CALIBRATION_DIMENSION_KEYS,
+} from '../../../services/calibrationService.js';
 import {
   saveCalibrationRun, listCalibrationRunsForClient, loadCalibrationRun, archiveCalibrationRun,
 } from '../../../services/calibrationRunsService.js';
+import {
+  loadVideoOutcomeMetrics, listOutcomeTypes, loadOutcomesMap, parseOutcomesCsv, uploadOutcomes,
+} from '../../../services/clientOutcomesService.js';
+import { fitFormatWeights, evaluateWeightProfile } from '../../../services/compositeWeightsService.js';
+import {
+  saveWeightProfile, loadActiveWeightProfile, activateWeightProfile,
+} from '../../../services/compositeWeightProfilesService.js';
 import DataFreshnessBadge from '../shared/DataFreshnessBadge.jsx';
 import PrelaunchBadge from '../shared/PrelaunchBadge.jsx';
 import NextStepCard from '../shared/NextStepCard.jsx';
@@ -52,8 +67,15 @@ const DIMENSION_LABELS = {
   length:          'Length',
   topic_authority: 'Topic authority',
 };
+const BASELINE_STRATEGIES = listBaselineStrategies();
+const STRATEGY_LOOKUP = Object.fromEntries(BASELINE_STRATEGIES.map(s => [s.id, s]));
+
+function strategyLabel(run) {
+  const label = STRATEGY_LOOKUP[run?.baseline_strategy]?.label || run?.baseline_strategy || 'unknown';
+  return run?.baseline_outcome_type ? `${label} (${run.baseline_outcome_type})` : label;
+}
 
-export default function CalibrationWorkspace({ activeClient, onNavigate }) {
+export default function CalibrationWorkspace({ activeClient, onNavigate, onClientUpgraded }) {
   const clientId = activeClient?.id;
 
   const [bootLoading, setBootLoading]       = useState(true);
@@ -72,6 +94,13 @@ export default function CalibrationWorkspace({ activeClient, onNavigate }) {
   // when the loaded run has per_format_metrics; otherwise UI falls back
   // to pooled-only.
   const [viewMode, setViewMode]             = useState('pooled');
+  // Phase B — baseline strategy + (for client_outcomes) which uploaded
+  // outcome type to rank on.
+  const [baselineStrategy, setBaselineStrategy] = useState('percentile_rank');
+  const [outcomeTypes, setOutcomeTypes]     = useState([]);
+  const [outcomeType, setOutcomeType]       = useState('');
+  // Side-by-side comparison — a second saved run on the same audit.
+  const [compareRun, setCompareRun]         = useState(null);
 
   // Bootstrap — hooks before any early return.
   useEffect(() => {
@@ -81,14 +110,17 @@ export default function CalibrationWorkspace({ activeClient, onNavigate }) {
       setBootLoading(true);
       setBootError(null);
       try {
-        const [auditList, runList] = await Promise.all([
+        const [auditList, runList, typeList] = await Promise.all([
           listRepositioningAuditsLight(clientId),
           listCalibrationRunsForClient(clientId, { limit: 10 }),
+          listOutcomeTypes(clientId),
         ]);
         if (cancelled) return;
         setAudits(auditList);
         if (auditList.length && !selectedAuditId) setSelectedAuditId(auditList[0].id);
         setRunsList(runList?.runs || []);
+        setOutcomeTypes(typeList?.types || []);
+        if (typeList?.types?.length) setOutcomeType(typeList.types[0].outcome_type);
       } catch (err) {
         if (!cancelled) setBootError(err?.message || 'unknown error during bootstrap');
       } finally {
@@ -117,21 +149,23 @@ export default function CalibrationWorkspace({ activeClient, onNavigate }) {
     setRunError(null);
     try {
       // Load the full audit (video_scores can be large; only fetch on demand).
-      const { data: audit, error } = await supabase
-        .from('client_repositioning_audits')
-        .select('id, video_scores, created_at, format_filter, videos_scored')
-        .eq('id', selectedAuditId)
-        .single();
-      if (error) { setRunError(`Audit load failed: ${error.message}`); return; }
+      const { audit, error } = await loadAuditWithScores(selectedAuditId);
+      if (error) { setRunError(`Audit load failed: ${error}`); return; }
       if (!audit?.video_scores?.length) { setRunError('Selected audit has no video_scores'); return; }
 
-      const result = computeCalibration({ audit, baselineStrategy: 'percentile_rank', splitByFormat });
+      const baselineContext = await loadBaselineContext({
+        clientId, audit, strategyId: baselineStrategy, outcomeType,
+      });
+      if (baselineContext.error) { setRunError(baselineContext.error); return; }
+
+      const result = computeCalibration({ audit, baselineStrategy, baselineContext, splitByFormat });
       if (result.error) { setRunError(result.error); return; }
 
       const saved = await saveCalibrationRun({
         clientId,
         sourceAuditId:              audit.id,
         baselineStrategy:           result.baselineStrategy,
+        baselineOutcomeType:        result.baselineOutcomeType,
         videosCalibrated:           result.videosCalibrated,
         compositeAccuracy:          result.compositeAccuracy,
         compositeAdjacentAccuracy:  result.compositeAdjacentAccuracy,
@@ -149,6 +183,7 @@ export default function CalibrationWorkspace({ activeClient, onNavigate }) {
         source_audit_id:            audit.id,
         created_at:                 saved?.createdAt || new Date().toISOString(),
         baseline_strategy:          result.baselineStrategy,
+        baseline_outcome_type:      result.baselineOutcomeType,
         videos_calibrated:          result.videosCalibrated,
         composite_accuracy:         result.compositeAccuracy,
         composite_adjacent_accuracy:result.compositeAdjacentAccuracy,
@@ -159,6 +194,7 @@ export default function CalibrationWorkspace({ activeClient, onNavigate }) {
         format_split_enabled:       result.formatSplitEnabled,
       });
       setViewMode('pooled');
+      setCompareRun(null);
     } catch (err) {
       setRunError(err?.message || 'unknown error');
     } finally {
@@ -168,7 +204,22 @@ export default function CalibrationWorkspace({ activeClient, onNavigate }) {
 
   const handleLoadRun = async (runId) => {
     const res = await loadCalibrationRun(runId);
-    if (res.ok) setSelectedRun(res.run);
+    if (res.ok) {
+      setSelectedRun(res.run);
+      if (compareRun && compareRun.source_audit_id !== res.run.source_audit_id) setCompareRun(null);
+    }
+  };
+
+  const handleCompareRun = async (runId) => {
+    if (compareRun?.id === runId) { setCompareRun(null); return; }
+    const res = await loadCalibrationRun(runId);
+    if (res.ok) setCompareRun(res.run);
+  };
+
+  const handleOutcomesUploaded = async () => {
+    const res = await listOutcomeTypes(clientId);
+    setOutcomeTypes(res?.types || []);
+    if (!outcomeType && res?.types?.length) setOutcomeType(res.types[0].outcome_type);
   };
 
   const handleArchiveRun = async (runId) => {
@@ -177,6 +228,7 @@ export default function CalibrationWorkspace({ activeClient, onNavigate }) {
     const list = await listCalibrationRunsForClient(clientId, { limit: 10 });
     setRunsList(list?.runs || []);
     if (selectedRun?.id === runId) setSelectedRun(null);
+    if (compareRun?.id === runId) setCompareRun(null);
   };
 
   return (
@@ -186,15 +238,16 @@ export default function CalibrationWorkspace({ activeClient, onNavigate }) {
         <h1 style={titleStyle}>
           {activeClient.name}
           <span style={{ marginLeft: 12, display: 'inline-block', verticalAlign: 'middle' }}>
-            <PrelaunchBadge client={activeClient} />
+            <PrelaunchBadge client={activeClient} onUpgraded={onClientUpgraded} />
           </span>
         </h1>
         <div style={subtitleStyle}>
           Closes the prediction-machine feedback loop. Compares the scorer's predicted tiers
           against actual outcomes for every video in a repositioning audit. Surfaces which
           dimensions to trust most for this channel and where the scorer is systematically
-          off. Phase A uses view-rank quartile inside the channel as the actual-tier baseline;
-          Phase B will add pipeline strategies for clients with outcome data.
+          off. The actual-tier baseline defaults to view-rank quartile inside the channel; B2B
+          and nonprofit clients can rank on watch depth, subscriber conversion, or their own
+          uploaded outcomes instead.
         </div>
         <div style={{ marginTop: 10 }}>
           <DataFreshnessBadge clientId={clientId} />
@@ -221,14 +274,25 @@ export default function CalibrationWorkspace({ activeClient, onNavigate }) {
             onRun={handleRun}
             splitByFormat={splitByFormat}
             onSplitByFormatChange={setSplitByFormat}
+            baselineStrategy={baselineStrategy}
+            onBaselineStrategyChange={setBaselineStrategy}
+            outcomeTypes={outcomeTypes}
+            outcomeType={outcomeType}
+            onOutcomeTypeChange={setOutcomeType}
           />
+          {baselineStrategy === 'client_outcomes' && (
+            <OutcomesUploadPanel clientId={clientId} onUploaded={handleOutcomesUploaded} />
+          )}
           {runError && <Note tone="error">{runError}</Note>}
 
           <SavedRunsList
             runs={runsList}
             audits={audits}
             selectedId={selectedRun?.id}
+            selectedRun={selectedRun}
+            compareId={compareRun?.id}
             onLoad={handleLoadRun}
+            onCompare={handleCompareRun}
             onArchive={handleArchiveRun}
           />
 
@@ -240,6 +304,18 @@ export default function CalibrationWorkspace({ activeClient, onNavigate }) {
                 viewMode={viewMode}
                 onViewModeChange={setViewMode}
               />
+              {compareRun && (
+                <StrategyComparison
+                  runA={selectedRun}
+                  runB={compareRun}
+                  onClose={() => setCompareRun(null)}
+                />
+              )}
+              <ReweightPanel
+                clientId={clientId}
+                run={selectedRun}
+                runs={runsList}
+              />
               <NextStepCard
                 setTab={onNavigate}
                 nextTab="weekly-brief"
@@ -274,11 +350,52 @@ async function listRepositioningAuditsLight(clientId) {
   return data || [];
 }
 
+async function loadAuditWithScores(auditId) {
+  if (!supabase) return { audit: null, error: 'supabase not configured' };
+  const { data, error } = await supabase
+    .from('client_repositioning_audits')
+    .select('id, video_scores, created_at, format_filter, videos_scored')
+    .eq('id', auditId)
+    .single();
+  if (error) return { audit: null, error: error.message };
+  return { audit: data, error: null };
+}
+
+// Load whatever the chosen strategy `requires` beyond the audit's
+// video_scores. Returns the baselineContext for computeCalibration, or
+// { error } when the data isn't there.
+async function loadBaselineContext({ clientId, audit, strategyId, outcomeType }) {
+  const strategy = STRATEGY_LOOKUP[strategyId];
+  if (!strategy?.requires) return {};
+
+  if (strategy.requires === 'videoMetrics') {
+    const res = await loadVideoOutcomeMetrics({
+      clientId,
+      youtubeVideoIds: audit.video_scores.map(v => v.youtube_video_id).filter(Boolean),
+    });
+    if (!res.ok) return { error: `Video metrics load failed: ${res.error}` };
+    return { videoMetrics: res.videoMetrics };
+  }
+
+  if (strategy.requires === 'outcomes') {
+    if (!outcomeType) return { error: 'Upload an outcomes CSV and pick an outcome type first' };
+    const res = await loadOutcomesMap({ clientId, outcomeType });
+    if (!res.ok) return { error: `Outcomes load failed: ${res.error}` };
+    return { outcomes: res.outcomes, outcomeType };
+  }
+
+  return {};
+}
+
 // ──────────────────────────────────────────────────
 // Run bar
 // ──────────────────────────────────────────────────
 
-function RunBar({ audits, selectedAuditId, onAuditChange, running, onRun, splitByFormat, onSplitByFormatChange }) {
+function RunBar({
+  audits, selectedAuditId, onAuditChange, running, onRun, splitByFormat, onSplitByFormatChange,
+  baselineStrategy, onBaselineStrategyChange, outcomeTypes, outcomeType, onOutcomeTypeChange,
+}) {
+  const strategy = STRATEGY_LOOKUP[baselineStrategy];
   return (
     <div style={runBarStyle}>
       <div style={{ flex: 1 }}>
@@ -296,11 +413,37 @@ function RunBar({ audits, selectedAuditId, onAuditChange, running, onRun, splitB
             </option>
           ))}
         </select>
+        <div style={{ ...kickerSmallStyle, marginTop: 12 }}>Baseline strategy</div>
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+          <select
+            value={baselineStrategy}
+            onChange={e => onBaselineStrategyChange(e.target.value)}
+            disabled={running}
+            style={{ ...selectStyle, minWidth: 260 }}
+          >
+            {BASELINE_STRATEGIES.map(s => (
+              <option key={s.id} value={s.id}>{s.label}</option>
+            ))}
+          </select>
+          {baselineStrategy === 'client_outcomes' && (
+            <select
+              value={outcomeType}
+              onChange={e => onOutcomeTypeChange(e.target.value)}
+              disabled={running || !outcomeTypes.length}
+              style={selectStyle}
+            >
+              {!outcomeTypes.length && <option value="">no outcomes uploaded yet</option>}
+              {outcomeTypes.map(t => (
+                <option key={t.outcome_type} value={t.outcome_type}>
+                  {t.outcome_type} · {t.n} videos
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
         <div style={{ fontSize: 11, color: '#666', marginTop: 6 }}>
-          Baseline strategy: <strong style={{ color: '#cde4d6' }}>view-rank quartile</strong>{' '}
-          (top 25% of the audit's videos by views = "very_likely_outperform" actual;
-          bottom 25% = "predicted_under" actual). Phase B will add pipeline strategies for
-          clients with outcome data.
+          {strategy?.description}
+          {strategy?.requires && ' Videos without data for this metric are left out of the ranking.'}
         </div>
         <label style={{ display: 'inline-flex', alignItems: 'center', gap: 6, marginTop: 10, cursor: 'pointer' }}>
           <input
@@ -328,7 +471,7 @@ function RunBar({ audits, selectedAuditId, onAuditChange, running, onRun, splitB
 // Saved runs list
 // ──────────────────────────────────────────────────
 
-function SavedRunsList({ runs, audits, selectedId, onLoad, onArchive }) {
+function SavedRunsList({ runs, audits, selectedId, selectedRun, compareId, onLoad, onCompare, onArchive }) {
   if (!runs?.length) return null;
   const auditLookup = useMemo(() => {
     const m = {};
@@ -347,6 +490,7 @@ function SavedRunsList({ runs, audits, selectedId, onLoad, onArchive }) {
                 {new Date(r.created_at).toLocaleString()}
                 <span style={listRowMetaStyle}>
                   {' · '}{r.videos_calibrated} videos
+                  {' · '}{strategyLabel(r)}
                   {r.composite_accuracy != null && ` · composite ${(r.composite_accuracy * 100).toFixed(0)}% exact / ${(r.composite_adjacent_accuracy * 100).toFixed(0)}% ±1`}
                   {auditLookup[r.source_audit_id] && ` · audit ${new Date(auditLookup[r.source_audit_id].created_at).toLocaleDateString()}`}
                   {r.format_split_enabled && (
@@ -358,6 +502,15 @@ function SavedRunsList({ runs, audits, selectedId, onLoad, onArchive }) {
               </div>
             </div>
             <button onClick={() => onLoad(r.id)} style={smallBtnStyle}>load</button>
+            {selectedRun && r.id !== selectedId && r.source_audit_id === selectedRun.source_audit_id && (
+              <button
+                onClick={() => onCompare(r.id)}
+                style={r.id === compareId ? { ...smallBtnStyle, color: '#0A919B', borderColor: 'rgba(10,145,155,0.55)' } : smallBtnStyle}
+                title="Compare side by side with the loaded run (same source audit)"
+              >
+                {r.id === compareId ? 'comparing' : 'compare'}
+              </button>
+            )}
             <button onClick={() => onArchive(r.id)} style={smallBtnStyle}>archive</button>
           </div>
         ))}
@@ -431,7 +584,7 @@ function CalibrationDetail({ run, audits, viewMode = 'pooled', onViewModeChange
             Calibration · {new Date(run.created_at).toLocaleString()}
           </div>
           <div style={detailMetaStyle}>
-            {run.videos_calibrated} videos pooled · baseline: {run.baseline_strategy}
+            {run.videos_calibrated} videos pooled · baseline: {strategyLabel(run)}
             {sourceAudit && ` · source audit ${new Date(sourceAudit.created_at).toLocaleDateString()} (${sourceAudit.videos_scored} videos${sourceAudit.format_filter ? `, ${sourceAudit.format_filter}` : ''})`}
           </div>
           {run.per_format_metrics && (
@@ -653,7 +806,7 @@ function MismatchedVideosList({ videos }) {
     <div style={{ marginTop: 18 }}>
       <div style={kickerSmallStyle}>Highest-traffic mismatches</div>
       <div style={{ fontSize: 11, color: '#777', marginBottom: 6 }}>
-        Videos where the composite predicted tier disagreed with the observed view-rank quartile. Sorted by view count desc — these are the calibration cases worth understanding. A "predicted_under" that actually performed top-quartile is teaching the scorer something.
+        Videos where the composite predicted tier disagreed with the observed baseline quartile. Sorted by view count desc — these are the calibration cases worth understanding. A "predicted_under" that actually performed top-quartile is teaching the scorer something.
       </div>
       <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
         {videos.map((v, i) => (
@@ -698,6 +851,389 @@ function MismatchRow({ v }) {
   );
 }
 
+// ──────────────────────────────────────────────────
+// Strategy comparison — two runs, same audit, side by side
+// ──────────────────────────────────────────────────
+
+function StrategyComparison({ runA, runB, onClose }) {
+  // Pooled metrics only — per-format blocks may be missing on either
+  // run, and the question here is "does the baseline change the story",
+  // which the pooled view answers.
+  const dims = CALIBRATION_DIMENSION_KEYS.filter(
+    d => runA.per_dimension_metrics?.[d]?.n > 0 || runB.per_dimension_metrics?.[d]?.n > 0
+  );
+  return (
+    <div style={detailShellStyle}>
+      <div style={detailHeaderStyle}>
+        <div>
+          <div style={kickerStyle}>Baseline comparison · same source audit</div>
+          <div style={detailMetaStyle}>
+            Same predictions, two definitions of "actually outperformed". Where the matrices
+            diverge, the scorer is tracking one outcome and not the other.
+          </div>
+        </div>
+        <button onClick={onClose} style={smallBtnStyle}>close</button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16 }}>
+        {[runA, runB].map(run => (
+          <div key={run.id}>
+            <div style={{ fontSize: 13, fontWeight: 700, color: '#e8e2d0' }}>{strategyLabel(run)}</div>
+            <div style={{ fontSize: 11, color: '#888', marginBottom: 6 }}>
+              {new Date(run.created_at).toLocaleString()} · n={run.videos_calibrated}
+              {run.composite_accuracy != null && ` · ${(run.composite_accuracy * 100).toFixed(0)}% exact / ${(run.composite_adjacent_accuracy * 100).toFixed(0)}% ±1`}
+            </div>
+            {run.composite_metrics?.n > 0
+              ? <ConfusionMatrix confusion={run.composite_metrics.confusion} n={run.composite_metrics.n} />
+              : <div style={{ fontSize: 12, color: '#777' }}>No composite metrics on this run.</div>}
+          </div>
+        ))}
+      </div>
+
+      {dims.length > 0 && (
+        <table style={{ ...confusionTableStyle, marginTop: 16 }}>
+          <thead>
+            <tr>
+              <th style={confusionCornerStyle}>dimension · exact / ±1</th>
+              <th style={confusionCornerStyle}>{strategyLabel(runA)}</th>
+              <th style={confusionCornerStyle}>{strategyLabel(runB)}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {dims.map(d => (
+              <tr key={d}>
+                <td style={{ fontSize: 12, color: '#cde4d6', padding: '6px 8px' }}>{DIMENSION_LABELS[d] || d}</td>
+                {[runA, runB].map(run => {
+                  const m = run.per_dimension_metrics?.[d];
+                  return (
+                    <td key={run.id} style={{ fontSize: 12, color: '#aaa', padding: '6px 8px' }}>
+                      {m?.n > 0
+                        ? `${(m.accuracy * 100).toFixed(0)}% / ${(m.adjacent_accuracy * 100).toFixed(0)}% (n=${m.n})`
+                        : '—'}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// ──────────────────────────────────────────────────
+// Per-format re-weighting — fit, evaluate on this run's audit, save
+// ──────────────────────────────────────────────────
+
+function ReweightPanel({ clientId, run, runs }) {
+  const [activeProfile, setActiveProfile] = useState(null);
+  const [fit, setFit]                     = useState(null);
+  const [evaluation, setEvaluation]       = useState(null);
+  const [busy, setBusy]                   = useState(null);   // 'fit' | 'eval' | 'save' | null
+  const [error, setError]                 = useState(null);
+  const [savedId, setSavedId]             = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadActiveWeightProfile(clientId).then(p => { if (!cancelled) setActiveProfile(p); });
+    return () => { cancelled = true; };
+  }, [clientId]);
+
+  // A new run means a new audit to evaluate against.
+  useEffect(() => { setEvaluation(null); setSavedId(null); }, [run?.id]);
+
+  const evaluate = async (weights) => {
+    const { audit, error: auditErr } = await loadAuditWithScores(run.source_audit_id);
+    if (auditErr) return { error: `Audit load failed: ${auditErr}` };
+    const baselineContext = await loadBaselineContext({
+      clientId, audit, strategyId: run.baseline_strategy, outcomeType: run.baseline_outcome_type,
+    });
+    if (baselineContext.error) return { error: baselineContext.error };
+    return evaluateWeightProfile({ audit, weights, baselineStrategy: run.baseline_strategy, baselineContext });
+  };
+
+  const handleFit = async () => {
+    setBusy('fit');
+    setError(null);
+    setSavedId(null);
+    try {
+      const loaded = await Promise.all((runs || []).map(r => loadCalibrationRun(r.id)));
+      const fitted = fitFormatWeights({ runs: loaded.filter(r => r.ok).map(r => r.run) });
+      if (fitted.error) { setError(fitted.error); return; }
+      setFit(fitted);
+      setBusy('eval');
+      const ev = await evaluate(fitted.weights);
+      if (ev.error) { setError(ev.error); return; }
+      setEvaluation({ ...ev, weights: fitted.weights, inSample: fitted.sourceRunIds.includes(run.id) });
+    } catch (err) {
+      setError(err?.message || 'unknown error');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleEvaluateActive = async () => {
+    if (!activeProfile) return;
+    setBusy('eval');
+    setError(null);
+    try {
+      const ev = await evaluate(activeProfile.weights);
+      if (ev.error) { setError(ev.error); return; }
+      setFit(null);
+      setEvaluation({ ...ev, weights: activeProfile.weights, inSample: false, profileId: activeProfile.id });
+    } catch (err) {
+      setError(err?.message || 'unknown error');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!fit) return;
+    setBusy('save');
+    setError(null);
+    try {
+      const res = await saveWeightProfile({
+        clientId,
+        fitMethod:    fit.fitMethod,
+        weights:      fit.weights,
+        fitStats:     fit.fitStats,
+        sourceRunIds: fit.sourceRunIds,
+        evaluation:   evaluation && {
+          audit_id:          run.source_audit_id,
+          baseline_strategy: run.baseline_strategy,
+          before:            evaluation.before,
+          after:             evaluation.after,
+        },
+        activate: true,
+      });
+      if (!res.ok) { setError(`Save failed: ${res.error}`); return; }
+      setSavedId(res.id);
+      setActiveProfile(await loadActiveWeightProfile(clientId));
+    } catch (err) {
+      setError(err?.message || 'unknown error');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleDeactivate = async () => {
+    if (!window.confirm('Go back to the default counting rules for new Pre-flight scorecards?')) return;
+    const res = await activateWeightProfile({ clientId, profileId: null });
+    if (res.ok) setActiveProfile(null);
+    else setError(res.error);
+  };
+
+  return (
+    <div style={detailShellStyle}>
+      <div style={detailHeaderStyle}>
+        <div>
+          <div style={kickerStyle}>Per-format composite re-weighting</div>
+          <div style={{ ...detailMetaStyle, maxWidth: 720, lineHeight: 1.5 }}>
+            Learns per-format dimension weights from the confusion matrices of the saved
+            format-split runs — a dimension whose misses scatter in both directions gets
+            down-weighted for that format. Accuracy below is measured on this run's audit
+            and baseline.
+          </div>
+          <div style={{ fontSize: 11, color: '#888', marginTop: 6 }}>
+            Pre-flight currently uses:{' '}
+            <strong style={{ color: '#cde4d6' }}>
+              {activeProfile ? `weight profile from ${new Date(activeProfile.created_at).toLocaleDateString()}` : 'default counting rules'}
+            </strong>
+            {activeProfile && (
+              <>
+                {' · '}<button onClick={handleEvaluateActive} disabled={!!busy} style={smallBtnStyle}>evaluate on this audit</button>
+                {' '}<button onClick={handleDeactivate} disabled={!!busy} style={smallBtnStyle}>revert to counting rules</button>
+              </>
+            )}
+          </div>
+        </div>
+        <button onClick={handleFit} disabled={!!busy || !runs?.length} style={runBtnStyle(!!busy)}>
+          {busy === 'fit' ? 'Fitting…' : busy === 'eval' ? 'Evaluating…' : `Fit from ${runs?.length || 0} saved runs`}
+        </button>
+      </div>
+
+      {error && <Note tone="error">{error}</Note>}
+
+      {fit && <WeightsTable fit={fit} />}
+      {fit?.skippedRunIds?.length > 0 && (
+        <div style={{ fontSize: 11, color: '#777', marginTop: 6 }}>
+          Skipped {fit.skippedRunIds.length} run(s) without per-format metrics.
+        </div>
+      )}
+
+      {evaluation && <BeforeAfterTable evaluation={evaluation} />}
+
+      {fit && evaluation && (
+        <div style={{ display: 'flex', gap: 10, alignItems: 'center', marginTop: 14 }}>
+          <button onClick={handleSave} disabled={!!busy || !!savedId} style={runBtnStyle(!!busy || !!savedId)}>
+            {busy === 'save' ? 'Saving…' : savedId ? 'Saved · active' : 'Save as active profile'}
+          </button>
+          <span style={{ fontSize: 11, color: '#666' }}>
+            New Pre-flight scorecards will compose with these weights and record the profile id.
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function WeightsTable({ fit }) {
+  return (
+    <table style={{ ...confusionTableStyle, marginTop: 6 }}>
+      <thead>
+        <tr>
+          <th style={confusionCornerStyle}>dimension</th>
+          <th style={confusionCornerStyle}>Shorts weight · γ · n</th>
+          <th style={confusionCornerStyle}>Long-form weight · γ · n</th>
+        </tr>
+      </thead>
+      <tbody>
+        {CALIBRATION_DIMENSION_KEYS.map(d => (
+          <tr key={d}>
+            <td style={{ fontSize: 12, color: '#cde4d6', padding: '6px 8px' }}>{DIMENSION_LABELS[d] || d}</td>
+            {['shorts', 'long_form'].map(f => {
+              const w = fit.weights[f]?.[d];
+              const st = fit.fitStats[f]?.[d];
+              return (
+                <td key={f} style={{ fontSize: 12, color: st?.fitted ? '#e8e2d0' : '#666', padding: '6px 8px' }}>
+                  ×{w != null ? w.toFixed(2) : '1.00'}
+                  <span style={{ color: '#666' }}>
+                    {st?.fitted ? ` · γ ${st.gamma.toFixed(2)} · n=${st.n}` : ` · unfitted (n=${st?.n || 0})`}
+                  </span>
+                </td>
+              );
+            })}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function BeforeAfterTable({ evaluation }) {
+  const rows = [
+    { key: 'pooled',    label: 'Pooled' },
+    { key: 'shorts',    label: 'Shorts' },
+    { key: 'long_form', label: 'Long-form' },
+  ];
+  const pct = (v) => (v == null ? '—' : `${Math.round(v * 100)}%`);
+  return (
+    <div style={{ marginTop: 14 }}>
+      <div style={kickerSmallStyle}>Composite accuracy on this audit · before → after</div>
+      <table style={confusionTableStyle}>
+        <thead>
+          <tr>
+            <th style={confusionCornerStyle}>pool</th>
+            <th style={confusionCornerStyle}>counting rules (exact / ±1)</th>
+            <th style={confusionCornerStyle}>weighted (exact / ±1)</th>
+            <th style={confusionCornerStyle}>Δ exact</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(r => {
+            const b = evaluation.before[r.key];
+            const a = evaluation.after[r.key];
+            const delta = b?.accuracy != null && a?.accuracy != null ? Math.round((a.accuracy - b.accuracy) * 100) : null;
+            return (
+              <tr key={r.key}>
+                <td style={{ fontSize: 12, color: '#cde4d6', padding: '6px 8px' }}>{r.label}{b?.n ? ` (n=${b.n})` : ''}</td>
+                <td style={{ fontSize: 12, color: '#aaa', padding: '6px 8px' }}>{b ? `${pct(b.accuracy)} / ${pct(b.adjacent_accuracy)}` : 'insufficient data'}</td>
+                <td style={{ fontSize: 12, color: '#e8e2d0', padding: '6px 8px' }}>{a ? `${pct(a.accuracy)} / ${pct(a.adjacent_accuracy)}` : 'insufficient data'}</td>
+                <td style={{ fontSize: 12, fontWeight: 700, padding: '6px 8px', color: delta == null ? '#666' : delta > 0 ? '#3fa66a' : delta < 0 ? '#cf6b6b' : '#888' }}>
+                  {delta == null ? '—' : `${delta > 0 ? '+' : ''}${delta} pts`}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {evaluation.inSample && (
+        <div style={{ fontSize: 11, color: '#E8A82B', marginTop: 6 }}>
+          In-sample: this run was one of the fit's sources, so the "after" number is optimistic.
+          Confirm on a fresh audit before trusting the gain.
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ──────────────────────────────────────────────────
+// Outcomes CSV upload (client_outcomes strategy)
+// ──────────────────────────────────────────────────
+
+function OutcomesUploadPanel({ clientId, onUploaded }) {
+  const [defaultType, setDefaultType] = useState('');
+  const [uploading, setUploading]     = useState(false);
+  const [result, setResult]           = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setUploading(true);
+    setResult(null);
+    try {
+      const text = await file.text();
+      const { rows, errors } = parseOutcomesCsv(text, { defaultOutcomeType: defaultType || null });
+      if (!rows.length) {
+        setResult({ tone: 'error', message: errors[0] || 'No usable rows in CSV', errors });
+        return;
+      }
+      const res = await uploadOutcomes({ clientId, rows });
+      if (!res.ok) {
+        setResult({ tone: 'error', message: `Upload failed: ${res.error}`, errors });
+        return;
+      }
+      setResult({
+        tone: errors.length ? 'warn' : 'info',
+        message: `Uploaded ${res.uploaded} outcome rows${errors.length ? ` · skipped ${errors.length}` : ''}.`,
+        errors,
+      });
+      onUploaded?.();
+    } catch (err) {
+      setResult({ tone: 'error', message: err?.message || 'unknown error', errors: [] });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <div style={{ ...runBarStyle, display: 'block' }}>
+      <div style={kickerSmallStyle}>Client outcomes · CSV upload</div>
+      <div style={{ fontSize: 11, color: '#666', marginBottom: 8, lineHeight: 1.5 }}>
+        One row per video: <code>youtube_video_id</code> (or URL), <code>outcome_type</code>, <code>value</code>.
+        No outcome_type column? Enter one below and every row gets it. Re-uploading a video + type overwrites the old value.
+      </div>
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+        <input
+          type="text"
+          value={defaultType}
+          onChange={e => setDefaultType(e.target.value)}
+          placeholder="outcome type (e.g. consultation_bookings)"
+          disabled={uploading}
+          style={{ ...selectStyle, cursor: 'text', minWidth: 280 }}
+        />
+        <label style={{ ...smallBtnStyle, opacity: uploading ? 0.5 : 1 }}>
+          {uploading ? 'Uploading…' : 'Choose CSV'}
+          <input type="file" accept=".csv,text/csv" onChange={handleFile} disabled={uploading} style={{ display: 'none' }} />
+        </label>
+      </div>
+      {result && (
+        <Note tone={result.tone}>
+          {result.message}
+          {result.errors?.length > 0 && (
+            <div style={{ fontSize: 11, marginTop: 4, opacity: 0.8 }}>
+              {result.errors.slice(0, 5).join(' · ')}{result.errors.length > 5 ? ` · +${result.errors.length - 5} more` : ''}
+            </div>
+          )}
+        </Note>
+      )}
+    </div>
+  );
+}
+
 // ──────────────────────────────────────────────────
 // Helpers
 // ──────────────────────────────────────────────────
@@ -21,6 +21,14 @@
  * full discovery/recommender (and Spine extension fields) become the
  * obvious next builds. If not, we'll have learned the theory was wrong
  * and saved ourselves heavier infrastructure.
+ *
+ * Calibration suggestions: the latest calibration run's high-traffic
+ * mismatches are attributed back to the peer channels that drove the
+ * title-pattern / topic / topic-authority lifts
+ * (cohortMismatchAttributionService). Channels behind a large share get
+ * a one-click re-tag; accepting it writes the role with a provenance
+ * note and offers the audit → calibration re-run that measures whether
+ * the re-tag helped.
  */
 
 import React, { useEffect, useState, useMemo } from 'react';
@@ -28,6 +36,7 @@ import {
   loadCohortWithRoles, updateCohortRole, getCohortComposition,
   COHORT_ROLES,
 } from '../../../services/cohortRolesService.js';
+import { loadCohortRetagSuggestions } from '../../../services/cohortMismatchAttributionService.js';
 import DataFreshnessBadge from '../shared/DataFreshnessBadge.jsx';
 import PrelaunchBadge from '../shared/PrelaunchBadge.jsx';
 import NextStepCard from '../shared/NextStepCard.jsx';
@@ -50,7 +59,7 @@ const ROLE_DESCRIPTIONS = {
   reference:    'Case-study channel kept for context. Not scored against, not monitored heavily — useful for cross-vertical observation.',
 };
 
-export default function CohortRolesWorkspace({ activeClient, onNavigate }) {
+export default function CohortRolesWorkspace({ activeClient, onNavigate, onClientUpgraded }) {
   const clientId = activeClient?.id;
 
   const [bootLoading, setBootLoading]   = useState(true);
@@ -60,6 +69,9 @@ export default function CohortRolesWorkspace({ activeClient, onNavigate }) {
   const [pendingUpdates, setPending]    = useState({});  // channelId → 'updating' | 'error'
   const [filter, setFilter]             = useState('all'); // 'all' | role
   const [sortBy, setSortBy]             = useState('subs_desc');
+  const [suggestState, setSuggestState] = useState({ loading: false, error: null, run: null, attribution: null, suggestions: [] });
+  const [dismissed, setDismissed]       = useState([]);   // channelIds dismissed this session
+  const [acceptedRetags, setAccepted]   = useState([]);   // [{ channelId, name, role }]
 
   useEffect(() => {
     if (!clientId) { setBootLoading(false); return undefined; }
@@ -84,6 +96,32 @@ export default function CohortRolesWorkspace({ activeClient, onNavigate }) {
     return () => { cancelled = true; };
   }, [clientId]);
 
+  // Suggestions need the cohort rows (names, roles, subs) — load after boot.
+  // Keyed on the boot finishing, not on rows, so accepting a suggestion
+  // doesn't re-run the attribution.
+  useEffect(() => {
+    if (!clientId || bootLoading || !rows.length) return undefined;
+    let cancelled = false;
+    setSuggestState(s => ({ ...s, loading: true, error: null }));
+    setDismissed([]);
+    setAccepted([]);
+    loadCohortRetagSuggestions({
+      clientId,
+      cohortRows: rows,
+      clientSubscriberCount: activeClient?.subscriber_count || null,
+    })
+      .then(res => {
+        if (cancelled) return;
+        if (!res.ok) setSuggestState({ loading: false, error: res.error, run: null, attribution: null, suggestions: [] });
+        else setSuggestState({ loading: false, error: null, run: res.run, attribution: res.attribution, suggestions: res.suggestions });
+      })
+      .catch(err => {
+        if (!cancelled) setSuggestState({ loading: false, error: err?.message || 'attribution failed', run: null, attribution: null, suggestions: [] });
+      });
+    return () => { cancelled = true; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [clientId, bootLoading]);
+
   if (!clientId) {
     return (
       <div style={emptyShellStyle}>
@@ -95,9 +133,9 @@ export default function CohortRolesWorkspace({ activeClient, onNavigate }) {
     );
   }
 
-  const handleRoleChange = async (channelId, role) => {
+  const handleRoleChange = async (channelId, role, notes = undefined) => {
     setPending(p => ({ ...p, [channelId]: 'updating' }));
-    const res = await updateCohortRole({ clientId, channelId, role });
+    const res = await updateCohortRole({ clientId, channelId, role, notes });
     if (res.ok) {
       setRows(prev => prev.map(r => r.channel_id === channelId ? { ...r, cohort_role: role, cohort_role_updated_at: new Date().toISOString() } : r));
       const comp = await getCohortComposition(clientId);
@@ -106,6 +144,16 @@ export default function CohortRolesWorkspace({ activeClient, onNavigate }) {
     } else {
       setPending(p => ({ ...p, [channelId]: 'error' }));
     }
+    return res;
+  };
+
+  const handleAcceptSuggestion = async (suggestion) => {
+    const runDate = suggestState.run?.created_at ? new Date(suggestState.run.created_at).toLocaleDateString() : 'latest run';
+    const notes = `Calibration ${runDate}: drove ${Math.round(suggestion.share * 100)}% of high-traffic mismatches (${suggestion.videos} videos).`;
+    const res = await handleRoleChange(suggestion.channel_id, suggestion.suggested_role, notes);
+    if (res?.ok) {
+      setAccepted(prev => [...prev, { channelId: suggestion.channel_id, name: suggestion.channel_name, role: suggestion.suggested_role }]);
+    }
   };
 
   // Filter + sort
@@ -136,7 +184,7 @@ export default function CohortRolesWorkspace({ activeClient, onNavigate }) {
         <h1 style={titleStyle}>
           {activeClient.name}
           <span style={{ marginLeft: 12, display: 'inline-block', verticalAlign: 'middle' }}>
-            <PrelaunchBadge client={activeClient} />
+            <PrelaunchBadge client={activeClient} onUpgraded={onClientUpgraded} />
           </span>
         </h1>
         <div style={subtitleStyle}>
@@ -169,6 +217,16 @@ export default function CohortRolesWorkspace({ activeClient, onNavigate }) {
             peerGap={peerGap}
           />
 
+          <RetagSuggestionsPanel
+            state={suggestState}
+            dismissed={dismissed}
+            accepted={acceptedRetags}
+            pending={pendingUpdates}
+            onAccept={handleAcceptSuggestion}
+            onDismiss={(channelId) => setDismissed(prev => [...prev, channelId])}
+            onNavigate={onNavigate}
+          />
+
           <RoleLegend />
 
           <Controls
@@ -252,6 +310,85 @@ function CompositionCard({ role, count, avg }) {
   );
 }
 
+// ──────────────────────────────────────────────────
+// Calibration-driven re-tag suggestions
+// ──────────────────────────────────────────────────
+
+function RetagSuggestionsPanel({ state, dismissed, accepted, pending, onAccept, onDismiss, onNavigate }) {
+  if (state.loading) return <Note tone="info">Attributing the latest calibration run's mismatches to cohort channels…</Note>;
+  if (state.error) return <Note tone="error">Calibration suggestions unavailable: {state.error}</Note>;
+  if (!state.run) return null;   // no calibration run yet — nothing to attribute
+
+  const acceptedIds = new Set(accepted.map(a => a.channelId));
+  const open = state.suggestions.filter(s => !dismissed.includes(s.channel_id) && !acceptedIds.has(s.channel_id));
+  const attribution = state.attribution;
+
+  return (
+    <div style={panelStyle}>
+      <div style={kickerSmallStyle}>Calibration suggestions</div>
+      <div style={{ fontSize: 12, color: '#888', lineHeight: 1.5 }}>
+        From the calibration run of {new Date(state.run.created_at).toLocaleDateString()}:{' '}
+        {attribution?.attributedMismatches || 0} of {attribution?.totalMismatches || 0} high-traffic mismatches
+        trace back to peer channels through title-pattern, topic, or topic-authority lifts.
+      </div>
+
+      {open.length === 0 && accepted.length === 0 && (
+        <div style={{ fontSize: 12, color: '#777', marginTop: 10 }}>
+          No peer channel drives a large enough share of the mismatches to suggest a re-tag.
+        </div>
+      )}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 6, marginTop: 10 }}>
+        {open.map(s => (
+          <SuggestionRow
+            key={s.channel_id}
+            suggestion={s}
+            pending={pending[s.channel_id]}
+            onAccept={() => onAccept(s)}
+            onDismiss={() => onDismiss(s.channel_id)}
+          />
+        ))}
+      </div>
+
+      {accepted.length > 0 && (
+        <div style={rerunOfferStyle}>
+          <div style={{ fontSize: 13, color: '#cde4d6', lineHeight: 1.5 }}>
+            Re-tagged {accepted.map(a => `${a.name} → ${ROLE_LABELS[a.role].toLowerCase()}`).join(', ')}.
+            The scorer only sees the new cohort on a fresh audit — re-run the repositioning audit,
+            then calibrate it to check whether accuracy moved.
+          </div>
+          <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+            <button onClick={() => onNavigate?.('repositioning')} style={acceptBtnStyle}>Re-run audit →</button>
+            <button onClick={() => onNavigate?.('calibration')} style={dismissBtnStyle}>Open calibration</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function SuggestionRow({ suggestion, pending, onAccept, onDismiss }) {
+  const color = ROLE_COLORS[suggestion.suggested_role];
+  return (
+    <div style={suggestionRowStyle(color)}>
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{ fontSize: 13, fontWeight: 600, color: '#e8e2d0' }}>{suggestion.headline}</div>
+        <div style={rowMetaStyle}>{suggestion.detail}</div>
+        {suggestion.examples?.length > 0 && (
+          <div style={{ fontSize: 11, color: '#666', marginTop: 4 }}>
+            e.g. {suggestion.examples.map(e => `"${e.title}"`).join(' · ')}
+          </div>
+        )}
+      </div>
+      <button onClick={onAccept} disabled={pending === 'updating'} style={acceptBtnStyle}>
+        {pending === 'updating' ? 'Saving…' : `Tag ${ROLE_LABELS[suggestion.suggested_role].toLowerCase()}`}
+      </button>
+      <button onClick={onDismiss} disabled={pending === 'updating'} style={dismissBtnStyle}>Dismiss</button>
+      {pending === 'error' && <span style={{ fontSize: 10, color: '#ef6b6b' }}>error</span>}
+    </div>
+  );
+}
+
 // ──────────────────────────────────────────────────
 // Role legend
 // ──────────────────────────────────────────────────
@@ -445,6 +582,30 @@ const fitDiagnosticStyle = (peerGap) => ({
   borderRadius: 5, padding: 10, marginTop: 12,
 });
 
+const suggestionRowStyle = (color) => ({
+  display: 'flex', alignItems: 'center', gap: 10,
+  background: '#1a1a1f',
+  border: '1px solid #2a2a30', borderLeft: `2px solid ${color}`,
+  borderRadius: 4, padding: '8px 12px',
+});
+const acceptBtnStyle = {
+  background: 'rgba(10,145,155,0.12)', color: '#0A919B',
+  border: '1px solid rgba(10,145,155,0.35)', borderRadius: 4,
+  padding: '5px 12px', fontSize: 11, fontWeight: 600, cursor: 'pointer',
+  letterSpacing: 0.3, whiteSpace: 'nowrap',
+};
+const dismissBtnStyle = {
+  background: 'transparent', color: '#888',
+  border: '1px solid #2a2a30', borderRadius: 4,
+  padding: '5px 12px', fontSize: 11, fontWeight: 600, cursor: 'pointer',
+  letterSpacing: 0.3, whiteSpace: 'nowrap',
+};
+const rerunOfferStyle = {
+  background: '#1a1a1f',
+  border: '1px dashed rgba(10,145,155,0.4)',
+  borderRadius: 5, padding: 10, marginTop: 12,
+};
+
 const legendSummaryStyle = {
   fontSize: 11, color: '#888', fontWeight: 600,
   letterSpacing: 0.3, cursor: 'pointer', listStyle: 'none',
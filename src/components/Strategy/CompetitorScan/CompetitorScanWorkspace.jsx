@@ -69,7 +69,7 @@ const SIGNAL_OPTIONS = [
 // and clears it on mount. Avoids leaking shared state across tabs.
 const PREFLIGHT_PREFILL_KEY = 'preflight_prefill_v1';
 
-export default function CompetitorScanWorkspace({ activeClient, onNavigate }) {
+export default function CompetitorScanWorkspace({ activeClient, onNavigate, onClientUpgraded }) {
   const clientId = activeClient?.id;
 
   const [cohortContext, setCohortContext]             = useState(null);
@@ -231,7 +231,7 @@ export default function CompetitorScanWorkspace({ activeClient, onNavigate }) {
         <h1 style={titleStyle}>
           {activeClient.name}
           <span style={{ marginLeft: 12, display: 'inline-block', verticalAlign: 'middle' }}>
-            <PrelaunchBadge client={activeClient} />
+            <PrelaunchBadge client={activeClient} onUpgraded={onClientUpgraded} />
           </span>
         </h1>
         <div style={subtitleStyle}>
@@ -15,7 +15,9 @@
  *     answer field + source badge + confirm button when needed
  *   - Pre-population panel: suggest answers from existing Spine /
  *     business_context (strategist accepts as drafts)
- *   - Token issuance: Ship 2 — not in this commit
+ *   - Token panel: issue / revoke pre-work links; each token shows its
+ *     lifecycle (opened, expiring soon, expired unused…) and the expiry
+ *     reminders /api/cron/invite-reminders sent for it (migration 114)
  *
  * Honesty rule encoded in UI:
  *   - 'strategist' source: the strategist captured it directly (green)
@@ -28,7 +30,7 @@ import React, { useEffect, useState } from 'react';
 import {
   CheckCircle, Circle, Loader, Sparkles, Save, ChevronDown, ChevronRight,
   ClipboardCheck, AlertTriangle, MessageSquare, UserCheck, Wand2,
-  Link2, Copy, Send,
+  Link2, Copy, Send, Mail,
 } from 'lucide-react';
 import {
   INTAKE_QUESTIONS, INTAKE_SECTIONS, INSTALL_INTAKE_VERSION, questionsBySection,
@@ -38,10 +40,14 @@ import {
   suggestPrePopulatedAnswers, savePrePopulatedDraft, getIntakeCompletion,
   listIntakeTokens, revokeIntakeToken,
 } from '../../../services/installIntakeService.js';
+import {
+  intakeTokenLifecycle, isRecentlyExpired, listRemindersForIntakeTokens,
+  describeReminder, reminderColor, LIFECYCLE_LABELS, LIFECYCLE_COLORS,
+} from '../../../services/inviteReminderService.js';
 import { supabase } from '../../../services/supabaseClient.js';
 import PrelaunchBadge from '../shared/PrelaunchBadge.jsx';
 
-export default function StrategistInstallWorkspace({ activeClient, onNavigate }) {
+export default function StrategistInstallWorkspace({ activeClient, onNavigate, onClientUpgraded }) {
   const clientId = activeClient?.id;
   const [answers, setAnswers] = useState({});
   const [completion, setCompletion] = useState(null);
@@ -64,7 +70,7 @@ export default function StrategistInstallWorkspace({ activeClient, onNavigate })
         loadIntakeAnswers(clientId),
         getIntakeCompletion(clientId),
         suggestPrePopulatedAnswers(clientId),
-        listIntakeTokens(clientId),
+        loadTokensWithReminders(clientId),
       ]);
       if (cancelled) return;
       setAnswers(a);
@@ -104,7 +110,7 @@ export default function StrategistInstallWorkspace({ activeClient, onNavigate })
         setTokenIssueResult({ ok: false, error: json.error || `HTTP ${r.status}` });
       } else {
         setTokenIssueResult({ ok: true, url: json.url, expires_at: json.expires_at });
-        const tks = await listIntakeTokens(clientId);
+        const tks = await loadTokensWithReminders(clientId);
         setTokens(tks);
       }
     } finally {
@@ -116,7 +122,7 @@ export default function StrategistInstallWorkspace({ activeClient, onNavigate })
     if (!window.confirm('Revoke this token? Anyone holding it will no longer be able to submit answers.')) return;
     const r = await revokeIntakeToken(tokenId, 'strategist revoked');
     if (r.ok) {
-      const tks = await listIntakeTokens(clientId);
+      const tks = await loadTokensWithReminders(clientId);
       setTokens(tks);
     }
   };
@@ -191,7 +197,7 @@ export default function StrategistInstallWorkspace({ activeClient, onNavigate })
         <h1 style={titleStyle}>
           {activeClient.name}
           <span style={{ marginLeft: 12, display: 'inline-block', verticalAlign: 'middle' }}>
-            <PrelaunchBadge client={activeClient} />
+            <PrelaunchBadge client={activeClient} onUpgraded={onClientUpgraded} />
           </span>
         </h1>
         <div style={subtitleStyle}>
@@ -305,7 +311,12 @@ function CompletionStrip({ completion }) {
 // ──────────────────────────────────────────────────
 
 function TokenPanel({ tokens, showIssueForm, setShowIssueForm, tokenForm, setTokenForm, onIssue, onRevoke, issuing, issueResult }) {
-  const active = tokens.filter(t => !t.revoked_at && new Date(t.expires_at).getTime() > Date.now());
+  const now = Date.now();
+  const active = tokens.filter(t => !t.revoked_at && new Date(t.expires_at).getTime() > now);
+  // Recently lapsed links stay listed so the strategist sees they died
+  // unused (and whether a reminder went out) instead of them vanishing.
+  const lapsed = tokens.filter(t => intakeTokenLifecycle(t, now) === 'expired_unused' && isRecentlyExpired(t.expires_at, now));
+  const listed = [...active, ...lapsed];
 
   return (
     <div style={tokenPanelStyle}>
@@ -380,23 +391,38 @@ function TokenPanel({ tokens, showIssueForm, setShowIssueForm, tokenForm, setTok
         </div>
       )}
 
-      {active.length > 0 && (
+      {listed.length > 0 && (
         <div style={{ marginTop: 10, fontSize: 11, color: '#888' }}>
           <strong style={{ color: '#cde4d6' }}>{active.length} active token{active.length === 1 ? '' : 's'}</strong>
+          {lapsed.length > 0 && <> · {lapsed.length} expired unused</>}
           <div style={{ display: 'flex', flexDirection: 'column', gap: 4, marginTop: 6 }}>
-            {active.map(t => (
-              <div key={t.id} style={tokenRowStyle}>
-                <div style={{ flex: 1, minWidth: 0 }}>
-                  {t.intended_recipient_name || t.intended_recipient_email || '(no recipient set)'} ·
-                  <span style={{ color: '#666' }}>
-                    {' '}expires {new Date(t.expires_at).toLocaleDateString()}
-                    {t.first_accessed_at && ` · opened ${new Date(t.first_accessed_at).toLocaleDateString()}`}
-                    {t.last_submitted_at && ` · submitted ${new Date(t.last_submitted_at).toLocaleDateString()}`}
-                  </span>
+            {listed.map(t => {
+              const lifecycle = intakeTokenLifecycle(t, now);
+              return (
+                <div key={t.id} style={tokenRowWrapStyle}>
+                  <div style={tokenRowStyle}>
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <span style={{ color: LIFECYCLE_COLORS[lifecycle] }}>● {LIFECYCLE_LABELS[lifecycle]}</span>
+                      {' · '}{t.intended_recipient_name || t.intended_recipient_email || '(no recipient set)'} ·
+                      <span style={{ color: '#666' }}>
+                        {' '}{lifecycle === 'expired_unused' ? 'expired' : 'expires'} {new Date(t.expires_at).toLocaleDateString()}
+                        {t.first_accessed_at && ` · opened ${new Date(t.first_accessed_at).toLocaleDateString()}`}
+                        {t.last_submitted_at && ` · submitted ${new Date(t.last_submitted_at).toLocaleDateString()}`}
+                      </span>
+                    </div>
+                    {lifecycle !== 'expired_unused' && (
+                      <button onClick={() => onRevoke(t.id)} style={revokeBtnStyle} title="Revoke">Revoke</button>
+                    )}
+                  </div>
+                  {(t.reminders || []).map(r => (
+                    <div key={r.id} style={reminderLineStyle}>
+                      <Mail size={10} style={{ color: reminderColor(r), flexShrink: 0 }} />
+                      <span style={{ color: reminderColor(r) }}>{describeReminder(r)}</span>
+                    </div>
+                  ))}
                 </div>
-                <button onClick={() => onRevoke(t.id)} style={revokeBtnStyle} title="Revoke">Revoke</button>
-              </div>
-            ))}
+              );
+            })}
           </div>
         </div>
       )}
@@ -563,6 +589,16 @@ function StatusBadge({ isAnswered, isConfirmed, source }) {
 // Helpers
 // ──────────────────────────────────────────────────
 
+/**
+ * Intake tokens with their notification_outbox reminder rows attached
+ * as `reminders` (newest first).
+ */
+async function loadTokensWithReminders(clientId) {
+  const tokens = await listIntakeTokens(clientId);
+  const reminders = await listRemindersForIntakeTokens(tokens.map(t => t.id));
+  return tokens.map(t => ({ ...t, reminders: reminders[t.id] || [] }));
+}
+
 function Note({ tone, children }) {
   const palette = {
     info:  { bg: 'rgba(10,145,155,0.08)',  border: 'rgba(10,145,155,0.25)',  fg: '#0A919B' },
@@ -669,6 +705,14 @@ const tokenRowStyle = {
   borderRadius: 4,
   fontSize: 11,
 };
+const tokenRowWrapStyle = {
+  display: 'flex', flexDirection: 'column', gap: 2,
+};
+const reminderLineStyle = {
+  display: 'flex', alignItems: 'center', gap: 6,
+  padding: '0 8px 0 16px',
+  fontSize: 10,
+};
 const revokeBtnStyle = {
   background: 'transparent', color: '#888',
   border: '1px solid #2a2a30', borderRadius: 3,
@@ -540,6 +540,14 @@ export default function IntelligenceBriefView({ activeClient, rows, channelStats
               <div style={{ display: "flex", gap: "12px", marginTop: "6px" }}>
                 <span style={{ fontSize: "11px", color: "#666" }}>Opportunity: {fmtInt(p.opportunity)} views</span>
                 <span style={{ fontSize: "11px", color: "#666" }}>Effort: {p.effort}</span>
+                {p.qValue != null && (
+                  <span
+                    style={{ fontSize: "11px", color: "#34d399" }}
+                    title={p.liftCI ? `95% interval on the median lift: ${p.liftCI[0].toFixed(2)}–${p.liftCI[1].toFixed(2)}×` : undefined}
+                  >
+                    Significant after FDR correction (q={p.qValue.toFixed(3)})
+                  </span>
+                )}
               </div>
             </div>
           ))}
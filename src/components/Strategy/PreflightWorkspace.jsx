@@ -28,7 +28,7 @@ import { listPillars } from '../../services/clientPillarsService.js';
 import DataFreshnessBadge from './shared/DataFreshnessBadge.jsx';
 import PrelaunchBadge from './shared/PrelaunchBadge.jsx';
 
-export default function PreflightWorkspace({ activeClient }) {
+export default function PreflightWorkspace({ activeClient, onClientUpgraded }) {
   const [pillars, setPillars] = useState([]);
 
   useEffect(() => {
@@ -70,7 +70,7 @@ export default function PreflightWorkspace({ activeClient }) {
           <h1 style={titleStyle}>
             {activeClient.name}
             <span style={{ marginLeft: 12, display: 'inline-block', verticalAlign: 'middle' }}>
-              <PrelaunchBadge client={activeClient} />
+              <PrelaunchBadge client={activeClient} onUpgraded={onClientUpgraded} />
             </span>
           </h1>
           <div style={subtitleStyle}>
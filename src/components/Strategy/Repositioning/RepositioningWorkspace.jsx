@@ -59,7 +59,7 @@ const FORMAT_FILTERS = [
   { value: 'long_form',  label: 'Long-form only' },
 ];
 
-export default function RepositioningWorkspace({ activeClient, onNavigate }) {
+export default function RepositioningWorkspace({ activeClient, onNavigate, onClientUpgraded }) {
   // ── State ─────────────────────────────────────────────
   const [cohortContext, setCohortContext]               = useState(null);
   const [cohortError, setCohortError]                   = useState(null);
@@ -87,7 +87,8 @@ export default function RepositioningWorkspace({ activeClient, onNavigate }) {
       setCohortError(null);
       try {
         const [deliverable, topicCtx, list] = await Promise.all([
-          loadDeliverableData(clientId),
+          // Same stacked-pattern scoring as Pre-flight.
+          loadDeliverableData(clientId, { includeInteractions: true }),
           loadTopicAuthorityContext({ clientId }).catch(() => null),
           listAuditsForClient(clientId, { limit: 10 }),
         ]);
@@ -208,7 +209,7 @@ export default function RepositioningWorkspace({ activeClient, onNavigate }) {
         <h1 style={titleStyle}>
           {activeClient.name}
           <span style={{ marginLeft: 12, display: 'inline-block', verticalAlign: 'middle' }}>
-            <PrelaunchBadge client={activeClient} />
+            <PrelaunchBadge client={activeClient} onUpgraded={onClientUpgraded} />
           </span>
         </h1>
         <div style={subtitleStyle}>
@@ -35,7 +35,7 @@ import { supabase } from '../../../services/supabaseClient.js';
 import DataFreshnessBadge from '../shared/DataFreshnessBadge.jsx';
 import PrelaunchBadge from '../shared/PrelaunchBadge.jsx';
 
-export default function WeeklyBriefWorkspace({ activeClient }) {
+export default function WeeklyBriefWorkspace({ activeClient, onClientUpgraded }) {
   const clientId = activeClient?.id;
 
   const [bootLoading, setBootLoading]     = useState(true);
@@ -168,7 +168,7 @@ export default function WeeklyBriefWorkspace({ activeClient }) {
         <h1 style={titleStyle}>
           {activeClient.name}
           <span style={{ marginLeft: 12, display: 'inline-block', verticalAlign: 'middle' }}>
-            <PrelaunchBadge client={activeClient} />
+            <PrelaunchBadge client={activeClient} onUpgraded={onClientUpgraded} />
           </span>
         </h1>
         <div style={subtitleStyle}>
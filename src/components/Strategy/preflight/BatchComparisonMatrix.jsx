@@ -0,0 +1,182 @@
+/**
+ * Batch comparison matrix — dimension × variant grid for a Pre-flight
+ * batch (conceptBatchService). One column per variant in rank order,
+ * winner first and outlined; one row per dimension any variant scored
+ * on. Cells carry the dimension tier color and its headline number.
+ *
+ * Variants outside the batch's top-k never went through the LLM pass,
+ * so their curiosity / hook cells read "not rated" rather than blank.
+ * Clicking a column header opens that variant's full scorecard below.
+ *
+ * Takes scorecard-shaped rows (the client_concept_scorecards columns
+ * plus batch_rank / batch_llm_scored) so a freshly scored batch and
+ * one reopened from history render the same way.
+ */
+
+import React from 'react';
+
+// Mirror of PreflightPanel's tier palette.
+const TIER_COLORS = {
+  very_likely_outperform: { fg: '#0A919B', bg: 'rgba(10, 145, 155, 0.12)', border: 'rgba(10, 145, 155, 0.35)' },
+  likely_solid:           { fg: '#cde4d6', bg: 'rgba(205, 228, 214, 0.08)', border: 'rgba(205, 228, 214, 0.22)' },
+  risky:                  { fg: '#E8A82B', bg: 'rgba(232, 168, 43, 0.12)',  border: 'rgba(232, 168, 43, 0.35)' },
+  predicted_under:        { fg: '#ef6b6b', bg: 'rgba(239, 107, 107, 0.12)', border: 'rgba(239, 107, 107, 0.35)' },
+};
+
+const TIER_SHORT = {
+  very_likely_outperform: 'Outperform',
+  likely_solid:           'Solid',
+  risky:                  'Risky',
+  predicted_under:        'Under',
+};
+
+// Row order matches ScorecardDisplay's dimension cards.
+const DIMENSION_ROWS = [
+  { key: 'title_patterns',        label: 'Title patterns', value: d => signedPct(d.composite_lift_pct) },
+  { key: 'slot',                  label: 'Slot',           value: d => signedPct(d.lift_pct) },
+  { key: 'length',                label: 'Length',         value: d => signedPct(d.lift_pct) },
+  { key: 'topic',                 label: 'Topic',          value: d => d.saturation },
+  { key: 'surface_fit',           label: 'Surface fit',    value: d => (d.surface_share_pct != null ? `${d.surface_share_pct}%` : null) },
+  { key: 'search_keyword_match',  label: 'Search match',   value: d => (d.match_pct != null ? `${d.match_pct}%` : null) },
+  { key: 'curiosity_gap',         label: 'Curiosity gap',  value: d => `${d.curiosity_score}/10`, llm: true },
+  { key: 'hook_promise_delivery', label: 'Hook delivery',  value: d => `${d.hook_score}/10`,      llm: true },
+  { key: 'topic_authority',       label: 'Topic authority', value: d => d.topic_max_similarity?.toFixed(2) },
+  { key: 'thumbnail',             label: 'Thumbnail',      value: d => signedPct(d.composite_lift_pct) },
+  { key: 'packaging_coherence',   label: 'Title × thumb',  value: d => `${d.coherence_score}/10`,   llm: true },
+];
+
+export default function BatchComparisonMatrix({ scorecards, topK, currentId, onOpen }) {
+  if (!scorecards?.length) return null;
+  const rows = DIMENSION_ROWS.filter(r => scorecards.some(s => s.scores?.[r.key]));
+  const winner = scorecards[0];
+
+  return (
+    <div style={matrixCardStyle}>
+      <div style={{ display: 'flex', alignItems: 'baseline', gap: 10, marginBottom: 10, flexWrap: 'wrap' }}>
+        <div style={kickerStyle}>Batch comparison</div>
+        <div style={{ fontSize: 11, color: '#666' }}>
+          {scorecards.length} variants · LLM dimensions on the top {topK} · click a variant to open its scorecard
+        </div>
+      </div>
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ borderCollapse: 'separate', borderSpacing: 3, fontSize: 11 }}>
+          <thead>
+            <tr>
+              <th />
+              {scorecards.map(s => (
+                <th key={s.id || s.batch_rank} style={{ verticalAlign: 'bottom', padding: 0 }}>
+                  <button
+                    type="button"
+                    onClick={() => onOpen?.(s)}
+                    title={s.input?.title}
+                    style={variantHeadStyle(s === winner, s.id && s.id === currentId)}
+                  >
+                    <div style={{ fontSize: 10, color: s === winner ? '#0A919B' : '#666', fontWeight: 700, marginBottom: 2 }}>
+                      {s === winner ? '★ Winner' : `#${s.batch_rank}`}
+                    </div>
+                    <div style={variantTitleStyle}>{s.input?.title || '(no title)'}</div>
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td style={rowHeadStyle}>Composite</td>
+              {scorecards.map(s => (
+                <TierCell key={s.id || s.batch_rank} tier={s.composite_tier} strong />
+              ))}
+            </tr>
+            {rows.map(r => (
+              <tr key={r.key}>
+                <td style={rowHeadStyle}>{r.label}</td>
+                {scorecards.map(s => {
+                  const dim = s.scores?.[r.key];
+                  if (!dim) {
+                    const skipped = r.llm && !s.batch_llm_scored;
+                    return (
+                      <td key={s.id || s.batch_rank} style={emptyCellStyle} title={skipped ? `Outside the top ${topK} — not sent to the LLM` : undefined}>
+                        {skipped ? 'not rated' : '—'}
+                      </td>
+                    );
+                  }
+                  return <TierCell key={s.id || s.batch_rank} tier={dim.tier} value={r.value(dim)} />;
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {winner.strategic_read && (
+        <div style={{ marginTop: 12, fontSize: 12, color: '#bbb', lineHeight: 1.55 }}>
+          <span style={{ color: '#0A919B', fontWeight: 700 }}>Why the winner: </span>
+          {winner.strategic_read}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function TierCell({ tier, value, strong }) {
+  const colors = TIER_COLORS[tier] || TIER_COLORS.risky;
+  return (
+    <td style={{
+      ...cellStyle,
+      background: colors.bg,
+      border: `1px solid ${colors.border}`,
+      color: colors.fg,
+      fontWeight: strong ? 700 : 600,
+    }}>
+      {TIER_SHORT[tier] || tier}
+      {value != null && value !== '' && <div style={{ fontSize: 10, color: '#aaa', fontWeight: 500 }}>{value}</div>}
+    </td>
+  );
+}
+
+function signedPct(v) {
+  if (v == null) return null;
+  return `${v >= 0 ? '+' : ''}${v}%`;
+}
+
+// ──────────────────────────────────────────────────
+// Styles
+// ──────────────────────────────────────────────────
+
+const matrixCardStyle = {
+  background: '#17171b',
+  border: '1px solid #25252b',
+  borderRadius: 10,
+  padding: 16,
+  marginTop: 14,
+};
+
+const kickerStyle = { fontSize: 10, color: '#888', textTransform: 'uppercase', letterSpacing: 1, fontWeight: 700 };
+
+const rowHeadStyle = {
+  textAlign: 'right', paddingRight: 10, color: '#888', fontWeight: 600,
+  whiteSpace: 'nowrap', fontSize: 11,
+};
+
+const cellStyle = {
+  minWidth: 96, padding: '5px 8px', borderRadius: 6, textAlign: 'center',
+  fontSize: 10, textTransform: 'uppercase', letterSpacing: 0.5, verticalAlign: 'middle',
+};
+
+const emptyCellStyle = {
+  ...cellStyle, background: '#131316', border: '1px dashed #2a2a30', color: '#555',
+  textTransform: 'none', letterSpacing: 0, fontWeight: 500,
+};
+
+const variantHeadStyle = (isWinner, isOpen) => ({
+  width: '100%', minWidth: 96, maxWidth: 160, textAlign: 'left',
+  padding: '6px 8px', borderRadius: 6, cursor: 'pointer', fontFamily: 'inherit',
+  background: isOpen ? '#1f1f25' : 'transparent',
+  border: `1px solid ${isWinner ? 'rgba(10, 145, 155, 0.6)' : '#25252b'}`,
+});
+
+const variantTitleStyle = {
+  fontSize: 11, color: '#e8e2d0', fontWeight: 500, lineHeight: 1.35,
+  display: '-webkit-box', WebkitLineClamp: 3, WebkitBoxOrient: 'vertical', overflow: 'hidden',
+};
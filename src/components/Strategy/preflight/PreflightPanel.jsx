@@ -15,6 +15,16 @@
  *     same surface the deliverable uses).
  *   - On Score: scoreConcept(input, cohortContext) → saveScorecard →
  *     generateStrategicRead → updateStrategicRead → refresh history.
+ *   - Batch mode: pasted variants (lines or CSV) share the rest of the
+ *     form; conceptBatchService scores them all against the same
+ *     cohortContext, spends the LLM dimensions on the top-k only, and
+ *     saves the group as linked scorecards (migration 122). Results
+ *     render as a dimension × variant matrix.
+ *   - Optional mock thumbnail: one Vision read of the upload
+ *     (thumbnailConceptService) scored against the traits that
+ *     outperform in the cohort's thumbnails. Batch variants share it.
+ *     The same upload feeds the title × thumbnail coherence rating
+ *     (packagingCoherenceService), one call per title.
  *
  * Tone: matches the rest of Strategy Spine's dark editorial UI; tier
  * colors borrow from the brand palette (teal = strong, amber = risky,
@@ -30,7 +40,14 @@ import {
   updateStrategicRead,
   updateExecutiveMemo,
   archiveScorecard,
+  loadScorecardBatch,
 } from '../../../services/conceptScorecardsService';
+import {
+  parseConceptList,
+  scoreConceptBatch,
+  DEFAULT_TOP_K,
+  MAX_BATCH_VARIANTS,
+} from '../../../services/conceptBatchService';
 import { generateStrategicRead } from '../../../services/strategicReadService';
 import { generateExecutiveMemo } from '../../../services/executiveMemoService';
 import { generateAlternativeTitles } from '../../../services/alternativeTitlesService';
@@ -41,9 +58,15 @@ import {
   getConceptEmbedding,
   loadTopicAuthorityContext,
 } from '../../../services/topicAuthorityService';
+import { loadActiveWeightProfile } from '../../../services/compositeWeightProfilesService';
+import { rateMockThumbnail, loadThumbnailSignalContext } from '../../../services/thumbnailConceptService';
+import { ratePackagingCoherence } from '../../../services/packagingCoherenceService';
 import Phase25Spike from './Phase25Spike.jsx';
 import SurfacePullPanel from './SurfacePullPanel.jsx';
 import EmbeddingsBackfillPanel from './EmbeddingsBackfillPanel.jsx';
+import BatchComparisonMatrix from './BatchComparisonMatrix.jsx';
+import ScorecardOutcomeLedger from './ScorecardOutcomeLedger.jsx';
+import WhatIfPanel from './WhatIfPanel.jsx';
 
 // ──────────────────────────────────────────────────
 // Constants
@@ -68,6 +91,7 @@ const TIER_COLORS = {
 
 const DAY_OPTIONS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 const BLOCK_OPTIONS = ['12am–6am', '6am–12pm', '12pm–6pm', '6pm–12am'];
+const TOP_K_OPTIONS = [1, 2, 3, 5];
 const LENGTH_PRESETS = [
   { label: 'Short (3–8 min)',    seconds: 360 },
   { label: 'Mid (8–15 min)',     seconds: 720 },
@@ -112,8 +136,20 @@ export default function PreflightPanel({ clientId, clientName, pillars = [] }) {
   // cohort recent winners with title embeddings). Null when embeddings
   // haven't been backfilled yet; scorer excludes topic_authority then.
   const [topicAuthorityContext, setTopicAuthorityContext] = useState(null);
+  // Migration 109 — the client's active per-format composite weight
+  // profile (fitted in Calibration). Null = counting rules.
+  const [weightProfile, setWeightProfile] = useState(null);
+  // Phase 3 thumbnail dimension — cohort trait lifts (null until
+  // production signals with per-thumbnail reads exist) and the
+  // strategist's uploaded mock ({ base64, media_type, name }).
+  const [thumbnailContext, setThumbnailContext] = useState(null);
+  const [mockThumbnail, setMockThumbnail] = useState(null);
   const [history, setHistory] = useState([]);
   const [historyLoading, setHistoryLoading] = useState(true);
+  // Bumped on every history reload (save, what-if, memo, archive) so the
+  // outcome ledger reloads too — history.length stops changing once the
+  // list hits its limit.
+  const [historyVersion, setHistoryVersion] = useState(0);
   const [form, setForm] = useState(defaultForm);
   const [optionalsOpen, setOptionalsOpen] = useState(false);
   const [scoring, setScoring] = useState(false);
@@ -123,6 +159,14 @@ export default function PreflightPanel({ clientId, clientName, pillars = [] }) {
   const [memoGenerating, setMemoGenerating] = useState(false);
   const [memoError, setMemoError] = useState(null);
   const [prefillFlash, setPrefillFlash] = useState(null);  // brief banner when a prefill arrives
+  // Batch mode (migration 122) — variants pasted as lines or CSV share
+  // the rest of the form. batchResult is { batchId, topK, scorecards }
+  // with scorecards in rank order.
+  const [mode, setMode] = useState('single'); // 'single' | 'batch'
+  const [batchText, setBatchText] = useState('');
+  const [batchTopK, setBatchTopK] = useState(DEFAULT_TOP_K);
+  const [batchProgress, setBatchProgress] = useState(null);
+  const [batchResult, setBatchResult] = useState(null);
 
   // One-shot prefill bridge from CompetitorScanWorkspace. Reads + clears
   // the sessionStorage key on mount so a later visit to Pre-flight
@@ -156,7 +200,8 @@ export default function PreflightPanel({ clientId, clientName, pillars = [] }) {
     (async () => {
       setCohortLoading(true);
       try {
-        const data = await loadDeliverableData(clientId);
+        // Interactions feed scoreConcept's stacked-pattern entries.
+        const data = await loadDeliverableData(clientId, { includeInteractions: true });
         if (cancelled) return;
         if (!data?.ok) {
           setCohortError(data?.error || 'Failed to load cohort data');
@@ -212,12 +257,29 @@ export default function PreflightPanel({ clientId, clientName, pillars = [] }) {
   };
   useEffect(() => { refreshTopicAuthorityContext(); /* eslint-disable-next-line react-hooks/exhaustive-deps */ }, [clientId]);
 
+  useEffect(() => {
+    let cancelled = false;
+    loadThumbnailSignalContext({ clientId })
+      .then(ctx => { if (!cancelled) setThumbnailContext(ctx); })
+      .catch(err => console.warn('[PreflightPanel] thumbnail context load failed:', err));
+    return () => { cancelled = true; };
+  }, [clientId]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadActiveWeightProfile(clientId)
+      .then(profile => { if (!cancelled) setWeightProfile(profile); })
+      .catch(err => console.warn('[PreflightPanel] weight profile load failed:', err));
+    return () => { cancelled = true; };
+  }, [clientId]);
+
   // Load history on mount + refresh after each save
   const refreshHistory = async () => {
     setHistoryLoading(true);
     const rows = await listScorecards({ clientId, limit: 20 });
     setHistory(rows);
     setHistoryLoading(false);
+    setHistoryVersion(v => v + 1);
   };
   useEffect(() => { refreshHistory(); /* eslint-disable-next-line react-hooks/exhaustive-deps */ }, [clientId]);
 
@@ -242,12 +304,22 @@ export default function PreflightPanel({ clientId, clientName, pillars = [] }) {
       //     per-session by title.
       // All three are null-safe — null results mean the dimension
       // self-excludes from the composite.
-      const [curiosityResult, hookResult, conceptEmbedding] = await Promise.all([
-        rateCuriosityGap(input.title, { format: input.format }),
+      // Phase 3 adds two Vision calls on the mock thumbnail: its trait
+      // read (cached by image) and the title × thumbnail coherence
+      // rating (cached by title + image). Both skipped for Shorts.
+      const withMock = mockThumbnail && input.format !== 'shorts';
+      const [curiosityResult, hookResult, conceptEmbedding, thumbnailResult, coherenceResult] = await Promise.all([
+        rateCuriosityGap(input.title, { format: input.format, clientId }),
         input.hook_beat
-          ? rateHookDelivery(input.title, input.hook_beat, { format: input.format })
+          ? rateHookDelivery(input.title, input.hook_beat, { format: input.format, clientId })
           : Promise.resolve(null),
         getConceptEmbedding(input.title),
+        withMock
+          ? rateMockThumbnail(mockThumbnail, { title: input.title, clientId })
+          : Promise.resolve(null),
+        withMock
+          ? ratePackagingCoherence(input.title, mockThumbnail, { format: input.format, clientId })
+          : Promise.resolve(null),
       ]);
       const scoringOutput = scoreConcept({
         input,
@@ -263,9 +335,16 @@ export default function PreflightPanel({ clientId, clientName, pillars = [] }) {
           hookResult,
           conceptEmbedding,
           topicAuthorityContext,
+          // Phase 3 — mock thumbnail vs cohort trait lifts, and the
+          // title × thumbnail coherence rating. Null is fine.
+          thumbnailResult,
+          thumbnailContext,
+          coherenceResult,
           // Phase 2.7b — spine drives brand-register awareness in
           // the tweak generator. Null is fine.
           spine: cohortContext.spine,
+          // Migration 109 — per-format composite weights. Null = counting rules.
+          weightProfile,
         },
       });
 
@@ -303,9 +382,9 @@ export default function PreflightPanel({ clientId, clientName, pillars = [] }) {
         spine: cohortContext.spine,
       };
       const [strategicReadResult, altTitlesResult] = await Promise.all([
-        generateStrategicRead({ input, scoringOutput, cohortSummary: sharedSummary }),
+        generateStrategicRead({ input, scoringOutput, cohortSummary: sharedSummary, clientId }),
         generateAlternativeTitles({
-          input, scoringOutput, spine: cohortContext.spine, cohortSummary: sharedSummary,
+          input, scoringOutput, spine: cohortContext.spine, cohortSummary: sharedSummary, clientId,
         }),
       ]);
 
@@ -333,6 +412,111 @@ export default function PreflightPanel({ clientId, clientName, pillars = [] }) {
     }
   };
 
+  // ── Batch handler ──
+  // Every field but the title comes from the form.
+  const batchDefaults = useMemo(() => {
+    const shared = buildInput({ ...form, title: '' });
+    delete shared.title;
+    return shared;
+  }, [form]);
+  const batchParse = useMemo(() => parseConceptList(batchText, batchDefaults), [batchText, batchDefaults]);
+
+  const handleScoreBatch = async () => {
+    setActionError(null);
+    if (!cohortContext) { setActionError('Cohort data not loaded yet'); return; }
+    const { concepts } = batchParse;
+    if (concepts.length < 2) { setActionError('Batch mode needs at least two variants'); return; }
+
+    setScoring(true);
+    setCurrentScorecard(null);
+    setBatchResult(null);
+    try {
+      // Variants share the mock thumbnail — one Vision read for the batch.
+      const thumbnailResult = mockThumbnail && batchDefaults.format !== 'shorts'
+        ? await rateMockThumbnail(mockThumbnail, { clientId })
+        : null;
+      const result = await scoreConceptBatch({
+        concepts,
+        // Same context handleScore builds, minus the per-title pieces
+        // (embedding, curiosity, hook, coherence) the batch service fills in.
+        cohortContext: {
+          patternsResult: cohortContext.patternsResult,
+          whiteSpaceResult: cohortContext.whiteSpaceResult,
+          surfaceContext,
+          topicAuthorityContext,
+          thumbnailResult,
+          thumbnailContext,
+          spine: cohortContext.spine,
+          weightProfile,
+        },
+        topK: batchTopK,
+        thumbnailImage: mockThumbnail,
+        clientId,
+        pillarId: form.pillar_id || null,
+        label: concepts[0].title,
+        sharedInput: batchDefaults,
+        cohortDataAt: cohortContext.coverage?.generatedAt,
+        cohortSummary: {
+          clientName,
+          channelCount: cohortContext.channelCount,
+          videoCount: cohortContext.videoCount,
+          spine: cohortContext.spine,
+        },
+        onProgress: setBatchProgress,
+      });
+      if (result.saveFailed) setActionError('Some batch scorecards failed to save — see console');
+      setBatchResult({
+        batchId: result.batchId,
+        topK: Math.min(batchTopK, concepts.length),
+        scorecards: result.variants.map(v => ({
+          id: v.scorecardId,
+          created_at: v.created_at,
+          input: v.input,
+          ...v.scoringOutput,
+          strategic_read: v.strategic_read,
+          batch_id: result.batchId,
+          batch_rank: v.rank,
+          batch_llm_scored: v.llmScored,
+          _unsaved: !v.scorecardId,
+        })),
+      });
+      refreshHistory();
+    } catch (err) {
+      setActionError(err?.message || 'Batch scoring failed');
+    } finally {
+      setScoring(false);
+      setBatchProgress(null);
+    }
+  };
+
+  // ── What-if ──
+  // The per-title async pieces are the what-if panel's to re-run, so
+  // the context carries only what every variant of a concept shares.
+  const whatIfContext = useMemo(() => (cohortContext ? {
+    patternsResult: cohortContext.patternsResult,
+    whiteSpaceResult: cohortContext.whiteSpaceResult,
+    surfaceContext,
+    topicAuthorityContext,
+    thumbnailContext,
+    spine: cohortContext.spine,
+    weightProfile,
+    coverage: cohortContext.coverage,
+  } : null), [cohortContext, surfaceContext, topicAuthorityContext, thumbnailContext, weightProfile]);
+
+  const handleWhatIfSaved = (card) => {
+    setCurrentScorecard(card);
+    refreshHistory();
+  };
+
+  const handleOpenBatch = async (batchId) => {
+    setActionError(null);
+    const loaded = await loadScorecardBatch(batchId);
+    if (!loaded) { setActionError('Could not load that batch — see console'); return; }
+    setMode('batch');
+    setCurrentScorecard(null);
+    setBatchResult({ batchId, topK: loaded.batch.top_k, scorecards: loaded.scorecards });
+  };
+
   const handleLoadFromHistory = async (id) => {
     const row = history.find(r => r.id === id);
     if (!row) return;
@@ -376,6 +560,7 @@ export default function PreflightPanel({ clientId, clientName, pillars = [] }) {
         alternativeTitles:  currentScorecard.alternative_titles || [],
         cohortSummary,
         spine:              cohortContext.spine,
+        clientId,
       });
       if (result.error || !result.text) {
         setMemoError(result.error || 'Memo generation returned empty');
@@ -438,19 +623,53 @@ export default function PreflightPanel({ clientId, clientName, pillars = [] }) {
 
       {!cohortLoading && !cohortError && (
         <>
+          <div style={{ display: 'flex', gap: 6, marginBottom: 10 }}>
+            {[['single', 'Single concept'], ['batch', 'Batch variants']].map(([id, label]) => (
+              <button
+                key={id}
+                type="button"
+                onClick={() => setMode(id)}
+                disabled={scoring}
+                style={presetChipStyle(mode === id)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
           <ConceptForm
             form={form}
             setForm={setForm}
             optionalsOpen={optionalsOpen}
             setOptionalsOpen={setOptionalsOpen}
             pillars={pillars}
-            onScore={handleScore}
+            onScore={mode === 'batch' ? handleScoreBatch : handleScore}
             scoring={scoring}
             scoringPhase={scoringPhase}
+            mockThumbnail={mockThumbnail}
+            setMockThumbnail={setMockThumbnail}
+            thumbnailContext={thumbnailContext}
+            batch={mode === 'batch' ? {
+              text: batchText,
+              setText: setBatchText,
+              parse: batchParse,
+              topK: batchTopK,
+              setTopK: setBatchTopK,
+              progress: batchProgress,
+            } : null}
           />
 
           {actionError && <InlineNote tone="error">{actionError}</InlineNote>}
 
+          {mode === 'batch' && batchResult && (
+            <BatchComparisonMatrix
+              scorecards={batchResult.scorecards}
+              topK={batchResult.topK}
+              currentId={currentScorecard?.id}
+              onOpen={setCurrentScorecard}
+            />
+          )}
+
           {currentScorecard && (
             <ScorecardDisplay
               scorecard={currentScorecard}
@@ -461,14 +680,31 @@ export default function PreflightPanel({ clientId, clientName, pillars = [] }) {
             />
           )}
 
+          {currentScorecard && whatIfContext && (
+            <WhatIfPanel
+              key={currentScorecard.id}
+              scorecard={currentScorecard}
+              cohortContext={whatIfContext}
+              clientId={clientId}
+              mockThumbnail={mockThumbnail}
+              onSaved={handleWhatIfSaved}
+            />
+          )}
+
           <ScorecardHistory
             history={history}
             loading={historyLoading}
             currentId={currentScorecard?.id}
             onLoad={handleLoadFromHistory}
+            onOpenBatch={handleOpenBatch}
             onArchive={handleArchive}
           />
 
+          {/* Forward calibration — link scorecards to the uploads they
+              became; outcomes settle at day 28. Re-loads when history
+              changes so a fresh scorecard shows up as linkable. */}
+          <ScorecardOutcomeLedger clientId={clientId} refreshKey={historyVersion} />
+
           {/* Phase 2.5 surface intelligence — refresh per-video
               traffic-source data + channel-level search queries from
               YouTube Analytics. The scorer reads the latest snapshot
@@ -495,27 +731,55 @@ export default function PreflightPanel({ clientId, clientName, pillars = [] }) {
 // Form
 // ──────────────────────────────────────────────────
 
-function ConceptForm({ form, setForm, optionalsOpen, setOptionalsOpen, pillars, onScore, scoring, scoringPhase }) {
+// `batch` (batch mode only): { text, setText, parse, topK, setTopK, progress }.
+// The title input becomes a variants textarea; every other field is
+// shared by all variants unless a CSV column overrides it.
+function ConceptForm({ form, setForm, optionalsOpen, setOptionalsOpen, pillars, onScore, scoring, scoringPhase, mockThumbnail, setMockThumbnail, thumbnailContext, batch }) {
   const update = (patch) => setForm(prev => ({ ...prev, ...patch }));
 
-  const phaseLabel = scoringPhase === 'scoring' ? 'Computing scores…'
+  const phaseLabel = batch ? (batch.progress || 'Scoring variants…')
+    : scoringPhase === 'scoring' ? 'Computing scores…'
     : scoringPhase === 'saving' ? 'Saving…'
     : scoringPhase === 'reading' ? 'Writing strategic read…'
     : 'Score concept';
+  const variantCount = batch?.parse.concepts.length || 0;
+  const canScore = batch ? variantCount >= 2 : !!form.title.trim();
 
   return (
     <div style={formCardStyle}>
       {/* Required row — always visible */}
       <div style={{ display: 'grid', gridTemplateColumns: '1fr 140px', gap: 12, marginBottom: 12 }}>
-        <Field label="Title" required>
-          <input
-            type="text"
-            value={form.title}
-            onChange={(e) => update({ title: e.target.value })}
-            placeholder='e.g. "How to install your first system in under 30 minutes"'
-            style={inputStyle}
-          />
-        </Field>
+        {batch ? (
+          <Field label="Variants" required>
+            <textarea
+              value={batch.text}
+              onChange={(e) => batch.setText(e.target.value)}
+              rows={6}
+              style={{ ...inputStyle, resize: 'vertical', fontFamily: 'inherit' }}
+              placeholder={`One title per line — or paste CSV with a header row:\ntitle,format,length,day,block,topic,hook`}
+            />
+            <div style={{ fontSize: 11, color: '#666', marginTop: 4 }}>
+              {variantCount} variant{variantCount === 1 ? '' : 's'}
+              {batch.parse.mode === 'csv' && ' from CSV'}
+              {batch.parse.skipped.length > 0 && (
+                <span style={{ color: '#E8A82B' }}>
+                  {' · '}skipped {batch.parse.skipped.map(sk => `line ${sk.line} (${sk.reason})`).join(', ')}
+                </span>
+              )}
+              {' · '}max {MAX_BATCH_VARIANTS}; slot, length, topic and hook below apply to every variant
+            </div>
+          </Field>
+        ) : (
+          <Field label="Title" required>
+            <input
+              type="text"
+              value={form.title}
+              onChange={(e) => update({ title: e.target.value })}
+              placeholder='e.g. "How to install your first system in under 30 minutes"'
+              style={inputStyle}
+            />
+          </Field>
+        )}
         <Field label="Format" required>
           <select value={form.format} onChange={(e) => update({ format: e.target.value })} style={inputStyle}>
             <option value="long_form">Long-form</option>
@@ -602,6 +866,12 @@ function ConceptForm({ form, setForm, optionalsOpen, setOptionalsOpen, pillars,
             />
           </Field>
 
+          {form.format !== 'shorts' && (
+            <Field label="Mock thumbnail (optional)" full>
+              <MockThumbnailInput value={mockThumbnail} onChange={setMockThumbnail} thumbnailContext={thumbnailContext} />
+            </Field>
+          )}
+
           <Field label="Strategist notes (optional)" full>
             <textarea
               value={form.notes}
@@ -615,9 +885,23 @@ function ConceptForm({ form, setForm, optionalsOpen, setOptionalsOpen, pillars,
       )}
 
       <div style={{ marginTop: 14, display: 'flex', gap: 10, alignItems: 'center' }}>
-        <button onClick={onScore} disabled={scoring || !form.title.trim()} style={scoreBtnStyle(scoring)}>
-          {scoring ? phaseLabel : 'Score concept'}
+        <button onClick={onScore} disabled={scoring || !canScore} style={scoreBtnStyle(scoring)}>
+          {scoring ? phaseLabel : batch ? `Score ${variantCount} variants` : 'Score concept'}
         </button>
+        {batch && (
+          <label style={{ fontSize: 11, color: '#888', display: 'flex', alignItems: 'center', gap: 6 }}
+            title="Only the top variants by deterministic score get the curiosity, hook and strategic-read LLM calls">
+            LLM pass on top
+            <select
+              value={batch.topK}
+              onChange={(e) => batch.setTopK(Number(e.target.value))}
+              disabled={scoring}
+              style={{ ...inputStyle, width: 60, padding: '4px 6px' }}
+            >
+              {TOP_K_OPTIONS.map(k => <option key={k} value={k}>{k}</option>)}
+            </select>
+          </label>
+        )}
         <button onClick={() => setForm(defaultForm())} disabled={scoring} style={ghostBtnStyle}>
           Clear
         </button>
@@ -703,6 +987,7 @@ function ScorecardDisplay({ scorecard, reading, memoGenerating, memoError, onGen
           <div style={{ fontSize: 10, color: '#666', textTransform: 'uppercase', letterSpacing: 1, marginBottom: 4 }}>Scoring result</div>
           {input?.title && <div style={{ fontSize: 14, fontWeight: 600, color: '#e8e2d0', marginBottom: 6 }}>"{input.title}"</div>}
           <div style={{ fontSize: 12, color: '#888' }}>{composite_rationale}</div>
+          <CompositeWeightsNote weights={scorecard.composite_weights} profileId={scorecard.weight_profile_id} />
         </div>
         <TierBadge tier={composite_tier} size="lg" />
       </div>
@@ -717,6 +1002,8 @@ function ScorecardDisplay({ scorecard, reading, memoGenerating, memoError, onGen
         {scores?.curiosity_gap &&  <DimensionCard name="Curiosity gap" dim={scores.curiosity_gap} />}
         {scores?.hook_promise_delivery && <DimensionCard name="Hook delivery" dim={scores.hook_promise_delivery} />}
         {scores?.topic_authority && <DimensionCard name="Topic authority" dim={scores.topic_authority} />}
+        {scores?.thumbnail &&      <DimensionCard name="Thumbnail" dim={scores.thumbnail} />}
+        {scores?.packaging_coherence && <DimensionCard name="Title × thumbnail" dim={scores.packaging_coherence} />}
       </div>
 
       {suggested_tweaks?.length > 0 && (
@@ -1020,7 +1307,7 @@ function HowWeScoreFooter() {
           />
           <MethodLine
             label="Composite logic"
-            body={'Two or more dimensions at predicted_under → composite predicted_under. Any one predicted_under → composite caps at risky. Two or more very_likely_outperform with no underperformers → composite very_likely_outperform. Majority risky → composite risky. Null dimensions self-exclude (they don\'t drag the composite down — they\'re just absent).'}
+            body={'Two or more dimensions at predicted_under → composite predicted_under. Any one predicted_under → composite caps at risky. Two or more very_likely_outperform with no underperformers → composite very_likely_outperform. Majority risky → composite risky. Null dimensions self-exclude (they don\'t drag the composite down — they\'re just absent). When the client has an active per-format weight profile (fitted in Calibration), each dimension counts its weight instead of 1 — e.g. a near-noise Shorts slot signal can count for almost nothing.'}
           />
           <MethodLine
             label="What's NOT measured"
@@ -1036,6 +1323,22 @@ function HowWeScoreFooter() {
   );
 }
 
+// Which composite rules produced this scorecard's tier. Scorecards saved
+// before migration 109, or for clients without an active profile, carry
+// no weights → counting rules.
+function CompositeWeightsNote({ weights, profileId }) {
+  if (!weights) {
+    return <div style={{ fontSize: 10, color: '#555', marginTop: 4 }}>Composite: default counting rules</div>;
+  }
+  const entries = Object.entries(weights).filter(([, w]) => Number(w) !== 1);
+  return (
+    <div style={{ fontSize: 10, color: '#555', marginTop: 4 }} title={profileId ? `Weight profile ${profileId}` : undefined}>
+      Composite: per-format weight profile
+      {entries.length > 0 && ` · ${entries.map(([k, w]) => `${k.replace(/_/g, ' ')} ×${Number(w).toFixed(2)}`).join(' · ')}`}
+    </div>
+  );
+}
+
 function DimensionCard({ name, dim }) {
   // Methodology expander state — collapsed by default. Strategist
   // clicks "How this was computed" to reveal formula + sample +
@@ -1050,7 +1353,13 @@ function DimensionCard({ name, dim }) {
   // sub-label too.
   let primary = null;     // big number
   let subLabel = null;    // line under the big number
-  if (dim.composite_lift_pct != null) {
+  if (dim.thumbnail_traits !== undefined) {
+    // Thumbnail — best matched trait's lift; traits read off the mock.
+    primary = dim.composite_lift_pct != null ? `${dim.composite_lift_pct >= 0 ? '+' : ''}${dim.composite_lift_pct}%` : null;
+    subLabel = dim.thumbnail_traits.length
+      ? dim.thumbnail_traits.map(t => t.replace(/_/g, ' ')).join(' · ')
+      : 'no scored traits in the mock';
+  } else if (dim.composite_lift_pct != null) {
     primary = `${dim.composite_lift_pct >= 0 ? '+' : ''}${dim.composite_lift_pct}%`;
     subLabel = dim.confidence
       ? `${dim.confidence}${dim.n != null ? ` · n=${dim.n}` : ''}`
@@ -1076,6 +1385,10 @@ function DimensionCard({ name, dim }) {
     // Hook promise delivery — same 1–10 visual shape as curiosity_gap.
     primary = `${dim.hook_score}/10`;
     subLabel = dim.cached ? 'cached LLM rating' : 'fresh LLM rating';
+  } else if (dim.coherence_score != null) {
+    // Title × thumbnail coherence — same 1–10 visual shape.
+    primary = `${dim.coherence_score}/10`;
+    subLabel = dim.cached ? 'cached Vision rating' : 'fresh Vision rating';
   } else if (dim.topic_max_similarity != null) {
     // Topic authority — render the max cosine similarity as the
     // primary metric. text-embedding-3-small similarities typically
@@ -1134,6 +1447,14 @@ function DimensionCard({ name, dim }) {
         </div>
       )}
       {dim.note && <div style={{ fontSize: 11, color: '#888', marginTop: 4, fontStyle: 'italic' }}>{dim.note}</div>}
+      {dim.thumbnail_traits !== undefined && dim.drags?.length > 0 && (
+        <div style={{ fontSize: 11, color: '#E8A82B', marginTop: 6, lineHeight: 1.4 }}>
+          ⚠ Losing trait: {dim.drags.map(d => `${d.label} (${d.lift_pct}%)`).join(', ')}
+        </div>
+      )}
+      {dim.thumbnail_traits !== undefined && dim.notes && (
+        <div style={{ fontSize: 11, color: '#888', marginTop: 6, lineHeight: 1.4 }}>{dim.notes}</div>
+      )}
 
       {/* Methodology — collapsed by default. The data the methodology
           block reads is the same data the score above is built from;
@@ -1191,6 +1512,22 @@ function MethodLine({ label, body }) {
 function buildMethodology(dim, dimensionName) {
   const name = (dimensionName || '').toLowerCase();
 
+  // Thumbnail (Phase 3) — checked before title patterns, which share
+  // the matched / drags shape.
+  if (dim.thumbnail_traits !== undefined) {
+    return {
+      formula: 'Claude Vision codes the mock on the same per-thumbnail rubric as the cohort extraction (face, close-up framing, host, text overlay, large text, all caps, scene-led). For each trait, lift = (trimmed median view multiplier of cohort thumbnails with it) ÷ (those without), where a video\'s multiplier is its views over its channel\'s trimmed median. The best matched trait sets the tier; one statistical drag caps it at risky, two at predicted under.',
+      sample: `${dim.cohort_thumbnail_count ?? 0} coded cohort thumbnails (long-form, each channel's ~12 most recent uploads). Each trait cites its own n.`,
+      confidence: 'Statistical: ≥ 30 thumbnails on both sides of the trait AND the drop-top check passes. A trait where one channel contributes ≥ 60% of the thumbnails is held at directional — that is a house style, not a trait.',
+      caveats: [
+        'Traits are read from channel_production_signals; channels refreshed before per-thumbnail coding don\'t contribute until their production signals are refreshed.',
+        'Recent uploads are still accruing views, so the multiplier slightly favors older thumbnails in the sample.',
+        dim.missing?.length ? `Cohort winners the mock lacks: ${dim.missing.map(m => m.label).join(', ')}.` : null,
+      ].filter(Boolean),
+      source: `thumbnailConceptService — prompt ${dim.prompt_version || 'v1-thumbnail-signals'}, cached by image.`,
+    };
+  }
+
   // Title pattern stack
   if (dim.matched !== undefined && dim.drags !== undefined) {
     const matchedCount = dim.matched?.length || 0;
@@ -1305,6 +1642,20 @@ function buildMethodology(dim, dimensionName) {
     };
   }
 
+  // Title × thumbnail coherence (Phase 3)
+  if (dim.coherence_score !== undefined) {
+    return {
+      formula: 'Claude Vision 1–10 rating of whether the title and the uploaded mock thumbnail work as one package — same promise, split across image and words. Redundant pairs (thumbnail text restates the title) and contradictory pairs (thumbnail sets up a different video) both score low.',
+      sample: 'One Vision call per (title, mock, format). Only fires when a mock thumbnail is uploaded; Shorts are skipped.',
+      confidence: `Prompt version ${dim.prompt_version || 'v1-packaging-coherence-1-10'}. ${dim.cached ? 'Cached result.' : 'Fresh Claude call.'} Cached by (title, image, format, prompt-version), 30-day TTL.`,
+      caveats: [
+        'A rough mock is judged on what it shows — placeholder text or a stand-in photo can read as redundant or off-promise when the final art wouldn\'t.',
+        'Rates the pairing only; whether the thumbnail\'s traits outperform in the cohort is the thumbnail dimension.',
+      ],
+      source: 'packagingCoherenceService — Claude Sonnet 4.5 with the mock attached.',
+    };
+  }
+
   // Topic authority (Phase 2.6 step 3)
   if (dim.topic_max_similarity !== undefined) {
     return {
@@ -1329,6 +1680,81 @@ function buildMethodology(dim, dimensionName) {
   };
 }
 
+// File picker for the Phase 3 thumbnail dimension. Reads the upload as
+// a data URL (the Vision call sends it base64) and shows a preview.
+// Mock uploads are sent to Claude Vision as base64 through the proxy.
+// Anything larger than a YouTube thumbnail (1280×720) is downscaled
+// and re-encoded as JPEG first; a result still over MOCK_THUMB_MAX_BYTES
+// is rejected on screen instead of failing the dimension silently.
+const MOCK_THUMB_MAX_W = 1280;
+const MOCK_THUMB_MAX_H = 720;
+const MOCK_THUMB_MAX_BYTES = 3_000_000;
+
+async function encodeMockThumbnail(file) {
+  const bitmap = await createImageBitmap(file).catch(() => null);
+  if (!bitmap) throw new Error('Couldn\'t read that image — upload a PNG, JPEG or WebP.');
+  const scale = Math.min(1, MOCK_THUMB_MAX_W / bitmap.width, MOCK_THUMB_MAX_H / bitmap.height);
+  let base64, mediaType;
+  if (scale === 1 && file.size <= MOCK_THUMB_MAX_BYTES) {
+    base64 = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+    mediaType = file.type || 'image/jpeg';
+  } else {
+    const canvas = Object.assign(document.createElement('canvas'), {
+      width:  Math.round(bitmap.width * scale),
+      height: Math.round(bitmap.height * scale),
+    });
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    base64 = canvas.toDataURL('image/jpeg', 0.85);
+    mediaType = 'image/jpeg';
+  }
+  bitmap.close?.();
+  // base64 carries ~4/3 the bytes it encodes.
+  if ((base64.length - base64.indexOf(',') - 1) * 0.75 > MOCK_THUMB_MAX_BYTES) {
+    throw new Error(`Image is still over ${MOCK_THUMB_MAX_BYTES / 1_000_000}MB after resizing — export a smaller file.`);
+  }
+  return { base64, media_type: mediaType, name: file.name };
+}
+
+function MockThumbnailInput({ value, onChange, thumbnailContext }) {
+  const [error, setError] = useState(null);
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setError(null);
+    try {
+      onChange(await encodeMockThumbnail(file));
+    } catch (err) {
+      console.warn('[PreflightPanel] thumbnail read failed:', err);
+      setError(err?.message || 'Couldn\'t read that image.');
+    }
+  };
+  const scoreable = thumbnailContext?.traits?.some(t => t.lift != null);
+  return (
+    <div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+        {value && <img src={value.base64} alt="" style={{ width: 96, height: 54, objectFit: 'cover', borderRadius: 4, border: '1px solid #2a2a30' }} />}
+        <label style={{ ...ghostBtnSmStyle, display: 'inline-block' }}>
+          {value ? 'Replace' : 'Upload image'}
+          <input type="file" accept="image/png,image/jpeg,image/webp" onChange={handleFile} style={{ display: 'none' }} />
+        </label>
+        {value && <button type="button" onClick={() => onChange(null)} style={ghostBtnSmStyle}>Remove</button>}
+        <div style={{ fontSize: 11, color: '#666', lineHeight: 1.4 }}>
+          {scoreable
+            ? `Scored against ${thumbnailContext.thumbnailCount} coded cohort thumbnails.`
+            : 'No coded cohort thumbnails yet — refresh production signals to activate the thumbnail dimension.'}
+        </div>
+      </div>
+      {error && <InlineNote tone="error">{error}</InlineNote>}
+    </div>
+  );
+}
+
 function TierBadge({ tier, size = 'sm' }) {
   const colors = TIER_COLORS[tier] || TIER_COLORS.risky;
   const big = size === 'lg';
@@ -1355,7 +1781,7 @@ function TierBadge({ tier, size = 'sm' }) {
 // History
 // ──────────────────────────────────────────────────
 
-function ScorecardHistory({ history, loading, currentId, onLoad, onArchive }) {
+function ScorecardHistory({ history, loading, currentId, onLoad, onOpenBatch, onArchive }) {
   if (loading) return <InlineNote tone="info">Loading history…</InlineNote>;
   if (!history.length) return null;
   return (
@@ -1370,6 +1796,23 @@ function ScorecardHistory({ history, loading, currentId, onLoad, onArchive }) {
               <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 2 }}>
                 <TierBadge tier={row.composite_tier} />
                 <div style={{ fontSize: 11, color: '#888' }}>{formatRelative(row.created_at)}</div>
+                {row.batch_id && (
+                  <div style={{ fontSize: 10, color: row.batch_rank === 1 ? '#0A919B' : '#666' }}>
+                    {row.batch_rank === 1 ? '★ batch winner' : `batch #${row.batch_rank}`}
+                  </div>
+                )}
+                {row.parent_scorecard_id && (
+                  <div style={{ fontSize: 10, color: '#666' }} title={versionChangesTitle(row.version_changes)}>
+                    what-if version
+                  </div>
+                )}
+                {row.actual_tier ? (
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 10, color: '#666' }}>
+                    actual <TierBadge tier={row.actual_tier} />
+                  </div>
+                ) : row.linked_video_id && (
+                  <div style={{ fontSize: 10, color: '#666' }}>published · awaiting day 28</div>
+                )}
               </div>
               <div style={{ fontSize: 13, color: '#e8e2d0', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
                 {row.input?.title || '(no title)'}
@@ -1377,6 +1820,9 @@ function ScorecardHistory({ history, loading, currentId, onLoad, onArchive }) {
             </div>
             <div style={{ display: 'flex', gap: 6, flexShrink: 0 }}>
               <button onClick={() => onLoad(row.id)} style={ghostBtnSmStyle}>Open</button>
+              {row.batch_id && (
+                <button onClick={() => onOpenBatch(row.batch_id)} style={ghostBtnSmStyle} title="Open the batch comparison">Batch</button>
+              )}
               <button onClick={() => onArchive(row.id)} style={ghostBtnSmStyle} title="Archive">Archive</button>
             </div>
           </div>
@@ -1405,6 +1851,14 @@ function buildInput(form) {
   return out;
 }
 
+// Hover text for a what-if version's history tag: "day: Mon → Thu; …".
+function versionChangesTitle(changes) {
+  if (!changes) return undefined;
+  return Object.entries(changes)
+    .map(([field, { from, to }]) => `${field.replace(/_/g, ' ')}: ${from ?? '—'} → ${to ?? '—'}`)
+    .join('; ');
+}
+
 function formatRelative(iso) {
   if (!iso) return '';
   const ts = new Date(iso).getTime();
@@ -0,0 +1,406 @@
+/**
+ * Prediction ledger — pre-flight scorecards vs what the videos actually
+ * did (scorecardOutcomesService, migration 123).
+ *
+ * Collapsed by default. Opening it loads the client's scorecards,
+ * records any outcomes that came due (day-28 view rank), and shows:
+ *   - running accuracy (exact + within one tier), split by format
+ *   - predicted × actual confusion grid and per-dimension accuracy
+ *   - scorecards awaiting day 28, with unlink
+ *   - unlinked scorecards with suggested uploads to confirm
+ *
+ * Complements the retro audits in CalibrationWorkspace: these are
+ * predictions made before publishing, so they include the LLM
+ * dimensions the audits can't measure.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  loadOutcomeLedger,
+  linkScorecardToVideo,
+  unlinkScorecard,
+  OUTCOME_AGE_DAYS,
+} from '../../../services/scorecardOutcomesService';
+
+const TIERS_DESC = ['very_likely_outperform', 'likely_solid', 'risky', 'predicted_under'];
+
+// Mirror of PreflightPanel's tier palette.
+const TIER_COLORS = {
+  very_likely_outperform: { fg: '#0A919B', bg: 'rgba(10, 145, 155, 0.12)', border: 'rgba(10, 145, 155, 0.35)' },
+  likely_solid:           { fg: '#cde4d6', bg: 'rgba(205, 228, 214, 0.08)', border: 'rgba(205, 228, 214, 0.22)' },
+  risky:                  { fg: '#E8A82B', bg: 'rgba(232, 168, 43, 0.12)',  border: 'rgba(232, 168, 43, 0.35)' },
+  predicted_under:        { fg: '#ef6b6b', bg: 'rgba(239, 107, 107, 0.12)', border: 'rgba(239, 107, 107, 0.35)' },
+};
+
+const TIER_SHORT = {
+  very_likely_outperform: 'Outperform',
+  likely_solid:           'Solid',
+  risky:                  'Risky',
+  predicted_under:        'Under',
+};
+
+const DIMENSION_LABELS = {
+  title_patterns:        'Title patterns',
+  slot:                  'Slot',
+  length:                'Length',
+  topic:                 'Topic',
+  topic_authority:       'Topic authority',
+  surface_fit:           'Surface fit',
+  search_keyword_match:  'Search match',
+  curiosity_gap:         'Curiosity gap',
+  hook_promise_delivery: 'Hook delivery',
+  thumbnail:             'Thumbnail',
+  packaging_coherence:   'Title × thumbnail',
+};
+
+export default function ScorecardOutcomeLedger({ clientId, refreshKey }) {
+  const [open, setOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const refresh = async () => {
+    setLoading(true);
+    setError(null);
+    const result = await loadOutcomeLedger(clientId);
+    if (result.ok) setData(result);
+    else setError(result.error || 'Failed to load the ledger');
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    if (open) refresh();
+    /* eslint-disable-next-line react-hooks/exhaustive-deps */
+  }, [open, clientId, refreshKey]);
+
+  const handleLink = async (scorecard, suggestion) => {
+    setBusyId(scorecard.id);
+    const ok = await linkScorecardToVideo({
+      id: scorecard.id,
+      videoId: suggestion.videoId,
+      youtubeVideoId: suggestion.youtubeVideoId,
+      confidence: Math.round(suggestion.confidence * 1000) / 1000,
+    });
+    setBusyId(null);
+    if (!ok) { setError('Link failed — see console'); return; }
+    refresh();
+  };
+
+  const handleUnlink = async (scorecard) => {
+    setBusyId(scorecard.id);
+    const ok = await unlinkScorecard(scorecard.id);
+    setBusyId(null);
+    if (!ok) { setError('Unlink failed — see console'); return; }
+    refresh();
+  };
+
+  if (!open) {
+    return (
+      <button onClick={() => setOpen(true)} style={collapsedBtnStyle}>
+        ▸ Prediction ledger — scorecards vs published outcomes
+      </button>
+    );
+  }
+
+  const ledger = data?.ledger;
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 12 }}>
+        <div>
+          <div style={kickerStyle}>Prediction ledger</div>
+          <div style={subtleStyle}>
+            Linked scorecards settle at day {OUTCOME_AGE_DAYS}: the video's views are ranked against the channel's earlier same-format uploads at the same age, and the quartile is the actual tier.
+          </div>
+        </div>
+        <div style={{ display: 'flex', gap: 10, flexShrink: 0 }}>
+          <button onClick={refresh} disabled={loading} style={collapseBtnStyle}>{loading ? 'Loading…' : 'Refresh'}</button>
+          <button onClick={() => setOpen(false)} style={collapseBtnStyle}>▾ Hide</button>
+        </div>
+      </div>
+
+      {error && <div style={{ fontSize: 12, color: '#ef6b6b', marginTop: 8 }}>{error}</div>}
+      {loading && !data && <div style={{ ...subtleStyle, marginTop: 10 }}>Loading scorecards and recording due outcomes…</div>}
+
+      {data && (
+        <>
+          {data.recordedNow > 0 && (
+            <div style={{ fontSize: 11, color: '#0A919B', marginTop: 8 }}>
+              Recorded {data.recordedNow} new outcome{data.recordedNow === 1 ? '' : 's'}.
+            </div>
+          )}
+
+          {ledger.n === 0 ? (
+            <div style={{ ...subtleStyle, marginTop: 10 }}>
+              No settled predictions yet. Link scorecards to their published videos below; each settles {OUTCOME_AGE_DAYS} days after publishing.
+            </div>
+          ) : (
+            <LedgerSummary ledger={ledger} />
+          )}
+
+          {data.settled.length > 0 && <SettledList settled={data.settled} />}
+
+          {data.awaiting.length > 0 && (
+            <Section title={`Awaiting day ${OUTCOME_AGE_DAYS} (${data.awaiting.length})`}>
+              {data.awaiting.map(({ scorecard, video, dueAt, reason }) => (
+                <div key={scorecard.id} style={rowStyle}>
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={rowTitleStyle}>{scorecard.input?.title}</div>
+                    <div style={rowMetaStyle}>
+                      → {video?.title || scorecard.linked_youtube_video_id || 'linked video'}
+                      {' · '}
+                      {reason
+                        ? <span style={{ color: '#E8A82B' }}>can't settle: {reason}</span>
+                        : dueAt ? `settles ${formatDue(dueAt)}` : 'video not found in the last sync'}
+                    </div>
+                  </div>
+                  <TierChip tier={scorecard.composite_tier} />
+                  <button onClick={() => handleUnlink(scorecard)} disabled={busyId === scorecard.id} style={smallBtnStyle}>Unlink</button>
+                </div>
+              ))}
+            </Section>
+          )}
+
+          {data.unlinked.length > 0 && (
+            <Section title={`Published? Confirm the match (${data.unlinked.length})`}>
+              {data.unlinked.map(({ scorecard, suggestions }) => (
+                <div key={scorecard.id} style={{ ...rowStyle, alignItems: 'flex-start' }}>
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={rowTitleStyle}>
+                      {scorecard.input?.title}
+                      {scorecard.batch_id && <span style={{ color: '#666', fontWeight: 400 }}> · batch #{scorecard.batch_rank}</span>}
+                    </div>
+                    {suggestions.map(sg => (
+                      <div key={sg.videoId} style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 4 }}>
+                        <span style={{ ...rowMetaStyle, flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                          {sg.title} · {new Date(sg.publishedAt).toLocaleDateString()}
+                        </span>
+                        <span style={{ fontSize: 10, color: '#666', fontVariantNumeric: 'tabular-nums' }}
+                          title={`Title overlap ${Math.round(sg.titleScore * 100)}%`}>
+                          {Math.round(sg.confidence * 100)}% match
+                        </span>
+                        <button onClick={() => handleLink(scorecard, sg)} disabled={busyId === scorecard.id} style={smallBtnStyle}>Link</button>
+                      </div>
+                    ))}
+                  </div>
+                  <TierChip tier={scorecard.composite_tier} />
+                </div>
+              ))}
+            </Section>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─────────────────────────────────────────────────────
+// Sub-components
+// ─────────────────────────────────────────────────────
+
+function LedgerSummary({ ledger }) {
+  const { composite, byFormat, perDimension, running } = ledger;
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 1fr) auto', gap: 16, marginTop: 12 }}>
+      <div>
+        <div style={{ display: 'flex', gap: 18, flexWrap: 'wrap', alignItems: 'baseline' }}>
+          <Stat label="Settled" value={composite.n} />
+          <Stat label="Exact tier" value={formatPct(composite.accuracy)} />
+          <Stat label="Within one tier" value={formatPct(composite.adjacent_accuracy)} />
+          {['long_form', 'shorts'].map(f => byFormat[f].n > 0 && (
+            <Stat key={f} label={f === 'shorts' ? 'Shorts' : 'Long-form'} value={`${formatPct(byFormat[f].accuracy)} · n=${byFormat[f].n}`} />
+          ))}
+        </div>
+        {running.length > 1 && <RunningLine running={running} />}
+
+        {Object.keys(perDimension).length > 0 && (
+          <table style={{ borderCollapse: 'collapse', fontSize: 11, marginTop: 12, width: '100%' }}>
+            <thead>
+              <tr>
+                <th style={thStyle}>Dimension</th>
+                <th style={{ ...thStyle, textAlign: 'right' }}>n</th>
+                <th style={{ ...thStyle, textAlign: 'right' }}>Exact</th>
+                <th style={{ ...thStyle, textAlign: 'right' }}>Within one</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(perDimension).map(([key, m]) => (
+                <tr key={key}>
+                  <td style={tdStyle}>{DIMENSION_LABELS[key] || key}</td>
+                  <td style={{ ...tdStyle, textAlign: 'right', color: '#666' }}>{m.n}</td>
+                  <td style={{ ...tdStyle, textAlign: 'right' }}>{formatPct(m.accuracy)}</td>
+                  <td style={{ ...tdStyle, textAlign: 'right' }}>{formatPct(m.adjacent_accuracy)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+      <ConfusionGrid confusion={composite.confusion} />
+    </div>
+  );
+}
+
+function Stat({ label, value }) {
+  return (
+    <div>
+      <div style={{ fontSize: 10, color: '#666', textTransform: 'uppercase', letterSpacing: 0.6 }}>{label}</div>
+      <div style={{ fontSize: 15, color: '#e8e2d0', fontWeight: 700, fontVariantNumeric: 'tabular-nums' }}>{value}</div>
+    </div>
+  );
+}
+
+// Cumulative exact accuracy (solid) and within-one accuracy (faint) by
+// settled count.
+function RunningLine({ running }) {
+  const W = 260;
+  const H = 40;
+  const x = (i) => (running.length === 1 ? W : (i / (running.length - 1)) * W);
+  const y = (v) => H - v * H;
+  const path = (key) => running.map((p, i) => `${i ? 'L' : 'M'}${x(i).toFixed(1)},${y(p[key]).toFixed(1)}`).join(' ');
+  return (
+    <div style={{ marginTop: 10 }}>
+      <svg width={W} height={H} style={{ display: 'block', overflow: 'visible' }}>
+        <line x1={0} x2={W} y1={y(0.25)} y2={y(0.25)} stroke="#2a2a30" strokeDasharray="3 3" />
+        <path d={path('adjacent_accuracy')} fill="none" stroke="rgba(10,145,155,0.35)" strokeWidth={1.5} />
+        <path d={path('accuracy')} fill="none" stroke="#0A919B" strokeWidth={1.5} />
+      </svg>
+      <div style={{ fontSize: 10, color: '#555', marginTop: 2 }}>
+        Running accuracy by settled prediction · dashed line = 25% chance for exact tier
+      </div>
+    </div>
+  );
+}
+
+function ConfusionGrid({ confusion }) {
+  const max = Math.max(1, ...TIERS_DESC.flatMap(p => TIERS_DESC.map(a => confusion[p]?.[a] || 0)));
+  return (
+    <div>
+      <div style={{ fontSize: 10, color: '#666', marginBottom: 4 }}>Predicted ↓ · actual →</div>
+      <table style={{ borderCollapse: 'separate', borderSpacing: 2, fontSize: 10 }}>
+        <thead>
+          <tr>
+            <th />
+            {TIERS_DESC.map(a => <th key={a} style={{ color: TIER_COLORS[a].fg, fontWeight: 600, padding: '0 2px' }}>{TIER_SHORT[a]}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {TIERS_DESC.map(p => (
+            <tr key={p}>
+              <td style={{ color: TIER_COLORS[p].fg, textAlign: 'right', paddingRight: 4, fontWeight: 600 }}>{TIER_SHORT[p]}</td>
+              {TIERS_DESC.map(a => {
+                const count = confusion[p]?.[a] || 0;
+                return (
+                  <td key={a} style={{
+                    width: 34, height: 22, textAlign: 'center', borderRadius: 3,
+                    background: count ? `rgba(10,145,155,${(0.12 + 0.6 * count / max).toFixed(2)})` : '#141417',
+                    color: count ? '#fff' : '#444',
+                    outline: p === a ? '1px solid #3a3a42' : 'none',
+                    fontVariantNumeric: 'tabular-nums',
+                  }}>{count || '·'}</td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function SettledList({ settled }) {
+  const recent = [...settled]
+    .sort((a, b) => Date.parse(b.outcome_recorded_at) - Date.parse(a.outcome_recorded_at))
+    .slice(0, 8);
+  return (
+    <Section title="Recently settled">
+      {recent.map(s => (
+        <div key={s.id} style={rowStyle}>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={rowTitleStyle}>{s.input?.title}</div>
+            {s.outcome && (
+              <div style={rowMetaStyle}>
+                {s.outcome.views.toLocaleString()} views at day {s.outcome.age_days} vs {s.outcome.reference_median.toLocaleString()} channel median · {Math.round(s.outcome.percentile * 100)}th percentile of {s.outcome.reference_n}
+              </div>
+            )}
+          </div>
+          <TierChip tier={s.composite_tier} />
+          <span style={{ color: '#555', fontSize: 11 }}>→</span>
+          <TierChip tier={s.actual_tier} />
+        </div>
+      ))}
+    </Section>
+  );
+}
+
+function Section({ title, children }) {
+  return (
+    <div style={{ marginTop: 14 }}>
+      <div style={{ fontSize: 10, color: '#666', textTransform: 'uppercase', letterSpacing: 1, marginBottom: 6 }}>{title}</div>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>{children}</div>
+    </div>
+  );
+}
+
+function TierChip({ tier }) {
+  const colors = TIER_COLORS[tier] || TIER_COLORS.risky;
+  return (
+    <span style={{
+      flexShrink: 0, padding: '1px 7px', borderRadius: 99, fontSize: 9, fontWeight: 700,
+      textTransform: 'uppercase', letterSpacing: 0.6,
+      background: colors.bg, color: colors.fg, border: `1px solid ${colors.border}`,
+    }}>{TIER_SHORT[tier] || tier}</span>
+  );
+}
+
+function formatPct(x) {
+  return x == null ? '—' : `${Math.round(x * 100)}%`;
+}
+
+function formatDue(iso) {
+  const days = Math.ceil((Date.parse(iso) - Date.now()) / 86400000);
+  if (days <= 0) return 'on the next refresh';
+  return `in ${days} day${days === 1 ? '' : 's'}`;
+}
+
+// ─────────────────────────────────────────────────────
+// Styles — match SurfacePullPanel
+// ─────────────────────────────────────────────────────
+
+const collapsedBtnStyle = {
+  background: 'transparent', border: 'none',
+  color: '#888', fontSize: 11, fontWeight: 600,
+  textAlign: 'left', padding: 0, cursor: 'pointer', marginTop: 10,
+};
+const collapseBtnStyle = { ...collapsedBtnStyle, marginTop: 0 };
+
+const panelStyle = {
+  background: '#0e0e11',
+  border: '1px solid rgba(10,145,155,0.20)',
+  borderLeft: '2px solid #0A919B',
+  borderRadius: 6, padding: 12, marginTop: 12,
+};
+const kickerStyle = {
+  fontSize: 11, color: '#0A919B',
+  textTransform: 'uppercase', letterSpacing: 1, fontWeight: 700,
+};
+const subtleStyle = { fontSize: 11, color: '#666', marginTop: 2, lineHeight: 1.5 };
+
+const rowStyle = {
+  display: 'flex', alignItems: 'center', gap: 8,
+  background: '#1a1a1f', border: '1px solid #2a2a30', borderRadius: 5, padding: '6px 10px',
+};
+const rowTitleStyle = { fontSize: 12, color: '#e8e2d0', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' };
+const rowMetaStyle = { fontSize: 11, color: '#777', marginTop: 1 };
+
+const smallBtnStyle = {
+  flexShrink: 0, background: 'transparent', color: '#aaa', border: '1px solid #333',
+  borderRadius: 4, padding: '2px 8px', fontSize: 11, cursor: 'pointer', fontFamily: 'inherit',
+};
+
+const thStyle = {
+  textAlign: 'left', padding: '4px 6px', fontSize: 10, fontWeight: 600, color: '#666',
+  textTransform: 'uppercase', letterSpacing: 0.5, borderBottom: '1px solid #232328',
+};
+const tdStyle = { padding: '4px 6px', color: '#ccc', fontVariantNumeric: 'tabular-nums' };
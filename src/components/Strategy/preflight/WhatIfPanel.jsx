@@ -0,0 +1,472 @@
+/**
+ * What-if explorer — counterfactual edits on a saved scorecard.
+ *
+ * The strategist changes slot, length, title, topic or hook beat and
+ * the deterministic dimensions re-score on every keystroke
+ * (conceptScorerService.scoreWhatIf — pure, no network). The LLM /
+ * embedding dimensions (curiosity gap, hook delivery, topic authority,
+ * title × thumbnail coherence) keep the saved value and are marked stale when an input they depend
+ * on changed; "Re-run stale" fetches fresh ratings for the edited
+ * concept. Each dimension shows its tier move next to the composite
+ * move.
+ *
+ * "Save as version" re-runs anything still stale, then saves the
+ * what-if as a new scorecard pointing at the original (migration 124),
+ * so a saved version never carries ratings for a different title.
+ * Coherence can only be re-rated against the mock it was rated on —
+ * when that mock isn't the one loaded in the form, the re-run drops
+ * the dimension instead.
+ *
+ * Scores against the cohort context currently loaded in Pre-flight,
+ * which may be newer than the one the original was scored on — the
+ * header says so when the dates differ.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { scoreWhatIf, TIERS } from '../../../services/conceptScorerService';
+import { saveScorecard, loadScorecard } from '../../../services/conceptScorecardsService';
+import { rateCuriosityGap } from '../../../services/curiosityGapService';
+import { rateHookDelivery } from '../../../services/hookPromiseDeliveryService';
+import { getConceptEmbedding } from '../../../services/topicAuthorityService';
+import { ratePackagingCoherence, thumbnailImageHash } from '../../../services/packagingCoherenceService';
+
+// Mirror of PreflightPanel's tier palette.
+const TIER_COLORS = {
+  very_likely_outperform: { fg: '#0A919B', bg: 'rgba(10, 145, 155, 0.12)', border: 'rgba(10, 145, 155, 0.35)' },
+  likely_solid:           { fg: '#cde4d6', bg: 'rgba(205, 228, 214, 0.08)', border: 'rgba(205, 228, 214, 0.22)' },
+  risky:                  { fg: '#E8A82B', bg: 'rgba(232, 168, 43, 0.12)',  border: 'rgba(232, 168, 43, 0.35)' },
+  predicted_under:        { fg: '#ef6b6b', bg: 'rgba(239, 107, 107, 0.12)', border: 'rgba(239, 107, 107, 0.35)' },
+};
+
+const TIER_SHORT = {
+  very_likely_outperform: 'Outperform',
+  likely_solid:           'Solid',
+  risky:                  'Risky',
+  predicted_under:        'Under',
+};
+
+// Mirror of PreflightPanel's slot options.
+const DAY_OPTIONS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const BLOCK_OPTIONS = ['12am–6am', '6am–12pm', '12pm–6pm', '6pm–12am'];
+
+// Row order matches ScorecardDisplay's dimension cards.
+const DIMENSION_ROWS = [
+  { key: 'title_patterns',        label: 'Title patterns' },
+  { key: 'slot',                  label: 'Slot' },
+  { key: 'length',                label: 'Length' },
+  { key: 'topic',                 label: 'Topic' },
+  { key: 'surface_fit',           label: 'Surface fit' },
+  { key: 'search_keyword_match',  label: 'Search match' },
+  { key: 'curiosity_gap',         label: 'Curiosity gap' },
+  { key: 'hook_promise_delivery', label: 'Hook delivery' },
+  { key: 'topic_authority',       label: 'Topic authority' },
+  { key: 'thumbnail',             label: 'Thumbnail' },
+  { key: 'packaging_coherence',   label: 'Title × thumbnail' },
+];
+
+const FIELD_LABELS = {
+  title:              'title',
+  planned_day:        'day',
+  planned_hour_block: 'time block',
+  length_seconds:     'length',
+  topic_label:        'topic',
+  hook_beat:          'hook beat',
+};
+
+export default function WhatIfPanel({ scorecard, cohortContext, clientId, mockThumbnail, onSaved }) {
+  const [open, setOpen] = useState(false);
+  const [base, setBase] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [rerun, setRerun] = useState({});
+  const [rerunning, setRerunning] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // History rows are listed without their scores — fetch the full row
+  // the first time the panel opens on one.
+  useEffect(() => {
+    if (!open || !scorecard?.id) return;
+    let cancelled = false;
+    setError(null);
+    (async () => {
+      const full = scorecard.scores ? scorecard : await loadScorecard(scorecard.id);
+      if (cancelled) return;
+      if (!full?.scores) { setError('Could not load this scorecard\'s scores'); return; }
+      setBase(full);
+      setDraft(toDraft(full.input));
+      setRerun({});
+    })();
+    return () => { cancelled = true; };
+    // Keyed on id: the strategic read landing on the same scorecard
+    // shouldn't reset an in-progress what-if.
+    /* eslint-disable-next-line react-hooks/exhaustive-deps */
+  }, [open, scorecard?.id]);
+
+  const input = useMemo(() => (base && draft ? fromDraft(base.input, draft) : null), [base, draft]);
+
+  const result = useMemo(() => {
+    if (!input || !cohortContext) return null;
+    try {
+      return scoreWhatIf({ baseInput: base.input, baseScores: base.scores, input, cohortContext, rerun });
+    } catch (err) {
+      console.warn('[WhatIfPanel] rescore failed:', err);
+      return null;
+    }
+  }, [input, base, cohortContext, rerun]);
+
+  // The form's mock, when it's the one the saved coherence rating saw.
+  const ratedHash = base?.scores?.packaging_coherence?.image_hash;
+  const coherenceMock = ratedHash && thumbnailImageHash(mockThumbnail) === ratedHash ? mockThumbnail : null;
+
+  const update = (field, value) => {
+    setDraft(d => ({ ...d, [field]: value }));
+    // Fresh ratings were for the previous text; drop the ones this
+    // field feeds so they go stale again.
+    if (field === 'title') setRerun({});
+    if (field === 'hook_beat') setRerun(r => { const { hookResult, ...rest } = r; return rest; });
+  };
+
+  // Fetch fresh async ratings for every stale dimension. Returns the
+  // merged rerun map so save can use it without waiting on state.
+  const runStale = async () => {
+    const stale = result?.stale || [];
+    if (!stale.length) return rerun;
+    setRerunning(true);
+    setError(null);
+    try {
+      const [curiosityResult, hookResult, conceptEmbedding, coherenceResult] = await Promise.all([
+        stale.includes('curiosity_gap')
+          ? rateCuriosityGap(input.title, { format: input.format, clientId })
+          : Promise.resolve(undefined),
+        stale.includes('hook_promise_delivery')
+          ? rateHookDelivery(input.title, input.hook_beat, { format: input.format, clientId })
+          : Promise.resolve(undefined),
+        stale.includes('topic_authority')
+          ? getConceptEmbedding(input.title)
+          : Promise.resolve(undefined),
+        stale.includes('packaging_coherence')
+          ? (coherenceMock
+            ? ratePackagingCoherence(input.title, coherenceMock, { format: input.format, clientId })
+            : Promise.resolve(null))
+          : Promise.resolve(undefined),
+      ]);
+      const next = { ...rerun };
+      if (curiosityResult !== undefined) next.curiosityResult = curiosityResult;
+      if (hookResult !== undefined) next.hookResult = hookResult;
+      if (conceptEmbedding !== undefined) next.conceptEmbedding = conceptEmbedding;
+      if (coherenceResult !== undefined) next.coherenceResult = coherenceResult;
+      setRerun(next);
+      return next;
+    } catch (err) {
+      setError(err?.message || 'Re-run failed');
+      return null;
+    } finally {
+      setRerunning(false);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!result || !Object.keys(result.changes).length) return;
+    setSaving(true);
+    const fresh = await runStale();
+    if (!fresh) { setSaving(false); return; }
+    const output = scoreWhatIf({ baseInput: base.input, baseScores: base.scores, input, cohortContext, rerun: fresh });
+    const { stale, changes, ...scoringOutput } = output;
+    const saved = await saveScorecard({
+      clientId,
+      pillarId: base.pillar_id || null,
+      input,
+      scoringOutput,
+      cohortDataAt: cohortContext.coverage?.generatedAt,
+      parentScorecardId: base.id,
+      versionChanges: changes,
+    });
+    setSaving(false);
+    if (!saved) { setError('Save failed — see console'); return; }
+    onSaved?.({
+      id: saved.id,
+      created_at: saved.created_at,
+      pillar_id: base.pillar_id || null,
+      input,
+      ...scoringOutput,
+      parent_scorecard_id: base.id,
+      version_changes: changes,
+    });
+  };
+
+  if (!scorecard?.id || scorecard._unsaved) return null;
+
+  if (!open) {
+    return (
+      <button onClick={() => setOpen(true)} style={collapsedBtnStyle}>
+        ▸ What if… — change slot, length, title or topic and re-score
+      </button>
+    );
+  }
+
+  const changed = result ? Object.keys(result.changes) : [];
+  const cohortMoved = base?.cohort_data_at && cohortContext?.coverage?.generatedAt
+    && base.cohort_data_at !== cohortContext.coverage.generatedAt;
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 12 }}>
+        <div>
+          <div style={kickerStyle}>What if…</div>
+          <div style={subtleStyle}>
+            Deterministic dimensions re-score as you type. LLM dimensions keep their saved rating and go stale when their inputs change.
+            {cohortMoved && ' Scored against the current cohort data, which is newer than the original\'s.'}
+          </div>
+        </div>
+        <button onClick={() => setOpen(false)} style={collapseBtnStyle}>▾ Hide</button>
+      </div>
+
+      {error && <div style={{ fontSize: 12, color: '#ef6b6b', marginTop: 8 }}>{error}</div>}
+      {!draft && !error && <div style={{ ...subtleStyle, marginTop: 10 }}>Loading scorecard…</div>}
+
+      {draft && (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: 10, marginTop: 12 }}>
+            <div style={{ gridColumn: '1 / -1' }}>
+              <label style={labelStyle}>Title</label>
+              <input value={draft.title} onChange={e => update('title', e.target.value)} style={inputStyle} />
+            </div>
+            <div>
+              <label style={labelStyle}>Day</label>
+              <select value={draft.planned_day} onChange={e => update('planned_day', e.target.value)} style={inputStyle}>
+                <option value="">—</option>
+                {DAY_OPTIONS.map(d => <option key={d} value={d}>{d}</option>)}
+              </select>
+            </div>
+            <div>
+              <label style={labelStyle}>Time block</label>
+              <select value={draft.planned_hour_block} onChange={e => update('planned_hour_block', e.target.value)} style={inputStyle}>
+                <option value="">—</option>
+                {BLOCK_OPTIONS.map(b => <option key={b} value={b}>{b}</option>)}
+              </select>
+            </div>
+            {base.input?.format !== 'shorts' && (
+              <div>
+                <label style={labelStyle}>Length (min)</label>
+                <input
+                  type="number" min="1" step="1"
+                  value={draft.length_minutes}
+                  onChange={e => update('length_minutes', e.target.value)}
+                  style={inputStyle}
+                />
+              </div>
+            )}
+            <div>
+              <label style={labelStyle}>Topic</label>
+              <input
+                value={draft.topic_label}
+                onChange={e => update('topic_label', e.target.value)}
+                list="whatif-topics"
+                style={inputStyle}
+              />
+              <datalist id="whatif-topics">
+                {(cohortContext?.whiteSpaceResult?.topicCoverage || []).map(t => <option key={t.name} value={t.name} />)}
+              </datalist>
+            </div>
+            <div style={{ gridColumn: '1 / -1' }}>
+              <label style={labelStyle}>Hook beat</label>
+              <input value={draft.hook_beat} onChange={e => update('hook_beat', e.target.value)} style={inputStyle} />
+            </div>
+          </div>
+
+          {result && (
+            <>
+              <CompositeMove from={base.composite_tier} to={result.composite_tier} provisional={result.stale.length > 0} />
+
+              <table style={{ borderCollapse: 'collapse', fontSize: 12, marginTop: 8, width: '100%' }}>
+                <tbody>
+                  {DIMENSION_ROWS
+                    .filter(r => base.scores[r.key] || result.scores[r.key] || result.stale.includes(r.key))
+                    .map(r => (
+                      <DimensionMove
+                        key={r.key}
+                        label={r.label}
+                        from={base.scores[r.key]?.tier}
+                        to={result.scores[r.key]?.tier}
+                        stale={result.stale.includes(r.key)}
+                      />
+                    ))}
+                </tbody>
+              </table>
+
+              {result.stale.includes('packaging_coherence') && !coherenceMock && (
+                <div style={{ marginTop: 8, fontSize: 11, color: '#888' }}>
+                  Title × thumbnail coherence was rated on a mock that isn't loaded in the form — re-upload it to re-rate, or re-running drops the dimension.
+                </div>
+              )}
+
+              {result.suggested_tweaks?.length > 0 && changed.length > 0 && (
+                <div style={{ marginTop: 10, fontSize: 11, color: '#888' }}>
+                  Next tweak for this version: <span style={{ color: '#cde4d6' }}>{result.suggested_tweaks[0].suggestion}</span>
+                </div>
+              )}
+
+              <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 12, flexWrap: 'wrap' }}>
+                <button
+                  onClick={runStale}
+                  disabled={!result.stale.length || rerunning || saving}
+                  style={smallBtnStyle(!result.stale.length || rerunning || saving)}
+                >
+                  {rerunning ? 'Re-running…' : `Re-run stale${result.stale.length ? ` (${result.stale.length})` : ''}`}
+                </button>
+                <button
+                  onClick={() => { setDraft(toDraft(base.input)); setRerun({}); }}
+                  disabled={!changed.length || saving}
+                  style={smallBtnStyle(!changed.length || saving)}
+                >
+                  Reset
+                </button>
+                <button
+                  onClick={handleSave}
+                  disabled={!changed.length || !draft.title.trim() || saving || rerunning}
+                  style={primaryBtnStyle(!changed.length || !draft.title.trim() || saving || rerunning)}
+                >
+                  {saving ? 'Saving…' : 'Save as version'}
+                </button>
+                {changed.length > 0 && (
+                  <span style={{ fontSize: 11, color: '#666' }}>
+                    Changed: {changed.map(f => FIELD_LABELS[f] || f).join(', ')}
+                  </span>
+                )}
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─────────────────────────────────────────────────────
+// Sub-components
+// ─────────────────────────────────────────────────────
+
+function CompositeMove({ from, to, provisional }) {
+  const delta = TIERS.indexOf(to) - TIERS.indexOf(from);
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 14 }}>
+      <span style={{ fontSize: 11, color: '#888', fontWeight: 700, textTransform: 'uppercase', letterSpacing: 0.6 }}>Composite</span>
+      <TierChip tier={from} />
+      <span style={{ color: '#555' }}>→</span>
+      <TierChip tier={to} />
+      <MoveArrow delta={delta} />
+      {provisional && <span style={{ fontSize: 11, color: '#E8A82B' }}>provisional — includes stale ratings</span>}
+    </div>
+  );
+}
+
+function DimensionMove({ label, from, to, stale }) {
+  const delta = from && to ? TIERS.indexOf(to) - TIERS.indexOf(from) : 0;
+  return (
+    <tr style={{ borderTop: '1px solid #1f1f24' }}>
+      <td style={{ padding: '5px 6px', color: '#aaa', width: 130 }}>{label}</td>
+      <td style={{ padding: '5px 6px' }}>{from ? <TierChip tier={from} /> : <span style={{ color: '#555' }}>—</span>}</td>
+      <td style={{ padding: '5px 6px', color: '#555' }}>→</td>
+      <td style={{ padding: '5px 6px' }}>
+        {to ? <TierChip tier={to} faded={stale} /> : <span style={{ color: '#555' }}>{stale ? 'not rated' : 'excluded'}</span>}
+      </td>
+      <td style={{ padding: '5px 6px', width: '100%' }}>
+        {stale
+          ? <span style={{ fontSize: 10, color: '#E8A82B', textTransform: 'uppercase', letterSpacing: 0.6 }}>stale</span>
+          : <MoveArrow delta={delta} />}
+      </td>
+    </tr>
+  );
+}
+
+function MoveArrow({ delta }) {
+  if (!delta) return <span style={{ fontSize: 11, color: '#555' }}>no change</span>;
+  const up = delta > 0;
+  return (
+    <span style={{ fontSize: 11, fontWeight: 700, color: up ? '#0A919B' : '#ef6b6b' }}>
+      {up ? '▲' : '▼'} {Math.abs(delta)} tier{Math.abs(delta) === 1 ? '' : 's'}
+    </span>
+  );
+}
+
+function TierChip({ tier, faded }) {
+  const colors = TIER_COLORS[tier] || TIER_COLORS.risky;
+  return (
+    <span style={{
+      display: 'inline-block', padding: '1px 7px', borderRadius: 99, fontSize: 9, fontWeight: 700,
+      textTransform: 'uppercase', letterSpacing: 0.6, whiteSpace: 'nowrap',
+      background: colors.bg, color: colors.fg, border: `1px ${faded ? 'dashed' : 'solid'} ${colors.border}`,
+      opacity: faded ? 0.6 : 1,
+    }}>{TIER_SHORT[tier] || tier}</span>
+  );
+}
+
+// ─────────────────────────────────────────────────────
+// Draft <-> input
+// ─────────────────────────────────────────────────────
+
+// Form-friendly strings; length in minutes like the Pre-flight presets.
+function toDraft(input) {
+  return {
+    title:              input?.title || '',
+    planned_day:        input?.planned_day || '',
+    planned_hour_block: input?.planned_hour_block || '',
+    length_minutes:     input?.length_seconds ? String(Math.round(input.length_seconds / 60)) : '',
+    topic_label:        input?.topic_label || '',
+    hook_beat:          input?.hook_beat || '',
+  };
+}
+
+// Rebuild a concept input the way buildInput does — unset fields are
+// omitted, everything else (format, notes, target surface) carries over.
+function fromDraft(baseInput, draft) {
+  const out = { ...baseInput, title: draft.title.trim() };
+  for (const k of ['planned_day', 'planned_hour_block', 'topic_label', 'hook_beat', 'length_seconds']) delete out[k];
+  if (draft.planned_day)        out.planned_day = draft.planned_day;
+  if (draft.planned_hour_block) out.planned_hour_block = draft.planned_hour_block;
+  if (draft.length_minutes && baseInput?.format !== 'shorts') out.length_seconds = Number(draft.length_minutes) * 60;
+  if (draft.topic_label.trim()) out.topic_label = draft.topic_label.trim();
+  if (draft.hook_beat.trim())   out.hook_beat = draft.hook_beat.trim();
+  return out;
+}
+
+// ─────────────────────────────────────────────────────
+// Styles — match SurfacePullPanel
+// ─────────────────────────────────────────────────────
+
+const collapsedBtnStyle = {
+  background: 'transparent', border: 'none',
+  color: '#888', fontSize: 11, fontWeight: 600,
+  textAlign: 'left', padding: 0, cursor: 'pointer', marginTop: 10,
+};
+const collapseBtnStyle = { ...collapsedBtnStyle, marginTop: 0 };
+
+const panelStyle = {
+  background: '#0e0e11',
+  border: '1px solid rgba(10,145,155,0.20)',
+  borderLeft: '2px solid #0A919B',
+  borderRadius: 6, padding: 12, marginTop: 12, marginBottom: 14,
+};
+const kickerStyle = {
+  fontSize: 11, color: '#0A919B',
+  textTransform: 'uppercase', letterSpacing: 1, fontWeight: 700,
+};
+const subtleStyle = { fontSize: 11, color: '#666', marginTop: 2, lineHeight: 1.5 };
+
+const labelStyle = { display: 'block', fontSize: 10, color: '#888', textTransform: 'uppercase', letterSpacing: 0.6, marginBottom: 4, fontWeight: 600 };
+const inputStyle = {
+  width: '100%', padding: '6px 8px',
+  background: '#1a1a1f', border: '1px solid #2a2a30', borderRadius: 5,
+  color: '#e8e2d0', fontSize: 12, fontFamily: 'inherit', boxSizing: 'border-box',
+};
+
+const smallBtnStyle = (disabled) => ({
+  background: 'transparent', color: disabled ? '#555' : '#aaa', border: '1px solid #333',
+  borderRadius: 4, padding: '5px 10px', fontSize: 11, fontFamily: 'inherit',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+});
+const primaryBtnStyle = (disabled) => ({
+  background: disabled ? '#1a1a1f' : '#0A919B', color: disabled ? '#666' : '#0a0a0e',
+  border: 'none', borderRadius: 4, padding: '6px 12px', fontSize: 11, fontWeight: 700,
+  fontFamily: 'inherit', cursor: disabled ? 'not-allowed' : 'pointer',
+});
@@ -15,6 +15,9 @@
  *   - Reporting  = YouTube Reporting API (impressions, CTR)
  *   - Surface    = Surface intelligence (traffic sources, search queries)
  *   - OAuth      = Token refresh heartbeat (auth liveness, NOT data ingestion)
+ *   - Comments   = Competitor-comment sweeps of the peer cohort (migration
+ *                  112) — stalest peer's last sweep; per-channel list in
+ *                  the expanded view. Day-scale window, not hours.
  *
  * Each chip color reflects per-source tier: green fresh, amber stale,
  * red very_stale OR error, gray missing. Errors win — if a source has
@@ -87,7 +90,13 @@ export default function DataFreshnessBadge({ clientId, compact = false }) {
   // No sync/oauth/surface chips, no error indicator — those concepts
   // don't apply until the channel actually launches.
   if (freshness.is_prelaunch) {
-    return <PrelaunchFreshness launchAt={freshness.prelaunch_intended_launch_at} compact={compact} />;
+    return (
+      <PrelaunchFreshness
+        launchAt={freshness.prelaunch_intended_launch_at}
+        commentSweep={freshness.comment_sweep}
+        compact={compact}
+      />
+    );
   }
 
   const dotColor = TIER_COLORS[freshness.worstTier];
@@ -106,6 +115,7 @@ export default function DataFreshnessBadge({ clientId, compact = false }) {
         <Chip value={freshness.reporting_pull} skipIfMissing />
         <Chip value={freshness.surface_pull}   skipIfMissing />
         <Chip value={freshness.oauth_refresh}  skipIfMissing />
+        <Chip value={freshness.comment_sweep}  skipIfMissing />
         {freshness.data_api_pull?.silentFailure && (
           <span style={errorBadgeStyle} title="Cron attempted recently but did not write a fresh data_api timestamp — data is likely older than the chip suggests.">
             ⚠ silent sync failure
@@ -127,7 +137,7 @@ export default function DataFreshnessBadge({ clientId, compact = false }) {
 // Pre-launch — calm "N/A" state, no error semantics
 // ──────────────────────────────────────────────────
 
-function PrelaunchFreshness({ launchAt, compact }) {
+function PrelaunchFreshness({ launchAt, commentSweep, compact }) {
   let detail = 'no channel data yet';
   if (launchAt) {
     const days = Math.round((new Date(launchAt).getTime() - Date.now()) / 86_400_000);
@@ -142,6 +152,7 @@ function PrelaunchFreshness({ launchAt, compact }) {
         Pre-launch
       </span>
       <span style={{ fontSize: 11, color: '#888' }}>· {detail}</span>
+      <Chip value={commentSweep} skipIfMissing />
     </div>
   );
 }
@@ -221,6 +232,19 @@ function ExpandedDetails({ freshness }) {
         : null,
     },
   ];
+  const sweep = freshness.comment_sweep;
+  if (sweep && sweep.peerCount > 0) {
+    rows.push({
+      key: 'comment_sweep',
+      label: sweep.scheduled
+        ? `Competitor comments — peer sweeps (auto re-sweep every ${sweep.cadenceDays}d)`
+        : 'Competitor comments — peer sweeps (on demand)',
+      value: sweep,
+      atLabel: 'Stalest peer swept',
+      missingNote: 'No peer channel has been swept yet. Run one from Strategy → Audience → Competitor comment sweep, or turn on scheduled re-sweeps there.',
+      channels: sweep.channels,
+    });
+  }
   return (
     <div style={expandedStyle}>
       {/* Silent-failure callout pinned to the top so it isn't buried. */}
@@ -251,7 +275,7 @@ function ExpandedDetails({ freshness }) {
           </div>
           <div style={{ fontSize: 11, color: '#888', marginLeft: 14, marginTop: 2 }}>
             {r.value.at
-              ? <>Last successful: {new Date(r.value.at).toLocaleString()} ({formatRelativeAge(r.value.at)}){r.value.isFallback ? ' (legacy last_synced_at — per-source column not populated yet)' : ''}</>
+              ? <>{r.atLabel || 'Last successful'}: {new Date(r.value.at).toLocaleString()} ({formatRelativeAge(r.value.at)}){r.value.isFallback ? ' (legacy last_synced_at — per-source column not populated yet)' : ''}</>
               : <>Not yet pulled.</>}
           </div>
           {r.value.errorMessage && (
@@ -269,6 +293,17 @@ function ExpandedDetails({ freshness }) {
               {r.missingNote}
             </div>
           )}
+          {r.channels?.length > 0 && (
+            <div style={{ marginLeft: 14, marginTop: 4, display: 'flex', flexDirection: 'column', gap: 2 }}>
+              {r.channels.map(c => (
+                <div key={c.channelId} style={{ fontSize: 11, color: '#888', display: 'flex', alignItems: 'center', gap: 6 }}>
+                  <span style={dotStyle(TIER_COLORS[c.tier])} />
+                  <span style={{ color: '#aaa' }}>{c.name}</span>
+                  <span>· {c.at ? `swept ${formatRelativeAge(c.at)}` : 'never swept'}</span>
+                </div>
+              ))}
+            </div>
+          )}
         </div>
       ))}
     </div>
@@ -7,12 +7,18 @@
  * surfaces will be empty/N-A:
  *   - Pre-flight, Repositioning, Calibration: empty until launch (need client video data)
  *   - Brief, Cohort Roles, Competitor Scan, Strategy Spine: work immediately
+ *
+ * When the host passes onUpgraded, an "Upgrade" chip sits next to the
+ * badge and opens UpgradePrelaunchClientModal. The badge owns the modal
+ * so any workspace header gets the launch flow for free.
  */
 
-import React from 'react';
-import { Sparkles } from 'lucide-react';
+import React, { useState } from 'react';
+import { Sparkles, Rocket } from 'lucide-react';
+import UpgradePrelaunchClientModal from '../../Portfolio/UpgradePrelaunchClientModal.jsx';
 
-export default function PrelaunchBadge({ client }) {
+export default function PrelaunchBadge({ client, onUpgraded }) {
+  const [upgradeOpen, setUpgradeOpen] = useState(false);
   if (!client?.is_prelaunch) return null;
 
   const launchAt = client.prelaunch_intended_launch_at;
@@ -28,13 +34,29 @@ export default function PrelaunchBadge({ client }) {
     } catch { /* ignore */ }
   }
 
-  return (
+  const badge = (
     <span style={badgeStyle} title="This client doesn't have a YouTube channel yet. Pre-flight / Repositioning / Calibration require client video data; they'll be N/A until launch. Brief, Cohort, and Competitor Scan all work today.">
       <Sparkles size={11} />
       <span>Pre-launch</span>
       {launchLabel && <span style={dateStyle}>· {launchLabel}</span>}
     </span>
   );
+  if (!onUpgraded) return badge;
+
+  return (
+    <span style={{ display: 'inline-flex', alignItems: 'center', gap: 6 }}>
+      {badge}
+      <button onClick={() => setUpgradeOpen(true)} style={upgradeBtnStyle} title="The client launched — link their real YouTube channel">
+        <Rocket size={11} /> Upgrade
+      </button>
+      <UpgradePrelaunchClientModal
+        open={upgradeOpen}
+        client={client}
+        onClose={() => setUpgradeOpen(false)}
+        onUpgraded={onUpgraded}
+      />
+    </span>
+  );
 }
 
 const badgeStyle = {
@@ -50,3 +72,13 @@ const badgeStyle = {
 const dateStyle = {
   color: '#aaa', fontWeight: 500, textTransform: 'none', letterSpacing: 0,
 };
+const upgradeBtnStyle = {
+  display: 'inline-flex', alignItems: 'center', gap: 4,
+  background: 'transparent',
+  color: '#a78bfa',
+  border: '1px dashed rgba(167,139,250,0.45)',
+  borderRadius: 4, padding: '3px 8px',
+  fontSize: 10, fontWeight: 700,
+  textTransform: 'uppercase', letterSpacing: 0.5,
+  cursor: 'pointer', whiteSpace: 'nowrap',
+};
@@ -21,7 +21,9 @@ const ALL_TABS = [
   'audits',
   'clients',
   'api-keys',
+  'alert-delivery',
   'user-management',
+  'ai-usage',
 ];
 
 // Human-readable labels for tab IDs
@@ -41,7 +43,9 @@ export const TAB_LABELS = {
   'audits': 'Audits',
   'clients': 'Clients',
   'api-keys': 'API Keys',
+  'alert-delivery': 'Alert Delivery',
   'user-management': 'User Management',
+  'ai-usage': 'AI Usage',
 };
 
 export const AuthProvider = ({ children }) => {
@@ -5,6 +5,7 @@
  */
 
 import { useMemo } from 'react';
+import { testPatternLift, applyFdr, seedFor } from '../services/patternSignificance.js';
 
 const fmtInt = (n) => (!n || isNaN(n)) ? "0" : Math.round(n).toLocaleString();
 const fmtPct = (n) => (!n || isNaN(n)) ? "0%" : `${(n * 100).toFixed(1)}%`;
@@ -181,10 +182,14 @@ const TITLE_STRUCTURES = [
 /**
  * Analyze title structures against performance metrics.
  * Compares avg views for videos WITH each pattern vs WITHOUT.
- * Returns sorted array of significant findings.
+ * Every structure with enough videos on both sides is also tested for
+ * significance (patternSignificance — permutation p, bootstrap interval,
+ * Benjamini–Hochberg across all structures tested), so the brief and
+ * the Patterns lens share one definition of a real finding.
+ * Returns sorted array of meaningful findings.
  */
 function analyzeTitleStructures(rows, minSample = 3) {
-  const results = [];
+  const tested = [];
 
   for (const struct of TITLE_STRUCTURES) {
     const matching = rows.filter(r => struct.test(r.title || ''));
@@ -202,14 +207,16 @@ function analyzeTitleStructures(rows, minSample = 3) {
     const avgRetWith = matching.reduce((s, r) => s + (r.retention || 0), 0) / matching.length;
     const avgRetWithout = notMatching.reduce((s, r) => s + (r.retention || 0), 0) / notMatching.length;
 
-    // Only surface if meaningful difference (>25% in either direction)
-    const delta = Math.abs(viewsMultiplier - 1);
-    if (delta < 0.25) continue;
+    const test = testPatternLift(
+      matching.map(r => r.views || 0),
+      notMatching.map(r => r.views || 0),
+      { seed: seedFor(struct.key, rows.length) },
+    );
 
-    const isWin = viewsMultiplier > 1;
-
-    results.push({
+    tested.push({
       ...struct,
+      matching,
+      notMatching,
       matchCount: matching.length,
       totalCount: rows.length,
       avgViewsWith,
@@ -219,6 +226,22 @@ function analyzeTitleStructures(rows, minSample = 3) {
       avgCTRWithout,
       avgRetWith,
       avgRetWithout,
+      pValue: test?.pValue ?? null,
+      liftCI: test?.liftCI ?? null,
+    });
+  }
+
+  // The BH family is every structure tested, not just the ones that
+  // pass the size filter below
+  const results = [];
+  for (const { matching, notMatching, ...finding } of applyFdr(tested)) {
+    // Only surface if meaningful difference (>25% in either direction)
+    const delta = Math.abs(finding.viewsMultiplier - 1);
+    if (delta < 0.25) continue;
+
+    const isWin = finding.viewsMultiplier > 1;
+    results.push({
+      ...finding,
       isWin,
       delta,
       topExamples: [...(isWin ? matching : notMatching)]
@@ -232,6 +255,16 @@ function analyzeTitleStructures(rows, minSample = 3) {
   return results;
 }
 
+/** Significance fields carried onto a surfaced pattern (and into the weekly brief). */
+function significanceOf(finding) {
+  return {
+    pValue: finding.pValue,
+    qValue: finding.qValue,
+    liftCI: finding.liftCI,
+    significance: finding.significance,
+  };
+}
+
 /**
  * Pure computation function (no React dependency) for use in services/server-side.
  * @param {Array} rows - Video analytics rows
@@ -504,10 +537,13 @@ Subscriber Efficiency: ${shortsAvgSubs > longsAvgSubs
   // PATTERN 4: Title Structure Analysis
   // Tests 9 structural patterns (questions, lists, how-to, brackets, emotional hooks,
   // negative framing, personal stories, title length) against actual view performance.
+  // Only findings that survive the FDR correction are surfaced as what
+  // works / what to avoid — with 9 structures tested, a +25% average on
+  // a handful of videos is usually noise.
   const structureFindings = analyzeTitleStructures(rows);
 
   // Surface the strongest winning pattern
-  const topWin = structureFindings.find(s => s.isWin);
+  const topWin = structureFindings.find(s => s.isWin && s.significance === 'positive');
   if (topWin) {
     const multiplierPct = ((topWin.viewsMultiplier - 1) * 100).toFixed(0);
     const ctrNote = topWin.avgCTRWith > 0 && topWin.avgCTRWithout > 0
@@ -518,7 +554,7 @@ Subscriber Efficiency: ${shortsAvgSubs > longsAvgSubs
       : '';
 
     // Build a summary of ALL winning patterns (not just the top one)
-    const allWins = structureFindings.filter(s => s.isWin);
+    const allWins = structureFindings.filter(s => s.isWin && s.significance === 'positive');
     const otherWins = allWins.slice(1, 4);
     const otherWinsSummary = otherWins.length > 0
       ? `\n\nOther patterns that outperform: ${otherWins.map(w => `${w.label} (+${((w.viewsMultiplier - 1) * 100).toFixed(0)}%, ${w.matchCount} videos)`).join('; ')}.`
@@ -529,8 +565,9 @@ Subscriber Efficiency: ${shortsAvgSubs > longsAvgSubs
       finding: `${topWin.label} get ${multiplierPct}% more views`,
       delta: `${topWin.matchCount} of ${topWin.totalCount} videos (${((topWin.matchCount / topWin.totalCount) * 100).toFixed(0)}%)`,
       confidence: topWin.matchCount >= 8 ? "High" : "Medium",
+      ...significanceOf(topWin),
       recommendation: `WINNING PATTERN: ${topWin.label} average ${fmtInt(topWin.avgViewsWith)} views vs ${fmtInt(topWin.avgViewsWithout)} for other titles — a ${multiplierPct}% lift across ${topWin.matchCount} videos.${ctrNote}${retNote} ${topWin.winTip}${otherWinsSummary}`,
-      sampleSize: `${topWin.matchCount} matching, ${topWin.totalCount - topWin.matchCount} without`,
+      sampleSize: `${topWin.matchCount} matching, ${topWin.totalCount - topWin.matchCount} without · q=${topWin.qValue.toFixed(3)} after FDR correction`,
       opportunity: Math.max(0, (topWin.avgViewsWith - topWin.avgViewsWithout) * (topWin.totalCount - topWin.matchCount) * 0.3),
       effort: "Low",
       action: `Apply "${topWin.label.toLowerCase()}" framing to your next 5 uploads. Study the top examples below for the pattern.`,
@@ -539,7 +576,7 @@ Subscriber Efficiency: ${shortsAvgSubs > longsAvgSubs
   }
 
   // Surface the strongest losing pattern (what to avoid)
-  const topLoss = structureFindings.find(s => !s.isWin);
+  const topLoss = structureFindings.find(s => !s.isWin && s.significance === 'negative');
   if (topLoss) {
     const dropPct = ((1 - topLoss.viewsMultiplier) * 100).toFixed(0);
 
@@ -548,8 +585,9 @@ Subscriber Efficiency: ${shortsAvgSubs > longsAvgSubs
       finding: `${topLoss.label} get ${dropPct}% fewer views`,
       delta: `${topLoss.matchCount} of ${topLoss.totalCount} videos`,
       confidence: topLoss.matchCount >= 8 ? "High" : "Medium",
+      ...significanceOf(topLoss),
       recommendation: `UNDERPERFORMING PATTERN: ${topLoss.label} average ${fmtInt(topLoss.avgViewsWith)} views vs ${fmtInt(topLoss.avgViewsWithout)} for other titles — a ${dropPct}% drop across ${topLoss.matchCount} videos. ${topLoss.loseTip}`,
-      sampleSize: `${topLoss.matchCount} matching, ${topLoss.totalCount - topLoss.matchCount} without`,
+      sampleSize: `${topLoss.matchCount} matching, ${topLoss.totalCount - topLoss.matchCount} without · q=${topLoss.qValue.toFixed(3)} after FDR correction`,
       opportunity: Math.max(0, (topLoss.avgViewsWithout - topLoss.avgViewsWith) * topLoss.matchCount * 0.3),
       effort: "Low",
       action: `Avoid "${topLoss.label.toLowerCase()}" framing. Reframe upcoming titles using your winning patterns instead.`,
@@ -12,7 +12,7 @@ import {
   Building, Key, Shield, ShieldCheck, Table,
   ClipboardCheck, Palette,
   Compass, Crosshair, Target, Radar, Gauge, Users2, ScrollText, AlertCircle,
-  BarChart3, Search, FlaskConical, Map, Briefcase, Settings,
+  BarChart3, Search, FlaskConical, Map, Briefcase, Settings, DollarSign, Bell,
 } from "lucide-react";
 
 /** Main sections shown in the top nav bar */
@@ -124,8 +124,10 @@ export const UTILITY_SECTIONS = [
       // Client management lives at Operate → Clients (Portfolio).
       { id: "api-keys", label: "API Keys", icon: Key },
       { id: "security", label: "Security", icon: ShieldCheck },
+      { id: "alert-delivery", label: "Alert Delivery", icon: Bell },
       { id: "standardizer", label: "Data Standardizer", icon: Table },
       { id: "user-management", label: "User Management", icon: Shield, adminOnly: true },
+      { id: "ai-usage", label: "AI Usage", icon: DollarSign, adminOnly: true },
     ],
   },
 ];
@@ -14,6 +14,7 @@
  */
 
 import { supabase } from './supabaseClient';
+import { makeDismissKey } from './thisWeekRules';
 
 /**
  * Dismiss an alert. Re-dismissal of an existing (client, type) pair
@@ -90,9 +91,8 @@ export async function loadActiveDismissals(clientIds) {
   return { keys, rows: data || [] };
 }
 
-export function makeKey(clientId, alertType) {
-  return `${clientId || 'null'}|${alertType}`;
-}
+// Shared with /api/cron/alert-delivery via thisWeekRules.
+export const makeKey = makeDismissKey;
 
 export const SNOOZE_OPTIONS = [
   { value: 1,    label: '1 day' },
@@ -0,0 +1,219 @@
+/**
+ * alertSubscriptionService — per-user alert delivery subscriptions
+ * (migration 117) behind Settings → Alert Delivery.
+ *
+ * A subscription picks clients, alert types and a minimum severity and
+ * delivers matches either as an instant Slack-compatible webhook post
+ * or a daily email digest. /api/cron/alert-delivery does the matching,
+ * queueing (notification_outbox) and sending; this module only manages
+ * the rows, reads delivery history and asks the cron for a test send.
+ *
+ * Delivered types are every thisWeekService signal plus every
+ * competitor_alerts type, so an "all types" subscription misses
+ * nothing the This Week feed shows. Invite alerts are global: they
+ * follow a global snooze and reach subscriptions covering the invite's
+ * client (or every client, for invites not tied to one).
+ */
+
+import { supabase } from './supabaseClient';
+import { ALERT_TYPE_META, competitorAlertSeverity } from './competitorAlertRules.js';
+import { THIS_WEEK_ALERT_TYPES } from './thisWeekRules.js';
+
+export { competitorAlertSeverity };
+
+export const DELIVERY_MODES = [
+  { value: 'webhook',      label: 'Instant webhook (Slack-compatible)' },
+  { value: 'email_digest', label: 'Daily email digest' },
+];
+
+export const SEVERITY_LEVELS = ['low', 'medium', 'high'];
+
+export const THIS_WEEK_DELIVERY_TYPES = THIS_WEEK_ALERT_TYPES;
+
+export const MOVEMENT_DELIVERY_TYPES = Object.entries(ALERT_TYPE_META)
+  .filter(([id]) => id !== 'trend')
+  .map(([id, meta]) => ({ id, label: meta.label }));
+
+// ──────────────────────────────────────────────────
+// CRUD
+// ──────────────────────────────────────────────────
+
+export async function listSubscriptions(userId) {
+  if (!supabase || !userId) return [];
+  const { data, error } = await supabase
+    .from('alert_subscriptions')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+  if (error) {
+    console.warn('[alertSubscriptionService] listSubscriptions failed:', error);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Insert (no id) or update a subscription.
+ *
+ * @param {Object} sub
+ * @param {string} [sub.id]
+ * @param {string} sub.userId
+ * @param {string} [sub.userEmail]
+ * @param {string} [sub.label]
+ * @param {'webhook'|'email_digest'} sub.delivery
+ * @param {string} [sub.webhookUrl]
+ * @param {string} [sub.email]
+ * @param {Array<string>|null} [sub.clientIds]  — null = all accessible clients
+ * @param {Array<string>|null} [sub.alertTypes] — null = all delivered types
+ * @param {'low'|'medium'|'high'} [sub.minSeverity]
+ * @param {boolean} [sub.enabled]
+ * @returns {Promise<{ ok: boolean, subscription?: Object, error?: string }>}
+ */
+export async function saveSubscription(sub) {
+  if (!supabase) return { ok: false, error: 'Supabase not configured' };
+  const invalid = validateSubscription(sub);
+  if (invalid) return { ok: false, error: invalid };
+
+  const row = {
+    user_id:      sub.userId,
+    user_email:   sub.userEmail || null,
+    label:        sub.label?.trim() || null,
+    delivery:     sub.delivery,
+    webhook_url:  sub.delivery === 'webhook' ? sub.webhookUrl.trim() : null,
+    email:        sub.delivery === 'email_digest' ? sub.email.trim() : null,
+    client_ids:   sub.clientIds?.length ? sub.clientIds : null,
+    alert_types:  sub.alertTypes?.length ? sub.alertTypes : null,
+    min_severity: sub.minSeverity || 'medium',
+    enabled:      sub.enabled ?? true,
+    updated_at:   new Date().toISOString(),
+  };
+
+  const query = sub.id
+    ? supabase.from('alert_subscriptions').update(row).eq('id', sub.id)
+    : supabase.from('alert_subscriptions').insert(row);
+  const { data, error } = await query.select('*').single();
+  if (error) {
+    console.warn('[alertSubscriptionService] saveSubscription failed:', error);
+    return { ok: false, error: error.message };
+  }
+  return { ok: true, subscription: data };
+}
+
+export async function setSubscriptionEnabled(id, enabled) {
+  if (!supabase) return { ok: false, error: 'Supabase not configured' };
+  const { error } = await supabase
+    .from('alert_subscriptions')
+    .update({ enabled, updated_at: new Date().toISOString() })
+    .eq('id', id);
+  if (error) {
+    console.warn('[alertSubscriptionService] setSubscriptionEnabled failed:', error);
+    return { ok: false, error: error.message };
+  }
+  return { ok: true };
+}
+
+export async function deleteSubscription(id) {
+  if (!supabase) return { ok: false, error: 'Supabase not configured' };
+  const { error } = await supabase.from('alert_subscriptions').delete().eq('id', id);
+  if (error) {
+    console.warn('[alertSubscriptionService] deleteSubscription failed:', error);
+    return { ok: false, error: error.message };
+  }
+  return { ok: true };
+}
+
+export function validateSubscription(sub) {
+  if (!sub?.userId) return 'Not signed in';
+  if (sub.delivery === 'webhook') {
+    let url;
+    try { url = new URL(sub.webhookUrl?.trim() || ''); } catch { return 'Enter a valid webhook URL'; }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return 'Webhook URL must be http(s)';
+    return null;
+  }
+  if (sub.delivery === 'email_digest') {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(sub.email?.trim() || '') ? null : 'Enter a valid email address';
+  }
+  return 'Pick a delivery mode';
+}
+
+// ──────────────────────────────────────────────────
+// Delivery history + test send
+// ──────────────────────────────────────────────────
+
+/**
+ * Newest outbox rows for the given subscriptions, grouped by
+ * subscription id.
+ */
+export async function loadDeliveryHistory(subscriptionIds, { perSubscription = 5 } = {}) {
+  if (!supabase || !subscriptionIds?.length) return {};
+  const { data, error } = await supabase
+    .from('notification_outbox')
+    .select('id, alert_subscription_id, category, subject, status, transport, attempts, last_error, created_at, sent_at, payload')
+    .in('alert_subscription_id', subscriptionIds)
+    .order('created_at', { ascending: false })
+    .limit(perSubscription * subscriptionIds.length * 4);
+  if (error) {
+    console.warn('[alertSubscriptionService] loadDeliveryHistory failed:', error);
+    return {};
+  }
+  const bySubscription = {};
+  for (const row of data || []) {
+    const list = (bySubscription[row.alert_subscription_id] ||= []);
+    if (list.length < perSubscription) list.push(row);
+  }
+  return bySubscription;
+}
+
+/**
+ * Ask the cron to send a test message through this subscription right
+ * now (bypasses the queue's schedule, not its transport).
+ */
+export async function sendTestDelivery(subscriptionId) {
+  if (!supabase) return { ok: false, error: 'Supabase not configured' };
+  const session = (await supabase.auth.getSession())?.data?.session;
+  if (!session?.access_token) return { ok: false, error: 'Not signed in' };
+  try {
+    const r = await fetch(`/api/cron/alert-delivery?manual=true&test=${encodeURIComponent(subscriptionId)}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${session.access_token}` },
+    });
+    const json = await r.json().catch(() => ({}));
+    if (!r.ok || !json.success) return { ok: false, error: json.error || `HTTP ${r.status}` };
+    return { ok: true, transport: json.transport };
+  } catch (err) {
+    console.warn('[alertSubscriptionService] sendTestDelivery failed:', err);
+    return { ok: false, error: err?.message || 'network error' };
+  }
+}
+
+export function describeDelivery(row) {
+  if (!row) return '';
+  const what = row.category === 'alert_digest'
+    ? 'Digest'
+    : (row.payload?.test ? 'Test message' : 'Alert');
+  const when = new Date(row.sent_at || row.created_at).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+  if (row.status === 'sent') {
+    return `${what} ${row.transport === 'log' ? 'logged (no mail transport configured)' : 'delivered'} · ${when}`;
+  }
+  if (row.status === 'queued') {
+    return row.attempts > 0 ? `${what} retrying (${row.attempts} attempt${row.attempts === 1 ? '' : 's'})` : `${what} queued`;
+  }
+  if (row.status === 'skipped') return `${what} skipped${row.last_error ? ` — ${row.last_error}` : ''}`;
+  return `${what} failed${row.last_error ? ` — ${row.last_error.slice(0, 80)}` : ''}`;
+}
+
+export default {
+  DELIVERY_MODES,
+  SEVERITY_LEVELS,
+  THIS_WEEK_DELIVERY_TYPES,
+  MOVEMENT_DELIVERY_TYPES,
+  competitorAlertSeverity,
+  listSubscriptions,
+  saveSubscription,
+  setSubscriptionEnabled,
+  deleteSubscription,
+  validateSubscription,
+  loadDeliveryHistory,
+  sendTestDelivery,
+  describeDelivery,
+};
@@ -39,11 +39,12 @@ const CACHE_TABLE = 'competitor_intelligence_cache';
  * @param {Object} args.scoringOutput    deterministic scoreConcept() output (we read scores + composite + tweaks)
  * @param {Object} [args.spine]          { editorial_pov, voice_tone }
  * @param {Object} [args.cohortSummary]  { clientName, channelCount, videoCount }
+ * @param {string} [args.clientId]       for usage-ledger attribution only
  * @returns {Promise<{ alternatives: Array<{title, addresses, rationale}>, promptVersion, cached }>}
  *   alternatives is [] when generation fails or the title is missing.
  */
 export async function generateAlternativeTitles({
-  input, scoringOutput, spine = null, cohortSummary = {},
+  input, scoringOutput, spine = null, cohortSummary = {}, clientId = null,
 }) {
   if (!input?.title || !scoringOutput) {
     return { alternatives: [], promptVersion: ALT_TITLES_PROMPT_VERSION, cached: false };
@@ -61,6 +62,7 @@ export async function generateAlternativeTitles({
       SYSTEM_PROMPT,
       'alternative_titles',
       900,
+      { clientId, promptVersion: ALT_TITLES_PROMPT_VERSION },
     );
     const parsed = parseClaudeJSON(result.text, { alternatives: [] });
     const alternatives = Array.isArray(parsed.alternatives)
@@ -156,7 +158,7 @@ function buildUserPrompt({ input, scoringOutput, spine, cohortSummary }) {
   if (s.title_patterns?.drags?.length) {
     lines.push('- Drag patterns the original title carries:');
     for (const d of s.title_patterns.drags) {
-      lines.push(`    · ${d.label} → ${d.lift_pct}% statistical (n=${d.n})`);
+      lines.push(`    · ${d.label}${d.interaction ? ' (together)' : ''} → ${d.lift_pct}% statistical (n=${d.n})`);
     }
   }
   if (s.curiosity_gap) {
@@ -166,6 +168,10 @@ function buildUserPrompt({ input, scoringOutput, spine, cohortSummary }) {
   if (s.hook_promise_delivery) {
     lines.push(`- Hook delivery: ${s.hook_promise_delivery.hook_score}/10 — ${s.hook_promise_delivery.tier}`);
   }
+  if (s.packaging_coherence) {
+    lines.push(`- Title × thumbnail coherence: ${s.packaging_coherence.coherence_score}/10 — ${s.packaging_coherence.tier}`);
+    if (s.packaging_coherence.rationale) lines.push(`  Rationale: ${s.packaging_coherence.rationale}`);
+  }
   if (s.topic_authority) {
     lines.push(`- Topic authority: ${Math.round(s.topic_authority.topic_max_similarity * 100)}% — ${s.topic_authority.tier} (dominant: ${s.topic_authority.dominant_source})`);
   }
@@ -14,7 +14,7 @@
  */
 
 import { supabase } from './supabaseClient';
-import { claudeAPI } from './claudeAPI';
+import { claudeAPI, isAbortError } from './claudeAPI';
 import { getBrandContextWithSignals, getCurrentBrandContext } from './brandContextService';
 import { parseClaudeJSON } from '../lib/parseClaudeJSON';
 import {
@@ -1169,9 +1169,11 @@ ${text}
  * @param {Object} [options]
  * @param {boolean} [options.v2=true] - Use V2+ edit directions prompt (false = legacy)
  * @param {Object} [options.contextInputs] - Manual context inputs
+ * @param {AbortSignal} [options.signal] - Cancels every stage's Claude call;
+ *   the returned promise then rejects with an AbortError (isAbortError).
  * @returns {Promise<Object>} Parsed directions + beat_analysis + stage_costs
  */
-export async function generateStrategy(text, title = 'Untitled', channelId = null, { v2 = true, contextInputs, contentTypeOverride = null } = {}) {
+export async function generateStrategy(text, title = 'Untitled', channelId = null, { v2 = true, contextInputs, contentTypeOverride = null, signal } = {}) {
   if (!v2) return analyzeTranscriptLegacy(text, title, channelId);
 
   const wordCount = text.trim().split(/\s+/).length;
@@ -1182,7 +1184,7 @@ export async function generateStrategy(text, title = 'Untitled', channelId = nul
   // --- Stage 0a: Segment Beats (graceful fallback) ---
   try {
     console.log('[atomizer] Stage 0a: Segmenting beats...');
-    const segResult = await segmentBeats(text, title, channelId, contextInputs, contentTypeOverride);
+    const segResult = await segmentBeats(text, title, channelId, contextInputs, contentTypeOverride, { signal });
     segCost = { usage: segResult.usage, cost: segResult.cost };
     const { usage: _u1, cost: _c1, ...segData } = segResult;
     console.log('[atomizer] Stage 0a: Segmentation complete —', segData.beats?.length || 0, 'beats found');
@@ -1202,7 +1204,7 @@ export async function generateStrategy(text, title = 'Untitled', channelId = nul
       // --- Stage 0b: Analyze Threads ---
       try {
         console.log('[atomizer] Stage 0b: Analyzing threads...');
-        const threadResult = await analyzeThreads(segData.beats, segData.content_type, text, title, channelId, contextInputs);
+        const threadResult = await analyzeThreads(segData.beats, segData.content_type, text, title, channelId, contextInputs, { signal });
         threadCost = { usage: threadResult.usage, cost: threadResult.cost };
         const { usage: _u2, cost: _c2, ...threadData } = threadResult;
 
@@ -1210,6 +1212,7 @@ export async function generateStrategy(text, title = 'Untitled', channelId = nul
         beatAnalysis = mergeBeatsAndThreads(segData, threadData);
         console.log('[atomizer] Stage 0b: Thread analysis complete —', beatAnalysis.threads?.length || 0, 'threads identified');
       } catch (e) {
+        if (isAbortError(e)) throw e;
         console.warn('[atomizer] Stage 0b: Thread analysis failed, proceeding with beats only:', e.message);
         // Fall back to segment-only beats (no threads)
         beatAnalysis = {
@@ -1222,6 +1225,8 @@ export async function generateStrategy(text, title = 'Untitled', channelId = nul
       }
     }
   } catch (e) {
+    // A cancel is not a segmentation failure — don't fall through to Stage 1.
+    if (isAbortError(e)) throw e;
     console.warn('[atomizer] Stage 0a: Beat segmentation failed, proceeding without beats:', e.message);
   }
 
@@ -1277,8 +1282,8 @@ export async function generateStrategy(text, title = 'Untitled', channelId = nul
 
   console.log('[atomizer] Stage 1a+1b: Running long-form and short-form in parallel...');
   const [longResult, shortResult] = await Promise.all([
-    claudeAPI.call(longFormPrompt, longFormSystemPrompt, 'atomizer_stage1_long', 8192),
-    claudeAPI.call(shortFormPrompt, shortFormSystemPrompt, 'atomizer_stage1_short', 8192),
+    claudeAPI.call(longFormPrompt, longFormSystemPrompt, 'atomizer_stage1_long', 8192, { signal, clientId: channelId }),
+    claudeAPI.call(shortFormPrompt, shortFormSystemPrompt, 'atomizer_stage1_short', 8192, { signal, clientId: channelId }),
   ]);
 
   const longParsed = parseClaudeJSON(longResult.text);
@@ -1442,9 +1447,12 @@ Produce the edited transcript (restructured for narrative flow, filler removed),
  * @param {string} title - Title for the transcript
  * @param {string|null} channelId - Client channel ID for brand context
  * @param {Object} [contextInputs] - Manual context inputs
+ * @param {string|null} [contentTypeOverride]
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
  * @returns {Promise<Object>} { content_type, content_type_confidence, beats[], usage, cost }
  */
-export async function segmentBeats(text, title = 'Untitled', channelId = null, contextInputs = null, contentTypeOverride = null) {
+export async function segmentBeats(text, title = 'Untitled', channelId = null, contextInputs = null, contentTypeOverride = null, { signal } = {}) {
   const wordCount = text.trim().split(/\s+/).length;
 
   let systemPrompt = buildSegmentBeatsPrompt(contentTypeOverride);
@@ -1470,7 +1478,7 @@ Word Count: ${wordCount}
 ${text}
 --- END TRANSCRIPT ---`;
 
-  const result = await claudeAPI.call(prompt, systemPrompt, 'atomizer_segment', 8192);
+  const result = await claudeAPI.call(prompt, systemPrompt, 'atomizer_segment', 8192, { signal, clientId: channelId });
   const parsed = parseClaudeJSON(result.text);
 
   return { ...parsed, usage: result.usage, cost: result.cost };
@@ -1557,9 +1565,11 @@ export function validateBeatSegmentation(beats, transcriptWordCount) {
  * @param {string} title - Transcript title
  * @param {string|null} channelId - For brand context
  * @param {Object} [contextInputs] - Manual context inputs
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
  * @returns {Promise<Object>} { threads, beat_thread_assignments, interleaving, emotional_arc, hook_analysis, structural_diagnosis, usage, cost }
  */
-export async function analyzeThreads(beats, contentType, text, title = 'Untitled', channelId = null, contextInputs = null) {
+export async function analyzeThreads(beats, contentType, text, title = 'Untitled', channelId = null, contextInputs = null, { signal } = {}) {
   // Build completeness criteria string for the detected content type
   const criteria = getCompleteness(contentType);
   let criteriaStr = `Required beat types: ${criteria.required.join(', ')}`;
@@ -1600,7 +1610,7 @@ ${text}
 
 Identify the principles being taught, assign beats to threads, detect interleaving, and provide structural diagnosis.`;
 
-  const result = await claudeAPI.call(prompt, systemPrompt, 'atomizer_threads', 8192);
+  const result = await claudeAPI.call(prompt, systemPrompt, 'atomizer_threads', 8192, { signal, clientId: channelId });
   const parsed = parseClaudeJSON(result.text);
 
   return { ...parsed, usage: result.usage, cost: result.cost };
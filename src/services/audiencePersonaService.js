@@ -93,6 +93,7 @@ export async function synthesizeAudiencePersona({ clientId, clientName = null })
       SYSTEM_PROMPT,
       'audience_persona_synthesis',
       3000,
+      { clientId, promptVersion: PERSONA_PROMPT_VERSION },
     );
     const raw = (result?.text || '').trim();
     if (!raw) {
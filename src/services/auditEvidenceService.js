@@ -17,6 +17,7 @@
 
 import { supabase } from './supabaseClient';
 import { resolveScopeToChannelIds, analyzePatterns } from './patternsService.js';
+import { correctedConfidence } from './patternSignificance.js';
 import { analyzeWhiteSpace } from './whiteSpaceService.js';
 import { getActiveDemandSignals } from './demandSignalService';
 import { getActiveProductionSignalsForChannels } from './productionSignalService';
@@ -110,10 +111,10 @@ export async function loadAuditEvidence(clientId, { windowDays = 90 } = {}) {
   // Title patterns
   const titlePatterns = patternsResult?.scope?.titlePatterns || [];
   const topPattern = titlePatterns
-    .filter(p => p.viewsLift != null && p.confidence === 'statistical')
+    .filter(p => p.viewsLift != null && correctedConfidence(p) === 'statistical')
     .sort((a, b) => b.viewsLift - a.viewsLift)[0] || null;
   const worstPattern = titlePatterns
-    .filter(p => p.viewsLift != null && p.viewsLift < -30 && p.confidence === 'statistical')
+    .filter(p => p.viewsLift != null && p.viewsLift < -30 && correctedConfidence(p) === 'statistical')
     .sort((a, b) => a.viewsLift - b.viewsLift)[0] || null;
 
   // Unserved demand (audience asks no one in cohort is answering)
@@ -0,0 +1,277 @@
+/**
+ * auditPackHistoryService — persisted audit packs and their monthly
+ * schedules (migration 119).
+ *
+ * Every pack generated through here is stored per client + scope with
+ * the snapshot auditPackService.buildAuditPack returns, and is diffed
+ * against the previous pack for the same scope_key — that diff becomes
+ * the pack's "What changed" section.
+ *
+ * Schedules are monthly reminders, not background jobs: the pack's
+ * briefing and white-space brief call Claude as the signed-in
+ * strategist, so nothing can build a pack without someone at the
+ * keyboard. Once next_run_at passes, listDuePackReminders surfaces the
+ * schedule in Research v2 → Packs and the strategist generates it with
+ * runPackReminder. The run takes a lease (claimed_until, migration 125)
+ * so two tabs can't both build it; next_run_at only moves forward once
+ * the pack is saved, so a failed run stays due.
+ */
+
+import { supabase } from './supabaseClient';
+import { buildAuditPack } from './auditPackService.js';
+import { normalizeScope } from './savedScopesService.js';
+
+// Long enough for the full Research v2 stack plus the Claude calls; a
+// tab closed mid-run frees the reminder after this.
+const SCHEDULE_LEASE_MINUTES = 30;
+
+const PACK_LIST_COLS = 'id, generated_at, generated_by, trigger, schedule_id, client_id, scope_key, scope_label, change_count, previous_pack_id';
+
+/**
+ * Canonical key for "the same scope": normalized, arrays sorted, keys
+ * in a fixed order.
+ */
+export function scopeKeyFor(scope) {
+  const s = normalizeScope(scope);
+  return JSON.stringify({
+    categoryIds: [...s.categoryIds].sort(),
+    tags: [...s.tags].sort(),
+    tiers: [...s.tiers].sort(),
+    search: s.search.trim().toLowerCase(),
+    windowDays: s.windowDays,
+    uncategorized: s.uncategorized,
+    clientId: s.clientId || null,
+  });
+}
+
+/**
+ * Next due date for a monthly reminder: day_of_month at 00:00 UTC, strictly
+ * after `from`.
+ */
+export function nextMonthlyRun(dayOfMonth, from = new Date()) {
+  const d = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), dayOfMonth));
+  if (d <= from) d.setUTCMonth(d.getUTCMonth() + 1);
+  return d;
+}
+
+// ──────────────────────────────────────────────────
+// Packs
+// ──────────────────────────────────────────────────
+
+export async function listPacks(scope, { limit = 12 } = {}) {
+  if (!supabase) return [];
+  const { data, error } = await supabase
+    .from('audit_packs')
+    .select(PACK_LIST_COLS)
+    .eq('scope_key', scopeKeyFor(scope))
+    .order('generated_at', { ascending: false })
+    .limit(limit);
+  if (error) {
+    console.warn('[auditPackHistoryService] listPacks failed:', error);
+    return [];
+  }
+  return data || [];
+}
+
+export async function loadPack(id) {
+  if (!supabase || !id) return null;
+  const { data, error } = await supabase
+    .from('audit_packs')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+  if (error) {
+    console.warn('[auditPackHistoryService] loadPack failed:', error);
+    return null;
+  }
+  return data;
+}
+
+async function loadLatestPack(scopeKey) {
+  const { data, error } = await supabase
+    .from('audit_packs')
+    .select('id, generated_at, snapshot')
+    .eq('scope_key', scopeKey)
+    .order('generated_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Build a pack for `scope`, diffed against the latest stored pack for
+ * the same scope, and store it.
+ *
+ * @returns {Promise<{ ok: boolean, pack?: Object, error?: string }>}
+ */
+export async function generateAndSavePack(scope, { onProgress, trigger = 'manual', scheduleId = null, userId = null } = {}) {
+  if (!supabase) return { ok: false, error: 'Supabase not configured' };
+  try {
+    const scopeKey = scopeKeyFor(scope);
+    const previous = await loadLatestPack(scopeKey);
+    const { markdown, snapshot, diff, scopeLabel } = await buildAuditPack(scope, { onProgress, previous });
+
+    onProgress?.('Saving pack');
+    const { data, error } = await supabase
+      .from('audit_packs')
+      .insert({
+        generated_by: userId,
+        trigger,
+        schedule_id: scheduleId,
+        client_id: scope.clientId || null,
+        scope_key: scopeKey,
+        scope: normalizeScope(scope),
+        scope_label: scopeLabel,
+        markdown,
+        snapshot,
+        previous_pack_id: previous?.id || null,
+        diff,
+        change_count: diff?.changeCount || 0,
+      })
+      .select('*')
+      .single();
+    if (error) throw error;
+    return { ok: true, pack: data };
+  } catch (err) {
+    console.warn('[auditPackHistoryService] generateAndSavePack failed:', err);
+    return { ok: false, error: err.message || String(err) };
+  }
+}
+
+// ──────────────────────────────────────────────────
+// Schedules
+// ──────────────────────────────────────────────────
+
+export async function getSchedule(scope) {
+  if (!supabase) return null;
+  const { data, error } = await supabase
+    .from('audit_pack_schedules')
+    .select('*')
+    .eq('scope_key', scopeKeyFor(scope))
+    .maybeSingle();
+  if (error) {
+    console.warn('[auditPackHistoryService] getSchedule failed:', error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Create or update the monthly reminder for a scope.
+ *
+ * @param {Object} input
+ * @param {Object} input.scope
+ * @param {string} [input.scopeLabel]
+ * @param {number} input.dayOfMonth  — 1..28
+ * @param {boolean} [input.enabled]
+ * @param {string} [input.userId]
+ */
+export async function saveSchedule({ scope, scopeLabel, dayOfMonth, enabled = true, userId = null }) {
+  if (!supabase) return { ok: false, error: 'Supabase not configured' };
+  const day = Math.round(Number(dayOfMonth));
+  if (!(day >= 1 && day <= 28)) return { ok: false, error: 'Pick a day between 1 and 28' };
+  const { data, error } = await supabase
+    .from('audit_pack_schedules')
+    .upsert({
+      scope_key: scopeKeyFor(scope),
+      scope: normalizeScope(scope),
+      scope_label: scopeLabel || null,
+      client_id: scope.clientId || null,
+      cadence: 'monthly',
+      day_of_month: day,
+      enabled,
+      next_run_at: nextMonthlyRun(day).toISOString(),
+      created_by: userId,
+    }, { onConflict: 'scope_key' })
+    .select('*')
+    .single();
+  if (error) {
+    console.warn('[auditPackHistoryService] saveSchedule failed:', error);
+    return { ok: false, error: error.message };
+  }
+  return { ok: true, schedule: data };
+}
+
+export async function deleteSchedule(id) {
+  if (!supabase) return { ok: false, error: 'Supabase not configured' };
+  const { error } = await supabase.from('audit_pack_schedules').delete().eq('id', id);
+  if (error) {
+    console.warn('[auditPackHistoryService] deleteSchedule failed:', error);
+    return { ok: false, error: error.message };
+  }
+  return { ok: true };
+}
+
+/**
+ * Enabled schedules whose next_run_at has passed, oldest first — the
+ * packs waiting for someone to generate them.
+ */
+export async function listDuePackReminders({ limit = 20 } = {}) {
+  if (!supabase) return [];
+  const { data, error } = await supabase
+    .from('audit_pack_schedules')
+    .select('*')
+    .eq('enabled', true)
+    .lte('next_run_at', new Date().toISOString())
+    .order('next_run_at', { ascending: true })
+    .limit(limit);
+  if (error) {
+    console.warn('[auditPackHistoryService] listDuePackReminders failed:', error);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Generate the pack a due reminder asks for. Claims the schedule with a
+ * lease first so a second tab clicking the same reminder backs off.
+ *
+ * @returns {Promise<{ ok: boolean, pack?: Object, error?: string }>}
+ */
+export async function runPackReminder(schedule, { userId = null, onProgress } = {}) {
+  if (!supabase) return { ok: false, error: 'Supabase not configured' };
+  const now = new Date();
+  const leaseUntil = new Date(now.getTime() + SCHEDULE_LEASE_MINUTES * 60000);
+  const { data: claimed, error: claimError } = await supabase
+    .from('audit_pack_schedules')
+    .update({ claimed_until: leaseUntil.toISOString(), last_run_at: now.toISOString() })
+    .eq('id', schedule.id)
+    .or(`claimed_until.is.null,claimed_until.lt.${now.toISOString()}`)
+    .select('id');
+  if (claimError) {
+    console.warn('[auditPackHistoryService] runPackReminder claim failed:', claimError);
+    return { ok: false, error: claimError.message };
+  }
+  if (!claimed?.length) return { ok: false, error: 'Already being generated in another tab' };
+
+  const r = await generateAndSavePack(schedule.scope, {
+    trigger: 'scheduled',
+    scheduleId: schedule.id,
+    userId,
+    onProgress,
+  });
+  // Success moves the reminder to next month; failure leaves it due.
+  // Either way the lease is released.
+  const { error: releaseError } = await supabase
+    .from('audit_pack_schedules')
+    .update(r.ok
+      ? { next_run_at: nextMonthlyRun(schedule.day_of_month, now).toISOString(), last_pack_id: r.pack.id, last_error: null, claimed_until: null }
+      : { last_error: r.error, claimed_until: null })
+    .eq('id', schedule.id);
+  if (releaseError) console.warn('[auditPackHistoryService] schedule release failed:', releaseError);
+  return r;
+}
+
+export default {
+  scopeKeyFor,
+  nextMonthlyRun,
+  listPacks,
+  loadPack,
+  generateAndSavePack,
+  getSchedule,
+  saveSchedule,
+  deleteSchedule,
+  listDuePackReminders,
+  runPackReminder,
+};
@@ -9,11 +9,17 @@
  *   - whiteSpaceService.analyzeWhiteSpace       → topic clusters, format gaps, cadence, brief
  *   - movementService.loadAlerts                → recent movement
  *   - clientDiagnosticService.compute + briefing → executive briefing (when client pinned)
+ *
+ * buildAuditPack also returns a structured snapshot of the numbers that
+ * matter between packs; given the previous pack's snapshot it diffs the
+ * two and leads the document with a "What changed" section.
+ * auditPackHistoryService persists packs and their monthly reminders.
  */
 
 import { supabase } from './supabaseClient';
 import { fetchLandscapeChannels } from './researchV2Service.js';
 import { analyzePatterns, resolveScopeToChannelIds } from './patternsService.js';
+import { correctedConfidence } from './patternSignificance.js';
 import { analyzeWhiteSpace } from './whiteSpaceService.js';
 import { loadAlerts } from './movementService.js';
 import { computeClientDiagnostic, loadOrGenerateBriefing } from './clientDiagnosticService.js';
@@ -506,7 +512,7 @@ function sectionTitlePatterns(patterns) {
     '|---|---:|---:|---:|---:|',
   ];
   for (const p of sorted) {
-    lines.push(`| ${p.label} | ${fmtPct(p.freq)} (n=${p.count}) | ${fmtNum(p.medianViews)} | ${fmtLift(p.viewsLift, p.confidence)} | ${p.avgEngagement == null ? '—' : fmtPct(p.avgEngagement, 1)} |`);
+    lines.push(`| ${p.label} | ${fmtPct(p.freq)} (n=${p.count}) | ${fmtNum(p.medianViews)} | ${fmtLift(p.viewsLift, correctedConfidence(p))} | ${p.avgEngagement == null ? '—' : fmtPct(p.avgEngagement, 1)} |`);
   }
   return lines.join('\n');
 }
@@ -710,7 +716,7 @@ function detectActivePlays(alerts) {
       examples: c.breakouts.slice(0, 4).map(b => ({
         title: b.payload?.video_title || '(no title)',
         multiplier: b.payload?.multiplier,
-        views: b.payload?.views_at_48h,
+        views: b.payload?.views ?? b.payload?.views_at_48h,
         youtube_video_id: b.payload?.youtube_video_id,
       })),
     };
@@ -793,6 +799,9 @@ function sectionMovement(alerts) {
     const when = new Date(a.generated_at).toISOString().split('T')[0];
     switch (a.alert_type) {
       case 'breakout':
+        if (p.z_score != null) {
+          return `- **${escapeMd(p.channel_name)}** — "${escapeMd(p.video_title)}" at ${p.multiplier}× its expected curve (${fmtNum(p.views)} views at day ${Math.round(p.age_days)}, z = ${p.z_score}, ${p.confidence}). _${when}_`;
+        }
         return `- **${escapeMd(p.channel_name)}** — "${escapeMd(p.video_title)}" hit ${p.multiplier}× channel median (${fmtNum(p.views_at_48h)} views at 48h). _${when}_`;
       case 'format_shift':
         return `- **${escapeMd(p.channel_name)}** — pivoted from ${p.prev_format} (${p.prev_pct}%) to ${p.curr_format} (${p.curr_pct}%). _${when}_`;
@@ -800,6 +809,12 @@ function sectionMovement(alerts) {
         return `- **${escapeMd(p.channel_name)}** — avg views ${p.direction === 'up' ? 'up' : 'down'} ${Math.abs(p.pct_change)}% (${fmtNum(p.prev_velocity)} → ${fmtNum(p.curr_velocity)}). _${when}_`;
       case 'new_entrant':
         return `- **${escapeMd(p.channel_name)}** — newly added to scope${p.subscriber_count ? ` (${fmtNum(p.subscriber_count)} subs)` : ''}. _${when}_`;
+      case 'title_pattern_adoption':
+        return `- **${escapeMd(p.channel_name)}** — started using "${escapeMd(p.pattern_label)}" titles (${p.matched_count}/${p.recent_count} recent uploads, none before). _${when}_`;
+      case 'cadence_break':
+        return `- **${escapeMd(p.channel_name)}** — silent ${Math.round(p.days_silent)} days (${p.gap_multiple}× usual ${p.median_gap_days}-day gap). _${when}_`;
+      case 'shorts_pivot':
+        return `- **${escapeMd(p.channel_name)}** — Shorts share ${p.prev_shorts_pct}% → ${p.curr_shorts_pct}% of uploads. _${when}_`;
       default:
         return `- ${escapeMd(p.channel_name || a.alert_type)} — ${a.alert_type}. _${when}_`;
     }
@@ -810,6 +825,9 @@ function sectionMovement(alerts) {
     { type: 'rank_change', label: 'Rank changes' },
     { type: 'format_shift', label: 'Format shifts' },
     { type: 'new_entrant', label: 'New entrants' },
+    { type: 'title_pattern_adoption', label: 'Title-pattern adoptions' },
+    { type: 'shorts_pivot', label: 'Shorts pivots' },
+    { type: 'cadence_break', label: 'Cadence breaks' },
   ];
   for (const { type, label } of order) {
     const list = byType[type];
@@ -822,10 +840,206 @@ function sectionMovement(alerts) {
   return lines.join('\n');
 }
 
+// ──────────────────────────────────────────────────
+// Snapshot + diff against the previous pack
+// ──────────────────────────────────────────────────
+
+/**
+ * The comparable numbers behind a pack. Stored on audit_packs.snapshot
+ * so the next pack can diff against it without re-running anything.
+ */
+export function buildPackSnapshot({ channels, patternsResult, whiteSpaceResult, alerts }) {
+  const ranked = [...(channels || [])].sort((a, b) => (b.viewVelocity ?? 0) - (a.viewVelocity ?? 0));
+  const movement = {};
+  for (const a of alerts || []) movement[a.alert_type] = (movement[a.alert_type] || 0) + 1;
+  return {
+    generatedAt: new Date().toISOString(),
+    patterns: (patternsResult?.scope?.titlePatterns || []).map(p => ({
+      id: p.id, label: p.label, count: p.count, viewsLift: p.viewsLift, confidence: p.confidence,
+      significant: !!p.significant, significance: p.significance ?? 'none', qValue: p.qValue ?? null,
+    })),
+    topics: (whiteSpaceResult?.topicCoverage || []).map(t => ({
+      name: t.name, coverage: t.coverage, count: t.count,
+    })),
+    // Same order as the cohort table: view velocity desc
+    landscape: ranked.map((c, i) => ({
+      id: c.id, name: c.name, rank: i + 1, viewVelocity: c.viewVelocity ?? null,
+    })),
+    format: {
+      shortsFreq: patternsResult?.scope?.formatBreakdown?.shortsFreq ?? null,
+    },
+    movement,
+  };
+}
+
+// Landscape moves smaller than this many places (or 10% of the cohort,
+// whichever is larger) are churn, not news.
+const RANK_MOVE_MIN = 3;
+// Shorts share has to move this many points to be worth a line.
+const FORMAT_SHIFT_PTS = 5;
+
+const liftPct = (lift) => (lift == null ? null : Math.round((lift - 1) * 100));
+const signedPct = (pct) => (pct > 0 ? `+${pct}%` : `${pct}%`);
+const titleCount = (n) => `${n} title${n === 1 ? '' : 's'}`;
+
+// A pattern's label after the BH correction (patternSignificance) — the
+// one PatternsLens shows. Snapshots saved before significance was stored
+// only have the n-based label.
+function snapshotConfidence(p) {
+  if (!p) return null;
+  return 'significance' in p ? correctedConfidence(p) : p.confidence;
+}
+
+function diffPatterns(prev, curr) {
+  const items = [];
+  const before = new Map((prev || []).map(p => [p.id, p]));
+  for (const p of curr || []) {
+    const old = before.get(p.id);
+    const was = snapshotConfidence(old);
+    const is = snapshotConfidence(p);
+    const wasStat = was === 'statistical';
+    const isStat = is === 'statistical';
+    if (isStat && !wasStat) {
+      items.push({ kind: 'became_significant', text: `**${p.label}** became statistically solid — ${signedPct(liftPct(p.viewsLift))} views lift (n=${p.count}; was ${was || 'absent'}).` });
+    } else if (!isStat && wasStat) {
+      items.push({ kind: 'lost_significance', text: `**${p.label}** dropped to ${is} (n=${p.count}) — its ${signedPct(liftPct(old.viewsLift))} lift no longer holds up.` });
+    } else if (isStat && wasStat && old.viewsLift != null && p.viewsLift != null) {
+      const delta = liftPct(p.viewsLift) - liftPct(old.viewsLift);
+      if (Math.abs(delta) >= 25) {
+        items.push({ kind: 'lift_moved', text: `**${p.label}** lift moved ${signedPct(liftPct(old.viewsLift))} → ${signedPct(liftPct(p.viewsLift))}.` });
+      }
+    }
+  }
+  return items;
+}
+
+// Topic names come from an LLM clustering pass, so they're matched
+// case-insensitively and a topic that simply isn't named again is
+// reported as such rather than as closed.
+function diffTopics(prev, curr) {
+  const items = [];
+  const key = (t) => (t.name || '').trim().toLowerCase();
+  const now = new Map((curr || []).map(t => [key(t), t]));
+  const before = new Map((prev || []).map(t => [key(t), t]));
+  for (const old of prev || []) {
+    if (old.coverage !== 'gap') continue;
+    const t = now.get(key(old));
+    if (!t) items.push({ kind: 'gap_unlisted', text: `White-space topic **${old.name}** no longer surfaces in the topic map.` });
+    else if (t.coverage !== 'gap') items.push({ kind: 'gap_closed', text: `White-space topic **${t.name}** closed — now ${t.coverage} (${titleCount(t.count)}).` });
+  }
+  for (const t of curr || []) {
+    if (t.coverage !== 'gap') continue;
+    const old = before.get(key(t));
+    if (!old) items.push({ kind: 'gap_new', text: `New white-space topic: **${t.name}** (${titleCount(t.count)}).` });
+    else if (old.coverage !== 'gap') items.push({ kind: 'gap_opened', text: `**${t.name}** thinned out from ${old.coverage} to a gap.` });
+  }
+  return items;
+}
+
+function diffLandscape(prev, curr) {
+  const items = [];
+  const before = new Map((prev || []).map(c => [c.id, c]));
+  const now = new Set((curr || []).map(c => c.id));
+  const threshold = Math.max(RANK_MOVE_MIN, Math.ceil((curr || []).length * 0.1));
+  const moves = [];
+  for (const c of curr || []) {
+    const old = before.get(c.id);
+    if (!old) { items.push({ kind: 'entered', text: `**${c.name}** entered the cohort at #${c.rank}.` }); continue; }
+    const delta = old.rank - c.rank;
+    if (Math.abs(delta) >= threshold) moves.push({ c, old, delta });
+  }
+  moves.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  for (const { c, old, delta } of moves) {
+    items.push({
+      kind: delta > 0 ? 'moved_up' : 'moved_down',
+      text: `**${c.name}** moved ${delta > 0 ? 'up' : 'down'} ${Math.abs(delta)} places (#${old.rank} → #${c.rank}) by view velocity.`,
+    });
+  }
+  for (const old of prev || []) {
+    if (!now.has(old.id)) items.push({ kind: 'left', text: `**${old.name}** left the cohort (was #${old.rank}).` });
+  }
+  return items;
+}
+
+function diffFormat(prev, curr) {
+  if (prev?.shortsFreq == null || curr?.shortsFreq == null) return [];
+  const before = Math.round(prev.shortsFreq * 100);
+  const after = Math.round(curr.shortsFreq * 100);
+  if (Math.abs(after - before) < FORMAT_SHIFT_PTS) return [];
+  return [{ kind: 'shorts_share', text: `Shorts share of uploads ${after > before ? 'rose' : 'fell'} from ${before}% to ${after}%.` }];
+}
+
+function diffMovement(prev, curr) {
+  const items = [];
+  const types = new Set([...Object.keys(prev || {}), ...Object.keys(curr || {})]);
+  for (const type of types) {
+    const a = prev?.[type] || 0;
+    const b = curr?.[type] || 0;
+    if (a === b) continue;
+    items.push({ kind: 'alert_count', text: `${type.replace(/_/g, ' ')} alerts (last 30d): ${a} → ${b}.` });
+  }
+  return items;
+}
+
+/**
+ * Section-by-section changes between two pack snapshots. Sections with
+ * nothing to report are kept (empty items) so the renderer can say so.
+ */
+export function diffPackSnapshots(prev, curr) {
+  if (!prev || !curr) return null;
+  const sections = [
+    { id: 'patterns',  title: 'Title patterns',       items: diffPatterns(prev.patterns, curr.patterns) },
+    { id: 'topics',    title: 'White space',          items: diffTopics(prev.topics, curr.topics) },
+    { id: 'landscape', title: 'Landscape',            items: diffLandscape(prev.landscape, curr.landscape) },
+    { id: 'format',    title: 'Format mix',           items: diffFormat(prev.format, curr.format) },
+    { id: 'movement',  title: 'Movement',             items: diffMovement(prev.movement, curr.movement) },
+  ];
+  return {
+    previousGeneratedAt: prev.generatedAt || null,
+    sections,
+    changeCount: sections.reduce((s, sec) => s + sec.items.length, 0),
+  };
+}
+
+function sectionWhatChanged(diff) {
+  if (!diff) return null;
+  const since = diff.previousGeneratedAt ? diff.previousGeneratedAt.split('T')[0] : 'the previous pack';
+  const lines = [
+    '## What changed',
+    '',
+    `_Compared with the previous pack for this scope (${since}). ${diff.changeCount} change${diff.changeCount === 1 ? '' : 's'}._`,
+    '',
+  ];
+  for (const sec of diff.sections) {
+    lines.push(`### ${sec.title}`, '');
+    if (!sec.items.length) {
+      lines.push('- No material change.', '');
+      continue;
+    }
+    for (const item of sec.items) lines.push(`- ${item.text}`);
+    lines.push('');
+  }
+  return lines.join('\n').trimEnd();
+}
+
 // ──────────────────────────────────────────────────
 // Public entry
 // ──────────────────────────────────────────────────
-export async function generateAuditPack(scope, { onProgress } = {}) {
+
+/**
+ * Markdown-only entry, kept for callers that just want the document.
+ */
+export async function generateAuditPack(scope, opts = {}) {
+  return (await buildAuditPack(scope, opts)).markdown;
+}
+
+/**
+ * Build the pack. Pass the previous pack for the same scope as
+ * `previous` ({ snapshot }) to get the diff and "What changed" section.
+ *
+ * @returns {Promise<{ markdown: string, snapshot: Object, diff: Object|null, scopeLabel: string }>}
+ */
+export async function buildAuditPack(scope, { onProgress, previous = null } = {}) {
   const tick = (label) => { if (onProgress) onProgress(label); };
   const scopeLabel = await buildScopeLabel(scope);
   const date = new Date().toISOString().split('T')[0];
@@ -908,7 +1122,12 @@ export async function generateAuditPack(scope, { onProgress } = {}) {
     `_Generated by Full View · ${new Date().toISOString()}_`,
   ].join('\n');
 
-  return [header, preamble, ...sections, footer].join('\n\n');
+  const snapshot = buildPackSnapshot({ channels, patternsResult, whiteSpaceResult, alerts });
+  const diff = previous?.snapshot ? diffPackSnapshots(previous.snapshot, snapshot) : null;
+  const whatChanged = sectionWhatChanged(diff);
+
+  const markdown = [header, whatChanged, preamble, ...sections, footer].filter(Boolean).join('\n\n');
+  return { markdown, snapshot, diff, scopeLabel };
 }
 
 // Browser download helper
@@ -926,4 +1145,4 @@ export function downloadMarkdown(markdown, filename = 'audit-pack.md') {
   }, 100);
 }
 
-export default { generateAuditPack, downloadMarkdown };
+export default { generateAuditPack, buildAuditPack, buildPackSnapshot, diffPackSnapshots, downloadMarkdown };
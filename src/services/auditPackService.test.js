@@ -0,0 +1,50 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// youtubeAPI (via demandSignalService) reads its key from localStorage
+// at import time.
+vi.hoisted(() => {
+  globalThis.localStorage ??= { getItem: () => null, setItem: () => {}, removeItem: () => {} };
+});
+
+import { buildPackSnapshot, diffPackSnapshots } from './auditPackService';
+
+// titlePatterns as analyzePatterns returns them after applyFdr.
+const pattern = (overrides) => ({
+  id: 'number', label: 'Number in title', count: 60, viewsLift: 1.8,
+  confidence: 'statistical', pValue: 0.2, qValue: 0.4, significant: false, significance: 'none',
+  ...overrides,
+});
+const snapshot = (titlePatterns) => buildPackSnapshot({
+  channels: [], whiteSpaceResult: null, alerts: [],
+  patternsResult: { scope: { titlePatterns } },
+});
+const patternItems = (prev, curr) => diffPackSnapshots(prev, curr).sections.find(s => s.id === 'patterns').items;
+
+describe('diffPackSnapshots — title patterns', () => {
+  it('stores the BH-corrected significance on the snapshot', () => {
+    const [p] = snapshot([pattern()]).patterns;
+    expect(p).toMatchObject({ confidence: 'statistical', significant: false, significance: 'none', qValue: 0.4 });
+  });
+
+  it('does not call a lift that fails FDR statistically solid, however large n is', () => {
+    const prev = snapshot([pattern({ count: 20, confidence: 'directional' })]);
+    const curr = snapshot([pattern({ count: 120 })]);
+    const items = patternItems(prev, curr);
+    expect(items.map(i => i.kind)).not.toContain('became_significant');
+    expect(items.some(i => /statistically solid/.test(i.text))).toBe(false);
+  });
+
+  it('reports a pattern that passes FDR as statistically solid', () => {
+    const prev = snapshot([pattern({ count: 20, confidence: 'directional' })]);
+    const curr = snapshot([pattern({ qValue: 0.02, significant: true, significance: 'positive' })]);
+    expect(patternItems(prev, curr).map(i => i.kind)).toEqual(['became_significant']);
+  });
+
+  it('reports a lift the correction now rejects as lost', () => {
+    const prev = snapshot([pattern({ qValue: 0.02, significant: true, significance: 'positive' })]);
+    const curr = snapshot([pattern()]);
+    const [item] = patternItems(prev, curr);
+    expect(item.kind).toBe('lost_significance');
+    expect(item.text).toContain('dropped to directional');
+  });
+});
@@ -20,6 +20,9 @@ export async function saveCalibrationRun({
   createdBy = null,
   baselineStrategy = 'percentile_rank',
   baselineWindowDays = null,
+  // Migration 108 — which client_outcomes.outcome_type a
+  // 'client_outcomes' run ranked on. Null for view-side strategies.
+  baselineOutcomeType = null,
   videosCalibrated,
   compositeAccuracy,
   compositeAdjacentAccuracy,
@@ -40,6 +43,7 @@ export async function saveCalibrationRun({
     created_by:                   createdBy,
     baseline_strategy:            baselineStrategy,
     baseline_window_days:         baselineWindowDays,
+    baseline_outcome_type:        baselineOutcomeType,
     videos_calibrated:            videosCalibrated || 0,
     composite_accuracy:           compositeAccuracy,
     composite_adjacent_accuracy:  compositeAdjacentAccuracy,
@@ -72,7 +76,7 @@ export async function listCalibrationRunsForClient(clientId, { limit = 10 } = {}
 
   const { data, error } = await supabase
     .from(TABLE)
-    .select('id, source_audit_id, created_at, created_by, baseline_strategy, videos_calibrated, composite_accuracy, composite_adjacent_accuracy, format_split_enabled')
+    .select('id, source_audit_id, created_at, created_by, baseline_strategy, baseline_outcome_type, videos_calibrated, composite_accuracy, composite_adjacent_accuracy, format_split_enabled')
     .eq('client_id', clientId)
     .is('archived_at', null)
     .order('created_at', { ascending: false })
@@ -10,18 +10,27 @@
  * a video's view-rank quartile inside the channel's catalog (or inside
  * the audit's format-filtered pool if the audit was format-scoped).
  *
- * Phase B (later): pluggable strategies for pipeline outcomes
- * (consultation_bookings, demo_requests, donor_signups, etc.) for
- * clients who can provide the outcome data. The strategy interface is
- * already in place — only deriveActualTiers needs to grow.
+ * Phase B: BASELINE_STRATEGIES registry. Every strategy is "quartile
+ * rank on some per-video metric" — they differ only in the metric:
+ *   - percentile_rank      view_count (Phase A, the default)
+ *   - watch_time_per_view  watch_hours / views — depth, not reach
+ *   - subs_per_view        subscribers_gained / views — conversion to
+ *                          channel, not just consumption
+ *   - client_outcomes      a client-supplied outcome (consultations,
+ *                          demo requests, donor signups) from the
+ *                          client_outcomes table (migration 108)
+ * Strategies that need data beyond the audit's video_scores declare it
+ * via `requires`; the caller loads it (clientOutcomesService) and
+ * passes it in as baselineContext. Videos with no metric value are
+ * excluded from the ranking rather than ranked as zero — a missing
+ * watch-time row is "unknown", not "bad".
  *
- * Why percentile_rank for Phase A:
+ * Why percentile_rank stays the default:
  *   - Works for every client archetype out of the box.
  *   - Defensible to a strategist ("did this video rank top-quartile in
  *     YOUR catalog or not?").
  *   - Robust to channel growth (every audit re-ranks against the same
  *     video pool the audit captured).
- *   - Schema accepts richer baseline strategies later without rewrite.
  *
  * What this service does NOT do: persist. CRUD is in
  * calibrationRunsService. This file is a pure, no-IO transform so it's
@@ -40,6 +49,72 @@ const DIMENSION_KEYS = [
   'topic_authority',
 ];
 
+// ──────────────────────────────────────────────────
+// Baseline strategy registry
+// ──────────────────────────────────────────────────
+
+/**
+ * Each strategy maps a video (audit video_scores entry) + baselineContext
+ * to a number, or null when the video has no value for that metric.
+ *
+ *   requires: null           → audit's video_scores are enough
+ *             'videoMetrics' → baselineContext.videoMetrics
+ *                              { [youtube_video_id]: { view_count, watch_hours, subscribers_gained } }
+ *             'outcomes'     → baselineContext.outcomes
+ *                              { [youtube_video_id]: number } for ONE outcome_type
+ *
+ * Per-view ratios prefer the videoMetrics view_count (same row as the
+ * watch/subs numbers) over the audit's captured view_count so the
+ * numerator and denominator come from the same sync.
+ */
+const BASELINE_STRATEGIES = {
+  percentile_rank: {
+    id:          'percentile_rank',
+    label:       'View-rank quartile',
+    metricLabel: 'views',
+    description: 'Top 25% of the audit\'s videos by views = "very_likely_outperform" actual; bottom 25% = "predicted_under".',
+    requires:    null,
+    metric:      (v) => v.view_count || 0,
+  },
+  watch_time_per_view: {
+    id:          'watch_time_per_view',
+    label:       'Watch-time-per-view quartile',
+    metricLabel: 'watch minutes per view',
+    description: 'Ranks videos by watch hours ÷ views. Rewards depth over reach — a short-reach video people finish beats a viral one they bail on.',
+    requires:    'videoMetrics',
+    metric:      (v, ctx) => {
+      const m = ctx.videoMetrics?.[v.youtube_video_id];
+      const views = m?.view_count || v.view_count;
+      if (m?.watch_hours == null || !views) return null;
+      return (Number(m.watch_hours) * 60) / views;
+    },
+  },
+  subs_per_view: {
+    id:          'subs_per_view',
+    label:       'Subscriber-gain-per-view quartile',
+    metricLabel: 'subs gained per 1K views',
+    description: 'Ranks videos by subscribers gained ÷ views. Measures conversion to the channel, not just consumption.',
+    requires:    'videoMetrics',
+    metric:      (v, ctx) => {
+      const m = ctx.videoMetrics?.[v.youtube_video_id];
+      const views = m?.view_count || v.view_count;
+      if (m?.subscribers_gained == null || !views) return null;
+      return (Number(m.subscribers_gained) * 1000) / views;
+    },
+  },
+  client_outcomes: {
+    id:          'client_outcomes',
+    label:       'Client outcome quartile',
+    metricLabel: 'outcomes',
+    description: 'Ranks videos by a client-supplied outcome (consultations, demo requests, donor signups) uploaded by CSV. Only videos with an outcome row are ranked.',
+    requires:    'outcomes',
+    metric:      (v, ctx) => {
+      const value = ctx.outcomes?.[v.youtube_video_id];
+      return value == null ? null : Number(value);
+    },
+  },
+};
+
 // ──────────────────────────────────────────────────
 // Public entry
 // ──────────────────────────────────────────────────
@@ -48,11 +123,15 @@ const DIMENSION_KEYS = [
  * @param {Object} args
  * @param {Object} args.audit                 row from client_repositioning_audits
  *                                            (must have video_scores JSONB)
- * @param {string} [args.baselineStrategy='percentile_rank']
+ * @param {string} [args.baselineStrategy='percentile_rank']  key of BASELINE_STRATEGIES
+ * @param {Object} [args.baselineContext]     extra data the strategy `requires`
+ *                                            ({ videoMetrics } or { outcomes, outcomeType })
  * @param {number} [args.mismatchTopN=25]
  * @returns {{
  *   baselineStrategy: string,
+ *   baselineOutcomeType: string|null,
  *   videosCalibrated: number,
+ *   videosExcluded: number,
  *   compositeMetrics: object,
  *   perDimensionMetrics: object,
  *   mismatchedVideos: Array,
@@ -63,6 +142,7 @@ const DIMENSION_KEYS = [
 export function computeCalibration({
   audit,
   baselineStrategy = 'percentile_rank',
+  baselineContext = {},
   mismatchTopN = DEFAULT_MISMATCH_TOP_N,
   // Migration 094 — when true, compute per-format metrics (shorts vs
   // long_form) IN ADDITION TO pooled metrics. Each format's actual_tier
@@ -75,11 +155,19 @@ export function computeCalibration({
   if (!audit?.video_scores?.length) {
     return { error: 'audit has no video_scores to calibrate against' };
   }
+  const strategy = BASELINE_STRATEGIES[baselineStrategy];
+  if (!strategy) {
+    return { error: `Unknown baselineStrategy: ${baselineStrategy}. Known: ${Object.keys(BASELINE_STRATEGIES).join(', ')}.` };
+  }
+  if (strategy.requires && !baselineContext?.[strategy.requires]) {
+    return { error: `baselineStrategy '${baselineStrategy}' needs baselineContext.${strategy.requires}` };
+  }
 
   // Pooled metrics (existing behavior — every video, single quartile derivation).
   const pooled = computePoolMetrics({
     videos:           audit.video_scores,
     baselineStrategy,
+    baselineContext,
     mismatchTopN,
   });
   if (pooled.error) return { error: pooled.error };
@@ -89,14 +177,17 @@ export function computeCalibration({
     perFormatMetrics = computePerFormatMetrics({
       videos:           audit.video_scores,
       baselineStrategy,
+      baselineContext,
       mismatchTopN,
     });
   }
 
   return {
     baselineStrategy,
+    baselineOutcomeType:       strategy.requires === 'outcomes' ? (baselineContext.outcomeType || null) : null,
     formatSplitEnabled:        splitByFormat,
     videosCalibrated:          pooled.videosCalibrated,
+    videosExcluded:            audit.video_scores.length - pooled.videosCalibrated,
     compositeMetrics:          pooled.compositeMetrics,
     perDimensionMetrics:       pooled.perDimensionMetrics,
     mismatchedVideos:          pooled.mismatchedVideos,
@@ -110,9 +201,10 @@ export function computeCalibration({
 // Pool metrics — runs over any video pool (full pool, shorts pool, long-form pool)
 // ──────────────────────────────────────────────────
 
-function computePoolMetrics({ videos: videoPool, baselineStrategy, mismatchTopN }) {
+function computePoolMetrics({ videos: videoPool, baselineStrategy, baselineContext, mismatchTopN }) {
   // 1) Derive actual_tier for each video using the chosen strategy.
-  const videos = deriveActualTiers({ videos: videoPool, baselineStrategy });
+  // Videos the strategy has no metric for are dropped here.
+  const videos = deriveActualTiers({ videos: videoPool, baselineStrategy, baselineContext });
   if (videos.error) return { error: videos.error };
 
   // 2) Composite-tier metrics.
@@ -149,6 +241,7 @@ function computePoolMetrics({ videos: videoPool, baselineStrategy, mismatchTopN
       format:                    v.format,
       predicted_composite_tier:  v.composite_tier,
       actual_tier:               v.actual_tier,
+      baseline_metric:           v.baseline_metric,
       per_dimension_disagreement: DIMENSION_KEYS
         .map(dim => {
           const predicted = v.scores?.[dim]?.tier;
@@ -175,7 +268,7 @@ function computePoolMetrics({ videos: videoPool, baselineStrategy, mismatchTopN
 // "did this video outperform within its format?"
 // ──────────────────────────────────────────────────
 
-function computePerFormatMetrics({ videos, baselineStrategy, mismatchTopN }) {
+function computePerFormatMetrics({ videos, baselineStrategy, baselineContext, mismatchTopN }) {
   const result = {};
   for (const format of ['shorts', 'long_form']) {
     const pool = videos.filter(v => v.format === format);
@@ -191,9 +284,18 @@ function computePerFormatMetrics({ videos, baselineStrategy, mismatchTopN }) {
       };
       continue;
     }
-    const m = computePoolMetrics({ videos: pool, baselineStrategy, mismatchTopN });
+    const m = computePoolMetrics({ videos: pool, baselineStrategy, baselineContext, mismatchTopN });
     if (m.error) {
-      result[format] = { n: pool.length, error: m.error };
+      // Usually "too few videos with a metric value" on the Phase B
+      // strategies — render the same insufficient-data state.
+      result[format] = {
+        n: pool.length,
+        insufficientData: true,
+        error: m.error,
+        compositeMetrics: null,
+        perDimensionMetrics: null,
+        mismatchedVideos: [],
+      };
       continue;
     }
     result[format] = {
@@ -213,7 +315,7 @@ function computePerFormatMetrics({ videos, baselineStrategy, mismatchTopN }) {
 // ──────────────────────────────────────────────────
 
 /**
- * Phase A strategy: percentile_rank within the audit's video pool.
+ * Quartile rank on the strategy's metric within the given pool.
  * Top quartile → very_likely_outperform; bottom quartile →
  * predicted_under; middle quartiles split likely_solid / risky.
  *
@@ -221,29 +323,38 @@ function computePerFormatMetrics({ videos, baselineStrategy, mismatchTopN }) {
  * quartile mapping gives equal-sized actual buckets that compare cleanly.
  *
  * Handles ties by stable sort + index-based rank (videos with the same
- * view_count land in adjacent ranks rather than collapsing — keeps the
- * quartile boundaries well-defined).
+ * metric land in adjacent ranks rather than collapsing — keeps the
+ * quartile boundaries well-defined). Ties break on view_count so
+ * outcome strategies with many zero-outcome videos still order the
+ * zero pile by reach instead of by catalog position.
+ *
+ * Videos with a null metric are excluded. Returns the ranked subset
+ * (original relative order) with actual_tier + baseline_metric set.
  */
-function deriveActualTiers({ videos, baselineStrategy }) {
-  if (baselineStrategy !== 'percentile_rank') {
-    return { error: `Unknown baselineStrategy: ${baselineStrategy}. Phase A supports 'percentile_rank' only.` };
+function deriveActualTiers({ videos, baselineStrategy, baselineContext = {} }) {
+  const strategy = BASELINE_STRATEGIES[baselineStrategy];
+  if (!strategy) {
+    return { error: `Unknown baselineStrategy: ${baselineStrategy}` };
   }
   if (!videos.length) return { error: 'no videos' };
 
-  const ranked = [...videos]
-    .map((v, originalIdx) => ({ ...v, _originalIdx: originalIdx }))
-    .sort((a, b) => (a.view_count || 0) - (b.view_count || 0));  // asc
+  const withMetric = videos
+    .map((v, originalIdx) => ({ ...v, _originalIdx: originalIdx, baseline_metric: strategy.metric(v, baselineContext) }))
+    .filter(v => v.baseline_metric != null && Number.isFinite(v.baseline_metric));
+
+  if (withMetric.length < 4) {
+    return {
+      error: `Only ${withMetric.length} of ${videos.length} videos have ${strategy.metricLabel} data — need at least 4 to derive quartiles.`,
+    };
+  }
+
+  const ranked = withMetric
+    .sort((a, b) => (a.baseline_metric - b.baseline_metric) || ((a.view_count || 0) - (b.view_count || 0)));  // asc
 
   const n = ranked.length;
   for (let i = 0; i < n; i++) {
     // i in [0, n-1]. percentile = (i+1)/n. Quartile by Math.ceil.
-    const pct = (i + 1) / n;
-    let tier;
-    if      (pct > 0.75) tier = 'very_likely_outperform';
-    else if (pct > 0.50) tier = 'likely_solid';
-    else if (pct > 0.25) tier = 'risky';
-    else                 tier = 'predicted_under';
-    ranked[i].actual_tier = tier;
+    ranked[i].actual_tier = tierFromPercentile((i + 1) / n);
   }
 
   // Restore original order so per-dim mapping by index is preserved.
@@ -251,11 +362,27 @@ function deriveActualTiers({ videos, baselineStrategy }) {
   return ranked;
 }
 
+/**
+ * Quartile cut shared with the scorecard outcome ledger
+ * (scorecardOutcomesService), so forward-looking and audit accuracy
+ * compare like for like. pct in (0, 1].
+ */
+export function tierFromPercentile(pct) {
+  if (pct > 0.75) return 'very_likely_outperform';
+  if (pct > 0.50) return 'likely_solid';
+  if (pct > 0.25) return 'risky';
+  return 'predicted_under';
+}
+
 // ──────────────────────────────────────────────────
 // Score a single dimension (or the composite)
 // ──────────────────────────────────────────────────
 
-function scoreDimension(pairs) {
+/**
+ * Confusion matrix + exact / adjacent accuracy over
+ * { predicted, actual } tier pairs.
+ */
+export function scoreDimension(pairs) {
   const empty = {
     n: 0,
     accuracy: null,
@@ -301,7 +428,23 @@ function round(n, decimals = 4) {
   return Math.round(n * f) / f;
 }
 
+/**
+ * Strategy list for pickers — metadata only, no metric functions.
+ */
+export function listBaselineStrategies() {
+  return Object.values(BASELINE_STRATEGIES).map(({ metric, ...meta }) => meta);
+}
+
 export const CALIBRATION_TIERS = TIERS;
 export const CALIBRATION_DIMENSION_KEYS = DIMENSION_KEYS;
+export const CALIBRATION_BASELINE_STRATEGIES = BASELINE_STRATEGIES;
 
-export default { computeCalibration, CALIBRATION_TIERS, CALIBRATION_DIMENSION_KEYS };
+export default {
+  computeCalibration,
+  listBaselineStrategies,
+  scoreDimension,
+  tierFromPercentile,
+  CALIBRATION_TIERS,
+  CALIBRATION_DIMENSION_KEYS,
+  CALIBRATION_BASELINE_STRATEGIES,
+};
@@ -3,16 +3,33 @@
  * Handles all interactions with Anthropic's Claude API via backend proxy
  * Includes rate limiting, error handling, cost tracking, and budget management
  * Build: 2026-01-14-FINAL
+ *
+ * Usage + budget (migration 115): the proxy writes every call to the
+ * claude_usage_ledger and enforces the team budget server-side. Calls
+ * send the Supabase session (for attribution) plus the feature tag and
+ * options.clientId / options.promptVersion. The per-browser stats in
+ * localStorage remain as the "recent requests from this browser" list;
+ * the budget is the team one (refreshTeamBudget) — checkBudget is only
+ * a fast local pre-check against the last known team spend.
+ *
+ * Cancellation: pass options.signal (an AbortController's signal) to
+ * call / streamCall. An aborted call rejects with an AbortError
+ * (isAbortError) and the proxy records it as 'aborted'.
  */
 
+import { supabase } from './supabaseClient';
+
 // Always use proxy endpoint to avoid CORS (works in all environments via Vercel)
 const CLAUDE_API_URL = '/api/claude-proxy';  // Changed URL to bypass browser cache
 const CLAUDE_MODEL = 'claude-sonnet-4-5-20250929';  // Latest Sonnet 4.5 model
 const MAX_TOKENS = 4096;
+const TEAM_BUDGET_TTL_MS = 5 * 60_000;
 const API_VERSION = '2.2.1-cache-bust-final'; // Force bundle refresh - UPDATED STYLING
 
 // Pricing per million tokens (as of Jan 2025)
 // Note: These are Sonnet prices. Opus is higher: $15 input / $75 output
+// Mirror of the Sonnet row in api/claude-proxy.js, which is what the
+// ledger and the team budget actually bill against.
 const PRICING = {
   input: 3.00,   // $3 per million input tokens
   output: 15.00  // $15 per million output tokens
@@ -22,7 +39,8 @@ class ClaudeAPIService {
   constructor() {
     this.apiKey = this.loadAPIKey();
     this.usageStats = this.loadUsageStats();
-    this.monthlyBudget = this.loadMonthlyBudget();
+    this.teamBudget = null;   // { monthlyBudget, spent, calls, warnAtPercent, fetchedAt }
+    this._teamBudgetPromise = null;
   }
 
   // Load API key from localStorage
@@ -66,16 +84,56 @@ class ClaudeAPIService {
     return stats;
   }
 
-  // Load monthly budget limit
-  loadMonthlyBudget() {
-    const budget = localStorage.getItem('claude_monthly_budget');
-    return budget ? parseFloat(budget) : 20.00; // Default $20/month
+  // Load the team budget + month-to-date spend (claude_team_budget /
+  // claude_usage_month_to_date). Concurrent callers share one request.
+  async refreshTeamBudget() {
+    if (!supabase) return null;
+    if (this._teamBudgetPromise) return this._teamBudgetPromise;
+    this._teamBudgetPromise = (async () => {
+      try {
+        const [{ data: row, error: rowErr }, { data: mtd, error: mtdErr }] = await Promise.all([
+          supabase.from('claude_team_budget').select('monthly_budget_usd, warn_at_percent').eq('id', true).maybeSingle(),
+          supabase.rpc('claude_usage_month_to_date'),
+        ]);
+        if (rowErr || mtdErr) {
+          console.warn('[claudeAPI] refreshTeamBudget failed:', rowErr || mtdErr);
+          return this.teamBudget;
+        }
+        const m = Array.isArray(mtd) ? mtd[0] : mtd;
+        this.teamBudget = {
+          monthlyBudget: row?.monthly_budget_usd == null ? null : Number(row.monthly_budget_usd),
+          warnAtPercent: row?.warn_at_percent ?? 80,
+          spent:         Number(m?.cost_usd || 0),
+          calls:         Number(m?.calls || 0),
+          fetchedAt:     Date.now(),
+        };
+        return this.teamBudget;
+      } finally {
+        this._teamBudgetPromise = null;
+      }
+    })();
+    return this._teamBudgetPromise;
+  }
+
+  _refreshTeamBudgetIfStale() {
+    if (!this.teamBudget || Date.now() - this.teamBudget.fetchedAt > TEAM_BUDGET_TTL_MS) {
+      this.refreshTeamBudget().catch(() => {});
+    }
   }
 
-  // Save monthly budget
-  saveMonthlyBudget(budget) {
-    this.monthlyBudget = budget;
-    localStorage.setItem('claude_monthly_budget', budget.toString());
+  // Headers for /api/claude-proxy — the session lets the ledger
+  // attribute the call to a user.
+  async requestHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (supabase) {
+      try {
+        const { data } = await supabase.auth.getSession();
+        if (data?.session?.access_token) headers.Authorization = `Bearer ${data.session.access_token}`;
+      } catch {
+        // Unauthenticated call — still proxied, just unattributed.
+      }
+    }
+    return headers;
   }
 
   // Calculate cost for tokens
@@ -108,24 +166,54 @@ class ClaudeAPIService {
     }
 
     localStorage.setItem('claude_usage_stats', JSON.stringify(this.usageStats));
+
+    // Keep the cached team spend roughly current between refreshes.
+    if (this.teamBudget) this.teamBudget.spent += cost;
   }
 
-  // Check if request would exceed budget
+  // Check if request would exceed the team budget, using the last known
+  // team spend. The proxy is authoritative; this just fails fast.
   checkBudget(estimatedInputTokens = 5000, estimatedOutputTokens = 5000) {
+    this._refreshTeamBudgetIfStale();
+    if (!this.teamBudget || this.teamBudget.monthlyBudget == null) return true;
     const estimatedCost = this.calculateCost(estimatedInputTokens, estimatedOutputTokens);
-    return (this.usageStats.totalCost + estimatedCost) <= this.monthlyBudget;
+    return (this.teamBudget.spent + estimatedCost) <= this.teamBudget.monthlyBudget;
   }
 
-  // Get current usage stats
+  // Get current usage stats — this browser's requests plus the team
+  // budget from the last refreshTeamBudget().
   getUsageStats() {
+    const team = this.teamBudget;
+    const monthlyBudget = team?.monthlyBudget ?? null;
     return {
       ...this.usageStats,
-      monthlyBudget: this.monthlyBudget,
-      remainingBudget: this.monthlyBudget - this.usageStats.totalCost,
-      budgetUsedPercent: (this.usageStats.totalCost / this.monthlyBudget) * 100
+      teamSpent: team?.spent ?? null,
+      teamCalls: team?.calls ?? null,
+      monthlyBudget,
+      remainingBudget: monthlyBudget != null ? monthlyBudget - team.spent : null,
+      budgetUsedPercent: monthlyBudget == null ? null
+        : monthlyBudget > 0 ? (team.spent / monthlyBudget) * 100 : 100,
+      warnAtPercent: team?.warnAtPercent ?? 80,
     };
   }
 
+  _budgetError() {
+    const t = this.teamBudget;
+    return new Error(`Team monthly budget of $${t.monthlyBudget.toFixed(2)} would be exceeded. Current team usage: $${t.spent.toFixed(2)}`);
+  }
+
+  // Proxy error → Error with the HTTP status attached (402 = team budget).
+  async _responseError(response) {
+    const errorData = await response.json().catch(() => ({}));
+    const message = typeof errorData.error === 'string'
+      ? errorData.error
+      : errorData.error?.message || `API request failed: ${response.status}`;
+    const err = new Error(message);
+    err.status = response.status;
+    if (response.status === 402) this.refreshTeamBudget().catch(() => {});
+    return err;
+  }
+
   // Estimate tokens for text (rough approximation: 1 token ≈ 4 characters)
   estimateTokens(text) {
     return Math.ceil(text.length / 4);
@@ -176,6 +264,9 @@ MANDATORY OUTPUT RULES (apply to ALL responses):
   // Vision tokens cost the same as text input but each image is ~1.5K
   // tokens worth of input — caller is responsible for picking a sane
   // batch size.
+  //
+  // options: { images, signal, clientId, promptVersion } — signal is an
+  // AbortSignal; clientId / promptVersion are recorded in the ledger.
   async call(prompt, systemPrompt = '', feature = 'general', maxTokens = MAX_TOKENS, options = {}) {
     // Validate API key
     if (!this.apiKey) {
@@ -188,7 +279,7 @@ MANDATORY OUTPUT RULES (apply to ALL responses):
     const visionTokens = images ? images.length * 1500 : 0;
     const estimatedInputTokens = this.estimateTokens(systemPrompt + prompt) + visionTokens;
     if (!this.checkBudget(estimatedInputTokens, maxTokens)) {
-      throw new Error(`Monthly budget of $${this.monthlyBudget} would be exceeded. Current usage: $${this.usageStats.totalCost.toFixed(2)}`);
+      throw this._budgetError();
     }
 
     try {
@@ -222,7 +313,10 @@ MANDATORY OUTPUT RULES (apply to ALL responses):
         model: CLAUDE_MODEL,
         maxTokens: maxTokens,
         messages: [{ role: 'user', content: userContent }],
-        stream: false
+        stream: false,
+        feature,
+        clientId: options.clientId || null,
+        promptVersion: options.promptVersion || null,
       };
 
       // Apply global formatting rules and add system prompt
@@ -232,15 +326,13 @@ MANDATORY OUTPUT RULES (apply to ALL responses):
       // Always use proxy format
       const response = await fetch(CLAUDE_API_URL, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
+        headers: await this.requestHeaders(),
+        body: JSON.stringify(requestBody),
+        signal: options.signal,
       });
 
       if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `API request failed: ${response.status}`);
+        throw await this._responseError(response);
       }
 
       const data = await response.json();
@@ -257,20 +349,21 @@ MANDATORY OUTPUT RULES (apply to ALL responses):
       };
 
     } catch (error) {
-      console.error('Claude API error:', error);
+      if (!isAbortError(error)) console.error('Claude API error:', error);
       throw error;
     }
   }
 
   // Streaming API call (for real-time responses)
-  async streamCall(prompt, systemPrompt = '', feature = 'general', onChunk, maxTokens = MAX_TOKENS) {
+  // options: { signal, clientId, promptVersion } — same as call().
+  async streamCall(prompt, systemPrompt = '', feature = 'general', onChunk, maxTokens = MAX_TOKENS, options = {}) {
     if (!this.apiKey) {
       throw new Error('Claude API key not configured. Please add your API key in settings.');
     }
 
     const estimatedInputTokens = this.estimateTokens(systemPrompt + prompt);
     if (!this.checkBudget(estimatedInputTokens, maxTokens)) {
-      throw new Error(`Monthly budget of $${this.monthlyBudget} would be exceeded.`);
+      throw this._budgetError();
     }
 
     try {
@@ -280,7 +373,10 @@ MANDATORY OUTPUT RULES (apply to ALL responses):
         model: CLAUDE_MODEL,
         maxTokens: maxTokens,
         messages: [{ role: 'user', content: prompt }],
-        stream: true
+        stream: true,
+        feature,
+        clientId: options.clientId || null,
+        promptVersion: options.promptVersion || null,
       };
 
       // Apply global formatting rules and add system prompt
@@ -289,15 +385,13 @@ MANDATORY OUTPUT RULES (apply to ALL responses):
 
       const response = await fetch(CLAUDE_API_URL, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
+        headers: await this.requestHeaders(),
+        body: JSON.stringify(requestBody),
+        signal: options.signal,
       });
 
       if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error?.message || `API request failed: ${response.status}`);
+        throw await this._responseError(response);
       }
 
       const reader = response.body.getReader();
@@ -305,13 +399,18 @@ MANDATORY OUTPUT RULES (apply to ALL responses):
       let fullText = '';
       let inputTokens = 0;
       let outputTokens = 0;
+      let pending = '';
 
       while (true) {
         const { done, value } = await reader.read();
         if (done) break;
 
-        const chunk = decoder.decode(value);
-        const lines = chunk.split('\n').filter(line => line.trim().startsWith('data:'));
+        // SSE events can straddle network chunks — hold back the
+        // trailing partial line until the next read.
+        pending += decoder.decode(value, { stream: true });
+        const parts = pending.split('\n');
+        pending = parts.pop();
+        const lines = parts.filter(line => line.trim().startsWith('data:'));
 
         for (const line of lines) {
           const data = line.replace('data:', '').trim();
@@ -349,12 +448,17 @@ MANDATORY OUTPUT RULES (apply to ALL responses):
       };
 
     } catch (error) {
-      console.error('Claude API streaming error:', error);
+      if (!isAbortError(error)) console.error('Claude API streaming error:', error);
       throw error;
     }
   }
 }
 
+// True for the rejection an aborted call / streamCall produces.
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
 // Export singleton instance
 export const claudeAPI = new ClaudeAPIService();
 export default claudeAPI;
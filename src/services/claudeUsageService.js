@@ -0,0 +1,192 @@
+/**
+ * claudeUsageService — read side of the server-side Claude usage ledger
+ * and the team budget (migration 115).
+ *
+ * /api/claude-proxy writes claude_usage_ledger and enforces
+ * claude_team_budget; this module backs Settings → AI Usage:
+ *
+ *   - loadTeamBudget / saveTeamBudget — the single budget row plus the
+ *     month-to-date spend. Saving is admin-only (RLS).
+ *   - loadUsageBreakdown — claude_usage_breakdown() for a window, rolled
+ *     up by feature and by client.
+ *   - loadRecentCalls — newest ledger rows, for the "what just happened"
+ *     list. Ledger reads are admin-only.
+ */
+
+import { supabase } from './supabaseClient';
+import { claudeAPI } from './claudeAPI';
+
+/**
+ * @returns {Promise<{ monthlyBudget: number|null, warnAtPercent: number,
+ *   spent: number, calls: number, updatedAt: string|null, updatedBy: string|null }|null>}
+ */
+export async function loadTeamBudget() {
+  if (!supabase) return null;
+  const [{ data: row, error: rowErr }, { data: mtd, error: mtdErr }] = await Promise.all([
+    supabase.from('claude_team_budget')
+      .select('monthly_budget_usd, warn_at_percent, updated_at, updated_by')
+      .eq('id', true)
+      .maybeSingle(),
+    supabase.rpc('claude_usage_month_to_date'),
+  ]);
+  if (rowErr || mtdErr) {
+    console.warn('[claudeUsageService] loadTeamBudget failed:', rowErr || mtdErr);
+    return null;
+  }
+  const m = Array.isArray(mtd) ? mtd[0] : mtd;
+  return {
+    monthlyBudget: row?.monthly_budget_usd == null ? null : Number(row.monthly_budget_usd),
+    warnAtPercent: row?.warn_at_percent ?? 80,
+    spent:         Number(m?.cost_usd || 0),
+    calls:         Number(m?.calls || 0),
+    updatedAt:     row?.updated_at || null,
+    updatedBy:     row?.updated_by || null,
+  };
+}
+
+/**
+ * @param {{ monthlyBudget: number|null, warnAtPercent?: number, updatedBy?: string }} budget
+ *   monthlyBudget null = stop enforcing.
+ * @returns {Promise<{ ok: boolean, error?: string }>}
+ */
+export async function saveTeamBudget({ monthlyBudget, warnAtPercent, updatedBy }) {
+  if (!supabase) return { ok: false, error: 'Supabase not configured' };
+  if (monthlyBudget != null && (!Number.isFinite(monthlyBudget) || monthlyBudget < 0)) {
+    return { ok: false, error: 'Budget must be a positive amount' };
+  }
+  const patch = {
+    monthly_budget_usd: monthlyBudget,
+    updated_at: new Date().toISOString(),
+    updated_by: updatedBy || null,
+  };
+  if (warnAtPercent != null) patch.warn_at_percent = warnAtPercent;
+
+  const { data, error } = await supabase
+    .from('claude_team_budget')
+    .update(patch)
+    .eq('id', true)
+    .select('id');
+  if (error) {
+    console.warn('[claudeUsageService] saveTeamBudget failed:', error);
+    return { ok: false, error: error.message };
+  }
+  // RLS filters the update to zero rows for non-admins rather than erroring.
+  if (!data?.length) return { ok: false, error: 'Only admins can change the team budget' };
+
+  claudeAPI.refreshTeamBudget().catch(() => {});
+  return { ok: true };
+}
+
+/**
+ * @param {Date|string} since
+ * @param {Date|string} [until]
+ * @returns {Promise<{ rows: Array, byFeature: Array, byClient: Array, totals: Object }|null>}
+ *   byFeature / byClient sorted by cost descending. byClient uses
+ *   key null for calls not tied to a client and carries clientName.
+ */
+export async function loadUsageBreakdown(since, until = new Date()) {
+  if (!supabase) return null;
+  const { data, error } = await supabase.rpc('claude_usage_breakdown', {
+    p_since: new Date(since).toISOString(),
+    p_until: new Date(until).toISOString(),
+  });
+  if (error) {
+    console.warn('[claudeUsageService] loadUsageBreakdown failed:', error);
+    return null;
+  }
+
+  const rows = (data || []).map(r => ({
+    feature:      r.feature,
+    clientId:     r.client_id,
+    calls:        Number(r.calls || 0),
+    errors:       Number(r.errors || 0),
+    aborted:      Number(r.aborted || 0),
+    blocked:      Number(r.blocked || 0),
+    inputTokens:  Number(r.input_tokens || 0),
+    outputTokens: Number(r.output_tokens || 0),
+    cost:         Number(r.cost_usd || 0),
+    avgLatencyMs: r.avg_latency_ms == null ? null : Number(r.avg_latency_ms),
+  }));
+
+  const byClient = rollUp(rows, r => r.clientId);
+  const names = await loadChannelNames(byClient.map(b => b.key).filter(Boolean));
+  for (const b of byClient) b.clientName = b.key ? (names[b.key] || 'Deleted client') : null;
+
+  return {
+    rows,
+    byFeature: rollUp(rows, r => r.feature),
+    byClient,
+    totals:    rollUp(rows, () => 'all')[0] || emptyBucket('all'),
+  };
+}
+
+/**
+ * @param {{ limit?: number, feature?: string, clientId?: string }} [opts]
+ */
+export async function loadRecentCalls({ limit = 50, feature, clientId } = {}) {
+  if (!supabase) return [];
+  let query = supabase
+    .from('claude_usage_ledger')
+    .select('id, created_at, user_email, feature, client_id, prompt_version, model, stream, input_tokens, output_tokens, cost_usd, latency_ms, status, http_status, error_message')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (feature)  query = query.eq('feature', feature);
+  if (clientId) query = query.eq('client_id', clientId);
+  const { data, error } = await query;
+  if (error) {
+    console.warn('[claudeUsageService] loadRecentCalls failed:', error);
+    return [];
+  }
+  return data || [];
+}
+
+// ──────────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────────
+
+async function loadChannelNames(ids) {
+  if (!ids.length) return {};
+  const { data, error } = await supabase.from('channels').select('id, name').in('id', ids);
+  if (error) {
+    console.warn('[claudeUsageService] loadChannelNames failed:', error);
+    return {};
+  }
+  return Object.fromEntries((data || []).map(c => [c.id, c.name]));
+}
+
+function emptyBucket(key) {
+  return { key, calls: 0, errors: 0, aborted: 0, blocked: 0, inputTokens: 0, outputTokens: 0, cost: 0, avgLatencyMs: null, _latencyWeight: 0 };
+}
+
+// Sums the feature × client rows under keyFn. Average latency is
+// weighted by successful-ish calls so a busy feature dominates.
+function rollUp(rows, keyFn) {
+  const buckets = new Map();
+  for (const r of rows) {
+    const key = keyFn(r) ?? null;
+    if (!buckets.has(key)) buckets.set(key, emptyBucket(key));
+    const b = buckets.get(key);
+    b.calls        += r.calls;
+    b.errors       += r.errors;
+    b.aborted      += r.aborted;
+    b.blocked      += r.blocked;
+    b.inputTokens  += r.inputTokens;
+    b.outputTokens += r.outputTokens;
+    b.cost         += r.cost;
+    if (r.avgLatencyMs != null) {
+      const w = Math.max(1, r.calls - r.errors - r.aborted);
+      b.avgLatencyMs = ((b.avgLatencyMs || 0) * b._latencyWeight + r.avgLatencyMs * w) / (b._latencyWeight + w);
+      b._latencyWeight += w;
+    }
+  }
+  return [...buckets.values()]
+    .map(({ _latencyWeight, ...b }) => b)
+    .sort((a, b) => b.cost - a.cost);
+}
+
+export default {
+  loadTeamBudget,
+  saveTeamBudget,
+  loadUsageBreakdown,
+  loadRecentCalls,
+};
@@ -32,8 +32,11 @@ import { loadAlerts } from './movementService.js';
  * Load every data slot the deliverable needs. Heavy — parallelizes all
  * fetches but the AI-backed briefing + whitespace brief can run several
  * seconds. Caller should show a loading state.
+ *
+ * includeInteractions adds the pattern-pair tables to patternsResult
+ * (analyzePatterns) — only for callers that score concepts with them.
  */
-export async function loadDeliverableData(clientId, { windowDays = 30 } = {}) {
+export async function loadDeliverableData(clientId, { windowDays = 30, includeInteractions = false } = {}) {
   if (!clientId) return { ok: false, error: 'missing clientId' };
 
   // The deliverable's scope is the client + their pinned competitors.
@@ -68,7 +71,7 @@ export async function loadDeliverableData(clientId, { windowDays = 30 } = {}) {
     getActiveDemandSignals(clientId).catch(() => null),
     getActiveProductionSignalsForChannels(productionLookupIds).catch(() => ({})),
     fetchLandscapeChannels(scope).catch(() => []),
-    analyzePatterns({ scopeChannelIds, windowDays: 90 }).catch(() => null),
+    analyzePatterns({ scopeChannelIds, windowDays: 90, includeInteractions }).catch(() => null),
     analyzeWhiteSpace({ scopeChannelIds, windowDays: 90, scopeLabel: `Client: ${clientId}`, clientId }).catch(() => null),
     computeClientDiagnostic({ clientId, scopeChannelIds, windowDays: 90 }).catch(() => null),
     computeAudienceSignals(clientId, { days: 90 }).catch(() => null),
@@ -0,0 +1,235 @@
+/**
+ * clientOutcomesService — data loaders for the Phase B calibration
+ * baseline strategies (calibrationService.BASELINE_STRATEGIES).
+ *
+ * Two sources:
+ *   - videos table (watch_hours, subscribers_gained, view_count) for
+ *     the watch_time_per_view and subs_per_view strategies.
+ *   - client_outcomes table (migration 108) for the client_outcomes
+ *     strategy. Strategist fills it by CSV upload from
+ *     CalibrationWorkspace; one value per (client, video, outcome_type).
+ *
+ * calibrationService stays pure — the workspace calls these loaders
+ * and passes the results in as baselineContext.
+ */
+
+import Papa from 'papaparse';
+import { supabase } from './supabaseClient';
+
+const TABLE = 'client_outcomes';
+const UPSERT_BATCH_SIZE = 500;
+
+const VIDEO_ID_COLUMNS     = ['youtube_video_id', 'video_id', 'video_url', 'url', 'video'];
+const OUTCOME_TYPE_COLUMNS = ['outcome_type', 'type', 'outcome', 'metric'];
+const VALUE_COLUMNS        = ['outcome_value', 'value', 'count', 'total'];
+
+// ──────────────────────────────────────────────────
+// View-side metrics (videos table)
+// ──────────────────────────────────────────────────
+
+/**
+ * Load watch-time + subscriber-gain for a client's videos.
+ *
+ * @param {Object} args
+ * @param {string} args.clientId          channels.id (videos.channel_id)
+ * @param {string[]} [args.youtubeVideoIds]  restrict to these videos (the audit pool)
+ * @returns {Promise<{ ok, videoMetrics: Object<string, { view_count, watch_hours, subscribers_gained }>, error? }>}
+ */
+export async function loadVideoOutcomeMetrics({ clientId, youtubeVideoIds = null }) {
+  if (!supabase || !clientId) return { ok: false, error: 'invalid args', videoMetrics: {} };
+
+  let q = supabase
+    .from('videos')
+    .select('youtube_video_id, view_count, watch_hours, subscribers_gained')
+    .eq('channel_id', clientId);
+  if (youtubeVideoIds?.length) q = q.in('youtube_video_id', youtubeVideoIds);
+
+  const { data, error } = await q;
+  if (error) {
+    console.warn('[clientOutcomes] video metrics load failed:', error);
+    return { ok: false, error: error.message, videoMetrics: {} };
+  }
+
+  const videoMetrics = {};
+  for (const row of data || []) {
+    videoMetrics[row.youtube_video_id] = {
+      view_count:         row.view_count,
+      watch_hours:        row.watch_hours,
+      subscribers_gained: row.subscribers_gained,
+    };
+  }
+  return { ok: true, videoMetrics };
+}
+
+// ──────────────────────────────────────────────────
+// Client-supplied outcomes (client_outcomes table)
+// ──────────────────────────────────────────────────
+
+/**
+ * Distinct outcome types uploaded for a client, with row counts.
+ * Drives the outcome-type picker next to the strategy select.
+ */
+export async function listOutcomeTypes(clientId) {
+  if (!supabase || !clientId) return { ok: false, error: 'invalid args', types: [] };
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select('outcome_type, updated_at')
+    .eq('client_id', clientId);
+  if (error) {
+    console.warn('[clientOutcomes] type list failed:', error);
+    return { ok: false, error: error.message, types: [] };
+  }
+
+  const byType = {};
+  for (const row of data || []) {
+    const entry = byType[row.outcome_type] || (byType[row.outcome_type] = { outcome_type: row.outcome_type, n: 0, last_updated_at: null });
+    entry.n++;
+    if (!entry.last_updated_at || row.updated_at > entry.last_updated_at) entry.last_updated_at = row.updated_at;
+  }
+  return { ok: true, types: Object.values(byType).sort((a, b) => b.n - a.n) };
+}
+
+/**
+ * Load one outcome type as a { youtube_video_id: value } map — the
+ * shape calibrationService expects in baselineContext.outcomes.
+ */
+export async function loadOutcomesMap({ clientId, outcomeType }) {
+  if (!supabase || !clientId || !outcomeType) return { ok: false, error: 'invalid args', outcomes: {} };
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select('youtube_video_id, outcome_value')
+    .eq('client_id', clientId)
+    .eq('outcome_type', outcomeType);
+  if (error) {
+    console.warn('[clientOutcomes] outcomes load failed:', error);
+    return { ok: false, error: error.message, outcomes: {} };
+  }
+
+  const outcomes = {};
+  for (const row of data || []) outcomes[row.youtube_video_id] = Number(row.outcome_value);
+  return { ok: true, outcomes };
+}
+
+/**
+ * Parse an outcomes CSV. Long format, one row per (video, outcome):
+ *
+ *   youtube_video_id,outcome_type,value
+ *   dQw4w9WgXcQ,consultation_bookings,4
+ *   https://youtu.be/abc123def45,consultation_bookings,0
+ *
+ * Header names are matched loosely (video_id / url / video, type /
+ * outcome / metric, value / count / total). When the CSV has no
+ * outcome-type column, every row gets `defaultOutcomeType`.
+ *
+ * Pure — no IO. Returns the rows it could use plus a per-line error
+ * list so the UI can show what was skipped.
+ *
+ * @returns {{ rows: Array<{ youtube_video_id, outcome_type, outcome_value }>, errors: string[] }}
+ */
+export function parseOutcomesCsv(text, { defaultOutcomeType = null } = {}) {
+  const parsed = Papa.parse(text || '', {
+    header: true,
+    skipEmptyLines: true,
+    transformHeader: h => h.trim().toLowerCase().replace(/\s+/g, '_'),
+  });
+
+  const fields = parsed.meta?.fields || [];
+  const videoCol = VIDEO_ID_COLUMNS.find(c => fields.includes(c));
+  const typeCol  = OUTCOME_TYPE_COLUMNS.find(c => fields.includes(c));
+  const valueCol = VALUE_COLUMNS.find(c => fields.includes(c));
+
+  if (!videoCol || !valueCol) {
+    return { rows: [], errors: [`CSV needs a video column (${VIDEO_ID_COLUMNS.join(' / ')}) and a value column (${VALUE_COLUMNS.join(' / ')}).`] };
+  }
+  if (!typeCol && !defaultOutcomeType) {
+    return { rows: [], errors: ['CSV has no outcome_type column — enter an outcome type to apply to every row.'] };
+  }
+
+  const rows = [];
+  const errors = [];
+  const seen = new Map();
+  (parsed.data || []).forEach((raw, i) => {
+    const line = i + 2;   // header is line 1
+    const youtubeVideoId = extractYoutubeVideoId(raw[videoCol]);
+    if (!youtubeVideoId) { errors.push(`Line ${line}: unrecognized video id "${raw[videoCol] || ''}"`); return; }
+
+    const outcomeType = normalizeOutcomeType(typeCol ? raw[typeCol] : defaultOutcomeType);
+    if (!outcomeType) { errors.push(`Line ${line}: missing outcome type`); return; }
+
+    const value = Number(String(raw[valueCol] ?? '').replace(/,/g, '').trim());
+    if (!Number.isFinite(value) || value < 0) { errors.push(`Line ${line}: value must be a non-negative number`); return; }
+
+    // Duplicate (video, type) inside one CSV — last one wins, same as
+    // the upsert would do across uploads.
+    const key = `${youtubeVideoId}|${outcomeType}`;
+    if (seen.has(key)) rows[seen.get(key)] = { youtube_video_id: youtubeVideoId, outcome_type: outcomeType, outcome_value: value };
+    else {
+      seen.set(key, rows.length);
+      rows.push({ youtube_video_id: youtubeVideoId, outcome_type: outcomeType, outcome_value: value });
+    }
+  });
+
+  return { rows, errors };
+}
+
+/**
+ * Upsert parsed outcome rows. Re-uploading the same (video, type)
+ * overwrites the stored value.
+ */
+export async function uploadOutcomes({ clientId, rows, createdBy = null }) {
+  if (!supabase) return { ok: false, error: 'supabase not configured' };
+  if (!clientId || !rows?.length) return { ok: false, error: 'clientId + rows required' };
+
+  const batchId = (typeof crypto !== 'undefined' && crypto.randomUUID)
+    ? crypto.randomUUID()
+    : null;
+  const now = new Date().toISOString();
+  const payload = rows.map(r => ({
+    client_id:        clientId,
+    youtube_video_id: r.youtube_video_id,
+    outcome_type:     r.outcome_type,
+    outcome_value:    r.outcome_value,
+    source:           'csv_upload',
+    upload_batch_id:  batchId,
+    created_by:       createdBy,
+    updated_at:       now,
+  }));
+
+  for (let i = 0; i < payload.length; i += UPSERT_BATCH_SIZE) {
+    const { error } = await supabase
+      .from(TABLE)
+      .upsert(payload.slice(i, i + UPSERT_BATCH_SIZE), { onConflict: 'client_id,youtube_video_id,outcome_type' });
+    if (error) {
+      console.warn('[clientOutcomes] upload failed:', error);
+      return { ok: false, error: error.message, uploaded: i };
+    }
+  }
+  return { ok: true, uploaded: payload.length, batchId };
+}
+
+// ──────────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────────
+
+function extractYoutubeVideoId(value) {
+  const s = String(value || '').trim();
+  if (!s) return null;
+  if (/^[a-zA-Z0-9_-]{11}$/.test(s)) return s;
+  const m = s.match(/(?:youtube\.com\/(?:watch\?(?:.*&)?v=|shorts\/|embed\/)|youtu\.be\/)([a-zA-Z0-9_-]{11})/);
+  return m ? m[1] : null;
+}
+
+function normalizeOutcomeType(value) {
+  const s = String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return s || null;
+}
+
+export default {
+  loadVideoOutcomeMetrics,
+  listOutcomeTypes,
+  loadOutcomesMap,
+  parseOutcomesCsv,
+  uploadOutcomes,
+};
@@ -20,7 +20,7 @@
 import { supabase } from './supabaseClient';
 
 const VALID_STATUSES = ['draft', 'active', 'retired'];
-const VALID_SOURCES = ['strategist', 'client_idea', 'existing_channel_pillar'];
+const VALID_SOURCES = ['strategist', 'client_idea', 'existing_channel_pillar', 'competitor_comment'];
 const VALID_FORMAT_TYPES = ['long_form', 'shorts', 'multi_cut'];
 const VALID_TALENT_MODELS = ['host', 'voiceover', 'none'];
 
@@ -120,6 +120,7 @@ export async function createPillar(clientId, patch = {}) {
       example_video_id: patch.example_video_id ?? null,
       example_concept: patch.example_concept ?? null,
       source,
+      source_comment_signal_id: patch.source_comment_signal_id ?? null,
       notes: patch.notes ?? null,
       sort_order: patch.sort_order ?? nextOrder,
     })
@@ -0,0 +1,376 @@
+/**
+ * Cohort mismatch attribution — which cohort channels drive a client's
+ * calibration misses?
+ *
+ * Calibration runs store the top high-traffic mismatches
+ * (client_calibration_runs.mismatched_videos) but not WHY each one
+ * missed. The cohort-mismatch hypothesis behind migration 093 says a
+ * few premium channels inflate (or deflate) the lifts the scorer reads.
+ * This service tests that per video: for each mismatch it finds the
+ * cohort-derived dimensions that erred in the same direction as the
+ * composite and splits the blame across the channels behind them.
+ *
+ *   title_patterns   leave-one-channel-out lift. For every pattern the
+ *                    title matched, recompute the pattern's views lift
+ *                    without channel C (same trimmed-median lift as
+ *                    patternsService). Channels whose removal moves the
+ *                    lift toward the truth get the blame, in proportion
+ *                    to how far they move it.
+ *   topic_authority  only when the cohort corpus was the dominant
+ *                    signal — blame goes to the channels that own the
+ *                    top cohort neighbors, weighted by similarity.
+ *   topic            cohort channels that published the matched topic
+ *                    cluster's example titles. Audits don't carry a
+ *                    topic label (see repositioningAuditService), so in
+ *                    practice this only fires for scorecard-sourced data.
+ *
+ * Slot and length are cohort-wide aggregates with no single-channel
+ * driver worth naming; they're left out.
+ *
+ * Each attributable video carries one unit of blame split across its
+ * channels, so a channel's share reads as "fraction of the high-traffic
+ * mismatches this channel drives". The cohort is recomputed from the
+ * CURRENT peer set over the standard 90-day window, not frozen at audit
+ * time — channels already re-tagged away drop out of the suggestions.
+ *
+ * Pure attribution (attributeMismatchesToCohort, buildRetagSuggestions)
+ * is split from the loader (loadCohortRetagSuggestions) so the
+ * attribution logic has no IO.
+ */
+
+import { TIERS } from './conceptScorerService';
+import { TITLE_PATTERNS, fetchVideosForChannels } from './patternsService';
+import { trimmedMedian } from './statsHelpers';
+import { listCalibrationRunsForClient, loadCalibrationRun } from './calibrationRunsService';
+import { loadAudit } from './repositioningAuditsService';
+
+const ATTRIBUTABLE_DIMENSIONS = ['title_patterns', 'topic_authority', 'topic'];
+
+const COHORT_WINDOW_DAYS       = 90;
+const MIN_PATTERN_MATCHES      = 3;     // below this a leave-one-out lift is noise
+const MIN_SUGGESTION_SHARE     = 0.20;  // channel drives ≥ 20% of attributable mismatches
+const MIN_SUGGESTION_VIDEOS    = 3;     // …across at least 3 distinct videos
+const ASPIRATIONAL_SCALE_RATIO = 3;     // ≥ 3x client subs → aspirational, else reference
+
+const TIER_INDEX = Object.fromEntries(TIERS.map((t, i) => [t, i]));
+
+const PATTERN_BY_ID = Object.fromEntries(TITLE_PATTERNS.map(p => [p.id, p]));
+
+// ──────────────────────────────────────────────────
+// Attribution (pure)
+// ──────────────────────────────────────────────────
+
+/**
+ * @param {Object} args
+ * @param {Array}  args.mismatches     client_calibration_runs.mismatched_videos
+ * @param {Array}  args.videoScores    source audit's video_scores (full per-dimension scores)
+ * @param {Array}  args.cohortVideos   peer cohort videos ({ channel_id, title, view_count, youtube_video_id })
+ * @returns {{
+ *   channels: Array<{ channel_id, share, blame, videos, false_positives, false_negatives, by_dimension, examples }>,
+ *   totalMismatches: number,
+ *   attributedMismatches: number,
+ * }}
+ */
+export function attributeMismatchesToCohort({ mismatches, videoScores, cohortVideos }) {
+  const scoresById = Object.fromEntries((videoScores || []).map(v => [v.youtube_video_id, v]));
+  const channelByVideo = {};
+  const channelsByTitle = {};
+  for (const v of cohortVideos || []) {
+    if (v.youtube_video_id) channelByVideo[v.youtube_video_id] = v.channel_id;
+    const key = normalizeTitle(v.title);
+    if (key) (channelsByTitle[key] = channelsByTitle[key] || new Set()).add(v.channel_id);
+  }
+  const patternInfluence = makePatternInfluence(cohortVideos || []);
+
+  const byChannel = {};
+  let attributed = 0;
+
+  for (const m of mismatches || []) {
+    const video = scoresById[m.youtube_video_id];
+    const direction = errorDirection(m.predicted_composite_tier, m.actual_tier);
+    if (!video || !direction) continue;
+
+    // Per dimension: a normalized { channelId: weight } blame map.
+    const dimBlames = {};
+    for (const dim of ATTRIBUTABLE_DIMENSIONS) {
+      const score = video.scores?.[dim];
+      if (!score?.tier) continue;
+      // Only dimensions that erred the same way as the composite are
+      // part of why the composite missed.
+      if (errorDirection(score.tier, m.actual_tier) !== direction) continue;
+
+      let raw = null;
+      if (dim === 'title_patterns')  raw = blameTitlePatterns(score, direction, patternInfluence);
+      if (dim === 'topic_authority') raw = blameTopicAuthority(score, channelByVideo);
+      if (dim === 'topic')           raw = blameTopic(score, channelsByTitle);
+      const normalized = normalize(raw);
+      if (normalized) dimBlames[dim] = normalized;
+    }
+
+    const dims = Object.keys(dimBlames);
+    if (!dims.length) continue;
+    attributed++;
+
+    for (const dim of dims) {
+      for (const [channelId, weight] of Object.entries(dimBlames[dim])) {
+        const share = weight / dims.length;
+        const entry = byChannel[channelId] || (byChannel[channelId] = {
+          channel_id:      channelId,
+          blame:           0,
+          videos:          0,
+          false_positives: 0,
+          false_negatives: 0,
+          by_dimension:    {},
+          examples:        [],
+          _seen:           new Set(),
+        });
+        entry.blame += share;
+        entry.by_dimension[dim] = (entry.by_dimension[dim] || 0) + share;
+        if (!entry._seen.has(m.youtube_video_id)) {
+          entry._seen.add(m.youtube_video_id);
+          entry.videos++;
+          if (direction === 'false_positive') entry.false_positives++;
+          else entry.false_negatives++;
+          entry.examples.push({
+            youtube_video_id: m.youtube_video_id,
+            title:            m.title,
+            view_count:       m.view_count,
+            predicted_tier:   m.predicted_composite_tier,
+            actual_tier:      m.actual_tier,
+          });
+        }
+      }
+    }
+  }
+
+  const channels = Object.values(byChannel)
+    .map(({ _seen, ...c }) => ({
+      ...c,
+      blame:    round(c.blame),
+      share:    attributed ? round(c.blame / attributed) : 0,
+      examples: c.examples.sort((a, b) => (b.view_count || 0) - (a.view_count || 0)).slice(0, 3),
+      by_dimension: Object.fromEntries(Object.entries(c.by_dimension).map(([k, v]) => [k, round(v)])),
+    }))
+    .sort((a, b) => b.blame - a.blame);
+
+  return {
+    channels,
+    totalMismatches:      (mismatches || []).length,
+    attributedMismatches: attributed,
+  };
+}
+
+/**
+ * Turn attribution into re-tag suggestions for channels still tagged
+ * peer. Premium-scale channels (≥ ASPIRATIONAL_SCALE_RATIO × the
+ * client's subscribers) → aspirational; everything else → reference
+ * (the channel is in scale range but its patterns still don't transfer).
+ *
+ * @param {Object} args
+ * @param {Object} args.attribution           from attributeMismatchesToCohort
+ * @param {Array}  args.cohortRows            loadCohortWithRoles rows
+ * @param {number} [args.clientSubscriberCount]
+ */
+export function buildRetagSuggestions({ attribution, cohortRows, clientSubscriberCount = null }) {
+  const rowsById = Object.fromEntries((cohortRows || []).map(r => [r.channel_id, r]));
+  const suggestions = [];
+
+  for (const c of attribution?.channels || []) {
+    const row = rowsById[c.channel_id];
+    if (!row || row.cohort_role !== 'peer') continue;
+    if (c.share < MIN_SUGGESTION_SHARE || c.videos < MIN_SUGGESTION_VIDEOS) continue;
+
+    const subs = row.channel?.subscriber_count || null;
+    const scaleRatio = subs && clientSubscriberCount ? subs / clientSubscriberCount : null;
+    const suggestedRole = scaleRatio != null && scaleRatio >= ASPIRATIONAL_SCALE_RATIO ? 'aspirational' : 'reference';
+
+    const name = row.channel?.name || 'This channel';
+    const pct = Math.round(c.share * 100);
+    const leadDim = Object.entries(c.by_dimension).sort((a, b) => b[1] - a[1])[0]?.[0];
+    const direction = c.false_negatives >= c.false_positives ? 'under-predicted' : 'over-predicted';
+
+    suggestions.push({
+      channel_id:     c.channel_id,
+      channel_name:   name,
+      current_role:   row.cohort_role,
+      suggested_role: suggestedRole,
+      share:          c.share,
+      videos:         c.videos,
+      scale_ratio:    scaleRatio != null ? Math.round(scaleRatio * 10) / 10 : null,
+      lead_dimension: leadDim,
+      headline:       `${name} drives ${pct}% of high-traffic mismatches — consider ${suggestedRole}`,
+      detail:         `${c.videos} mismatched videos, mostly ${direction}`
+                      + (leadDim ? `, mainly via ${DIMENSION_PHRASES[leadDim]}` : '')
+                      + (scaleRatio != null ? ` · ${Math.round(scaleRatio * 10) / 10}x the client's subscribers` : ''),
+      examples:       c.examples,
+    });
+  }
+  return suggestions;
+}
+
+const DIMENSION_PHRASES = {
+  title_patterns:  'title-pattern lifts',
+  topic_authority: 'topic-authority neighbors',
+  topic:           'topic saturation',
+};
+
+// ──────────────────────────────────────────────────
+// Loader
+// ──────────────────────────────────────────────────
+
+/**
+ * Attribute the client's most recent calibration run and return re-tag
+ * suggestions.
+ *
+ * @param {Object} args
+ * @param {string} args.clientId
+ * @param {Array}  args.cohortRows            loadCohortWithRoles rows (the caller already has them)
+ * @param {number} [args.clientSubscriberCount]
+ * @returns {Promise<{ ok, run?, attribution?, suggestions?, error? }>}
+ */
+export async function loadCohortRetagSuggestions({ clientId, cohortRows, clientSubscriberCount = null }) {
+  if (!clientId) return { ok: false, error: 'clientId required' };
+
+  const list = await listCalibrationRunsForClient(clientId, { limit: 1 });
+  if (!list.ok) return { ok: false, error: list.error };
+  if (!list.runs.length) return { ok: true, run: null, attribution: null, suggestions: [] };
+
+  const runRes = await loadCalibrationRun(list.runs[0].id);
+  if (!runRes.ok) return { ok: false, error: runRes.error };
+  const run = runRes.run;
+
+  const auditRes = await loadAudit(run.source_audit_id);
+  if (!auditRes.ok) return { ok: false, error: `Source audit load failed: ${auditRes.error}` };
+
+  const peerIds = (cohortRows || [])
+    .filter(r => r.cohort_role === 'peer' && r.channel?.is_competitor)
+    .map(r => r.channel_id);
+  const cohortVideos = await fetchVideosForChannels(peerIds, { windowDays: COHORT_WINDOW_DAYS });
+
+  const attribution = attributeMismatchesToCohort({
+    mismatches:  run.mismatched_videos || [],
+    videoScores: auditRes.audit.video_scores || [],
+    cohortVideos,
+  });
+  const suggestions = buildRetagSuggestions({ attribution, cohortRows, clientSubscriberCount });
+
+  return {
+    ok: true,
+    run: {
+      id:                run.id,
+      created_at:        run.created_at,
+      baseline_strategy: run.baseline_strategy,
+      source_audit_id:   run.source_audit_id,
+    },
+    attribution,
+    suggestions,
+  };
+}
+
+// ──────────────────────────────────────────────────
+// Per-dimension blame
+// ──────────────────────────────────────────────────
+
+function blameTitlePatterns(score, direction, patternInfluence) {
+  const patternIds = [...(score.matched || []), ...(score.drags || [])].flatMap(p => p.patterns || [p.pattern]);
+  const out = {};
+  for (const id of patternIds) {
+    for (const [channelId, influence] of Object.entries(patternInfluence(id))) {
+      // influence > 0: channel pushes the lift up. That's the culprit
+      // for an over-prediction; the reverse for an under-prediction.
+      const pull = direction === 'false_positive' ? influence : -influence;
+      if (pull > 0) out[channelId] = (out[channelId] || 0) + pull;
+    }
+  }
+  return out;
+}
+
+function blameTopicAuthority(score, channelByVideo) {
+  if (score.dominant_source !== 'cohort') return null;
+  const out = {};
+  for (const match of score.top_cohort_matches || []) {
+    const channelId = channelByVideo[match.youtube_video_id];
+    if (channelId) out[channelId] = (out[channelId] || 0) + (match.similarity || 0);
+  }
+  return out;
+}
+
+function blameTopic(score, channelsByTitle) {
+  const out = {};
+  for (const title of score.example_titles || []) {
+    for (const channelId of channelsByTitle[normalizeTitle(title)] || []) {
+      out[channelId] = (out[channelId] || 0) + 1;
+    }
+  }
+  return out;
+}
+
+/**
+ * Memoized leave-one-channel-out influence per pattern:
+ * { channelId: lift_with_all − lift_without_channel }.
+ */
+function makePatternInfluence(cohortVideos) {
+  const cache = {};
+  return (patternId) => {
+    if (cache[patternId]) return cache[patternId];
+    const def = PATTERN_BY_ID[patternId];
+    const influence = {};
+    if (def) {
+      const full = patternLift(cohortVideos, def);
+      if (full != null) {
+        const channelIds = new Set(cohortVideos.filter(v => def.test(v.title || '')).map(v => v.channel_id));
+        for (const channelId of channelIds) {
+          const without = patternLift(cohortVideos.filter(v => v.channel_id !== channelId), def);
+          if (without != null) influence[channelId] = full - without;
+        }
+      }
+    }
+    cache[patternId] = influence;
+    return influence;
+  };
+}
+
+// Same lift definition as patternsService.computeTitlePatterns:
+// trimmed-median views of matching videos over the scope's trimmed median.
+function patternLift(videos, def) {
+  const scopeViews = videos.map(v => v.view_count || 0).filter(n => n > 0);
+  const matchedViews = videos.filter(v => def.test(v.title || '')).map(v => v.view_count || 0).filter(n => n > 0);
+  if (matchedViews.length < MIN_PATTERN_MATCHES || !scopeViews.length) return null;
+  const scopeMedian = trimmedMedian(scopeViews);
+  return scopeMedian > 0 ? trimmedMedian(matchedViews) / scopeMedian : null;
+}
+
+// ──────────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────────
+
+// 'false_positive' when the prediction sits above the actual tier,
+// 'false_negative' below, null on a match or unknown tier.
+function errorDirection(predicted, actual) {
+  const p = TIER_INDEX[predicted];
+  const a = TIER_INDEX[actual];
+  if (p == null || a == null || p === a) return null;
+  return p > a ? 'false_positive' : 'false_negative';
+}
+
+function normalize(weights) {
+  if (!weights) return null;
+  const total = Object.values(weights).reduce((s, w) => s + w, 0);
+  if (!(total > 0)) return null;
+  return Object.fromEntries(Object.entries(weights).map(([k, w]) => [k, w / total]));
+}
+
+function normalizeTitle(title) {
+  return String(title || '').trim().toLowerCase();
+}
+
+function round(n, decimals = 3) {
+  const f = 10 ** decimals;
+  return Math.round(n * f) / f;
+}
+
+export default {
+  attributeMismatchesToCohort,
+  buildRetagSuggestions,
+  loadCohortRetagSuggestions,
+};
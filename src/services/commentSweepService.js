@@ -18,16 +18,36 @@
  *   3. Each extracted signal is surfaced as a Strategy Spine input
  *      candidate the strategist reviews. Status workflow:
  *      pending_review → starred | merged_to_spine | dismissed.
+ *      Merging goes through mergeSignalToSpine(), which writes the
+ *      persona entry / draft pillar / concept seed itself and keeps a
+ *      back-link to the comment (migration 111).
  *
- * v1 classification is regex-only. LLM theme clustering is v1.1 if
- * yield warrants — the research synthesis was explicit that we should
- * measure yield in real conditions before adding LLM cost.
+ * Per-comment classification stays regex-only. v1.1 adds the batch
+ * path (migration 110): runBatchSweep() sweeps every peer-tagged cohort
+ * channel in one go, then de-dupes near-identical comments across
+ * channels and clusters them into themes (commentThemeService — pure)
+ * using the embeddings proxy, with one small LLM pass to name the top
+ * themes. Themes are ranked by how many channels they appear on.
+ *
+ * Re-sweeps (migration 112): every sweep links the previous complete
+ * sweep of the same client × competitor and counts the signals no
+ * earlier sweep surfaced. Clients can opt into a re-sweep cadence
+ * (setResweepCadence); /api/cron/comment-resweep then re-sweeps their
+ * peer channels with trigger='scheduled', persisting new signals only.
  */
 
 import { supabase } from './supabaseClient';
 import { resolveCohortChannels } from './cohortRolesService';
+import { youtubeOAuthService } from './youtubeOAuthService';
+import claudeAPI from './claudeAPI';
+import { parseClaudeJSON } from '../lib/parseClaudeJSON';
+import { dedupeSignals, clusterThemes } from './commentThemeService';
+import { loadAudiencePersona, updateAudiencePersonaInline } from './audiencePersonaService';
+import { createPillar } from './clientPillarsService';
+import { createConceptSeed } from './conceptSeedsService';
 
 export const COMMENT_SWEEP_PROMPT_VERSION = 'v1-regex-only';
+export const COMMENT_THEME_PROMPT_VERSION = 'v1.1-embed-cluster-llm-label';
 
 // Hard caps mirroring the endpoint defaults — keeps quota deterministic.
 export const DEFAULT_MAX_VIDEOS             = 10;
@@ -43,15 +63,20 @@ export const DEFAULT_MAX_COMMENTS_PER_VIDEO = 50;
  * @param {string} args.competitorChannelId    — channels.id of the competitor (must exist in the channels table; we use its youtube_channel_id for the API call)
  * @param {number} [args.maxVideos]
  * @param {number} [args.maxCommentsPerVideo]
+ * @param {string} [args.batchId]              — client_comment_sweep_batches.id when run as part of a batch
+ * @param {boolean} [args.onlyNew]             — persist only signals no earlier sweep of this competitor surfaced
  * @returns {Promise<{ ok, sweepId, summary, error? }>}
  *   summary shape:
- *     { videosSampled, commentsFetched, questions, contentRequests, general }
+ *     { videosSampled, commentsFetched, questions, contentRequests, general,
+ *       newSignals, repeatSignals, previousSweepId }
  */
 export async function runSweep({
   clientId,
   competitorChannelId,
   maxVideos = DEFAULT_MAX_VIDEOS,
   maxCommentsPerVideo = DEFAULT_MAX_COMMENTS_PER_VIDEO,
+  batchId = null,
+  onlyNew = false,
 }) {
   if (!clientId)            return { ok: false, error: 'clientId required' };
   if (!competitorChannelId) return { ok: false, error: 'competitorChannelId required' };
@@ -73,6 +98,7 @@ export async function runSweep({
       status:                   'fetching',
       max_videos:               maxVideos,
       max_comments_per_video:   maxCommentsPerVideo,
+      batch_id:                 batchId,
     })
     .select('*')
     .single();
@@ -122,7 +148,14 @@ export async function runSweep({
     // Only persist actionable signals (question + content_request). 'general'
     // comments are 95%+ noise per the research — we count them in the summary
     // but don't burn DB rows on them in v1.
-    const actionable = signalRows.filter(r => r.signal_type !== 'general');
+    const allActionable = signalRows.filter(r => r.signal_type !== 'general');
+
+    // New-since-last (migration 112). Comments without a YouTube id can't
+    // be matched, so they always count as new.
+    const prior = await loadPriorSweepState(clientId, competitorChannelId, sweep.id);
+    const isNew = r => !r.comment_youtube_id || !prior.seenCommentIds.has(r.comment_youtube_id);
+    const newCount = allActionable.filter(isNew).length;
+    const actionable = onlyNew ? allActionable.filter(isNew) : allActionable;
 
     if (actionable.length > 0) {
       const { error: insErr } = await supabase
@@ -134,7 +167,12 @@ export async function runSweep({
       }
     }
 
-    const summary = summarize(signals);
+    const summary = {
+      ...summarize(signals),
+      newSignals:      newCount,
+      repeatSignals:   allActionable.length - newCount,
+      previousSweepId: prior.previousSweepId,
+    };
 
     // 5) Mark complete
     await supabase
@@ -145,6 +183,9 @@ export async function runSweep({
         signals_extracted:       actionable.length,
         questions_count:         summary.questions,
         content_requests_count:  summary.contentRequests,
+        previous_sweep_id:       prior.previousSweepId,
+        new_signals_count:       newCount,
+        repeat_signals_skipped:  allActionable.length - actionable.length,
         completed_at:            new Date().toISOString(),
       })
       .eq('id', sweep.id);
@@ -183,19 +224,24 @@ export async function getSweepWithSignals(sweepId) {
       .order('signal_type')
       .order('like_count', { ascending: false }),
   ]);
-  return sweep ? { ...sweep, signals: signals || [] } : null;
+  if (!sweep) return null;
+  // channel_name matches the batch loader's shape so the merge action
+  // can cite the competitor either way.
+  return { ...sweep, signals: (signals || []).map(s => ({ ...s, channel_name: sweep.competitor_name || null })) };
 }
 
-export async function updateSignalStatus(signalId, status, { reason = null, reviewedBy = null } = {}) {
+export async function updateSignalStatus(signalId, status, { reason = null, reviewedBy = null, mergedTarget = null, mergedTargetId = null } = {}) {
   if (!signalId || !status) return { ok: false, error: 'signalId + status required' };
   if (!['pending_review', 'merged_to_spine', 'dismissed', 'starred'].includes(status)) {
     return { ok: false, error: `invalid status: ${status}` };
   }
   const patch = {
     status,
-    reviewed_at:    new Date().toISOString(),
-    reviewed_by:    reviewedBy,
-    dismiss_reason: status === 'dismissed' ? reason : null,
+    reviewed_at:      new Date().toISOString(),
+    reviewed_by:      reviewedBy,
+    dismiss_reason:   status === 'dismissed' ? reason : null,
+    merged_target:    status === 'merged_to_spine' ? mergedTarget : null,
+    merged_target_id: status === 'merged_to_spine' ? mergedTargetId : null,
   };
   const { error } = await supabase
     .from('client_comment_signals')
@@ -205,6 +251,153 @@ export async function updateSignalStatus(signalId, status, { reason = null, revi
   return { ok: true };
 }
 
+// ──────────────────────────────────────────────────
+// Public — merge a signal into the Spine (migration 111)
+// ──────────────────────────────────────────────────
+
+export const SPINE_MERGE_TARGETS = [
+  { id: 'persona_question',   label: 'Persona · question asked', personaField: 'questions_asked' },
+  { id: 'persona_pain_point', label: 'Persona · pain point',     personaField: 'pain_points' },
+  { id: 'pillar',             label: 'Pillar candidate (draft)' },
+  { id: 'concept_seed',       label: 'Concept seed' },
+];
+
+/** Requests are usually a video; questions usually describe the audience. */
+export function defaultMergeTarget(signal) {
+  return signal?.signal_type === 'content_request' ? 'concept_seed' : 'persona_question';
+}
+
+/**
+ * Pre-fill for the merge form. Pure — the strategist edits the result
+ * before mergeSignalToSpine() writes it.
+ *
+ * @returns {{ text?, title?, description?, outline? }}
+ */
+export function buildMergeDraft(signal, target) {
+  const text = cleanCommentText(signal?.comment_text);
+  const where = sourceLine(signal);
+  switch (target) {
+    case 'persona_question':
+    case 'persona_pain_point':
+      return { text: truncate(text, 240) };
+    case 'pillar':
+      return {
+        title:       truncate(signal?.theme_label || text, 80),
+        description: `Series answering what competitor audiences keep asking, e.g. "${truncate(text, 200)}" (${where}).`,
+      };
+    case 'concept_seed':
+      return {
+        title:   truncate(stripRequestPreamble(text), 100),
+        outline: `Answers an ask raised in the comments ${where}: "${truncate(text, 300)}"`,
+      };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Write the signal into its Spine target and mark it merged, with the
+ * back-link on both sides.
+ *
+ * @param {Object} args
+ * @param {string} args.clientId
+ * @param {Object} args.signal   client_comment_signals row (competitor name optional via channel_name)
+ * @param {string} args.target   one of SPINE_MERGE_TARGETS ids
+ * @param {Object} args.draft    edited buildMergeDraft() output
+ * @returns {Promise<{ ok, target?, targetId?, persona?, pillar?, seed?, error? }>}
+ */
+export async function mergeSignalToSpine({ clientId, signal, target, draft = {}, reviewedBy = null }) {
+  if (!clientId || !signal?.id) return { ok: false, error: 'clientId + signal required' };
+  const meta = SPINE_MERGE_TARGETS.find(t => t.id === target);
+  if (!meta) return { ok: false, error: `invalid merge target: ${target}` };
+
+  const evidence = {
+    source:                  'competitor_comment',
+    signal_id:               signal.id,
+    value:                   signal.comment_text,
+    author:                  signal.author || null,
+    like_count:              signal.like_count || 0,
+    competitor_name:         signal.channel_name || null,
+    source_video_youtube_id: signal.source_video_youtube_id || null,
+    source_video_title:      signal.source_video_title || null,
+  };
+
+  let result;
+  if (meta.personaField) {
+    const claim = (draft.text || '').trim();
+    if (!claim) return { ok: false, error: 'text is required' };
+    const persona = await loadAudiencePersona(clientId);
+    if (!persona) return { ok: false, error: 'No audience persona yet — synthesize one first, then merge into it.' };
+
+    const items = persona[meta.personaField] || [];
+    const next = {
+      ...persona,
+      [meta.personaField]: items.includes(claim) ? items : [...items, claim],
+      evidence: {
+        ...(persona.evidence || {}),
+        [meta.personaField]: [...(persona.evidence?.[meta.personaField] || []), { claim, ...evidence }],
+      },
+      synthesis_sources: (persona.synthesis_sources || []).includes('competitor_comments')
+        ? persona.synthesis_sources
+        : [...(persona.synthesis_sources || []), 'competitor_comments'],
+    };
+    const r = await updateAudiencePersonaInline(clientId, next);
+    if (!r.ok) return { ok: false, error: r.error };
+    result = { ok: true, target, targetId: null, persona: next };
+  } else if (target === 'pillar') {
+    const r = await createPillar(clientId, {
+      title:                    draft.title,
+      creative_description:     draft.description || null,
+      status:                   'draft',
+      source:                   'competitor_comment',
+      source_comment_signal_id: signal.id,
+      notes:                    `From a competitor comment ${sourceLine(signal)}:\n"${signal.comment_text}"`,
+    });
+    if (!r.ok) return { ok: false, error: r.error };
+    result = { ok: true, target, targetId: r.pillar.id, pillar: r.pillar };
+  } else {
+    const r = await createConceptSeed(clientId, {
+      source:                   'competitor_comment',
+      title:                    draft.title,
+      outline:                  draft.outline || null,
+      addresses_persona_claim:  `competitor comment: ${truncate(signal.comment_text, 160)}`,
+      addresses_evidence:       { field: 'competitor_comment', ...evidence },
+      source_comment_signal_id: signal.id,
+    });
+    if (!r.ok) return { ok: false, error: r.error };
+    result = { ok: true, target, targetId: r.seed.id, seed: r.seed };
+  }
+
+  // The target is written; a failure here only loses the flag, so it's
+  // reported but doesn't roll the target back.
+  const status = await updateSignalStatus(signal.id, 'merged_to_spine', {
+    reviewedBy,
+    mergedTarget:   target,
+    mergedTargetId: result.targetId,
+  });
+  if (!status.ok) console.warn('[commentSweep] merge flag failed:', status.error);
+  return result;
+}
+
+function cleanCommentText(text) {
+  return String(text || '')
+    .replace(/^@\S+\s*/, '')          // leading @reply handle
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function stripRequestPreamble(text) {
+  const stripped = text
+    .replace(/^(please|pls|plz|can you|could you|would you|would love to see|i'?d love to see)\s+((make|do|cover)\s+)?((a |an |more )?(videos?|episodes?|content)\s+(on|about|covering)\s+)?/i, '')
+    .replace(/[?!.\s]+$/, '');
+  return stripped ? stripped.charAt(0).toUpperCase() + stripped.slice(1) : text;
+}
+
+function sourceLine(signal) {
+  const video = signal?.source_video_title ? `"${truncate(signal.source_video_title, 80)}"` : 'a video';
+  return signal?.channel_name ? `on ${signal.channel_name}'s ${video}` : `on ${video}`;
+}
+
 /**
  * Return cohort competitor candidates for the active client, ranked
  * peer first (highest predictive signal), then aspirational, then
@@ -245,6 +438,414 @@ export async function listCompetitorCandidates(clientId) {
     .sort((a, b) => (roleRank[a.cohort_role] ?? 9) - (roleRank[b.cohort_role] ?? 9));
 }
 
+// ──────────────────────────────────────────────────
+// Public — scheduled re-sweep cadence (migration 112)
+// ──────────────────────────────────────────────────
+
+/** Cadence choices offered in the UI. null = off (on-demand only). */
+export const RESWEEP_CADENCE_OPTIONS = [
+  { days: null, label: 'Off' },
+  { days: 7,    label: 'Weekly' },
+  { days: 14,   label: 'Every 2 weeks' },
+  { days: 30,   label: 'Monthly' },
+];
+
+/**
+ * @returns {Promise<{ cadenceDays: number|null, lastRunAt: string|null, lastError: string|null }>}
+ */
+export async function getResweepSettings(clientId) {
+  const empty = { cadenceDays: null, lastRunAt: null, lastError: null };
+  if (!clientId) return empty;
+  const { data, error } = await supabase
+    .from('channels')
+    .select('comment_resweep_cadence_days, last_comment_resweep_at, last_comment_resweep_error')
+    .eq('id', clientId)
+    .maybeSingle();
+  if (error || !data) return empty;
+  return {
+    cadenceDays: data.comment_resweep_cadence_days ?? null,
+    lastRunAt:   data.last_comment_resweep_at || null,
+    lastError:   data.last_comment_resweep_error || null,
+  };
+}
+
+/**
+ * Opt a client in or out of scheduled peer re-sweeps. The cron picks
+ * the client up on its next daily run once cadenceDays have passed
+ * since the last scheduled run (immediately if it never ran).
+ */
+export async function setResweepCadence(clientId, cadenceDays) {
+  if (!clientId) return { ok: false, error: 'clientId required' };
+  const days = cadenceDays == null ? null : Number(cadenceDays);
+  if (days != null && !(Number.isInteger(days) && days >= 1 && days <= 90)) {
+    return { ok: false, error: 'cadence must be 1–90 days' };
+  }
+  const { error } = await supabase
+    .from('channels')
+    .update({ comment_resweep_cadence_days: days })
+    .eq('id', clientId);
+  if (error) {
+    console.warn('[commentSweep] cadence update failed:', error);
+    return { ok: false, error: error.message };
+  }
+  return { ok: true, cadenceDays: days };
+}
+
+// ──────────────────────────────────────────────────
+// Public entry — multi-channel batch sweep (migration 110)
+// ──────────────────────────────────────────────────
+
+const THEME_LABEL_LIMIT   = 15;   // themes sent to the LLM for naming
+const EMBED_BATCH_SIZE    = 100;  // /api/openai-embeddings max inputs per call
+
+/**
+ * Sweep every cohort channel with the given roles (peer by default),
+ * sequentially, then de-dupe + cluster the combined signals into
+ * cross-channel themes.
+ *
+ * A failed channel doesn't fail the batch — it's counted in
+ * channels_failed and the themes are built from whatever succeeded.
+ *
+ * @param {Object} args
+ * @param {string}   args.clientId
+ * @param {string[]} [args.roles]
+ * @param {number}   [args.maxVideos]
+ * @param {number}   [args.maxCommentsPerVideo]
+ * @param {Function} [args.onProgress]  ({ step: 'sweep'|'clustering', channelName?, index?, total? })
+ * @returns {Promise<{ ok, batchId?, summary?, error? }>}
+ *   summary: { channelsSwept, channelsFailed, signalsTotal, duplicatesMerged, themes, multiChannelThemes, method }
+ */
+export async function runBatchSweep({
+  clientId,
+  roles = ['peer'],
+  maxVideos = DEFAULT_MAX_VIDEOS,
+  maxCommentsPerVideo = DEFAULT_MAX_COMMENTS_PER_VIDEO,
+  onProgress = null,
+}) {
+  if (!clientId) return { ok: false, error: 'clientId required' };
+
+  const candidates = (await listCompetitorCandidates(clientId))
+    .filter(c => roles.includes(c.cohort_role));
+  if (!candidates.length) {
+    return { ok: false, error: `No ${roles.join(' / ')} cohort channels tagged for this client` };
+  }
+
+  const { data: batch, error: createErr } = await supabase
+    .from('client_comment_sweep_batches')
+    .insert({
+      client_id:              clientId,
+      status:                 'sweeping',
+      cohort_roles:           roles,
+      max_videos:             maxVideos,
+      max_comments_per_video: maxCommentsPerVideo,
+      channels_targeted:      candidates.length,
+    })
+    .select('*')
+    .single();
+  if (createErr || !batch) {
+    return { ok: false, error: createErr?.message || 'could not create batch row' };
+  }
+
+  try {
+    // 1) Sweep each channel. Sequential — keeps YouTube quota use and
+    //    the endpoint's per-request fan-out predictable.
+    const swept = [];
+    let failed = 0;
+    for (let i = 0; i < candidates.length; i++) {
+      const c = candidates[i];
+      onProgress?.({ step: 'sweep', channelName: c.name, index: i + 1, total: candidates.length });
+      const r = await runSweep({
+        clientId,
+        competitorChannelId: c.id,
+        maxVideos,
+        maxCommentsPerVideo,
+        batchId: batch.id,
+      });
+      if (r.ok) swept.push({ sweepId: r.sweepId, channel: c });
+      else failed++;
+    }
+
+    await supabase
+      .from('client_comment_sweep_batches')
+      .update({
+        status:          'clustering',
+        status_message:  `Swept ${swept.length} of ${candidates.length} channels`,
+        channels_swept:  swept.length,
+        channels_failed: failed,
+      })
+      .eq('id', batch.id);
+
+    if (!swept.length) {
+      await markBatchError(batch.id, 'every channel sweep failed');
+      return { ok: false, error: 'every channel sweep failed', batchId: batch.id };
+    }
+
+    // 2) Gather actionable signals, tagged with their channel. Comments
+    //    the strategist already dismissed on an earlier sweep stay out
+    //    of the themes (migration 103's reason for keeping dismissals).
+    onProgress?.({ step: 'clustering' });
+    const channelBySweep = new Map(swept.map(s => [s.sweepId, s.channel]));
+    const { data: rawSignals, error: sigErr } = await supabase
+      .from('client_comment_signals')
+      .select('id, sweep_id, signal_type, comment_text, comment_youtube_id, like_count')
+      .in('sweep_id', swept.map(s => s.sweepId));
+    if (sigErr) throw new Error(`signal load failed: ${sigErr.message}`);
+
+    const dismissedIds = await loadDismissedCommentIds(clientId);
+    const signals = (rawSignals || [])
+      .filter(s => !s.comment_youtube_id || !dismissedIds.has(s.comment_youtube_id))
+      .map(s => ({
+        ...s,
+        channel_id:   channelBySweep.get(s.sweep_id)?.id || null,
+        channel_name: channelBySweep.get(s.sweep_id)?.name || null,
+      }));
+
+    // 3) De-dupe + cluster. Embeddings are best-effort; null → lexical.
+    const embeddings = await embedSignalTexts(signals);
+    const { canonical, duplicateOf } = dedupeSignals(signals, { embeddings });
+    const { method, themes } = clusterThemes(canonical, { useEmbeddings: !!embeddings });
+
+    // 4) Name the top multi-question themes. Falls back to the
+    //    representative comment when the LLM call fails.
+    const labels = await labelThemes(themes, new Map(signals.map(s => [s.id, s])));
+
+    // 5) Persist themes, then write membership back onto the signals.
+    const themeRows = themes.map(t => ({
+      batch_id:                 batch.id,
+      client_id:                clientId,
+      rank:                     t.rank,
+      label:                    labels.get(t.key) || truncate(t.representativeText, 120),
+      representative_text:      t.representativeText,
+      representative_signal_id: t.representativeSignalId,
+      channel_count:            t.channelCount,
+      channel_ids:              t.channelIds,
+      channel_names:            t.channelNames.map(n => n || ''),
+      unique_question_count:    t.uniqueQuestionCount,
+      signal_count:             t.signalCount,
+      total_likes:              t.totalLikes,
+      signal_types:             t.signalTypes,
+    }));
+    let insertedThemes = [];
+    if (themeRows.length) {
+      const { data, error: themeErr } = await supabase
+        .from('client_comment_themes')
+        .insert(themeRows)
+        .select('id, rank, label');
+      if (themeErr) throw new Error(`theme insert failed: ${themeErr.message}`);
+      insertedThemes = data || [];
+    }
+    const themeIdByRank = new Map(insertedThemes.map(r => [r.rank, r]));
+    await Promise.all(themes.map(t => {
+      const row = themeIdByRank.get(t.rank);
+      if (!row) return null;
+      return supabase
+        .from('client_comment_signals')
+        .update({ theme_cluster_id: row.id, theme_label: row.label })
+        .in('id', t.signalIds);
+    }));
+    const dupGroups = new Map();
+    for (const [dupId, canonicalId] of duplicateOf) {
+      (dupGroups.get(canonicalId) || dupGroups.set(canonicalId, []).get(canonicalId)).push(dupId);
+    }
+    await Promise.all([...dupGroups].map(([canonicalId, dupIds]) => supabase
+      .from('client_comment_signals')
+      .update({ duplicate_of: canonicalId })
+      .in('id', dupIds)));
+
+    const summary = {
+      channelsSwept:      swept.length,
+      channelsFailed:     failed,
+      signalsTotal:       signals.length,
+      duplicatesMerged:   duplicateOf.size,
+      themes:             themes.length,
+      multiChannelThemes: themes.filter(t => t.channelCount >= 2).length,
+      method,
+    };
+
+    await supabase
+      .from('client_comment_sweep_batches')
+      .update({
+        status:                     'complete',
+        status_message:             failed ? `${failed} channel sweep${failed === 1 ? '' : 's'} failed` : null,
+        signals_total:              summary.signalsTotal,
+        duplicates_merged:          summary.duplicatesMerged,
+        themes_count:               summary.themes,
+        multi_channel_themes_count: summary.multiChannelThemes,
+        theme_method:               method,
+        theme_prompt_version:       COMMENT_THEME_PROMPT_VERSION,
+        completed_at:               new Date().toISOString(),
+      })
+      .eq('id', batch.id);
+
+    return { ok: true, batchId: batch.id, summary };
+  } catch (err) {
+    console.warn('[commentSweep] batch failed:', err);
+    await markBatchError(batch.id, err?.message || 'unknown error');
+    return { ok: false, error: err?.message || 'unknown error', batchId: batch.id };
+  }
+}
+
+export async function listBatches(clientId, { limit = 10 } = {}) {
+  if (!clientId) return [];
+  const { data } = await supabase
+    .from('client_comment_sweep_batches')
+    .select('*')
+    .eq('client_id', clientId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  return data || [];
+}
+
+/**
+ * Batch row + ranked themes, each with its source signals attached as
+ * evidence (canonical copies first, then duplicates), plus the child
+ * sweeps for the per-channel breakdown.
+ */
+export async function getBatchWithThemes(batchId) {
+  if (!batchId) return null;
+  const [{ data: batch }, { data: themes }, { data: sweeps }] = await Promise.all([
+    supabase.from('client_comment_sweep_batches').select('*').eq('id', batchId).maybeSingle(),
+    supabase.from('client_comment_themes').select('*').eq('batch_id', batchId).order('rank'),
+    supabase
+      .from('client_comment_sweeps')
+      .select('id, competitor_channel_id, competitor_name, status, status_message, videos_sampled, comments_fetched, signals_extracted')
+      .eq('batch_id', batchId),
+  ]);
+  if (!batch) return null;
+
+  const sweepIds = (sweeps || []).map(s => s.id);
+  let signals = [];
+  if (sweepIds.length) {
+    const { data } = await supabase
+      .from('client_comment_signals')
+      .select('*')
+      .in('sweep_id', sweepIds)
+      .not('theme_cluster_id', 'is', null)
+      .order('like_count', { ascending: false });
+    signals = data || [];
+  }
+  const sweepById = new Map((sweeps || []).map(s => [s.id, s]));
+  const byTheme = new Map();
+  for (const s of signals) {
+    const withChannel = { ...s, channel_name: sweepById.get(s.sweep_id)?.competitor_name || null };
+    (byTheme.get(s.theme_cluster_id) || byTheme.set(s.theme_cluster_id, []).get(s.theme_cluster_id)).push(withChannel);
+  }
+
+  return {
+    ...batch,
+    sweeps: sweeps || [],
+    themes: (themes || []).map(t => ({
+      ...t,
+      signals: (byTheme.get(t.id) || []).sort((a, b) => (a.duplicate_of ? 1 : 0) - (b.duplicate_of ? 1 : 0)),
+    })),
+  };
+}
+
+async function loadDismissedCommentIds(clientId) {
+  const { data } = await supabase
+    .from('client_comment_signals')
+    .select('comment_youtube_id')
+    .eq('client_id', clientId)
+    .eq('status', 'dismissed')
+    .not('comment_youtube_id', 'is', null);
+  return new Set((data || []).map(r => r.comment_youtube_id));
+}
+
+async function markBatchError(batchId, message) {
+  await supabase
+    .from('client_comment_sweep_batches')
+    .update({
+      status:         'error',
+      status_message: message?.slice(0, 500) || 'unknown error',
+      completed_at:   new Date().toISOString(),
+    })
+    .eq('id', batchId);
+}
+
+/**
+ * Embed every signal's text through the OpenAI proxy. Returns a
+ * Map(signal id → vector), or null if any call fails — clustering then
+ * falls back to token overlap for the whole batch rather than mixing
+ * methods.
+ */
+async function embedSignalTexts(signals) {
+  if (!signals.length) return null;
+  try {
+    const token = await youtubeOAuthService.getAuthToken();
+    if (!token) return null;
+    const out = new Map();
+    for (let i = 0; i < signals.length; i += EMBED_BATCH_SIZE) {
+      const chunk = signals.slice(i, i + EMBED_BATCH_SIZE);
+      const resp = await fetch('/api/openai-embeddings', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ texts: chunk.map(s => truncate(s.comment_text, 2000) || '(empty)') }),
+      });
+      if (!resp.ok) {
+        const body = await resp.json().catch(() => null);
+        console.warn('[commentSweep] embeddings failed:', body?.error || resp.status);
+        return null;
+      }
+      const json = await resp.json();
+      chunk.forEach((s, j) => { if (json?.embeddings?.[j]) out.set(s.id, json.embeddings[j]); });
+    }
+    return out.size === signals.length ? out : null;
+  } catch (err) {
+    console.warn('[commentSweep] embeddings error:', err);
+    return null;
+  }
+}
+
+/**
+ * One LLM call naming the top themes that hold more than one distinct
+ * comment. Singletons keep their comment text as the label — naming a
+ * single comment only paraphrases it.
+ *
+ * @returns {Promise<Map<string, string>>} theme key → label
+ */
+async function labelThemes(themes, signalsById) {
+  const labels = new Map();
+  const targets = themes.filter(t => t.uniqueQuestionCount >= 2).slice(0, THEME_LABEL_LIMIT);
+  if (!targets.length) return labels;
+
+  const blocks = targets.map(t => {
+    const samples = t.canonicalSignalIds.slice(0, 6)
+      .map(id => `  - ${truncate(signalsById.get(id)?.comment_text, 200)}`)
+      .join('\n');
+    return `THEME ${t.key} (${t.channelCount} channels, ${t.uniqueQuestionCount} distinct comments):\n${samples}`;
+  }).join('\n\n');
+
+  const prompt = `Each block below is a cluster of YouTube comments (questions and content requests) gathered from competitor channels in one category. Name each cluster with a short, specific label (4-10 words) describing what the audience is asking for.
+
+${blocks}
+
+Return JSON: { "labels": [ { "key": "t0", "label": "string" } ] }
+- One entry per theme key above.
+- Be specific: "How to price a first commercial job" not "Pricing questions".
+- Use the commenters' subject matter; do not invent topics not in the comments.
+
+Return ONLY valid JSON.`;
+  const systemPrompt = `You name clusters of YouTube audience comments for a content strategist. Short, specific, faithful to the comments. Return ONLY valid JSON.`;
+
+  try {
+    const result = await claudeAPI.call(prompt, systemPrompt, 'comment_theme_labels', 1024);
+    const parsed = parseClaudeJSON(result.text, null);
+    for (const entry of parsed?.labels || []) {
+      if (entry?.key && typeof entry.label === 'string' && entry.label.trim()) {
+        labels.set(entry.key, entry.label.trim().slice(0, 160));
+      }
+    }
+  } catch (err) {
+    console.warn('[commentSweep] theme labelling failed:', err);
+  }
+  return labels;
+}
+
+function truncate(text, n) {
+  const s = String(text || '');
+  return s.length > n ? `${s.slice(0, n - 1)}…` : s;
+}
+
 // ──────────────────────────────────────────────────
 // Loaders
 // ──────────────────────────────────────────────────
@@ -258,6 +859,35 @@ async function loadCompetitorChannel(channelId) {
   return data || null;
 }
 
+/**
+ * Earlier complete sweeps of the same client × competitor: the most
+ * recent one (previous_sweep_id) and every comment id they surfaced.
+ * Dismissed signals are included on purpose — a re-sweep shouldn't
+ * re-surface junk the strategist already cleared.
+ */
+async function loadPriorSweepState(clientId, competitorChannelId, excludeSweepId) {
+  const { data: sweeps } = await supabase
+    .from('client_comment_sweeps')
+    .select('id')
+    .eq('client_id', clientId)
+    .eq('competitor_channel_id', competitorChannelId)
+    .eq('status', 'complete')
+    .neq('id', excludeSweepId)
+    .order('completed_at', { ascending: false });
+  const ids = (sweeps || []).map(s => s.id);
+  if (!ids.length) return { previousSweepId: null, seenCommentIds: new Set() };
+
+  const { data: seen } = await supabase
+    .from('client_comment_signals')
+    .select('comment_youtube_id')
+    .in('sweep_id', ids)
+    .not('comment_youtube_id', 'is', null);
+  return {
+    previousSweepId: ids[0],
+    seenCommentIds:  new Set((seen || []).map(r => r.comment_youtube_id)),
+  };
+}
+
 async function markSweepError(sweepId, message) {
   await supabase
     .from('client_comment_sweeps')
@@ -300,6 +930,9 @@ async function callSweepEndpoint({ channelId, maxVideos, maxCommentsPerVideo })
  *
  * Order matters: content_request is checked first because requests
  * often end with a question mark and would otherwise be miscategorized.
+ *
+ * api/cron/comment-resweep.js carries a copy of these patterns for
+ * scheduled re-sweeps — change both together.
  */
 function classifyComments(comments) {
   return comments.map(c => ({
@@ -359,6 +992,17 @@ export default {
   listSweeps,
   getSweepWithSignals,
   updateSignalStatus,
+  mergeSignalToSpine,
+  buildMergeDraft,
+  defaultMergeTarget,
+  SPINE_MERGE_TARGETS,
   listCompetitorCandidates,
+  getResweepSettings,
+  setResweepCadence,
+  RESWEEP_CADENCE_OPTIONS,
+  runBatchSweep,
+  listBatches,
+  getBatchWithThemes,
   COMMENT_SWEEP_PROMPT_VERSION,
+  COMMENT_THEME_PROMPT_VERSION,
 };
@@ -0,0 +1,231 @@
+/**
+ * commentThemeService — pure de-duplication + theme clustering for a
+ * multi-channel comment sweep (migration 110).
+ *
+ * Two passes over the actionable signals (question + content_request)
+ * collected from every channel in a batch:
+ *
+ *   1. De-dupe. Near-identical comments collapse into one canonical
+ *      signal of the same signal_type: same normalized text, token
+ *      Jaccard ≥ DUPLICATE_JACCARD, or (when embeddings are available)
+ *      cosine ≥ DUPLICATE_COSINE.
+ *      The most-liked copy is canonical; the rest are recorded as
+ *      duplicate_of so the evidence still shows every channel it came
+ *      from. "Great video, how do I start?" posted on three channels is
+ *      one question asked three times, not three questions.
+ *
+ *   2. Cluster. Canonical signals are grouped greedily against running
+ *      cluster centroids (embeddings) or, without embeddings, by best
+ *      single-link Jaccard over content tokens. Processing in like-count
+ *      order makes each theme's first member its representative.
+ *
+ * Themes rank by how many channels they appear on — a question the
+ * whole peer set's audience keeps asking is a category-wide content
+ * gap — then by unique question count, then likes.
+ *
+ * No IO. Embedding fetch, LLM naming and persistence live in
+ * commentSweepService.
+ */
+
+import { cosineSimilarity } from './topicAuthorityService';
+
+export const THEME_METHOD_EMBEDDINGS = 'embeddings';
+export const THEME_METHOD_LEXICAL    = 'lexical';
+
+const DUPLICATE_JACCARD = 0.8;
+const DUPLICATE_COSINE  = 0.93;
+const THEME_COSINE      = 0.72;
+const THEME_JACCARD     = 0.34;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'for', 'with', 'at', 'by', 'from',
+  'is', 'are', 'was', 'were', 'be', 'been', 'am', 'do', 'does', 'did', 'have', 'has', 'had',
+  'i', 'me', 'my', 'you', 'your', 'we', 'our', 'they', 'them', 'it', 'its', 'this', 'that', 'these', 'those',
+  'can', 'could', 'would', 'should', 'will', 'please', 'pls', 'plz', 'so', 'just', 'really', 'very',
+  'what', 'how', 'why', 'when', 'where', 'which', 'who', 'any', 'anyone', 'about', 'video', 'videos',
+  'make', 'more', 'thanks', 'thank', 'love', 'great',
+]);
+
+/** Lowercase, strip punctuation / emoji, collapse whitespace. */
+export function normalizeCommentText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function contentTokens(text) {
+  return new Set(normalizeCommentText(text).split(' ').filter(t => t.length > 1 && !STOPWORDS.has(t)));
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let inter = 0;
+  for (const t of a) if (b.has(t)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+// ──────────────────────────────────────────────────
+// Pass 1 — de-dupe
+// ──────────────────────────────────────────────────
+
+/**
+ * @param {Array} signals  client_comment_signals rows, each with a
+ *                         `channel_id` / `channel_name` attached by the caller
+ * @param {Object} [opts]
+ * @param {Map<string, number[]>} [opts.embeddings]  signal id → vector
+ * @returns {{ canonical: Array, duplicateOf: Map<string, string> }}
+ *   canonical entries: { ...signal, memberIds, channelIds, channelNames, totalLikes }
+ */
+export function dedupeSignals(signals, { embeddings = null } = {}) {
+  const ordered = [...(signals || [])].sort((a, b) => (b.like_count || 0) - (a.like_count || 0));
+  const canonical   = [];
+  const duplicateOf = new Map();
+  const byTypeAndText = new Map();
+
+  for (const s of ordered) {
+    const norm   = normalizeCommentText(s.comment_text);
+    // A question and a content request can share wording; they stay
+    // separate signals, so the exact-text match is per signal_type.
+    const textKey = norm ? `${s.signal_type}|${norm}` : null;
+    const tokens = contentTokens(s.comment_text);
+    const vec    = embeddings?.get(s.id) || null;
+
+    let target = textKey ? byTypeAndText.get(textKey) : null;
+    if (!target) {
+      target = canonical.find(c => {
+        if (c.signal_type !== s.signal_type) return false;
+        if (jaccard(c._tokens, tokens) >= DUPLICATE_JACCARD) return true;
+        if (vec && c._vec) {
+          const sim = cosineSimilarity(vec, c._vec);
+          if (sim != null && sim >= DUPLICATE_COSINE) return true;
+        }
+        return false;
+      }) || null;
+    }
+
+    if (target) {
+      duplicateOf.set(s.id, target.id);
+      target.memberIds.push(s.id);
+      if (s.channel_id && !target.channelIds.includes(s.channel_id)) {
+        target.channelIds.push(s.channel_id);
+        target.channelNames.push(s.channel_name || null);
+      }
+      target.totalLikes += s.like_count || 0;
+      continue;
+    }
+
+    const entry = {
+      ...s,
+      memberIds:    [s.id],
+      channelIds:   s.channel_id ? [s.channel_id] : [],
+      channelNames: s.channel_id ? [s.channel_name || null] : [],
+      totalLikes:   s.like_count || 0,
+      _tokens:      tokens,
+      _vec:         vec,
+    };
+    canonical.push(entry);
+    if (textKey) byTypeAndText.set(textKey, entry);
+  }
+
+  return { canonical, duplicateOf };
+}
+
+// ──────────────────────────────────────────────────
+// Pass 2 — cluster into themes
+// ──────────────────────────────────────────────────
+
+/**
+ * @param {Array} canonical  output of dedupeSignals().canonical
+ * @param {Object} [opts]
+ * @param {boolean} [opts.useEmbeddings]  cluster on `_vec` when every entry has one
+ * @returns {{ method: string, themes: Array }}
+ *   themes (ranked): {
+ *     key, rank, representativeText, representativeSignalId,
+ *     signalIds,              // every member incl. duplicates
+ *     canonicalSignalIds,
+ *     uniqueQuestionCount, signalCount,
+ *     channelIds, channelNames, channelCount,
+ *     totalLikes, signalTypes,
+ *   }
+ */
+export function clusterThemes(canonical, { useEmbeddings = true } = {}) {
+  const entries = [...(canonical || [])].sort((a, b) => b.totalLikes - a.totalLikes);
+  const method  = useEmbeddings && entries.length > 0 && entries.every(e => Array.isArray(e._vec))
+    ? THEME_METHOD_EMBEDDINGS
+    : THEME_METHOD_LEXICAL;
+
+  const clusters = [];
+  for (const e of entries) {
+    let best = null;
+    let bestScore = -Infinity;
+    for (const c of clusters) {
+      const score = method === THEME_METHOD_EMBEDDINGS
+        ? (cosineSimilarity(e._vec, c.centroid) ?? -1)
+        : Math.max(...c.members.map(m => jaccard(m._tokens, e._tokens)));
+      if (score > bestScore) { best = c; bestScore = score; }
+    }
+    const threshold = method === THEME_METHOD_EMBEDDINGS ? THEME_COSINE : THEME_JACCARD;
+    if (best && bestScore >= threshold) {
+      best.members.push(e);
+      if (method === THEME_METHOD_EMBEDDINGS) {
+        for (let i = 0; i < best.sum.length; i++) best.sum[i] += e._vec[i];
+        best.centroid = best.sum.map(v => v / best.members.length);
+      }
+    } else {
+      clusters.push({
+        members:  [e],
+        sum:      method === THEME_METHOD_EMBEDDINGS ? [...e._vec] : null,
+        centroid: method === THEME_METHOD_EMBEDDINGS ? e._vec : null,
+      });
+    }
+  }
+
+  const themes = clusters.map((c, i) => {
+    const channelIds   = [];
+    const channelNames = [];
+    for (const m of c.members) {
+      m.channelIds.forEach((id, j) => {
+        if (!channelIds.includes(id)) { channelIds.push(id); channelNames.push(m.channelNames[j]); }
+      });
+    }
+    const rep = c.members[0];
+    return {
+      key:                    `t${i}`,
+      representativeText:     rep.comment_text,
+      representativeSignalId: rep.id,
+      signalIds:              c.members.flatMap(m => m.memberIds),
+      canonicalSignalIds:     c.members.map(m => m.id),
+      uniqueQuestionCount:    c.members.length,
+      signalCount:            c.members.reduce((s, m) => s + m.memberIds.length, 0),
+      channelIds,
+      channelNames,
+      channelCount:           channelIds.length,
+      totalLikes:             c.members.reduce((s, m) => s + m.totalLikes, 0),
+      signalTypes:            [...new Set(c.members.map(m => m.signal_type))],
+    };
+  });
+
+  return { method, themes: rankThemes(themes) };
+}
+
+/** Channel breadth first, then distinct questions, then likes. */
+export function rankThemes(themes) {
+  return [...themes]
+    .sort((a, b) =>
+      (b.channelCount - a.channelCount)
+      || (b.uniqueQuestionCount - a.uniqueQuestionCount)
+      || (b.totalLikes - a.totalLikes))
+    .map((t, i) => ({ ...t, rank: i + 1 }));
+}
+
+export default {
+  normalizeCommentText,
+  dedupeSignals,
+  clusterThemes,
+  rankThemes,
+  THEME_METHOD_EMBEDDINGS,
+  THEME_METHOD_LEXICAL,
+};
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { dedupeSignals } from './commentThemeService';
+
+const signal = (id, signal_type, comment_text, extra = {}) => ({
+  id, signal_type, comment_text, like_count: 0, channel_id: 'ch-a', channel_name: 'A', ...extra,
+});
+
+describe('dedupeSignals', () => {
+  it('collapses the same text posted on several channels', () => {
+    const { canonical, duplicateOf } = dedupeSignals([
+      signal('s1', 'question', 'How do I start?', { like_count: 5 }),
+      signal('s2', 'question', 'how do i start', { channel_id: 'ch-b', channel_name: 'B' }),
+    ]);
+    expect(canonical).toHaveLength(1);
+    expect(canonical[0].memberIds).toEqual(['s1', 's2']);
+    expect(canonical[0].channelIds).toEqual(['ch-a', 'ch-b']);
+    expect(duplicateOf.get('s2')).toBe('s1');
+  });
+
+  it('keeps the same text under different signal types apart', () => {
+    const { canonical, duplicateOf } = dedupeSignals([
+      signal('q1', 'question', 'Can you do a video on budgeting?', { like_count: 3 }),
+      signal('r1', 'content_request', 'Can you do a video on budgeting?'),
+    ]);
+    expect(canonical.map(c => c.id).sort()).toEqual(['q1', 'r1']);
+    expect(canonical.map(c => c.signal_type).sort()).toEqual(['content_request', 'question']);
+    expect(duplicateOf.size).toBe(0);
+  });
+});
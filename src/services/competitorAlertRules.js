@@ -0,0 +1,80 @@
+/**
+ * competitorAlertRules — labels, delivery severity and one-line
+ * descriptions for competitor_alerts rows.
+ *
+ * movementService (ALERT_TYPE_META) and alertSubscriptionService
+ * (competitorAlertSeverity) re-export these; /api/cron/alert-delivery
+ * imports them directly to build webhook posts and digests, so a
+ * delivered alert reads the same as the Movement feed.
+ *
+ * Pure, no supabase import.
+ */
+
+export const ALERT_TYPE_META = {
+  breakout:     { label: 'Breakout',      color: '#10b981' },
+  format_shift: { label: 'Format shift',  color: '#3b82f6' },
+  rank_change:  { label: 'Rank change',   color: '#a78bfa' },
+  new_entrant:  { label: 'New entrant',   color: '#f59e0b' },
+  title_pattern_adoption: { label: 'New title pattern', color: '#ec4899' },
+  cadence_break:          { label: 'Cadence break',     color: '#f87171' },
+  shorts_pivot:           { label: 'Shorts pivot',      color: '#06b6d4' },
+  trend:        { label: 'Trend',         color: '#94a3b8' },
+};
+
+/**
+ * Competitor alerts carry no stored severity; delivery filters need
+ * one.
+ */
+export function competitorAlertSeverity(alert) {
+  const p = alert?.payload || {};
+  switch (alert?.alert_type) {
+    case 'breakout':
+      // Velocity-curve payloads carry a z-score; pre-curve ones only the 48h multiple.
+      if (p.z_score != null) return p.z_score >= 3 ? 'high' : 'medium';
+      return (p.multiplier || 0) >= 5 ? 'high' : 'medium';
+    case 'rank_change': return Math.abs(p.pct_change || 0) >= 100 ? 'high' : 'medium';
+    case 'format_shift':
+    case 'shorts_pivot': return 'medium';
+    default:            return 'low';
+  }
+}
+
+/** "Breakout: Some Channel" */
+export function competitorAlertLabel(alert) {
+  const meta = ALERT_TYPE_META[alert?.alert_type];
+  return `${meta?.label || alert?.alert_type}: ${alert?.payload?.channel_name || 'competitor'}`;
+}
+
+/**
+ * One sentence per alert, same facts as the per-type lines in
+ * movementService.summarizeAlertsForPrompt (breakouts:
+ * velocityCurveService.describeBreakout).
+ */
+export function describeCompetitorAlert(alert) {
+  const p = alert?.payload || {};
+  switch (alert?.alert_type) {
+    case 'breakout':
+      if (p.z_score == null) {
+        return `"${p.video_title}" hit ${formatNumber(p.views_at_48h)} views in 48h (${p.multiplier}× channel median).`;
+      }
+      return `"${p.video_title}" has ${formatNumber(p.views)} views at day ${Math.round(p.age_days)} vs ~${formatNumber(p.expected_views)} expected (z = ${p.z_score}, ${p.confidence}${p.shape === 'slow_burn' ? ', slow burn' : p.shape === 'fast_start' ? ', fast start' : ''}).`;
+    case 'format_shift':
+      return `Shifted from ${p.prev_format} (${p.prev_pct}%) to ${p.curr_format} (${p.curr_pct}%).`;
+    case 'rank_change':
+      return `Avg views ${p.direction === 'up' ? 'up' : 'down'} ${Math.abs(p.pct_change)}% (${formatNumber(p.prev_velocity)} → ${formatNumber(p.curr_velocity)}).`;
+    case 'new_entrant':
+      return `Added to scope${p.subscriber_count ? ` (${formatNumber(p.subscriber_count)} subs)` : ''}.`;
+    case 'title_pattern_adoption':
+      return `Started using "${p.pattern_label}" titles (${p.matched_count} of ${p.recent_count} recent uploads, none in the prior ${p.prior_count})${p.example_titles?.[0] ? `, e.g. "${p.example_titles[0]}"` : ''}.`;
+    case 'cadence_break':
+      return `Silent for ${Math.round(p.days_silent)} days, ${p.gap_multiple}× its usual ${p.median_gap_days}-day upload gap.`;
+    case 'shorts_pivot':
+      return `Shorts went from ${p.prev_shorts_pct}% to ${p.curr_shorts_pct}% of uploads.`;
+    default:
+      return p.summary || '';
+  }
+}
+
+function formatNumber(n) {
+  return n == null ? '?' : Number(n).toLocaleString('en-US');
+}
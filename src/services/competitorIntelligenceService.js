@@ -424,13 +424,17 @@ export async function analyzeThumbnailsDeep(videoIds, clientId, { forceRefresh =
   const apiKey = claudeAPI.loadAPIKey();
   if (!apiKey) throw new Error('Claude API key not configured');
 
+  // Direct proxy call (interleaved image/text content), so it passes the
+  // ledger fields claudeAPI.call would add itself.
   const response = await fetch('/api/claude-proxy', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: await claudeAPI.requestHeaders(),
     body: JSON.stringify({
       apiKey,
       model: 'claude-sonnet-4-5-20250929',
       maxTokens: 2048,
+      feature: 'thumbnail_vision',
+      clientId,
       system: THUMBNAIL_VISION_PROMPT,
       messages: [{
         role: 'user',
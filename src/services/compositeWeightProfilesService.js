@@ -0,0 +1,146 @@
+/**
+ * Persistence for composite weight profiles — save / list / load
+ * active / activate / archive.
+ *
+ * Matches the pattern in calibrationRunsService. The fit + evaluation
+ * math lives in compositeWeightsService (pure); this file is the thin
+ * Supabase wrapper. At most one active profile per client (enforced by
+ * a partial unique index, migration 109) — activate() clears the old
+ * active flag before setting the new one.
+ */
+
+import { supabase } from './supabaseClient';
+
+const TABLE = 'client_composite_weight_profiles';
+
+/**
+ * Persist a fitted profile. Pass activate=true to make it the one
+ * Pre-flight scores with.
+ */
+export async function saveWeightProfile({
+  clientId,
+  createdBy = null,
+  label = null,
+  fitMethod,
+  weights,
+  fitStats = null,
+  sourceRunIds = [],
+  evaluation = null,
+  activate = false,
+}) {
+  if (!supabase) return { ok: false, error: 'supabase not configured' };
+  if (!clientId || !weights) return { ok: false, error: 'clientId + weights required' };
+
+  const row = {
+    client_id:      clientId,
+    created_by:     createdBy,
+    label,
+    fit_method:     fitMethod,
+    weights,
+    fit_stats:      fitStats,
+    source_run_ids: sourceRunIds,
+    evaluation,
+    is_active:      false,
+  };
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .insert(row)
+    .select('id, created_at')
+    .single();
+  if (error) {
+    console.warn('[weightProfiles] save failed:', error);
+    return { ok: false, error: error.message };
+  }
+
+  if (activate) {
+    const res = await activateWeightProfile({ clientId, profileId: data.id });
+    if (!res.ok) return { ok: false, error: res.error, id: data.id };
+  }
+  return { ok: true, id: data.id, createdAt: data.created_at };
+}
+
+/**
+ * The client's active profile, or null (→ counting rules).
+ */
+export async function loadActiveWeightProfile(clientId) {
+  if (!supabase || !clientId) return null;
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select('id, created_at, label, fit_method, weights, evaluation')
+    .eq('client_id', clientId)
+    .eq('is_active', true)
+    .is('archived_at', null)
+    .maybeSingle();
+  if (error) {
+    console.warn('[weightProfiles] active load failed:', error);
+    return null;
+  }
+  return data || null;
+}
+
+export async function listWeightProfiles(clientId, { limit = 10 } = {}) {
+  if (!supabase || !clientId) return { ok: false, error: 'invalid args', profiles: [] };
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select('id, created_at, label, fit_method, weights, evaluation, source_run_ids, is_active')
+    .eq('client_id', clientId)
+    .is('archived_at', null)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (error) {
+    console.warn('[weightProfiles] list failed:', error);
+    return { ok: false, error: error.message, profiles: [] };
+  }
+  return { ok: true, profiles: data || [] };
+}
+
+/**
+ * Make `profileId` the active profile. profileId=null deactivates all
+ * (back to counting rules).
+ */
+export async function activateWeightProfile({ clientId, profileId }) {
+  if (!supabase || !clientId) return { ok: false, error: 'invalid args' };
+
+  const { error: clearErr } = await supabase
+    .from(TABLE)
+    .update({ is_active: false })
+    .eq('client_id', clientId)
+    .eq('is_active', true);
+  if (clearErr) {
+    console.warn('[weightProfiles] deactivate failed:', clearErr);
+    return { ok: false, error: clearErr.message };
+  }
+  if (!profileId) return { ok: true };
+
+  const { error } = await supabase
+    .from(TABLE)
+    .update({ is_active: true })
+    .eq('id', profileId);
+  if (error) {
+    console.warn('[weightProfiles] activate failed:', error);
+    return { ok: false, error: error.message };
+  }
+  return { ok: true };
+}
+
+export async function archiveWeightProfile(profileId) {
+  if (!supabase || !profileId) return { ok: false, error: 'invalid args' };
+  const { error } = await supabase
+    .from(TABLE)
+    .update({ archived_at: new Date().toISOString(), is_active: false })
+    .eq('id', profileId);
+  if (error) {
+    console.warn('[weightProfiles] archive failed:', error);
+    return { ok: false, error: error.message };
+  }
+  return { ok: true };
+}
+
+export default {
+  saveWeightProfile,
+  loadActiveWeightProfile,
+  listWeightProfiles,
+  activateWeightProfile,
+  archiveWeightProfile,
+};
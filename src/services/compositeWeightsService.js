@@ -0,0 +1,235 @@
+/**
+ * Composite weights service — pure fit + evaluation layer for
+ * per-format composite weight profiles (migration 109).
+ *
+ * Fit: reads the per-format per-dimension confusion matrices stored on
+ * client_calibration_runs (per_format_metrics, migration 094) and asks,
+ * per dimension and format, "when this dimension says higher tier, is
+ * the actual tier higher?" — Goodman–Kruskal gamma over the confusion
+ * matrix. That uses every mismatch, not just the exact-match diagonal:
+ * a dimension that's usually off by one in the right direction is
+ * still useful; one whose mismatches scatter both ways is noise.
+ *
+ *   raw weight   = max(0, gamma), rescaled so fitted dims average 1.0
+ *   final weight = λ·raw + (1−λ)·1.0,   λ = n / (n + PRIOR_N)
+ *
+ * The shrinkage keeps one small calibration run from zeroing out a
+ * dimension. Dimensions below MIN_N keep weight 1.0 (unfitted).
+ *
+ * Evaluate: re-composes every video in a repositioning audit with the
+ * candidate weights and re-runs calibrationService.computeCalibration
+ * against the same baseline, so the strategist sees accuracy before vs
+ * after on identical predictions. When the audit was also one of the
+ * fit's source runs the "after" number is in-sample — the UI says so.
+ *
+ * No IO. Persistence is compositeWeightProfilesService.
+ */
+
+import { composeRating, TIERS } from './conceptScorerService';
+import { computeCalibration, CALIBRATION_DIMENSION_KEYS } from './calibrationService';
+
+export const WEIGHT_FIT_METHOD = 'gamma-shrunk-v1';
+
+const FORMATS = ['shorts', 'long_form'];
+const MIN_N   = 20;
+const PRIOR_N = 60;
+
+const TIER_INDEX = Object.fromEntries(TIERS.map((t, i) => [t, i]));
+
+// ──────────────────────────────────────────────────
+// Fit
+// ──────────────────────────────────────────────────
+
+/**
+ * @param {Object} args
+ * @param {Array}  args.runs   full client_calibration_runs rows (need per_format_metrics)
+ * @returns {{
+ *   weights: { shorts: Object, long_form: Object },
+ *   fitStats: { shorts: Object, long_form: Object },
+ *   sourceRunIds: string[],
+ *   skippedRunIds: string[],
+ *   fitMethod: string,
+ * } | { error: string }}
+ */
+export function fitFormatWeights({ runs }) {
+  const usable  = (runs || []).filter(r => r?.per_format_metrics);
+  const skipped = (runs || []).filter(r => r && !r.per_format_metrics).map(r => r.id);
+  if (!usable.length) {
+    return { error: 'No format-split calibration runs to fit from. Re-run calibration with per-format metrics on.' };
+  }
+
+  const weights  = {};
+  const fitStats = {};
+  for (const format of FORMATS) {
+    // Pool each dimension's confusion matrix across runs.
+    const pooled = {};
+    for (const run of usable) {
+      const block = run.per_format_metrics[format];
+      if (!block || block.insufficientData || !block.perDimensionMetrics) continue;
+      for (const dim of CALIBRATION_DIMENSION_KEYS) {
+        const m = block.perDimensionMetrics[dim];
+        if (!m?.n) continue;
+        pooled[dim] = addConfusion(pooled[dim], m.confusion);
+      }
+    }
+
+    const stats = {};
+    for (const dim of CALIBRATION_DIMENSION_KEYS) {
+      const confusion = pooled[dim];
+      const n = confusion ? confusionTotal(confusion) : 0;
+      stats[dim] = {
+        n,
+        gamma:    n ? round(goodmanKruskalGamma(confusion), 3) : null,
+        accuracy: n ? round(diagonal(confusion) / n, 3) : null,
+        fitted:   n >= MIN_N,
+      };
+    }
+
+    // Rescale raw weights so the fitted dims average 1.0 — keeps the
+    // composite's count thresholds meaningful.
+    const fittedDims = CALIBRATION_DIMENSION_KEYS.filter(d => stats[d].fitted);
+    const raw = Object.fromEntries(fittedDims.map(d => [d, Math.max(0, stats[d].gamma || 0)]));
+    const rawMean = fittedDims.length
+      ? fittedDims.reduce((s, d) => s + raw[d], 0) / fittedDims.length
+      : 0;
+
+    const formatWeights = {};
+    for (const dim of CALIBRATION_DIMENSION_KEYS) {
+      if (!stats[dim].fitted || rawMean <= 0) { formatWeights[dim] = 1; continue; }
+      const lambda = stats[dim].n / (stats[dim].n + PRIOR_N);
+      formatWeights[dim] = round(lambda * (raw[dim] / rawMean) + (1 - lambda), 3);
+    }
+    weights[format]  = formatWeights;
+    fitStats[format] = stats;
+  }
+
+  return {
+    weights,
+    fitStats,
+    sourceRunIds:  usable.map(r => r.id),
+    skippedRunIds: skipped,
+    fitMethod:     WEIGHT_FIT_METHOD,
+  };
+}
+
+// ──────────────────────────────────────────────────
+// Evaluate
+// ──────────────────────────────────────────────────
+
+/**
+ * Accuracy before vs after re-weighting on one audit.
+ *
+ * "Before" re-composes with the counting rules rather than trusting the
+ * stored composite_tier, so both sides run the same composeRating code
+ * and the only difference is the weights.
+ *
+ * @param {Object} args
+ * @param {Object} args.audit              client_repositioning_audits row with video_scores
+ * @param {Object} args.weights            { shorts: {...}, long_form: {...} }
+ * @param {string} [args.baselineStrategy]
+ * @param {Object} [args.baselineContext]
+ * @returns {{ before: Object, after: Object } | { error: string }}
+ */
+export function evaluateWeightProfile({ audit, weights, baselineStrategy = 'percentile_rank', baselineContext = {} }) {
+  if (!audit?.video_scores?.length) return { error: 'audit has no video_scores to evaluate against' };
+
+  const before = computeCalibration({
+    audit: recomposeAudit(audit, null),
+    baselineStrategy, baselineContext, splitByFormat: true,
+  });
+  if (before.error) return { error: before.error };
+
+  const after = computeCalibration({
+    audit: recomposeAudit(audit, weights),
+    baselineStrategy, baselineContext, splitByFormat: true,
+  });
+  if (after.error) return { error: after.error };
+
+  return { before: summarize(before), after: summarize(after) };
+}
+
+/**
+ * Copy of the audit with every video's composite_tier re-derived from
+ * its stored per-dimension scores. `weights` null → counting rules.
+ */
+export function recomposeAudit(audit, weights) {
+  return {
+    ...audit,
+    video_scores: audit.video_scores.map(v => {
+      const dims = Object.values(v.scores || {}).filter(Boolean);
+      const { tier } = composeRating(dims, { weights: weights?.[v.format === 'shorts' ? 'shorts' : 'long_form'] || null });
+      return { ...v, composite_tier: tier };
+    }),
+  };
+}
+
+function summarize(result) {
+  const leaf = (metrics) => metrics
+    ? { accuracy: metrics.accuracy, adjacent_accuracy: metrics.adjacent_accuracy, n: metrics.n }
+    : null;
+  return {
+    pooled:    leaf(result.compositeMetrics),
+    shorts:    leaf(result.perFormatMetrics?.shorts?.compositeMetrics),
+    long_form: leaf(result.perFormatMetrics?.long_form?.compositeMetrics),
+  };
+}
+
+// ──────────────────────────────────────────────────
+// Confusion-matrix helpers
+// ──────────────────────────────────────────────────
+
+/**
+ * Goodman–Kruskal gamma for a predicted×actual confusion matrix over the
+ * ordered tier vocabulary. (concordant − discordant) / (concordant +
+ * discordant); ties on either axis are ignored. Range −1..1; 0 means
+ * the dimension's ordering carries no information about the outcome.
+ */
+function goodmanKruskalGamma(confusion) {
+  const cells = [];
+  for (const p of TIERS) {
+    for (const a of TIERS) {
+      const c = confusion?.[p]?.[a] || 0;
+      if (c) cells.push({ p: TIER_INDEX[p], a: TIER_INDEX[a], c });
+    }
+  }
+  let concordant = 0;
+  let discordant = 0;
+  for (let i = 0; i < cells.length; i++) {
+    for (let j = i + 1; j < cells.length; j++) {
+      const dp = cells[i].p - cells[j].p;
+      const da = cells[i].a - cells[j].a;
+      if (dp === 0 || da === 0) continue;
+      const pairs = cells[i].c * cells[j].c;
+      if (Math.sign(dp) === Math.sign(da)) concordant += pairs;
+      else discordant += pairs;
+    }
+  }
+  const total = concordant + discordant;
+  return total > 0 ? (concordant - discordant) / total : 0;
+}
+
+function addConfusion(acc, confusion) {
+  const out = acc || {};
+  for (const p of TIERS) {
+    out[p] = out[p] || {};
+    for (const a of TIERS) out[p][a] = (out[p][a] || 0) + (confusion?.[p]?.[a] || 0);
+  }
+  return out;
+}
+
+function confusionTotal(confusion) {
+  let n = 0;
+  for (const p of TIERS) for (const a of TIERS) n += confusion?.[p]?.[a] || 0;
+  return n;
+}
+
+function diagonal(confusion) {
+  return TIERS.reduce((s, t) => s + (confusion?.[t]?.[t] || 0), 0);
+}
+
+function round(n, decimals = 3) {
+  const f = 10 ** decimals;
+  return Math.round(n * f) / f;
+}
+
+export default { fitFormatWeights, evaluateWeightProfile, recomposeAudit, WEIGHT_FIT_METHOD };
@@ -0,0 +1,324 @@
+/**
+ * Concept batch service — Pre-flight batch mode.
+ *
+ * Scores a list of concept variants (usually title variants for one
+ * shoot) against one loaded cohort context, ranks them, and spends the
+ * LLM work only where it can change the decision:
+ *
+ *   1. Deterministic pass — every variant through scoreConcept with
+ *      embeddings (one batched proxy call) but no LLM ratings. The
+ *      curiosity_gap / hook_promise_delivery dimensions self-exclude.
+ *   2. LLM pass — the top-k by the deterministic rank get the
+ *      curiosity + hook ratings (and title × thumbnail coherence when
+ *      a mock is shared) and are re-scored with them.
+ *   3. Persist — a client_concept_scorecard_batches row, then every
+ *      variant as an ordinary scorecard linked by batch_id / batch_rank.
+ *   4. Strategic read — top-k only, written back per scorecard.
+ *
+ * Ranking: composite tier, then mean dimension tier, then title-pattern
+ * lift. LLM-scored variants rank ahead of the rest — a variant that
+ * wasn't rated can't be compared fairly against one that was, and it
+ * only missed the cut because it ranked lower in pass 1 anyway.
+ *
+ * Schema in /supabase/migrations/122_concept_scorecard_batches.sql.
+ */
+
+import Papa from 'papaparse';
+import { scoreConcept, TIERS } from './conceptScorerService';
+import {
+  saveScorecard,
+  updateStrategicRead,
+  createScorecardBatch,
+  setBatchWinner,
+} from './conceptScorecardsService';
+import { generateStrategicRead } from './strategicReadService';
+import { rateCuriosityGap } from './curiosityGapService';
+import { rateHookDelivery } from './hookPromiseDeliveryService';
+import { ratePackagingCoherence } from './packagingCoherenceService';
+import { getConceptEmbeddings } from './topicAuthorityService';
+
+export const MAX_BATCH_VARIANTS = 25;
+export const DEFAULT_TOP_K = 3;
+
+const TIER_INDEX = Object.fromEntries(TIERS.map((t, i) => [t, i]));
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// CSV header → input field. Anything else is ignored.
+const CSV_COLUMNS = {
+  title: 'title',
+  format: 'format',
+  length: 'length_seconds',
+  length_seconds: 'length_seconds',
+  day: 'planned_day',
+  planned_day: 'planned_day',
+  block: 'planned_hour_block',
+  hour_block: 'planned_hour_block',
+  planned_hour_block: 'planned_hour_block',
+  topic: 'topic_label',
+  topic_label: 'topic_label',
+  hook: 'hook_beat',
+  hook_beat: 'hook_beat',
+  notes: 'notes',
+};
+
+// ──────────────────────────────────────────────────
+// Parsing
+// ──────────────────────────────────────────────────
+
+/**
+ * Parse pasted variants into concept inputs.
+ *
+ * Two shapes:
+ *   - one title per line (bullets and "1." numbering are stripped);
+ *     every other field comes from `defaults`.
+ *   - CSV with a header row that includes a `title` column; optional
+ *     columns format, length (seconds, "m:ss" or "12 min"), day, block,
+ *     topic, hook, notes override `defaults` per row. Empty cells
+ *     inherit.
+ *
+ * Duplicate titles (case-insensitive) are dropped; the list is capped
+ * at MAX_BATCH_VARIANTS.
+ *
+ * @param {string} text
+ * @param {Object} [defaults]  concept input without title (see migration 086)
+ * @returns {{ concepts: Object[], skipped: Array<{ line: number, reason: string }>, mode: 'lines' | 'csv' }}
+ */
+export function parseConceptList(text, defaults = {}) {
+  const raw = String(text || '');
+  const firstLine = raw.split(/\r?\n/).find(l => l.trim()) || '';
+  const skipped = [];
+  if (!firstLine) return { concepts: [], skipped, mode: 'lines' };
+
+  const header = (Papa.parse(firstLine).data[0] || []).map(normalizeHeader);
+  const isCsv = header.length > 1 && header.includes('title');
+
+  const rows = [];
+  if (isCsv) {
+    const parsed = Papa.parse(raw.trim(), { header: true, skipEmptyLines: true, transformHeader: normalizeHeader });
+    parsed.data.forEach((record, i) => {
+      const row = {};
+      for (const [col, value] of Object.entries(record)) {
+        const field = CSV_COLUMNS[col];
+        if (field && typeof value === 'string' && value.trim()) row[field] = value.trim();
+      }
+      rows.push({ line: i + 2, row });
+    });
+  } else {
+    raw.split(/\r?\n/).forEach((l, i) => {
+      const title = l.trim().replace(/^(?:[-*•]|\d+[.)])\s+/, '').trim();
+      if (title) rows.push({ line: i + 1, row: { title } });
+    });
+  }
+
+  const seen = new Set();
+  const concepts = [];
+  for (const { line, row } of rows) {
+    if (!row.title) { skipped.push({ line, reason: 'no title' }); continue; }
+    const key = row.title.toLowerCase();
+    if (seen.has(key)) { skipped.push({ line, reason: 'duplicate title' }); continue; }
+    if (concepts.length >= MAX_BATCH_VARIANTS) { skipped.push({ line, reason: `over the ${MAX_BATCH_VARIANTS}-variant limit` }); continue; }
+    seen.add(key);
+    concepts.push(normalizeConcept(row, defaults));
+  }
+  return { concepts, skipped, mode: isCsv ? 'csv' : 'lines' };
+}
+
+function normalizeConcept(row, defaults) {
+  const out = { ...defaults, title: row.title };
+  if (row.format) out.format = /^short/i.test(row.format) ? 'shorts' : 'long_form';
+  if (row.planned_day) {
+    const day = DAY_NAMES.find(d => row.planned_day.toLowerCase().startsWith(d.toLowerCase()));
+    if (day) out.planned_day = day;
+  }
+  // Scorer aliases the ASCII hyphen form of each block.
+  if (row.planned_hour_block) out.planned_hour_block = row.planned_hour_block.replace(/\s+/g, '');
+  if (row.length_seconds) {
+    const seconds = parseLength(row.length_seconds);
+    if (seconds) out.length_seconds = seconds;
+  }
+  if (row.topic_label) out.topic_label = row.topic_label;
+  if (row.hook_beat) out.hook_beat = row.hook_beat;
+  if (row.notes) out.notes = row.notes;
+  if (out.format !== 'long_form') delete out.length_seconds;
+  return out;
+}
+
+function parseLength(raw) {
+  const s = String(raw).trim().toLowerCase();
+  const clock = s.match(/^(\d+):(\d{1,2})$/);
+  if (clock) return Number(clock[1]) * 60 + Number(clock[2]);
+  const minutes = s.match(/^(\d+(?:\.\d+)?)\s*m(?:in)?/);
+  if (minutes) return Math.round(Number(minutes[1]) * 60);
+  const n = Number(s.replace(/s(?:ec)?$/, ''));
+  return Number.isFinite(n) && n > 0 ? Math.round(n) : null;
+}
+
+function normalizeHeader(h) {
+  return h.trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+// ──────────────────────────────────────────────────
+// Ranking
+// ──────────────────────────────────────────────────
+
+/**
+ * Sort key for one scored variant. Exported for the comparison matrix,
+ * which shows the mean dimension tier as the tie-breaker.
+ */
+export function variantRankKey(scoringOutput) {
+  const dims = Object.values(scoringOutput?.scores || {}).filter(Boolean);
+  const meanTier = dims.length
+    ? dims.reduce((sum, d) => sum + (TIER_INDEX[d.tier] ?? 1), 0) / dims.length
+    : 0;
+  return {
+    composite: TIER_INDEX[scoringOutput?.composite_tier] ?? 0,
+    meanTier,
+    titleLift: scoringOutput?.scores?.title_patterns?.composite_lift_pct ?? 0,
+  };
+}
+
+function compareVariants(a, b) {
+  if (a.llmScored !== b.llmScored) return a.llmScored ? -1 : 1;
+  const ka = variantRankKey(a.scoringOutput);
+  const kb = variantRankKey(b.scoringOutput);
+  return (kb.composite - ka.composite)
+    || (kb.meanTier - ka.meanTier)
+    || (kb.titleLift - ka.titleLift)
+    || (a.index - b.index);
+}
+
+// ──────────────────────────────────────────────────
+// Orchestration
+// ──────────────────────────────────────────────────
+
+/**
+ * Score, rank and persist a batch of variants.
+ *
+ * @param {Object} args
+ * @param {Object[]} args.concepts        inputs from parseConceptList
+ * @param {Object} args.cohortContext     the panel's scoring context: { patternsResult, whiteSpaceResult,
+ *                                        surfaceContext, topicAuthorityContext, spine, weightProfile }
+ * @param {number} [args.topK=3]          variants that get the LLM pass
+ * @param {Object} [args.thumbnailImage]  shared mock thumbnail { base64, media_type } — coherence is rated per title
+ * @param {string} args.clientId
+ * @param {string} [args.pillarId]
+ * @param {string} [args.label]           batch label, e.g. the shoot name
+ * @param {Object} [args.sharedInput]     the defaults every variant inherited
+ * @param {string} [args.cohortDataAt]
+ * @param {Object} [args.cohortSummary]   passed through to generateStrategicRead
+ * @param {Function} [args.onProgress]    (message) => void
+ * @returns {Promise<{ batchId: string | null, variants: Object[], saveFailed: boolean }>}
+ *   variants in rank order: { index, input, scoringOutput, rank, llmScored, scorecardId, created_at, strategic_read }
+ */
+export async function scoreConceptBatch({
+  concepts,
+  cohortContext,
+  topK = DEFAULT_TOP_K,
+  thumbnailImage = null,
+  clientId,
+  pillarId = null,
+  label = null,
+  sharedInput = null,
+  cohortDataAt = null,
+  cohortSummary = {},
+  onProgress = () => {},
+}) {
+  if (!concepts?.length) throw new Error('scoreConceptBatch: no concepts to score');
+  if (!cohortContext) throw new Error('scoreConceptBatch: cohortContext is required');
+  const k = Math.max(1, Math.min(topK, concepts.length));
+
+  // 1. Deterministic pass
+  onProgress(`Embedding ${concepts.length} variants…`);
+  const embeddings = await getConceptEmbeddings(concepts.map(c => c.title));
+  onProgress('Scoring variants…');
+  let variants = concepts.map((input, index) => ({
+    index,
+    input,
+    conceptEmbedding: embeddings[index],
+    llmScored: false,
+    scoringOutput: scoreConcept({
+      input,
+      cohortContext: { ...cohortContext, conceptEmbedding: embeddings[index] },
+    }),
+  }));
+  variants.sort(compareVariants);
+
+  // 2. LLM pass on the top-k
+  onProgress(`Rating the top ${k} for curiosity${thumbnailImage ? ', hook and packaging' : ' and hook'}…`);
+  const rescored = await Promise.all(variants.slice(0, k).map(async (v) => {
+    const [curiosityResult, hookResult, coherenceResult] = await Promise.all([
+      rateCuriosityGap(v.input.title, { format: v.input.format, clientId }),
+      v.input.hook_beat
+        ? rateHookDelivery(v.input.title, v.input.hook_beat, { format: v.input.format, clientId })
+        : Promise.resolve(null),
+      thumbnailImage && v.input.format !== 'shorts'
+        ? ratePackagingCoherence(v.input.title, thumbnailImage, { format: v.input.format, clientId })
+        : Promise.resolve(null),
+    ]);
+    return {
+      ...v,
+      llmScored: true,
+      scoringOutput: scoreConcept({
+        input: v.input,
+        cohortContext: { ...cohortContext, conceptEmbedding: v.conceptEmbedding, curiosityResult, hookResult, coherenceResult },
+      }),
+    };
+  }));
+  variants = [...rescored, ...variants.slice(k)].sort(compareVariants)
+    .map((v, i) => ({ ...v, rank: i + 1, scorecardId: null, strategic_read: null }));
+
+  // 3. Persist
+  onProgress('Saving batch…');
+  const batch = await createScorecardBatch({
+    clientId,
+    pillarId,
+    label,
+    sharedInput,
+    variantCount: variants.length,
+    topK: k,
+  });
+  if (!batch) return { batchId: null, variants, saveFailed: true };
+
+  let saveFailed = false;
+  for (const v of variants) {
+    const saved = await saveScorecard({
+      clientId,
+      pillarId,
+      input: v.input,
+      scoringOutput: v.scoringOutput,
+      cohortWindowDays: 90,
+      cohortDataAt,
+      batchId: batch.id,
+      batchRank: v.rank,
+      batchLlmScored: v.llmScored,
+    });
+    if (saved) {
+      v.scorecardId = saved.id;
+      v.created_at = saved.created_at;
+    } else {
+      saveFailed = true;
+    }
+  }
+  if (variants[0].scorecardId) {
+    await setBatchWinner({ batchId: batch.id, scorecardId: variants[0].scorecardId });
+  }
+
+  // 4. Strategic read for the top-k
+  onProgress(`Writing strategic reads for the top ${k}…`);
+  await Promise.all(variants.filter(v => v.llmScored).map(async (v) => {
+    const { text, promptVersion } = await generateStrategicRead({
+      input: v.input,
+      scoringOutput: v.scoringOutput,
+      cohortSummary,
+      clientId,
+    });
+    if (!text) return;
+    v.strategic_read = text;
+    if (v.scorecardId) await updateStrategicRead({ id: v.scorecardId, text, promptVersion });
+  }));
+
+  return { batchId: batch.id, variants, saveFailed };
+}
+
+export default { parseConceptList, scoreConceptBatch, variantRankKey, MAX_BATCH_VARIANTS, DEFAULT_TOP_K };
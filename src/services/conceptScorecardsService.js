@@ -36,9 +36,14 @@ import { supabase } from './supabaseClient';
  * @param {string} [args.pillarId]          UUID — client_pillars.id, optional
  * @param {string} [args.createdBy]         strategist email, optional
  * @param {Object} args.input               concept input (see migration 086 header)
- * @param {Object} args.scoringOutput       output from scoreConcept(): { scores, composite_tier, composite_rationale, suggested_tweaks }
+ * @param {Object} args.scoringOutput       output from scoreConcept(): { scores, composite_tier, composite_rationale, suggested_tweaks, weight_profile_id?, composite_weights? }
  * @param {number} [args.cohortWindowDays=90]
  * @param {string} [args.cohortDataAt]      ISO timestamp of the audit data the scorecard was computed against
+ * @param {string} [args.batchId]           client_concept_scorecard_batches.id when saved from batch mode (migration 122)
+ * @param {number} [args.batchRank]         1-based rank within the batch
+ * @param {boolean} [args.batchLlmScored]   variant went through the batch's LLM pass
+ * @param {string} [args.parentScorecardId] scorecard a what-if version was saved from (migration 124)
+ * @param {Object} [args.versionChanges]    { field: { from, to } } vs the parent
  * @returns {Promise<{ id: string, created_at: string } | null>}
  */
 export async function saveScorecard({
@@ -49,6 +54,11 @@ export async function saveScorecard({
   scoringOutput,
   cohortWindowDays = 90,
   cohortDataAt = null,
+  batchId = null,
+  batchRank = null,
+  batchLlmScored = false,
+  parentScorecardId = null,
+  versionChanges = null,
 }) {
   if (!supabase || !clientId || !input || !scoringOutput) return null;
 
@@ -63,6 +73,17 @@ export async function saveScorecard({
     suggested_tweaks: scoringOutput.suggested_tweaks || [],
     cohort_window_days: cohortWindowDays,
     cohort_data_at: cohortDataAt || new Date().toISOString(),
+    // Migration 109 — which weight profile composed composite_tier
+    // (null = counting rules) + the weights applied for this format.
+    weight_profile_id: scoringOutput.weight_profile_id || null,
+    composite_weights: scoringOutput.composite_weights || null,
+    // Migration 122 — batch mode links variants to their batch row.
+    batch_id: batchId,
+    batch_rank: batchRank,
+    batch_llm_scored: !!batchLlmScored,
+    // Migration 124 — what-if versions point back at their parent.
+    parent_scorecard_id: parentScorecardId,
+    version_changes: versionChanges,
   };
 
   const { data, error } = await supabase
@@ -117,7 +138,7 @@ export async function listScorecards({
 
   let q = supabase
     .from('client_concept_scorecards')
-    .select('id, pillar_id, created_at, created_by, input, composite_tier, composite_rationale, strategic_read, executive_memo, executive_memo_generated_at, cohort_data_at, archived_at')
+    .select('id, pillar_id, created_at, created_by, input, composite_tier, composite_rationale, strategic_read, executive_memo, executive_memo_generated_at, cohort_data_at, weight_profile_id, composite_weights, batch_id, batch_rank, batch_llm_scored, parent_scorecard_id, version_changes, linked_video_id, actual_tier, archived_at')
     .eq('client_id', clientId)
     .order('created_at', { ascending: false })
     .limit(limit);
@@ -199,6 +220,8 @@ export async function rescoreScorecard({ id, scoringOutput, cohortDataAt }) {
       composite_rationale: scoringOutput.composite_rationale,
       suggested_tweaks: scoringOutput.suggested_tweaks || [],
       cohort_data_at: cohortDataAt || new Date().toISOString(),
+      weight_profile_id: scoringOutput.weight_profile_id || null,
+      composite_weights: scoringOutput.composite_weights || null,
       // Strategic read was generated against the old scores; clear it.
       // Orchestrator will regenerate via the strategic-read service.
       strategic_read: null,
@@ -218,6 +241,100 @@ export async function rescoreScorecard({ id, scoringOutput, cohortDataAt }) {
   return true;
 }
 
+// ──────────────────────────────────────────────────
+// Batches (migration 122)
+// ──────────────────────────────────────────────────
+
+/**
+ * Create the batch row that a set of variant scorecards will point at.
+ * Saved before the variants so each saveScorecard call can carry the
+ * batch id; the winner is attached afterwards via setBatchWinner.
+ *
+ * @returns {Promise<{ id: string, created_at: string } | null>}
+ */
+export async function createScorecardBatch({
+  clientId,
+  pillarId = null,
+  createdBy = null,
+  label = null,
+  sharedInput = null,
+  variantCount,
+  topK,
+}) {
+  if (!supabase || !clientId) return null;
+  const { data, error } = await supabase
+    .from('client_concept_scorecard_batches')
+    .insert({
+      client_id: clientId,
+      pillar_id: pillarId,
+      created_by: createdBy,
+      label,
+      shared_input: sharedInput,
+      variant_count: variantCount || 0,
+      top_k: topK,
+    })
+    .select('id, created_at')
+    .single();
+  if (error) {
+    console.warn('[scorecards] batch create failed:', error);
+    return null;
+  }
+  return data;
+}
+
+export async function setBatchWinner({ batchId, scorecardId }) {
+  if (!supabase || !batchId) return false;
+  const { error } = await supabase
+    .from('client_concept_scorecard_batches')
+    .update({ winner_scorecard_id: scorecardId })
+    .eq('id', batchId);
+  if (error) {
+    console.warn('[scorecards] batch winner update failed:', error);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Load one batch with its variant scorecards in rank order. Archived
+ * variants are included — the batch is a fixed comparison.
+ *
+ * @returns {Promise<{ batch: Object, scorecards: Object[] } | null>}
+ */
+export async function loadScorecardBatch(batchId) {
+  if (!supabase || !batchId) return null;
+  const [batchRes, cardsRes] = await Promise.all([
+    supabase.from('client_concept_scorecard_batches').select('*').eq('id', batchId).single(),
+    supabase
+      .from('client_concept_scorecards')
+      .select('*')
+      .eq('batch_id', batchId)
+      .order('batch_rank', { ascending: true }),
+  ]);
+  if (batchRes.error || cardsRes.error) {
+    console.warn('[scorecards] batch load failed:', batchRes.error || cardsRes.error);
+    return null;
+  }
+  return { batch: batchRes.data, scorecards: cardsRes.data || [] };
+}
+
+/** Recent batches for a client, newest first. */
+export async function listScorecardBatches({ clientId, limit = 10 } = {}) {
+  if (!supabase || !clientId) return [];
+  const { data, error } = await supabase
+    .from('client_concept_scorecard_batches')
+    .select('id, created_at, created_by, label, shared_input, variant_count, top_k, winner_scorecard_id')
+    .eq('client_id', clientId)
+    .is('archived_at', null)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (error) {
+    console.warn('[scorecards] batch list failed:', error);
+    return [];
+  }
+  return data || [];
+}
+
 // ──────────────────────────────────────────────────
 // Archive / unarchive
 // ──────────────────────────────────────────────────
@@ -257,4 +374,8 @@ export default {
   rescoreScorecard,
   archiveScorecard,
   unarchiveScorecard,
+  createScorecardBatch,
+  setBatchWinner,
+  loadScorecardBatch,
+  listScorecardBatches,
 };
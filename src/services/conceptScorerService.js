@@ -48,10 +48,13 @@
  *     but-hook-opens-with-Y, the most common production failure.
  *
  * Phase 3 (thumbnail CV):
- *   - thumbnail_visual — face count / emotion / OCR text overlay
- *   - title_thumbnail_divergence — semantic match between thumbnail
- *     and title. Identical → redundant. Wildly unrelated → misleading.
- *     Sweet spot is productive tension on the same promise.
+ *   - thumbnail — Vision-coded traits of an uploaded mock (face,
+ *     framing, text overlay, …) against the traits that outperform in
+ *     the cohort's own thumbnails (thumbnailConceptService). Shipped.
+ *   - packaging_coherence — LLM-rated 1–10 on whether title and mock
+ *     thumbnail complement each other. Identical → redundant. Wildly
+ *     unrelated → misleading. Sweet spot is productive tension on the
+ *     same promise (packagingCoherenceService). Shipped.
  *
  * Each new dimension follows the existing contract: returns either a
  * typed score object with a `tier` field or null (excluded from
@@ -60,6 +63,7 @@
  */
 
 import { TITLE_PATTERNS } from './patternsService';
+import { correctedConfidence } from './patternSignificance.js';
 import { TARGET_SURFACES } from './surfaceIntelligenceService';
 import { findTopMatches, filterCorpusByFormat } from './topicAuthorityService';
 
@@ -249,6 +253,14 @@ function tierFromLift(lift, confidence) {
  * Composite tier for the dimension: take the best statistical positive
  * lift among matched patterns. Negative patterns (lift < 0.85 statistical)
  * count as drag signals — they get surfaced as suggested tweaks.
+ *
+ * "Statistical" here is the FDR-corrected label (patternSignificance):
+ * a pattern with n≥40 whose lift didn't survive Benjamini–Hochberg is
+ * scored as directional, and can't be a drag.
+ *
+ * When the title stacks two patterns and patternsResult carries a
+ * gated interaction cell for the pair, the pair entry (interaction:
+ * true, components = the two single entries) replaces them.
  */
 export function scoreTitlePatterns(title, format, patternsResult) {
   if (!title || typeof title !== 'string') return null;
@@ -266,7 +278,7 @@ export function scoreTitlePatterns(title, format, patternsResult) {
 
     const liftPct = Math.round((cohort.viewsLift - 1) * 100);
     const n = cohort.count;
-    const confidence = cohort.confidence;
+    const confidence = correctedConfidence(cohort);
     const shortsShare = cohort.shortsShare;
 
     // Format-skew warning — fires when the cohort's representation
@@ -284,6 +296,7 @@ export function scoreTitlePatterns(title, format, patternsResult) {
       lift_pct: liftPct,
       confidence,
       n,
+      ...(cohort.qValue != null ? { q_value: cohort.qValue } : {}),
       ...(formatSkewWarning ? { format_skew_warning: formatSkewWarning } : {}),
     };
 
@@ -294,6 +307,47 @@ export function scoreTitlePatterns(title, format, patternsResult) {
     }
   }
 
+  // Stacked patterns: when the title matches both halves of a pair the
+  // cohort has a gated interaction cell for, the pair's own lift stands
+  // in for the single lifts — "number + question" doesn't perform like
+  // number's lift and question's lift taken separately. A title with
+  // three patterns gets up to three pair entries; any single covered by
+  // a pair drops out.
+  const singles = [...matched, ...drags];
+  const present = new Set(singles.map(e => e.pattern));
+  const pairCells = (patternsResult?.scope?.interactions?.pairs || [])
+    .filter(p => p.viewsLift != null && present.has(p.a) && present.has(p.b));
+  const covered = new Set();
+  for (const pair of pairCells) {
+    const components = singles.filter(e => e.pattern === pair.a || e.pattern === pair.b);
+    components.forEach(c => covered.add(c.pattern));
+    const confidence = correctedConfidence(pair);
+    const skewed = components.find(c => c.format_skew_warning);
+    const entry = {
+      pattern: pair.id,
+      patterns: [pair.a, pair.b],
+      label: pair.label,
+      lift_pct: Math.round((pair.viewsLift - 1) * 100),
+      confidence,
+      n: pair.count,
+      interaction: true,
+      ...(pair.synergy != null ? { synergy_pct: Math.round((pair.synergy - 1) * 100) } : {}),
+      ...(pair.qValue != null ? { q_value: pair.qValue } : {}),
+      ...(skewed ? { format_skew_warning: skewed.format_skew_warning } : {}),
+      components,
+    };
+    if (pair.viewsLift < LIFT_TIER_THRESHOLDS.predicted_under && confidence === 'statistical') {
+      drags.push(entry);
+    } else {
+      matched.push(entry);
+    }
+  }
+  for (const list of [matched, drags]) {
+    for (let i = list.length - 1; i >= 0; i--) {
+      if (!list[i].interaction && covered.has(list[i].pattern)) list.splice(i, 1);
+    }
+  }
+
   // Dimension tier: the best matched pattern wins. Format-skew warnings
   // demote a pattern to directional for tiering — we trust the lift
   // number less when it might be a format artifact. Ties on tier break
@@ -803,6 +857,125 @@ export function scoreTopicAuthority(conceptEmbedding, topicAuthorityContext, for
   };
 }
 
+// ──────────────────────────────────────────────────
+// 10. Thumbnail (Phase 3)
+// ──────────────────────────────────────────────────
+
+/**
+ * Score a mock thumbnail's traits against the cohort's trait lifts.
+ *
+ * `thumbnailResult` is thumbnailConceptService.rateMockThumbnail output
+ * ({ signals, traits }); `thumbnailContext` is loadThumbnailSignalContext
+ * output (per-trait lift + confidence over the cohort's thumbnails).
+ *
+ * Same shape as title patterns: traits the mock carries are matched
+ * (or drags, when statistically below 0.85×); the best matched trait
+ * sets the tier. Unlike title patterns a statistical drag caps the
+ * dimension at risky — a thumbnail is one image, so a losing trait
+ * isn't offset by a winning one elsewhere in the frame. Statistical
+ * winners the mock lacks are listed as `missing` for the tweak
+ * generator.
+ *
+ * Returns null for Shorts (thumbnails barely surface in the Shorts
+ * feed), without a mock, or when the cohort has no scoreable traits.
+ */
+export function scoreThumbnail(thumbnailResult, thumbnailContext, format = null) {
+  if (format === 'shorts') return null;
+  if (!thumbnailResult?.traits || !thumbnailContext?.traits?.length) return null;
+  const scoreable = thumbnailContext.traits.filter(t => t.lift != null && t.confidence !== 'insufficient');
+  if (!scoreable.length) return null;
+
+  const present = new Set(thumbnailResult.traits);
+  const matched = [];
+  const drags = [];
+  const missing = [];
+  for (const t of scoreable) {
+    const entry = {
+      trait: t.id,
+      label: t.label,
+      lift_pct: Math.round((t.lift - 1) * 100),
+      confidence: t.confidence,
+      n: t.n_with,
+      ...(t.single_channel ? { single_channel: true } : {}),
+    };
+    if (!present.has(t.id)) {
+      if (t.confidence === 'statistical' && t.lift >= LIFT_TIER_THRESHOLDS.likely_solid) missing.push(entry);
+    } else if (t.confidence === 'statistical' && t.lift < LIFT_TIER_THRESHOLDS.predicted_under) {
+      drags.push(entry);
+    } else {
+      matched.push(entry);
+    }
+  }
+
+  let best = null;
+  for (const m of matched) {
+    const candidateTier = tierFromLift(1 + m.lift_pct / 100, m.confidence);
+    if (!best || TIER_INDEX[candidateTier] > TIER_INDEX[best.tier]
+      || (candidateTier === best.tier && m.lift_pct > best.lift_pct)) {
+      best = { lift_pct: m.lift_pct, tier: candidateTier };
+    }
+  }
+
+  let tier;
+  if (drags.length >= 2)       tier = 'predicted_under';
+  else if (drags.length === 1) tier = 'risky';
+  else                         tier = best ? best.tier : 'risky';
+
+  return {
+    thumbnail_traits: thumbnailResult.traits,
+    matched,
+    drags,
+    missing: missing.sort((a, b) => b.lift_pct - a.lift_pct),
+    composite_lift_pct: best ? best.lift_pct : null,
+    // Kept so a what-if can re-score the same mock without re-running Vision.
+    signals: thumbnailResult.signals || null,
+    notes: thumbnailResult.notes || null,
+    prompt_version: thumbnailResult.promptVersion || null,
+    cohort_thumbnail_count: thumbnailContext.thumbnailCount,
+    tier,
+  };
+}
+
+// ──────────────────────────────────────────────────
+// 11. Packaging coherence (Phase 3)
+// ──────────────────────────────────────────────────
+
+/**
+ * Tier a title × thumbnail coherence score (1–10) into the standard
+ * tier vocabulary. The orchestrator awaits
+ * packagingCoherenceService.ratePackagingCoherence() first.
+ *
+ * Mapping (mirrors curiosity_gap):
+ *   9–10 → very_likely_outperform (one promise, split cleanly across image + title)
+ *   7–8  → likely_solid (same promise, minor overlap)
+ *   4–6  → risky (mostly redundant, or loosely related)
+ *   1–3  → predicted_under (contradictory, or a word-for-word repeat)
+ *
+ * Returns null when no coherence result available — no mock thumbnail
+ * uploaded, or a Shorts concept (the orchestrator skips the call).
+ */
+export function scorePackagingCoherence(coherenceResult) {
+  if (!coherenceResult || coherenceResult.score == null) return null;
+  const score = Math.round(Number(coherenceResult.score));
+  if (!Number.isFinite(score)) return null;
+
+  let tier;
+  if (score >= 9)      tier = 'very_likely_outperform';
+  else if (score >= 7) tier = 'likely_solid';
+  else if (score >= 4) tier = 'risky';
+  else                 tier = 'predicted_under';
+
+  return {
+    coherence_score: score,
+    rationale: coherenceResult.rationale || null,
+    // Which mock was rated — a what-if only re-rates against the same one.
+    image_hash: coherenceResult.imageHash || null,
+    prompt_version: coherenceResult.promptVersion || null,
+    cached: !!coherenceResult.cached,
+    tier,
+  };
+}
+
 // ──────────────────────────────────────────────────
 // Composite tier
 // ──────────────────────────────────────────────────
@@ -821,22 +994,42 @@ export function scoreTopicAuthority(conceptEmbedding, topicAuthorityContext, for
  *
  * Null dimensions are excluded — they don't degrade the score, they're
  * just absent (e.g., shorts skips length, no topic provided skips topic).
+ *
+ * Weighted mode (migration 109): `weights` is a { dimensionKey: weight }
+ * map for the concept's format, from a client weight profile (see
+ * compositeWeightsService). Each dimension counts `weight` instead of 1
+ * in the tallies above. Weights are rescaled so the live dimensions sum
+ * to their count — the "2+" thresholds keep their meaning, and an
+ * all-1.0 profile reproduces the counting rules exactly. Weight 0
+ * removes a dimension (Shorts slot is the motivating case). Missing
+ * keys weigh 1.0.
  */
-export function composeRating(dimensions) {
-  const live = dimensions.filter(d => d != null);
+export function composeRating(dimensions, { weights = null } = {}) {
+  const present = dimensions.filter(d => d != null);
+  const weightOf = (d) => {
+    const w = weights?.[dimensionKey(d)];
+    return w == null || !Number.isFinite(Number(w)) ? 1 : Math.max(0, Number(w));
+  };
+  const live = weights ? present.filter(d => weightOf(d) > 0) : present;
   if (!live.length) {
     return { tier: 'risky', rationale: 'No scoring dimensions available — re-check cohort data.' };
   }
 
+  const rawTotal = live.reduce((sum, d) => sum + (weights ? weightOf(d) : 1), 0);
+  const scale = live.length / rawTotal;
+
   const counts = { predicted_under: 0, risky: 0, likely_solid: 0, very_likely_outperform: 0 };
-  for (const d of live) counts[d.tier] = (counts[d.tier] || 0) + 1;
+  for (const d of live) counts[d.tier] = (counts[d.tier] || 0) + (weights ? weightOf(d) * scale : 1);
 
+  // Small epsilon so rescaled weights that sum to exactly 2.0 in
+  // real arithmetic aren't lost to float drift.
+  const EPS = 1e-9;
   let tier;
-  if (counts.predicted_under >= 2) {
+  if (counts.predicted_under >= 2 - EPS) {
     tier = 'predicted_under';
-  } else if (counts.predicted_under >= 1) {
+  } else if (counts.predicted_under >= 1 - EPS) {
     tier = 'risky';
-  } else if (counts.very_likely_outperform >= 2) {
+  } else if (counts.very_likely_outperform >= 2 - EPS) {
     tier = 'very_likely_outperform';
   } else if (counts.risky > live.length / 2) {
     tier = 'risky';
@@ -845,24 +1038,61 @@ export function composeRating(dimensions) {
   }
 
   // Plain-English rationale — names the strongest + weakest dimension.
-  const rationale = buildRationale(live, tier);
+  let rationale = buildRationale(live, tier);
+  if (weights) {
+    const dropped = present.filter(d => weightOf(d) === 0).map(dimensionName);
+    rationale += ` Weighted by the client's per-format profile${dropped.length ? `; ignoring ${dropped.join(', ')}` : ''}.`;
+  }
   return { tier, rationale };
 }
 
 // Identify which dimension a score object represents from its shape.
 // Each scorer's output carries a distinct discriminator field, so we
 // pattern-match instead of threading a name through every return.
-function dimensionName(d) {
-  if (!d) return 'dimension';
-  if (d.target_surface !== undefined) return 'surface fit';
-  if (d.match_pct !== undefined && d.total_unbranded_queries !== undefined) return 'search keyword match';
-  if (d.curiosity_score !== undefined) return 'curiosity gap';
-  if (d.hook_score !== undefined) return 'hook promise delivery';
-  if (d.topic_max_similarity !== undefined) return 'topic authority';
+// Returns the key used in scoreConcept's `scores` object.
+export function dimensionKey(d) {
+  if (!d) return null;
+  if (d.thumbnail_traits !== undefined) return 'thumbnail';
+  if (d.target_surface !== undefined) return 'surface_fit';
+  if (d.match_pct !== undefined && d.total_unbranded_queries !== undefined) return 'search_keyword_match';
+  if (d.curiosity_score !== undefined) return 'curiosity_gap';
+  if (d.hook_score !== undefined) return 'hook_promise_delivery';
+  if (d.coherence_score !== undefined) return 'packaging_coherence';
+  if (d.topic_max_similarity !== undefined) return 'topic_authority';
   if (d.saturation !== undefined || d.matched_topic_name !== undefined) return 'topic';
   if (d.bucket !== undefined) return 'length';
-  if (d.day !== undefined) return 'upload slot';
-  return 'title pattern stack';
+  if (d.day !== undefined) return 'slot';
+  return 'title_patterns';
+}
+
+const DIMENSION_DISPLAY_NAMES = {
+  surface_fit:           'surface fit',
+  search_keyword_match:  'search keyword match',
+  curiosity_gap:         'curiosity gap',
+  hook_promise_delivery: 'hook promise delivery',
+  topic_authority:       'topic authority',
+  thumbnail:             'thumbnail',
+  packaging_coherence:   'title × thumbnail coherence',
+  topic:                 'topic',
+  length:                'length',
+  slot:                  'upload slot',
+  title_patterns:        'title pattern stack',
+};
+
+function dimensionName(d) {
+  if (!d) return 'dimension';
+  return DIMENSION_DISPLAY_NAMES[dimensionKey(d)];
+}
+
+/**
+ * Resolve a weight profile row (client_composite_weight_profiles) to
+ * the flat { dimensionKey: weight } map for one format. Null profile or
+ * no block for the format → null (counting rules).
+ */
+export function resolveFormatWeights(weightProfile, format) {
+  const block = weightProfile?.weights?.[format === 'shorts' ? 'shorts' : 'long_form'];
+  if (!block || !Object.keys(block).length) return null;
+  return block;
 }
 
 function buildRationale(dimensions, tier) {
@@ -913,7 +1143,9 @@ export function generateTweaks({ input, scores, cohortContext, maxTweaks = 3 })
     for (const drag of scores.title_patterns.drags) {
       tweaks.push({
         dimension: 'title_patterns',
-        suggestion: `Drop "${drag.label.toLowerCase()}" — cohort lift is ${drag.lift_pct}% at ${drag.confidence} confidence (n=${drag.n})`,
+        suggestion: drag.interaction
+          ? `Break up "${drag.label.toLowerCase()}" — together they lift ${drag.lift_pct}% at ${drag.confidence} confidence (n=${drag.n}); keep one`
+          : `Drop "${drag.label.toLowerCase()}" — cohort lift is ${drag.lift_pct}% at ${drag.confidence} confidence (n=${drag.n})`,
         projected_lift_pct: Math.abs(drag.lift_pct),
         priority: Math.abs(drag.lift_pct),
       });
@@ -930,14 +1162,14 @@ export function generateTweaks({ input, scores, cohortContext, maxTweaks = 3 })
   // (which is exactly what happened pre-fix).
   if (scores.title_patterns) {
     const matchedIds = new Set([
-      ...(scores.title_patterns.matched || []).map(m => m.pattern),
-      ...(scores.title_patterns.drags || []).map(d => d.pattern),
+      ...(scores.title_patterns.matched || []).flatMap(m => m.patterns || [m.pattern]),
+      ...(scores.title_patterns.drags || []).flatMap(d => d.patterns || [d.pattern]),
     ]);
     const cohortPatterns = cohortContext?.patternsResult?.scope?.titlePatterns || [];
     const candidates = cohortPatterns
       .filter(p => !matchedIds.has(p.id))
       .filter(p => p.viewsLift != null && p.viewsLift >= LIFT_TIER_THRESHOLDS.likely_solid)
-      .filter(p => p.confidence === 'statistical')
+      .filter(p => correctedConfidence(p) === 'statistical')
       // Format-skew filter — exclude patterns whose cohort representation
       // is heavily one-sided AGAINST the planned format. A pattern that
       // exists 99% in Shorts has no evidence it works on long-form (and
@@ -987,7 +1219,7 @@ export function generateTweaks({ input, scores, cohortContext, maxTweaks = 3 })
         : '';
       tweaks.push({
         dimension: 'title_patterns',
-        suggestion: `Add a "${top.label.toLowerCase()}" element — cohort lift +${liftPct}% statistical (n=${top.count})${registerWarning}`,
+        suggestion: `Add a "${top.label.toLowerCase()}" element — cohort lift +${liftPct}% statistical (n=${top.count}${top.qValue != null ? `, q=${top.qValue.toFixed(3)}` : ''})${registerWarning}`,
         projected_lift_pct: liftPct,
         // Downrank to 30% of nominal when register-sensitive on a
         // trust-sensitive channel — drops it well below register-
@@ -1073,6 +1305,29 @@ export function generateTweaks({ input, scores, cohortContext, maxTweaks = 3 })
     }
   }
 
+  // Thumbnail — a losing trait first, then the cohort's strongest
+  // trait the mock doesn't have (one, like the title "add" tweak).
+  if (scores.thumbnail) {
+    for (const drag of scores.thumbnail.drags || []) {
+      tweaks.push({
+        dimension: 'thumbnail',
+        suggestion: `Rework the thumbnail without the ${drag.label} — cohort thumbnails with it run ${drag.lift_pct}% vs those without (n=${drag.n})`,
+        projected_lift_pct: Math.abs(drag.lift_pct),
+        priority: Math.abs(drag.lift_pct),
+      });
+    }
+    const add = scores.thumbnail.missing?.[0];
+    if (add) {
+      tweaks.push({
+        dimension: 'thumbnail',
+        suggestion: `Add ${add.label} to the thumbnail — cohort lift +${add.lift_pct}% statistical (n=${add.n})`,
+        projected_lift_pct: add.lift_pct,
+        // A reshoot / redesign, like a length change — rank slightly lower per-%.
+        priority: add.lift_pct * 0.7,
+      });
+    }
+  }
+
   // Rank + cap
   return tweaks
     .sort((a, b) => (b.priority || 0) - (a.priority || 0))
@@ -1101,7 +1356,14 @@ export function generateTweaks({ input, scores, cohortContext, maxTweaks = 3 })
  * @param {Object} [args.cohortContext.surfaceContext] from surfaceIntelligenceService.loadSurfaceContext.
  *   Phase 2.5 — drives surface_fit + search_keyword_match dimensions.
  *   Optional; when absent, those dimensions return null and are excluded.
- * @returns {Object}  { scores, composite_tier, composite_rationale, suggested_tweaks }
+ * @param {Object} [args.cohortContext.weightProfile]  active client_composite_weight_profiles row.
+ *   Migration 109 — per-format composite weights. Optional; absent = counting rules.
+ * @param {Object} [args.cohortContext.thumbnailResult]  thumbnailConceptService.rateMockThumbnail output.
+ * @param {Object} [args.cohortContext.thumbnailContext] thumbnailConceptService.loadThumbnailSignalContext output.
+ *   Phase 3 — both needed for the thumbnail dimension; either absent = excluded.
+ * @param {Object} [args.cohortContext.coherenceResult]  packagingCoherenceService.ratePackagingCoherence output.
+ *   Phase 3 — title × mock thumbnail rating; absent = excluded.
+ * @returns {Object}  { scores, composite_tier, composite_rationale, suggested_tweaks, weight_profile_id, composite_weights }
  */
 export function scoreConcept({ input, cohortContext }) {
   if (!input) throw new Error('scoreConcept: input is required');
@@ -1153,6 +1415,15 @@ export function scoreConcept({ input, cohortContext }) {
     input.format,
   );
 
+  // Phase 3 — mock thumbnail traits vs cohort trait lifts. Orchestrator
+  // passes thumbnailConceptService output; null → self-excludes.
+  const thumbnail = scoreThumbnail(
+    cohortContext.thumbnailResult,
+    cohortContext.thumbnailContext,
+    input.format,
+  );
+  const packagingCoherence = scorePackagingCoherence(cohortContext.coherenceResult);
+
   const scores = {
     title_patterns: titlePatterns,
     slot,
@@ -1163,12 +1434,15 @@ export function scoreConcept({ input, cohortContext }) {
     curiosity_gap: curiosityGap,
     hook_promise_delivery: hookPromiseDelivery,
     topic_authority: topicAuthority,
+    thumbnail,
+    packaging_coherence: packagingCoherence,
   };
 
+  const compositeWeights = resolveFormatWeights(cohortContext.weightProfile, input.format);
   const { tier: compositeTier, rationale } = composeRating([
     titlePatterns, slot, length, topic, surfaceFit, searchKeywordMatch,
-    curiosityGap, hookPromiseDelivery, topicAuthority,
-  ]);
+    curiosityGap, hookPromiseDelivery, topicAuthority, thumbnail, packagingCoherence,
+  ], { weights: compositeWeights });
   // Pass input so tweak generator can apply format-aware filters
   // (e.g. don't suggest "add emoji" to a long-form concept when the
   // cohort's emoji pattern is 99% Shorts).
@@ -1179,6 +1453,124 @@ export function scoreConcept({ input, cohortContext }) {
     composite_tier: compositeTier,
     composite_rationale: rationale,
     suggested_tweaks: tweaks,
+    weight_profile_id: compositeWeights ? (cohortContext.weightProfile?.id || null) : null,
+    composite_weights: compositeWeights,
+  };
+}
+
+// ──────────────────────────────────────────────────
+// What-if re-scoring
+// ──────────────────────────────────────────────────
+
+// Input fields each async dimension was computed from. When a what-if
+// changes any of them, the saved result no longer describes the
+// concept — it's stale until the orchestrator re-runs that piece
+// (curiosityGapService / hookPromiseDeliveryService / the title
+// embedding for topic authority / packagingCoherenceService).
+export const ASYNC_DIMENSION_INPUTS = {
+  curiosity_gap:         ['title', 'format'],
+  hook_promise_delivery: ['title', 'hook_beat', 'format'],
+  topic_authority:       ['title', 'format'],
+  packaging_coherence:   ['title', 'format'],
+};
+
+// Input fields the what-if panel can change. Anything else on the
+// input (notes, pillar) is carried through untouched.
+export const WHAT_IF_FIELDS = [
+  'title', 'planned_day', 'planned_hour_block', 'length_seconds', 'topic_label', 'hook_beat',
+];
+
+/**
+ * Fields that differ between two concept inputs, as { field: { from, to } }.
+ * Empty / missing values compare equal so clearing an unset field
+ * isn't a change.
+ */
+export function diffConceptInputs(before, after) {
+  const norm = (v) => (v === '' || v === undefined ? null : v);
+  const changes = {};
+  const keys = new Set([...WHAT_IF_FIELDS, 'format', 'target_surface']);
+  for (const k of keys) {
+    const from = norm(before?.[k]);
+    const to = norm(after?.[k]);
+    if (String(from ?? '') !== String(to ?? '')) changes[k] = { from, to };
+  }
+  return changes;
+}
+
+/**
+ * Re-score a saved scorecard with an edited input, synchronously.
+ *
+ * Deterministic dimensions (title patterns, slot, length, topic,
+ * surface fit, search match) are recomputed from the cohort context.
+ * Async dimensions are taken from `rerun` when the orchestrator has
+ * fresh results; otherwise the base scorecard's value is carried and,
+ * if an input it depends on changed, listed in `stale`. Stale values
+ * still count toward the composite so a slot-only move shows its own
+ * effect — the panel flags the composite as provisional.
+ *
+ * @param {Object} args
+ * @param {Object} args.baseInput      input of the saved scorecard
+ * @param {Object} args.baseScores     scores of the saved scorecard
+ * @param {Object} args.input          edited input
+ * @param {Object} args.cohortContext  same shape scoreConcept takes, minus the async results
+ * @param {Object} [args.rerun]        { curiosityResult?, hookResult?, conceptEmbedding?, coherenceResult? } — fresh async results
+ * @returns {Object}  scoreConcept's output plus { stale: string[], changes }
+ */
+export function scoreWhatIf({ baseInput, baseScores, input, cohortContext, rerun = {} }) {
+  if (!input) throw new Error('scoreWhatIf: input is required');
+  if (!cohortContext) throw new Error('scoreWhatIf: cohortContext is required');
+
+  // The thumbnail dimension keeps its Vision read in the score, so the
+  // same mock re-scores deterministically (format may have changed).
+  const baseThumb = baseScores?.thumbnail;
+  const fresh = scoreConcept({
+    input,
+    cohortContext: {
+      ...cohortContext,
+      curiosityResult: rerun.curiosityResult ?? null,
+      hookResult: rerun.hookResult ?? null,
+      conceptEmbedding: rerun.conceptEmbedding ?? null,
+      coherenceResult: rerun.coherenceResult ?? null,
+      thumbnailResult: baseThumb
+        ? { traits: baseThumb.thumbnail_traits, signals: baseThumb.signals, notes: baseThumb.notes, promptVersion: baseThumb.prompt_version }
+        : null,
+    },
+  });
+
+  const changes = diffConceptInputs(baseInput, input);
+  const rerunFor = {
+    curiosity_gap:         'curiosityResult',
+    hook_promise_delivery: 'hookResult',
+    topic_authority:       'conceptEmbedding',
+    packaging_coherence:   'coherenceResult',
+  };
+  const scores = { ...fresh.scores };
+  const stale = [];
+  for (const [key, fields] of Object.entries(ASYNC_DIMENSION_INPUTS)) {
+    if (rerun[rerunFor[key]] !== undefined) continue;
+    // Hook beat cleared → the dimension no longer applies.
+    if (key === 'hook_promise_delivery' && !input.hook_beat) {
+      scores[key] = null;
+      continue;
+    }
+    scores[key] = baseScores?.[key] || null;
+    // A newly added hook beat has no rating yet — stale with no value.
+    const applies = scores[key] || (key === 'hook_promise_delivery' && input.hook_beat);
+    if (applies && fields.some(f => changes[f])) stale.push(key);
+  }
+
+  const compositeWeights = resolveFormatWeights(cohortContext.weightProfile, input.format);
+  const { tier, rationale } = composeRating(Object.values(scores), { weights: compositeWeights });
+
+  return {
+    scores,
+    composite_tier: tier,
+    composite_rationale: rationale,
+    suggested_tweaks: generateTweaks({ input, scores, cohortContext }),
+    weight_profile_id: compositeWeights ? (cohortContext.weightProfile?.id || null) : null,
+    composite_weights: compositeWeights,
+    stale,
+    changes,
   };
 }
 
@@ -1187,6 +1579,7 @@ export default {
   scoreTitlePatterns, scoreSlot, scoreLength, scoreTopic,
   scoreSurfaceFit, scoreSearchKeywordMatch,
   scoreCuriosityGap, scoreHookPromiseDelivery,
-  scoreTopicAuthority,
-  composeRating, generateTweaks, TIERS,
+  scoreTopicAuthority, scoreThumbnail, scorePackagingCoherence,
+  composeRating, resolveFormatWeights, dimensionKey, generateTweaks, TIERS,
+  scoreWhatIf, diffConceptInputs, ASYNC_DIMENSION_INPUTS, WHAT_IF_FIELDS,
 };
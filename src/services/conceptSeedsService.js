@@ -73,6 +73,7 @@ export async function generateConceptSeeds({ clientId, clientName = null, target
       SYSTEM_PROMPT,
       'concept_seeds_generation',
       3500,
+      { clientId, promptVersion: SEEDS_PROMPT_VERSION },
     );
     const raw = (result?.text || '').trim();
     if (!raw) return { ok: false, error: 'LLM returned empty response' };
@@ -137,6 +138,37 @@ export async function listConceptSeeds(clientId, { status = null, limit = 50 } =
   return data || [];
 }
 
+/**
+ * Create one seed by hand — used by the competitor-comment merge
+ * action (source='competitor_comment', migration 111). Generated seeds
+ * go through generateConceptSeeds instead.
+ */
+export async function createConceptSeed(clientId, patch = {}) {
+  if (!supabase || !clientId) return { ok: false, error: 'invalid args' };
+  if (!patch.title?.trim()) return { ok: false, error: 'title is required' };
+  const { data, error } = await supabase
+    .from('client_concept_seeds')
+    .insert({
+      client_id:                clientId,
+      source:                   patch.source || 'manual',
+      title:                    patch.title.trim(),
+      hook:                     patch.hook ?? null,
+      outline:                  patch.outline ?? null,
+      format_hint:              patch.format_hint || 'either',
+      addresses_persona_claim:  patch.addresses_persona_claim ?? null,
+      addresses_evidence:       patch.addresses_evidence ?? null,
+      source_comment_signal_id: patch.source_comment_signal_id ?? null,
+      status:                   'draft',
+    })
+    .select('*')
+    .single();
+  if (error) {
+    console.warn('[conceptSeeds] create failed:', error);
+    return { ok: false, error: error.message };
+  }
+  return { ok: true, seed: data };
+}
+
 /**
  * Update a single seed (e.g., status, edit title/outline).
  */
@@ -369,6 +401,7 @@ function parseConceptSeedsResponse(raw) {
 export default {
   generateConceptSeeds,
   listConceptSeeds,
+  createConceptSeed,
   updateConceptSeed,
   archiveConceptSeed,
   SEEDS_PROMPT_VERSION,
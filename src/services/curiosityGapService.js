@@ -36,10 +36,11 @@ const CACHE_TABLE = 'competitor_intelligence_cache';
  * @param {string} title       the candidate video title
  * @param {Object} [opts]
  * @param {string} [opts.format='long_form']  'long_form' | 'shorts' — used for prompt context only
+ * @param {string} [opts.clientId]  for usage-ledger attribution only
  * @returns {Promise<{ score: number, rationale: string, promptVersion: string, cached: boolean } | null>}
  *   null when title is empty or the API call fails (caller treats as "dimension absent").
  */
-export async function rateCuriosityGap(title, { format = 'long_form' } = {}) {
+export async function rateCuriosityGap(title, { format = 'long_form', clientId = null } = {}) {
   if (!title || typeof title !== 'string' || !title.trim()) return null;
   const trimmed = title.trim();
 
@@ -57,6 +58,7 @@ export async function rateCuriosityGap(title, { format = 'long_form' } = {}) {
       SYSTEM_PROMPT,
       'curiosity_gap',
       300,
+      { clientId, promptVersion: CURIOSITY_PROMPT_VERSION },
     );
     const parsed = parseClaudeJSON(result.text, { score: null, rationale: '' });
     const score = clamp(Math.round(Number(parsed.score)), 1, 10);
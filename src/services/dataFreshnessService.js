@@ -19,6 +19,10 @@
  *                       reads channels.last_surface_pull_at + _error
  *   - oauth_refresh   — OAuth token refresh heartbeat (NOT data ingestion)
  *                       reads youtube_oauth_connections.last_refreshed_at
+ *   - comment_sweep   — competitor-comment sweeps of the peer cohort
+ *                       (migration 112). Last complete sweep per peer
+ *                       channel from client_comment_sweeps, plus
+ *                       channels.last_comment_resweep_error.
  *
  * Each per-source state surfaces:
  *   - at:    last successful pull (null when never pulled)
@@ -32,11 +36,23 @@
  *   - very_stale: > 72h ago               → red
  *   - missing:    at: null, no error      → gray (never pulled)
  *
+ * Comment sweeps run on a cadence of days, not hours, so they use
+ * their own window: fresh inside the client's re-sweep cadence (or
+ * SWEEP_DEFAULT_WINDOW_DAYS when none is set), stale up to twice that,
+ * very_stale beyond. They only count toward the worst-case tier when
+ * the client opted into scheduled re-sweeps — an on-demand tool nobody
+ * asked to keep fresh shouldn't turn the badge red.
+ *
  * The badge renders the overall worst-case tier as the dot icon and
  * each source as a chip with relative time + inline error if present.
  */
 
 import { supabase } from './supabaseClient';
+import {
+  SWEEP_DEFAULT_WINDOW_DAYS, buildSweepSource, latestSweepByChannel, worstTier as worst,
+} from './sweepFreshness.js';
+
+export { SWEEP_DEFAULT_WINDOW_DAYS, buildSweepSource, latestSweepByChannel };
 
 export const FRESHNESS_THRESHOLD_HOURS = {
   fresh:      24,   // < 24h: fresh
@@ -77,13 +93,18 @@ export async function loadChannelFreshness(clientId) {
       last_analytics_pull_at, last_analytics_pull_error,
       last_reporting_pull_at, last_reporting_pull_error,
       last_surface_pull_at, last_surface_pull_error,
-      is_prelaunch, prelaunch_intended_launch_at
+      is_prelaunch, prelaunch_intended_launch_at,
+      comment_resweep_cadence_days, last_comment_resweep_error
     `)
     .eq('id', clientId)
     .maybeSingle();
 
   if (chErr || !channel) return emptyFreshness();
 
+  // Peer comment sweeps apply before launch too — the competitor
+  // landscape is most of what a pre-launch client has to go on.
+  const comment_sweep = await loadCommentSweepSource(clientId, channel);
+
   // Pre-launch short-circuit (2026-06-09).
   if (channel.is_prelaunch) {
     const na = (label) => ({ at: null, tier: 'not_applicable', label });
@@ -95,6 +116,7 @@ export async function loadChannelFreshness(clientId) {
       reporting_pull:               na('Reporting'),
       surface_pull:                 na('Surface'),
       oauth_refresh:                { at: null, tier: 'not_applicable', hasConnection: false },
+      comment_sweep,
       worstTier:                    'not_applicable',
       anyError:                     false,
     };
@@ -172,6 +194,7 @@ export async function loadChannelFreshness(clientId) {
   // Errors are treated as 'very_stale' severity. 'missing' is excluded
   // unless every source is missing (no data yet).
   const sources = [data_api_pull, analytics_pull, reporting_pull, surface_pull, oauth_refresh];
+  if (comment_sweep.scheduled) sources.push(comment_sweep);
   const visibleTiers = sources
     .map(s => s.tier === 'error' ? 'very_stale' : s.tier)
     .filter(t => t !== 'missing' && t !== 'not_applicable');
@@ -184,11 +207,53 @@ export async function loadChannelFreshness(clientId) {
     reporting_pull,
     surface_pull,
     oauth_refresh,
+    comment_sweep,
     worstTier,
     anyError,
   };
 }
 
+// ──────────────────────────────────────────────────
+// Comment sweeps (migration 112)
+// ──────────────────────────────────────────────────
+
+async function loadCommentSweepSource(clientId, channel) {
+  const { data: links } = await supabase
+    .from('client_channels')
+    .select('channel_id')
+    .eq('client_id', clientId)
+    .eq('cohort_role', 'peer');
+  const linkedIds = (links || []).map(l => l.channel_id);
+
+  let peers = [];
+  let sweeps = [];
+  if (linkedIds.length) {
+    const [{ data: peerRows }, { data: sweepRows }] = await Promise.all([
+      supabase
+        .from('channels')
+        .select('id, name')
+        .in('id', linkedIds)
+        .eq('is_competitor', true),
+      supabase
+        .from('client_comment_sweeps')
+        .select('competitor_channel_id, completed_at')
+        .eq('client_id', clientId)
+        .eq('status', 'complete')
+        .in('competitor_channel_id', linkedIds)
+        .order('completed_at', { ascending: false }),
+    ]);
+    peers  = peerRows || [];
+    sweeps = sweepRows || [];
+  }
+
+  return buildSweepSource({
+    peers,
+    lastSweptByChannel: latestSweepByChannel(sweeps),
+    cadenceDays:        channel.comment_resweep_cadence_days ?? null,
+    error:              channel.last_comment_resweep_error || null,
+  });
+}
+
 /**
  * Build a per-source state object. Errors win over staleness:
  *   - error present     → tier: 'error'
@@ -229,6 +294,7 @@ function emptyFreshness() {
     reporting_pull: empty('Reporting'),
     surface_pull:   empty('Surface'),
     oauth_refresh:  { at: null, tier: 'missing', errorMessage: null, hasConnection: false, label: 'OAuth' },
+    comment_sweep:  buildSweepSource({ peers: [], lastSweptByChannel: {} }),
     worstTier:      'missing',
     anyError:       false,
   };
@@ -242,14 +308,6 @@ function computeTier(timestamp) {
   return 'very_stale';
 }
 
-function worst(tiers) {
-  // very_stale > stale > fresh > missing
-  if (tiers.includes('very_stale')) return 'very_stale';
-  if (tiers.includes('stale')) return 'stale';
-  if (tiers.includes('fresh')) return 'fresh';
-  return 'missing';
-}
-
 /**
  * Render a compact relative time ("2h ago", "3d ago", "never"). Used
  * by the badge component; exported so the same labels show up
@@ -269,4 +327,11 @@ export function formatRelativeAge(timestamp) {
   return `${months}mo ago`;
 }
 
-export default { loadChannelFreshness, formatRelativeAge, FRESHNESS_THRESHOLD_HOURS };
+export default {
+  loadChannelFreshness,
+  buildSweepSource,
+  latestSweepByChannel,
+  formatRelativeAge,
+  FRESHNESS_THRESHOLD_HOURS,
+  SWEEP_DEFAULT_WINDOW_DAYS,
+};
@@ -59,6 +59,7 @@ export const EXECUTIVE_MEMO_PROMPT_VERSION = 'v1-executive-memo';
  * @param {Array}  [args.alternativeTitles] LLM-suggested reframes (optional, surfaced in the memo for transparency)
  * @param {Object} [args.cohortSummary]   { clientName, channelCount, videoCount, topGap, topBreakout }
  * @param {Object} [args.spine]           brand voice + editorial POV (for register-aware framing)
+ * @param {string} [args.clientId]        for usage-ledger attribution only
  * @returns {Promise<{ text: string | null, promptVersion: string, error?: string }>}
  */
 export async function generateExecutiveMemo({
@@ -68,6 +69,7 @@ export async function generateExecutiveMemo({
   alternativeTitles = [],
   cohortSummary = {},
   spine = null,
+  clientId = null,
 }) {
   if (!input || !scoringOutput) {
     return { text: null, promptVersion: EXECUTIVE_MEMO_PROMPT_VERSION, error: 'missing input or scoring output' };
@@ -81,6 +83,7 @@ export async function generateExecutiveMemo({
       SYSTEM_PROMPT,
       'concept_executive_memo',
       2000,                // one-page memo fits comfortably under 2000 tokens
+      { clientId, promptVersion: EXECUTIVE_MEMO_PROMPT_VERSION },
     );
     const text = (result?.text || '').trim();
     if (!text) {
@@ -243,6 +246,15 @@ function buildUserPrompt({ input, scoringOutput, strategicRead, alternativeTitle
     const ta = scores.topic_authority;
     lines.push(`- Topic authority: tier=${ta.tier}, similarity to historical hits=${ta.historical_similarity == null ? 'n/a' : ta.historical_similarity.toFixed(3)}`);
   }
+  if (scores?.thumbnail) {
+    const th = scores.thumbnail;
+    const traits = th.thumbnail_traits?.length ? th.thumbnail_traits.join(', ') : 'none scored';
+    lines.push(`- Thumbnail (mock, Vision-coded): tier=${th.tier}, traits=${traits}, best trait lift=${th.composite_lift_pct == null ? 'n/a' : th.composite_lift_pct + '%'}`);
+  }
+  if (scores?.packaging_coherence) {
+    const pc = scores.packaging_coherence;
+    lines.push(`- Title × thumbnail coherence: ${pc.coherence_score}/10, tier=${pc.tier}`);
+  }
 
   if (scoringOutput.suggested_tweaks?.length) {
     lines.push('');
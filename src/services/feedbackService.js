@@ -16,7 +16,7 @@ function tokenize(text) {
   );
 }
 
-function jaccardSimilarity(a, b) {
+export function jaccardSimilarity(a, b) {
   const setA = tokenize(a);
   const setB = tokenize(b);
   if (setA.size === 0 && setB.size === 0) return 0;
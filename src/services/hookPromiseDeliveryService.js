@@ -39,9 +39,10 @@ const CACHE_TABLE = 'competitor_intelligence_cache';
  * @param {string} hookBeat    1–2 sentence description of the first 15s
  * @param {Object} [opts]
  * @param {string} [opts.format='long_form']
+ * @param {string} [opts.clientId]  for usage-ledger attribution only
  * @returns {Promise<{ score: number, rationale: string, promptVersion: string, cached: boolean } | null>}
  */
-export async function rateHookDelivery(title, hookBeat, { format = 'long_form' } = {}) {
+export async function rateHookDelivery(title, hookBeat, { format = 'long_form', clientId = null } = {}) {
   if (!title || typeof title !== 'string' || !title.trim()) return null;
   if (!hookBeat || typeof hookBeat !== 'string' || !hookBeat.trim()) return null;
   const trimmedTitle = title.trim();
@@ -59,6 +60,7 @@ export async function rateHookDelivery(title, hookBeat, { format = 'long_form' }
       SYSTEM_PROMPT,
       'hook_promise_delivery',
       350,
+      { clientId, promptVersion: HOOK_PROMPT_VERSION },
     );
     const parsed = parseClaudeJSON(result.text, { score: null, rationale: '' });
     const score = clamp(Math.round(Number(parsed.score)), 1, 10);
@@ -105,6 +105,12 @@ export async function generateWeeklyBrief(clientId, rows, {
     opportunity: p.opportunity,
     effort: p.effort,
     confidence: p.confidence,
+    ...(p.significance ? {
+      significance: p.significance,
+      pValue: p.pValue,
+      qValue: p.qValue,
+      liftCI: p.liftCI,
+    } : {}),
   })) || [];
 
   const competitorHighlights = outliers.slice(0, 5).map(o => ({
@@ -0,0 +1,109 @@
+/**
+ * inviteLifecycle — pure lifecycle state for guest OAuth invites
+ * (096/113) and install intake tokens (105), plus the one-line label
+ * for a reminder row.
+ *
+ * Split out of inviteReminderService (which re-exports all of it) so
+ * the server can share it: /api/cron/invite-reminders reads the
+ * thresholds and /api/cron/alert-delivery runs the This Week checks
+ * (thisWeekRules) that depend on these states.
+ *
+ * Pure, no supabase import — every import stays Node-loadable.
+ */
+
+export const EXPIRING_SOON_HOURS   = 48;
+export const EXPIRED_LOOKBACK_DAYS = 7;
+
+const TEMPLATE_LABELS = {
+  oauth_invite_expiring_soon:  'Expiry reminder',
+  oauth_invite_expired_unused: 'Expired notice',
+  intake_token_expiring_soon:  'Expiry reminder',
+  intake_token_expired_unused: 'Expired notice',
+};
+
+// ──────────────────────────────────────────────────
+// Lifecycle
+// ──────────────────────────────────────────────────
+
+/**
+ * @param {Object} invite — youtube_oauth_invites row; `channels` (the
+ *   113 checklist) is used when present to tell a partially connected
+ *   multi-channel invite apart from an unused one.
+ * @param {number} [now]
+ * @returns {'pending'|'expiring_soon'|'redeemed'|'expired_unused'|'expired'|'revoked'}
+ */
+export function oauthInviteLifecycle(invite, now = Date.now()) {
+  if (!invite) return 'expired';
+  if (invite.status === 'revoked')  return 'revoked';
+  if (invite.status === 'redeemed') return 'redeemed';
+  const anyConnected = (invite.channels || []).some(c => c.status === 'connected');
+  const expiresAt = new Date(invite.expires_at).getTime();
+  if (invite.status === 'expired' || expiresAt <= now) {
+    return invite.redeemed_at || anyConnected ? 'expired' : 'expired_unused';
+  }
+  if (expiresAt - now < EXPIRING_SOON_HOURS * 3_600_000) return 'expiring_soon';
+  return 'pending';
+}
+
+/**
+ * @param {Object} token — install_intake_tokens row
+ * @param {number} [now]
+ * @returns {'pending'|'opened'|'expiring_soon'|'submitted'|'expired_unused'|'revoked'}
+ */
+export function intakeTokenLifecycle(token, now = Date.now()) {
+  if (!token) return 'expired_unused';
+  if (token.revoked_at)        return 'revoked';
+  // A submitted token stays usable (the client can come back and edit)
+  // but it has done its job — no reminders, no expiry alert.
+  if (token.last_submitted_at) return 'submitted';
+  const expiresAt = new Date(token.expires_at).getTime();
+  if (expiresAt <= now) return 'expired_unused';
+  if (expiresAt - now < EXPIRING_SOON_HOURS * 3_600_000) return 'expiring_soon';
+  return token.first_accessed_at ? 'opened' : 'pending';
+}
+
+/**
+ * Expired recently enough to still be worth an alert. Older ones are
+ * history — the strategist has either re-issued or moved on.
+ */
+export function isRecentlyExpired(expiresAtIso, now = Date.now()) {
+  const t = new Date(expiresAtIso).getTime();
+  return t <= now && now - t < EXPIRED_LOOKBACK_DAYS * 86_400_000;
+}
+
+// ──────────────────────────────────────────────────
+// Reminder label
+// ──────────────────────────────────────────────────
+
+/**
+ * "Expiry reminder emailed to owner@x.com · Oct 18", "Expired notice
+ * queued", "Expiry reminder failed — 550 mailbox unavailable".
+ */
+export function describeReminder(reminder) {
+  if (!reminder) return '';
+  const what = TEMPLATE_LABELS[reminder.template] || 'Reminder';
+  const to = reminder.recipient_email
+    || (reminder.recipient_role === 'strategist' ? 'you' : 'the recipient');
+  if (reminder.status === 'sent') {
+    const how = reminder.transport === 'log' ? 'logged (no mail transport configured) for' : 'sent to';
+    return `${what} ${how} ${to} · ${formatShortDate(reminder.sent_at || reminder.created_at)}`;
+  }
+  if (reminder.status === 'queued') {
+    return reminder.attempts > 0
+      ? `${what} to ${to} retrying (${reminder.attempts} attempt${reminder.attempts === 1 ? '' : 's'})`
+      : `${what} to ${to} queued`;
+  }
+  if (reminder.status === 'skipped') {
+    return `${what} skipped${reminder.last_error ? ` — ${reminder.last_error}` : ''}`;
+  }
+  return `${what} to ${to} failed${reminder.last_error ? ` — ${truncate(reminder.last_error, 80)}` : ''}`;
+}
+
+function formatShortDate(iso) {
+  if (!iso) return '';
+  return new Date(iso).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+function truncate(s, n) {
+  return s.length > n ? s.slice(0, n) + '…' : s;
+}
@@ -0,0 +1,131 @@
+/**
+ * inviteReminderService — lifecycle state + reminder history for guest
+ * OAuth invites (096/113) and install intake tokens (105).
+ *
+ * Migration 114 (2026-10-19). Reminders themselves are queued and sent
+ * server-side by /api/cron/invite-reminders through notification_outbox;
+ * this module is the read side the strategist surfaces use:
+ *
+ *   - oauthInviteLifecycle / intakeTokenLifecycle (inviteLifecycle,
+ *     re-exported) — derive one state from the row's timestamps. Intake
+ *     tokens have no status column, and an OAuth invite's status only
+ *     flips to 'expired' when the cron or the invite API notices, so
+ *     the list UIs and the This Week checks go through these instead
+ *     of trusting status.
+ *   - listRemindersForIntakeTokens / listRemindersForOauthInvites —
+ *     outbox rows per subject. The Settings invite list doesn't need
+ *     the second one: /api/youtube-oauth-invite?list=mine embeds them.
+ *   - describeReminder (inviteLifecycle, re-exported) — one-line label
+ *     for a reminder row.
+ */
+
+import { supabase } from './supabaseClient';
+import {
+  EXPIRING_SOON_HOURS, EXPIRED_LOOKBACK_DAYS,
+  oauthInviteLifecycle, intakeTokenLifecycle, isRecentlyExpired, describeReminder,
+} from './inviteLifecycle.js';
+
+export {
+  EXPIRING_SOON_HOURS, EXPIRED_LOOKBACK_DAYS,
+  oauthInviteLifecycle, intakeTokenLifecycle, isRecentlyExpired, describeReminder,
+};
+
+export const LIFECYCLE_LABELS = {
+  pending:        'Pending',
+  opened:         'Opened',
+  expiring_soon:  'Expiring soon',
+  redeemed:       'Redeemed',
+  submitted:      'Submitted',
+  expired_unused: 'Expired unused',
+  expired:        'Expired',
+  revoked:        'Revoked',
+};
+
+export const LIFECYCLE_COLORS = {
+  pending:        '#E8A82B',
+  opened:         '#0A919B',
+  expiring_soon:  '#ef8b3b',
+  redeemed:       '#3fa66a',
+  submitted:      '#3fa66a',
+  expired_unused: '#ef6b6b',
+  expired:        '#888',
+  revoked:        '#888',
+};
+
+// ──────────────────────────────────────────────────
+// Reminder history
+// ──────────────────────────────────────────────────
+
+const REMINDER_COLUMNS =
+  'id, template, recipient_role, recipient_email, status, transport, attempts, last_error, created_at, sent_at, oauth_invite_id, intake_token_id';
+
+/**
+ * @param {Array<string>} tokenIds — install_intake_tokens.id
+ * @returns {Promise<Object>} { [tokenId]: [reminder rows, newest first] }
+ */
+export async function listRemindersForIntakeTokens(tokenIds) {
+  if (!tokenIds?.length) return {};
+  const { data, error } = await supabase
+    .from('notification_outbox')
+    .select(REMINDER_COLUMNS)
+    .in('intake_token_id', tokenIds)
+    .order('created_at', { ascending: false });
+  if (error) {
+    console.warn('[inviteReminderService] listRemindersForIntakeTokens failed:', error);
+    return {};
+  }
+  return groupBy(data || [], 'intake_token_id');
+}
+
+/**
+ * @param {Array<string>} inviteIds — youtube_oauth_invites.id
+ * @returns {Promise<Object>} { [inviteId]: [reminder rows, newest first] }
+ */
+export async function listRemindersForOauthInvites(inviteIds) {
+  if (!inviteIds?.length) return {};
+  const { data, error } = await supabase
+    .from('notification_outbox')
+    .select(REMINDER_COLUMNS)
+    .in('oauth_invite_id', inviteIds)
+    .order('created_at', { ascending: false });
+  if (error) {
+    console.warn('[inviteReminderService] listRemindersForOauthInvites failed:', error);
+    return {};
+  }
+  return groupBy(data || [], 'oauth_invite_id');
+}
+
+export function reminderColor(reminder) {
+  if (reminder?.status === 'sent')    return '#3fa66a';
+  if (reminder?.status === 'failed')  return '#ef6b6b';
+  if (reminder?.status === 'skipped') return '#888';
+  return '#E8A82B';
+}
+
+// ──────────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────────
+
+function groupBy(rows, key) {
+  const out = {};
+  for (const r of rows) {
+    if (!r[key]) continue;
+    if (!out[r[key]]) out[r[key]] = [];
+    out[r[key]].push(r);
+  }
+  return out;
+}
+
+export default {
+  EXPIRING_SOON_HOURS,
+  EXPIRED_LOOKBACK_DAYS,
+  LIFECYCLE_LABELS,
+  LIFECYCLE_COLORS,
+  oauthInviteLifecycle,
+  intakeTokenLifecycle,
+  isRecentlyExpired,
+  listRemindersForIntakeTokens,
+  listRemindersForOauthInvites,
+  describeReminder,
+  reminderColor,
+};
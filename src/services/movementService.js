@@ -7,17 +7,11 @@
 
 import { supabase } from './supabaseClient';
 import { resolveScopeToChannelIds } from './patternsService.js';
+import { describeBreakout } from './velocityCurveService.js';
+import { ALERT_TYPE_META } from './competitorAlertRules.js';
 
 const TAKEAWAY_CACHE_HOURS = 24;
 
-const ALERT_TYPE_META = {
-  breakout:     { label: 'Breakout',      color: '#10b981' },
-  format_shift: { label: 'Format shift',  color: '#3b82f6' },
-  rank_change:  { label: 'Rank change',   color: '#a78bfa' },
-  new_entrant:  { label: 'New entrant',   color: '#f59e0b' },
-  trend:        { label: 'Trend',         color: '#94a3b8' },
-};
-
 export { ALERT_TYPE_META, resolveScopeToChannelIds };
 
 // ──────────────────────────────────────────────────
@@ -180,6 +174,7 @@ Activity from the last 30 days (${alerts.length} alerts):
 ${summary}
 
 Write a 3-5 sentence narrative. Lead with the most important pattern. Then call out 1-2 specific channels or videos that matter. End with the "so what" for a creator/CMO in this category.
+- Strategy moves (new title patterns, Shorts pivots, channels going quiet) often explain the view movements — connect them when the same channel shows up in both.
 - Cite specific numbers (multipliers, percentages, channel names).
 - No platitudes. If activity is mostly quiet, say so plainly.
 - Skip the bulleted list — write it as prose.
@@ -217,13 +212,19 @@ function summarizeAlertsForPrompt(alerts) {
     for (const a of items.slice(0, 8)) {
       const p = a.payload || {};
       if (type === 'breakout') {
-        lines.push(`- ${p.channel_name}: "${p.video_title}" hit ${p.views_at_48h?.toLocaleString()} views (${p.multiplier}× channel median)`);
+        lines.push(`- ${p.channel_name}: ${describeBreakout(p)}`);
       } else if (type === 'format_shift') {
         lines.push(`- ${p.channel_name}: shifted from ${p.prev_format} (${p.prev_pct}%) to ${p.curr_format} (${p.curr_pct}%)`);
       } else if (type === 'rank_change') {
         lines.push(`- ${p.channel_name}: avg views ${p.direction === 'up' ? 'up' : 'down'} ${Math.abs(p.pct_change)}% (${p.prev_velocity?.toLocaleString()} → ${p.curr_velocity?.toLocaleString()})`);
       } else if (type === 'new_entrant') {
         lines.push(`- ${p.channel_name} added to scope${p.subscriber_count ? ` (${p.subscriber_count.toLocaleString()} subs)` : ''}`);
+      } else if (type === 'title_pattern_adoption') {
+        lines.push(`- ${p.channel_name}: started using "${p.pattern_label}" titles (${p.matched_count} of ${p.recent_count} recent uploads, none in the prior ${p.prior_count}), e.g. "${p.example_titles?.[0] || ''}"`);
+      } else if (type === 'cadence_break') {
+        lines.push(`- ${p.channel_name}: silent for ${Math.round(p.days_silent)} days, ${p.gap_multiple}× its usual ${p.median_gap_days}-day upload gap`);
+      } else if (type === 'shorts_pivot') {
+        lines.push(`- ${p.channel_name}: Shorts went from ${p.prev_shorts_pct}% to ${p.curr_shorts_pct}% of uploads`);
       }
     }
   }
@@ -0,0 +1,171 @@
+/**
+ * Packaging coherence service — Phase 3 title × thumbnail dimension.
+ *
+ * One Claude Vision call per (title, mock thumbnail) pair rating how
+ * well the two work as a package. Title and thumbnail are read
+ * together in the feed; the best packages split the job — the
+ * thumbnail shows what the title can't say, the title names what the
+ * image can't — and both point at the same promise.
+ *
+ * Distinct from the other packaging dimensions:
+ *   - curiosity_gap rates the TITLE alone.
+ *   - thumbnail rates the IMAGE's traits against cohort lifts.
+ *   - packaging_coherence rates the PAIR: redundant (thumbnail text
+ *     repeats the title) and contradictory (thumbnail promises
+ *     something the title doesn't) both score low.
+ *
+ * Requires the optional mock-thumbnail upload. Without it this
+ * dimension is null and self-excludes from the composite.
+ *
+ * Cached by (title, image, format, prompt_version) — same pattern as
+ * curiosityGapService. 30-day TTL.
+ */
+
+import { supabase } from './supabaseClient';
+
+export const PACKAGING_PROMPT_VERSION = 'v1-packaging-coherence-1-10';
+
+const CACHE_TTL_HOURS = 24 * 30;
+const CACHE_TABLE = 'competitor_intelligence_cache';
+
+// ──────────────────────────────────────────────────
+// Public entry
+// ──────────────────────────────────────────────────
+
+/**
+ * Rate title × thumbnail complementarity on a 1–10 scale via Claude Vision.
+ *
+ * @param {string} title       the candidate title
+ * @param {Object} image       { base64: 'data:image/…;base64,…', media_type }
+ * @param {Object} [opts]
+ * @param {string} [opts.format='long_form']
+ * @param {string} [opts.clientId]  for usage-ledger attribution only
+ * @returns {Promise<{ score: number, rationale: string, imageHash: string, promptVersion: string, cached: boolean } | null>}
+ */
+export async function ratePackagingCoherence(title, image, { format = 'long_form', clientId = null } = {}) {
+  if (!title || typeof title !== 'string' || !title.trim()) return null;
+  if (!image?.base64) return null;
+  const trimmedTitle = title.trim();
+
+  const imageHash = thumbnailImageHash(image);
+  const cacheKey = buildCacheKey(trimmedTitle, imageHash, format);
+  const cached = await loadCache(cacheKey);
+  if (cached) return { ...cached, cached: true };
+
+  try {
+    const claudeAPI = (await import('./claudeAPI')).default;
+    const { parseClaudeJSON } = await import('../lib/parseClaudeJSON');
+    const result = await claudeAPI.call(
+      buildUserPrompt(trimmedTitle, format),
+      SYSTEM_PROMPT,
+      'packaging_coherence',
+      350,
+      { images: [image], clientId, promptVersion: PACKAGING_PROMPT_VERSION },
+    );
+    const parsed = parseClaudeJSON(result.text, { score: null, rationale: '' });
+    const score = clamp(Math.round(Number(parsed.score)), 1, 10);
+    if (!Number.isFinite(score)) return null;
+
+    const payload = {
+      score,
+      rationale: (parsed.rationale || '').trim(),
+      imageHash,
+      promptVersion: PACKAGING_PROMPT_VERSION,
+    };
+    await saveCache(cacheKey, payload);
+    return { ...payload, cached: false };
+  } catch (err) {
+    console.warn('[packagingCoherence] rating failed:', err);
+    return null;
+  }
+}
+
+// ──────────────────────────────────────────────────
+// Prompt
+// ──────────────────────────────────────────────────
+
+const SYSTEM_PROMPT = `You are a YouTube packaging editor judging whether a title and its thumbnail work together as one package.
+
+Viewers read the thumbnail and title together in a fraction of a second. Strong packages divide the work: the image carries what words can't (a face, a stake, a result) and the title adds what the image can't (the specific claim, the number, the question). A thumbnail whose text repeats the title wastes half the package; a thumbnail that promises something the title doesn't reads as misleading and costs trust after the click. Rate strictly.
+
+Return ONLY valid JSON in the shape: { "score": <int 1–10>, "rationale": "<1–2 sentences>" }. No markdown, no commentary outside the JSON.`;
+
+function buildUserPrompt(title, format) {
+  return `Format: ${format}
+Title: "${title}"
+Thumbnail: the attached image (may be a rough mock — judge what it shows).
+
+Rate how well the title and thumbnail complement each other.
+
+Scale:
+- 10: Same promise, split cleanly. The thumbnail adds a visual stake or payoff the title doesn't state; the title adds the specific angle the image can't. Neither repeats the other.
+- 7–8: Clearly one promise with little overlap. Minor redundancy (e.g. one repeated keyword) or a weaker visual stake.
+- 4–6: Mostly redundant (thumbnail text restates the title) or loosely related (same topic, different angle). The pair adds little over either half alone.
+- 1–3: Contradictory or unrelated — the thumbnail sets up a different video than the title — or a near word-for-word repeat with nothing visual added.
+
+Rate the package.`;
+}
+
+/**
+ * Short hash of an uploaded mock. Stored on the dimension so a what-if
+ * can tell whether the mock on screen is the one the rating was for.
+ */
+export function thumbnailImageHash(image) {
+  return image?.base64 ? djb2(image.base64) : null;
+}
+
+// ──────────────────────────────────────────────────
+// Cache helpers
+// ──────────────────────────────────────────────────
+
+function buildCacheKey(title, imageHash, format) {
+  const hash = djb2(`${PACKAGING_PROMPT_VERSION}::${format}::${title.toLowerCase()}::${imageHash}`);
+  return `packaging_coherence:${PACKAGING_PROMPT_VERSION}:${hash}`;
+}
+
+function djb2(str) {
+  let h = 5381;
+  for (let i = 0; i < str.length; i++) {
+    h = ((h << 5) + h) + str.charCodeAt(i);
+    h = h | 0;
+  }
+  return (h >>> 0).toString(36);
+}
+
+async function loadCache(key) {
+  if (!supabase) return null;
+  try {
+    const { data } = await supabase
+      .from(CACHE_TABLE)
+      .select('payload, updated_at')
+      .eq('cache_key', key)
+      .maybeSingle();
+    if (!data) return null;
+    const ageHours = (Date.now() - new Date(data.updated_at).getTime()) / 3600000;
+    if (ageHours > CACHE_TTL_HOURS) return null;
+    return data.payload;
+  } catch {
+    return null;
+  }
+}
+
+async function saveCache(key, payload) {
+  if (!supabase) return;
+  try {
+    await supabase
+      .from(CACHE_TABLE)
+      .upsert(
+        { cache_key: key, payload, updated_at: new Date().toISOString() },
+        { onConflict: 'cache_key' },
+      );
+  } catch (err) {
+    console.warn('[packagingCoherence] cache save failed:', err);
+  }
+}
+
+function clamp(n, lo, hi) {
+  if (!Number.isFinite(n)) return null;
+  return Math.max(lo, Math.min(hi, n));
+}
+
+export default { ratePackagingCoherence, thumbnailImageHash, PACKAGING_PROMPT_VERSION };
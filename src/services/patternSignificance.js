@@ -0,0 +1,223 @@
+/**
+ * Pattern significance — permutation p-values, bootstrap lift intervals
+ * and a Benjamini–Hochberg false-discovery correction for title-pattern
+ * lifts.
+ *
+ * statsHelpers' confidence labels only answer "is n big enough". With
+ * 14 patterns per scope (28 once a baseline is compared) a handful of
+ * n≥40 lifts clear that bar by chance alone. Every consumer that turns
+ * a pattern lift into advice — patternsService, conceptScorerService,
+ * the Patterns lens, the audit pack and its "What changed" diff, the
+ * weekly brief via useDiagnostics — reads the
+ * corrected flag from here so they agree on which findings are real.
+ *
+ * Pure, no supabase import: api/generate-brief.js loads it server-side
+ * through useDiagnostics.
+ */
+
+import { trimmedMedian } from './statsHelpers.js';
+
+// False discovery rate for the BH step. 10% rather than 5% — these are
+// exploratory findings shown with their interval, not publication claims.
+export const FDR_Q = 0.10;
+
+export const PERMUTATION_ITERATIONS = 1000;
+export const BOOTSTRAP_ITERATIONS = 400;
+export const CI_LEVEL = 0.95;
+
+// Sequential stopping (Besag & Clifford): once this many shuffles beat
+// the observed statistic the pattern is clearly not significant and
+// p = hits / shuffles is already accurate enough. Most patterns in a
+// scope stop within ~100 shuffles, which keeps 28 tests over a few
+// thousand videos interactive.
+const PERMUTATION_STOP_HITS = 20;
+
+// Mirror of statsHelpers.trimmedMedian — same 10% trim and n<5 fallback,
+// applied to rank positions so the resampling loops stay O(n).
+const TRIM = 0.10;
+
+/**
+ * Test one pattern: matched videos' views vs everyone else's.
+ *
+ * The statistic is the log ratio of trimmed medians (matched / rest),
+ * tested two-sided by shuffling the matched label (stopping early once
+ * the pattern is clearly null). The interval is a
+ * percentile bootstrap on the lift as patternsService reports it —
+ * trimmed median of matched over trimmed median of the whole scope —
+ * resampling matched and rest independently.
+ *
+ * Returns { pValue, liftCI: [lo, hi] } or null when either side has
+ * fewer than 3 positive values.
+ */
+export function testPatternLift(matchedValues, otherValues, {
+  permutations = PERMUTATION_ITERATIONS,
+  bootstraps = BOOTSTRAP_ITERATIONS,
+  seed = 1,
+} = {}) {
+  const matched = (matchedValues || []).filter(v => v > 0);
+  const other = (otherValues || []).filter(v => v > 0);
+  if (matched.length < 3 || other.length < 3) return null;
+
+  // One sorted pool; groups are masks over it so every resample is a
+  // linear scan instead of a sort.
+  const pool = [...matched.map(v => [v, 1]), ...other.map(v => [v, 0])]
+    .sort((a, b) => a[0] - b[0]);
+  const n = pool.length;
+  const k = matched.length;
+  const values = Float64Array.from(pool, p => p[0]);
+  const mask = Uint8Array.from(pool, p => p[1]);
+
+  const observed = Math.log(trimmedMedian(matched) / trimmedMedian(other));
+  const rand = mulberry32(seed);
+
+  // ── Permutation p-value ──
+  const idx = Uint32Array.from({ length: n }, (_, i) => i);
+  const perm = new Uint8Array(n);
+  let extreme = 0;
+  let shuffles = 0;
+  while (shuffles < permutations && extreme < PERMUTATION_STOP_HITS) {
+    shuffles++;
+    perm.fill(0);
+    for (let i = 0; i < k; i++) {
+      const j = i + Math.floor(rand() * (n - i));
+      const t = idx[i]; idx[i] = idx[j]; idx[j] = t;
+      perm[idx[i]] = 1;
+    }
+    const a = maskedTrimmedMedian(values, perm, 1, k);
+    const b = maskedTrimmedMedian(values, perm, 0, n - k);
+    if (Math.abs(Math.log(a / b)) >= Math.abs(observed) - 1e-12) extreme++;
+  }
+  const pValue = extreme >= PERMUTATION_STOP_HITS
+    ? extreme / shuffles
+    : (extreme + 1) / (shuffles + 1);
+
+  // ── Bootstrap interval on lift ──
+  const matchedIdx = [];
+  const otherIdx = [];
+  for (let i = 0; i < n; i++) (mask[i] ? matchedIdx : otherIdx).push(i);
+  const cntMatched = new Uint32Array(n);
+  const cntAll = new Uint32Array(n);
+  const lifts = new Float64Array(bootstraps);
+  for (let it = 0; it < bootstraps; it++) {
+    cntMatched.fill(0);
+    for (let i = 0; i < k; i++) cntMatched[matchedIdx[Math.floor(rand() * k)]]++;
+    cntAll.set(cntMatched);
+    for (let i = 0; i < n - k; i++) cntAll[otherIdx[Math.floor(rand() * (n - k))]]++;
+    lifts[it] = countedTrimmedMedian(values, cntMatched, k) / countedTrimmedMedian(values, cntAll, n);
+  }
+  lifts.sort();
+  const tail = (1 - CI_LEVEL) / 2;
+  const liftCI = [
+    lifts[Math.floor(tail * (bootstraps - 1))],
+    lifts[Math.ceil((1 - tail) * (bootstraps - 1))],
+  ];
+
+  return { pValue, liftCI };
+}
+
+/**
+ * Benjamini–Hochberg adjusted p-values (q-values), same order as the
+ * input. Nulls pass through and don't count toward the family size.
+ */
+export function benjaminiHochberg(pValues) {
+  const ranked = pValues
+    .map((p, i) => ({ p, i }))
+    .filter(x => x.p != null)
+    .sort((a, b) => a.p - b.p);
+  const m = ranked.length;
+  const q = pValues.map(() => null);
+  let running = 1;
+  for (let r = m - 1; r >= 0; r--) {
+    running = Math.min(running, (ranked[r].p * m) / (r + 1));
+    q[ranked[r].i] = running;
+  }
+  return q;
+}
+
+/**
+ * Apply the BH correction across one family of tested patterns (every
+ * pattern carrying a pValue) and set the corrected flags:
+ *
+ *   qValue        BH-adjusted p
+ *   significant   q ≤ FDR_Q and the lift interval excludes 1
+ *   significance  'positive' | 'negative' | 'none'
+ *
+ * Pass scope and baseline patterns together when both were tested —
+ * the family is everything the user is shown at once. Returns new
+ * objects; patterns without a test get significance 'none'.
+ */
+export function applyFdr(patterns, { q = FDR_Q } = {}) {
+  const qValues = benjaminiHochberg(patterns.map(p => p.pValue ?? null));
+  return patterns.map((p, i) => {
+    const qValue = qValues[i];
+    const ci = p.liftCI;
+    const direction = !ci ? 'none' : ci[0] > 1 ? 'positive' : ci[1] < 1 ? 'negative' : 'none';
+    const significant = qValue != null && qValue <= q && direction !== 'none';
+    return { ...p, qValue, significant, significance: significant ? direction : 'none' };
+  });
+}
+
+/**
+ * The confidence label consumers should act on: an n-based
+ * 'statistical' label that didn't survive the correction is shown and
+ * scored as 'directional'.
+ */
+export function correctedConfidence(pattern) {
+  if (!pattern) return 'insufficient';
+  if (pattern.confidence === 'statistical' && !pattern.significant) return 'directional';
+  return pattern.confidence;
+}
+
+/** Stable per-pattern seed so the same data gives the same p-value. */
+export function seedFor(id, n = 0) {
+  let h = 2166136261 ^ n;
+  for (const ch of String(id)) h = Math.imul(h ^ ch.charCodeAt(0), 16777619);
+  return h >>> 0;
+}
+
+// ----- helpers -----
+
+function trimRanks(m) {
+  if (m < 5) return [Math.floor((m - 1) / 2), Math.floor(m / 2)];
+  const drop = Math.floor(m * TRIM);
+  const len = m - 2 * drop;
+  return [drop + Math.floor((len - 1) / 2), drop + Math.floor(len / 2)];
+}
+
+function maskedTrimmedMedian(values, mask, flag, m) {
+  const [r1, r2] = trimRanks(m);
+  let seen = 0;
+  let a = null;
+  for (let i = 0; i < values.length; i++) {
+    if (mask[i] !== flag) continue;
+    if (seen === r1) a = values[i];
+    if (seen === r2) return (a + values[i]) / 2;
+    seen++;
+  }
+  return a;
+}
+
+function countedTrimmedMedian(values, counts, m) {
+  const [r1, r2] = trimRanks(m);
+  let seen = 0;
+  let a = null;
+  for (let i = 0; i < values.length; i++) {
+    const c = counts[i];
+    if (!c) continue;
+    if (a == null && r1 < seen + c) a = values[i];
+    if (r2 < seen + c) return (a + values[i]) / 2;
+    seen += c;
+  }
+  return a;
+}
+
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -10,6 +10,7 @@
 
 import { supabase } from './supabaseClient';
 import { trimmedMedian, labelConfidence, liftConfidence, isSuspectEngagement, isBrandPushSuspect } from './statsHelpers.js';
+import { testPatternLift, applyFdr, seedFor } from './patternSignificance.js';
 
 const SHORTS_DURATION_THRESHOLD = 180;
 
@@ -233,6 +234,17 @@ function computeTitlePatterns(videos) {
       ? matchedMedianViews / scopeMedianViews
       : null;
 
+    // Permutation p-value and bootstrap interval for the lift. The BH
+    // correction needs the whole family, so analyzePatterns applies it
+    // once scope and baseline are both computed.
+    const test = viewsLift != null
+      ? testPatternLift(
+          matchedViews,
+          videos.filter(v => !p.test(v.title || '')).map(v => v.view_count || 0),
+          { seed: seedFor(p.id, videos.length) },
+        )
+      : null;
+
     // Format skew — what fraction of videos matching this pattern are
     // Shorts. When a pattern is heavily one-sided, its lift partly
     // reflects the format's view scale (Shorts vs long-form), not the
@@ -250,6 +262,8 @@ function computeTitlePatterns(videos) {
       medianViews: matchedMedianViews,
       viewsLift,
       confidence,
+      pValue: test?.pValue ?? null,
+      liftCI: test?.liftCI ?? null,
       shortsShare,
       avgEngagement: matchedEng.length > 0
         ? matchedEng.reduce((s, e) => s + e, 0) / matchedEng.length
@@ -258,6 +272,122 @@ function computeTitlePatterns(videos) {
   });
 }
 
+// ──────────────────────────────────────────────────
+// Pattern interactions — pairs and pattern × length
+//
+// Single-pattern lifts can't say whether "number + question mark" works
+// together or whether ALL CAPS only helps in Shorts. Two tables answer
+// that with the same trimmed-median lift:
+//   pairs     videos matching both patterns vs the scope median.
+//             expectedLift = liftA × liftB (what the pair would do if
+//             the patterns were independent); synergy = lift / expected.
+//   byLength  videos with the pattern inside one format bucket vs that
+//             bucket's own median — "does it help in Shorts", not
+//             "are Shorts bigger".
+// Cells under CONFIDENCE.patternInteraction.hide keep their count but
+// no lift. Every gated cell is tested (patternSignificance) and both
+// tables form one BH family, separate from the single patterns.
+// Opt-in (analyzePatterns includeInteractions): the tests run per cell
+// and cost seconds on large cohorts, so only callers that read the
+// tables pay for them.
+// ──────────────────────────────────────────────────
+
+export const INTERACTION_BUCKETS = [
+  { id: 'shorts', label: 'Shorts', min: 0, max: SHORTS_DURATION_THRESHOLD },
+  ...LENGTH_BUCKETS,
+];
+
+// Fewer resamples than single patterns — there are up to ~150 cells
+const INTERACTION_BOOTSTRAPS = 200;
+
+function interactionCell(id, matched, rest, baselineMedian) {
+  const matchedViews = matched.map(v => v.view_count || 0).filter(n => n > 0);
+  const medianViews = matchedViews.length > 0 ? trimmedMedian(matchedViews) : null;
+  const confidence = liftConfidence({
+    sampleValues: matchedViews,
+    currentMedian: medianViews,
+    kind: 'patternInteraction',
+  });
+  const viewsLift = (medianViews != null && baselineMedian > 0 && confidence !== 'insufficient')
+    ? medianViews / baselineMedian
+    : null;
+  const test = viewsLift != null
+    ? testPatternLift(matchedViews, rest.map(v => v.view_count || 0), {
+        seed: seedFor(id, matched.length + rest.length),
+        bootstraps: INTERACTION_BOOTSTRAPS,
+      })
+    : null;
+  return {
+    id,
+    count: matched.length,
+    medianViews,
+    viewsLift,
+    confidence,
+    pValue: test?.pValue ?? null,
+    liftCI: test?.liftCI ?? null,
+  };
+}
+
+function computePatternInteractions(videos, titlePatterns) {
+  if (!videos.length) return { pairs: [], byLength: [] };
+
+  const scopeViews = videos.map(v => v.view_count || 0).filter(n => n > 0);
+  const scopeMedian = scopeViews.length > 0 ? trimmedMedian(scopeViews) : null;
+  const singleLift = Object.fromEntries(titlePatterns.map(p => [p.id, p.viewsLift]));
+  const hits = TITLE_PATTERNS.map(p => videos.map(v => p.test(v.title || '')));
+
+  const pairs = [];
+  for (let i = 0; i < TITLE_PATTERNS.length; i++) {
+    for (let j = i + 1; j < TITLE_PATTERNS.length; j++) {
+      const a = TITLE_PATTERNS[i];
+      const b = TITLE_PATTERNS[j];
+      const matched = [];
+      const rest = [];
+      videos.forEach((v, k) => (hits[i][k] && hits[j][k] ? matched : rest).push(v));
+      const cell = interactionCell(`${a.id}+${b.id}`, matched, rest, scopeMedian);
+      const expectedLift = singleLift[a.id] != null && singleLift[b.id] != null
+        ? singleLift[a.id] * singleLift[b.id]
+        : null;
+      pairs.push({
+        ...cell,
+        a: a.id,
+        b: b.id,
+        label: `${a.label} + ${b.label}`,
+        expectedLift,
+        synergy: cell.viewsLift != null && expectedLift ? cell.viewsLift / expectedLift : null,
+      });
+    }
+  }
+
+  const byLength = [];
+  for (const bucket of INTERACTION_BUCKETS) {
+    const inBucket = [];
+    videos.forEach((v, k) => {
+      const d = v.duration_seconds || 0;
+      if (d >= bucket.min && d <= bucket.max) inBucket.push(k);
+    });
+    const bucketViews = inBucket.map(k => videos[k].view_count || 0).filter(n => n > 0);
+    const bucketMedian = bucketViews.length > 0 ? trimmedMedian(bucketViews) : null;
+    TITLE_PATTERNS.forEach((p, i) => {
+      const matched = [];
+      const rest = [];
+      for (const k of inBucket) (hits[i][k] ? matched : rest).push(videos[k]);
+      byLength.push({
+        ...interactionCell(`${p.id}@${bucket.id}`, matched, rest, bucketMedian),
+        patternId: p.id,
+        bucketId: bucket.id,
+        bucketCount: inBucket.length,
+      });
+    });
+  }
+
+  const corrected = applyFdr([...pairs, ...byLength]);
+  return {
+    pairs: corrected.slice(0, pairs.length),
+    byLength: corrected.slice(pairs.length),
+  };
+}
+
 function computeFormatBreakdown(videos) {
   const total = videos.length || 1;
   const shorts = videos.filter(v => (v.duration_seconds || 0) <= SHORTS_DURATION_THRESHOLD);
@@ -409,14 +539,19 @@ function computeLift(scopeValue, baselineValue) {
  * @param {string[]} opts.scopeChannelIds       channel IDs in current scope
  * @param {string[]} [opts.baselineChannelIds]  channel IDs to compare against (null = no comparison)
  * @param {number}   [opts.windowDays=90]
+ * @param {boolean}  [opts.includeInteractions=false]  compute scope.interactions
+ *   (the pattern-pair / pattern × length tables); null otherwise
  *
  * @returns {Promise<{
  *   scope: { videoCount, titlePatterns, formatBreakdown, outliers, channels },
+ *     (titlePatterns carry pValue, liftCI, and the BH-corrected qValue /
+ *      significant / significance flags from patternSignificance)
+ *     interactions: { pairs, byLength } | null — scope only, see computePatternInteractions
  *   baseline?: { videoCount, titlePatterns, formatBreakdown },
  *   compare?: { titlePatternLifts: { id, freqLift, engagementLift } [] }
  * }>}
  */
-export async function analyzePatterns({ scopeChannelIds, baselineChannelIds = null, windowDays = 90 }) {
+export async function analyzePatterns({ scopeChannelIds, baselineChannelIds = null, windowDays = 90, includeInteractions = false }) {
   // Pull videos for both sets in parallel
   const scopeIds = scopeChannelIds || [];
   const baseIds = baselineChannelIds || [];
@@ -437,14 +572,17 @@ export async function analyzePatterns({ scopeChannelIds, baselineChannelIds = nu
     channels = data || [];
   }
 
+  const scopeTitlePatterns = computeTitlePatterns(scopeVids);
   const scopeAnalysis = {
     videoCount: scopeVids.length,
-    titlePatterns: computeTitlePatterns(scopeVids),
+    titlePatterns: scopeTitlePatterns,
+    interactions: includeInteractions ? computePatternInteractions(scopeVids, scopeTitlePatterns) : null,
     formatBreakdown: computeFormatBreakdown(scopeVids),
     outliers: computeOutliers(scopeVids, channels),
   };
 
   if (!baseIds.length) {
+    scopeAnalysis.titlePatterns = applyFdr(scopeAnalysis.titlePatterns);
     return { scope: scopeAnalysis };
   }
 
@@ -454,6 +592,11 @@ export async function analyzePatterns({ scopeChannelIds, baselineChannelIds = nu
     formatBreakdown: computeFormatBreakdown(baseVids),
   };
 
+  // One BH family for everything shown side by side
+  const corrected = applyFdr([...scopeAnalysis.titlePatterns, ...baselineAnalysis.titlePatterns]);
+  scopeAnalysis.titlePatterns = corrected.slice(0, scopeAnalysis.titlePatterns.length);
+  baselineAnalysis.titlePatterns = corrected.slice(scopeAnalysis.titlePatterns.length);
+
   // Compute lifts pattern-by-pattern
   const titlePatternLifts = scopeAnalysis.titlePatterns.map(sp => {
     const bp = baselineAnalysis.titlePatterns.find(p => p.id === sp.id);
@@ -38,7 +38,7 @@ export async function listPortfolio({ includeHidden = false } = {}) {
       lifecycle_stage, primary_strategist_id, is_portfolio_root,
       last_synced_at, last_sync_attempt_at, last_sync_error,
       classification_locked, last_classified_at,
-      tracked_since
+      tracked_since, is_prelaunch, prelaunch_intended_launch_at
     `)
     .eq('is_client', true)
     .order('name', { ascending: true });
@@ -114,6 +114,8 @@ export async function listPortfolio({ includeHidden = false } = {}) {
       customUrl: c.custom_url,
       youtubeChannelId: c.youtube_channel_id,
       isStub,
+      isPrelaunch: !!c.is_prelaunch,
+      prelaunchIntendedLaunchAt: c.prelaunch_intended_launch_at,
       isPortfolioRoot: c.is_portfolio_root,
       stage: c.lifecycle_stage,
       stageLabel: STAGE_LABEL[c.lifecycle_stage] || 'Unset',
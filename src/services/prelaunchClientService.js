@@ -21,15 +21,22 @@
  *   - Calibration (needs a repositioning audit to score against)
  *   - DataFreshnessBadge analytics chip (no OAuth connection possible)
  *
- * Upgrade path (future): when the client launches, an upgradeToReal-
- * Channel call promotes the placeholder by swapping youtube_channel_id
- * for the real value, clearing is_prelaunch, and preserving everything
- * else (Spine, business context, competitor cohort).
+ * Upgrade path: when the client launches, the strategist runs the
+ * upgrade flow (UpgradePrelaunchClientModal, from Portfolio or the
+ * PrelaunchBadge). resolveLaunchChannel() looks the handle up through
+ * /api/youtube-channel for a preview, upgradeToRealChannel() swaps the
+ * placeholder youtube_channel_id for the real one and clears
+ * is_prelaunch, and bootstrapLaunchedChannel() pulls the first videos
+ * + title embeddings so Repositioning has something to audit. The
+ * channels.id never changes, so everything keyed on it (Spine, business
+ * context, cohort role tags, calibration history) carries over.
  */
 
 import { supabase } from './supabaseClient';
+import { youtubeOAuthService } from './youtubeOAuthService';
 
 const PLACEHOLDER_PREFIX = 'placeholder_';
+const MAX_EMBED_PASSES   = 5;   // × 1000 videos per /api/embed-channel-videos call
 
 // ──────────────────────────────────────────────────
 // Public entry
@@ -117,7 +124,7 @@ export async function createPrelaunchClient({
  * @param {Object} args
  * @param {string} args.clientId               — the placeholder channels.id
  * @param {string} args.youtubeChannelId       — the real UC… id
- * @param {Object} [args.channelMetadata]      — { name?, thumbnail_url?, subscriber_count?, total_view_count?, video_count? }
+ * @param {Object} [args.channelMetadata]      — { name?, custom_url?, thumbnail_url?, subscriber_count?, total_view_count?, video_count? }
  */
 export async function upgradeToRealChannel({ clientId, youtubeChannelId, channelMetadata = {} }) {
   if (!supabase) return { ok: false, error: 'supabase not configured' };
@@ -136,12 +143,17 @@ export async function upgradeToRealChannel({ clientId, youtubeChannelId, channel
     return { ok: false, error: `youtube_channel_id ${youtubeChannelId} already belongs to another channel (${collision.name})` };
   }
 
+  // sync_enabled + a cleared error so the first sync (and the daily
+  // cron after it) picks the row up like any other client channel.
   const patch = {
     youtube_channel_id:           youtubeChannelId,
     is_prelaunch:                 false,
     prelaunch_intended_launch_at: null,
+    sync_enabled:                 true,
+    last_sync_error:              null,
   };
   if (channelMetadata.name)              patch.name             = channelMetadata.name;
+  if (channelMetadata.custom_url)        patch.custom_url       = channelMetadata.custom_url;
   if (channelMetadata.thumbnail_url)     patch.thumbnail_url    = channelMetadata.thumbnail_url;
   if (channelMetadata.subscriber_count != null) patch.subscriber_count = channelMetadata.subscriber_count;
   if (channelMetadata.total_view_count != null) patch.total_view_count = channelMetadata.total_view_count;
@@ -159,6 +171,130 @@ export async function upgradeToRealChannel({ clientId, youtubeChannelId, channel
   return { ok: true };
 }
 
+/**
+ * Resolve a handle / URL / UC… id to a live channel for the upgrade
+ * preview. Goes through /api/youtube-channel (same proxy the dashboard
+ * uses for channel stats).
+ *
+ * `cached: true` means the proxy hit its quota fallback and answered
+ * from Supabase instead of YouTube — the match may be a guess, so the
+ * preview warns before the strategist confirms.
+ *
+ * @param {string} input  — "@handle", channel URL, or UC… id
+ * @returns {Promise<{ ok, channel?: { youtubeChannelId, name, customUrl, thumbnailUrl, subscriberCount, viewCount, videoCount, cached }, error? }>}
+ */
+export async function resolveLaunchChannel(input) {
+  const trimmed = (input || '').trim();
+  if (!trimmed) return { ok: false, error: 'Enter a YouTube handle, channel URL, or channel ID' };
+
+  try {
+    const resp = await fetch('/api/youtube-channel', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ handles: [{ name: 'launch', url: trimmed }] }),
+    });
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok) return { ok: false, error: json?.error || `HTTP ${resp.status}` };
+
+    const youtubeChannelId = json.handleResults?.launch?.channelId;
+    const ch = youtubeChannelId ? json.channels?.[youtubeChannelId] : null;
+    if (!ch) return { ok: false, error: `Couldn't find a YouTube channel for "${trimmed}"` };
+    if (youtubeChannelId.startsWith(PLACEHOLDER_PREFIX)) {
+      return { ok: false, error: 'That handle resolved to another pre-launch placeholder — paste the UC… channel ID instead' };
+    }
+
+    return {
+      ok: true,
+      channel: {
+        youtubeChannelId,
+        name:            ch.title,
+        customUrl:       ch.customUrl || null,
+        thumbnailUrl:    ch.thumbnailUrl || null,
+        subscriberCount: ch.subscriberCount ?? null,
+        viewCount:       ch.viewCount ?? null,
+        videoCount:      ch.videoCount ?? null,
+        cached:          !!ch.cached,
+      },
+    };
+  } catch (err) {
+    console.warn('[prelaunch] channel resolve failed:', err);
+    return { ok: false, error: err?.message || 'lookup failed' };
+  }
+}
+
+/**
+ * First data pull for a just-upgraded client: video sync, then title
+ * embeddings (Repositioning's topic_authority dimension and Pre-flight
+ * both need them). Sequential — embeddings need the synced rows.
+ *
+ * Each step reports through onProgress({ step, status, detail }) with
+ * step 'sync' | 'embeddings' and status 'running' | 'done' | 'error'.
+ * A failed step doesn't undo the upgrade; both are retryable from
+ * their usual surfaces (Research refresh, Pre-flight embeddings panel).
+ *
+ * @returns {Promise<{ ok, sync: { videosSynced?, error? }, embeddings: { videosEmbedded?, pendingAfter?, error? } }>}
+ */
+export async function bootstrapLaunchedChannel({ clientId, onProgress = null }) {
+  const report = (step, status, detail = null) => { if (onProgress) onProgress({ step, status, detail }); };
+  const out = { ok: true, sync: {}, embeddings: {} };
+
+  // 1) Video sync — single-channel mode of the competitor sync job.
+  report('sync', 'running');
+  try {
+    const resp = await fetch(`/api/sync-competitors?manual=true&channelId=${encodeURIComponent(clientId)}`, { method: 'POST' });
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok || json.errors?.length || !json.channels_synced) {
+      const msg = json.errors?.[0]?.error || json.error || (resp.ok ? 'channel was not synced' : `HTTP ${resp.status}`);
+      out.ok = false;
+      out.sync = { error: msg };
+      report('sync', 'error', msg);
+      // No videos → nothing to embed.
+      report('embeddings', 'error', 'skipped — video sync failed');
+      out.embeddings = { error: 'skipped — video sync failed' };
+      return out;
+    }
+    out.sync = { videosSynced: json.videos_synced || 0 };
+    report('sync', 'done', `${json.videos_synced || 0} videos`);
+  } catch (err) {
+    out.ok = false;
+    out.sync = { error: err?.message || 'sync failed' };
+    report('sync', 'error', out.sync.error);
+    out.embeddings = { error: 'skipped — video sync failed' };
+    report('embeddings', 'error', out.embeddings.error);
+    return out;
+  }
+
+  // 2) Title embeddings — loop until the backlog drains (capped).
+  report('embeddings', 'running');
+  try {
+    const token = await youtubeOAuthService.getAuthToken();
+    if (!token) throw new Error('No session token — refresh and log in');
+
+    let videosEmbedded = 0;
+    let pendingAfter = null;
+    for (let pass = 0; pass < MAX_EMBED_PASSES; pass++) {
+      const resp = await fetch('/api/embed-channel-videos', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ channelId: clientId }),
+      });
+      const json = await resp.json().catch(() => ({}));
+      if (!resp.ok) throw new Error(json?.error || `HTTP ${resp.status}`);
+      videosEmbedded += json.videosEmbedded || 0;
+      pendingAfter = json.pendingAfter ?? 0;
+      if (!json.batchesRemaining || !json.videosEmbedded) break;
+    }
+    out.embeddings = { videosEmbedded, pendingAfter };
+    report('embeddings', 'done', `${videosEmbedded} embedded${pendingAfter ? ` · ${pendingAfter} still pending` : ''}`);
+  } catch (err) {
+    out.ok = false;
+    out.embeddings = { error: err?.message || 'embedding backfill failed' };
+    report('embeddings', 'error', out.embeddings.error);
+  }
+
+  return out;
+}
+
 /**
  * Identify whether a channel row is a pre-launch placeholder. Used by
  * UI surfaces to render the pre-launch badge / empty states.
@@ -177,6 +313,8 @@ export const PRELAUNCH_PLACEHOLDER_PREFIX = PLACEHOLDER_PREFIX;
 export default {
   createPrelaunchClient,
   upgradeToRealChannel,
+  resolveLaunchChannel,
+  bootstrapLaunchedChannel,
   isPrelaunchClient,
   PRELAUNCH_PLACEHOLDER_PREFIX,
 };
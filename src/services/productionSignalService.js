@@ -14,6 +14,13 @@
  *   - Previous active row → 'superseded', new row inserted as 'active'
  *   - Audit pack reads the active row via getActiveProductionSignals
  *
+ * The extraction also returns one entry per thumbnail (signals.thumbnails,
+ * each pinned to its youtube_video_id) in the PER_THUMBNAIL_SIGNAL_SCHEMA
+ * shape. thumbnailConceptService joins those to view multipliers to
+ * learn which visual traits outperform in the cohort, and extracts the
+ * same shape from a strategist's mock thumbnail in Pre-flight. Rows
+ * extracted before the per-thumbnail block simply lack it.
+ *
  * Cost: ~12 thumbnails × ~1.5K tokens ≈ $0.02–0.04 per channel per refresh.
  */
 
@@ -23,6 +30,37 @@ import { parseClaudeJSON } from '../lib/parseClaudeJSON';
 
 const DEFAULT_THUMBNAIL_COUNT = 12;
 
+// One thumbnail's signals. Shared by the cohort extraction below and the
+// single-mock extraction in thumbnailConceptService so both sides of the
+// comparison are judged on the same rubric.
+export const PER_THUMBNAIL_SIGNAL_SCHEMA = `{
+    "face": boolean,                     // a human face is prominent
+    "host_visible": boolean,             // the channel's recurring host/person is visible
+    "framing": "close" | "mid" | "wide" | "none",  // shot size of the main person; "none" when no person
+    "text_overlay": boolean,             // overlaid text/headline present
+    "large_text": boolean,               // the headline text dominates the frame
+    "all_caps": boolean,                 // the headline is all-caps
+    "scene_driven": boolean              // scene/B-roll/object-led — no prominent face, no headline
+  }`;
+
+/**
+ * Coerce one model-returned thumbnail entry to the schema above.
+ * Unknown / missing fields become false ("none" for framing).
+ */
+export function normalizeThumbnailSignals(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const framing = ['close', 'mid', 'wide'].includes(raw.framing) ? raw.framing : 'none';
+  return {
+    face: !!raw.face,
+    host_visible: !!raw.host_visible,
+    framing,
+    text_overlay: !!raw.text_overlay,
+    large_text: !!raw.large_text,
+    all_caps: !!raw.all_caps,
+    scene_driven: !!raw.scene_driven,
+  };
+}
+
 // ──────────────────────────────────────────────────
 // Read
 // ──────────────────────────────────────────────────
@@ -80,11 +118,23 @@ async function extractSignalsFromThumbnails(thumbnails, { channelName }) {
       prompt,
       systemPrompt,
       'production_signal_extraction',
-      2048,
+      // Room for the per-thumbnail block (~100 tokens per image).
+      3072,
       { images: thumbnails.map(t => ({ url: t.thumbnail_url })) },
     );
     const parsed = parseClaudeJSON(result.text, null);
     if (!parsed || typeof parsed !== 'object') return null;
+    // Per-thumbnail entries come back in prompt order; pin each to its
+    // video so a reader doesn't depend on the order surviving.
+    if (Array.isArray(parsed.thumbnails)) {
+      parsed.thumbnails = parsed.thumbnails
+        .map((t, i) => {
+          const thumb = thumbnails[(Number(t?.index) || i + 1) - 1];
+          const signals = normalizeThumbnailSignals(t);
+          return thumb && signals ? { youtube_video_id: thumb.youtube_video_id, ...signals } : null;
+        })
+        .filter(Boolean);
+    }
     return parsed;
   } catch (e) {
     console.error('[productionSignal] extraction failed:', e);
@@ -230,12 +280,16 @@ Extract structured visual production signals. Return JSON with this exact shape:
     "all_caps_pct": number               // 0-100, % using all-caps headlines
   },
   "production_tier": "high" | "medium" | "low" | "mixed",
-  "summary": string                      // 2-3 sentence prose summary describing how this channel visually presents itself
+  "summary": string,                     // 2-3 sentence prose summary describing how this channel visually presents itself
+  "thumbnails": [                        // one entry per thumbnail, in the order shown
+  ${PER_THUMBNAIL_SIGNAL_SCHEMA}
+  ]
 }
 
 CRITICAL:
 - Percentages are estimates from the actual thumbnails — be honest, not flattering.
 - "production_tier" judges the polish/budget/craft level visible: lighting, composition, design quality, post work. "mixed" if the set is inconsistent.
+- "thumbnails" must have exactly one entry per image, judged on that image alone, each with an extra "index" field (1-based position).
 - Brand consistency rewards a recognizable look across thumbnails. A channel that swings between unrelated styles scores low.
 - The summary must be useful to a strategist — describe what the channel looks like, not what it is about. Avoid generic phrases like "professional looking" or "high quality" unless backed by specifics.
 - Return ONLY valid JSON. No prose outside the JSON.`;
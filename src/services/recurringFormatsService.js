@@ -68,6 +68,7 @@ export async function generateRecurringFormats({ clientId, clientName = null, ta
       SYSTEM_PROMPT,
       'recurring_formats_generation',
       3000,
+      { clientId, promptVersion: FORMATS_PROMPT_VERSION },
     );
     const raw = (result?.text || '').trim();
     if (!raw) return { ok: false, error: 'LLM returned empty response' };
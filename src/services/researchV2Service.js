@@ -9,11 +9,15 @@
  *   - Upload cadence
  *   - Format mix (% Shorts via duration)
  *
- * Inline category norms compute on read with n<5 suppression.
+ * Inline category norms compute on read with n<5 suppression. Weekly
+ * snapshots of the same norms (category_norm_snapshots, migration 120,
+ * written by api/cron/category-norms) back the history chart and
+ * past-date comparisons.
  */
 
 import { supabase } from './supabaseClient';
 import { expandCategoriesWithDescendants } from './patternsService.js';
+import { labelConfidence } from './statsHelpers.js';
 
 const SHORTS_DURATION_THRESHOLD = 180; // seconds
 
@@ -279,9 +283,28 @@ export async function fetchLandscapeChannels(opts = {}) {
   return enriched;
 }
 
+/**
+ * Metrics carried by category norms, with their category_norm_snapshots
+ * column. `positiveOnly` drops zero values before taking the median —
+ * a channel with no views in window has no median, not a median of 0.
+ */
+export const NORM_METRICS = [
+  { key: 'medianViews',    column: 'median_views',     label: 'Median views',   format: 'number',  positiveOnly: true },
+  { key: 'engagementRate', column: 'engagement_rate',  label: 'Engagement',     format: 'percent', positiveOnly: true },
+  { key: 'viewVelocity',   column: 'view_velocity',    label: 'View velocity',  format: 'number',  positiveOnly: true },
+  { key: 'uploadsPerWeek', column: 'uploads_per_week', label: 'Uploads / week', format: 'decimal', positiveOnly: false },
+  { key: 'shortsShare',    column: 'shorts_share',     label: 'Shorts share',   format: 'percent', positiveOnly: false },
+];
+
+function normMetricValue(ch, key) {
+  if (key === 'shortsShare') return ch.formatMix ? ch.formatMix.short : null;
+  return ch[key];
+}
+
 /**
  * Compute category norms for each metric, used by the inline annotations.
- * Returns `{ [categoryId]: { medianViews, engagementRate, viewVelocity, n } }`.
+ * Returns `{ [categoryId]: { name, n, confidence, medianViews, engagementRate,
+ * viewVelocity, uploadsPerWeek, shortsShare } }`.
  * Categories with fewer than 5 channels are excluded (caller should suppress norms).
  */
 export function computeCategoryNorms(enrichedChannels, minN = 5) {
@@ -296,29 +319,140 @@ export function computeCategoryNorms(enrichedChannels, minN = 5) {
   const norms = {};
   for (const [catId, { name, channels }] of Object.entries(byCategory)) {
     if (channels.length < minN) continue;
-    norms[catId] = {
-      name,
-      n: channels.length,
-      medianViews: median(channels.map(c => c.medianViews).filter(v => v != null && v > 0)),
-      engagementRate: median(channels.map(c => c.engagementRate).filter(v => v != null && v > 0)),
-      viewVelocity: median(channels.map(c => c.viewVelocity).filter(v => v != null && v > 0)),
-    };
+    const norm = { name, n: channels.length, confidence: labelConfidence(channels.length, 'categoryNorm') };
+    for (const m of NORM_METRICS) {
+      norm[m.key] = median(channels
+        .map(c => normMetricValue(c, m.key))
+        .filter(v => v != null && (m.positiveOnly ? v > 0 : v >= 0)));
+    }
+    norms[catId] = norm;
   }
   return norms;
 }
 
+// ----- norm history -----
+
+/**
+ * Monday 00:00 UTC of the week containing `date`, as YYYY-MM-DD — the
+ * week_start key of category_norm_snapshots.
+ */
+export function weekStartOf(date = new Date()) {
+  const d = new Date(date);
+  const monday = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().split('T')[0];
+}
+
+function snapshotFromRow(row) {
+  const snap = {
+    weekStart: row.week_start,
+    n: row.n,
+    confidence: row.confidence,
+  };
+  for (const m of NORM_METRICS) {
+    snap[m.key] = row[m.column] != null ? Number(row[m.column]) : null;
+    snap[`${m.key}N`] = row[`${m.column}_n`] || 0;
+  }
+  return snap;
+}
+
+/**
+ * Weekly norm snapshots for the given categories, oldest first.
+ * Returns `{ [categoryId]: snapshot[] }`; each snapshot carries
+ * weekStart, n, confidence and one value + n per NORM_METRICS entry.
+ *
+ * @param {string[]} categoryIds
+ * @param {Object} [opts]
+ * @param {number} [opts.sinceDays=365]
+ */
+export async function fetchCategoryNormHistory(categoryIds, { sinceDays = 365 } = {}) {
+  if (!supabase || !categoryIds?.length) return {};
+  const since = weekStartOf(new Date(Date.now() - sinceDays * 86400000));
+  const { data, error } = await supabase
+    .from('category_norm_snapshots')
+    .select(`category_id, week_start, n, confidence, ${NORM_METRICS.map(m => `${m.column}, ${m.column}_n`).join(', ')}`)
+    .in('category_id', categoryIds)
+    .gte('week_start', since)
+    .order('week_start', { ascending: true });
+  if (error) {
+    console.warn('[researchV2] fetchCategoryNormHistory failed:', error);
+    return {};
+  }
+  const out = {};
+  for (const row of data || []) {
+    if (!out[row.category_id]) out[row.category_id] = [];
+    out[row.category_id].push(snapshotFromRow(row));
+  }
+  return out;
+}
+
+/**
+ * The snapshot in force on `asOf`: the latest one whose week starts on
+ * or before that date. Snapshots too small to be a norm are skipped, so
+ * a thin week falls back to the last usable one.
+ */
+export function normAsOf(history, asOf) {
+  if (!history?.length || !asOf) return null;
+  const cutoff = typeof asOf === 'string' ? asOf.slice(0, 10) : new Date(asOf).toISOString().split('T')[0];
+  for (let i = history.length - 1; i >= 0; i--) {
+    const snap = history[i];
+    if (snap.weekStart > cutoff) continue;
+    if (snap.confidence === 'insufficient') continue;
+    return snap;
+  }
+  return null;
+}
+
+/**
+ * Change in one metric's norm between the snapshot in force `weeks` ago
+ * and the latest one — "median views fell 18% this quarter".
+ * Returns `{ from, to, pct, fromWeek, toWeek }` or null.
+ */
+export function summarizeNormChange(history, metric, weeks = 13) {
+  const usable = (history || []).filter(s => s.confidence !== 'insufficient' && s[metric] != null);
+  if (usable.length < 2) return null;
+  const latest = usable[usable.length - 1];
+  const target = new Date(`${latest.weekStart}T00:00:00Z`);
+  target.setUTCDate(target.getUTCDate() - weeks * 7);
+  const base = normAsOf(usable, target) || usable[0];
+  if (base === latest || !base[metric]) return null;
+  return {
+    from: base[metric],
+    to: latest[metric],
+    pct: ((latest[metric] - base[metric]) / base[metric]) * 100,
+    fromWeek: base.weekStart,
+    toWeek: latest.weekStart,
+  };
+}
+
 /**
  * Given a channel and the norms for one of its categories,
  * return the lift annotation for each metric.
  * Returns null when norm is missing or sample too small.
+ *
+ * Pass `{ asOf, history, metric }` to compare against the norm that was
+ * in force on a past date instead: `history` is the category's series
+ * from fetchCategoryNormHistory, `metric` a NORM_METRICS key. The result
+ * then also carries the snapshot's `weekStart`, `n` and `confidence`.
  */
-export function computeNormDelta(value, normValue) {
+export function computeNormDelta(value, normValue, { asOf = null, history = null, metric = null } = {}) {
+  let snap = null;
+  if (asOf && history && metric) {
+    snap = normAsOf(history, asOf);
+    normValue = snap ? snap[metric] : null;
+  }
   if (value == null || normValue == null || normValue === 0) return null;
   const pct = ((value - normValue) / normValue) * 100;
-  return {
+  const delta = {
     pct,
     direction: Math.abs(pct) < 3 ? 'flat' : (pct > 0 ? 'pos' : 'neg'),
   };
+  if (snap) {
+    delta.weekStart = snap.weekStart;
+    delta.n = snap.n;
+    delta.confidence = snap.confidence;
+  }
+  return delta;
 }
 
 // ----- helpers -----
@@ -339,7 +473,12 @@ function median(nums) {
 }
 
 export default {
+  NORM_METRICS,
   fetchLandscapeChannels,
   computeCategoryNorms,
+  weekStartOf,
+  fetchCategoryNormHistory,
+  normAsOf,
+  summarizeNormChange,
   computeNormDelta,
 };
@@ -0,0 +1,248 @@
+/**
+ * savedScopesService — named Research v2 scopes (saved_views, migration
+ * 118) and the URL encoding behind shareable deep links.
+ *
+ * A saved scope is the ScopeBar state plus the active lens. RecipesBar
+ * lists them in three groups: the viewer's private scopes, scopes any
+ * teammate shared with the team, and the curated org recipes (066).
+ *
+ * Deep links carry the scope itself rather than a row id, so a link to
+ * an unsaved scope works and nobody needs read access to someone's
+ * private row:
+ *
+ *   ?tab=research-v2&lens=patterns&cats=<id>,<id>&tags=educational
+ *     &tiers=priority,tracked&q=faith&window=90&client=<id>&uncat=1
+ *
+ * ?view=<saved_views.id> opens a saved scope instead (team / org ones,
+ * or your own).
+ */
+
+import { supabase } from './supabaseClient';
+
+export const SCOPE_VISIBILITY = [
+  { value: 'private', label: 'Just me' },
+  { value: 'team',    label: 'Team' },
+  { value: 'org',     label: 'Org recipe' },
+];
+
+export const RESEARCH_LENSES = ['landscape', 'patterns', 'whitespace', 'movement'];
+
+export const DEFAULT_SCOPE = {
+  categoryIds: [],
+  tags: [],
+  tiers: ['priority', 'tracked'],
+  search: '',
+  windowDays: 30,
+  uncategorized: false,
+};
+
+// Deep-link query params ResearchV2 owns (App.jsx consumes `tab`).
+const LINK_PARAMS = ['lens', 'cats', 'tags', 'tiers', 'q', 'window', 'client', 'uncat', 'view'];
+
+/**
+ * The persisted shape of a scope — only the ScopeBar fields, defaults
+ * filled in. Lens-local state (sort, expanded rows) isn't part of it.
+ */
+export function normalizeScope(cfg = {}) {
+  const scope = {
+    categoryIds: Array.isArray(cfg.categoryIds) ? cfg.categoryIds : [],
+    tags: Array.isArray(cfg.tags) ? cfg.tags : [],
+    tiers: Array.isArray(cfg.tiers) && cfg.tiers.length ? cfg.tiers : DEFAULT_SCOPE.tiers,
+    search: cfg.search || '',
+    windowDays: Number(cfg.windowDays) || DEFAULT_SCOPE.windowDays,
+    uncategorized: cfg.uncategorized === true,
+  };
+  if (cfg.clientId) scope.clientId = cfg.clientId;
+  return scope;
+}
+
+// ──────────────────────────────────────────────────
+// Deep links
+// ──────────────────────────────────────────────────
+
+export function scopeToSearchParams(scope, lens) {
+  const s = normalizeScope(scope);
+  const params = new URLSearchParams();
+  params.set('tab', 'research-v2');
+  if (lens && lens !== 'landscape') params.set('lens', lens);
+  if (s.categoryIds.length) params.set('cats', s.categoryIds.join(','));
+  if (s.tags.length) params.set('tags', s.tags.join(','));
+  if (s.tiers.join(',') !== DEFAULT_SCOPE.tiers.join(',')) params.set('tiers', s.tiers.join(','));
+  if (s.search) params.set('q', s.search);
+  if (s.windowDays !== DEFAULT_SCOPE.windowDays) params.set('window', String(s.windowDays));
+  if (s.clientId) params.set('client', s.clientId);
+  if (s.uncategorized) params.set('uncat', '1');
+  return params;
+}
+
+export function buildShareUrl(scope, lens) {
+  return `${window.location.origin}${window.location.pathname}?${scopeToSearchParams(scope, lens)}`;
+}
+
+export function buildSavedScopeUrl(viewId) {
+  return `${window.location.origin}${window.location.pathname}?tab=research-v2&view=${encodeURIComponent(viewId)}`;
+}
+
+/**
+ * Read a deep link. Returns null when the URL carries no Research v2
+ * params, else { scope, lens, viewId } — viewId set means the caller
+ * should load that saved scope and ignore the rest.
+ */
+export function scopeFromSearchParams(params) {
+  if (!LINK_PARAMS.some(k => params.has(k))) return null;
+  const list = (k) => (params.get(k) || '').split(',').map(x => x.trim()).filter(Boolean);
+  const lens = RESEARCH_LENSES.includes(params.get('lens')) ? params.get('lens') : 'landscape';
+  return {
+    viewId: params.get('view') || null,
+    lens,
+    scope: normalizeScope({
+      categoryIds: list('cats'),
+      tags: list('tags'),
+      tiers: list('tiers'),
+      search: params.get('q') || '',
+      windowDays: params.get('window'),
+      clientId: params.get('client') || undefined,
+      uncategorized: params.get('uncat') === '1',
+    }),
+  };
+}
+
+/**
+ * Strip the deep-link params once applied, same as App.jsx does for
+ * `tab`, so a refresh doesn't keep resetting the scope.
+ */
+export function clearScopeSearchParams() {
+  const params = new URLSearchParams(window.location.search);
+  LINK_PARAMS.forEach(k => params.delete(k));
+  const qs = params.toString();
+  window.history.replaceState({}, '', qs ? `${window.location.pathname}?${qs}` : window.location.pathname);
+}
+
+// ──────────────────────────────────────────────────
+// saved_views CRUD
+// ──────────────────────────────────────────────────
+
+const SAVED_SCOPE_COLS = 'id, user_id, owner_email, name, description, lens, config, visibility, sort_order, created_at, updated_at';
+
+/**
+ * Every research scope the viewer can see, grouped for RecipesBar.
+ * personal = own private scopes; team = shared by anyone (including
+ * the viewer); org = curated recipes.
+ */
+export async function listSavedScopes(userId) {
+  const groups = { personal: [], team: [], org: [] };
+  if (!supabase) return groups;
+  const { data, error } = await supabase
+    .from('saved_views')
+    .select(SAVED_SCOPE_COLS)
+    .eq('surface', 'research')
+    .order('sort_order', { ascending: true })
+    .order('updated_at', { ascending: false });
+  if (error) {
+    console.warn('[savedScopesService] listSavedScopes failed:', error);
+    return groups;
+  }
+  for (const row of data || []) {
+    if (row.visibility === 'org') groups.org.push(row);
+    else if (row.visibility === 'team') groups.team.push(row);
+    else if (row.user_id === userId) groups.personal.push(row);
+  }
+  return groups;
+}
+
+export async function loadSavedScope(id) {
+  if (!supabase || !id) return null;
+  const { data, error } = await supabase
+    .from('saved_views')
+    .select(SAVED_SCOPE_COLS)
+    .eq('id', id)
+    .maybeSingle();
+  if (error) {
+    console.warn('[savedScopesService] loadSavedScope failed:', error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Insert (no id) or update a saved scope. Updating rewrites the stored
+ * scope + lens too, so "save over" and rename share one path.
+ *
+ * @param {Object} input
+ * @param {string} [input.id]
+ * @param {string} input.userId
+ * @param {string} [input.ownerEmail]
+ * @param {string} input.name
+ * @param {string} [input.description]
+ * @param {string} input.lens
+ * @param {Object} input.scope
+ * @param {'private'|'team'|'org'} [input.visibility]
+ * @returns {Promise<{ ok: boolean, view?: Object, error?: string }>}
+ */
+export async function saveScope(input) {
+  if (!supabase) return { ok: false, error: 'Supabase not configured' };
+  if (!input?.userId) return { ok: false, error: 'Not signed in' };
+  const name = input.name?.trim();
+  if (!name) return { ok: false, error: 'Give the scope a name' };
+
+  const row = {
+    name,
+    description: input.description?.trim() || null,
+    surface: 'research',
+    lens: RESEARCH_LENSES.includes(input.lens) ? input.lens : 'landscape',
+    config: normalizeScope(input.scope),
+    visibility: input.visibility || 'private',
+  };
+  // Org recipes keep their original owner when an admin edits them
+  if (!input.id) {
+    row.user_id = input.userId;
+    row.owner_email = input.ownerEmail || null;
+  }
+
+  const query = input.id
+    ? supabase.from('saved_views').update(row).eq('id', input.id)
+    : supabase.from('saved_views').insert(row);
+  const { data, error } = await query.select(SAVED_SCOPE_COLS).single();
+  if (error) {
+    console.warn('[savedScopesService] saveScope failed:', error);
+    return { ok: false, error: error.message };
+  }
+  return { ok: true, view: data };
+}
+
+export async function setScopeVisibility(id, visibility) {
+  if (!supabase) return { ok: false, error: 'Supabase not configured' };
+  const { error } = await supabase.from('saved_views').update({ visibility }).eq('id', id);
+  if (error) {
+    console.warn('[savedScopesService] setScopeVisibility failed:', error);
+    return { ok: false, error: error.message };
+  }
+  return { ok: true };
+}
+
+export async function deleteScope(id) {
+  if (!supabase) return { ok: false, error: 'Supabase not configured' };
+  const { error } = await supabase.from('saved_views').delete().eq('id', id);
+  if (error) {
+    console.warn('[savedScopesService] deleteScope failed:', error);
+    return { ok: false, error: error.message };
+  }
+  return { ok: true };
+}
+
+export default {
+  SCOPE_VISIBILITY,
+  RESEARCH_LENSES,
+  DEFAULT_SCOPE,
+  normalizeScope,
+  scopeToSearchParams,
+  scopeFromSearchParams,
+  buildShareUrl,
+  buildSavedScopeUrl,
+  clearScopeSearchParams,
+  listSavedScopes,
+  loadSavedScope,
+  saveScope,
+  setScopeVisibility,
+  deleteScope,
+};
@@ -0,0 +1,422 @@
+/**
+ * Scorecard outcomes service — closes the loop on pre-flight
+ * predictions (migration 123).
+ *
+ * Three steps, run whenever the Pre-flight ledger opens:
+ *   1. Suggest — for unlinked scorecards, rank the client's uploads by
+ *      title similarity (feedbackService's Jaccard, the same matching
+ *      production briefs use), format match and publish-date proximity.
+ *      The strategist confirms a match; nothing links automatically.
+ *   2. Record — linked scorecards whose video is OUTCOME_AGE_DAYS old
+ *      get an actual_tier: the video's day-28 views (velocityCurveService
+ *      curve) ranked against the channel's earlier same-format uploads
+ *      at day 28, cut into quartiles with calibrationService's
+ *      tierFromPercentile. Recorded once, then frozen.
+ *   3. Ledger — predicted vs actual across every settled scorecard:
+ *      exact / adjacent accuracy, per format, per dimension and as a
+ *      running series, so it reads as a forward-looking calibration set
+ *      next to the retro audits in CalibrationWorkspace.
+ *
+ * Pure pieces (suggestScorecardMatches, computeActualTier,
+ * buildOutcomeLedger) take data in; loadOutcomeLedger does the IO.
+ */
+
+import { supabase } from './supabaseClient';
+import { jaccardSimilarity } from './feedbackService';
+import { scoreDimension, tierFromPercentile } from './calibrationService';
+import { labelConfidence, median } from './statsHelpers';
+import {
+  buildVideoCurve,
+  viewsAtAge,
+  pickReferenceCurves,
+  loadCurveSnapshots,
+  isShortVideo,
+  REFERENCE_WINDOW_DAYS,
+  REFERENCE_LIMIT,
+} from './velocityCurveService';
+
+export const OUTCOME_AGE_DAYS = 28;
+export const OUTCOME_BASELINE = 'd28_view_rank';
+
+// Publish window around the scorecard's creation. Wider after than
+// feedbackService's 60 days — concepts often wait a production cycle.
+const MATCH_DAYS_BEFORE = 7;
+const MATCH_DAYS_AFTER = 120;
+const MAX_SUGGESTIONS = 3;
+const MIN_MATCH_CONFIDENCE = 0.15;
+
+const DAY_MS = 86400000;
+
+// Dimensions the ledger reports separately — the deterministic ones the
+// calibration audits also cover, plus the LLM dimensions, which only a
+// forward-looking set can measure.
+const LEDGER_DIMENSIONS = [
+  'title_patterns', 'slot', 'length', 'topic', 'topic_authority',
+  'surface_fit', 'search_keyword_match', 'curiosity_gap', 'hook_promise_delivery',
+  'thumbnail', 'packaging_coherence',
+];
+
+// ──────────────────────────────────────────────────
+// 1. Suggest matches
+// ──────────────────────────────────────────────────
+
+/**
+ * Candidate uploads for one scorecard, best first.
+ *
+ * confidence = 0.6 × title Jaccard + 0.2 format match + up to 0.2 for
+ * publishing soon after the scorecard. Title carries more weight than
+ * in suggestVideoMatches: briefs have loose working titles, scorecards
+ * score the exact title the strategist expects to ship.
+ *
+ * @param {Object} scorecard   { created_at, input: { title, format } }
+ * @param {Object[]} uploads   videos rows: { id, youtube_video_id, title, published_at, duration_seconds, view_count }
+ * @param {Set<string>} [taken] video ids already linked to another scorecard
+ */
+export function suggestScorecardMatches(scorecard, uploads, taken = new Set()) {
+  const title = scorecard?.input?.title;
+  if (!title || !uploads?.length) return [];
+  const created = Date.parse(scorecard.created_at) || Date.now();
+  const wantShort = scorecard.input.format === 'shorts';
+
+  return uploads
+    .filter(v => !taken.has(v.id) && v.published_at)
+    .map(v => {
+      const days = (Date.parse(v.published_at) - created) / DAY_MS;
+      if (days < -MATCH_DAYS_BEFORE || days > MATCH_DAYS_AFTER) return null;
+      const titleScore = jaccardSimilarity(title, v.title);
+      if (titleScore === 0) return null;
+      const formatMatch = isShortVideo(v) === wantShort ? 0.2 : 0;
+      const dateScore = 0.2 * Math.max(0, 1 - Math.max(0, days) / MATCH_DAYS_AFTER);
+      return {
+        videoId: v.id,
+        youtubeVideoId: v.youtube_video_id,
+        title: v.title,
+        publishedAt: v.published_at,
+        views: v.view_count,
+        titleScore,
+        confidence: Math.min(1, titleScore * 0.6 + formatMatch + dateScore),
+      };
+    })
+    .filter(m => m && m.confidence >= MIN_MATCH_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+// ──────────────────────────────────────────────────
+// 2. Actual tier
+// ──────────────────────────────────────────────────
+
+/**
+ * Where a video's day-28 views rank among reference curves at the same
+ * age. Ties count half so a flat channel doesn't push everything into
+ * the bottom quartile.
+ *
+ * @returns {{ tier, outcome } | { error: string }}
+ */
+export function computeActualTier(curve, referenceCurves, age = OUTCOME_AGE_DAYS) {
+  const views = viewsAtAge(curve, age);
+  if (views == null) return { error: `no view snapshot near day ${age}` };
+  const refs = referenceCurves.map(c => viewsAtAge(c, age)).filter(v => v != null);
+  if (labelConfidence(refs.length, 'velocityCurve') === 'insufficient') {
+    return { error: `only ${refs.length} earlier uploads reach day ${age}` };
+  }
+  let below = 0;
+  let equal = 0;
+  for (const r of refs) {
+    if (r < views) below++;
+    else if (r === views) equal++;
+  }
+  const percentile = (below + equal / 2 + 1) / (refs.length + 1);
+  return {
+    tier: tierFromPercentile(percentile),
+    outcome: {
+      age_days: age,
+      views: Math.round(views),
+      percentile: Math.round(percentile * 1000) / 1000,
+      reference_n: refs.length,
+      reference_median: Math.round(median(refs)),
+      baseline: OUTCOME_BASELINE,
+    },
+  };
+}
+
+// ──────────────────────────────────────────────────
+// 3. Ledger
+// ──────────────────────────────────────────────────
+
+/**
+ * Accuracy ledger over settled scorecards (actual_tier set).
+ *
+ * @returns {{ n, composite, byFormat: { shorts, long_form }, perDimension, running: Array<{ at, n, accuracy, adjacent_accuracy }> }}
+ */
+export function buildOutcomeLedger(scorecards) {
+  const settled = (scorecards || [])
+    .filter(s => s.actual_tier && s.composite_tier)
+    .sort((a, b) => Date.parse(a.outcome_recorded_at) - Date.parse(b.outcome_recorded_at));
+
+  const pairsFor = (rows) => rows.map(s => ({ predicted: s.composite_tier, actual: s.actual_tier }));
+
+  const perDimension = {};
+  for (const key of LEDGER_DIMENSIONS) {
+    const pairs = settled
+      .filter(s => s.scores?.[key]?.tier)
+      .map(s => ({ predicted: s.scores[key].tier, actual: s.actual_tier }));
+    if (pairs.length) perDimension[key] = scoreDimension(pairs);
+  }
+
+  // Running accuracy after each settled outcome.
+  const running = [];
+  let exact = 0;
+  let adjacent = 0;
+  settled.forEach((s, i) => {
+    const m = scoreDimension([{ predicted: s.composite_tier, actual: s.actual_tier }]);
+    exact += m.accuracy || 0;
+    adjacent += m.adjacent_accuracy || 0;
+    running.push({
+      at: s.outcome_recorded_at,
+      n: i + 1,
+      accuracy: exact / (i + 1),
+      adjacent_accuracy: adjacent / (i + 1),
+    });
+  });
+
+  return {
+    n: settled.length,
+    composite: scoreDimension(pairsFor(settled)),
+    byFormat: {
+      shorts:    scoreDimension(pairsFor(settled.filter(s => s.input?.format === 'shorts'))),
+      long_form: scoreDimension(pairsFor(settled.filter(s => s.input?.format !== 'shorts'))),
+    },
+    perDimension,
+    running,
+  };
+}
+
+// ──────────────────────────────────────────────────
+// IO
+// ──────────────────────────────────────────────────
+
+/**
+ * Load the client's scorecards, record any outcomes that came due, and
+ * assemble the ledger plus the two work queues the UI shows.
+ *
+ * @returns {Promise<{
+ *   ok: boolean,
+ *   ledger?: Object,
+ *   settled?: Object[],
+ *   awaiting?: Array<{ scorecard, video, dueAt, reason? }>,
+ *   unlinked?: Array<{ scorecard, suggestions }>,
+ *   recordedNow?: number,
+ *   error?: string,
+ * }>}
+ */
+export async function loadOutcomeLedger(clientId) {
+  if (!supabase || !clientId) return { ok: false, error: 'invalid args' };
+  try {
+    const { data: scorecards, error } = await supabase
+      .from('client_concept_scorecards')
+      .select('id, created_at, input, scores, composite_tier, archived_at, batch_id, batch_rank, linked_video_id, linked_youtube_video_id, linked_at, link_confidence, actual_tier, outcome, outcome_recorded_at')
+      .eq('client_id', clientId)
+      .order('created_at', { ascending: false })
+      .limit(500);
+    if (error) throw error;
+    if (!scorecards?.length) {
+      return { ok: true, ledger: buildOutcomeLedger([]), settled: [], awaiting: [], unlinked: [], recordedNow: 0 };
+    }
+
+    const earliest = Math.min(...scorecards.map(s => Date.parse(s.created_at)));
+    const uploads = await loadClientUploads(clientId, new Date(earliest - REFERENCE_WINDOW_DAYS * DAY_MS).toISOString());
+    const uploadById = Object.fromEntries(uploads.map(v => [v.id, v]));
+
+    const { recorded, failures } = await recordDueOutcomes(scorecards, uploads);
+    const rows = scorecards.map(s => recorded[s.id] ? { ...s, ...recorded[s.id] } : s);
+
+    const taken = new Set(rows.map(s => s.linked_video_id).filter(Boolean));
+    const linkedBatches = new Set(rows.filter(s => s.linked_video_id && s.batch_id).map(s => s.batch_id));
+    const awaiting = [];
+    const candidates = [];
+    for (const s of rows) {
+      if (s.actual_tier) continue;
+      if (s.linked_video_id) {
+        const video = uploadById[s.linked_video_id] || null;
+        awaiting.push({
+          scorecard: s,
+          video,
+          dueAt: video ? new Date(Date.parse(video.published_at) + OUTCOME_AGE_DAYS * DAY_MS).toISOString() : null,
+          reason: failures[s.id] || null,
+        });
+      } else if (!s.archived_at && !linkedBatches.has(s.batch_id)) {
+        const suggestions = suggestScorecardMatches(s, uploads, taken);
+        if (suggestions.length) candidates.push({ scorecard: s, suggestions });
+      }
+    }
+
+    // A batch's variants all match the same upload — offer only the
+    // variant whose best suggestion is strongest.
+    const bestPerBatch = {};
+    for (const c of candidates) {
+      const key = c.scorecard.batch_id;
+      if (!key) continue;
+      if (!bestPerBatch[key] || c.suggestions[0].confidence > bestPerBatch[key].suggestions[0].confidence) bestPerBatch[key] = c;
+    }
+    const unlinked = candidates.filter(c => !c.scorecard.batch_id || bestPerBatch[c.scorecard.batch_id] === c);
+
+    const settled = rows.filter(s => s.actual_tier);
+    return {
+      ok: true,
+      ledger: buildOutcomeLedger(settled),
+      settled,
+      awaiting,
+      unlinked,
+      recordedNow: Object.keys(recorded).length,
+    };
+  } catch (err) {
+    console.warn('[scorecardOutcomes] ledger load failed:', err);
+    return { ok: false, error: err.message || String(err) };
+  }
+}
+
+/**
+ * Record actual tiers for linked scorecards whose video has reached
+ * OUTCOME_AGE_DAYS. Reference pool per video: the channel's uploads in
+ * the REFERENCE_WINDOW_DAYS before it (most recent REFERENCE_LIMIT),
+ * same format when there are enough — the channel's norm at the time
+ * the video shipped, not what came after.
+ *
+ * @returns {Promise<{ recorded: Object<string, { actual_tier, outcome, outcome_recorded_at }>, failures: Object<string, string> }>}
+ *   both keyed by scorecard id
+ */
+async function recordDueOutcomes(scorecards, uploads) {
+  const now = Date.now();
+  const byId = Object.fromEntries(uploads.map(v => [v.id, v]));
+  const due = scorecards.filter(s => {
+    if (s.actual_tier || !s.linked_video_id) return false;
+    const video = byId[s.linked_video_id];
+    return video?.published_at && now - Date.parse(video.published_at) >= OUTCOME_AGE_DAYS * DAY_MS;
+  });
+  if (!due.length) return { recorded: {}, failures: {} };
+
+  const referencesFor = (video) => {
+    const published = Date.parse(video.published_at);
+    return uploads
+      .filter(v => {
+        const t = Date.parse(v.published_at);
+        return v.id !== video.id && t < published && published - t <= REFERENCE_WINDOW_DAYS * DAY_MS;
+      })
+      .sort((a, b) => Date.parse(b.published_at) - Date.parse(a.published_at))
+      .slice(0, REFERENCE_LIMIT);
+  };
+
+  const needed = new Map();
+  for (const s of due) {
+    const video = byId[s.linked_video_id];
+    needed.set(video.id, video);
+    for (const r of referencesFor(video)) needed.set(r.id, r);
+  }
+  const snapshots = await loadCurveSnapshots([...needed.values()]);
+  const snapsByVideo = {};
+  for (const row of snapshots) (snapsByVideo[row.video_id] ||= []).push(row);
+  const curveOf = (v) => buildVideoCurve(v, snapsByVideo[v.id]);
+
+  const recorded = {};
+  const failures = {};
+  for (const s of due) {
+    const video = byId[s.linked_video_id];
+    const pool = [video, ...referencesFor(video)].map(v => ({ video: v, curve: curveOf(v) }));
+    const result = computeActualTier(pool[0].curve, pickReferenceCurves(video, pool));
+    if (result.error) {
+      failures[s.id] = result.error;
+      continue;
+    }
+    const patch = {
+      actual_tier: result.tier,
+      outcome: result.outcome,
+      outcome_recorded_at: new Date().toISOString(),
+    };
+    const { error } = await supabase
+      .from('client_concept_scorecards')
+      .update(patch)
+      .eq('id', s.id)
+      .is('actual_tier', null);
+    if (error) {
+      console.warn('[scorecardOutcomes] outcome write failed:', error);
+      failures[s.id] = 'save failed';
+      continue;
+    }
+    recorded[s.id] = patch;
+  }
+  return { recorded, failures };
+}
+
+async function loadClientUploads(clientId, sinceIso) {
+  const rows = [];
+  for (let page = 0; ; page++) {
+    const { data, error } = await supabase
+      .from('videos')
+      .select('id, youtube_video_id, title, published_at, duration_seconds, view_count, views_at_48h')
+      .eq('channel_id', clientId)
+      .gte('published_at', sinceIso)
+      .order('published_at', { ascending: false })
+      .range(page * 1000, page * 1000 + 999);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < 1000) break;
+  }
+  return rows;
+}
+
+/**
+ * Confirm a suggested (or hand-picked) video for a scorecard. Clears
+ * any outcome recorded against a previous link.
+ */
+export async function linkScorecardToVideo({ id, videoId, youtubeVideoId, confidence = null }) {
+  if (!supabase || !id || !videoId) return false;
+  const { error } = await supabase
+    .from('client_concept_scorecards')
+    .update({
+      linked_video_id: videoId,
+      linked_youtube_video_id: youtubeVideoId || null,
+      linked_at: new Date().toISOString(),
+      link_confidence: confidence,
+      actual_tier: null,
+      outcome: null,
+      outcome_recorded_at: null,
+    })
+    .eq('id', id);
+  if (error) {
+    console.warn('[scorecardOutcomes] link failed:', error);
+    return false;
+  }
+  return true;
+}
+
+export async function unlinkScorecard(id) {
+  if (!supabase || !id) return false;
+  const { error } = await supabase
+    .from('client_concept_scorecards')
+    .update({
+      linked_video_id: null,
+      linked_youtube_video_id: null,
+      linked_at: null,
+      link_confidence: null,
+      actual_tier: null,
+      outcome: null,
+      outcome_recorded_at: null,
+    })
+    .eq('id', id);
+  if (error) {
+    console.warn('[scorecardOutcomes] unlink failed:', error);
+    return false;
+  }
+  return true;
+}
+
+export default {
+  OUTCOME_AGE_DAYS,
+  suggestScorecardMatches,
+  computeActualTier,
+  buildOutcomeLedger,
+  loadOutcomeLedger,
+  linkScorecardToVideo,
+  unlinkScorecard,
+};
@@ -17,11 +17,31 @@ export const CONFIDENCE = {
   // still raised from 20 to 40 after the audit feedback that "barely
   // past noise floor" was getting a 'statistical' label.
   pattern: { hide: 5, direction: 5, statistical: 40 },
+  // Pattern interactions: videos in a pattern pair, or a pattern within
+  // one length bucket. Same statistical bar as single patterns, but a
+  // higher floor — with 91 pairs a 5-video cell is nearly always noise.
+  patternInteraction: { hide: 8, direction: 8, statistical: 40 },
   // Cadence cells: per-slot uploads. High variance — individual videos
   // dominate each cell. Raised 8→30 directly per reviewer guidance.
   cadenceCell: { hide: 3, direction: 3, statistical: 30 },
   // Length buckets: per-bucket videos. Similar variance to cadence.
   formatBucket: { hide: 3, direction: 3, statistical: 30 },
+  // Velocity curves: reference uploads from the same channel with a
+  // view count at the age being compared. Same audience, same format,
+  // so the spread is tighter than cross-channel buckets.
+  velocityCurve: { hide: 5, direction: 5, statistical: 20 },
+  // Category norms: channels in the category. Matches the n<5
+  // suppression computeCategoryNorms has always applied.
+  categoryNorm: { hide: 5, direction: 5, statistical: 20 },
+  // Thumbnail style clusters: videos with a view multiplier in the
+  // cluster. Cross-channel like cadence cells, so the same bar.
+  thumbnailCluster: { hide: 5, direction: 5, statistical: 30 },
+  // Thumbnail signals: videos with (or without) a Vision-extracted
+  // trait like "close-up face". Cross-channel, so the cluster bar.
+  thumbnailSignal: { hide: 5, direction: 5, statistical: 30 },
+  // Title-embedding topic clusters: videos with a view multiplier in the
+  // topic. Same cross-channel shape as thumbnail clusters.
+  topicCluster: { hide: 5, direction: 5, statistical: 30 },
 };
 
 export function labelConfidence(n, kind = 'pattern') {
@@ -23,6 +23,9 @@
  *   - Honest about format-skew warnings — when a title pattern's lift
  *     is mostly Shorts-driven and the concept is long-form, the read
  *     says so explicitly.
+ *   - Names a title × thumbnail mismatch when packaging coherence is
+ *     the weakest dimension — the fix is cheap (re-cut the thumbnail
+ *     or the title) and the other dimensions can't see it.
  *   - No AI-tell vocabulary ("leverage", "robust", "innovative",
  *     "stands out", "unlock"). Match the audit-brief register.
  *
@@ -31,7 +34,9 @@
  * before producing").
  */
 
-export const STRATEGIC_READ_PROMPT_VERSION = 'v2-scorer-strategic-read-brand-register';
+import { TIERS, dimensionKey } from './conceptScorerService';
+
+export const STRATEGIC_READ_PROMPT_VERSION = 'v3-scorer-strategic-read-packaging';
 
 /**
  * Generate a 3-4 sentence strategic narrative for a scored concept.
@@ -42,9 +47,10 @@ export const STRATEGIC_READ_PROMPT_VERSION = 'v2-scorer-strategic-read-brand-reg
  * @param {Object} [args.cohortSummary]  cohort context the read can cite:
  *                                       { clientName, channelCount, videoCount,
  *                                         topGap?, topBreakout? }
+ * @param {string} [args.clientId]       for usage-ledger attribution only
  * @returns {Promise<{ text: string | null, promptVersion: string, error?: string }>}
  */
-export async function generateStrategicRead({ input, scoringOutput, cohortSummary = {} }) {
+export async function generateStrategicRead({ input, scoringOutput, cohortSummary = {}, clientId = null }) {
   if (!input || !scoringOutput) {
     return { text: null, promptVersion: STRATEGIC_READ_PROMPT_VERSION, error: 'missing input or scoring output' };
   }
@@ -57,6 +63,7 @@ export async function generateStrategicRead({ input, scoringOutput, cohortSummar
       SYSTEM_PROMPT,
       'concept_strategic_read',
       400,                                // 3-4 sentences fits well under 400 tokens
+      { clientId, promptVersion: STRATEGIC_READ_PROMPT_VERSION },
     );
     const text = (result?.text || '').trim();
     if (!text) {
@@ -82,6 +89,7 @@ Rules:
 - Name any drag or format-skew warning explicitly. If a pattern's lift is mostly Shorts-driven and this concept is long-form, say so.
 - Distinguish statistical from directional confidence in plain English. Directional = "early signal, worth testing once" not "this will work".
 - Brand-register check: if the channel's voice + editorial POV indicate a trust-sensitive register (finance, legal, medical, professional services), question whether high-lift hype-flavored tweaks (ALL CAPS, emoji, clickbait phrasing) would violate brand register — even when the cohort data supports them. Cohort lift on a register-mismatched tweak is short-term clicks at the cost of long-term audience trust; flag this explicitly when relevant.
+- If the scores include a PACKAGING WEAKEST LINK line, name the title–thumbnail mismatch explicitly (redundant or contradictory, per the rationale) and say which half to re-cut. Don't let stronger dimensions bury it.
 - Close with the gate read: does it clear / clear with caveats / need re-work, with the dominant reason.
 - Plain language. NO hype words: leverage, unlock, robust, innovative, stands out, compelling, powerful, game-changer, cutting-edge.
 - No bullets, no markdown, no headers. Continuous prose, 3-4 sentences.
@@ -167,6 +175,13 @@ function buildUserPrompt({ input, scoringOutput, cohortSummary }) {
     const matchedNote = t.matched_topic_name ? ` (matched "${t.matched_topic_name}")` : ' (no cohort match — novel)';
     lines.push(`- Topic "${t.label}"${matchedNote}: tier=${t.tier}, saturation=${t.saturation}, share=${t.cohort_share_pct ?? '0'}%`);
   }
+  if (scores?.packaging_coherence) {
+    const pc = scores.packaging_coherence;
+    lines.push(`- Title × thumbnail coherence: ${pc.coherence_score}/10, tier=${pc.tier}${pc.rationale ? ` — ${pc.rationale}` : ''}`);
+    if (isPackagingWeakestLink(scores)) {
+      lines.push('- PACKAGING WEAKEST LINK: title × thumbnail coherence is the lowest-tier dimension on this scorecard.');
+    }
+  }
 
   if (scoringOutput.suggested_tweaks?.length) {
     lines.push('');
@@ -181,4 +196,16 @@ function buildUserPrompt({ input, scoringOutput, cohortSummary }) {
   return lines.join('\n');
 }
 
+// Packaging coherence is the weakest link when it sits below the
+// likely_solid bar and no other dimension scores a lower tier. Ties
+// count — a risky package alongside a risky slot is still worth naming.
+function isPackagingWeakestLink(scores) {
+  const pc = scores.packaging_coherence;
+  const rank = (d) => TIERS.indexOf(d.tier);
+  if (!pc || rank(pc) >= TIERS.indexOf('likely_solid')) return false;
+  return Object.values(scores)
+    .filter(d => d && dimensionKey(d) !== 'packaging_coherence')
+    .every(d => rank(d) >= rank(pc));
+}
+
 export default { generateStrategicRead, STRATEGIC_READ_PROMPT_VERSION };
@@ -0,0 +1,78 @@
+/**
+ * sweepFreshness — the competitor-comment sweep rollup behind the
+ * "Comments" freshness chip (dataFreshnessService, which re-exports it)
+ * and the stale_comment_sweep This Week check (thisWeekRules).
+ *
+ * Pure, no supabase import: /api/cron/alert-delivery loads it through
+ * thisWeekRules.
+ */
+
+export const SWEEP_DEFAULT_WINDOW_DAYS = 30;
+
+/** { [competitor_channel_id]: completed_at } — newest first input assumed. */
+export function latestSweepByChannel(sweepRows) {
+  const map = {};
+  for (const r of (sweepRows || [])) {
+    if (r.competitor_channel_id && !map[r.competitor_channel_id]) map[r.competitor_channel_id] = r.completed_at;
+  }
+  return map;
+}
+
+/**
+ * Per-peer "last swept" state rolled up into one source. `at`
+ * is the OLDEST last-swept among swept peers: the chip answers "how
+ * old is the stalest peer's comment data?". Never-swept peers count
+ * as very_stale only when a cadence is set (the cron should have
+ * reached them); otherwise they're listed but don't drive the tier.
+ *
+ * The freshness badge and the stale_comment_sweep check (thisWeekRules)
+ * both read this, so the alert and the badge agree.
+ */
+export function buildSweepSource({ peers, lastSweptByChannel, cadenceDays = null, error = null }) {
+  const windowDays = cadenceDays || SWEEP_DEFAULT_WINDOW_DAYS;
+  const channels = (peers || [])
+    .map(p => {
+      const at = lastSweptByChannel?.[p.id] || null;
+      return { channelId: p.id, name: p.name || '(unnamed)', at, tier: computeSweepTier(at, windowDays) };
+    })
+    .sort((a, b) => (a.at ? new Date(a.at).getTime() : -Infinity) - (b.at ? new Date(b.at).getTime() : -Infinity));
+
+  const swept = channels.filter(c => c.at);
+  const neverSweptCount = channels.length - swept.length;
+  const tierInputs = swept.map(c => c.tier);
+  if (cadenceDays && neverSweptCount > 0) tierInputs.push('very_stale');
+
+  let tier;
+  if (error)                   tier = 'error';
+  else if (!tierInputs.length) tier = 'missing';
+  else                         tier = worstTier(tierInputs);
+
+  return {
+    label:           'Comments',
+    at:              swept[0]?.at || null,
+    tier,
+    errorMessage:    error || null,
+    channels,
+    peerCount:       channels.length,
+    neverSweptCount,
+    cadenceDays:     cadenceDays || null,
+    windowDays,
+    scheduled:       !!cadenceDays,
+  };
+}
+
+function computeSweepTier(timestamp, windowDays) {
+  if (!timestamp) return 'missing';
+  const ageDays = (Date.now() - new Date(timestamp).getTime()) / 86_400_000;
+  if (ageDays < windowDays)     return 'fresh';
+  if (ageDays < windowDays * 2) return 'stale';
+  return 'very_stale';
+}
+
+/** very_stale > stale > fresh > missing. */
+export function worstTier(tiers) {
+  if (tiers.includes('very_stale')) return 'very_stale';
+  if (tiers.includes('stale')) return 'stale';
+  if (tiers.includes('fresh')) return 'fresh';
+  return 'missing';
+}
@@ -0,0 +1,517 @@
+/**
+ * thisWeekRules — the checks behind the This Week alerts feed, minus
+ * the IO.
+ *
+ * thisWeekService loads the rows in the browser and
+ * /api/cron/alert-delivery loads them with the service role; both hand
+ * them to clientAlerts / inviteAlerts here, so a delivered alert has
+ * the same type, severity, label and id as the one on the This Week
+ * panel. The group* helpers turn raw query rows into the per-client
+ * signals the checks read. See thisWeekService's header for what each
+ * signal type means.
+ *
+ * Pure, no supabase import — every import stays Node-loadable.
+ */
+
+import {
+  oauthInviteLifecycle, intakeTokenLifecycle, isRecentlyExpired, describeReminder,
+} from './inviteLifecycle.js';
+import { buildSweepSource, latestSweepByChannel } from './sweepFreshness.js';
+
+const WEEK_MS  = 7 * 86_400_000;
+const MONTH_MS = 28 * 86_400_000;
+
+export const SEVERITY_ORDER = { high: 3, medium: 2, low: 1 };
+
+// Every type the feed can raise, labelled for the Alert Delivery picker.
+export const THIS_WEEK_ALERT_TYPES = [
+  { id: 'sync_error',                  label: 'Channel sync failing' },
+  { id: 'oauth_connection_error',      label: 'OAuth connection error' },
+  { id: 'empty_peer_cohort',           label: 'No peer-tagged competitors' },
+  { id: 'stale_repositioning_audit',   label: 'Repositioning audit stale' },
+  { id: 'stale_calibration',           label: 'Calibration stale' },
+  { id: 'stale_brief',                 label: 'Weekly brief stale' },
+  { id: 'intake_pending_confirm',      label: 'Intake answers awaiting confirmation' },
+  { id: 'prelaunch_past_launch_date',  label: 'Pre-launch past launch date' },
+  { id: 'intake_token_unopened',       label: 'Pre-work link never opened' },
+  { id: 'intake_token_expiring',       label: 'Pre-work link expiring' },
+  { id: 'intake_token_expired_unused', label: 'Pre-work link expired unused' },
+  { id: 'oauth_invite_expiring',       label: 'OAuth invite expiring' },
+  { id: 'oauth_invite_expired_unused', label: 'OAuth invite expired unused' },
+  { id: 'stale_comment_sweep',         label: 'Peer comment sweep stale' },
+];
+
+// ──────────────────────────────────────────────────
+// Checks
+// ──────────────────────────────────────────────────
+
+/**
+ * Per-client alerts.
+ *
+ * @param {Object} client   channels row (id, name, lifecycle_stage,
+ *   last_sync_attempt_at, last_sync_error, is_prelaunch,
+ *   prelaunch_intended_launch_at, created_at)
+ * @param {Object} signals
+ * @param {Object} [signals.audit]        latest { created_at } or null
+ * @param {Object} [signals.calibration]  latest { created_at } or null
+ * @param {Object} [signals.brief]        latest { created_at } or null
+ * @param {Object} [signals.connection]   latest youtube_oauth_connections row
+ * @param {number} [signals.peerChannelCount]  null = unknown (no alert)
+ * @param {Object} [signals.intakePending]     groupIntakePending entry
+ * @param {Object} [signals.intakeTokens]      groupIntakeTokens entry
+ * @param {Object} [signals.commentSweep]      groupCommentSweeps entry
+ * @param {number} now
+ * @returns {Array} alerts (make shape), unsorted
+ */
+export function clientAlerts(client, signals, now) {
+  const alerts = [];
+  const clientId = client.id;
+
+  // Stale repositioning audit — only fires when there's a channel
+  // with videos to audit. Skip for prospect + pre-launch.
+  const audit = signals.audit;
+  const ageAudit = audit ? now - new Date(audit.created_at).getTime() : Infinity;
+  if (!audit && !isNoChannelStage(client)) {
+    alerts.push(make({
+      clientId, clientName: client.name, severity: 'medium',
+      type: 'stale_repositioning_audit',
+      label: 'No repositioning audit yet',
+      description: 'Bulk-score the channel\'s catalog so the scorer has predictions to validate.',
+      targetTab: 'repositioning',
+      createdAt: client.created_at,
+    }));
+  } else if (ageAudit > MONTH_MS && !isNoChannelStage(client)) {
+    alerts.push(make({
+      clientId, clientName: client.name, severity: 'medium',
+      type: 'stale_repositioning_audit',
+      label: `Audit is ${Math.round(ageAudit / 86_400_000)} days old`,
+      description: 'New videos since the last audit aren\'t in the systemic gap/strength picture. Re-run.',
+      targetTab: 'repositioning',
+      createdAt: audit.created_at,
+    }));
+  }
+
+  // Stale calibration relative to latest audit — calibration is
+  // audit-dependent so the prospect skip above handles the upstream
+  // case; still guard here in case an audit exists but the client
+  // was re-staged to prospect.
+  const calib = signals.calibration;
+  if (audit && !calib && !isNoChannelStage(client)) {
+    alerts.push(make({
+      clientId, clientName: client.name, severity: 'medium',
+      type: 'stale_calibration',
+      label: 'Audit has no calibration',
+      description: 'Run calibration against the latest audit. Every audit finding is a claim until validated.',
+      targetTab: 'calibration',
+      createdAt: audit.created_at,
+    }));
+  } else if (audit && calib && new Date(calib.created_at) < new Date(audit.created_at) && !isNoChannelStage(client)) {
+    alerts.push(make({
+      clientId, clientName: client.name, severity: 'low',
+      type: 'stale_calibration',
+      label: 'Calibration predates the latest audit',
+      description: 'Audit was re-run after calibration. Re-calibrate to keep the trust ranking honest.',
+      targetTab: 'calibration',
+      createdAt: calib.created_at,
+    }));
+  }
+
+  // Stale brief — only fires once there's a channel actively producing
+  // content to brief on. Prospects + pre-launch don't.
+  const brief = signals.brief;
+  const ageBrief = brief ? now - new Date(brief.created_at).getTime() : Infinity;
+  if (!brief && !isNoChannelStage(client)) {
+    alerts.push(make({
+      clientId, clientName: client.name, severity: 'medium',
+      type: 'stale_brief',
+      label: 'No weekly brief generated yet',
+      description: 'Generate the strategist-facing brief — the artifact that translates analytics into client recommendations.',
+      targetTab: 'weekly-brief',
+      createdAt: client.created_at,
+    }));
+  } else if (brief && ageBrief > WEEK_MS && !isNoChannelStage(client)) {
+    alerts.push(make({
+      clientId, clientName: client.name, severity: 'medium',
+      type: 'stale_brief',
+      label: `Brief is ${Math.round(ageBrief / 86_400_000)} days old`,
+      description: 'Regenerate against the current analytical state.',
+      targetTab: 'weekly-brief',
+      createdAt: brief.created_at,
+    }));
+  }
+
+  // Channel sync error — skip for clients with no channel to sync
+  // (prospect lifecycle, pre-launch). They legitimately have no sync.
+  if (client.last_sync_error && !isNoChannelStage(client)) {
+    alerts.push(make({
+      clientId, clientName: client.name, severity: 'high',
+      type: 'sync_error',
+      label: 'Channel sync failing',
+      description: client.last_sync_error.length > 140
+        ? client.last_sync_error.slice(0, 140) + '…'
+        : client.last_sync_error,
+      targetTab: 'api-keys',
+      createdAt: client.last_sync_attempt_at,
+    }));
+  }
+
+  // Empty peer cohort (after migration 093 every channel defaults
+  // to peer, so this only fires when client_channels has zero rows
+  // OR all rows are tagged aspirational/reference). Prospects don't
+  // need a peer cohort yet.
+  const peerCount = signals.peerChannelCount ?? null;
+  if (peerCount === 0 && !isNoChannelStage(client)) {
+    alerts.push(make({
+      clientId, clientName: client.name, severity: 'high',
+      type: 'empty_peer_cohort',
+      label: 'No peer-tagged competitors',
+      description: 'Prediction surfaces (Pre-flight, Repositioning, Calibration) read from peer-tagged channels. Tag at least one peer in Cohort to enable scoring.',
+      targetTab: 'cohort-roles',
+      createdAt: client.created_at,
+    }));
+  }
+
+  // Pre-launch past intended launch date
+  if (client.is_prelaunch && client.prelaunch_intended_launch_at) {
+    const launchAt = new Date(client.prelaunch_intended_launch_at).getTime();
+    if (launchAt < now) {
+      const daysPast = Math.round((now - launchAt) / 86_400_000);
+      alerts.push(make({
+        clientId, clientName: client.name, severity: 'low',
+        type: 'prelaunch_past_launch_date',
+        label: `Pre-launch client is ${daysPast} days past intended launch`,
+        description: 'Either upgrade to the real channel or revise the intended launch date.',
+        targetTab: 'portfolio',
+        createdAt: client.prelaunch_intended_launch_at,
+      }));
+    }
+  }
+
+  // OAuth connection error for this client's channel — skip when
+  // there's no channel to connect to.
+  const conn = signals.connection;
+  if (conn?.connection_error && !isNoChannelStage(client)) {
+    alerts.push(make({
+      clientId, clientName: client.name, severity: 'high',
+      type: 'oauth_connection_error',
+      label: 'OAuth connection error',
+      description: conn.connection_error.length > 140 ? conn.connection_error.slice(0, 140) + '…' : conn.connection_error,
+      targetTab: 'api-keys',
+      createdAt: conn.updated_at || conn.last_refreshed_at,
+    }));
+  }
+
+  // Install intake — client (or pre-population) answers waiting for
+  // strategist confirmation. The "you don't know the client submitted
+  // unless you go check" gap (reported 2026-06-12).
+  const pendingIntake = signals.intakePending;
+  if (pendingIntake?.count > 0) {
+    const clientCount = pendingIntake.bySource.client || 0;
+    const preCount    = pendingIntake.bySource.pre_populated || 0;
+    const parts = [];
+    if (clientCount) parts.push(`${clientCount} client-submitted`);
+    if (preCount)    parts.push(`${preCount} pre-populated`);
+    alerts.push(make({
+      clientId, clientName: client.name, severity: 'medium',
+      type: 'intake_pending_confirm',
+      label: `${pendingIntake.count} install intake answer${pendingIntake.count === 1 ? '' : 's'} awaiting confirmation`,
+      description: `${parts.join(', ')} — confirm each in the install workspace ("I checked this with the client"). Client async answers never enter the Spine until you stamp them.`,
+      targetTab: 'install',
+      createdAt: pendingIntake.mostRecentSubmittedAt || client.created_at,
+    }));
+  }
+
+  // Install intake — token issued but never opened. Strategist
+  // probably needs to follow up on the email send.
+  const tokenInfo = signals.intakeTokens;
+  const expiringToken = tokenInfo?.expiringToken;
+  if (tokenInfo?.unopenedStaleToken && tokenInfo.unopenedStaleToken.id !== expiringToken?.id) {
+    const t = tokenInfo.unopenedStaleToken;
+    const ageDays = Math.round((now - new Date(t.created_at).getTime()) / 86_400_000);
+    alerts.push(make({
+      clientId, clientName: client.name, severity: 'low',
+      type: 'intake_token_unopened',
+      label: `Pre-work link sent ${ageDays}d ago, never opened`,
+      description: `Recipient: ${t.intended_recipient_name || t.intended_recipient_email || '(unspecified)'}. Worth a nudge — the discovery call works better when the factual surface is filled in first.`,
+      targetTab: 'install',
+      createdAt: t.created_at,
+    }));
+  }
+
+  // Install intake — token about to lapse / lapsed with nothing
+  // submitted. The cron may already have emailed the recipient; say so.
+  if (expiringToken) {
+    const t = expiringToken;
+    const hoursOut = Math.max(1, Math.round((new Date(t.expires_at).getTime() - now) / 3_600_000));
+    alerts.push(make({
+      clientId, clientName: client.name, severity: 'medium',
+      type: 'intake_token_expiring',
+      label: `Pre-work link expires in ${hoursOut}h, nothing submitted`,
+      description: `${t.first_accessed_at ? 'Opened but not submitted.' : 'Never opened.'} ${reminderSentence(t.reminders, 'Nudge the client or issue a fresh link.')}`,
+      targetTab: 'install',
+      createdAt: t.created_at,
+    }));
+  }
+  if (tokenInfo?.expiredUnusedToken) {
+    const t = tokenInfo.expiredUnusedToken;
+    alerts.push(make({
+      clientId, clientName: client.name, severity: 'medium',
+      type: 'intake_token_expired_unused',
+      label: `Pre-work link expired ${formatDaysAgo(now, t.expires_at)} unused`,
+      description: `Sent to ${t.intended_recipient_name || t.intended_recipient_email || '(unspecified)'} — ${t.first_accessed_at ? 'opened, never submitted' : 'never opened'}. Issue a new link or cover the client-facing questions on the call.`,
+      targetTab: 'install',
+      createdAt: t.expires_at,
+    }));
+  }
+
+  // Competitor-comment sweep freshness — same rollup the freshness
+  // badge shows. Applies to pre-launch clients too; prospects have
+  // no cohort worth sweeping yet.
+  const sweep = signals.commentSweep;
+  if (sweep && client.lifecycle_stage !== 'prospect') {
+    const ageDays = sweep.at ? Math.round((now - new Date(sweep.at).getTime()) / 86_400_000) : null;
+    if (sweep.scheduled && (sweep.tier === 'error' || sweep.tier === 'very_stale')) {
+      alerts.push(make({
+        clientId, clientName: client.name, severity: 'medium',
+        type: 'stale_comment_sweep',
+        label: sweep.errorMessage
+          ? 'Scheduled comment re-sweep failing'
+          : `Scheduled comment re-sweep overdue (${sweep.neverSweptCount > 0 ? `${sweep.neverSweptCount} peer${sweep.neverSweptCount === 1 ? '' : 's'} never swept` : `stalest peer ${ageDays}d old`})`,
+        description: sweep.errorMessage
+          ? (sweep.errorMessage.length > 140 ? sweep.errorMessage.slice(0, 140) + '…' : sweep.errorMessage)
+          : `Cadence is every ${sweep.cadenceDays} days but the cron hasn't refreshed every peer. Run "Sweep all peers" to catch up, then check the cron logs.`,
+        targetTab: 'audience',
+        createdAt: sweep.at || client.created_at,
+      }));
+    } else if (!sweep.scheduled && sweep.at && (sweep.tier === 'stale' || sweep.tier === 'very_stale')) {
+      alerts.push(make({
+        clientId, clientName: client.name, severity: 'low',
+        type: 'stale_comment_sweep',
+        label: `Peer comments last swept ${ageDays}d ago`,
+        description: 'Competitor audiences have moved on since. Re-sweep the peers — only comments not seen before are counted as new — or turn on scheduled re-sweeps.',
+        targetTab: 'audience',
+        createdAt: sweep.at,
+      }));
+    }
+  }
+  return alerts;
+}
+
+/**
+ * Global invite alerts — not tied to one client in the feed, so their
+ * clientId is null and they're snoozed under the NULL client_id.
+ * inviteClientId carries the invite's client (when it has one) for
+ * callers that scope by client.
+ *
+ * @param {Array} invites        open (non-redeemed) invites, `reminders` attached when loaded
+ * @param {Set}   supersededIds  supersededInviteIds of the same lookback window
+ * @param {number} now
+ */
+export function inviteAlerts(invites, supersededIds, now) {
+  const alerts = [];
+  for (const invite of invites || []) {
+    const lifecycle = oauthInviteLifecycle(invite, now);
+    const clientName = invite.client_label || invite.expected_youtube_email || 'Untitled invite';
+    if (lifecycle === 'expiring_soon') {
+      const hoursOut = (new Date(invite.expires_at).getTime() - now) / 3_600_000;
+      alerts.push(make({
+        clientId: null,
+        inviteClientId: invite.client_id || null,
+        clientName,
+        severity: 'medium',
+        type: 'oauth_invite_expiring',
+        label: `OAuth invite expires in ${Math.max(1, Math.round(hoursOut))}h`,
+        description: `The owner hasn't accepted yet. ${reminderSentence(invite.reminders, 'Follow up before it expires or revoke and re-send.')}`,
+        targetTab: 'api-keys',
+        createdAt: invite.created_at,
+      }));
+    } else if (lifecycle === 'expired_unused'
+      && isRecentlyExpired(invite.expires_at, now)
+      && !supersededIds?.has(invite.id)) {
+      alerts.push(make({
+        clientId: null,
+        inviteClientId: invite.client_id || null,
+        clientName,
+        severity: 'medium',
+        type: 'oauth_invite_expired_unused',
+        label: `OAuth invite expired ${formatDaysAgo(now, invite.expires_at)} unused`,
+        description: 'The owner never connected a channel. Create a new invite if you still need analytics access.',
+        targetTab: 'api-keys',
+        createdAt: invite.expires_at,
+      }));
+    }
+  }
+
+  return alerts;
+}
+
+// ──────────────────────────────────────────────────
+// Grouping raw rows into signals
+// ──────────────────────────────────────────────────
+
+/**
+ * client_install_intake rows (client / pre_populated, unconfirmed) →
+ * { [clientId]: { count, bySource: { client, pre_populated }, mostRecentSubmittedAt } }.
+ */
+export function groupIntakePending(rows) {
+  const byClient = {};
+  for (const row of rows || []) {
+    if (!byClient[row.client_id]) {
+      byClient[row.client_id] = { count: 0, bySource: {}, mostRecentSubmittedAt: null };
+    }
+    const entry = byClient[row.client_id];
+    entry.count += 1;
+    entry.bySource[row.source] = (entry.bySource[row.source] || 0) + 1;
+    if (!entry.mostRecentSubmittedAt || row.submitted_at > entry.mostRecentSubmittedAt) {
+      entry.mostRecentSubmittedAt = row.submitted_at;
+    }
+  }
+  return byClient;
+}
+
+/**
+ * Per client, from unrevoked install_intake_tokens rows (oldest first)
+ * that expired no earlier than the lookback window:
+ *   unopenedStaleToken — issued ≥3 days ago, never accessed, still has
+ *                        time left: the strategist forgot to remind the
+ *                        client. The oldest such token.
+ *   expiringToken      — nothing submitted, expires within 48h.
+ *   expiredUnusedToken — expired recently with nothing submitted, and no
+ *                        newer token has been issued since.
+ * Callers attach `reminders` to the expiring / expired tokens.
+ */
+export function groupIntakeTokens(rows, now) {
+  const threeDaysAgo = now - 3 * 86_400_000;
+  const byClient = {};
+  for (const row of rows || []) {
+    if (!byClient[row.client_id]) byClient[row.client_id] = { newestCreatedAt: null };
+    const entry = byClient[row.client_id];
+    const lifecycle = intakeTokenLifecycle(row, now);
+    if (!entry.unopenedStaleToken && lifecycle !== 'expired_unused' && !row.first_accessed_at
+      && new Date(row.created_at).getTime() <= threeDaysAgo) {
+      entry.unopenedStaleToken = row;
+    }
+    if (lifecycle === 'expiring_soon') entry.expiringToken = row;
+    if (lifecycle === 'expired_unused') entry.expiredUnusedToken = row;
+    entry.newestCreatedAt = row.created_at;
+  }
+  for (const entry of Object.values(byClient)) {
+    if (entry.expiredUnusedToken && entry.newestCreatedAt > entry.expiredUnusedToken.created_at) {
+      entry.expiredUnusedToken = null;
+    }
+  }
+  return byClient;
+}
+
+/** Tokens from groupIntakeTokens whose reminder history the checks read. */
+export function remindableTokens(byClient) {
+  return Object.values(byClient)
+    .flatMap(e => [e.expiringToken, e.expiredUnusedToken])
+    .filter(Boolean);
+}
+
+/**
+ * Invite ids a newer invite for the same client supersedes — an old
+ * expired invite isn't "unused" once the strategist re-sent it. Pass
+ * redeemed rows too; they count as newer.
+ */
+export function supersededInviteIds(rows) {
+  const newestByClient = {};
+  for (const inv of rows || []) {
+    if (!inv.client_id) continue;
+    if (!newestByClient[inv.client_id] || inv.created_at > newestByClient[inv.client_id]) {
+      newestByClient[inv.client_id] = inv.created_at;
+    }
+  }
+  return new Set(
+    (rows || []).filter(inv => inv.client_id && newestByClient[inv.client_id] > inv.created_at).map(inv => inv.id),
+  );
+}
+
+/**
+ * Peer comment-sweep rollup per client (sweepFreshness.buildSweepSource).
+ * Clients with no peer-tagged competitors are omitted — empty_peer_cohort
+ * already covers them.
+ *
+ * @param {string[]} clientIds
+ * @param {Object} rows
+ * @param {Array} rows.settings  channels { id, comment_resweep_cadence_days, last_comment_resweep_error }
+ * @param {Array} rows.links     client_channels peer rows { client_id, channel_id }
+ * @param {Array} rows.peers     competitor channels { id, name }
+ * @param {Array} rows.sweeps    complete client_comment_sweeps, newest first
+ */
+export function groupCommentSweeps(clientIds, { settings, links, peers, sweeps }) {
+  const peersById = new Map((peers || []).map(p => [p.id, p]));
+  const settingsById = new Map((settings || []).map(c => [c.id, c]));
+  const byClient = {};
+  for (const clientId of clientIds) {
+    const clientPeers = (links || [])
+      .filter(l => l.client_id === clientId && peersById.has(l.channel_id))
+      .map(l => peersById.get(l.channel_id));
+    if (!clientPeers.length) continue;
+    const cfg = settingsById.get(clientId);
+    byClient[clientId] = buildSweepSource({
+      peers:              clientPeers,
+      lastSweptByChannel: latestSweepByChannel((sweeps || []).filter(r => r.client_id === clientId)),
+      cadenceDays:        cfg?.comment_resweep_cadence_days ?? null,
+      error:              cfg?.last_comment_resweep_error || null,
+    });
+  }
+  return byClient;
+}
+
+// ──────────────────────────────────────────────────
+// Ids, dismissals, ordering
+// ──────────────────────────────────────────────────
+
+export function make({ clientId, inviteClientId, clientName, severity, type, label, description, targetTab, createdAt }) {
+  return {
+    id: `${clientId || 'global'}-${type}-${createdAt || ''}`,
+    clientId, clientName, severity, type, label, description, targetTab, createdAt,
+    ...(inviteClientId !== undefined ? { inviteClientId } : {}),
+  };
+}
+
+/**
+ * alert_dismissals key. A NULL client_id (global snooze) is the literal
+ * "null" so global alerts look up the same way.
+ */
+export function makeDismissKey(clientId, alertType) {
+  return `${clientId || 'null'}|${alertType}`;
+}
+
+/** Severity desc, then recency desc. */
+export function compareAlerts(a, b) {
+  const sevDiff = SEVERITY_ORDER[b.severity] - SEVERITY_ORDER[a.severity];
+  if (sevDiff !== 0) return sevDiff;
+  return new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+}
+
+/**
+ * A "no channel to sync" client — prospect lifecycle OR pre-launch
+ * flag. These should NEVER receive sync-shaped alerts (sync_error,
+ * oauth_connection_error, stale_brief, etc.) because there's no
+ * channel to be measured against. Reported 2026-06-12: sync errors
+ * were firing for prospects who don't have a channel yet.
+ */
+export function isNoChannelStage(client) {
+  if (!client) return false;
+  if (client.is_prelaunch) return true;
+  if (client.lifecycle_stage === 'prospect') return true;
+  return false;
+}
+
+/**
+ * "Reminder sent to owner@x.com · Oct 18." when the invite-reminders
+ * cron already handled the nudge, else the fallback call to action.
+ */
+function reminderSentence(reminders, fallback) {
+  const latest = (reminders || []).find(r => r.template.endsWith('_expiring_soon'));
+  if (!latest || latest.status === 'skipped') return fallback;
+  return `${describeReminder(latest)}.${latest.status === 'failed' ? ` ${fallback}` : ''}`;
+}
+
+function formatDaysAgo(now, iso) {
+  const days = Math.floor((now - new Date(iso).getTime()) / 86_400_000);
+  return days <= 0 ? 'today' : days === 1 ? 'yesterday' : `${days}d ago`;
+}
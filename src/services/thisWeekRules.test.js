@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest';
+import {
+  THIS_WEEK_ALERT_TYPES, clientAlerts, inviteAlerts, compareAlerts, makeDismissKey,
+  groupIntakePending, groupIntakeTokens, remindableTokens, supersededInviteIds, groupCommentSweeps,
+} from './thisWeekRules';
+
+const now = Date.now();
+const DAY = 86_400_000;
+const iso = (offsetMs) => new Date(now + offsetMs).toISOString();
+
+const client = (overrides) => ({
+  id: 'c1', name: 'Acme', lifecycle_stage: 'active', is_prelaunch: false,
+  last_sync_error: null, last_sync_attempt_at: null, prelaunch_intended_launch_at: null,
+  created_at: iso(-90 * DAY),
+  ...overrides,
+});
+const types = (alerts) => alerts.map(a => a.type).sort();
+
+describe('clientAlerts', () => {
+  it('raises nothing for a client with fresh audit, calibration, brief and a peer cohort', () => {
+    const alerts = clientAlerts(client(), {
+      audit: { created_at: iso(-10 * DAY) },
+      calibration: { created_at: iso(-5 * DAY) },
+      brief: { created_at: iso(-2 * DAY) },
+      peerChannelCount: 3,
+    }, now);
+    expect(alerts).toEqual([]);
+  });
+
+  it('flags missing artifacts, sync errors and an empty cohort with the feed ids', () => {
+    const alerts = clientAlerts(client({ last_sync_error: 'quota', last_sync_attempt_at: iso(-DAY) }), {
+      peerChannelCount: 0,
+      connection: { connection_error: 'invalid_grant', updated_at: iso(-DAY) },
+    }, now);
+    expect(types(alerts)).toEqual([
+      'empty_peer_cohort', 'oauth_connection_error', 'stale_brief', 'stale_repositioning_audit', 'sync_error',
+    ]);
+    const sync = alerts.find(a => a.type === 'sync_error');
+    expect(sync).toMatchObject({ clientId: 'c1', clientName: 'Acme', severity: 'high', description: 'quota' });
+    expect(sync.id).toBe(`c1-sync_error-${iso(-DAY)}`);
+  });
+
+  it('skips channel-shaped alerts for prospects and pre-launch clients', () => {
+    for (const c of [client({ lifecycle_stage: 'prospect' }), client({ is_prelaunch: true })]) {
+      const alerts = clientAlerts({ ...c, last_sync_error: 'quota' }, { peerChannelCount: 0 }, now);
+      expect(alerts).toEqual([]);
+    }
+  });
+
+  it('does not raise empty_peer_cohort when the peer count is unknown', () => {
+    const alerts = clientAlerts(client(), {
+      audit: { created_at: iso(-DAY) }, calibration: { created_at: iso(-DAY) }, brief: { created_at: iso(-DAY) },
+    }, now);
+    expect(alerts).toEqual([]);
+  });
+
+  it('mentions a sent reminder on an expiring intake token', () => {
+    const byClient = groupIntakeTokens([{
+      id: 't1', client_id: 'c1', created_at: iso(-6 * DAY), expires_at: iso(DAY),
+      first_accessed_at: null, last_submitted_at: null,
+    }], now);
+    const [token] = remindableTokens(byClient);
+    token.reminders = [{
+      template: 'intake_token_expiring_soon', status: 'sent', transport: 'smtp',
+      recipient_email: 'owner@acme.test', sent_at: iso(-DAY), created_at: iso(-DAY),
+    }];
+    const alert = clientAlerts(client({ lifecycle_stage: 'prospect' }), { intakeTokens: byClient.c1 }, now)
+      .find(a => a.type === 'intake_token_expiring');
+    expect(alert.description).toMatch(/^Never opened\. Expiry reminder sent to owner@acme\.test · /);
+  });
+});
+
+describe('group helpers', () => {
+  it('groupIntakePending counts unconfirmed answers by source', () => {
+    expect(groupIntakePending([
+      { client_id: 'c1', source: 'client', submitted_at: iso(-2 * DAY) },
+      { client_id: 'c1', source: 'pre_populated', submitted_at: iso(-DAY) },
+    ])).toEqual({
+      c1: { count: 2, bySource: { client: 1, pre_populated: 1 }, mostRecentSubmittedAt: iso(-DAY) },
+    });
+  });
+
+  it('groupIntakeTokens drops an expired token once a newer one was issued', () => {
+    const byClient = groupIntakeTokens([
+      { id: 'old', client_id: 'c1', created_at: iso(-20 * DAY), expires_at: iso(-2 * DAY) },
+      { id: 'new', client_id: 'c1', created_at: iso(-DAY), expires_at: iso(13 * DAY) },
+    ], now);
+    expect(byClient.c1.expiredUnusedToken).toBeNull();
+    expect(remindableTokens(byClient)).toEqual([]);
+  });
+
+  it('supersededInviteIds marks older invites for a client that got a newer one', () => {
+    expect([...supersededInviteIds([
+      { id: 'a', client_id: 'c1', created_at: iso(-9 * DAY) },
+      { id: 'b', client_id: 'c1', created_at: iso(-DAY) },
+      { id: 'c', client_id: null, created_at: iso(-9 * DAY) },
+    ])]).toEqual(['a']);
+  });
+
+  it('groupCommentSweeps feeds the scheduled re-sweep check', () => {
+    const sweeps = groupCommentSweeps(['c1', 'c2'], {
+      settings: [{ id: 'c1', comment_resweep_cadence_days: 7, last_comment_resweep_error: null }],
+      links: [{ client_id: 'c1', channel_id: 'p1' }, { client_id: 'c1', channel_id: 'p2' }],
+      peers: [{ id: 'p1', name: 'Peer one' }, { id: 'p2', name: 'Peer two' }],
+      sweeps: [{ client_id: 'c1', competitor_channel_id: 'p1', completed_at: iso(-3 * DAY) }],
+    });
+    expect(Object.keys(sweeps)).toEqual(['c1']);
+    const alert = clientAlerts(client({ is_prelaunch: true }), { commentSweep: sweeps.c1 }, now)[0];
+    expect(alert).toMatchObject({ type: 'stale_comment_sweep', severity: 'medium' });
+    expect(alert.label).toBe('Scheduled comment re-sweep overdue (1 peer never swept)');
+  });
+});
+
+describe('inviteAlerts', () => {
+  const invite = (overrides) => ({
+    id: 'i1', client_id: 'c1', client_label: 'Acme owner', status: 'pending',
+    created_at: iso(-6 * DAY), expires_at: iso(DAY), channels: [],
+    ...overrides,
+  });
+
+  it('builds global alerts that keep the invite client for scoping', () => {
+    const [alert] = inviteAlerts([invite()], new Set(), now);
+    expect(alert).toMatchObject({
+      id: `global-oauth_invite_expiring-${iso(-6 * DAY)}`,
+      clientId: null, inviteClientId: 'c1', clientName: 'Acme owner', type: 'oauth_invite_expiring',
+    });
+  });
+
+  it('skips an expired invite that a newer one superseded', () => {
+    const expired = invite({ status: 'expired', expires_at: iso(-DAY) });
+    expect(inviteAlerts([expired], new Set(), now).map(a => a.type)).toEqual(['oauth_invite_expired_unused']);
+    expect(inviteAlerts([expired], new Set(['i1']), now)).toEqual([]);
+  });
+});
+
+describe('shared conventions', () => {
+  it('lists every type the checks can raise for the delivery picker', () => {
+    const listed = new Set(THIS_WEEK_ALERT_TYPES.map(t => t.id));
+    const raised = [
+      ...clientAlerts(client({ last_sync_error: 'x', last_sync_attempt_at: iso(-DAY) }), {
+        peerChannelCount: 0, connection: { connection_error: 'x' },
+      }, now),
+      ...inviteAlerts([{ id: 'i', status: 'pending', created_at: iso(-DAY), expires_at: iso(DAY) }], new Set(), now),
+    ];
+    for (const a of raised) expect(listed).toContain(a.type);
+  });
+
+  it('sorts by severity, then recency', () => {
+    const sorted = [
+      { severity: 'low', createdAt: iso(-DAY) },
+      { severity: 'high', createdAt: iso(-3 * DAY) },
+      { severity: 'high', createdAt: iso(-DAY) },
+    ].sort(compareAlerts);
+    expect(sorted.map(a => [a.severity, a.createdAt])).toEqual([
+      ['high', iso(-DAY)], ['high', iso(-3 * DAY)], ['low', iso(-DAY)],
+    ]);
+  });
+
+  it('keys global snoozes under "null"', () => {
+    expect(makeDismissKey(null, 'oauth_invite_expiring')).toBe('null|oauth_invite_expiring');
+    expect(makeDismissKey('c1', 'sync_error')).toBe('c1|sync_error');
+  });
+});
@@ -12,7 +12,10 @@
  *   - stale_calibration          — calibration > 4 weeks behind latest audit
  *   - stale_brief                — brief > 7 days old (or never generated)
  *   - oauth_connection_error     — youtube_oauth_connections.connection_error set
- *   - oauth_invite_pending       — pending invites about to expire (within 48h)
+ *   - oauth_invite_expiring      — pending invites about to expire (within 48h)
+ *   - oauth_invite_expired_unused — invite expired in the last 7 days with no
+ *                                  channel connected and no newer invite for the
+ *                                  same client (migration 114)
  *   - sync_error                 — channels.last_sync_error set for client channel
  *   - empty_peer_cohort          — client has no peer-tagged channels yet
  *   - prelaunch_past_launch_date — pre-launch client whose intended launch is past
@@ -21,6 +24,17 @@
  *                                  "client submitted while you weren't looking")
  *   - intake_token_unopened      — issued install intake token never accessed
  *                                  by the client and 3+ days old (follow-up time)
+ *   - intake_token_expiring      — unsubmitted intake token expires within 48h
+ *   - intake_token_expired_unused — intake token expired in the last 7 days with
+ *                                  nothing submitted and no newer token issued.
+ *                                  Invite / token alerts say whether the
+ *                                  invite-reminders cron already nudged someone.
+ *   - stale_comment_sweep        — peer competitor-comment sweeps are old. With a
+ *                                  scheduled re-sweep cadence (migration 112) this
+ *                                  means the cron is failing or overdue (medium);
+ *                                  without one, the stalest swept peer is past the
+ *                                  30-day window (low). Never-swept clients get no
+ *                                  alert — sweeps are on-demand until opted in.
  *
  * Severity tiers:
  *   high   — blocks core workflow (sync errors, OAuth errors, no peer cohort)
@@ -28,15 +42,23 @@
  *   low    — informational (pre-launch past date, etc.)
  *
  * Sort: severity desc, then created_at desc.
+ *
+ * The checks themselves live in thisWeekRules (pure) so
+ * /api/cron/alert-delivery raises exactly the same alerts; this module
+ * only loads the rows.
  */
 
 import { supabase } from './supabaseClient';
 import { loadActiveDismissals, makeKey as makeDismissKey } from './alertDismissService';
+import {
+  listRemindersForOauthInvites, listRemindersForIntakeTokens, EXPIRED_LOOKBACK_DAYS,
+} from './inviteReminderService';
+import {
+  SEVERITY_ORDER, clientAlerts, inviteAlerts, compareAlerts,
+  groupIntakePending, groupIntakeTokens, remindableTokens, supersededInviteIds, groupCommentSweeps,
+} from './thisWeekRules';
 
-const WEEK_MS  = 7 * 86_400_000;
-const MONTH_MS = 28 * 86_400_000;
-
-export const SEVERITY_ORDER = { high: 3, medium: 2, low: 1 };
+export { SEVERITY_ORDER };
 
 // ──────────────────────────────────────────────────
 // Public entry
@@ -60,16 +82,17 @@ export async function loadThisWeekAlerts({ clientIds }) {
   // Run each signal pull in parallel.
   const [
     audits, calibrations, briefs, oauthConns, invites, channelMeta,
-    intakePending, intakeTokens, dismissals,
+    intakePending, intakeTokens, commentSweeps, dismissals,
   ] = await Promise.all([
     loadLatestAudits(clientIds),
     loadLatestCalibrations(clientIds),
     loadLatestBriefs(clientIds),
     loadOauthConnectionsForClients(clientIds),
-    loadPendingInvites(),
+    loadRecentInvites(),
     loadChannelMeta(clientIds),
     loadIntakePendingByClient(clientIds),
     loadIntakeTokensByClient(clientIds),
+    loadCommentSweepsByClient(clientIds),
     loadActiveDismissals(clientIds),
   ]);
 
@@ -79,195 +102,20 @@ export async function loadThisWeekAlerts({ clientIds }) {
   for (const clientId of clientIds) {
     const client = channelMeta[clientId];
     if (!client) continue;
-
-    // Stale repositioning audit — only fires when there's a channel
-    // with videos to audit. Skip for prospect + pre-launch.
-    const audit = audits[clientId];
-    const ageAudit = audit ? now - new Date(audit.created_at).getTime() : Infinity;
-    if (!audit && !isNoChannelStage(client)) {
-      alerts.push(make({
-        clientId, clientName: client.name, severity: 'medium',
-        type: 'stale_repositioning_audit',
-        label: 'No repositioning audit yet',
-        description: 'Bulk-score the channel\'s catalog so the scorer has predictions to validate.',
-        targetTab: 'repositioning',
-        createdAt: client.created_at,
-      }));
-    } else if (ageAudit > MONTH_MS && !isNoChannelStage(client)) {
-      alerts.push(make({
-        clientId, clientName: client.name, severity: 'medium',
-        type: 'stale_repositioning_audit',
-        label: `Audit is ${Math.round(ageAudit / 86_400_000)} days old`,
-        description: 'New videos since the last audit aren\'t in the systemic gap/strength picture. Re-run.',
-        targetTab: 'repositioning',
-        createdAt: audit.created_at,
-      }));
-    }
-
-    // Stale calibration relative to latest audit — calibration is
-    // audit-dependent so the prospect skip above handles the upstream
-    // case; still guard here in case an audit exists but the client
-    // was re-staged to prospect.
-    const calib = calibrations[clientId];
-    if (audit && !calib && !isNoChannelStage(client)) {
-      alerts.push(make({
-        clientId, clientName: client.name, severity: 'medium',
-        type: 'stale_calibration',
-        label: 'Audit has no calibration',
-        description: 'Run calibration against the latest audit. Every audit finding is a claim until validated.',
-        targetTab: 'calibration',
-        createdAt: audit.created_at,
-      }));
-    } else if (audit && calib && new Date(calib.created_at) < new Date(audit.created_at) && !isNoChannelStage(client)) {
-      alerts.push(make({
-        clientId, clientName: client.name, severity: 'low',
-        type: 'stale_calibration',
-        label: 'Calibration predates the latest audit',
-        description: 'Audit was re-run after calibration. Re-calibrate to keep the trust ranking honest.',
-        targetTab: 'calibration',
-        createdAt: calib.created_at,
-      }));
-    }
-
-    // Stale brief — only fires once there's a channel actively producing
-    // content to brief on. Prospects + pre-launch don't.
-    const brief = briefs[clientId];
-    const ageBrief = brief ? now - new Date(brief.created_at).getTime() : Infinity;
-    if (!brief && !isNoChannelStage(client)) {
-      alerts.push(make({
-        clientId, clientName: client.name, severity: 'medium',
-        type: 'stale_brief',
-        label: 'No weekly brief generated yet',
-        description: 'Generate the strategist-facing brief — the artifact that translates analytics into client recommendations.',
-        targetTab: 'weekly-brief',
-        createdAt: client.created_at,
-      }));
-    } else if (brief && ageBrief > WEEK_MS && !isNoChannelStage(client)) {
-      alerts.push(make({
-        clientId, clientName: client.name, severity: 'medium',
-        type: 'stale_brief',
-        label: `Brief is ${Math.round(ageBrief / 86_400_000)} days old`,
-        description: 'Regenerate against the current analytical state.',
-        targetTab: 'weekly-brief',
-        createdAt: brief.created_at,
-      }));
-    }
-
-    // Channel sync error — skip for clients with no channel to sync
-    // (prospect lifecycle, pre-launch). They legitimately have no sync.
-    if (client.last_sync_error && !isNoChannelStage(client)) {
-      alerts.push(make({
-        clientId, clientName: client.name, severity: 'high',
-        type: 'sync_error',
-        label: 'Channel sync failing',
-        description: client.last_sync_error.length > 140
-          ? client.last_sync_error.slice(0, 140) + '…'
-          : client.last_sync_error,
-        targetTab: 'api-keys',
-        createdAt: client.last_sync_attempt_at,
-      }));
-    }
-
-    // Empty peer cohort (after migration 093 every channel defaults
-    // to peer, so this only fires when client_channels has zero rows
-    // OR all rows are tagged aspirational/reference). Prospects don't
-    // need a peer cohort yet.
-    const peerCount = (oauthConns[clientId]?.peerChannelCount) ?? null;
-    if (peerCount === 0 && !isNoChannelStage(client)) {
-      alerts.push(make({
-        clientId, clientName: client.name, severity: 'high',
-        type: 'empty_peer_cohort',
-        label: 'No peer-tagged competitors',
-        description: 'Prediction surfaces (Pre-flight, Repositioning, Calibration) read from peer-tagged channels. Tag at least one peer in Cohort to enable scoring.',
-        targetTab: 'cohort-roles',
-        createdAt: client.created_at,
-      }));
-    }
-
-    // Pre-launch past intended launch date
-    if (client.is_prelaunch && client.prelaunch_intended_launch_at) {
-      const launchAt = new Date(client.prelaunch_intended_launch_at).getTime();
-      if (launchAt < now) {
-        const daysPast = Math.round((now - launchAt) / 86_400_000);
-        alerts.push(make({
-          clientId, clientName: client.name, severity: 'low',
-          type: 'prelaunch_past_launch_date',
-          label: `Pre-launch client is ${daysPast} days past intended launch`,
-          description: 'Either upgrade to the real channel or revise the intended launch date.',
-          targetTab: 'portfolio',
-          createdAt: client.prelaunch_intended_launch_at,
-        }));
-      }
-    }
-
-    // OAuth connection error for this client's channel — skip when
-    // there's no channel to connect to.
-    const conn = oauthConns[clientId]?.connection;
-    if (conn?.connection_error && !isNoChannelStage(client)) {
-      alerts.push(make({
-        clientId, clientName: client.name, severity: 'high',
-        type: 'oauth_connection_error',
-        label: 'OAuth connection error',
-        description: conn.connection_error.length > 140 ? conn.connection_error.slice(0, 140) + '…' : conn.connection_error,
-        targetTab: 'api-keys',
-        createdAt: conn.updated_at || conn.last_refreshed_at,
-      }));
-    }
-
-    // Install intake — client (or pre-population) answers waiting for
-    // strategist confirmation. The "you don't know the client submitted
-    // unless you go check" gap (reported 2026-06-12).
-    const pendingIntake = intakePending[clientId];
-    if (pendingIntake?.count > 0) {
-      const clientCount = pendingIntake.bySource.client || 0;
-      const preCount    = pendingIntake.bySource.pre_populated || 0;
-      const parts = [];
-      if (clientCount) parts.push(`${clientCount} client-submitted`);
-      if (preCount)    parts.push(`${preCount} pre-populated`);
-      alerts.push(make({
-        clientId, clientName: client.name, severity: 'medium',
-        type: 'intake_pending_confirm',
-        label: `${pendingIntake.count} install intake answer${pendingIntake.count === 1 ? '' : 's'} awaiting confirmation`,
-        description: `${parts.join(', ')} — confirm each in the install workspace ("I checked this with the client"). Client async answers never enter the Spine until you stamp them.`,
-        targetTab: 'install',
-        createdAt: pendingIntake.mostRecentSubmittedAt || client.created_at,
-      }));
-    }
-
-    // Install intake — token issued but never opened. Strategist
-    // probably needs to follow up on the email send.
-    const tokenInfo = intakeTokens[clientId];
-    if (tokenInfo?.unopenedStaleToken) {
-      const t = tokenInfo.unopenedStaleToken;
-      const ageDays = Math.round((now - new Date(t.created_at).getTime()) / 86_400_000);
-      alerts.push(make({
-        clientId, clientName: client.name, severity: 'low',
-        type: 'intake_token_unopened',
-        label: `Pre-work link sent ${ageDays}d ago, never opened`,
-        description: `Recipient: ${t.intended_recipient_name || t.intended_recipient_email || '(unspecified)'}. Worth a nudge — the discovery call works better when the factual surface is filled in first.`,
-        targetTab: 'install',
-        createdAt: t.created_at,
-      }));
-    }
+    alerts.push(...clientAlerts(client, {
+      audit:            audits[clientId],
+      calibration:      calibrations[clientId],
+      brief:            briefs[clientId],
+      connection:       oauthConns[clientId]?.connection,
+      peerChannelCount: oauthConns[clientId]?.peerChannelCount ?? null,
+      intakePending:    intakePending[clientId],
+      intakeTokens:     intakeTokens[clientId],
+      commentSweep:     commentSweeps[clientId],
+    }, now));
   }
 
   // ── Global signals (not per-client) ──
-  for (const invite of invites) {
-    const expiresAt = new Date(invite.expires_at).getTime();
-    const hoursOut = (expiresAt - now) / 3_600_000;
-    if (hoursOut > 0 && hoursOut < 48) {
-      alerts.push(make({
-        clientId: null,
-        clientName: invite.client_label || invite.expected_youtube_email || 'Untitled invite',
-        severity: 'medium',
-        type: 'oauth_invite_expiring',
-        label: `OAuth invite expires in ${Math.round(hoursOut)}h`,
-        description: 'The owner hasn\'t accepted yet. Follow up before it expires or revoke and re-send.',
-        targetTab: 'api-keys',
-        createdAt: invite.created_at,
-      }));
-    }
-  }
+  alerts.push(...inviteAlerts(invites.list, invites.supersededIds, now));
 
   // Apply dismissal filter — strategist-side snooze for the alerts
   // feed (migration 106). A dismissed (clientId, type) pair is hidden
@@ -278,11 +126,7 @@ export async function loadThisWeekAlerts({ clientIds }) {
   const numDismissed = dismissedCount - visibleAlerts.length;
 
   // Sort: severity desc, recency desc
-  visibleAlerts.sort((a, b) => {
-    const sevDiff = SEVERITY_ORDER[b.severity] - SEVERITY_ORDER[a.severity];
-    if (sevDiff !== 0) return sevDiff;
-    return new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
-  });
+  visibleAlerts.sort(compareAlerts);
 
   // Group by client + summary counts
   const byClient = {};
@@ -311,13 +155,6 @@ function emptyResult() {
   return { alerts: [], byClient: {}, summary: { total: 0, high: 0, medium: 0, low: 0, clientsWithAlerts: 0 } };
 }
 
-function make({ clientId, clientName, severity, type, label, description, targetTab, createdAt }) {
-  return {
-    id: `${clientId || 'global'}-${type}-${createdAt || ''}`,
-    clientId, clientName, severity, type, label, description, targetTab, createdAt,
-  };
-}
-
 async function loadLatestAudits(clientIds) {
   const { data } = await supabase
     .from('client_repositioning_audits')
@@ -380,12 +217,29 @@ async function loadOauthConnectionsForClients(clientIds) {
   return result;
 }
 
-async function loadPendingInvites() {
+/**
+ * Invites that are live or expired within the lookback window, with
+ * the 113 channel checklist (a partially connected multi-channel invite
+ * isn't "unused") and reminder history. Redeemed ones are loaded only
+ * so a newer invite for the same client marks older expired ones as
+ * superseded.
+ */
+async function loadRecentInvites() {
+  const lookbackIso = new Date(Date.now() - EXPIRED_LOOKBACK_DAYS * 86_400_000).toISOString();
   const { data } = await supabase
     .from('youtube_oauth_invites')
-    .select('id, client_label, expected_youtube_email, expires_at, created_at, status')
-    .eq('status', 'pending');
-  return data || [];
+    .select('id, client_id, client_label, expected_youtube_email, expires_at, created_at, status, redeemed_at, channels:youtube_oauth_invite_channels(status)')
+    .in('status', ['pending', 'expired', 'redeemed'])
+    .gte('expires_at', lookbackIso);
+  const rows = data || [];
+  const supersededIds = supersededInviteIds(rows);
+
+  const open = rows.filter(inv => inv.status !== 'redeemed');
+  const reminders = await listRemindersForOauthInvites(open.map(inv => inv.id));
+  return {
+    list: open.map(inv => ({ ...inv, reminders: reminders[inv.id] || [] })),
+    supersededIds,
+  };
 }
 
 async function loadChannelMeta(clientIds) {
@@ -398,20 +252,6 @@ async function loadChannelMeta(clientIds) {
   return map;
 }
 
-/**
- * A "no channel to sync" client — prospect lifecycle OR pre-launch
- * flag. These should NEVER receive sync-shaped alerts (sync_error,
- * oauth_connection_error, stale_brief, etc.) because there's no
- * channel to be measured against. Reported 2026-06-12: sync errors
- * were firing for prospects who don't have a channel yet.
- */
-function isNoChannelStage(client) {
-  if (!client) return false;
-  if (client.is_prelaunch) return true;
-  if (client.lifecycle_stage === 'prospect') return true;
-  return false;
-}
-
 /**
  * For each client, count unconfirmed install-intake rows (client or
  * pre_populated source) and capture the most recent submitted_at so
@@ -426,46 +266,78 @@ async function loadIntakePendingByClient(clientIds) {
     .in('client_id', clientIds)
     .in('source', ['client', 'pre_populated'])
     .is('confirmed_by_strategist_at', null);
-  const byClient = {};
-  for (const row of data || []) {
-    if (!byClient[row.client_id]) {
-      byClient[row.client_id] = { count: 0, bySource: {}, mostRecentSubmittedAt: null };
-    }
-    const entry = byClient[row.client_id];
-    entry.count += 1;
-    entry.bySource[row.source] = (entry.bySource[row.source] || 0) + 1;
-    if (!entry.mostRecentSubmittedAt || row.submitted_at > entry.mostRecentSubmittedAt) {
-      entry.mostRecentSubmittedAt = row.submitted_at;
-    }
-  }
-  return byClient;
+  return groupIntakePending(data);
 }
 
 /**
- * Surface a token that was issued ≥3 days ago, never accessed, and
- * still has time remaining before expiry — the strategist forgot to
- * remind the client. One token per client (the oldest stale one).
+ * Per client, from tokens that aren't revoked and expired no earlier
+ * than the lookback window:
+ *   unopenedStaleToken — issued ≥3 days ago, never accessed, still has
+ *                        time left: the strategist forgot to remind the
+ *                        client. The oldest such token.
+ *   expiringToken      — nothing submitted, expires within 48h.
+ *   expiredUnusedToken — expired recently with nothing submitted, and no
+ *                        newer token has been issued since.
+ * Expiring / expired tokens carry their reminder history.
  */
 async function loadIntakeTokensByClient(clientIds) {
   if (!clientIds?.length) return {};
-  const threeDaysAgo = new Date(Date.now() - 3 * 86_400_000).toISOString();
-  const nowIso       = new Date().toISOString();
+  const now = Date.now();
+  const lookbackIso = new Date(now - EXPIRED_LOOKBACK_DAYS * 86_400_000).toISOString();
   const { data } = await supabase
     .from('install_intake_tokens')
-    .select('client_id, token, created_at, expires_at, first_accessed_at, intended_recipient_name, intended_recipient_email, revoked_at')
+    .select('id, client_id, token, created_at, expires_at, first_accessed_at, last_submitted_at, intended_recipient_name, intended_recipient_email, revoked_at')
     .in('client_id', clientIds)
-    .is('first_accessed_at', null)
     .is('revoked_at', null)
-    .lte('created_at', threeDaysAgo)
-    .gte('expires_at', nowIso)
+    .gte('expires_at', lookbackIso)
     .order('created_at', { ascending: true });
-  const byClient = {};
-  for (const row of data || []) {
-    if (!byClient[row.client_id]) byClient[row.client_id] = { unopenedStaleToken: row };
+
+  const byClient = groupIntakeTokens(data, now);
+  const remindable = remindableTokens(byClient);
+  if (remindable.length) {
+    const reminders = await listRemindersForIntakeTokens(remindable.map(t => t.id));
+    for (const t of remindable) t.reminders = reminders[t.id] || [];
   }
   return byClient;
 }
 
+/**
+ * Peer comment-sweep rollup per client (thisWeekRules.
+ * groupCommentSweeps). Clients with no peer-tagged competitors are
+ * omitted — empty_peer_cohort already covers them.
+ */
+async function loadCommentSweepsByClient(clientIds) {
+  if (!clientIds?.length) return {};
+  const [{ data: settings }, { data: links }] = await Promise.all([
+    supabase
+      .from('channels')
+      .select('id, comment_resweep_cadence_days, last_comment_resweep_error')
+      .in('id', clientIds),
+    supabase
+      .from('client_channels')
+      .select('client_id, channel_id')
+      .in('client_id', clientIds)
+      .eq('cohort_role', 'peer'),
+  ]);
+  const peerIds = [...new Set((links || []).map(l => l.channel_id))];
+  if (!peerIds.length) return {};
+
+  const [{ data: peerRows }, { data: sweepRows }] = await Promise.all([
+    supabase
+      .from('channels')
+      .select('id, name')
+      .in('id', peerIds)
+      .eq('is_competitor', true),
+    supabase
+      .from('client_comment_sweeps')
+      .select('client_id, competitor_channel_id, completed_at')
+      .in('client_id', clientIds)
+      .eq('status', 'complete')
+      .order('completed_at', { ascending: false }),
+  ]);
+  return groupCommentSweeps(clientIds, { settings, links, peers: peerRows, sweeps: sweepRows });
+}
+
 function takeLatestByClient(rows, clientKey) {
   const map = {};
   for (const r of (rows || [])) {
@@ -0,0 +1,612 @@
+/**
+ * thumbnailClusterService — groups the thumbnails in a scope by visual
+ * style and reports how each style performs.
+ *
+ * Pipeline:
+ *   1. Long-form videos in the window (patternsService.fetchVideosForChannels).
+ *      Shorts are skipped — their thumbnails barely surface in the feed.
+ *   2. A local perceptual descriptor per thumbnail (computeDescriptor):
+ *      hue histogram, tone split, 3×3 luminance + edge-density layout
+ *      grid, saturation / colorfulness / contrast. Computed on a 32×18
+ *      canvas in the browser and cached in thumbnail_descriptors
+ *      (migration 121), so a scope is only paid for once.
+ *   3. The channel's face / headline-text shares from the cached Vision
+ *      extraction (channel_production_signals, 078) appended as a
+ *      down-weighted block — Vision runs per channel, not per thumbnail.
+ *   4. k-means over the standardized vectors, k picked by simplified
+ *      silhouette, deterministic seed so the same scope clusters the
+ *      same way twice.
+ *   5. Per cluster: trimmed-median view multiplier (video views over its
+ *      channel's trimmed median), liftConfidence with the drop-top
+ *      check, and a single-channel dominance flag — a "style" that is
+ *      really one channel's house look says nothing about the style.
+ *
+ * Consumers: PatternsLens ("Thumbnail styles") and the Intelligence
+ * panel's thumbnail tab, both through ThumbnailClusters.jsx.
+ */
+
+import { supabase } from './supabaseClient';
+import { fetchVideosForChannels } from './patternsService.js';
+import { getActiveProductionSignalsForChannels } from './productionSignalService.js';
+import { trimmedMedian, liftConfidence, labelConfidence, CONFIDENCE } from './statsHelpers.js';
+
+export const DESCRIPTOR_VERSION = 1;
+
+const SHORTS_DURATION_THRESHOLD = 180;
+const THUMB_W = 32;
+const THUMB_H = 18;
+const HUE_BINS = 8;
+const HUE_NAMES = ['red', 'orange', 'yellow-green', 'green', 'teal', 'blue', 'purple', 'pink'];
+const EDGE_THRESHOLD = 0.12;          // luma step that counts as an edge
+const MIN_CHANNEL_VIDEOS = 5;         // channel baseline for the multiplier
+const MIN_CLUSTER_INPUT = 20;         // fewer thumbnails than this → no clustering
+const MAX_K = 8;
+const KMEANS_ITERATIONS = 30;
+const MAX_DESCRIBE_PER_RUN = 400;     // new descriptors per run; the rest next time
+const DESCRIBE_CONCURRENCY = 4;
+const DOMINANT_CHANNEL_SHARE = 0.6;
+const VISION_BLOCK_WEIGHT = 0.5;
+
+// Vector layout (v1). Blocks are weighted equally at clustering time so
+// the 9-dim blocks don't drown the 3-dim ones.
+const BLOCKS = [
+  { id: 'hue',    size: HUE_BINS + 1 },
+  { id: 'tone',   size: 3 },
+  { id: 'gridLum', size: 9 },
+  { id: 'gridEdge', size: 9 },
+  { id: 'scalars', size: 3 },
+];
+
+// ──────────────────────────────────────────────────
+// Descriptor
+// ──────────────────────────────────────────────────
+
+/**
+ * Perceptual descriptor from RGBA pixels (ImageData.data layout).
+ * Pure — takes the already-downscaled pixels.
+ *
+ * @returns {{ vector: number[], stats: Object }}
+ */
+export function computeDescriptor(pixels, width = THUMB_W, height = THUMB_H) {
+  const n = width * height;
+  const hue = new Array(HUE_BINS).fill(0);
+  let gray = 0;
+  const tone = [0, 0, 0];
+  const cellLum = new Array(9).fill(0);
+  const cellEdge = new Array(9).fill(0);
+  const cellCount = new Array(9).fill(0);
+  const luma = new Float32Array(n);
+  let satSum = 0, lumSum = 0, lumSq = 0;
+  let rgSum = 0, rgSq = 0, ybSum = 0, ybSq = 0;
+
+  for (let i = 0; i < n; i++) {
+    const r = pixels[i * 4] / 255;
+    const g = pixels[i * 4 + 1] / 255;
+    const b = pixels[i * 4 + 2] / 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const s = max > 0 ? (max - min) / max : 0;
+    const l = 0.299 * r + 0.587 * g + 0.114 * b;
+    luma[i] = l;
+    satSum += s;
+    lumSum += l;
+    lumSq += l * l;
+
+    if (s < 0.2 || max < 0.15) {
+      gray++;
+    } else {
+      hue[Math.floor(((rgbHue(r, g, b, max, min) + 22.5) % 360) / 45)]++;
+    }
+    tone[l < 0.33 ? 0 : l < 0.66 ? 1 : 2]++;
+
+    const rg = r - g;
+    const yb = 0.5 * (r + g) - b;
+    rgSum += rg; rgSq += rg * rg;
+    ybSum += yb; ybSq += yb * yb;
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const cell = Math.min(2, Math.floor((y * 3) / height)) * 3 + Math.min(2, Math.floor((x * 3) / width));
+      const dx = x + 1 < width ? Math.abs(luma[i + 1] - luma[i]) : 0;
+      const dy = y + 1 < height ? Math.abs(luma[i + width] - luma[i]) : 0;
+      cellLum[cell] += luma[i];
+      cellEdge[cell] += (dx + dy) > EDGE_THRESHOLD ? 1 : 0;
+      cellCount[cell]++;
+    }
+  }
+
+  const meanRg = rgSum / n, meanYb = ybSum / n;
+  const stdRg = Math.sqrt(Math.max(0, rgSq / n - meanRg * meanRg));
+  const stdYb = Math.sqrt(Math.max(0, ybSq / n - meanYb * meanYb));
+  const colorfulness = Math.sqrt(stdRg ** 2 + stdYb ** 2) + 0.3 * Math.sqrt(meanRg ** 2 + meanYb ** 2);
+  const brightness = lumSum / n;
+  const contrast = Math.sqrt(Math.max(0, lumSq / n - brightness * brightness));
+  const saturation = satSum / n;
+  const gridEdge = cellEdge.map((e, i) => (cellCount[i] ? e / cellCount[i] : 0));
+
+  const chromatic = n - gray;
+  const topHue = hue.indexOf(Math.max(...hue));
+  const vector = [
+    ...hue.map(h => h / n), gray / n,
+    ...tone.map(t => t / n),
+    ...cellLum.map((v, i) => (cellCount[i] ? v / cellCount[i] : 0)),
+    ...gridEdge,
+    saturation, colorfulness, contrast,
+  ];
+
+  return {
+    vector: vector.map(round4),
+    stats: {
+      brightness: round4(brightness),
+      saturation: round4(saturation),
+      colorfulness: round4(colorfulness),
+      contrast: round4(contrast),
+      edgeDensity: round4(gridEdge.reduce((s, e) => s + e, 0) / 9),
+      edgeLeft: round4((gridEdge[0] + gridEdge[3] + gridEdge[6]) / 3),
+      edgeRight: round4((gridEdge[2] + gridEdge[5] + gridEdge[8]) / 3),
+      dominantHue: chromatic / n >= 0.25 ? HUE_NAMES[topHue] : 'neutral',
+    },
+  };
+}
+
+function rgbHue(r, g, b, max, min) {
+  const d = max - min;
+  if (d === 0) return 0;
+  let h;
+  if (max === r) h = ((g - b) / d) % 6;
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return (h * 60 + 360) % 360;
+}
+
+/**
+ * Fetch a thumbnail and describe it. Browser-only (canvas). 4:3 images
+ * (hqdefault-style letterboxing) are center-cropped to 16:9 first so the
+ * black bars don't read as a style.
+ */
+export async function describeThumbnailUrl(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`thumbnail fetch ${res.status}`);
+  const bitmap = await createImageBitmap(await res.blob());
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(THUMB_W, THUMB_H)
+    : Object.assign(document.createElement('canvas'), { width: THUMB_W, height: THUMB_H });
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const aspect = bitmap.width / bitmap.height;
+  const sw = bitmap.width;
+  let sy = 0, sh = bitmap.height;
+  if (aspect < 1.6) {
+    sh = bitmap.width * 9 / 16;
+    sy = (bitmap.height - sh) / 2;
+  }
+  ctx.drawImage(bitmap, 0, sy, sw, sh, 0, 0, THUMB_W, THUMB_H);
+  bitmap.close?.();
+  return computeDescriptor(ctx.getImageData(0, 0, THUMB_W, THUMB_H).data, THUMB_W, THUMB_H);
+}
+
+// ──────────────────────────────────────────────────
+// Descriptor cache (thumbnail_descriptors)
+// ──────────────────────────────────────────────────
+
+/**
+ * Descriptors for `videos`, from cache where the version and URL still
+ * match, computed + upserted otherwise (up to MAX_DESCRIBE_PER_RUN new
+ * ones per call). Returns `{ [videoId]: { vector, stats } }` plus how
+ * many were computed / failed / deferred.
+ */
+export async function ensureDescriptors(videos, { onProgress } = {}) {
+  const byVideo = {};
+  if (!supabase || !videos.length) return { byVideo, computed: 0, failed: 0, deferred: 0 };
+
+  const ids = videos.map(v => v.id);
+  for (let i = 0; i < ids.length; i += 200) {
+    const { data, error } = await supabase
+      .from('thumbnail_descriptors')
+      .select('video_id, thumbnail_url, descriptor_version, vector, stats')
+      .in('video_id', ids.slice(i, i + 200));
+    if (error) {
+      console.warn('[thumbnailClusterService] descriptor cache read failed:', error);
+      break;
+    }
+    for (const row of data || []) byVideo[row.video_id] = row;
+  }
+
+  const missing = [];
+  for (const v of videos) {
+    const cached = byVideo[v.id];
+    if (cached && cached.descriptor_version === DESCRIPTOR_VERSION && cached.thumbnail_url === v.thumbnail_url) continue;
+    delete byVideo[v.id];
+    missing.push(v);
+  }
+  const todo = missing.slice(0, MAX_DESCRIBE_PER_RUN);
+
+  let computed = 0;
+  let failed = 0;
+  const fresh = [];
+  let cursor = 0;
+  const worker = async () => {
+    while (cursor < todo.length) {
+      const v = todo[cursor++];
+      try {
+        const d = await describeThumbnailUrl(v.thumbnail_url);
+        byVideo[v.id] = d;
+        fresh.push({
+          video_id: v.id,
+          thumbnail_url: v.thumbnail_url,
+          descriptor_version: DESCRIPTOR_VERSION,
+          vector: d.vector,
+          stats: d.stats,
+          computed_at: new Date().toISOString(),
+        });
+        computed++;
+      } catch {
+        failed++;
+      }
+      onProgress?.(`Describing thumbnails ${computed + failed}/${todo.length}`);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(DESCRIBE_CONCURRENCY, todo.length) }, worker));
+
+  for (let i = 0; i < fresh.length; i += 100) {
+    const { error } = await supabase
+      .from('thumbnail_descriptors')
+      .upsert(fresh.slice(i, i + 100), { onConflict: 'video_id' });
+    if (error) {
+      console.warn('[thumbnailClusterService] descriptor cache write failed:', error);
+      break;
+    }
+  }
+
+  return { byVideo, computed, failed, deferred: missing.length - todo.length };
+}
+
+// ──────────────────────────────────────────────────
+// Clustering
+// ──────────────────────────────────────────────────
+
+// mulberry32 — deterministic so a scope clusters the same way twice
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function dist2(a, b) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += (a[i] - b[i]) ** 2;
+  return s;
+}
+
+/**
+ * z-score every dimension, then scale each block by weight/√size so
+ * blocks contribute comparable variance regardless of width.
+ */
+export function standardizeVectors(vectors, blocks) {
+  if (!vectors.length) return [];
+  const dims = vectors[0].length;
+  const mean = new Array(dims).fill(0);
+  const std = new Array(dims).fill(0);
+  for (const v of vectors) v.forEach((x, i) => { mean[i] += x / vectors.length; });
+  for (const v of vectors) v.forEach((x, i) => { std[i] += (x - mean[i]) ** 2 / vectors.length; });
+  const scale = new Array(dims).fill(0);
+  let offset = 0;
+  for (const block of blocks) {
+    for (let i = offset; i < offset + block.size; i++) {
+      const sd = Math.sqrt(std[i]);
+      scale[i] = sd > 1e-6 ? (block.weight ?? 1) / (sd * Math.sqrt(block.size)) : 0;
+    }
+    offset += block.size;
+  }
+  return vectors.map(v => v.map((x, i) => (x - mean[i]) * scale[i]));
+}
+
+/**
+ * Lloyd's k-means with k-means++ seeding.
+ * @returns {{ assignments: number[], centroids: number[][] }}
+ */
+export function kMeans(points, k, { seed = 1, iterations = KMEANS_ITERATIONS } = {}) {
+  const rand = seededRandom(seed);
+  const centroids = [points[Math.floor(rand() * points.length)].slice()];
+  const nearest = points.map(p => dist2(p, centroids[0]));
+  while (centroids.length < k) {
+    const total = nearest.reduce((s, d) => s + d, 0);
+    let r = rand() * total;
+    let pick = points.length - 1;
+    for (let i = 0; i < points.length; i++) {
+      r -= nearest[i];
+      if (r <= 0) { pick = i; break; }
+    }
+    centroids.push(points[pick].slice());
+    points.forEach((p, i) => { nearest[i] = Math.min(nearest[i], dist2(p, points[pick])); });
+  }
+
+  const assignments = new Array(points.length).fill(0);
+  for (let iter = 0; iter < iterations; iter++) {
+    let moved = false;
+    points.forEach((p, i) => {
+      let best = 0, bestD = Infinity;
+      centroids.forEach((c, j) => {
+        const d = dist2(p, c);
+        if (d < bestD) { bestD = d; best = j; }
+      });
+      if (assignments[i] !== best) { assignments[i] = best; moved = true; }
+    });
+    centroids.forEach((c, j) => {
+      const members = points.filter((_, i) => assignments[i] === j);
+      if (!members.length) return;
+      for (let d = 0; d < c.length; d++) c[d] = members.reduce((s, m) => s + m[d], 0) / members.length;
+    });
+    if (!moved && iter > 0) break;
+  }
+  return { assignments, centroids };
+}
+
+// Simplified silhouette: own-centroid vs nearest-other-centroid distance
+export function silhouette(points, { assignments, centroids }) {
+  let total = 0;
+  points.forEach((p, i) => {
+    const a = Math.sqrt(dist2(p, centroids[assignments[i]]));
+    let b = Infinity;
+    centroids.forEach((c, j) => { if (j !== assignments[i]) b = Math.min(b, Math.sqrt(dist2(p, c))); });
+    total += Math.max(a, b) > 0 ? (b - a) / Math.max(a, b) : 0;
+  });
+  return total / points.length;
+}
+
+/**
+ * Cluster standardized points, picking k in 2..MAX_K by silhouette.
+ * k is capped so the average cluster can clear the hide threshold.
+ */
+export function chooseClusters(points) {
+  const minSize = CONFIDENCE.thumbnailCluster.hide;
+  const maxK = Math.min(MAX_K, Math.floor(points.length / (minSize * 2)));
+  if (maxK < 2) return { k: 1, assignments: points.map(() => 0), centroids: [points[0]] };
+  let best = null;
+  for (let k = 2; k <= maxK; k++) {
+    const run = kMeans(points, k, { seed: 7919 * k });
+    const score = silhouette(points, run);
+    if (!best || score > best.score) best = { k, score, ...run };
+  }
+  return best;
+}
+
+// ──────────────────────────────────────────────────
+// Labels
+// ──────────────────────────────────────────────────
+
+function mean(values) {
+  const xs = values.filter(v => v != null);
+  return xs.length ? xs.reduce((s, v) => s + v, 0) / xs.length : null;
+}
+
+/**
+ * Plain-language traits for a cluster, relative to the whole scope.
+ * Ordered by how far the cluster sits from the scope average.
+ */
+export function describeCluster(memberStats, scopeStats, vision) {
+  const traits = [];
+  const rel = (key) => {
+    const c = mean(memberStats.map(s => s[key]));
+    const all = mean(scopeStats.map(s => s[key]));
+    return c != null && all ? c / all : null;
+  };
+  const push = (ratio, hi, lo, weight = 1) => {
+    if (ratio == null) return;
+    // Capped so one near-zero ratio can't crowd out every other trait
+    if (ratio >= 1.2) traits.push({ text: hi, score: Math.min(3, ratio - 1) * weight });
+    else if (ratio <= 0.8) traits.push({ text: lo, score: Math.min(3, 1 / Math.max(ratio, 0.01) - 1) * weight });
+  };
+  push(rel('brightness'), 'bright', 'dark');
+  push(rel('colorfulness'), 'saturated', 'muted');
+  push(rel('edgeDensity'), 'busy / text-heavy', 'clean, few elements');
+  push(rel('contrast'), 'high contrast', 'low contrast', 0.7);
+
+  const left = mean(memberStats.map(s => s.edgeLeft));
+  const right = mean(memberStats.map(s => s.edgeRight));
+  if (left != null && right != null && Math.max(left, right) > 0) {
+    const skew = (left - right) / Math.max(left, right);
+    if (skew >= 0.3) traits.push({ text: 'detail on the left', score: skew });
+    else if (skew <= -0.3) traits.push({ text: 'detail on the right', score: -skew });
+  }
+
+  const hues = {};
+  for (const s of memberStats) hues[s.dominantHue] = (hues[s.dominantHue] || 0) + 1;
+  const [topHue, topCount] = Object.entries(hues).sort((a, b) => b[1] - a[1])[0] || [];
+  if (topHue && topCount / memberStats.length >= 0.4) {
+    traits.push({ text: topHue === 'neutral' ? 'neutral palette' : `${topHue}-dominant`, score: topCount / memberStats.length });
+  }
+
+  if (vision?.face != null && vision.face >= 60) traits.push({ text: 'face-forward channels', score: vision.face / 100 });
+  if (vision?.text != null && vision.text >= 70) traits.push({ text: 'headline-text channels', score: vision.text / 100 });
+
+  traits.sort((a, b) => b.score - a.score);
+  const texts = traits.map(t => t.text);
+  return { label: texts.slice(0, 3).join(' · ') || 'Mixed style', traits: texts };
+}
+
+// ──────────────────────────────────────────────────
+// Main entry
+// ──────────────────────────────────────────────────
+
+function visionPriors(signalsByChannel) {
+  const out = {};
+  for (const [channelId, row] of Object.entries(signalsByChannel)) {
+    const s = row.signals || {};
+    out[channelId] = {
+      face: s.visual_treatment?.face_pct ?? null,
+      text: s.visual_treatment?.text_pct ?? null,
+      largeText: s.typography?.large_text_pct ?? null,
+    };
+  }
+  return out;
+}
+
+/**
+ * Cluster every long-form thumbnail in a set of channels.
+ *
+ * @param {Object} opts
+ * @param {string[]} opts.channelIds
+ * @param {number}   [opts.windowDays=90]
+ * @param {Function} [opts.onProgress]  (label: string) => void
+ * @returns {Promise<{
+ *   clusters: Object[], videoCount: number, describedCount: number,
+ *   baselineMultiplier: number|null, computed: number, failed: number, deferred: number,
+ * }>}
+ */
+export async function analyzeThumbnailClusters({ channelIds, windowDays = 90, onProgress } = {}) {
+  const empty = { clusters: [], videoCount: 0, describedCount: 0, baselineMultiplier: null, computed: 0, failed: 0, deferred: 0 };
+  if (!supabase || !channelIds?.length) return empty;
+
+  onProgress?.('Loading videos');
+  const videos = (await fetchVideosForChannels(channelIds, { windowDays }))
+    .filter(v => v.thumbnail_url && (v.duration_seconds || 0) > SHORTS_DURATION_THRESHOLD);
+  if (!videos.length) return empty;
+
+  const [{ data: channels }, signals] = await Promise.all([
+    supabase.from('channels').select('id, name').in('id', channelIds),
+    getActiveProductionSignalsForChannels(channelIds),
+  ]);
+  const channelName = Object.fromEntries((channels || []).map(c => [c.id, c.name]));
+  const vision = visionPriors(signals);
+
+  // View multiplier vs the channel's own trimmed median — same baseline
+  // patternsService uses for outliers.
+  const byChannel = {};
+  for (const v of videos) (byChannel[v.channel_id] ||= []).push(v);
+  const channelMedian = {};
+  for (const [id, vids] of Object.entries(byChannel)) {
+    if (vids.length >= MIN_CHANNEL_VIDEOS) channelMedian[id] = trimmedMedian(vids.map(v => v.view_count));
+  }
+
+  const { byVideo, computed, failed, deferred } = await ensureDescriptors(videos, { onProgress });
+  const items = videos
+    .filter(v => byVideo[v.id]?.vector?.length)
+    .map(v => ({
+      video: v,
+      vector: byVideo[v.id].vector,
+      stats: byVideo[v.id].stats || {},
+      multiplier: channelMedian[v.channel_id] ? v.view_count / channelMedian[v.channel_id] : null,
+    }));
+  if (items.length < MIN_CLUSTER_INPUT) {
+    return { ...empty, videoCount: videos.length, describedCount: items.length, computed, failed, deferred };
+  }
+
+  onProgress?.('Clustering');
+  // Vision block: channel-level face / text / large-text shares, with
+  // missing channels imputed to the scope mean so they don't form
+  // their own cluster.
+  const visionMean = {
+    face: mean(Object.values(vision).map(x => x.face)) ?? 0,
+    text: mean(Object.values(vision).map(x => x.text)) ?? 0,
+    largeText: mean(Object.values(vision).map(x => x.largeText)) ?? 0,
+  };
+  const raw = items.map(it => {
+    const vp = vision[it.video.channel_id] || {};
+    return [
+      ...it.vector,
+      (vp.face ?? visionMean.face) / 100,
+      (vp.text ?? visionMean.text) / 100,
+      (vp.largeText ?? visionMean.largeText) / 100,
+    ];
+  });
+  const points = standardizeVectors(raw, [...BLOCKS, { id: 'vision', size: 3, weight: VISION_BLOCK_WEIGHT }]);
+  const { assignments, centroids } = chooseClusters(points);
+
+  const allMultipliers = items.map(it => it.multiplier).filter(m => m != null);
+  const baselineMultiplier = allMultipliers.length ? trimmedMedian(allMultipliers) : null;
+  const scopeStats = items.map(it => it.stats);
+
+  const clusters = centroids.map((centroid, j) => {
+    const idx = items.map((_, i) => i).filter(i => assignments[i] === j);
+    if (!idx.length) return null;
+    const members = idx.map(i => items[i]);
+    const multipliers = members.map(m => m.multiplier).filter(m => m != null);
+    const medianMultiplier = multipliers.length ? trimmedMedian(multipliers) : null;
+    const confidence = liftConfidence({ sampleValues: multipliers, currentMedian: medianMultiplier, kind: 'thumbnailCluster' });
+
+    const perChannel = {};
+    for (const m of members) perChannel[m.video.channel_id] = (perChannel[m.video.channel_id] || 0) + 1;
+    const [topChannelId, topCount] = Object.entries(perChannel).sort((a, b) => b[1] - a[1])[0];
+    const memberVision = {
+      face: mean(members.map(m => vision[m.video.channel_id]?.face)),
+      text: mean(members.map(m => vision[m.video.channel_id]?.text)),
+    };
+    const { label, traits } = describeCluster(members.map(m => m.stats), scopeStats, memberVision);
+
+    const exemplars = [...idx]
+      .sort((a, b) => dist2(points[a], centroid) - dist2(points[b], centroid))
+      .slice(0, 6)
+      .map(i => {
+        const v = items[i].video;
+        return {
+          id: v.id,
+          title: v.title,
+          thumbnailUrl: v.thumbnail_url,
+          youtubeVideoId: v.youtube_video_id,
+          views: v.view_count,
+          multiplier: items[i].multiplier,
+          channelName: channelName[v.channel_id] || null,
+        };
+      });
+
+    return {
+      id: `c${j}`,
+      label,
+      traits,
+      size: members.length,
+      channelCount: Object.keys(perChannel).length,
+      topChannel: { id: topChannelId, name: channelName[topChannelId] || null, share: topCount / members.length },
+      singleChannel: topCount / members.length >= DOMINANT_CHANNEL_SHARE,
+      medianMultiplier: confidence === 'insufficient' ? null : medianMultiplier,
+      multiplierN: multipliers.length,
+      lift: confidence !== 'insufficient' && medianMultiplier != null && baselineMultiplier
+        ? medianMultiplier / baselineMultiplier
+        : null,
+      confidence,
+      sizeConfidence: labelConfidence(members.length, 'thumbnailCluster'),
+      exemplars,
+      videoIds: members.map(m => m.video.id),
+    };
+  }).filter(Boolean);
+
+  // What works first; clusters without a lift last, largest first
+  clusters.sort((a, b) => {
+    if ((a.lift == null) !== (b.lift == null)) return a.lift == null ? 1 : -1;
+    if (a.lift != null && a.lift !== b.lift) return b.lift - a.lift;
+    return b.size - a.size;
+  });
+
+  return {
+    clusters,
+    videoCount: videos.length,
+    describedCount: items.length,
+    baselineMultiplier,
+    computed,
+    failed,
+    deferred,
+  };
+}
+
+function round4(x) {
+  return Math.round(x * 10000) / 10000;
+}
+
+export default {
+  DESCRIPTOR_VERSION,
+  computeDescriptor,
+  describeThumbnailUrl,
+  ensureDescriptors,
+  standardizeVectors,
+  kMeans,
+  silhouette,
+  chooseClusters,
+  describeCluster,
+  analyzeThumbnailClusters,
+};
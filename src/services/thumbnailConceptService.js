@@ -0,0 +1,268 @@
+/**
+ * Thumbnail concept service — the async half of the Pre-flight
+ * `thumbnail` dimension (conceptScorerService.scoreThumbnail).
+ *
+ * Two pieces, both built on productionSignalService's Vision rubric:
+ *
+ *   1. loadThumbnailSignalContext — what outperforms in the cohort.
+ *      Each active channel_production_signals row carries per-thumbnail
+ *      signals (face, framing, text overlay, …) for its ~12 most recent
+ *      uploads. Each of those videos gets a view multiplier against its
+ *      channel's trimmed median (the thumbnailClusterService baseline),
+ *      and every trait gets a lift: median multiplier of thumbnails
+ *      with it over those without. Long-form only — Shorts thumbnails
+ *      barely surface in the feed.
+ *
+ *   2. rateMockThumbnail — one Vision call on the strategist's uploaded
+ *      mock, returning the same per-thumbnail shape plus the trait ids
+ *      it carries. Cached by (image, prompt_version) like curiosityGap.
+ *
+ * The scorer compares the mock's traits against the cohort lifts; this
+ * module does no tiering.
+ */
+
+import { supabase } from './supabaseClient';
+import { fetchVideosForChannels, resolveScopeToChannelIds } from './patternsService.js';
+import {
+  getActiveProductionSignalsForChannels,
+  normalizeThumbnailSignals,
+  PER_THUMBNAIL_SIGNAL_SCHEMA,
+} from './productionSignalService';
+import { trimmedMedian, liftConfidence, labelConfidence } from './statsHelpers.js';
+
+export const THUMBNAIL_PROMPT_VERSION = 'v1-thumbnail-signals';
+
+const SHORTS_DURATION_THRESHOLD = 180;
+const BASELINE_WINDOW_DAYS = 180;     // channel medians; wider than the 12-upload sample
+const MIN_CHANNEL_VIDEOS = 5;
+const MIN_CONTEXT_THUMBNAILS = 20;
+const DOMINANT_CHANNEL_SHARE = 0.6;
+const CACHE_TTL_HOURS = 24 * 30;
+const CACHE_TABLE = 'competitor_intelligence_cache';
+
+// Traits the dimension scores. Each is a yes/no read of one
+// per-thumbnail signal set.
+export const THUMBNAIL_TRAITS = [
+  { id: 'face',          label: 'prominent face',         test: s => s.face },
+  { id: 'close_framing', label: 'close-up framing',       test: s => s.framing === 'close' },
+  { id: 'host_visible',  label: 'recurring host visible', test: s => s.host_visible },
+  { id: 'text_overlay',  label: 'text overlay',           test: s => s.text_overlay },
+  { id: 'large_text',    label: 'large headline text',    test: s => s.large_text },
+  { id: 'all_caps',      label: 'all-caps headline',      test: s => s.all_caps },
+  { id: 'scene_driven',  label: 'scene-led (no face, no headline)', test: s => s.scene_driven },
+];
+
+export function traitsFor(signals) {
+  if (!signals) return [];
+  return THUMBNAIL_TRAITS.filter(t => t.test(signals)).map(t => t.id);
+}
+
+// ──────────────────────────────────────────────────
+// Cohort context
+// ──────────────────────────────────────────────────
+
+/**
+ * Per-trait lifts across the client's cohort thumbnails.
+ *
+ * @returns {Promise<{
+ *   traits: Array<{ id, label, lift, confidence, n_with, n_without, channel_count, single_channel }>,
+ *   thumbnailCount: number, channelCount: number, extractedAt: string|null,
+ * } | null>}  null when no channel has per-thumbnail signals yet (refresh
+ *   production signals to backfill them).
+ */
+export async function loadThumbnailSignalContext({ clientId }) {
+  if (!supabase || !clientId) return null;
+  try {
+    const scopeIds = await resolveScopeToChannelIds({ clientId, tiers: ['priority', 'tracked'] });
+    const channelIds = [...new Set([clientId, ...scopeIds])];
+
+    const [rows, videos] = await Promise.all([
+      getActiveProductionSignalsForChannels(channelIds),
+      fetchVideosForChannels(channelIds, { windowDays: BASELINE_WINDOW_DAYS }),
+    ]);
+    const withThumbs = Object.values(rows).filter(r => Array.isArray(r.signals?.thumbnails) && r.signals.thumbnails.length);
+    if (!withThumbs.length) return null;
+
+    const longForm = videos.filter(v => (v.duration_seconds || 0) > SHORTS_DURATION_THRESHOLD);
+    const byChannel = {};
+    for (const v of longForm) (byChannel[v.channel_id] ||= []).push(v);
+    const channelMedian = {};
+    for (const [id, vids] of Object.entries(byChannel)) {
+      if (vids.length >= MIN_CHANNEL_VIDEOS) channelMedian[id] = trimmedMedian(vids.map(v => v.view_count));
+    }
+    const videoByYoutubeId = Object.fromEntries(longForm.map(v => [v.youtube_video_id, v]));
+
+    const items = [];
+    for (const row of withThumbs) {
+      for (const t of row.signals.thumbnails) {
+        const v = videoByYoutubeId[t.youtube_video_id];
+        const base = v && channelMedian[v.channel_id];
+        const signals = normalizeThumbnailSignals(t);
+        if (!base || !signals) continue;
+        items.push({ channelId: v.channel_id, traits: new Set(traitsFor(signals)), multiplier: v.view_count / base });
+      }
+    }
+
+    const extractedAt = withThumbs.map(r => r.extracted_at).filter(Boolean).sort()[0] || null;
+    const summary = {
+      thumbnailCount: items.length,
+      channelCount: new Set(items.map(it => it.channelId)).size,
+      extractedAt,
+    };
+    if (items.length < MIN_CONTEXT_THUMBNAILS) return { traits: [], ...summary };
+
+    const traits = THUMBNAIL_TRAITS.map(trait => {
+      const withItems = items.filter(it => it.traits.has(trait.id));
+      const withVals = withItems.map(it => it.multiplier);
+      const withoutVals = items.filter(it => !it.traits.has(trait.id)).map(it => it.multiplier);
+      const withMedian = trimmedMedian(withVals);
+      const withoutMedian = trimmedMedian(withoutVals);
+
+      // Both sides need enough thumbnails to trust the contrast; the
+      // weaker side sets the label.
+      const withConf = liftConfidence({ sampleValues: withVals, currentMedian: withMedian, kind: 'thumbnailSignal' });
+      const withoutConf = labelConfidence(withoutVals.length, 'thumbnailSignal');
+      let confidence = [withConf, withoutConf].includes('insufficient') ? 'insufficient'
+        : [withConf, withoutConf].includes('directional') ? 'directional' : 'statistical';
+
+      // A trait that is really one channel's house look says nothing
+      // about the trait — same dominance rule as the style clusters.
+      const perChannel = {};
+      for (const it of withItems) perChannel[it.channelId] = (perChannel[it.channelId] || 0) + 1;
+      const topShare = withItems.length ? Math.max(...Object.values(perChannel)) / withItems.length : 0;
+      const singleChannel = topShare >= DOMINANT_CHANNEL_SHARE;
+      if (singleChannel && confidence === 'statistical') confidence = 'directional';
+
+      return {
+        id: trait.id,
+        label: trait.label,
+        lift: confidence !== 'insufficient' && withMedian != null && withoutMedian
+          ? Math.round((withMedian / withoutMedian) * 1000) / 1000
+          : null,
+        confidence,
+        n_with: withVals.length,
+        n_without: withoutVals.length,
+        channel_count: Object.keys(perChannel).length,
+        single_channel: singleChannel,
+      };
+    });
+
+    return { traits, ...summary };
+  } catch (err) {
+    console.warn('[thumbnailConcept] context load failed:', err);
+    return null;
+  }
+}
+
+// ──────────────────────────────────────────────────
+// Mock thumbnail rating
+// ──────────────────────────────────────────────────
+
+/**
+ * Extract per-thumbnail signals from an uploaded mock via Claude Vision.
+ *
+ * @param {Object} image            { base64: 'data:image/…;base64,…', media_type }
+ * @param {Object} [opts]
+ * @param {string} [opts.title]     concept title — context for "host" / headline reads only
+ * @param {string} [opts.clientId]  for usage-ledger attribution only
+ * @returns {Promise<{ signals, traits: string[], notes: string, promptVersion: string, cached: boolean } | null>}
+ *   null when no image or the call fails (dimension self-excludes).
+ */
+export async function rateMockThumbnail(image, { title = '', clientId = null } = {}) {
+  if (!image?.base64) return null;
+
+  const cacheKey = `thumbnail_signals:${THUMBNAIL_PROMPT_VERSION}:${djb2(image.base64)}`;
+  const cached = await loadCache(cacheKey);
+  if (cached) return { ...cached, cached: true };
+
+  try {
+    const claudeAPI = (await import('./claudeAPI')).default;
+    const { parseClaudeJSON } = await import('../lib/parseClaudeJSON');
+    const result = await claudeAPI.call(
+      buildUserPrompt(title),
+      SYSTEM_PROMPT,
+      'thumbnail_signals',
+      400,
+      { images: [image], clientId, promptVersion: THUMBNAIL_PROMPT_VERSION },
+    );
+    const parsed = parseClaudeJSON(result.text, null);
+    const signals = normalizeThumbnailSignals(parsed);
+    if (!signals) return null;
+
+    const payload = {
+      signals,
+      traits: traitsFor(signals),
+      notes: (parsed.notes || '').trim(),
+      promptVersion: THUMBNAIL_PROMPT_VERSION,
+    };
+    await saveCache(cacheKey, payload);
+    return { ...payload, cached: false };
+  } catch (err) {
+    console.warn('[thumbnailConcept] rating failed:', err);
+    return null;
+  }
+}
+
+const SYSTEM_PROMPT = `You are a visual production analyst for a YouTube strategist. You look at one mock thumbnail and record what is actually in it, using the same rubric the strategist's cohort thumbnails were coded with. Judge what is visible, not what was intended. Return ONLY valid JSON.`;
+
+function buildUserPrompt(title) {
+  return `${title ? `Planned title: "${title}"\n\n` : ''}Code this thumbnail. Return JSON with this exact shape:
+
+${PER_THUMBNAIL_SIGNAL_SCHEMA}
+
+Add one more field, "notes": a single sentence on what dominates the frame.
+
+A mock may be rough (sketch, placeholder photo) — code the elements it shows. No prose outside the JSON.`;
+}
+
+// ──────────────────────────────────────────────────
+// Cache helpers — mirror curiosityGapService
+// ──────────────────────────────────────────────────
+
+function djb2(str) {
+  let h = 5381;
+  for (let i = 0; i < str.length; i++) {
+    h = ((h << 5) + h) + str.charCodeAt(i);
+    h = h | 0;
+  }
+  return (h >>> 0).toString(36);
+}
+
+async function loadCache(key) {
+  if (!supabase) return null;
+  try {
+    const { data } = await supabase
+      .from(CACHE_TABLE)
+      .select('payload, updated_at')
+      .eq('cache_key', key)
+      .maybeSingle();
+    if (!data) return null;
+    const ageHours = (Date.now() - new Date(data.updated_at).getTime()) / 3600000;
+    if (ageHours > CACHE_TTL_HOURS) return null;
+    return data.payload;
+  } catch {
+    return null;
+  }
+}
+
+async function saveCache(key, payload) {
+  if (!supabase) return;
+  try {
+    await supabase
+      .from(CACHE_TABLE)
+      .upsert(
+        { cache_key: key, payload, updated_at: new Date().toISOString() },
+        { onConflict: 'cache_key' },
+      );
+  } catch (err) {
+    console.warn('[thumbnailConcept] cache save failed:', err);
+  }
+}
+
+export default {
+  loadThumbnailSignalContext,
+  rateMockThumbnail,
+  traitsFor,
+  THUMBNAIL_TRAITS,
+  THUMBNAIL_PROMPT_VERSION,
+};
@@ -75,6 +75,52 @@ export async function getConceptEmbedding(text) {
   }
 }
 
+// Proxy accepts up to 100 texts per call.
+const EMBED_BATCH_SIZE = 100;
+
+/**
+ * Embed several concepts in as few proxy calls as possible — Pre-flight
+ * batch mode embeds every variant up front. Shares the session cache
+ * with getConceptEmbedding; only uncached titles hit the proxy.
+ *
+ * @returns {Promise<Array<number[] | null>>} same order as `texts`
+ */
+export async function getConceptEmbeddings(texts) {
+  const keys = (texts || []).map(t => (typeof t === 'string' ? t.trim().toLowerCase() : ''));
+  const missing = [...new Set(keys.filter(k => k && !conceptEmbeddingCache.has(k)))];
+
+  if (missing.length) {
+    try {
+      const token = await youtubeOAuthService.getAuthToken();
+      if (token) {
+        for (let i = 0; i < missing.length; i += EMBED_BATCH_SIZE) {
+          const chunk = missing.slice(i, i + EMBED_BATCH_SIZE);
+          const originals = chunk.map(k => texts[keys.indexOf(k)].trim());
+          const resp = await fetch('/api/openai-embeddings', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body: JSON.stringify({ texts: originals }),
+          });
+          if (!resp.ok) {
+            const body = await resp.json().catch(() => null);
+            console.warn('[topicAuthority] concept batch embed failed:', body?.error || resp.status);
+            break;
+          }
+          const json = await resp.json();
+          chunk.forEach((k, j) => {
+            const vec = json?.embeddings?.[j];
+            if (vec) conceptEmbeddingCache.set(k, vec);
+          });
+        }
+      }
+    } catch (err) {
+      console.warn('[topicAuthority] concept batch embed error:', err);
+    }
+  }
+
+  return keys.map(k => (k && conceptEmbeddingCache.get(k)) || null);
+}
+
 // ──────────────────────────────────────────────────
 // Comparison corpora
 // ──────────────────────────────────────────────────
@@ -240,6 +286,7 @@ export function parseEmbedding(raw) {
 
 export default {
   getConceptEmbedding,
+  getConceptEmbeddings,
   loadTopicAuthorityContext,
   countPendingEmbeddings,
   cosineSimilarity,
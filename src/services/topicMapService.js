@@ -0,0 +1,395 @@
+/**
+ * topicMapService — clusters a scope's embedded titles into topics and
+ * reports who covers each topic and what it earns.
+ *
+ * videos.title_embedding (migration 088) was only used for
+ * topicAuthorityService's nearest-neighbour lookups. This is the
+ * embedding-based complement to whiteSpaceService's Claude-extracted
+ * topic coverage: the clusters come from the vectors, so every video is
+ * assigned, counts are exact, and only the naming touches the LLM.
+ *
+ * Pipeline:
+ *   1. Embedded videos for the scope (plus the client's own channel when
+ *      a clientId is given), most recent first, capped at MAX_VIDEOS.
+ *   2. Vectors L2-normalized and random-projected to PROJECTED_DIMS —
+ *      cosine geometry survives the projection and k-means gets ~16×
+ *      cheaper. Seeded, so the same scope maps the same way twice.
+ *   3. k-means (thumbnailClusterService.kMeans), k picked by simplified
+ *      silhouette within [MIN_K, MAX_K].
+ *   4. Per topic, cohort videos only: trimmed-median view multiplier
+ *      (views over the channel's trimmed median), lift vs the scope's
+ *      typical multiplier, liftConfidence, and view share vs upload
+ *      share. Per channel: share of its uploads in each topic.
+ *   5. One LLM call per topic for a name, cached in
+ *      competitor_intelligence_cache keyed by the topic's exemplar ids,
+ *      so an unchanged topic is never named twice.
+ *
+ * "Opportunity" = the client has (almost) nothing in a topic where the
+ * cohort's lift is ≥ OPPORTUNITY_LIFT across ≥ 2 channels.
+ *
+ * Consumer: WhiteSpaceLens ("Topic map") through TopicMap.jsx.
+ */
+
+import { supabase } from './supabaseClient';
+import { parseEmbedding } from './topicAuthorityService.js';
+import { kMeans, silhouette } from './thumbnailClusterService.js';
+import { trimmedMedian, liftConfidence, labelConfidence, CONFIDENCE } from './statsHelpers.js';
+
+const SHORTS_DURATION_THRESHOLD = 180;
+const MAX_VIDEOS = 1200;
+const PAGE = 200;                      // vectors are ~20KB of JSON each
+const PROJECTED_DIMS = 96;
+const MIN_K = 4;
+const MAX_K = 12;
+const MIN_MAP_INPUT = 30;
+const MIN_CHANNEL_VIDEOS = 5;
+const EXEMPLARS = 8;
+const CLIENT_ABSENT_SHARE = 0.02;
+const OPPORTUNITY_LIFT = 1.15;
+const NAME_CACHE_HOURS = 24 * 30;
+const NAME_PROMPT_VERSION = 'v1';
+
+// ──────────────────────────────────────────────────
+// Public entry
+// ──────────────────────────────────────────────────
+
+/**
+ * @param {Object} opts
+ * @param {string[]} opts.channelIds   cohort channel ids (scope)
+ * @param {string}   [opts.clientId]   client channel id — mapped alongside, excluded from topic performance
+ * @param {number}   [opts.windowDays=90]
+ * @param {string}   [opts.scopeLabel] context for the naming prompt
+ * @param {Function} [opts.onProgress]
+ * @returns {Promise<{
+ *   topics: Array, channels: Array, videoCount, embeddedCount, pendingCount,
+ *   baselineMultiplier, clientChannelId
+ * }>}
+ */
+export async function analyzeTopicMap({ channelIds, clientId = null, windowDays = 90, scopeLabel = 'this scope', onProgress } = {}) {
+  const empty = { topics: [], channels: [], videoCount: 0, embeddedCount: 0, pendingCount: 0, baselineMultiplier: null, clientChannelId: clientId };
+  if (!supabase || !channelIds?.length) return empty;
+
+  const allIds = Array.from(new Set([...channelIds, ...(clientId ? [clientId] : [])]));
+  const cutoff = new Date(Date.now() - windowDays * 86400000).toISOString();
+
+  onProgress?.('Loading embeddings');
+  const [videos, pendingCount, { data: channelRows }] = await Promise.all([
+    fetchEmbeddedVideos(allIds, cutoff),
+    countPending(allIds, cutoff),
+    supabase.from('channels').select('id, name').in('id', allIds),
+  ]);
+  const channelName = Object.fromEntries((channelRows || []).map(c => [c.id, c.name]));
+
+  const items = videos
+    .map(v => ({ video: v, vector: parseEmbedding(v.title_embedding) }))
+    .filter(it => it.vector?.length);
+  if (items.length < MIN_MAP_INPUT) {
+    return { ...empty, videoCount: videos.length, embeddedCount: items.length, pendingCount };
+  }
+
+  // View multiplier vs the channel's own trimmed median
+  const byChannel = {};
+  for (const it of items) (byChannel[it.video.channel_id] ||= []).push(it.video);
+  const channelMedian = {};
+  for (const [id, vids] of Object.entries(byChannel)) {
+    if (vids.length >= MIN_CHANNEL_VIDEOS) channelMedian[id] = trimmedMedian(vids.map(v => v.view_count));
+  }
+  for (const it of items) {
+    const m = channelMedian[it.video.channel_id];
+    it.multiplier = m ? it.video.view_count / m : null;
+    it.isClient = it.video.channel_id === clientId;
+  }
+
+  onProgress?.('Clustering');
+  const points = projectVectors(items.map(it => it.vector));
+  const { assignments, centroids } = chooseTopicClusters(points);
+
+  const cohortItems = items.filter(it => !it.isClient);
+  const cohortMultipliers = cohortItems.map(it => it.multiplier).filter(m => m != null);
+  const baselineMultiplier = cohortMultipliers.length ? trimmedMedian(cohortMultipliers) : null;
+  const cohortViews = cohortItems.reduce((s, it) => s + (it.video.view_count || 0), 0);
+
+  const topics = centroids.map((centroid, j) => {
+    const idx = items.map((_, i) => i).filter(i => assignments[i] === j);
+    if (!idx.length) return null;
+    const members = idx.map(i => items[i]);
+    const cohort = members.filter(m => !m.isClient);
+    const multipliers = cohort.map(m => m.multiplier).filter(m => m != null);
+    const medianMultiplier = multipliers.length ? trimmedMedian(multipliers) : null;
+    const confidence = liftConfidence({ sampleValues: multipliers, currentMedian: medianMultiplier, kind: 'topicCluster' });
+
+    const channelCounts = {};
+    for (const m of cohort) channelCounts[m.video.channel_id] = (channelCounts[m.video.channel_id] || 0) + 1;
+    const topicViews = cohort.reduce((s, m) => s + (m.video.view_count || 0), 0);
+
+    const exemplars = [...idx]
+      .sort((a, b) => dist2(points[a], centroid) - dist2(points[b], centroid))
+      .slice(0, EXEMPLARS)
+      .map(i => {
+        const v = items[i].video;
+        return {
+          id: v.id,
+          title: v.title,
+          youtubeVideoId: v.youtube_video_id,
+          views: v.view_count,
+          multiplier: items[i].multiplier,
+          channelName: channelName[v.channel_id] || null,
+        };
+      });
+
+    return {
+      id: `t${j}`,
+      name: null,
+      description: null,
+      size: members.length,
+      cohortCount: cohort.length,
+      clientCount: members.length - cohort.length,
+      channelCount: Object.keys(channelCounts).length,
+      uploadShare: cohortItems.length ? cohort.length / cohortItems.length : 0,
+      viewShare: cohortViews > 0 ? topicViews / cohortViews : 0,
+      shortsShare: members.filter(m => (m.video.duration_seconds || 0) <= SHORTS_DURATION_THRESHOLD).length / members.length,
+      medianMultiplier: confidence === 'insufficient' ? null : medianMultiplier,
+      multiplierN: multipliers.length,
+      lift: confidence !== 'insufficient' && medianMultiplier != null && baselineMultiplier
+        ? medianMultiplier / baselineMultiplier
+        : null,
+      confidence,
+      sizeConfidence: labelConfidence(cohort.length, 'topicCluster'),
+      exemplars,
+      videoIds: members.map(m => m.video.id),
+    };
+  }).filter(Boolean);
+
+  // Per-channel share of uploads in each topic (client first)
+  const topicOf = {};
+  topics.forEach((t, ti) => t.videoIds.forEach(id => { topicOf[id] = ti; }));
+  const channels = Object.entries(byChannel).map(([id, vids]) => {
+    const counts = topics.map(() => 0);
+    for (const v of vids) counts[topicOf[v.id]]++;
+    return {
+      id,
+      name: channelName[id] || null,
+      isClient: id === clientId,
+      videoCount: vids.length,
+      shares: Object.fromEntries(topics.map((t, ti) => [t.id, counts[ti] / vids.length])),
+    };
+  }).sort((a, b) => (b.isClient - a.isClient) || b.videoCount - a.videoCount);
+
+  const client = channels.find(c => c.isClient);
+  for (const t of topics) {
+    t.clientShare = client ? client.shares[t.id] : null;
+    t.opportunity = !!client
+      && t.clientShare < CLIENT_ABSENT_SHARE
+      && t.lift != null && t.lift >= OPPORTUNITY_LIFT
+      && t.channelCount >= 2;
+  }
+
+  onProgress?.('Naming topics');
+  await nameTopics(topics, scopeLabel);
+
+  // Opportunities first, then what earns most
+  topics.sort((a, b) => {
+    if (a.opportunity !== b.opportunity) return a.opportunity ? -1 : 1;
+    if ((a.lift == null) !== (b.lift == null)) return a.lift == null ? 1 : -1;
+    if (a.lift != null && a.lift !== b.lift) return b.lift - a.lift;
+    return b.size - a.size;
+  });
+
+  return {
+    topics,
+    channels,
+    videoCount: videos.length,
+    embeddedCount: items.length,
+    pendingCount,
+    baselineMultiplier,
+    clientChannelId: client ? clientId : null,
+  };
+}
+
+// ──────────────────────────────────────────────────
+// Data
+// ──────────────────────────────────────────────────
+
+async function fetchEmbeddedVideos(channelIds, cutoff) {
+  const out = [];
+  for (let offset = 0; offset < MAX_VIDEOS; offset += PAGE) {
+    const { data, error } = await supabase
+      .from('videos')
+      .select('id, channel_id, title, view_count, duration_seconds, published_at, youtube_video_id, title_embedding')
+      .in('channel_id', channelIds)
+      .gte('published_at', cutoff)
+      .lte('published_at', new Date().toISOString())
+      .gt('view_count', 0)
+      .not('title_embedding', 'is', null)
+      .order('published_at', { ascending: false })
+      .range(offset, Math.min(offset + PAGE, MAX_VIDEOS) - 1);
+    if (error) {
+      console.warn('[topicMap] video fetch failed:', error);
+      break;
+    }
+    out.push(...(data || []));
+    if (!data || data.length < PAGE) break;
+  }
+  return out;
+}
+
+async function countPending(channelIds, cutoff) {
+  const { count } = await supabase
+    .from('videos')
+    .select('id', { count: 'exact', head: true })
+    .in('channel_id', channelIds)
+    .gte('published_at', cutoff)
+    .gt('view_count', 0)
+    .is('title_embedding', null);
+  return count ?? 0;
+}
+
+// ──────────────────────────────────────────────────
+// Geometry
+// ──────────────────────────────────────────────────
+
+/**
+ * Normalize, project to PROJECTED_DIMS with a seeded ±1 random matrix,
+ * renormalize. Euclidean k-means on unit vectors ranks the same as
+ * cosine.
+ */
+export function projectVectors(vectors, dims = PROJECTED_DIMS, seed = 104729) {
+  const inDims = vectors[0].length;
+  const rand = seededRandom(seed);
+  const signs = new Int8Array(inDims * dims);
+  for (let i = 0; i < signs.length; i++) signs[i] = rand() < 0.5 ? -1 : 1;
+
+  return vectors.map(v => {
+    const out = new Array(dims).fill(0);
+    for (let i = 0; i < inDims; i++) {
+      const x = v[i];
+      if (!x) continue;
+      const row = i * dims;
+      for (let d = 0; d < dims; d++) out[d] += x * signs[row + d];
+    }
+    const norm = Math.sqrt(out.reduce((s, x) => s + x * x, 0)) || 1;
+    return out.map(x => x / norm);
+  });
+}
+
+/**
+ * k-means over projected points, k in [MIN_K, MAX_K] by silhouette,
+ * capped so the average topic clears the hide threshold twice over.
+ */
+export function chooseTopicClusters(points) {
+  const minSize = CONFIDENCE.topicCluster.hide;
+  const maxK = Math.min(MAX_K, Math.floor(points.length / (minSize * 2)));
+  if (maxK < 2) return { k: 1, assignments: points.map(() => 0), centroids: [points[0]] };
+  let best = null;
+  for (let k = Math.min(MIN_K, maxK); k <= maxK; k++) {
+    const run = kMeans(points, k, { seed: 7907 * k });
+    const score = silhouette(points, run);
+    if (!best || score > best.score) best = { k, score, ...run };
+  }
+  return best;
+}
+
+// ──────────────────────────────────────────────────
+// Naming — one LLM call per topic, cached by exemplar ids
+// ──────────────────────────────────────────────────
+
+async function nameTopics(topics, scopeLabel) {
+  const claudeAPI = (await import('./claudeAPI')).default;
+  const { parseClaudeJSON } = await import('../lib/parseClaudeJSON');
+
+  for (const t of topics) {
+    const cacheKey = `topicmap_name:${NAME_PROMPT_VERSION}:${hashString(t.exemplars.map(e => e.id).sort().join(','))}`;
+    const cached = await loadCache(cacheKey);
+    if (cached?.name) {
+      t.name = cached.name;
+      t.description = cached.description || null;
+      continue;
+    }
+    try {
+      const prompt = `These ${t.exemplars.length} YouTube titles were grouped together by title-embedding similarity, from channels in the "${scopeLabel}" space:
+
+${t.exemplars.map((e, i) => `${i + 1}. ${e.title}`).join('\n')}
+
+Name the topic they share in 2-5 words. Name the subject, not the packaging ("Budget Smart Lock Installs", not "Surprising Videos"), and never use a brand or channel name. Add one sentence describing what the videos cover.
+
+Return ONLY valid JSON: { "name": "string", "description": "string" }`;
+      const systemPrompt = 'You label clusters of YouTube videos for a content strategist. Be specific and concrete. Return ONLY valid JSON.';
+      const result = await claudeAPI.call(prompt, systemPrompt, 'topic_map_name', 200);
+      const parsed = parseClaudeJSON(result.text, {});
+      if (parsed?.name) {
+        t.name = String(parsed.name).trim();
+        t.description = parsed.description ? String(parsed.description).trim() : null;
+        await saveCache(cacheKey, { name: t.name, description: t.description });
+      }
+    } catch (err) {
+      console.warn('[topicMap] naming failed:', err);
+    }
+    if (!t.name) t.name = fallbackName(t.exemplars);
+  }
+}
+
+const STOPWORDS = new Set(('a an and are as at be but by for from has have how i in is it its my of on or our so that the this to was we what when why with you your vs ' +
+  'new best top get got make made do does did not no just more most all can will').split(' '));
+
+// Most common non-stopword terms across the exemplars
+function fallbackName(exemplars) {
+  const counts = {};
+  for (const e of exemplars) {
+    const words = new Set((e.title || '').toLowerCase().match(/[a-z][a-z'-]{2,}/g) || []);
+    for (const w of words) if (!STOPWORDS.has(w)) counts[w] = (counts[w] || 0) + 1;
+  }
+  const top = Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([w]) => w);
+  return top.length ? top.map(w => w[0].toUpperCase() + w.slice(1)).join(' · ') : 'Unnamed topic';
+}
+
+async function loadCache(key) {
+  try {
+    const { data } = await supabase
+      .from('competitor_intelligence_cache')
+      .select('payload, updated_at')
+      .eq('cache_key', key)
+      .maybeSingle();
+    if (!data) return null;
+    const ageHours = (Date.now() - new Date(data.updated_at).getTime()) / 3600000;
+    return ageHours > NAME_CACHE_HOURS ? null : data.payload;
+  } catch (err) {
+    return null;
+  }
+}
+
+async function saveCache(key, payload) {
+  try {
+    await supabase
+      .from('competitor_intelligence_cache')
+      .upsert({ cache_key: key, payload, updated_at: new Date().toISOString() }, { onConflict: 'cache_key' });
+  } catch (err) {
+    console.warn('[topicMap] cache save failed:', err);
+  }
+}
+
+// ----- helpers -----
+
+function dist2(a, b) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += (a[i] - b[i]) ** 2;
+  return s;
+}
+
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashString(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) h = Math.imul(h ^ str.charCodeAt(i), 16777619);
+  return (h >>> 0).toString(36);
+}
+
+export default { analyzeTopicMap, projectVectors, chooseTopicClusters };
@@ -0,0 +1,324 @@
+/**
+ * velocityCurveService — age-adjusted view curves for breakout detection.
+ *
+ * A video's curve is its cumulative views by age (days since publish),
+ * read from video_snapshots (one row per video per day) with
+ * videos.views_at_48h filling in day 2. A channel's expected band at a
+ * given age is the median and robust spread (MAD × 1.4826) of log views
+ * across its other recent uploads at that same age. The z-score is
+ * (log views − band median) / spread.
+ *
+ * Comparing like-for-like ages is what lets a slow-burn search video
+ * register at day 30 when its 48h number was ordinary. Working in log
+ * space with a spread floor stops channels with tiny medians from
+ * flagging every 2× wobble, which the old `views_at_48h >= 2× median`
+ * rule did.
+ *
+ * api/generate-competitor-alerts.js mirrors the pure functions below
+ * (api files can't import from src) — keep thresholds in sync.
+ */
+
+import { supabase } from './supabaseClient';
+import { labelConfidence, median } from './statsHelpers';
+
+// Ages (days) the band is evaluated at. Dense early, where curves move.
+export const CURVE_AGES = [1, 2, 3, 5, 7, 10, 14, 21, 30, 45, 60];
+export const MAX_CURVE_AGE = 60;
+
+// z at or above this is a breakout; HIGH_BREAKOUT_Z is the "high"
+// severity cut used by alert delivery.
+export const BREAKOUT_Z = 2;
+export const HIGH_BREAKOUT_Z = 3;
+
+// Minimum spread in log views (≈ ±28%). Channels whose uploads all land
+// within a few percent of each other would otherwise turn a modest beat
+// into z = 6.
+export const SPREAD_FLOOR = 0.25;
+
+// Expected views at the compared age must clear this before a breakout
+// counts — same floor the 48h rule applied to the channel median.
+export const MIN_EXPECTED_VIEWS = 100;
+
+// Uploads considered when building a channel's band.
+export const REFERENCE_WINDOW_DAYS = 240;
+export const REFERENCE_LIMIT = 40;
+
+const SHORTS_MAX = 180;
+const MAD_TO_SD = 1.4826;
+// A point within half a day of the requested age stands in for it.
+const AGE_TOLERANCE = 0.5;
+// snapshot_date is a DATE; the competitor sync that writes it runs at
+// 06:00 UTC, so that's the time of day the count was read.
+const SNAPSHOT_TIME_UTC = '06:00:00';
+
+// ──────────────────────────────────────────────────
+// Curves
+// ──────────────────────────────────────────────────
+
+/**
+ * Cumulative views by age for one video, sorted by age. A drop between
+ * snapshots is a YouTube recount, so the running max is carried forward.
+ *
+ * @param {{ published_at: string, views_at_48h?: number }} video
+ * @param {Array<{ snapshot_date: string, view_count: number }>} snapshots
+ * @returns {Array<{ age: number, views: number }>}
+ */
+export function buildVideoCurve(video, snapshots = []) {
+  const published = Date.parse(video?.published_at);
+  if (!Number.isFinite(published)) return [];
+  const points = [];
+  for (const s of snapshots) {
+    if (s.view_count == null) continue;
+    const age = (Date.parse(`${s.snapshot_date}T${SNAPSHOT_TIME_UTC}Z`) - published) / 86400000;
+    if (age <= 0 || age > MAX_CURVE_AGE + AGE_TOLERANCE) continue;
+    points.push({ age, views: Number(s.view_count) || 0 });
+  }
+  if (video.views_at_48h != null && !points.some(p => Math.abs(p.age - 2) < AGE_TOLERANCE)) {
+    points.push({ age: 2, views: Number(video.views_at_48h) || 0 });
+  }
+  points.sort((a, b) => a.age - b.age);
+  let peak = 0;
+  return points.map(p => {
+    peak = Math.max(peak, p.views);
+    return { age: p.age, views: peak };
+  });
+}
+
+/**
+ * Views at `age`, interpolated in log space between the surrounding
+ * points. Null when the curve doesn't reach that age or the surrounding
+ * points are too far apart to trust the interpolation.
+ */
+export function viewsAtAge(curve, age) {
+  if (!curve?.length) return null;
+  const first = curve[0];
+  const last = curve[curve.length - 1];
+  if (age < first.age - AGE_TOLERANCE || age > last.age + AGE_TOLERANCE) return null;
+  if (age <= first.age) return first.views;
+  if (age >= last.age) return last.views;
+  for (let i = 1; i < curve.length; i++) {
+    const b = curve[i];
+    if (b.age < age) continue;
+    const a = curve[i - 1];
+    if (b.age - a.age > Math.max(3, age * 0.5)) return null;
+    const t = (age - a.age) / (b.age - a.age);
+    return Math.expm1(Math.log1p(a.views) + t * (Math.log1p(b.views) - Math.log1p(a.views)));
+  }
+  return last.views;
+}
+
+export function isShortVideo(video) {
+  return video?.duration_seconds != null && video.duration_seconds <= SHORTS_MAX;
+}
+
+/**
+ * Reference curves for `target`: the channel's other uploads of the same
+ * format (Shorts vs long-form decay very differently), falling back to
+ * every other upload when the same-format pool is too small.
+ *
+ * @param {Object} target                         — video row
+ * @param {Array<{ video: Object, curve: Array }>} pool
+ */
+export function pickReferenceCurves(target, pool) {
+  const others = pool.filter(p => p.video.id !== target.id && p.curve.length);
+  const sameFormat = others.filter(p => isShortVideo(p.video) === isShortVideo(target));
+  const chosen = labelConfidence(sameFormat.length, 'velocityCurve') === 'insufficient' ? others : sameFormat;
+  return chosen.map(p => p.curve);
+}
+
+// ──────────────────────────────────────────────────
+// Expected band + scoring
+// ──────────────────────────────────────────────────
+
+function bandViews(center, spread) {
+  return {
+    expected: Math.expm1(center),
+    low: Math.max(0, Math.expm1(center - spread)),
+    high: Math.expm1(center + spread),
+    low2: Math.max(0, Math.expm1(center - 2 * spread)),
+    high2: Math.expm1(center + 2 * spread),
+  };
+}
+
+/**
+ * The channel's expected curve: per age, how many reference uploads
+ * reach it (n), the median log views (center) and the robust spread.
+ * Ages no reference reaches come back with n = 0.
+ */
+export function buildExpectedBand(referenceCurves, ages = CURVE_AGES) {
+  return ages.map(age => {
+    const logs = [];
+    for (const curve of referenceCurves) {
+      const v = viewsAtAge(curve, age);
+      if (v != null) logs.push(Math.log1p(v));
+    }
+    if (!logs.length) return { age, n: 0 };
+    const center = median(logs);
+    const mad = median(logs.map(x => Math.abs(x - center)));
+    const spread = Math.max(mad * MAD_TO_SD, SPREAD_FLOOR);
+    return { age, n: logs.length, center, spread, ...bandViews(center, spread) };
+  });
+}
+
+/**
+ * Band at an arbitrary age, interpolated between the surrounding grid
+ * ages. n is the smaller of the two so confidence never rounds up.
+ */
+export function bandAtAge(band, age) {
+  const usable = (band || []).filter(b => b.n > 0);
+  if (!usable.length || age < usable[0].age - AGE_TOLERANCE || age > usable[usable.length - 1].age + AGE_TOLERANCE) return null;
+  let lo = usable[0];
+  let hi = usable[usable.length - 1];
+  for (const b of usable) {
+    if (b.age <= age) lo = b;
+    if (b.age >= age) { hi = b; break; }
+  }
+  if (age <= lo.age || lo === hi) return lo;
+  if (age >= hi.age) return hi;
+  const t = (age - lo.age) / (hi.age - lo.age);
+  const center = lo.center + t * (hi.center - lo.center);
+  const spread = lo.spread + t * (hi.spread - lo.spread);
+  return { age, n: Math.min(lo.n, hi.n), center, spread, ...bandViews(center, spread) };
+}
+
+/**
+ * Where a curve sits against the band at `age` (default: its latest
+ * point, capped at MAX_CURVE_AGE). Null under one day old or when the
+ * band doesn't reach that age.
+ */
+export function scoreAgainstBand(curve, band, age = curve?.[curve.length - 1]?.age) {
+  if (!curve?.length || age == null || age < CURVE_AGES[0] - AGE_TOLERANCE) return null;
+  const at = Math.min(age, MAX_CURVE_AGE);
+  const views = viewsAtAge(curve, at);
+  const ref = bandAtAge(band, at);
+  if (views == null || !ref) return null;
+  return {
+    age: at,
+    views,
+    expected: ref.expected,
+    z: (Math.log1p(views) - ref.center) / ref.spread,
+    n: ref.n,
+    confidence: labelConfidence(ref.n, 'velocityCurve'),
+    multiplier: ref.expected > 0 ? views / ref.expected : null,
+  };
+}
+
+/**
+ * Full verdict for one video against its reference curves.
+ *
+ * shape: 'fast_start' when it was already ≥ BREAKOUT_Z at 48h,
+ * 'slow_burn' when 48h looked ordinary and it pulled away later,
+ * null when not a breakout or the 48h point is unknown.
+ *
+ * @returns {{ band: Array, score: Object|null, early: Object|null, breakout: boolean, shape: string|null }}
+ */
+export function scoreVideoVelocity(curve, referenceCurves) {
+  const band = buildExpectedBand(referenceCurves);
+  const score = scoreAgainstBand(curve, band);
+  if (!score) return { band, score: null, early: null, breakout: false, shape: null };
+  const early = score.age > 2 + AGE_TOLERANCE ? scoreAgainstBand(curve, band, 2) : score;
+  const breakout = score.z >= BREAKOUT_Z
+    && score.confidence !== 'insufficient'
+    && score.expected >= MIN_EXPECTED_VIEWS;
+  let shape = null;
+  if (breakout && early) shape = early.z >= BREAKOUT_Z ? 'fast_start' : 'slow_burn';
+  return { band, score, early, breakout, shape };
+}
+
+/**
+ * One-line summary of a breakout alert payload. Handles both the
+ * velocity-curve payload and pre-curve alerts (views_at_48h vs median).
+ */
+export function describeBreakout(p) {
+  if (!p) return '';
+  if (p.z_score == null) {
+    return `"${p.video_title}" hit ${p.views_at_48h?.toLocaleString()} views (${p.multiplier}× channel median)`;
+  }
+  const shape = p.shape === 'slow_burn' ? ', slow burn' : p.shape === 'fast_start' ? ', fast start' : '';
+  return `"${p.video_title}" has ${p.views?.toLocaleString()} views at day ${Math.round(p.age_days)} vs ~${p.expected_views?.toLocaleString()} expected (z = ${p.z_score}, ${p.confidence}${shape})`;
+}
+
+// ──────────────────────────────────────────────────
+// Loading (ChannelDrawer)
+// ──────────────────────────────────────────────────
+
+/**
+ * video_snapshots for the given videos, restricted to their first
+ * MAX_CURVE_AGE days. Chunked by video and paged — a channel's year of
+ * daily snapshots runs well past PostgREST's 1000-row cap.
+ */
+export async function loadCurveSnapshots(videos) {
+  const rows = [];
+  const sorted = [...videos].sort((a, b) => (a.published_at < b.published_at ? -1 : 1));
+  for (let i = 0; i < sorted.length; i += 10) {
+    const chunk = sorted.slice(i, i + 10);
+    const from = chunk[0].published_at.slice(0, 10);
+    const to = new Date(Date.parse(chunk[chunk.length - 1].published_at) + (MAX_CURVE_AGE + 1) * 86400000)
+      .toISOString().slice(0, 10);
+    for (let page = 0; ; page++) {
+      const { data, error } = await supabase
+        .from('video_snapshots')
+        .select('video_id, snapshot_date, view_count')
+        .in('video_id', chunk.map(v => v.id))
+        .gte('snapshot_date', from)
+        .lte('snapshot_date', to)
+        .order('snapshot_date', { ascending: true })
+        .range(page * 1000, page * 1000 + 999);
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < 1000) break;
+    }
+  }
+  return rows;
+}
+
+/**
+ * A channel's recent uploads with their curves, each scored against the
+ * band built from the channel's other uploads.
+ *
+ * @returns {Promise<Array<{ video: Object, curve: Array, band: Array, score: Object|null, early: Object|null, breakout: boolean, shape: string|null }>>}
+ */
+export async function loadChannelVelocity(channelId) {
+  if (!supabase || !channelId) return [];
+  try {
+    const { data: videos, error } = await supabase
+      .from('videos')
+      .select('id, youtube_video_id, title, published_at, duration_seconds, view_count, views_at_48h')
+      .eq('channel_id', channelId)
+      .gte('published_at', new Date(Date.now() - REFERENCE_WINDOW_DAYS * 86400000).toISOString())
+      .order('published_at', { ascending: false })
+      .limit(REFERENCE_LIMIT);
+    if (error) throw error;
+    if (!videos?.length) return [];
+
+    const snapshots = await loadCurveSnapshots(videos.filter(v => v.published_at));
+    const byVideo = {};
+    for (const s of snapshots) (byVideo[s.video_id] ||= []).push(s);
+
+    const pool = videos.map(video => ({ video, curve: buildVideoCurve(video, byVideo[video.id]) }));
+    return pool.map(entry => ({
+      ...entry,
+      ...scoreVideoVelocity(entry.curve, pickReferenceCurves(entry.video, pool)),
+    }));
+  } catch (err) {
+    console.warn('[velocityCurveService] loadChannelVelocity failed:', err);
+    return [];
+  }
+}
+
+export default {
+  CURVE_AGES,
+  MAX_CURVE_AGE,
+  BREAKOUT_Z,
+  HIGH_BREAKOUT_Z,
+  buildVideoCurve,
+  viewsAtAge,
+  pickReferenceCurves,
+  buildExpectedBand,
+  bandAtAge,
+  scoreAgainstBand,
+  scoreVideoVelocity,
+  describeBreakout,
+  loadCurveSnapshots,
+  loadChannelVelocity,
+};
@@ -113,6 +113,7 @@ export async function generateWeeklyBrief({
       SYSTEM_PROMPT,
       'weekly_strategist_brief_draft',
       2200,
+      { clientId, promptVersion: BRIEF_PROMPT_VERSION },
     );
     const draftText = (draftResult?.text || '').trim();
     if (!draftText) {
@@ -126,6 +127,7 @@ export async function generateWeeklyBrief({
       CRITIQUE_SYSTEM_PROMPT,
       'weekly_strategist_brief_critique',
       1800,
+      { clientId, promptVersion: BRIEF_PROMPT_VERSION },
     );
     const critiqueText = (critiqueResult?.text || '').trim();
 
@@ -142,6 +144,7 @@ export async function generateWeeklyBrief({
         REVISE_SYSTEM_PROMPT,
         'weekly_strategist_brief_revise',
         2200,
+        { clientId, promptVersion: BRIEF_PROMPT_VERSION },
       );
       const revisedText = (reviseResult?.text || '').trim();
       if (revisedText) finalText = revisedText;
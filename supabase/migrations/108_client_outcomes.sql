@@ -0,0 +1,84 @@
+-- 108: client_outcomes — per-video business outcomes for calibration
+-- Phase B.
+--
+-- Why this exists: migration 092 shipped calibration with a single
+-- baseline strategy ('percentile_rank' — view-rank quartile inside the
+-- channel). For B2B / advisor / nonprofit clients that's the wrong
+-- actual-tier baseline. A video with 4K views that books 12
+-- consultations outperformed the 80K-view explainer that booked none.
+-- This table holds the outcome numbers those clients can give us so
+-- calibrationService can derive actual_tier from them.
+--
+-- Ingestion: strategist uploads a CSV from CalibrationWorkspace
+-- (youtube_video_id or URL, outcome_type, value). No CRM integration
+-- in v1 — the CSV is the integration. Re-uploading the same
+-- (video, outcome_type) pair overwrites the value so corrected exports
+-- don't double-count.
+--
+-- outcome_type is free text on purpose (consultation_bookings,
+-- demo_requests, donor_signups, email_signups, …). The calibration
+-- strategy picks one type per run; new types are a CSV column value,
+-- not a migration.
+--
+-- Unlike client_calibration_runs this table is mutable: it's a data
+-- source, not an immutable result. Calibration runs that used it are
+-- still reproducible via baseline_strategy + baseline_outcome_type +
+-- the run's created_at.
+
+CREATE TABLE IF NOT EXISTS client_outcomes (
+  id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id          UUID NOT NULL REFERENCES channels(id) ON DELETE CASCADE,
+  youtube_video_id   TEXT NOT NULL,
+
+  outcome_type       TEXT NOT NULL,
+  outcome_value      NUMERIC NOT NULL CHECK (outcome_value >= 0),
+  window_days        INTEGER,         -- attribution window the client used, when they tell us
+
+  source             TEXT NOT NULL DEFAULT 'csv_upload'
+    CHECK (source IN ('csv_upload', 'manual')),
+  upload_batch_id    UUID,            -- groups rows from one CSV upload
+  notes              TEXT,
+
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_by         TEXT,            -- strategist email
+  updated_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One value per (client, video, outcome_type). CSV re-uploads upsert.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_client_outcomes_video_type
+  ON client_outcomes(client_id, youtube_video_id, outcome_type);
+
+CREATE INDEX IF NOT EXISTS idx_client_outcomes_client_type
+  ON client_outcomes(client_id, outcome_type);
+
+COMMENT ON TABLE client_outcomes IS
+  'Per-video business outcomes (consultations, demo requests, donor signups, …) supplied by the client via CSV upload. Feeds the client_outcomes calibration baseline strategy (calibrationService). One row per (client, video, outcome_type); re-uploads overwrite.';
+
+COMMENT ON COLUMN client_outcomes.outcome_type IS
+  'Free-text outcome label, snake_case by convention (consultation_bookings, demo_requests, donor_signups). A calibration run picks exactly one type — mixing types in one quartile ranking would compare unlike units.';
+
+-- The run needs to remember WHICH outcome type it ranked on; the
+-- strategy name alone ('client_outcomes') doesn't say.
+ALTER TABLE client_calibration_runs
+  ADD COLUMN IF NOT EXISTS baseline_outcome_type TEXT;
+
+COMMENT ON COLUMN client_calibration_runs.baseline_outcome_type IS
+  'For baseline_strategy = ''client_outcomes'': which client_outcomes.outcome_type the actual tiers were ranked on. NULL for view-side strategies.';
+
+COMMENT ON COLUMN client_calibration_runs.baseline_strategy IS
+  'Strategy used to derive actual_tier from observed outcomes. ''percentile_rank'' (view-rank quartile), ''watch_time_per_view'' (watch-hours-per-view quartile), ''subs_per_view'' (subscribers-gained-per-view quartile), ''client_outcomes'' (quartile on a client-supplied outcome — see baseline_outcome_type). Registry lives in calibrationService.BASELINE_STRATEGIES.';
+
+-- ──────────────────────────────────────────────────
+-- RLS
+-- ──────────────────────────────────────────────────
+
+ALTER TABLE client_outcomes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read client outcomes"
+  ON client_outcomes FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Authenticated users can insert client outcomes"
+  ON client_outcomes FOR INSERT TO authenticated WITH CHECK (true);
+CREATE POLICY "Authenticated users can update client outcomes"
+  ON client_outcomes FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
+CREATE POLICY "Authenticated users can delete client outcomes"
+  ON client_outcomes FOR DELETE TO authenticated USING (true);
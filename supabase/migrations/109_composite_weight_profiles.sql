@@ -0,0 +1,92 @@
+-- 109: client_composite_weight_profiles — per-format learned weights
+-- for conceptScorerService.composeRating.
+--
+-- Why this exists: composeRating uses the same counting rules for every
+-- format ("2+ predicted_under → predicted_under"). Kendall's format-split
+-- calibration (migration 094) showed Shorts at 21% exact vs 33% for
+-- long-form, with the slot dimension close to noise on Shorts — the
+-- Browse-logic slot lift doesn't transfer to an algorithmically
+-- distributed feed. A weight profile lets the composite lean on the
+-- dimensions that actually track outcomes for each format.
+--
+-- How a profile is produced: compositeWeightsService.fitFormatWeights
+-- reads the per-format per-dimension confusion matrices of stored
+-- client_calibration_runs, measures each dimension's ordinal agreement
+-- with the actual tier (Goodman–Kruskal gamma over the matrix — the
+-- mismatch pattern, not just exact accuracy), and shrinks the result
+-- toward 1.0 by sample size. The strategist evaluates it on an audit in
+-- CalibrationWorkspace (accuracy before vs after) and saves it.
+--
+-- Shape of weights:
+--   {
+--     shorts:    { title_patterns: 1.31, slot: 0.18, length: 1.0, topic_authority: 1.42 },
+--     long_form: { title_patterns: 0.94, slot: 1.10, length: 0.97, topic_authority: 1.05 }
+--   }
+-- Dimensions absent from a format block weigh 1.0 (LLM dimensions are
+-- never in calibration audits, so they always keep the default).
+--
+-- One active profile per client (partial unique index). Activating a
+-- new profile archives nothing — older profiles stay listed so the
+-- scorecards that reference them stay interpretable.
+
+CREATE TABLE IF NOT EXISTS client_composite_weight_profiles (
+  id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id           UUID NOT NULL REFERENCES channels(id) ON DELETE CASCADE,
+
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_by          TEXT,
+  label               TEXT,
+
+  fit_method          TEXT NOT NULL DEFAULT 'gamma-shrunk-v1',
+  weights             JSONB NOT NULL,
+  fit_stats           JSONB,          -- { shorts: { dim: { n, gamma, accuracy } }, long_form: { … } }
+  source_run_ids      UUID[] NOT NULL DEFAULT '{}',
+
+  -- Before/after on the audit the strategist evaluated it against.
+  -- { audit_id, baseline_strategy, before: { pooled, shorts, long_form }, after: { … } }
+  -- each leaf { accuracy, adjacent_accuracy, n }
+  evaluation          JSONB,
+
+  is_active           BOOLEAN NOT NULL DEFAULT FALSE,
+  archived_at         TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_composite_weight_profiles_active
+  ON client_composite_weight_profiles(client_id)
+  WHERE is_active AND archived_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_composite_weight_profiles_client
+  ON client_composite_weight_profiles(client_id, created_at DESC)
+  WHERE archived_at IS NULL;
+
+COMMENT ON TABLE client_composite_weight_profiles IS
+  'Per-format dimension weights for the Pre-flight composite, fitted from stored calibration runs. At most one active profile per client; Pre-flight scores with the active profile and records its id on each scorecard. No active profile = the original counting rules.';
+
+COMMENT ON COLUMN client_composite_weight_profiles.weights IS
+  'Shape: { shorts: { <dimension>: weight }, long_form: { … } }. Missing dimensions weigh 1.0. Weight 0 removes the dimension from the composite for that format.';
+
+-- Scorecards record the profile they were composed with.
+ALTER TABLE client_concept_scorecards
+  ADD COLUMN IF NOT EXISTS weight_profile_id  UUID REFERENCES client_composite_weight_profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS composite_weights  JSONB;
+
+COMMENT ON COLUMN client_concept_scorecards.weight_profile_id IS
+  'Weight profile the composite_tier was composed with. NULL = default counting rules (pre-109 scorecards and clients without an active profile).';
+
+COMMENT ON COLUMN client_concept_scorecards.composite_weights IS
+  'Snapshot of the per-dimension weights applied for this scorecard''s format. Kept alongside weight_profile_id so the composite stays reproducible if the profile row is later deleted.';
+
+-- ──────────────────────────────────────────────────
+-- RLS
+-- ──────────────────────────────────────────────────
+
+ALTER TABLE client_composite_weight_profiles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read weight profiles"
+  ON client_composite_weight_profiles FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Authenticated users can insert weight profiles"
+  ON client_composite_weight_profiles FOR INSERT TO authenticated WITH CHECK (true);
+CREATE POLICY "Authenticated users can update weight profiles"
+  ON client_composite_weight_profiles FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
+CREATE POLICY "Authenticated users can delete weight profiles"
+  ON client_composite_weight_profiles FOR DELETE TO authenticated USING (true);
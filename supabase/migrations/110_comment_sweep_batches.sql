@@ -0,0 +1,142 @@
+-- 110: multi-channel comment sweep batches + cross-channel themes
+--
+-- v1.1 of the competitor-comment sweep (migration 103). The single-
+-- channel sweep proved useful enough that strategists were running it
+-- once per peer channel and eyeballing the results side by side for
+-- questions that kept coming up. A batch does that in one click:
+--
+--   1. One client_comment_sweeps row per peer-tagged cohort channel,
+--      linked to the batch via batch_id. Each sweep is the unchanged
+--      v1 fetch + regex classification.
+--   2. commentThemeService de-duplicates near-identical comments across
+--      channels (duplicate_of) and clusters the rest into themes —
+--      embeddings via /api/openai-embeddings when available, token
+--      overlap otherwise.
+--   3. Themes are persisted ranked by channel breadth. A question asked
+--      on five peer channels is a category-wide gap; one asked five
+--      times on one channel is that channel's audience.
+--
+-- Signals keep their per-sweep review workflow. Theme membership is
+-- written back onto client_comment_signals.theme_cluster_id /
+-- theme_label (columns reserved in 103), so the source comments stay
+-- the evidence for every theme.
+
+-- ──────────────────────────────────────────────────
+-- client_comment_sweep_batches
+-- ──────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS client_comment_sweep_batches (
+  id                          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id                   UUID NOT NULL REFERENCES channels(id) ON DELETE CASCADE,
+
+  created_at                  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_by                  TEXT,
+
+  status                      TEXT NOT NULL DEFAULT 'sweeping'
+    CHECK (status IN ('sweeping', 'clustering', 'complete', 'error')),
+  status_message              TEXT,
+
+  -- Parameters
+  cohort_roles                TEXT[] NOT NULL DEFAULT '{peer}',
+  max_videos                  INTEGER NOT NULL DEFAULT 10,
+  max_comments_per_video      INTEGER NOT NULL DEFAULT 50,
+
+  -- Result counters
+  channels_targeted           INTEGER DEFAULT 0,
+  channels_swept              INTEGER DEFAULT 0,
+  channels_failed             INTEGER DEFAULT 0,
+  signals_total               INTEGER DEFAULT 0,
+  duplicates_merged           INTEGER DEFAULT 0,
+  themes_count                INTEGER DEFAULT 0,
+  multi_channel_themes_count  INTEGER DEFAULT 0,
+
+  theme_method                TEXT CHECK (theme_method IN ('embeddings', 'lexical')),
+  theme_prompt_version        TEXT,
+
+  completed_at                TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_sweep_batches_client_recent
+  ON client_comment_sweep_batches(client_id, created_at DESC);
+
+COMMENT ON TABLE client_comment_sweep_batches IS
+  'One-click sweep across every cohort channel of the given roles (peer by default). Child sweeps link back via client_comment_sweeps.batch_id; cross-channel themes live in client_comment_themes. Same Spine-input-candidate framing as migration 103 — nothing auto-merges.';
+
+COMMENT ON COLUMN client_comment_sweep_batches.theme_method IS
+  'embeddings = greedy centroid clustering over text-embedding-3-small vectors. lexical = token-overlap fallback when the embeddings proxy was unavailable. Recorded so a strategist comparing two batches knows whether the grouping changed method.';
+
+ALTER TABLE client_comment_sweeps
+  ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES client_comment_sweep_batches(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_comment_sweeps_batch
+  ON client_comment_sweeps(batch_id)
+  WHERE batch_id IS NOT NULL;
+
+-- ──────────────────────────────────────────────────
+-- client_comment_themes
+-- ──────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS client_comment_themes (
+  id                          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  batch_id                    UUID NOT NULL REFERENCES client_comment_sweep_batches(id) ON DELETE CASCADE,
+  client_id                   UUID NOT NULL REFERENCES channels(id) ON DELETE CASCADE,
+
+  rank                        INTEGER NOT NULL,
+  label                       TEXT NOT NULL,                -- LLM-named when available, else the representative comment
+  representative_text         TEXT,
+  representative_signal_id    UUID REFERENCES client_comment_signals(id) ON DELETE SET NULL,
+
+  channel_count               INTEGER NOT NULL DEFAULT 0,
+  channel_ids                 UUID[] NOT NULL DEFAULT '{}',
+  channel_names               TEXT[] NOT NULL DEFAULT '{}',  -- snapshot at batch time
+  unique_question_count       INTEGER NOT NULL DEFAULT 0,    -- after de-dupe
+  signal_count                INTEGER NOT NULL DEFAULT 0,    -- including duplicates
+  total_likes                 INTEGER NOT NULL DEFAULT 0,
+  signal_types                TEXT[] NOT NULL DEFAULT '{}',
+
+  created_at                  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_themes_batch_rank
+  ON client_comment_themes(batch_id, rank);
+
+COMMENT ON TABLE client_comment_themes IS
+  'Cross-channel comment themes for one sweep batch, ranked by channel_count then unique_question_count then total_likes. Evidence = client_comment_signals rows with theme_cluster_id = id.';
+
+-- ──────────────────────────────────────────────────
+-- client_comment_signals — de-dupe link
+-- ──────────────────────────────────────────────────
+
+ALTER TABLE client_comment_signals
+  ADD COLUMN IF NOT EXISTS duplicate_of UUID REFERENCES client_comment_signals(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN client_comment_signals.duplicate_of IS
+  'Set by a batch sweep when this comment is a near-identical copy of another signal in the same batch (normalized text, token overlap, or embedding cosine). Points at the canonical (most-liked) copy. Duplicates stay as theme evidence but are not counted as distinct questions.';
+
+COMMENT ON COLUMN client_comment_signals.theme_cluster_id IS
+  'client_comment_themes.id for signals swept as part of a batch (migration 110). NULL for single-channel sweeps.';
+
+-- ──────────────────────────────────────────────────
+-- RLS
+-- ──────────────────────────────────────────────────
+
+ALTER TABLE client_comment_sweep_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE client_comment_themes        ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read sweep batches"
+  ON client_comment_sweep_batches FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Authenticated users can insert sweep batches"
+  ON client_comment_sweep_batches FOR INSERT TO authenticated WITH CHECK (true);
+CREATE POLICY "Authenticated users can update sweep batches"
+  ON client_comment_sweep_batches FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
+CREATE POLICY "Authenticated users can delete sweep batches"
+  ON client_comment_sweep_batches FOR DELETE TO authenticated USING (true);
+
+CREATE POLICY "Authenticated users can read comment themes"
+  ON client_comment_themes FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Authenticated users can insert comment themes"
+  ON client_comment_themes FOR INSERT TO authenticated WITH CHECK (true);
+CREATE POLICY "Authenticated users can update comment themes"
+  ON client_comment_themes FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
+CREATE POLICY "Authenticated users can delete comment themes"
+  ON client_comment_themes FOR DELETE TO authenticated USING (true);
@@ -0,0 +1,69 @@
+-- 111: comment signals → Spine merge targets, with back-links.
+--
+-- Until now status='merged_to_spine' on client_comment_signals was a
+-- flag: the strategist still copied the comment into the persona,
+-- a pillar, or a concept seed by hand, and the link back to the
+-- comment was lost. The merge action (commentSweepService.
+-- mergeSignalToSpine) now asks where the signal belongs and writes the
+-- target record itself:
+--
+--   persona_pain_point / persona_question
+--       → appended to client_strategy_spine.audience_persona
+--         (pain_points / questions_asked) with an evidence entry
+--         { source: 'competitor_comment', signal_id, … }. The persona is
+--         JSONB, so no schema change is needed on that side.
+--   pillar       → new draft client_pillars row, source='competitor_comment'
+--   concept_seed → new draft client_concept_seeds row, source='competitor_comment'
+--
+-- Both directions are recorded: the signal knows its target
+-- (merged_target + merged_target_id) and pillars / seeds carry
+-- source_comment_signal_id so provenance survives into the deliverable.
+-- Comment text is also snapshotted into the target's evidence / notes,
+-- so deleting a sweep doesn't erase why a pillar exists.
+
+-- ──────────────────────────────────────────────────
+-- client_comment_signals — where the signal went
+-- ──────────────────────────────────────────────────
+
+ALTER TABLE client_comment_signals
+  ADD COLUMN IF NOT EXISTS merged_target     TEXT
+    CHECK (merged_target IS NULL OR merged_target IN ('persona_pain_point', 'persona_question', 'pillar', 'concept_seed')),
+  ADD COLUMN IF NOT EXISTS merged_target_id  UUID;
+
+COMMENT ON COLUMN client_comment_signals.merged_target IS
+  'Set with status=merged_to_spine. persona_* targets live inside client_strategy_spine.audience_persona (merged_target_id NULL); pillar / concept_seed targets are rows referenced by merged_target_id. NULL on signals merged before migration 111.';
+
+COMMENT ON COLUMN client_comment_signals.merged_target_id IS
+  'client_pillars.id or client_concept_seeds.id for pillar / concept_seed merges. Not a foreign key — the target table depends on merged_target.';
+
+-- ──────────────────────────────────────────────────
+-- client_pillars — competitor-comment provenance
+-- ──────────────────────────────────────────────────
+
+ALTER TABLE client_pillars
+  DROP CONSTRAINT IF EXISTS client_pillars_source_check;
+ALTER TABLE client_pillars
+  ADD CONSTRAINT client_pillars_source_check
+    CHECK (source IS NULL OR source IN ('strategist', 'client_idea', 'existing_channel_pillar', 'competitor_comment'));
+
+ALTER TABLE client_pillars
+  ADD COLUMN IF NOT EXISTS source_comment_signal_id UUID REFERENCES client_comment_signals(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN client_pillars.source_comment_signal_id IS
+  'Competitor comment this pillar was drafted from (source=competitor_comment). The comment text is also snapshotted in notes.';
+
+-- ──────────────────────────────────────────────────
+-- client_concept_seeds — competitor-comment provenance
+-- ──────────────────────────────────────────────────
+
+ALTER TABLE client_concept_seeds
+  DROP CONSTRAINT IF EXISTS client_concept_seeds_source_check;
+ALTER TABLE client_concept_seeds
+  ADD CONSTRAINT client_concept_seeds_source_check
+    CHECK (source IN ('audience_persona', 'cohort_signal', 'calibration_mismatch', 'manual', 'competitor_comment'));
+
+ALTER TABLE client_concept_seeds
+  ADD COLUMN IF NOT EXISTS source_comment_signal_id UUID REFERENCES client_comment_signals(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN client_concept_seeds.source_comment_signal_id IS
+  'Competitor comment this seed was drafted from (source=competitor_comment). addresses_evidence carries a snapshot of the comment text, author, and source video.';
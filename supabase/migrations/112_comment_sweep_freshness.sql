@@ -0,0 +1,80 @@
+-- 112: comment sweep freshness + scheduled peer re-sweeps
+--
+-- Competitor-comment sweeps (103, 110) were on-demand only and sat
+-- outside the freshness model from migration 104, so nothing told the
+-- strategist that the peer set's comments were last mined two months
+-- ago. Three pieces:
+--
+--   1. Freshness. dataFreshnessService.loadChannelFreshness gains a
+--      comment_sweep source: last complete sweep per peer-tagged cohort
+--      channel, read straight from client_comment_sweeps. No new
+--      timestamp column on the competitor channel — a competitor can be
+--      a peer for several clients, and "last swept" is per client.
+--
+--   2. Opt-in cadence. channels.comment_resweep_cadence_days (NULL =
+--      off) drives /api/cron/comment-resweep, which re-sweeps every
+--      peer channel for clients that are due. last_comment_resweep_at /
+--      _error follow the per-source column convention from 104 so the
+--      badge and This Week can surface a failing cron.
+--
+--   3. New-only reporting. A sweep records the previous complete sweep
+--      of the same client × competitor and how many of its signals were
+--      not seen in any earlier sweep (matched on comment_youtube_id).
+--      Scheduled re-sweeps persist ONLY those new signals, so the
+--      strategist's review queue doesn't refill with comments already
+--      starred, merged, or dismissed. Manual sweeps still persist
+--      everything and just report the count.
+
+-- ──────────────────────────────────────────────────
+-- channels — per-client re-sweep cadence
+-- ──────────────────────────────────────────────────
+
+ALTER TABLE channels
+  ADD COLUMN IF NOT EXISTS comment_resweep_cadence_days INTEGER
+    CHECK (comment_resweep_cadence_days IS NULL OR comment_resweep_cadence_days BETWEEN 1 AND 90),
+  ADD COLUMN IF NOT EXISTS last_comment_resweep_at      TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS last_comment_resweep_error   TEXT;
+
+COMMENT ON COLUMN channels.comment_resweep_cadence_days IS
+  'Client-side setting. When set, /api/cron/comment-resweep re-sweeps every peer-tagged cohort channel once this many days have passed since last_comment_resweep_at. NULL = scheduled re-sweeps off (the default — sweeps stay on-demand).';
+
+COMMENT ON COLUMN channels.last_comment_resweep_at IS
+  'Last time the scheduled re-sweep ran for this client (at least one peer channel swept). Manual sweeps do not move it.';
+
+COMMENT ON COLUMN channels.last_comment_resweep_error IS
+  'Error from the last scheduled re-sweep run, cleared on the next run where every peer channel succeeded. Surfaced by the freshness badge and the This Week feed.';
+
+CREATE INDEX IF NOT EXISTS idx_channels_comment_resweep_due
+  ON channels(last_comment_resweep_at NULLS FIRST)
+  WHERE comment_resweep_cadence_days IS NOT NULL;
+
+-- ──────────────────────────────────────────────────
+-- client_comment_sweeps — trigger + new-since-last
+-- ──────────────────────────────────────────────────
+
+ALTER TABLE client_comment_sweeps
+  ADD COLUMN IF NOT EXISTS trigger                 TEXT NOT NULL DEFAULT 'manual'
+    CHECK (trigger IN ('manual', 'scheduled')),
+  ADD COLUMN IF NOT EXISTS previous_sweep_id       UUID REFERENCES client_comment_sweeps(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS new_signals_count       INTEGER,
+  ADD COLUMN IF NOT EXISTS repeat_signals_skipped  INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN client_comment_sweeps.trigger IS
+  'manual = strategist clicked Run sweep / Sweep all peers. scheduled = /api/cron/comment-resweep (persists new signals only).';
+
+COMMENT ON COLUMN client_comment_sweeps.previous_sweep_id IS
+  'Most recent earlier complete sweep of the same client × competitor channel. NULL on a channel''s first sweep.';
+
+COMMENT ON COLUMN client_comment_sweeps.new_signals_count IS
+  'Actionable signals whose comment_youtube_id never appeared in an earlier sweep of this client × competitor. NULL on sweeps run before migration 112.';
+
+COMMENT ON COLUMN client_comment_sweeps.repeat_signals_skipped IS
+  'Scheduled sweeps only: actionable signals dropped because an earlier sweep already surfaced them.';
+
+CREATE INDEX IF NOT EXISTS idx_comment_sweeps_client_competitor_complete
+  ON client_comment_sweeps(client_id, competitor_channel_id, completed_at DESC)
+  WHERE status = 'complete';
+
+CREATE INDEX IF NOT EXISTS idx_comment_signals_client_comment
+  ON client_comment_signals(client_id, comment_youtube_id)
+  WHERE comment_youtube_id IS NOT NULL;
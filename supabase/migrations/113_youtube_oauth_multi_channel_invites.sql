@@ -0,0 +1,120 @@
+-- 113: multi-channel guest OAuth invites for network clients.
+--
+-- A 096 invite is single-use: one link, one Google consent, one
+-- channel. Network clients run 5–20 channels under one brand account,
+-- which meant 5–20 links for the owner to click through. A multi-
+-- channel invite is one link that stays open for the whole session:
+--
+--   1. Strategist lists the channels they need (existing clients and/or
+--      free-text labels for channels Crux doesn't know yet). One
+--      youtube_oauth_invite_channels row per expected channel.
+--   2. The owner opens the link once and sees the checklist. Each
+--      "Connect" runs the standard consent flow with
+--      prompt=select_account, so Google lets them pick a different
+--      Brand Account channel every time. Google OAuth grants one
+--      channel per consent; there is no multi-channel token.
+--   3. The callback matches the channel Google returned against the
+--      checklist (expected channel id → the row the owner clicked →
+--      title), marks it connected, and sends the owner back to the
+--      checklist instead of the "you're done" page. A channel that
+--      isn't on the list is still connected and recorded as is_extra.
+--   4. The owner can skip channels they can't grant (not an owner, wrong
+--      login) and clicks Finish. The invite becomes 'redeemed' on Finish
+--      or automatically once every expected channel is connected or
+--      skipped.
+--
+-- Single-channel invites are unchanged (is_multi_channel = false).
+--
+-- Also widens youtube_oauth_audit_log.event_type: the oauth_invite_*
+-- events written since 096 were rejected by the 016 CHECK and dropped
+-- by the best-effort audit helper.
+
+-- ──────────────────────────────────────────────────
+-- youtube_oauth_invites — multi-channel flag
+-- ──────────────────────────────────────────────────
+
+ALTER TABLE youtube_oauth_invites
+  ADD COLUMN IF NOT EXISTS is_multi_channel  BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS finished_at       TIMESTAMPTZ;
+
+COMMENT ON COLUMN youtube_oauth_invites.is_multi_channel IS
+  'true = the link stays usable (status pending) until the guest finishes or every youtube_oauth_invite_channels row is connected / skipped. redeemed_youtube_* columns are left NULL; per-channel results live on the channel rows.';
+
+COMMENT ON COLUMN youtube_oauth_invites.finished_at IS
+  'Multi-channel invites: when the guest clicked Finish or the last expected channel resolved. Status flips to redeemed at the same time.';
+
+-- ──────────────────────────────────────────────────
+-- youtube_oauth_invite_channels
+-- ──────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS youtube_oauth_invite_channels (
+  id                              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  invite_id                       UUID NOT NULL REFERENCES youtube_oauth_invites(id) ON DELETE CASCADE,
+  position                        INTEGER NOT NULL DEFAULT 0,
+
+  -- What the strategist asked for
+  expected_channel_label          TEXT NOT NULL,          -- shown on the guest checklist
+  expected_youtube_channel_id     TEXT,                   -- known when picked from an existing client
+  client_id                       UUID REFERENCES channels(id) ON DELETE SET NULL,
+  is_extra                        BOOLEAN NOT NULL DEFAULT false,
+                                                          -- guest connected a channel that wasn't on the list
+
+  -- Outcome
+  status                          TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'connected', 'skipped')),
+  connected_at                    TIMESTAMPTZ,
+  connected_youtube_channel_id    TEXT,
+  connected_youtube_channel_title TEXT,
+  connected_youtube_email         TEXT,
+  connection_id                   UUID REFERENCES youtube_oauth_connections(id) ON DELETE SET NULL,
+  skipped_at                      TIMESTAMPTZ,
+  skip_reason                     TEXT,
+
+  created_at                      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_yt_oauth_invite_channels_invite
+  ON youtube_oauth_invite_channels(invite_id, position);
+
+COMMENT ON TABLE youtube_oauth_invite_channels IS
+  'Per-channel checklist for a multi-channel guest OAuth invite (migration 113). One row per expected channel plus is_extra rows for channels the guest connected that were not requested.';
+
+COMMENT ON COLUMN youtube_oauth_invite_channels.skip_reason IS
+  'Guest-supplied reason, or "not connected before finishing" when Finish closed out remaining pending rows.';
+
+-- The row the guest clicked "Connect" on. Lets the callback bind a
+-- label-only row (no expected channel id) to whatever Google returned.
+ALTER TABLE youtube_oauth_state
+  ADD COLUMN IF NOT EXISTS invite_channel_id UUID REFERENCES youtube_oauth_invite_channels(id) ON DELETE SET NULL;
+
+-- ──────────────────────────────────────────────────
+-- Audit log — allow invite events
+-- ──────────────────────────────────────────────────
+
+ALTER TABLE youtube_oauth_audit_log
+  DROP CONSTRAINT IF EXISTS youtube_oauth_audit_log_event_type_check;
+ALTER TABLE youtube_oauth_audit_log
+  ADD CONSTRAINT youtube_oauth_audit_log_event_type_check
+    CHECK (event_type IN (
+      'oauth_initiated', 'oauth_callback', 'oauth_success', 'oauth_failed',
+      'token_refresh', 'token_refresh_failed', 'token_accessed', 'token_revoked',
+      'connection_deleted',
+      'oauth_invite_created', 'oauth_invite_initiated', 'oauth_invite_redeemed', 'oauth_invite_revoked',
+      'oauth_invite_channel_connected', 'oauth_invite_channel_skipped', 'oauth_invite_finished'
+    ));
+
+-- ──────────────────────────────────────────────────
+-- RLS — strategists read / manage; the guest page goes through the
+-- service-role API like 096.
+-- ──────────────────────────────────────────────────
+
+ALTER TABLE youtube_oauth_invite_channels ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read invite channels"
+  ON youtube_oauth_invite_channels FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Authenticated users can insert invite channels"
+  ON youtube_oauth_invite_channels FOR INSERT TO authenticated WITH CHECK (true);
+CREATE POLICY "Authenticated users can update invite channels"
+  ON youtube_oauth_invite_channels FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
+CREATE POLICY "Authenticated users can delete invite channels"
+  ON youtube_oauth_invite_channels FOR DELETE TO authenticated USING (true);
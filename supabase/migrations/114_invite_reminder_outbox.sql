@@ -0,0 +1,128 @@
+-- 114: invite expiry reminders + notification outbox.
+--
+-- youtube_oauth_invites (096) and install_intake_tokens (105) both
+-- expire quietly. A pending OAuth invite only flips to 'expired' when
+-- someone happens to open it after expires_at, and an intake token has
+-- no status at all — the strategist finds out weeks later that the
+-- owner never clicked. Three pieces:
+--
+--   1. Outbox. notification_outbox is a queue of outbound messages,
+--      one row per (subject, template). /api/cron/invite-reminders
+--      queues rows, then drains them through whichever transport is
+--      configured (NOTIFY_TRANSPORT = smtp | webhook | log). The table
+--      is transport-agnostic: the row stores the rendered subject /
+--      body and the recipient, the sender just delivers it. Retries
+--      back off per row (next_attempt_at) and give up after a fixed
+--      number of attempts. 'log' is the local stub — it prints the
+--      message and marks it sent, so the whole flow runs without a
+--      mail server.
+--
+--   2. Reminder templates.
+--        *_expiring_soon  — still unused, expires within 48h. Goes to
+--                           the recipient the strategist recorded
+--                           (expected_youtube_email / intended_
+--                           recipient_email), else to the strategist.
+--        *_expired_unused — expired without being redeemed / submitted.
+--                           Goes to the strategist who issued it.
+--      dedupe_key = '<template>:<subject id>' makes queueing idempotent,
+--      so the daily cron can re-scan the same window without sending
+--      twice.
+--
+--   3. Lifecycle. The cron now expires pending OAuth invites eagerly
+--      instead of waiting for the lazy check in the invite API. Intake
+--      tokens keep their timestamp columns (first_accessed_at,
+--      last_submitted_at, revoked_at, expires_at) — the lifecycle state
+--      is derived from them in inviteReminderService rather than stored,
+--      so the public intake API doesn't have to keep a status in sync.
+
+-- ──────────────────────────────────────────────────
+-- notification_outbox
+-- ──────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS notification_outbox (
+  id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  dedupe_key          TEXT NOT NULL UNIQUE,
+  category            TEXT NOT NULL DEFAULT 'invite_reminder'
+    CHECK (category IN ('invite_reminder')),
+  template            TEXT NOT NULL
+    CHECK (template IN (
+      'oauth_invite_expiring_soon', 'oauth_invite_expired_unused',
+      'intake_token_expiring_soon', 'intake_token_expired_unused'
+    )),
+
+  -- What the message is about. Exactly one subject for invite reminders.
+  oauth_invite_id     UUID REFERENCES youtube_oauth_invites(id) ON DELETE CASCADE,
+  intake_token_id     UUID REFERENCES install_intake_tokens(id) ON DELETE CASCADE,
+  client_id           UUID REFERENCES channels(id) ON DELETE SET NULL,
+
+  -- Who it goes to
+  recipient_role      TEXT NOT NULL CHECK (recipient_role IN ('guest', 'strategist')),
+  recipient_email     TEXT,
+  recipient_name      TEXT,
+
+  -- Rendered message
+  subject             TEXT NOT NULL,
+  body_text           TEXT NOT NULL,
+  payload             JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+  -- Delivery
+  status              TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'sent', 'failed', 'skipped')),
+  transport           TEXT CHECK (transport IS NULL OR transport IN ('smtp', 'webhook', 'log')),
+  attempts            INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_error          TEXT,
+  sent_at             TIMESTAMPTZ,
+
+  CHECK (category <> 'invite_reminder' OR (oauth_invite_id IS NOT NULL) <> (intake_token_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_due
+  ON notification_outbox(next_attempt_at)
+  WHERE status = 'queued';
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_oauth_invite
+  ON notification_outbox(oauth_invite_id, created_at DESC)
+  WHERE oauth_invite_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_intake_token
+  ON notification_outbox(intake_token_id, created_at DESC)
+  WHERE intake_token_id IS NOT NULL;
+
+COMMENT ON TABLE notification_outbox IS
+  'Outbound message queue drained by /api/cron/invite-reminders (migration 114). One row per dedupe_key; the row is the delivery history the invite and intake-token lists show.';
+
+COMMENT ON COLUMN notification_outbox.dedupe_key IS
+  '''<template>:<subject id>''. Queueing upserts with ignoreDuplicates, so a subject gets each template at most once.';
+
+COMMENT ON COLUMN notification_outbox.status IS
+  'queued = waiting for next_attempt_at. sent = delivered by transport. failed = gave up after the max attempts (last_error has the reason). skipped = not sent because there was no recipient address or the invite / token resolved (redeemed, submitted, revoked) before delivery.';
+
+COMMENT ON COLUMN notification_outbox.transport IS
+  'Transport that handled the last attempt. log = local stub (NOTIFY_TRANSPORT unset or ''log'') — printed to the function log, nothing left the server.';
+
+-- ──────────────────────────────────────────────────
+-- Lookup index for the expiry scan
+-- ──────────────────────────────────────────────────
+
+CREATE INDEX IF NOT EXISTS idx_install_intake_tokens_expiry
+  ON install_intake_tokens(expires_at)
+  WHERE revoked_at IS NULL AND last_submitted_at IS NULL;
+
+-- ──────────────────────────────────────────────────
+-- RLS — strategists read the history; the cron writes with the
+-- service role.
+-- ──────────────────────────────────────────────────
+
+ALTER TABLE notification_outbox ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read notification outbox"
+  ON notification_outbox FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Authenticated users can insert notification outbox"
+  ON notification_outbox FOR INSERT TO authenticated WITH CHECK (true);
+CREATE POLICY "Authenticated users can update notification outbox"
+  ON notification_outbox FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
+CREATE POLICY "Authenticated users can delete notification outbox"
+  ON notification_outbox FOR DELETE TO authenticated USING (true);
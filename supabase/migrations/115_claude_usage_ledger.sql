@@ -0,0 +1,170 @@
+-- 115: server-side Claude usage ledger + team monthly budget.
+--
+-- claudeAPI tracked usage and the monthly budget in localStorage, so
+-- every strategist's browser had its own $20 budget and nobody could
+-- see what the team spent, or on what. /api/claude-proxy now writes one
+-- claude_usage_ledger row per call (feature tag, client, prompt version,
+-- model, tokens, cost, latency, outcome) and enforces a single team
+-- budget before forwarding to Anthropic:
+--
+--   1. Ledger. Written by the proxy with the service role after the
+--      call finishes — including failed, cancelled (the browser aborted
+--      mid-stream; input tokens are still billed) and budget-blocked
+--      calls, so the admin view shows the whole picture. cost_usd is
+--      computed server-side from the model's per-token price.
+--
+--   2. Team budget. claude_team_budget is a single-row settings table.
+--      When monthly_budget_usd is set, the proxy refuses a call (402)
+--      once month-to-date spend plus the call's worst-case cost (prompt
+--      estimate + max_tokens of output) would cross it. NULL = not
+--      enforced. Month = calendar month in UTC.
+--
+--   3. Admin view. claude_usage_breakdown() groups the ledger by
+--      feature × client for a window; Settings → AI Usage rolls that up
+--      both ways. Ledger reads are admin-only (same model as the OAuth
+--      audit log in 016); the month-to-date total is readable by every
+--      signed-in user so API Settings can show the team budget bar.
+
+-- ──────────────────────────────────────────────────
+-- claude_usage_ledger
+-- ──────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS claude_usage_ledger (
+  id                UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  -- Who / what
+  user_id           UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  user_email        TEXT,                         -- snapshot; survives user deletion
+  feature           TEXT NOT NULL DEFAULT 'general',
+  client_id         UUID REFERENCES channels(id) ON DELETE SET NULL,
+  prompt_version    TEXT,
+  model             TEXT NOT NULL,
+  stream            BOOLEAN NOT NULL DEFAULT false,
+
+  -- Usage
+  input_tokens      INTEGER NOT NULL DEFAULT 0,
+  output_tokens     INTEGER NOT NULL DEFAULT 0,
+  max_tokens        INTEGER,
+  cost_usd          NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  latency_ms        INTEGER,
+
+  -- Outcome
+  status            TEXT NOT NULL DEFAULT 'ok'
+    CHECK (status IN ('ok', 'error', 'aborted', 'budget_blocked')),
+  http_status       INTEGER,
+  error_message     TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_claude_usage_created
+  ON claude_usage_ledger(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_claude_usage_feature_created
+  ON claude_usage_ledger(feature, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_claude_usage_client_created
+  ON claude_usage_ledger(client_id, created_at DESC)
+  WHERE client_id IS NOT NULL;
+
+COMMENT ON TABLE claude_usage_ledger IS
+  'One row per /api/claude-proxy call (migration 115). Written by the proxy with the service role; admins read it through Settings → AI Usage.';
+
+COMMENT ON COLUMN claude_usage_ledger.feature IS
+  'Feature tag passed to claudeAPI.call / streamCall (e.g. atomizer_stage1_long, weekly_strategist_brief_draft).';
+
+COMMENT ON COLUMN claude_usage_ledger.prompt_version IS
+  'The calling service''s *_PROMPT_VERSION constant when it passes one. NULL for untagged call sites.';
+
+COMMENT ON COLUMN claude_usage_ledger.status IS
+  'ok = Anthropic returned a result. error = Anthropic or the proxy failed. aborted = the browser cancelled (AbortController) before the response finished; tokens are what had been reported / streamed so far. budget_blocked = refused by the team budget, never sent (cost 0).';
+
+-- ──────────────────────────────────────────────────
+-- claude_team_budget — single row
+-- ──────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS claude_team_budget (
+  id                  BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+  monthly_budget_usd  NUMERIC(10, 2) CHECK (monthly_budget_usd IS NULL OR monthly_budget_usd >= 0),
+  warn_at_percent     INTEGER NOT NULL DEFAULT 80 CHECK (warn_at_percent BETWEEN 1 AND 100),
+  updated_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_by          TEXT
+);
+
+INSERT INTO claude_team_budget (id, monthly_budget_usd)
+  VALUES (true, NULL)
+  ON CONFLICT (id) DO NOTHING;
+
+COMMENT ON TABLE claude_team_budget IS
+  'Team-wide Claude budget enforced by /api/claude-proxy. Exactly one row (id = true). monthly_budget_usd NULL = not enforced.';
+
+-- ──────────────────────────────────────────────────
+-- Aggregates
+-- ──────────────────────────────────────────────────
+
+-- Month-to-date spend. SECURITY DEFINER so non-admins can see the team
+-- total (and the proxy gets one cheap round-trip) without ledger access.
+CREATE OR REPLACE FUNCTION claude_usage_month_to_date()
+RETURNS TABLE (cost_usd NUMERIC, calls BIGINT, month_start TIMESTAMPTZ)
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE(SUM(l.cost_usd), 0)::NUMERIC,
+         COUNT(*) FILTER (WHERE l.status <> 'budget_blocked'),
+         date_trunc('month', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+  FROM claude_usage_ledger l
+  WHERE l.created_at >= date_trunc('month', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC';
+$$;
+
+-- Feature × client breakdown for the admin view. SECURITY INVOKER —
+-- the ledger's admin-only RLS applies.
+CREATE OR REPLACE FUNCTION claude_usage_breakdown(p_since TIMESTAMPTZ, p_until TIMESTAMPTZ DEFAULT NOW())
+RETURNS TABLE (
+  feature         TEXT,
+  client_id       UUID,
+  calls           BIGINT,
+  errors          BIGINT,
+  aborted         BIGINT,
+  blocked         BIGINT,
+  input_tokens    BIGINT,
+  output_tokens   BIGINT,
+  cost_usd        NUMERIC,
+  avg_latency_ms  NUMERIC
+)
+LANGUAGE sql STABLE
+SET search_path = public
+AS $$
+  SELECT l.feature,
+         l.client_id,
+         COUNT(*) FILTER (WHERE l.status <> 'budget_blocked'),
+         COUNT(*) FILTER (WHERE l.status = 'error'),
+         COUNT(*) FILTER (WHERE l.status = 'aborted'),
+         COUNT(*) FILTER (WHERE l.status = 'budget_blocked'),
+         COALESCE(SUM(l.input_tokens), 0),
+         COALESCE(SUM(l.output_tokens), 0),
+         COALESCE(SUM(l.cost_usd), 0),
+         ROUND(AVG(l.latency_ms) FILTER (WHERE l.status = 'ok'))
+  FROM claude_usage_ledger l
+  WHERE l.created_at >= p_since AND l.created_at < p_until
+  GROUP BY l.feature, l.client_id;
+$$;
+
+-- ──────────────────────────────────────────────────
+-- RLS
+-- ──────────────────────────────────────────────────
+
+ALTER TABLE claude_usage_ledger ENABLE ROW LEVEL SECURITY;
+ALTER TABLE claude_team_budget  ENABLE ROW LEVEL SECURITY;
+
+-- Ledger: admins read; the proxy inserts with the service role.
+CREATE POLICY "Admins can read Claude usage ledger"
+  ON claude_usage_ledger FOR SELECT TO authenticated
+  USING (EXISTS (SELECT 1 FROM user_profiles WHERE user_id = auth.uid() AND role = 'admin'));
+
+-- Budget: everyone reads (API Settings shows the bar); admins change it.
+CREATE POLICY "Authenticated users can read Claude team budget"
+  ON claude_team_budget FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Admins can update Claude team budget"
+  ON claude_team_budget FOR UPDATE TO authenticated
+  USING (EXISTS (SELECT 1 FROM user_profiles WHERE user_id = auth.uid() AND role = 'admin'))
+  WITH CHECK (EXISTS (SELECT 1 FROM user_profiles WHERE user_id = auth.uid() AND role = 'admin'));
+
+GRANT EXECUTE ON FUNCTION claude_usage_month_to_date() TO authenticated;
+GRANT EXECUTE ON FUNCTION claude_usage_breakdown(TIMESTAMPTZ, TIMESTAMPTZ) TO authenticated;
@@ -0,0 +1,37 @@
+-- 116: extend competitor_alerts.alert_type for three new Movement alerts.
+--
+-- Migration 062 set the constraint to:
+--   CHECK (alert_type IN ('breakout', 'format_shift', 'rank_change', 'trend', 'new_entrant'))
+--
+-- /api/generate-competitor-alerts now also detects:
+--   - title_pattern_adoption → a channel started using a title pattern
+--     (patternsService.TITLE_PATTERNS) it hadn't used in the prior 90
+--     days. payload.pattern_id / pattern_label identify which one.
+--   - cadence_break → a channel has gone silent for more than 2× its
+--     median upload gap. payload.last_video_id pins the silence episode
+--     so one gap only alerts once.
+--   - shorts_pivot → the channel's Shorts share of uploads jumped
+--     sharply (last 28 days vs the 90 days before).
+--
+-- Same idempotency model as the existing types: the generator skips a
+-- (channel, type) it already alerted on inside the type's window; the
+-- per-pattern / per-episode keys live in payload, so no new columns.
+--
+-- Drop + re-add, IF EXISTS so the migration is idempotent.
+
+ALTER TABLE competitor_alerts
+  DROP CONSTRAINT IF EXISTS competitor_alerts_alert_type_check;
+
+ALTER TABLE competitor_alerts
+  ADD CONSTRAINT competitor_alerts_alert_type_check
+  CHECK (alert_type IN (
+    'breakout', 'format_shift', 'rank_change', 'trend', 'new_entrant',
+    'title_pattern_adoption', 'cadence_break', 'shorts_pivot'
+  ));
+
+-- Payload-keyed idempotency lookups (pattern_id, last_video_id).
+CREATE INDEX IF NOT EXISTS idx_competitor_alerts_channel_type_generated
+  ON competitor_alerts(channel_id, alert_type, generated_at DESC);
+
+COMMENT ON COLUMN competitor_alerts.alert_type IS
+  'breakout | format_shift | rank_change | new_entrant | trend (062) | title_pattern_adoption | cadence_break | shorts_pivot (116). Generated by /api/generate-competitor-alerts.';
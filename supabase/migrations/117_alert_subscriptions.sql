@@ -0,0 +1,167 @@
+-- 117: alert delivery subscriptions — Slack-compatible webhooks and a
+-- daily email digest for This Week + Movement alerts.
+--
+-- Alerts only reached a strategist who opened Operate → This Week or
+-- the Movement lens. A subscription now pushes the matching ones out:
+--
+--   1. alert_subscriptions. One row per delivery target a user sets up
+--      in Settings → Alert Delivery. Filters:
+--        client_ids   — NULL = every client the owner can access
+--                       (admins: all clients; others: user_client_access)
+--        alert_types  — NULL = every delivered type. Types are the
+--                       thisWeekService `type` strings (stale_brief,
+--                       sync_error, …) and competitor_alerts.alert_type
+--                       (breakout, cadence_break, …) — one namespace.
+--        min_severity — low | medium | high. Competitor alerts have no
+--                       stored severity; alertSubscriptionService
+--                       .competitorAlertSeverity derives it from the
+--                       payload (mirrored in the cron).
+--      delivery = 'webhook' posts each new alert to webhook_url as
+--      Slack incoming-webhook JSON ({ text, blocks }); 'email_digest'
+--      sends one plain-text email per day to email, only when something
+--      is new since the last digest.
+--
+--   2. Queue. /api/cron/alert-delivery matches alerts to subscriptions
+--      hourly and queues rows in notification_outbox (114) under two new
+--      categories, then drains them with the same retry / backoff model
+--      as the invite reminders:
+--        alert_instant — template 'alert_webhook', dedupe_key
+--                        'alert_webhook:<subscription>:<alert key>'
+--        alert_digest  — template 'alert_digest',  dedupe_key
+--                        'alert_digest:<subscription>:<YYYY-MM-DD>'
+--      The webhook URL is read from the subscription at send time, never
+--      copied into the outbox (which every strategist can read).
+--
+--   3. Snoozes. alert_dismissals (106) suppress delivery: a snoozed or
+--      dismissed (client, type) pair is neither queued nor sent — rows
+--      queued before the snooze are skipped at drain time. Dismissed
+--      competitor_alerts rows (dismissed_at) are never delivered.
+--
+-- The invite-reminders cron drains only category 'invite_reminder';
+-- alert rows belong to /api/cron/alert-delivery.
+
+-- ──────────────────────────────────────────────────
+-- alert_subscriptions
+-- ──────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS alert_subscriptions (
+  id                UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  -- Owner
+  user_id           UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  user_email        TEXT,                         -- snapshot for the digest greeting / logs
+  label             TEXT,
+
+  -- Where
+  delivery          TEXT NOT NULL CHECK (delivery IN ('webhook', 'email_digest')),
+  webhook_url       TEXT,
+  email             TEXT,
+
+  -- What
+  client_ids        UUID[],                       -- NULL = all accessible clients
+  alert_types       TEXT[],                       -- NULL = all delivered types
+  min_severity      TEXT NOT NULL DEFAULT 'medium'
+    CHECK (min_severity IN ('low', 'medium', 'high')),
+
+  enabled           BOOLEAN NOT NULL DEFAULT true,
+  last_digest_at    TIMESTAMPTZ,
+  last_delivered_at TIMESTAMPTZ,
+  last_error        TEXT,
+
+  CHECK (delivery <> 'webhook'      OR webhook_url IS NOT NULL),
+  CHECK (delivery <> 'email_digest' OR email IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_subscriptions_user
+  ON alert_subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_alert_subscriptions_enabled
+  ON alert_subscriptions(delivery)
+  WHERE enabled;
+
+COMMENT ON TABLE alert_subscriptions IS
+  'Per-user alert delivery targets (migration 117). Matched hourly by /api/cron/alert-delivery; deliveries are notification_outbox rows with alert_subscription_id set.';
+
+COMMENT ON COLUMN alert_subscriptions.webhook_url IS
+  'Slack incoming-webhook URL (or anything accepting the same JSON — Discord''s /slack endpoint, a local stub). https only in production. Owner-readable only.';
+
+COMMENT ON COLUMN alert_subscriptions.alert_types IS
+  'thisWeekService alert types and competitor_alerts.alert_type values to deliver. NULL = all.';
+
+COMMENT ON COLUMN alert_subscriptions.last_digest_at IS
+  'When the last digest was sent. Competitor alerts generated after it count as new for the next digest.';
+
+-- ──────────────────────────────────────────────────
+-- notification_outbox — alert categories
+-- ──────────────────────────────────────────────────
+
+ALTER TABLE notification_outbox
+  ADD COLUMN IF NOT EXISTS alert_subscription_id UUID
+    REFERENCES alert_subscriptions(id) ON DELETE CASCADE;
+
+ALTER TABLE notification_outbox
+  DROP CONSTRAINT IF EXISTS notification_outbox_category_check;
+ALTER TABLE notification_outbox
+  ADD CONSTRAINT notification_outbox_category_check
+  CHECK (category IN ('invite_reminder', 'alert_instant', 'alert_digest'));
+
+ALTER TABLE notification_outbox
+  DROP CONSTRAINT IF EXISTS notification_outbox_template_check;
+ALTER TABLE notification_outbox
+  ADD CONSTRAINT notification_outbox_template_check
+  CHECK (template IN (
+    'oauth_invite_expiring_soon', 'oauth_invite_expired_unused',
+    'intake_token_expiring_soon', 'intake_token_expired_unused',
+    'alert_webhook', 'alert_digest'
+  ));
+
+ALTER TABLE notification_outbox
+  DROP CONSTRAINT IF EXISTS notification_outbox_recipient_role_check;
+ALTER TABLE notification_outbox
+  ADD CONSTRAINT notification_outbox_recipient_role_check
+  CHECK (recipient_role IN ('guest', 'strategist', 'subscriber'));
+
+ALTER TABLE notification_outbox
+  DROP CONSTRAINT IF EXISTS notification_outbox_alert_subscription_check;
+ALTER TABLE notification_outbox
+  ADD CONSTRAINT notification_outbox_alert_subscription_check
+  CHECK (category NOT IN ('alert_instant', 'alert_digest') OR alert_subscription_id IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_alert_subscription
+  ON notification_outbox(alert_subscription_id, created_at DESC)
+  WHERE alert_subscription_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_category_due
+  ON notification_outbox(category, next_attempt_at)
+  WHERE status = 'queued';
+
+COMMENT ON COLUMN notification_outbox.alert_subscription_id IS
+  'Set for alert_instant / alert_digest rows (migration 117). payload.alerts holds the delivered alerts (key, client, type, severity) so the drain can re-check snoozes.';
+
+COMMENT ON COLUMN notification_outbox.category IS
+  'invite_reminder (114) — drained by /api/cron/invite-reminders. alert_instant | alert_digest (117) — drained by /api/cron/alert-delivery.';
+
+-- ──────────────────────────────────────────────────
+-- RLS — owners manage their own subscriptions (webhook URLs are
+-- secrets); admins can read all. The cron uses the service role.
+-- ──────────────────────────────────────────────────
+
+ALTER TABLE alert_subscriptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read own alert subscriptions"
+  ON alert_subscriptions FOR SELECT TO authenticated
+  USING (
+    user_id = auth.uid()
+    OR EXISTS (SELECT 1 FROM user_profiles WHERE user_id = auth.uid() AND role = 'admin')
+  );
+CREATE POLICY "Users can insert own alert subscriptions"
+  ON alert_subscriptions FOR INSERT TO authenticated
+  WITH CHECK (user_id = auth.uid());
+CREATE POLICY "Users can update own alert subscriptions"
+  ON alert_subscriptions FOR UPDATE TO authenticated
+  USING (user_id = auth.uid())
+  WITH CHECK (user_id = auth.uid());
+CREATE POLICY "Users can delete own alert subscriptions"
+  ON alert_subscriptions FOR DELETE TO authenticated
+  USING (user_id = auth.uid());
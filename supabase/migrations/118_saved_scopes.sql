@@ -0,0 +1,95 @@
+-- 118: personal + team saved scopes for Research v2.
+--
+-- saved_views (062) has only ever held the org-wide recipes seeded by
+-- 066, and every authenticated user could rewrite any row. Strategists
+-- now save their own named ScopeBar scopes (categories, tags, tiers,
+-- channel search, pinned client, window) plus the lens, and can share
+-- them with teammates:
+--
+--   visibility = 'private' → owner only (RecipesBar "My scopes")
+--                'team'    → every signed-in teammate ("Team")
+--                'org'     → curated recipes ("Org recipes"); only
+--                            admins create or edit these
+--
+-- Ownership: user_id is the owner (NULL only for the 066 seed recipes,
+-- which become 'org'), owner_email a display snapshot. updated_at now
+-- bumps on every update via update_updated_at() (001).
+--
+-- Shareable links don't depend on this table: ResearchV2 encodes the
+-- scope + lens straight into the URL (?tab=research-v2&lens=…&cats=…),
+-- and ?view=<saved_views.id> opens a saved scope the reader can see.
+
+ALTER TABLE saved_views
+  ADD COLUMN IF NOT EXISTS visibility TEXT NOT NULL DEFAULT 'private'
+    CHECK (visibility IN ('private', 'team', 'org')),
+  ADD COLUMN IF NOT EXISTS owner_email TEXT,
+  ADD COLUMN IF NOT EXISTS description TEXT;
+
+-- The 066 recipes (no owner) are the org set.
+UPDATE saved_views
+SET visibility = 'org',
+    description = COALESCE(description, config->>'_description')
+WHERE user_id IS NULL;
+
+ALTER TABLE saved_views
+  DROP CONSTRAINT IF EXISTS saved_views_owner_check;
+ALTER TABLE saved_views
+  ADD CONSTRAINT saved_views_owner_check
+  CHECK (visibility = 'org' OR user_id IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_saved_views_surface_visibility
+  ON saved_views(surface, visibility, updated_at DESC);
+
+DROP TRIGGER IF EXISTS saved_views_updated_at ON saved_views;
+CREATE TRIGGER saved_views_updated_at
+  BEFORE UPDATE ON saved_views
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+COMMENT ON TABLE saved_views IS
+  'Research v2 scope + lens presets. visibility private | team | org (118); org rows are the curated recipes (066 seeds, admin-edited). config holds the ScopeBar scope.';
+
+COMMENT ON COLUMN saved_views.visibility IS
+  'private = owner only; team = all signed-in users; org = curated recipes, admin-managed.';
+
+COMMENT ON COLUMN saved_views.owner_email IS
+  'Snapshot of the owner''s email when saved, for the RecipesBar byline.';
+
+-- ──────────────────────────────────────────────────
+-- RLS — replaces 062's "any authenticated user can do anything"
+-- ──────────────────────────────────────────────────
+
+DROP POLICY IF EXISTS "Authenticated can read saved views" ON saved_views;
+DROP POLICY IF EXISTS "Authenticated can manage saved views" ON saved_views;
+
+CREATE POLICY "Users can read shared and own saved views"
+  ON saved_views FOR SELECT TO authenticated
+  USING (
+    visibility IN ('team', 'org')
+    OR user_id = auth.uid()
+    OR EXISTS (SELECT 1 FROM user_profiles WHERE user_id = auth.uid() AND role = 'admin')
+  );
+
+CREATE POLICY "Users can insert own saved views"
+  ON saved_views FOR INSERT TO authenticated
+  WITH CHECK (
+    (user_id = auth.uid() AND visibility IN ('private', 'team'))
+    OR EXISTS (SELECT 1 FROM user_profiles WHERE user_id = auth.uid() AND role = 'admin')
+  );
+
+CREATE POLICY "Users can update own saved views"
+  ON saved_views FOR UPDATE TO authenticated
+  USING (
+    user_id = auth.uid()
+    OR EXISTS (SELECT 1 FROM user_profiles WHERE user_id = auth.uid() AND role = 'admin')
+  )
+  WITH CHECK (
+    (user_id = auth.uid() AND visibility IN ('private', 'team'))
+    OR EXISTS (SELECT 1 FROM user_profiles WHERE user_id = auth.uid() AND role = 'admin')
+  );
+
+CREATE POLICY "Users can delete own saved views"
+  ON saved_views FOR DELETE TO authenticated
+  USING (
+    user_id = auth.uid()
+    OR EXISTS (SELECT 1 FROM user_profiles WHERE user_id = auth.uid() AND role = 'admin')
+  );
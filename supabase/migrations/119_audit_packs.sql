@@ -0,0 +1,132 @@
+-- 119: persisted audit packs, monthly schedules, and "What changed" diffs.
+--
+-- auditPackService.generateAuditPack built the markdown pack on demand
+-- and the result was thrown away after download, so there was nothing
+-- to compare the next pack against. Now:
+--
+--   1. audit_packs. Every generated pack is stored per client + scope:
+--        scope_key — canonical JSON of the ScopeBar scope
+--                    (savedScopesService.normalizeScope, sorted arrays),
+--                    so "the same scope" survives key order / re-picks
+--        snapshot  — the structured numbers the diff needs (title
+--                    patterns with confidence, topic coverage, cohort
+--                    ranks, format split, movement counts)
+--        diff      — section-by-section changes vs previous_pack_id,
+--                    rendered as the pack's "What changed" section
+--      Packs are immutable; regenerating writes a new row.
+--
+--   2. audit_pack_schedules. One row per (client, scope) that should get
+--      a pack every month on day_of_month. Generation needs the browser
+--      session (the Claude-backed briefing / white-space brief go through
+--      /api/claude-proxy as the signed-in strategist), so packs aren't
+--      built by a cron: when anyone opens Research v2 after next_run_at,
+--      auditPackHistoryService.runDueAuditPacks claims the schedule
+--      (conditional update on next_run_at, so two open tabs don't both
+--      run it) and generates the pack in the background.
+--
+-- client_id is NULL for category-only scopes (no client pinned).
+
+-- ──────────────────────────────────────────────────
+-- audit_pack_schedules
+-- ──────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS audit_pack_schedules (
+  id             UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_by     UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+
+  client_id      UUID REFERENCES channels(id) ON DELETE CASCADE,
+  scope_key      TEXT NOT NULL,
+  scope          JSONB NOT NULL,
+  scope_label    TEXT,
+
+  cadence        TEXT NOT NULL DEFAULT 'monthly' CHECK (cadence IN ('monthly')),
+  day_of_month   SMALLINT NOT NULL DEFAULT 1 CHECK (day_of_month BETWEEN 1 AND 28),
+  enabled        BOOLEAN NOT NULL DEFAULT true,
+  next_run_at    TIMESTAMPTZ NOT NULL,
+  last_run_at    TIMESTAMPTZ,
+  last_pack_id   UUID,
+  last_error     TEXT,
+
+  UNIQUE (scope_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_pack_schedules_due
+  ON audit_pack_schedules(next_run_at)
+  WHERE enabled;
+
+DROP TRIGGER IF EXISTS audit_pack_schedules_updated_at ON audit_pack_schedules;
+CREATE TRIGGER audit_pack_schedules_updated_at
+  BEFORE UPDATE ON audit_pack_schedules
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+COMMENT ON TABLE audit_pack_schedules IS
+  'Monthly audit pack schedule per scope (migration 119). Run in the browser by auditPackHistoryService.runDueAuditPacks when Research v2 is opened after next_run_at.';
+
+COMMENT ON COLUMN audit_pack_schedules.day_of_month IS
+  '1-28 so every month has the day. next_run_at is that day at 00:00 UTC.';
+
+-- ──────────────────────────────────────────────────
+-- audit_packs
+-- ──────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS audit_packs (
+  id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  generated_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  generated_by     UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  trigger          TEXT NOT NULL DEFAULT 'manual' CHECK (trigger IN ('manual', 'scheduled')),
+  schedule_id      UUID REFERENCES audit_pack_schedules(id) ON DELETE SET NULL,
+
+  client_id        UUID REFERENCES channels(id) ON DELETE CASCADE,
+  scope_key        TEXT NOT NULL,
+  scope            JSONB NOT NULL,
+  scope_label      TEXT,
+
+  markdown         TEXT NOT NULL,
+  snapshot         JSONB NOT NULL DEFAULT '{}'::jsonb,
+  previous_pack_id UUID REFERENCES audit_packs(id) ON DELETE SET NULL,
+  diff             JSONB,
+  change_count     INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_packs_scope_generated
+  ON audit_packs(scope_key, generated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_packs_client_generated
+  ON audit_packs(client_id, generated_at DESC)
+  WHERE client_id IS NOT NULL;
+
+ALTER TABLE audit_pack_schedules
+  DROP CONSTRAINT IF EXISTS audit_pack_schedules_last_pack_fkey;
+ALTER TABLE audit_pack_schedules
+  ADD CONSTRAINT audit_pack_schedules_last_pack_fkey
+  FOREIGN KEY (last_pack_id) REFERENCES audit_packs(id) ON DELETE SET NULL;
+
+COMMENT ON TABLE audit_packs IS
+  'Every generated audit pack (migration 119), per client + scope_key. diff compares snapshot with previous_pack_id and is rendered as the pack''s "What changed" section.';
+
+COMMENT ON COLUMN audit_packs.snapshot IS
+  '{ patterns: [{id,label,count,viewsLift,confidence}], topics: [{name,coverage,count}], landscape: [{id,name,rank,viewVelocity}], format: {shortsFreq}, movement: {<alert_type>: count} } — auditPackService.buildPackSnapshot.';
+
+COMMENT ON COLUMN audit_packs.diff IS
+  '{ previousGeneratedAt, sections: [{ id, title, items: [{ kind, text }] }] } — auditPackService.diffPackSnapshots. NULL for the first pack of a scope.';
+
+-- ──────────────────────────────────────────────────
+-- RLS — same team-wide model as the other Research v2 tables
+-- ──────────────────────────────────────────────────
+
+ALTER TABLE audit_pack_schedules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_packs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated can read audit pack schedules"
+  ON audit_pack_schedules FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Authenticated can manage audit pack schedules"
+  ON audit_pack_schedules FOR ALL TO authenticated USING (true) WITH CHECK (true);
+
+CREATE POLICY "Authenticated can read audit packs"
+  ON audit_packs FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Authenticated can insert audit packs"
+  ON audit_packs FOR INSERT TO authenticated WITH CHECK (true);
+CREATE POLICY "Admins can delete audit packs"
+  ON audit_packs FOR DELETE TO authenticated
+  USING (EXISTS (SELECT 1 FROM user_profiles WHERE user_id = auth.uid() AND role = 'admin'));
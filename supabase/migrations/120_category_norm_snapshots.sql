@@ -0,0 +1,70 @@
+-- 120: weekly category norm snapshots.
+--
+-- researchV2Service.computeCategoryNorms computes per-category medians
+-- on read from whatever channels are in scope, so nothing is kept and
+-- "median views per video in Personal Finance fell 18% this quarter"
+-- can't be answered. This table freezes the norms once a week:
+--
+--   api/cron/category-norms (Mondays) computes the same per-channel
+--   metrics fetchLandscapeChannels does over a fixed 30-day window for
+--   every non-archived competitor, groups them by direct category
+--   (channel_categories, no descendant roll-up — same as the inline
+--   norms) and upserts one row per (category, week_start).
+--
+-- Each metric is the median across the category's channels that have a
+-- value for it, with its own n; confidence follows statsHelpers
+-- CONFIDENCE.categoryNorm on the channel count. Categories below the
+-- hide threshold (5 channels) are still written so the series has no
+-- holes when a category grows — readers suppress them.
+--
+-- LandscapeLens charts the series; computeNormDelta resolves the norm
+-- at any past date from it (latest week_start on or before that date).
+
+CREATE TABLE IF NOT EXISTS category_norm_snapshots (
+  id                   UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  category_id          UUID NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+  week_start           DATE NOT NULL,
+  computed_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  window_days          SMALLINT NOT NULL DEFAULT 30,
+
+  n                    INTEGER NOT NULL DEFAULT 0,
+  confidence           TEXT NOT NULL DEFAULT 'insufficient'
+                       CHECK (confidence IN ('insufficient', 'directional', 'statistical')),
+
+  median_views         NUMERIC,
+  median_views_n       INTEGER NOT NULL DEFAULT 0,
+  engagement_rate      NUMERIC,
+  engagement_rate_n    INTEGER NOT NULL DEFAULT 0,
+  view_velocity        NUMERIC,
+  view_velocity_n      INTEGER NOT NULL DEFAULT 0,
+  uploads_per_week     NUMERIC,
+  uploads_per_week_n   INTEGER NOT NULL DEFAULT 0,
+  shorts_share         NUMERIC,
+  shorts_share_n       INTEGER NOT NULL DEFAULT 0,
+
+  UNIQUE (category_id, week_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_category_norm_snapshots_week
+  ON category_norm_snapshots(week_start DESC);
+
+COMMENT ON TABLE category_norm_snapshots IS
+  'Weekly per-category benchmark norms (migration 120), written by api/cron/category-norms. Median across the category''s non-archived competitors over a 30-day window.';
+
+COMMENT ON COLUMN category_norm_snapshots.week_start IS
+  'Monday (UTC) of the week the snapshot belongs to. Re-running the cron in the same week overwrites the row.';
+
+COMMENT ON COLUMN category_norm_snapshots.confidence IS
+  'statsHelpers.labelConfidence(n, ''categoryNorm''). insufficient rows are kept for continuity but not shown as a norm.';
+
+COMMENT ON COLUMN category_norm_snapshots.shorts_share IS
+  'Median per-channel share of uploads in window that are Shorts (duration <= 180s).';
+
+-- ──────────────────────────────────────────────────
+-- RLS — team-wide read; writes come from the cron (service role)
+-- ──────────────────────────────────────────────────
+
+ALTER TABLE category_norm_snapshots ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated can read category norm snapshots"
+  ON category_norm_snapshots FOR SELECT TO authenticated USING (true);
@@ -0,0 +1,55 @@
+-- 121: cached perceptual descriptors for thumbnail style clustering.
+--
+-- productionSignalService runs Claude Vision per channel and
+-- ThumbnailAnalysisTab shows a grid, but nothing says which thumbnail
+-- styles cluster together across the cohort or which clusters
+-- out-perform. thumbnailClusterService now computes a cheap local
+-- descriptor per thumbnail in the browser — the image is downscaled to
+-- 32×18 on a canvas and reduced to:
+--
+--   hue histogram   8 chromatic hue bins + 1 achromatic bin
+--   tone            dark / mid / light luminance shares
+--   layout grid     3×3 mean luminance and 3×3 edge density (edges are
+--                   where text and faces sit, so this is the cheap
+--                   stand-in for "where's the headline")
+--   scalars         saturation, colorfulness, contrast
+--
+-- The channel-level face / text shares from channel_production_signals
+-- (078) are joined at cluster time, not stored here — they change on
+-- every Vision refresh while the pixels don't.
+--
+-- One row per video; descriptor_version lets a future change to the
+-- vector layout recompute everything without a migration. thumbnail_url
+-- is recorded so a re-uploaded thumbnail (new URL) is re-described.
+
+CREATE TABLE IF NOT EXISTS thumbnail_descriptors (
+  video_id            UUID PRIMARY KEY REFERENCES videos(id) ON DELETE CASCADE,
+  thumbnail_url       TEXT NOT NULL,
+  descriptor_version  SMALLINT NOT NULL DEFAULT 1,
+  vector              REAL[] NOT NULL,
+  stats               JSONB NOT NULL DEFAULT '{}'::jsonb,
+  computed_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE thumbnail_descriptors IS
+  'Local perceptual descriptor per video thumbnail (migration 121), computed in the browser by thumbnailClusterService and clustered across a scope.';
+
+COMMENT ON COLUMN thumbnail_descriptors.vector IS
+  'Layout by descriptor_version. v1 = 9 hue + 3 tone + 9 grid luminance + 9 grid edge density + 3 scalars (saturation, colorfulness, contrast).';
+
+COMMENT ON COLUMN thumbnail_descriptors.stats IS
+  '{ brightness, saturation, colorfulness, contrast, edgeDensity, dominantHue } — human-readable summary used for cluster labels.';
+
+-- ──────────────────────────────────────────────────
+-- RLS — same team-wide model as the other Research tables; descriptors
+-- are written from the browser, so authenticated users can upsert
+-- ──────────────────────────────────────────────────
+
+ALTER TABLE thumbnail_descriptors ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated can read thumbnail descriptors"
+  ON thumbnail_descriptors FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Authenticated can insert thumbnail descriptors"
+  ON thumbnail_descriptors FOR INSERT TO authenticated WITH CHECK (true);
+CREATE POLICY "Authenticated can update thumbnail descriptors"
+  ON thumbnail_descriptors FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
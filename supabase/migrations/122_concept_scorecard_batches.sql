@@ -0,0 +1,92 @@
+-- 122: client_concept_scorecard_batches — groups of pre-flight
+-- scorecards scored together as variants of one concept.
+--
+-- Why this exists: producers bring several title variants for one
+-- shoot. Scoring them one at a time through the Pre-flight form means
+-- N full passes (N curiosity + hook + strategic-read LLM calls) and a
+-- by-eye comparison across history rows. Batch mode scores every
+-- variant against one loaded cohort context, ranks them, spends the
+-- LLM dimensions only on the top-k, and saves the lot as a group so
+-- the comparison matrix can be reopened later.
+--
+-- Architecture:
+--   - One batch row per batch run. Each variant is still a normal
+--     client_concept_scorecards row (so history, calibration and the
+--     executive memo keep working per variant) with batch_id pointing
+--     here and batch_rank giving its place in the final ranking.
+--   - batch_llm_scored marks the variants that went through the LLM
+--     pass. A variant outside the top-k has no curiosity_gap /
+--     hook_promise_delivery dimension because it was never rated, not
+--     because the rating failed — the matrix shows "not rated".
+--   - winner_scorecard_id is denormalized for list views; it is the
+--     rank-1 variant at save time.
+--   - shared_input holds the fields every variant inherited from the
+--     form (format, slot, length, topic, hook) so the batch can be
+--     re-run with new titles.
+--
+-- Deleting a batch keeps its scorecards (batch_id → NULL): they are
+-- Phase-4 calibration history like any other scorecard.
+
+CREATE TABLE IF NOT EXISTS client_concept_scorecard_batches (
+  id                    UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id             UUID NOT NULL REFERENCES channels(id) ON DELETE CASCADE,
+  pillar_id             UUID REFERENCES client_pillars(id) ON DELETE SET NULL,
+
+  created_at            TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_by            TEXT,
+  label                 TEXT,
+
+  shared_input          JSONB,
+  variant_count         INTEGER NOT NULL DEFAULT 0,
+  top_k                 INTEGER NOT NULL DEFAULT 3,
+  winner_scorecard_id   UUID REFERENCES client_concept_scorecards(id) ON DELETE SET NULL,
+
+  archived_at           TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_concept_scorecard_batches_client
+  ON client_concept_scorecard_batches(client_id, created_at DESC)
+  WHERE archived_at IS NULL;
+
+COMMENT ON TABLE client_concept_scorecard_batches IS
+  'A group of pre-flight scorecards scored together as variants of one concept (Pre-flight batch mode). Variants are ordinary client_concept_scorecards rows linked by batch_id; only the top-k by deterministic score get the LLM dimensions and a strategic read.';
+
+COMMENT ON COLUMN client_concept_scorecard_batches.shared_input IS
+  'Concept fields every variant inherited unless its own row overrode them: { format, planned_day, planned_hour_block, length_seconds, topic_label, hook_beat, target_surface }. Same shape as client_concept_scorecards.input minus title.';
+
+COMMENT ON COLUMN client_concept_scorecard_batches.top_k IS
+  'How many of the top deterministic-ranked variants were sent through the LLM pass (curiosity gap, hook delivery, strategic read).';
+
+-- Variants point back at their batch.
+ALTER TABLE client_concept_scorecards
+  ADD COLUMN IF NOT EXISTS batch_id          UUID REFERENCES client_concept_scorecard_batches(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS batch_rank        SMALLINT,
+  ADD COLUMN IF NOT EXISTS batch_llm_scored  BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_client_concept_scorecards_batch
+  ON client_concept_scorecards(batch_id, batch_rank)
+  WHERE batch_id IS NOT NULL;
+
+COMMENT ON COLUMN client_concept_scorecards.batch_id IS
+  'Batch this scorecard was scored in (migration 122). NULL = scored on its own from the single-concept form.';
+
+COMMENT ON COLUMN client_concept_scorecards.batch_rank IS
+  '1-based rank within the batch at save time. LLM-scored variants rank ahead of the rest, ordered by composite tier, then mean dimension tier, then title-pattern lift.';
+
+COMMENT ON COLUMN client_concept_scorecards.batch_llm_scored IS
+  'True when this variant was in the batch''s top-k and went through the LLM dimensions. False on batch variants means curiosity_gap / hook_promise_delivery were skipped, not failed.';
+
+-- ──────────────────────────────────────────────────
+-- RLS
+-- ──────────────────────────────────────────────────
+
+ALTER TABLE client_concept_scorecard_batches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read scorecard batches"
+  ON client_concept_scorecard_batches FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Authenticated users can insert scorecard batches"
+  ON client_concept_scorecard_batches FOR INSERT TO authenticated WITH CHECK (true);
+CREATE POLICY "Authenticated users can update scorecard batches"
+  ON client_concept_scorecard_batches FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
+CREATE POLICY "Authenticated users can delete scorecard batches"
+  ON client_concept_scorecard_batches FOR DELETE TO authenticated USING (true);
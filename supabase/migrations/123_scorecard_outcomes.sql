@@ -0,0 +1,55 @@
+-- 123: scorecard outcomes — link pre-flight scorecards to the videos
+-- they became and record what actually happened.
+--
+-- Why this exists: client_concept_scorecards (086) stores predictions
+-- that are never checked once the video ships. The retro repositioning
+-- audits (089 / 092) calibrate against videos that were never scored
+-- before publishing, so they measure the scorer on hindsight inputs.
+-- Linking real scorecards to real uploads gives a forward-looking
+-- calibration set: what the strategist saw at greenlight vs. the tier
+-- the video landed in.
+--
+-- Linking: the Pre-flight ledger suggests candidate uploads by title
+-- similarity (the same Jaccard matching feedbackService uses for
+-- production briefs), format and publish-date proximity. The
+-- strategist confirms one — nothing links automatically.
+--
+-- Actual tier: once the linked video is OUTCOME_AGE_DAYS (28) old, its
+-- views at day 28 (video_snapshots curve, velocityCurveService) are
+-- ranked against the channel's earlier same-format uploads at the same
+-- age. Quartile → tier, the same cut calibrationService uses for its
+-- percentile_rank baseline, so ledger accuracy and audit accuracy are
+-- comparable. Recorded once and frozen; later view growth doesn't
+-- rewrite a settled outcome.
+
+ALTER TABLE client_concept_scorecards
+  ADD COLUMN IF NOT EXISTS linked_video_id            UUID REFERENCES videos(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS linked_youtube_video_id    TEXT,
+  ADD COLUMN IF NOT EXISTS linked_at                  TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS link_confidence            NUMERIC,
+  ADD COLUMN IF NOT EXISTS actual_tier                TEXT
+    CHECK (actual_tier IS NULL OR actual_tier IN ('very_likely_outperform','likely_solid','risky','predicted_under')),
+  ADD COLUMN IF NOT EXISTS outcome                    JSONB,
+  ADD COLUMN IF NOT EXISTS outcome_recorded_at        TIMESTAMPTZ;
+
+-- Ledger reads: a client's settled outcomes, newest first.
+CREATE INDEX IF NOT EXISTS idx_client_concept_scorecards_outcome
+  ON client_concept_scorecards(client_id, outcome_recorded_at DESC)
+  WHERE actual_tier IS NOT NULL;
+
+-- One scorecard per published video.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_client_concept_scorecards_linked_video
+  ON client_concept_scorecards(linked_video_id)
+  WHERE linked_video_id IS NOT NULL;
+
+COMMENT ON COLUMN client_concept_scorecards.linked_video_id IS
+  'The published video this concept became, confirmed by the strategist from title-similarity suggestions. NULL = not published yet (or not linked).';
+
+COMMENT ON COLUMN client_concept_scorecards.link_confidence IS
+  'Match score of the suggestion the strategist confirmed (0–1: title Jaccard, format match, publish-date proximity). NULL when linked by hand.';
+
+COMMENT ON COLUMN client_concept_scorecards.actual_tier IS
+  'Tier the linked video actually landed in: quartile of its day-28 views among the channel''s earlier same-format uploads at day 28. Set once at OUTCOME_AGE_DAYS and frozen.';
+
+COMMENT ON COLUMN client_concept_scorecards.outcome IS
+  'Evidence behind actual_tier: { age_days, views, percentile, reference_n, reference_median, baseline: ''d28_view_rank'' }.';
@@ -0,0 +1,36 @@
+-- 124: scorecard versions — what-if edits saved as new scorecards
+-- linked to the one they came from.
+--
+-- Why this exists: generateTweaks proposes up to three mechanical
+-- tweaks, but strategists want to try their own combinations ("post
+-- Thursday 6pm, make it 12 minutes, drop the emoji") against a saved
+-- scorecard. The Pre-flight what-if panel re-runs the deterministic
+-- dimensions as the fields change; a what-if worth keeping is saved
+-- as a normal client_concept_scorecards row pointing back at its
+-- parent.
+--
+-- Architecture:
+--   - parent_scorecard_id is the scorecard the what-if was opened
+--     from. Versions of versions chain; the root is the row with no
+--     parent. Deleting a parent keeps its versions (→ NULL) — they are
+--     calibration history like any other scorecard.
+--   - version_changes records which input fields differ from the
+--     parent: { field: { from, to } }. The scores themselves are the
+--     row's own scores column.
+--   - A saved version never carries stale LLM dimensions: the panel
+--     re-runs curiosity / hook / embedding for the changed title before
+--     saving, so every row's scores describe its own input.
+
+ALTER TABLE client_concept_scorecards
+  ADD COLUMN IF NOT EXISTS parent_scorecard_id  UUID REFERENCES client_concept_scorecards(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS version_changes      JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_client_concept_scorecards_parent
+  ON client_concept_scorecards(parent_scorecard_id)
+  WHERE parent_scorecard_id IS NOT NULL;
+
+COMMENT ON COLUMN client_concept_scorecards.parent_scorecard_id IS
+  'Scorecard this row was saved from in the Pre-flight what-if panel. NULL = scored from the form or a batch.';
+
+COMMENT ON COLUMN client_concept_scorecards.version_changes IS
+  'Input fields changed from the parent scorecard: { field: { from, to } }, e.g. { "planned_day": { "from": "Mon", "to": "Thu" } }.';
@@ -0,0 +1,23 @@
+-- 125: lease-based claims for monthly audit pack schedules.
+--
+-- Why this exists: runDueAuditPacks (migration 119) claimed a due
+-- schedule by moving next_run_at to next month BEFORE generating the
+-- pack. A failed generation — or a tab closed mid-run — lost that
+-- month's pack for good; last_error was the only trace, and only when
+-- the run got far enough to write it.
+--
+-- Now:
+--   - Claiming sets claimed_until = now + lease (conditional on the
+--     lease being empty or expired, so two open tabs still can't both
+--     run a schedule).
+--   - next_run_at moves forward only after the pack is saved.
+--   - A failed run clears the lease and records last_error; next_run_at
+--     stays put, so the next Research v2 open retries it.
+--   - A tab that dies mid-run leaves the lease behind; once it expires
+--     the schedule is claimable again.
+
+ALTER TABLE audit_pack_schedules
+  ADD COLUMN IF NOT EXISTS claimed_until TIMESTAMPTZ;
+
+COMMENT ON COLUMN audit_pack_schedules.claimed_until IS
+  'Lease held by the browser session generating this schedule''s pack. NULL or in the past = claimable. Cleared when the run finishes, success or failure.';
@@ -0,0 +1,24 @@
+-- 126: audit pack schedules become monthly reminders.
+--
+-- Why this exists: migration 119 ran due schedules in the background
+-- whenever a signed-in user opened Research v2 — up to five full packs,
+-- each with Claude calls, in whoever's tab happened to open the lens.
+-- Nobody opening it meant no pack; closing the tab mid-run left a
+-- schedule half done. Packs can't move to a cron either: the briefing
+-- and white-space brief go through /api/claude-proxy as the signed-in
+-- strategist.
+--
+-- Now a row is a reminder. Once next_run_at passes, Research v2 → Packs
+-- lists it under "Due now" and the strategist generates it with one
+-- click (auditPackHistoryService.runPackReminder). The claimed_until
+-- lease (migration 125) still keeps two tabs from building the same
+-- pack; next_run_at moves forward only once the pack is saved.
+--
+-- No schema change; audit_packs.trigger = 'scheduled' now means "from a
+-- monthly reminder".
+
+COMMENT ON TABLE audit_pack_schedules IS
+  'Monthly audit pack reminder per scope (migrations 119, 126). Due once next_run_at passes; the pack is generated when a strategist clicks Generate in Research v2 → Packs (auditPackHistoryService.runPackReminder).';
+
+COMMENT ON COLUMN audit_pack_schedules.claimed_until IS
+  'Lease held by the browser tab generating this reminder''s pack. NULL or in the past = claimable. Cleared when the run finishes, success or failure.';